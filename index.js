@@ -28,6 +28,7 @@ const filterRoutes = require("./src/routes/FilterRoutes"); // Handles filter-rel
 const bulkUploadRoutes = require("./src/routes/BulkUploadRoutes"); // Handles filter-related routes
 const ReviewRoutes = require("./src/routes/ReviewRoutes");
 const PromoCodeRoutes = require("./src/routes/PromoCodeRoutes");
+const discountRoutes = require("./src/routes/DiscountRoutes"); // Handles automatic discounts and the cart discount preview
 const ImageRoutes = require("./src/routes/ImageRoutes"); // Handles image URL refresh routes
 const partnerRoutes = require("./src/routes/PartnerRoutes"); // Handles partner management routes
 const firebaseRoutes = require("./src/routes/firebaseRoutes"); // Handles Firebase user management routes
@@ -47,6 +48,14 @@ const faqRoutes = require("./src/routes/FaqRoutes"); // Handles FAQ management r
 const configRoutes = require("./src/routes/ConfigRoutes"); // Handles configuration endpoints (e.g., Razorpay key)
 const syncRoutes = require("./src/routes/SyncRoutes"); // Handles real-time sync between admin UI and backend
 const healthRoutes = require("./src/routes/HealthRoutes"); // Handles health check and server status endpoints
+const jobRoutes = require("./src/routes/JobRoutes"); // Handles scheduled job management routes
+const roleRoutes = require("./src/routes/RoleRoutes"); // Handles admin roles and permission assignments
+const auditRoutes = require("./src/routes/AuditRoutes"); // Handles the admin audit trail
+const sessionRoutes = require("./src/routes/SessionRoutes"); // Handles admin management of user sessions
+const razorpayWebhookRoutes = require("./src/routes/RazorpayWebhookRoutes"); // Handles Razorpay server-to-server webhooks
+const invoiceRoutes = require("./src/routes/InvoiceRoutes"); // Handles GST tax invoice download and management
+const creditNoteRoutes = require("./src/routes/CreditNoteRoutes"); // Handles GST credit notes for returns and cancellations
+const payoutRoutes = require("./src/routes/PayoutRoutes"); // Handles partner commission, payout ledger and settlements
 const morgan = require("morgan");
 
 // Import production middleware
@@ -179,6 +188,9 @@ app.options('*', (req, res) => {
     res.status(204).end();
 });
 
+// Razorpay webhooks verify a signature over the raw body, so mount them before the JSON parser
+app.use("/api/webhooks/razorpay", razorpayWebhookRoutes);
+
 app.use(express.json({ limit: '10mb' })); // Parse incoming JSON requests with increased size limit
 app.use(express.urlencoded({ extended: true, limit: '10mb' })); // Parse URL-encoded data with extended option for complex objects
 
@@ -205,6 +217,53 @@ if (isProduction) {
 // Connect to the database (e.g., MongoDB, MySQL) using the connectToDB function
 connectToDB();
 
+// Create the built-in admin roles (super admin, catalog manager, order ops, ...)
+require("./src/services/accessControlService").init();
+
+// Load the access token revocation list (logouts, signed-out devices)
+require("./src/services/sessionService").init();
+
+// Deliver business events (orders, payments, signups...) to registered webhook endpoints
+const webhookDispatcher = require("./src/services/webhookDispatcher");
+webhookDispatcher.init();
+
+// Issue (and optionally e-mail) GST tax invoices when orders are paid
+require("./src/services/invoiceService").init();
+
+// Issue credit notes against the invoice when returns and cancellations are refunded
+require("./src/services/creditNoteService").init();
+
+// Stop cart recovery sequences and attribute recovered revenue when customers order
+const cartRecoveryService = require("./src/services/cartRecoveryService");
+cartRecoveryService.init();
+
+// Award, reverse and expire loyalty points from order, review, signup and invite events
+const pointsService = require("./src/services/pointsService");
+pointsService.init();
+
+// Accrue partner payouts on delivery and reverse them when returned items are refunded
+const payoutService = require("./src/services/payoutService");
+payoutService.init();
+
+// Index live products for relevance-ranked search and keep stock in the index current
+const productSearchService = require("./src/services/productSearchService");
+productSearchService.init();
+
+// Spreadsheet catalog imports run in the background; fail any a restart interrupted
+require("./src/services/catalogImportService").init();
+
+// Run scheduled background jobs (timed product publishing, ...)
+const jobScheduler = require("./src/services/jobScheduler");
+require("./src/services/productPublishingService").registerJobs(jobScheduler);
+require("./src/services/inventoryReservationService").registerJobs(jobScheduler);
+cartRecoveryService.registerJobs(jobScheduler);
+pointsService.registerJobs(jobScheduler);
+payoutService.registerJobs(jobScheduler);
+productSearchService.registerJobs(jobScheduler);
+require("./src/services/chatRoutingService").registerJobs(jobScheduler);
+require("./src/services/creditNoteService").registerJobs(jobScheduler);
+jobScheduler.start();
+
 // Health check endpoints
 app.get('/', (req, res) => {
     res.json({
@@ -699,6 +758,13 @@ app.put("/api/user/profile", verifyToken, async (req, res) => {
 });
 
 app.use("/api/orders", orderRoutes); // Order management routes
+app.use("/api/invoices", invoiceRoutes); // GST tax invoices (customer download, admin register)
+app.use("/api/credit-notes", creditNoteRoutes); // GST credit notes (customer download, admin export)
+app.use("/api/admin/jobs", jobRoutes); // Scheduled job management routes
+app.use("/api/admin/roles", roleRoutes); // Admin roles and permission assignments
+app.use("/api/admin/audit", auditRoutes); // Admin audit trail search, export and entity history
+app.use("/api/admin/sessions", sessionRoutes); // Admin view and revocation of user sessions
+app.use("/api/admin/payouts", payoutRoutes); // Partner commission rules, payout ledger and settlement statements
 app.use("/api/admin", adminOrderRoutes); // Admin order management routes
 app.use("/api/privacyPolicy", privacyPolicyRoutes); // Privacy policy routes
 app.use("/api/notifications", notificationRoutes); // Notification-related routes
@@ -708,6 +774,7 @@ app.use("/api/filters", filterRoutes); // Routes for filtering items (e.g., by c
 app.use("/api/bulkUpload",bulkUploadRoutes );
 app.use('/api/reviews', ReviewRoutes); // Updated to distinct review path
 app.use("/api/promoCode", PromoCodeRoutes); // Mount promo code routes
+app.use("/api/discounts", discountRoutes); // Automatic discounts and cart discount preview
 app.use("/api/images", ImageRoutes); // Mount image URL refresh routes
 app.use("/api/partners", partnerRoutes); // Mount partner management routes
 app.use("/api/firebase", firebaseRoutes); // Mount Firebase user management routes
@@ -0,0 +1,17 @@
+// Support Chat Vocabulary
+// Shared by chat sessions, agent skills and canned replies.
+
+/**
+ * What a chat is about. Sessions are routed to agents with the matching skill.
+ */
+const CHAT_CATEGORIES = ['order_issue', 'product_inquiry', 'shipping', 'payment', 'return', 'technical', 'general', 'complaint'];
+
+/**
+ * Session priorities, most urgent first. SLA targets are set per priority.
+ */
+const CHAT_PRIORITIES = ['urgent', 'high', 'normal', 'low'];
+
+module.exports = {
+    CHAT_CATEGORIES,
+    CHAT_PRIORITIES
+};
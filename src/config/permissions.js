@@ -0,0 +1,110 @@
+// Admin Panel Permissions
+// Every admin route declares the permission it needs (middleware/RequirePermission);
+// admins get permissions through the roles assigned to them (User.adminRoles).
+
+/**
+ * Permission catalog: key → description. Keys are `<area>.<action>`.
+ */
+const PERMISSIONS = {
+    // Catalog
+    'catalog.read': 'View products, including drafts and unpublished items',
+    'catalog.write': 'Create and edit products, categories, arrangement and recommendations',
+    'catalog.delete': 'Delete products',
+
+    // Orders and fulfilment
+    'orders.read': 'View orders, returns and exchanges',
+    'orders.update': 'Update order status, accept, reject and cancel orders',
+    'orders.fulfil': 'Create shipments, assign couriers and dispatch orders',
+    'orders.returns': 'Process return and exchange requests',
+    'orders.refund': 'Refund orders',
+
+    // Customer support
+    'support.chat': 'Answer, assign and close customer support chats',
+    'support.analytics': 'View support chat analytics and agent performance',
+    'support.manage': 'Manage chat routing, SLA targets, agent skills and canned replies',
+
+    // Marketing
+    'marketing.promotions': 'Manage promo codes and automatic discounts',
+    'marketing.campaigns': 'Manage cart recovery, banners and notifications',
+    'content.manage': 'Manage FAQs and other help content',
+
+    // Finance
+    'finance.invoices': 'View and export invoices and credit notes, issue credit notes',
+    'finance.reports': 'View sales analytics and reports',
+    'finance.payments': 'View and replay Razorpay payment events',
+    'finance.payouts': 'Manage partner commission rules, payout ledger and settlement statements',
+
+    // Administration
+    'settings.manage': 'Edit store settings (shipping, invoices, discounts, webhooks, HSN codes)',
+    'users.manage': 'Manage customer and Firebase accounts',
+    'users.claims': 'Set Firebase custom claims',
+    'roles.manage': 'Manage admin roles and role assignments',
+    'system.jobs': 'Run and manage scheduled jobs',
+    'audit.read': 'View and export the admin audit trail'
+};
+
+// Grants every permission
+const ALL_PERMISSIONS = '*';
+
+/**
+ * Built-in roles, created on startup. Their permissions follow this file; custom roles
+ * are managed through the roles API.
+ */
+const SYSTEM_ROLES = [
+    {
+        key: 'super_admin',
+        name: 'Super Admin',
+        description: 'Full access, including roles and store settings',
+        permissions: [ALL_PERMISSIONS]
+    },
+    {
+        key: 'catalog_manager',
+        name: 'Catalog Manager',
+        description: 'Maintains products, categories and their presentation',
+        permissions: ['catalog.read', 'catalog.write', 'catalog.delete']
+    },
+    {
+        key: 'order_ops',
+        name: 'Order Operations',
+        description: 'Processes, ships and handles returns for orders',
+        permissions: ['orders.read', 'orders.update', 'orders.fulfil', 'orders.returns', 'catalog.read']
+    },
+    {
+        key: 'support_agent',
+        name: 'Support Agent',
+        description: 'Handles customer chats and looks up their orders',
+        permissions: ['support.chat', 'orders.read']
+    },
+    {
+        key: 'support_lead',
+        name: 'Support Lead',
+        description: 'Runs the support team: routing, SLAs, agents and canned replies',
+        permissions: ['support.chat', 'support.analytics', 'support.manage', 'orders.read']
+    },
+    {
+        key: 'marketing',
+        name: 'Marketing',
+        description: 'Runs promotions, campaigns and help content',
+        permissions: ['marketing.promotions', 'marketing.campaigns', 'content.manage', 'catalog.read', 'finance.reports']
+    },
+    {
+        key: 'finance',
+        name: 'Finance',
+        description: 'Refunds, invoices, credit notes, partner payouts and reports',
+        permissions: ['orders.read', 'orders.refund', 'finance.invoices', 'finance.reports', 'finance.payments', 'finance.payouts', 'audit.read']
+    }
+];
+
+/**
+ * Role given once, on startup, to admins (User.isAdmin) from before roles existed, so
+ * existing admin accounts keep working. Set RBAC_LEGACY_ADMIN_ROLE to a narrower role,
+ * or to "none" to leave them without access until roles are assigned.
+ */
+const LEGACY_ADMIN_ROLE = process.env.RBAC_LEGACY_ADMIN_ROLE || 'super_admin';
+
+module.exports = {
+    PERMISSIONS,
+    ALL_PERMISSIONS,
+    SYSTEM_ROLES,
+    LEGACY_ADMIN_ROLE
+};
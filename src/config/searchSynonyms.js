@@ -0,0 +1,41 @@
+// Product Search Synonyms
+// Words shoppers use interchangeably. Every word in a group also finds products indexed
+// under the other words of the group (services/productSearchService). Single words in
+// lower case; hyphens and plurals are normalised the same way as product text.
+
+const SYNONYM_GROUPS = [
+    ['tshirt', 'tee', 'tees'],
+    ['hoodie', 'hoody'],
+    ['sweatshirt', 'pullover'],
+    ['sweater', 'jumper', 'knitwear'],
+    ['jeans', 'denim', 'denims'],
+    ['trousers', 'pants', 'chinos'],
+    ['joggers', 'trackpants', 'sweatpants'],
+    ['shorts', 'bermudas'],
+    ['jacket', 'coat', 'outerwear'],
+    ['sneakers', 'trainers', 'kicks'],
+    ['shoes', 'footwear'],
+    ['cap', 'hat'],
+    ['bag', 'backpack', 'tote'],
+    ['top', 'blouse'],
+    ['dress', 'gown', 'frock'],
+    ['kurta', 'kurti'],
+    ['men', 'mens', 'male', 'gents'],
+    ['women', 'womens', 'female', 'ladies'],
+    ['kids', 'children', 'boys', 'girls'],
+    ['grey', 'gray'],
+    ['maroon', 'burgundy', 'wine'],
+    ['oversized', 'oversize', 'baggy'],
+    ['slim', 'skinny']
+];
+
+// Filler words dropped from queries, mostly from spoken (voice) searches
+const STOP_WORDS = [
+    'a', 'an', 'the', 'and', 'or', 'of', 'for', 'in', 'on', 'with', 'to', 'me', 'my', 'i',
+    'show', 'find', 'search', 'get', 'want', 'need', 'looking', 'some', 'any', 'please', 'can', 'you'
+];
+
+module.exports = {
+    SYNONYM_GROUPS,
+    STOP_WORDS
+};
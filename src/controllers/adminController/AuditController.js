@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const XLSX = require("xlsx");
+const auditService = require("../../services/auditService");
+const { ApiResponse } = require("../../utils/ApiResponse");
+
+// Search the audit trail
+// ?actorId&entityType&entityId&method&operation&success&from&to&q&page&limit
+exports.searchAuditLogs = async (req, res) => {
+  try {
+    const result = await auditService.searchAuditLogs(req.query);
+    res.status(200).json(ApiResponse(result, "Audit log retrieved successfully", true, 200));
+  } catch (error) {
+    console.error("Error fetching audit log:", error);
+    res.status(500).json(ApiResponse(null, "Failed to fetch audit log", false, 500));
+  }
+};
+
+// Export the audit trail as CSV (default) or XLSX, same filters as the search
+exports.exportAuditLogs = async (req, res) => {
+  try {
+    const format = req.query.format === "xlsx" ? "xlsx" : "csv";
+    const rows = await auditService.buildAuditExport(req.query);
+    const worksheet = XLSX.utils.json_to_sheet(rows);
+    const fileName = `audit-log-${Date.now()}`;
+
+    if (format === "xlsx") {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, worksheet, "Audit Log");
+      const buffer = XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      res.setHeader("Content-Disposition", `attachment; filename=${fileName}.xlsx`);
+      return res.send(buffer);
+    }
+
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader("Content-Disposition", `attachment; filename=${fileName}.csv`);
+    res.send(XLSX.utils.sheet_to_csv(worksheet));
+  } catch (error) {
+    console.error("Error exporting audit log:", error);
+    res.status(500).json(ApiResponse(null, "Failed to export audit log", false, 500));
+  }
+};
+
+// History of one entity, e.g. /Order/:orderId or /Item/:itemId
+exports.getEntityHistory = async (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+    if (!mongoose.modelNames().includes(entityType)) {
+      return res.status(404).json(ApiResponse(null, `Unknown entity type ${entityType}`, false, 404));
+    }
+
+    const result = await auditService.getEntityHistory(entityType, entityId, req.query);
+    res.status(200).json(ApiResponse(result, "Entity history retrieved successfully", true, 200));
+  } catch (error) {
+    console.error("Error fetching entity history:", error);
+    res.status(500).json(ApiResponse(null, "Failed to fetch entity history", false, 500));
+  }
+};
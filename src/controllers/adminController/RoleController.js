@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+const accessControlService = require("../../services/accessControlService");
+const { PERMISSIONS } = require("../../config/permissions");
+const { ApiResponse } = require("../../utils/ApiResponse");
+
+const { ROLE_ERROR_STATUS } = accessControlService;
+
+const sendRoleError = (res, error, fallbackMessage) => {
+  if (ROLE_ERROR_STATUS[error.code]) {
+    const status = ROLE_ERROR_STATUS[error.code];
+    return res.status(status).json(ApiResponse({ code: error.code }, error.message, false, status));
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json(ApiResponse(null, error.message, false, 400));
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json(ApiResponse(null, fallbackMessage, false, 500));
+};
+
+// Permission catalog, for building the role editor
+exports.getPermissions = async (req, res) => {
+  const permissions = Object.entries(PERMISSIONS).map(([key, description]) => ({
+    key,
+    area: key.split(".")[0],
+    description,
+  }));
+  res.status(200).json(ApiResponse(permissions, "Permissions retrieved successfully", true, 200));
+};
+
+// The calling admin's roles and permissions (any admin; the panel hides what they cannot use)
+exports.getMyAccess = async (req, res) => {
+  try {
+    const user = req.adminUser;
+    res.status(200).json(ApiResponse({
+      userId: user._id,
+      roles: accessControlService.effectiveRoles(user),
+      permissions: [...req.permissions],
+    }, "Access retrieved successfully", true, 200));
+  } catch (error) {
+    sendRoleError(res, error, "Failed to fetch access");
+  }
+};
+
+// Roles with the number of admins holding each
+exports.getRoles = async (req, res) => {
+  try {
+    const roles = await accessControlService.listRoles();
+    res.status(200).json(ApiResponse(roles, "Roles retrieved successfully", true, 200));
+  } catch (error) {
+    sendRoleError(res, error, "Failed to fetch roles");
+  }
+};
+
+// Create a custom role { key, name, description, permissions }
+exports.createRole = async (req, res) => {
+  try {
+    const role = await accessControlService.createRole(req.body, req.adminUser._id);
+    res.status(201).json(ApiResponse(role, "Role created successfully", true, 201));
+  } catch (error) {
+    sendRoleError(res, error, "Failed to create role");
+  }
+};
+
+// Update a custom role { name?, description?, permissions? }
+exports.updateRole = async (req, res) => {
+  try {
+    const role = await accessControlService.updateRole(req.params.roleKey, req.body);
+    res.status(200).json(ApiResponse(role, "Role updated successfully", true, 200));
+  } catch (error) {
+    sendRoleError(res, error, "Failed to update role");
+  }
+};
+
+// Delete a custom role; admins holding it lose it
+exports.deleteRole = async (req, res) => {
+  try {
+    const { unassigned } = await accessControlService.deleteRole(req.params.roleKey);
+    res.status(200).json(ApiResponse({ unassigned }, "Role deleted successfully", true, 200));
+  } catch (error) {
+    sendRoleError(res, error, "Failed to delete role");
+  }
+};
+
+// Every admin and the roles in effect for them
+exports.getAssignments = async (req, res) => {
+  try {
+    const assignments = await accessControlService.listAssignments();
+    res.status(200).json(ApiResponse(assignments, "Role assignments retrieved successfully", true, 200));
+  } catch (error) {
+    sendRoleError(res, error, "Failed to fetch role assignments");
+  }
+};
+
+// Replace an admin's roles { roles: [roleKey] }
+exports.assignRoles = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json(ApiResponse(null, "Invalid user ID", false, 400));
+    }
+
+    const assignment = await accessControlService.assignRoles(userId, req.body.roles);
+    res.status(200).json(ApiResponse(assignment, "Roles assigned successfully", true, 200));
+  } catch (error) {
+    sendRoleError(res, error, "Failed to assign roles");
+  }
+};
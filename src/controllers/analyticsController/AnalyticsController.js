@@ -1,4 +1,5 @@
 const { google } = require('googleapis');
+const salesAnalytics = require('../../services/salesAnalyticsService');
 
 // Google Analytics configuration
 // IMPORTANT: Use numeric property ID, not measurement ID (G-WDLT9BQG8X)
@@ -159,6 +160,46 @@ const handleApiErrorWithFallback = (error, res, getMockDataFn, dataType) => {
   return false; // Indicates error needs to be handled normally
 };
 
+/**
+ * Whether an error means Google Analytics cannot be used at all (API disabled,
+ * no access, or no service account credentials on this server)
+ * @param {Error} error - The caught error
+ */
+const isGoogleAnalyticsUnavailable = (error) =>
+  error.message?.includes('API has not been used') ||
+  error.message?.includes('disabled') ||
+  error.message?.includes('PERMISSION_DENIED') ||
+  error.message?.includes('Could not load the default credentials') ||
+  error.code === 'ENOENT';
+
+/**
+ * Conversion data computed from our own orders, in the same shape as the GA response
+ * @param {Object} query - startDate / endDate; GA relative dates ('30daysAgo') use the default range
+ */
+const getFirstPartyConversionData = async ({ startDate, endDate }) => {
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+  const range = salesAnalytics.parseRange({
+    from: isDate(startDate) ? startDate : undefined,
+    to: isDate(endDate) ? endDate : undefined
+  });
+
+  const [summary, funnel, skus] = await Promise.all([
+    salesAnalytics.getSummary(range),
+    salesAnalytics.getFunnel(range),
+    salesAnalytics.getUnitsBySku(range, { limit: 3, sortBy: 'sales' })
+  ]);
+
+  return {
+    totalRevenue: summary.grossRevenue,
+    totalTransactions: summary.orders,
+    totalPurchasers: summary.customers,
+    conversionRate: `${funnel.find(step => step.step === 'paid').fromStart}%`,
+    topProducts: skus.map(sku => ({ name: sku.productName || sku.sku, revenue: sku.sales, quantity: sku.unitsSold })),
+    success: true,
+    source: 'first_party'
+  };
+};
+
 /**
  * Get Real-time Analytics Data
  * @param {Object} req - Express request object
@@ -797,6 +838,21 @@ const getConversionAnalytics = async (req, res) => {
     });
 
   } catch (error) {
+    // Our own orders have the real e-commerce numbers; mock data is only a last resort
+    if (isGoogleAnalyticsUnavailable(error)) {
+      try {
+        const data = await getFirstPartyConversionData(req.query);
+        return res.json({
+          success: true,
+          data,
+          timestamp: new Date().toISOString(),
+          warning: 'Google Analytics is not available - using first-party sales data'
+        });
+      } catch (fallbackError) {
+        console.error('Error computing first-party conversion data:', fallbackError);
+      }
+    }
+
     if (handleApiErrorWithFallback(error, res, getMockConversionData, 'conversion')) {
       return;
     }
@@ -0,0 +1,127 @@
+const salesAnalytics = require('../../services/salesAnalyticsService');
+
+/**
+ * Send a first-party analytics result, or the error as 400 (bad range) / 500.
+ * @param {Object} res - Express response object
+ * @param {Function} build - async () => data
+ * @param {string} dataType - Type of data for logging
+ */
+const respond = async (res, build, dataType) => {
+  try {
+    const data = await build();
+    res.json({
+      success: true,
+      data,
+      source: 'first_party',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_RANGE') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    console.error(`Error computing ${dataType} analytics:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to compute ${dataType} analytics`,
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Revenue, orders, AOV, units, refunds and customers for the period
+ * Query: from, to (YYYY-MM-DD), compare (previous|year|none)
+ */
+const getSalesSummary = (req, res) => respond(res, async () => {
+  const range = salesAnalytics.parseRange(req.query);
+  const result = await salesAnalytics.withComparison(range, salesAnalytics.getSummary);
+  return { ...result, change: salesAnalytics.compareMetrics(result.current, result.previous) };
+}, 'sales summary');
+
+/**
+ * Revenue time series
+ * Query: from, to, compare, granularity (day|week|month)
+ */
+const getRevenueOverTime = (req, res) => respond(res, async () => {
+  const range = salesAnalytics.parseRange(req.query);
+  const granularity = req.query.granularity || 'day';
+  return {
+    granularity,
+    ...(await salesAnalytics.withComparison(range, (period) => salesAnalytics.getRevenueSeries(period, granularity)))
+  };
+}, 'revenue');
+
+/**
+ * Sales by category or subcategory
+ * Query: from, to, compare, groupBy (category|subcategory)
+ */
+const getRevenueByCategory = (req, res) => respond(res, async () => {
+  const range = salesAnalytics.parseRange(req.query);
+  const groupBy = req.query.groupBy || 'category';
+  const result = await salesAnalytics.withComparison(range, (period) => salesAnalytics.getRevenueByCategory(period, groupBy));
+
+  // Attach the comparison period's sales to each row
+  const current = result.current.map(row => {
+    const previous = result.previous?.find(candidate => String(candidate.id) === String(row.id));
+    return result.previous
+      ? { ...row, previousSales: previous?.sales || 0, change: salesAnalytics.percentChange(row.sales, previous?.sales) }
+      : row;
+  });
+
+  return { groupBy, range: result.range, comparisonRange: result.comparisonRange, categories: current };
+}, 'category revenue');
+
+/**
+ * Units sold per SKU
+ * Query: from, to, limit (default 50), sortBy (units|sales)
+ */
+const getSkuSales = (req, res) => respond(res, async () => {
+  const range = salesAnalytics.parseRange({ ...req.query, compare: 'none' });
+  const { limit, sortBy } = req.query;
+  return salesAnalytics.withComparison(range, (period) => salesAnalytics.getUnitsBySku(period, { limit, sortBy }));
+}, 'SKU');
+
+/**
+ * Repeat-purchase rate, new vs returning customers
+ * Query: from, to, compare
+ */
+const getRepeatPurchaseRate = (req, res) => respond(res, async () => {
+  const range = salesAnalytics.parseRange(req.query);
+  const result = await salesAnalytics.withComparison(range, salesAnalytics.getRepeatPurchase);
+  return { ...result, change: salesAnalytics.compareMetrics(result.current, result.previous) };
+}, 'repeat purchase');
+
+/**
+ * Cohort retention by signup month
+ * Query: from, to (signup window, defaults to the last 6 months)
+ */
+const getCohortRetention = (req, res) => respond(res, async () => {
+  const query = { ...req.query, compare: 'none' };
+  if (!query.from) {
+    const start = new Date();
+    start.setUTCMonth(start.getUTCMonth() - 5, 1);
+    query.from = start.toISOString().slice(0, 8) + '01';
+  }
+  const range = salesAnalytics.parseRange(query);
+  return salesAnalytics.withComparison(range, salesAnalytics.getCohortRetention);
+}, 'cohort');
+
+/**
+ * Conversion funnel: cart → order → paid → delivered
+ * Query: from, to, compare
+ */
+const getConversionFunnel = (req, res) => respond(res, async () => {
+  const range = salesAnalytics.parseRange(req.query);
+  return salesAnalytics.withComparison(range, salesAnalytics.getFunnel);
+}, 'funnel');
+
+module.exports = {
+  getSalesSummary,
+  getRevenueOverTime,
+  getRevenueByCategory,
+  getSkuSales,
+  getRepeatPurchaseRate,
+  getCohortRetention,
+  getConversionFunnel
+};
@@ -4,13 +4,14 @@ const Otp = require("../../models/OTP"); // OTP model for storing one-time passw
 const bcrypt = require("bcryptjs"); // Library for password hashing and comparison
 const jwt = require("jsonwebtoken"); // Library for JWT token generation and verification
 const { ApiResponse } = require("../../utils/ApiResponse"); // Utility to standardize API responses
-const { generateToken } = require("../../utils/generateToken"); // Utility to generate JWT tokens
+const sessionService = require("../../services/sessionService"); // Login sessions, refresh tokens and revocation
 const { generateOtp } = require("../../utils/generateOtp"); // Utility to generate OTPs (not used in current code)
 const UserProfile = require("../../models/UserProfile"); // UserProfile model for additional user data
 const { handleFirebaseSignup, loginFirebase } = require('../../services/authService'); // Firebase authentication service functions
 const nodemailer = require("nodemailer"); // Library for sending emails
 const crypto = require("crypto"); // Node.js crypto module (not used in current code)
 const admin = require('../../utils/firebaseConfig'); // Firebase admin SDK configuration
+const { eventBus, EVENTS } = require('../../services/eventBus'); // Business event bus (webhooks etc.)
 
 // Controller for regular login - supports BOTH email and phone number
 exports.loginController = async (req, res) => {
@@ -109,8 +110,8 @@ exports.loginController = async (req, res) => {
         const userObject = existingUser.toObject();
         delete userObject.password;
 
-        // Generate JWT token for authenticated user
-        const token = await generateToken(userObject);
+        // Start a session: short-lived access token plus refresh token for this device
+        const session = await sessionService.startSession(userObject, req, "password");
 
         // Log successful login
         console.log("✅ Login successful for user:", userObject._id);
@@ -118,7 +119,7 @@ exports.loginController = async (req, res) => {
 
         // Return success response with token and user data
         return res.status(200).json(ApiResponse(
-            { token, user: userObject }, 
+            { ...session, user: userObject }, 
             "Login successful", 
             true, 
             200
@@ -187,6 +188,14 @@ exports.signUpController = async (req, res) => {
         });
         await newUserProfile.save();
 
+        eventBus.publish(EVENTS.USER_SIGNUP, {
+            userId: createdUser._id.toString(),
+            name: createdUser.name,
+            email: createdUser.email,
+            phone: createdUser.phNo,
+            authProvider: 'phone_password'
+        });
+
         // Return success response
         return res.status(201).json(ApiResponse(null, "Signup successful. OTP sent successfully.", true, 201));
     } catch (error) {
@@ -214,11 +223,11 @@ exports.signupFirebase = async (req, res) => {
 
     try {
         // Handle Firebase signup and generate JWT token
-        const { token, user } = await handleFirebaseSignup(idToken);
-        console.log("JWT token generated:", token);
+        const { user, ...session } = await handleFirebaseSignup(idToken, req);
+        console.log("Session started for user:", user._id);
 
-        // Return success response with token and user data
-        return res.status(200).json(ApiResponse({ token, user }, "OTP verified successfully", true, 200));
+        // Return success response with tokens and user data
+        return res.status(200).json(ApiResponse({ ...session, user }, "OTP verified successfully", true, 200));
     } catch (error) {
         // Log error and return 400 response
         console.error("Error during Firebase signup:", error);
@@ -331,6 +340,14 @@ exports.loginFirebase = async (req, res) => {
             });
             await newUserProfile.save();
             console.log("✅ User profile created for:", user._id);
+
+            eventBus.publish(EVENTS.USER_SIGNUP, {
+                userId: user._id.toString(),
+                name: user.name,
+                email: user.email,
+                phone: user.phNo,
+                authProvider
+            });
         } else if (user.firebaseUid === firebaseUid) {
             // STEP 4: User found by firebaseUid - just update login info
             console.log("✅ Existing user found with matching Firebase UID:", user._id);
@@ -396,8 +413,8 @@ exports.loginFirebase = async (req, res) => {
             authProvider: userObject.authProvider
         });
 
-        // Generate JWT token using the generateToken utility (consistent with other login methods)
-        const token = await generateToken(userObject);
+        // Start a session (consistent with other login methods)
+        const session = await sessionService.startSession(userObject, req, authProvider);
         
         console.log("🔐 JWT token generated successfully for user:", user._id);
         console.log("✅ User authentication status:", {
@@ -410,7 +427,7 @@ exports.loginFirebase = async (req, res) => {
         return res.status(200).json(
             ApiResponse(
                 {
-                    token,
+                    ...session,
                     user: userObject,
                     isNewUser: !user.createdAt || (Date.now() - new Date(user.createdAt).getTime()) < 60000 // Consider new if created within last minute
                 },
@@ -538,13 +555,13 @@ exports.verifyFirebaseOtp = async (req, res) => {
             role: 'admin',
             authProvider: 'firebase_phone'
         };
-        const token = await generateToken(tokenPayload);
+        const session = await sessionService.startSession(tokenPayload, req, "firebase_phone");
         
         console.log("🎯 Admin authentication successful");
 
         // Return success response with token and admin user data
         return res.status(200).json(ApiResponse({ 
-            token, 
+            ...session, 
             user: {
                 _id: user._id,
                 phNo: user.phNo,
@@ -676,6 +693,9 @@ exports.resetPassword = async (req, res) => {
         user.password = hashedPassword;
         await user.save();
 
+        // Sign the account out everywhere; devices log in again with the new password
+        await sessionService.revokeAllSessions(user._id, "password_reset");
+
         // Return success response
         return res.status(200).json(ApiResponse(null, "Password reset successfully", true, 200));
     } catch (error) {
@@ -698,8 +718,9 @@ exports.deleteUser = async (req, res) => {
             return res.status(404).json(ApiResponse(null, "User not found", false, 404));
         }
 
-        // Delete user from database
+        // Delete user from database and end their sessions
         await User.deleteOne({ _id: userId });
+        await sessionService.revokeAllSessions(userId, "account_deleted");
 
         // Return success response
         return res.status(200).json(ApiResponse(null, "User deleted successfully", true, 200));
@@ -724,40 +745,31 @@ exports.getTotalUserCount = async (req, res) => {
     }
 };
 
-// Refresh JWT token using current valid token
+// Refresh tokens
+// { refreshToken } rotates the refresh token and returns a new pair; without one, a still-valid
+// access token (req.user) gets a new access token for its session (older apps)
 exports.refreshToken = async (req, res) => {
     try {
-        // The user is already authenticated via verifyToken middleware
-        // req.user contains the decoded user information
-        const userId = req.user._id;
-        
-        // Fetch fresh user data from database
-        const user = await User.findById(userId);
-        
-        if (!user) {
-            return res.status(404).json(ApiResponse(null, "User not found", false, 404));
-        }
-
-        // Convert to plain object and remove password
-        const userObject = user.toObject();
-        delete userObject.password;
+        const { refreshToken } = req.body || {};
+        let result;
 
-        // Generate new JWT token
-        const newToken = await generateToken(userObject);
+        if (refreshToken) {
+            result = await sessionService.refreshSession(refreshToken, req);
+        } else if (req.user) {
+            result = await sessionService.reissueAccessToken(req.user, req);
+        } else {
+            return res.status(401).json(ApiResponse(null, "Refresh token or valid access token required, please login again", false, 401));
+        }
 
-        console.log(`Token refreshed for user: ${user.phNo || user.email}`);
+        console.log(`Token refreshed for user: ${result.user.phNo || result.user.email}`);
 
-        // Return success response with new token
-        return res.status(200).json(ApiResponse(
-            { 
-                token: newToken,
-                user: userObject 
-            }, 
-            "Token refreshed successfully", 
-            true, 
-            200
-        ));
+        // Return success response with new tokens
+        return res.status(200).json(ApiResponse(result, "Token refreshed successfully", true, 200));
     } catch (error) {
+        const status = sessionService.SESSION_ERROR_STATUS[error.code];
+        if (status) {
+            return res.status(status).json(ApiResponse({ code: error.code }, error.message, false, status));
+        }
         console.error("Error refreshing token:", error);
         return res.status(500).json(ApiResponse(null, "Internal server error", false, 500));
     }
@@ -883,14 +895,14 @@ exports.verifyOtp = async (req, res) => {
         const userObject = user.toObject();
         delete userObject.password;
 
-        // Generate JWT token
-        const token = await generateToken(userObject);
+        // Start a session for this device
+        const session = await sessionService.startSession(userObject, req, "otp");
 
         console.log(`OTP verified successfully for ${phoneNumber}`);
 
         return res.status(200).json(ApiResponse(
             { 
-                token,
+                ...session,
                 user: userObject 
             }, 
             "Login successful", 
@@ -978,6 +990,14 @@ exports.verifyFirebaseIdToken = async (req, res) => {
                 authProvider: 'firebase'
             });
             await user.save();
+
+            eventBus.publish(EVENTS.USER_SIGNUP, {
+                userId: user._id.toString(),
+                name: user.name,
+                email: user.email,
+                phone: user.phNo,
+                authProvider: 'firebase'
+            });
         }
 
         // Update last login
@@ -988,14 +1008,14 @@ exports.verifyFirebaseIdToken = async (req, res) => {
         const userObject = user.toObject();
         delete userObject.password;
 
-        // Generate JWT token
-        const token = await generateToken(userObject);
+        // Start a session for this device
+        const session = await sessionService.startSession(userObject, req, "firebase");
 
         console.log(`Firebase ID token verified for UID: ${firebaseUid}`);
 
         return res.status(200).json(ApiResponse(
             { 
-                token,
+                ...session,
                 user: userObject 
             }, 
             "Firebase authentication successful", 
@@ -1182,17 +1202,11 @@ exports.logout = async (req, res) => {
         const userInfo = req.user ? `User ID: ${req.user._id}, Email: ${req.user.email}` : 'Unauthenticated user';
         console.log(`🚪 Logout request received from: ${userInfo}`);
         
-        // In a stateless JWT system, logout is mainly handled on the client side
-        // Server-side cleanup can be added here if needed
-        
-        // Optional: Add token to blacklist for production security
-        // const token = req.headers.authorization?.replace('Bearer ', '');
-        // if (token) {
-        //     console.log('Token blacklisting not implemented - using stateless logout');
-        //     // await TokenBlacklist.create({ token, expiresAt: new Date(Date.now() + 24*60*60*1000) });
-        // }
+        // Revoke this access token and end its session; a refresh token in the body ends
+        // the session when the access token has already expired
+        const { sessionId } = await sessionService.logout(req.user, req.body?.refreshToken);
         
-        console.log("✅ User logged out successfully");
+        console.log("✅ User logged out successfully", sessionId ? `(session ${sessionId})` : "");
         
         // Return response in format expected by frontend
         return res.status(200).json({
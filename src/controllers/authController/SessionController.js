@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+const sessionService = require("../../services/sessionService");
+const { ApiResponse } = require("../../utils/ApiResponse");
+
+const { SESSION_ERROR_STATUS } = sessionService;
+
+const sendSessionError = (res, error, fallbackMessage) => {
+    const status = SESSION_ERROR_STATUS[error.code];
+    if (status) {
+        return res.status(status).json(ApiResponse({ code: error.code }, error.message, false, status));
+    }
+    console.error(`${fallbackMessage}:`, error);
+    return res.status(500).json(ApiResponse(null, fallbackMessage, false, 500));
+};
+
+const isValidUserId = (res, userId) => {
+    if (mongoose.Types.ObjectId.isValid(userId)) return true;
+    res.status(400).json(ApiResponse(null, "Invalid user ID", false, 400));
+    return false;
+};
+
+// The signed-in user's active sessions; `current` marks the one making the request
+exports.getMySessions = async (req, res) => {
+    try {
+        const sessions = await sessionService.listSessions(req.user._id, { currentSessionId: req.user.sid });
+        return res.status(200).json(ApiResponse(sessions, "Sessions retrieved successfully", true, 200));
+    } catch (error) {
+        return sendSessionError(res, error, "Failed to fetch sessions");
+    }
+};
+
+// Sign out one of the user's devices
+exports.revokeMySession = async (req, res) => {
+    try {
+        const result = await sessionService.revokeSession(req.user._id, req.params.sessionId, "revoked");
+        return res.status(200).json(ApiResponse(result, "Session signed out successfully", true, 200));
+    } catch (error) {
+        return sendSessionError(res, error, "Failed to sign out session");
+    }
+};
+
+// Sign out every device, including this one
+exports.logoutAllDevices = async (req, res) => {
+    try {
+        const result = await sessionService.revokeAllSessions(req.user._id, "logout_all");
+        return res.status(200).json(ApiResponse(result, "Logged out of all devices", true, 200));
+    } catch (error) {
+        return sendSessionError(res, error, "Failed to log out of all devices");
+    }
+};
+
+// Admin: a user's sessions, including signed-out ones with ?includeRevoked=true
+exports.adminGetUserSessions = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        if (!isValidUserId(res, userId)) return;
+
+        const sessions = await sessionService.listSessions(userId, { includeRevoked: req.query.includeRevoked === "true" });
+        return res.status(200).json(ApiResponse(sessions, "Sessions retrieved successfully", true, 200));
+    } catch (error) {
+        return sendSessionError(res, error, "Failed to fetch sessions");
+    }
+};
+
+// Admin: sign a user out everywhere, e.g. lost phone or revoked admin access
+exports.adminRevokeUserSessions = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        if (!isValidUserId(res, userId)) return;
+
+        const result = await sessionService.revokeAllSessions(userId, "admin");
+        return res.status(200).json(ApiResponse(result, "User signed out of all devices", true, 200));
+    } catch (error) {
+        return sendSessionError(res, error, "Failed to revoke sessions");
+    }
+};
+
+// Admin: sign out one of a user's sessions
+exports.adminRevokeUserSession = async (req, res) => {
+    try {
+        const { userId, sessionId } = req.params;
+        if (!isValidUserId(res, userId)) return;
+
+        const result = await sessionService.revokeSession(userId, sessionId, "admin");
+        return res.status(200).json(ApiResponse(result, "Session signed out successfully", true, 200));
+    } catch (error) {
+        return sendSessionError(res, error, "Failed to sign out session");
+    }
+};
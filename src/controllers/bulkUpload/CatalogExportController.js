@@ -0,0 +1,63 @@
+const crypto = require("crypto");
+const catalogExportService = require("../../services/catalogExportService");
+const { ApiResponse } = require("../../utils/ApiResponse");
+
+const { CATALOG_EXPORT_ERROR_STATUS } = catalogExportService;
+
+const sendExportError = (res, error, fallbackMessage) => {
+  const status = CATALOG_EXPORT_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json(ApiResponse({ code: error.code, ...error.details }, error.message, false, status));
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json(ApiResponse(null, fallbackMessage, false, 500));
+};
+
+// With CATALOG_FEED_TOKEN set, the feed is only served to URLs carrying ?token=<it>
+const hasFeedAccess = (token) => {
+  const expected = process.env.CATALOG_FEED_TOKEN;
+  if (!expected) return true;
+  const received = Buffer.from(String(token || ""));
+  const wanted = Buffer.from(expected);
+  return received.length === wanted.length && crypto.timingSafeEqual(received, wanted);
+};
+
+/**
+ * Whole catalogue, one row per size, as CSV (default) or XLSX
+ * (?format&status=live,draft|all&category&subCategory&inStock)
+ */
+exports.exportCatalog = async (req, res) => {
+  try {
+    const result = await catalogExportService.exportCatalog(req.query);
+    const fileName = `catalog-export-${Date.now()}.${result.format}`;
+
+    if (result.format === "xlsx") {
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    } else {
+      res.setHeader("Content-Type", "text/csv");
+    }
+    res.setHeader("Content-Disposition", `attachment; filename=${fileName}`);
+    return res.send(result.body);
+  } catch (error) {
+    return sendExportError(res, error, "Failed to export the catalog");
+  }
+};
+
+/**
+ * Product feed XML for Google Merchant Center (/feed/google) or a Meta catalog (/feed/meta)
+ */
+exports.getProductFeed = async (req, res) => {
+  try {
+    if (!hasFeedAccess(req.query.token)) {
+      return res.status(401).json(ApiResponse(null, "Invalid feed token", false, 401));
+    }
+
+    const feed = await catalogExportService.buildProductFeed({ channel: req.params.channel });
+
+    res.setHeader("Content-Type", "application/xml; charset=utf-8");
+    res.setHeader("Last-Modified", feed.generatedAt.toUTCString());
+    return res.send(feed.xml);
+  } catch (error) {
+    return sendExportError(res, error, "Failed to build the product feed");
+  }
+};
@@ -0,0 +1,99 @@
+const catalogImportService = require("../../services/catalogImportService");
+const { ApiResponse } = require("../../utils/ApiResponse");
+
+const { CATALOG_IMPORT_ERROR_STATUS, IMPORT_FIELDS } = catalogImportService;
+
+const sendImportError = (res, error, fallbackMessage) => {
+  const status = CATALOG_IMPORT_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json(ApiResponse({ code: error.code, ...error.details }, error.message, false, status));
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json(ApiResponse(null, fallbackMessage, false, 500));
+};
+
+const isTrue = (value) => value === true || value === "true" || value === "1";
+
+/**
+ * Import template as CSV (default) or XLSX (with a sheet describing each column)
+ */
+exports.downloadTemplate = async (req, res) => {
+  try {
+    const format = req.query.format === "xlsx" ? "xlsx" : "csv";
+    const template = catalogImportService.buildTemplate(format);
+
+    if (format === "xlsx") {
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      res.setHeader("Content-Disposition", "attachment; filename=catalog-import-template.xlsx");
+    } else {
+      res.setHeader("Content-Type", "text/csv");
+      res.setHeader("Content-Disposition", "attachment; filename=catalog-import-template.csv");
+    }
+    return res.send(template);
+  } catch (error) {
+    return sendImportError(res, error, "Failed to build the import template");
+  }
+};
+
+/**
+ * Import fields and the headers each one is recognised by, for building a column mapping
+ */
+exports.getImportFields = async (req, res) => {
+  return res.status(200).json(ApiResponse(IMPORT_FIELDS, "Import fields fetched", true, 200));
+};
+
+/**
+ * Upload a CSV/XLSX file. Dry run unless dryRun=false. Small files are processed
+ * straight away; large ones (or background=true) return 202 with the import to poll.
+ */
+exports.importCatalog = async (req, res) => {
+  try {
+    const catalogImport = await catalogImportService.startImport({
+      file: req.file,
+      dryRun: req.body.dryRun === undefined ? true : isTrue(req.body.dryRun),
+      mapping: req.body.mapping,
+      background: isTrue(req.body.background),
+      userId: req.user?._id,
+    });
+
+    if (catalogImport.status === "queued" || catalogImport.status === "processing") {
+      return res.status(202).json(ApiResponse(
+        { importId: catalogImport._id, status: catalogImport.status, totals: catalogImport.totals, dryRun: catalogImport.dryRun },
+        "Import started; poll the import for its progress",
+        true,
+        202
+      ));
+    }
+
+    const message = catalogImport.status === "failed"
+      ? `Import failed: ${catalogImport.error}`
+      : (catalogImport.dryRun ? "Dry run completed; nothing was saved" : "Import completed");
+    return res.status(200).json(ApiResponse(catalogImport, message, catalogImport.status !== "failed", 200));
+  } catch (error) {
+    return sendImportError(res, error, "Catalog import failed");
+  }
+};
+
+/**
+ * Recent imports (status, totals, who ran them)
+ */
+exports.listImports = async (req, res) => {
+  try {
+    const result = await catalogImportService.listImports(req.query);
+    return res.status(200).json(ApiResponse(result, "Imports fetched", true, 200));
+  } catch (error) {
+    return sendImportError(res, error, "Failed to fetch imports");
+  }
+};
+
+/**
+ * One import: status, progress and per-row diff and errors
+ */
+exports.getImport = async (req, res) => {
+  try {
+    const catalogImport = await catalogImportService.getImport(req.params.importId, req.query);
+    return res.status(200).json(ApiResponse(catalogImport, "Import fetched", true, 200));
+  } catch (error) {
+    return sendImportError(res, error, "Failed to fetch the import");
+  }
+};
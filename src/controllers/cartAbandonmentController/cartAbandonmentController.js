@@ -2,6 +2,11 @@ const CartAbandonment = require('../../models/CartAbandonment');
 const admin = require('../../config/firebase-admin');
 const XLSX = require('xlsx');
 const nodemailer = require('nodemailer');
+const CartRecoveryConfig = require('../../models/CartRecoveryConfig');
+const cartRecoveryService = require('../../services/cartRecoveryService');
+const { parseRange } = require('../../services/salesAnalyticsService');
+
+const RECOVERY_CONFIG_FIELDS = ['isEnabled', 'abandonAfterMinutes', 'maxCartAgeDays', 'minCartValue', 'steps'];
 
 class CartAbandonmentController {
   // Get all abandoned cart users with filters
@@ -542,6 +547,118 @@ class CartAbandonmentController {
       });
     }
   }
+
+  // Get the automated recovery sequence settings
+  static async getRecoveryConfig(req, res) {
+    try {
+      const config = await CartRecoveryConfig.getConfig();
+      res.json({
+        success: true,
+        data: config
+      });
+    } catch (error) {
+      console.error('Error fetching cart recovery config:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching cart recovery config',
+        error: error.message
+      });
+    }
+  }
+
+  // Update the automated recovery sequence settings
+  static async updateRecoveryConfig(req, res) {
+    try {
+      const config = await CartRecoveryConfig.getConfig();
+
+      for (const field of RECOVERY_CONFIG_FIELDS) {
+        if (req.body[field] !== undefined) config[field] = req.body[field];
+      }
+
+      const keys = config.steps.map(step => step.key);
+      if (new Set(keys).size !== keys.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Step keys must be unique'
+        });
+      }
+      config.steps.sort((a, b) => a.delayMinutes - b.delayMinutes);
+
+      await config.save();
+
+      res.json({
+        success: true,
+        message: 'Cart recovery config updated',
+        data: config
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Error updating cart recovery config:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating cart recovery config',
+        error: error.message
+      });
+    }
+  }
+
+  // Recovery performance per sequence step (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+  static async getRecoveryReport(req, res) {
+    try {
+      const range = parseRange({ from: req.query.from, to: req.query.to });
+      const report = await cartRecoveryService.getRecoveryReport({ from: range.start, to: range.end });
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      if (error.code === 'INVALID_RANGE') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Error building cart recovery report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error building cart recovery report',
+        error: error.message
+      });
+    }
+  }
+
+  // Open-tracking pixel embedded in recovery e-mails
+  static async trackOpen(req, res) {
+    try {
+      await cartRecoveryService.trackOpen(req.params.token.replace(/\.gif$/, ''));
+    } catch (error) {
+      console.error('Error tracking recovery e-mail open:', error);
+    }
+
+    res.set({
+      'Content-Type': 'image/gif',
+      'Cache-Control': 'no-store, no-cache, must-revalidate, private'
+    });
+    res.send(cartRecoveryService.TRACKING_PIXEL);
+  }
+
+  // Tracked link in recovery messages; always lands on the storefront cart
+  static async trackClick(req, res) {
+    let target = `${process.env.FRONTEND_URL}/cart`;
+    try {
+      target = await cartRecoveryService.trackClick(req.params.token);
+    } catch (error) {
+      console.error('Error tracking recovery message click:', error);
+    }
+
+    res.redirect(302, target);
+  }
 }
 
 module.exports = CartAbandonmentController;
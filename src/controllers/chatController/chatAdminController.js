@@ -4,6 +4,9 @@ const ChatMessage = require('../../models/ChatMessage');
 const ChatRating = require('../../models/ChatRating');
 const User = require('../../models/User');
 const { ApiResponse } = require('../../utils/ApiResponse');
+const chatRealtime = require('../../services/chatRealtimeService');
+const chatRouting = require('../../services/chatRoutingService');
+const chatOrders = require('../../services/chatOrderService');
 
 // Helper functions for standardized responses
 const successResponse = (res, data, message, statusCode = 200) => {
@@ -47,8 +50,10 @@ const getActiveSessions = async (req, res) => {
       messageCount: session.messageCount,
       assignedAdmin: session.assignedAdmin,
       priority: session.priority,
+      category: session.category,
       tags: session.tags,
       isEscalated: session.isEscalated,
+      sla: session.sla,
       sessionAge: session.sessionAge,
     }));
 
@@ -78,6 +83,8 @@ const getAllSessions = async (req, res) => {
       status,
       assignedAdmin,
       priority,
+      category,
+      slaBreached,
       tags,
       startDate,
       endDate,
@@ -96,6 +103,13 @@ const getAllSessions = async (req, res) => {
     if (status) filter.status = status;
     if (assignedAdmin) filter.assignedAdmin = assignedAdmin;
     if (priority) filter.priority = priority;
+    if (category) filter.category = category;
+    if (slaBreached === 'true') {
+      filter.$or = [
+        { 'sla.firstResponseBreachedAt': { $ne: null } },
+        { 'sla.resolutionBreachedAt': { $ne: null } },
+      ];
+    }
     if (tags) filter.tags = { $in: Array.isArray(tags) ? tags : [tags] };
     if (isGuest !== undefined) filter['userInfo.isGuest'] = isGuest === 'true';
     
@@ -131,6 +145,8 @@ const getAllSessions = async (req, res) => {
         status,
         assignedAdmin,
         priority,
+        category,
+        slaBreached,
         tags,
         startDate,
         endDate,
@@ -171,10 +187,14 @@ const getAdminSessionDetails = async (req, res) => {
     // Get rating if exists
     const rating = await ChatRating.findOne({ sessionId }).lean();
 
+    // Linked orders with live status, for the agent's side panel
+    const orders = await chatOrders.getOrderContext(session);
+
     return successResponse(res, {
       session,
       recentMessages: recentMessages.reverse(), // Show in chronological order
       rating,
+      orders,
     }, 'Session details retrieved successfully');
 
   } catch (error) {
@@ -183,16 +203,102 @@ const getAdminSessionDetails = async (req, res) => {
   }
 };
 
+/**
+ * Open the real-time event stream for the support team (Server-Sent Events)
+ * Carries messages, typing, receipts and session events of every session
+ * GET /api/chat/admin/stream
+ */
+const streamAdminEvents = async (req, res) => {
+  try {
+    chatRealtime.subscribeAdmin(req, res, req.user._id);
+  } catch (error) {
+    console.error('Error opening admin chat stream:', error);
+    if (res.headersSent) return res.end();
+    return errorResponse(res, 'Failed to open chat stream', 500);
+  }
+};
+
+/**
+ * Typing indicator from an admin
+ * POST /api/chat/admin/session/:sessionId/typing
+ */
+const sendAdminTypingIndicator = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { isTyping = true } = req.body;
+
+    const session = await ChatSession.findOne({ sessionId }).select('status').lean();
+    if (!session) {
+      return errorResponse(res, 'Chat session not found', 404);
+    }
+
+    if (session.status === 'active') {
+      chatRealtime.publishTyping(sessionId, {
+        sender: 'admin',
+        adminId: req.user._id,
+        name: req.user.name || 'Support Agent',
+        isTyping: Boolean(isTyping),
+      });
+    }
+
+    return successResponse(res, null, 'Typing status sent');
+
+  } catch (error) {
+    console.error('Error sending admin typing indicator:', error);
+    return errorResponse(res, 'Failed to send typing status', 500);
+  }
+};
+
+/**
+ * Mark customer messages as read by the support team
+ * PATCH /api/chat/admin/messages/:sessionId/read
+ */
+const markMessagesAsReadByAdmin = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { messageIds } = req.body;
+
+    const filter = {
+      sessionId,
+      sender: 'user',
+      status: { $ne: 'read' }
+    };
+    if (Array.isArray(messageIds)) {
+      filter.messageId = { $in: messageIds };
+    }
+
+    const unread = await ChatMessage.find(filter).select('messageId').lean();
+    const readAt = new Date();
+    if (unread.length) {
+      const ids = unread.map(m => m.messageId);
+      await ChatMessage.updateMany(
+        { sessionId, messageId: { $in: ids } },
+        { status: 'read', 'metadata.readAt': readAt }
+      );
+
+      // Read receipt for the customer
+      chatRealtime.publishReceipt(sessionId, { status: 'read', by: 'admin', messageIds: ids, at: readAt });
+    }
+
+    return successResponse(res, { markedAsRead: unread.length }, 'Messages marked as read');
+
+  } catch (error) {
+    console.error('Error marking messages as read by admin:', error);
+    return errorResponse(res, 'Failed to mark messages as read', 500);
+  }
+};
+
 /**
  * Send admin message
  * POST /api/chat/admin/message
  */
 const sendAdminMessage = async (req, res) => {
   try {
-    const { sessionId, message, messageType = 'text', attachments = [] } = req.body;
+    const { sessionId, messageType = 'text', attachments = [], cannedResponseId, orderId, variables } = req.body;
+    let { message } = req.body;
 
-    if (!sessionId || !message) {
-      return errorResponse(res, 'Session ID and message are required', 400);
+    if (!sessionId || (!message && !cannedResponseId)) {
+      return errorResponse(res, 'Session ID and message (or cannedResponseId) are required', 400);
     }
 
     // Find the session
@@ -211,8 +317,20 @@ const sendAdminMessage = async (req, res) => {
       return errorResponse(res, 'Admin user not found', 404);
     }
 
+    // Fill in the canned reply for this chat; fails when a placeholder has no value
+    if (cannedResponseId) {
+      try {
+        message = await chatRouting.useCannedResponse(cannedResponseId, session, { agent: adminUser, orderId, variables });
+      } catch (error) {
+        const status = chatRouting.CHAT_ROUTING_ERROR_STATUS[error.code];
+        if (!status) throw error;
+        return errorResponse(res, error.message, status, { code: error.code, ...error.details });
+      }
+    }
+
     // Assign admin to session if not already assigned
-    if (!session.assignedAdmin) {
+    const autoAssigned = !session.assignedAdmin;
+    if (autoAssigned) {
       await session.assignAdmin(adminUser);
     }
 
@@ -247,9 +365,18 @@ const sendAdminMessage = async (req, res) => {
     });
 
     await adminMessage.save();
+    await chatRouting.recordAgentReply(sessionId, adminMessage.timestamp);
+
+    if (autoAssigned) {
+      chatRealtime.publishSessionEvent(sessionId, chatRealtime.EVENTS.SESSION_ASSIGNED, {
+        assignedAdmin: { id: adminUser._id, name: adminUser.name },
+      });
+    }
+    chatRealtime.publishMessage(adminMessage);
 
     return successResponse(res, {
       messageId: adminMessage.messageId,
+      message: adminMessage.message,
       status: 'sent',
       timestamp: adminMessage.timestamp,
     }, 'Admin message sent successfully');
@@ -303,6 +430,16 @@ const endSessionAsAdmin = async (req, res) => {
 
     await endMessage.save();
 
+    chatRealtime.publishMessage(endMessage);
+    chatRealtime.publishSessionEvent(sessionId, chatRealtime.EVENTS.SESSION_ENDED, {
+      status: session.status,
+      endedBy: 'admin',
+      endTime: session.endTime,
+      reason: reason || null,
+    });
+    // The agent has room for a waiting chat now
+    chatRouting.drainQueueInBackground();
+
     return successResponse(res, {
       sessionId: session.sessionId,
       status: session.status,
@@ -332,10 +469,12 @@ const assignSession = async (req, res) => {
 
     let targetAdmin;
     if (adminId) {
-      targetAdmin = await User.findById(adminId);
-      if (!targetAdmin || targetAdmin.role !== 'admin') {
+      try {
+        await chatRouting.assertSupportAgent(adminId);
+      } catch (error) {
         return errorResponse(res, 'Invalid admin user', 400);
       }
+      targetAdmin = await User.findById(adminId);
     } else {
       // Self-assign
       targetAdmin = await User.findById(req.user._id);
@@ -364,6 +503,12 @@ const assignSession = async (req, res) => {
 
     await assignMessage.save();
 
+    chatRealtime.publishMessage(assignMessage);
+    chatRealtime.publishSessionEvent(sessionId, chatRealtime.EVENTS.SESSION_ASSIGNED, {
+      assignedAdmin: { id: targetAdmin._id, name: targetAdmin.name },
+      assignedBy: 'manual',
+    });
+
     return successResponse(res, {
       sessionId: session.sessionId,
       assignedAdmin: {
@@ -450,6 +595,12 @@ const escalateSession = async (req, res) => {
 
     await escalationMessage.save();
 
+    chatRealtime.publishMessage(escalationMessage);
+    chatRealtime.publishSessionEvent(sessionId, chatRealtime.EVENTS.SESSION_ESCALATED, {
+      priority: session.priority,
+      reason: session.escalationReason,
+    });
+
     return successResponse(res, {
       sessionId: session.sessionId,
       isEscalated: session.isEscalated,
@@ -761,7 +912,8 @@ const healthCheck = async (req, res) => {
         totalSessions: sessionCount,
         totalMessages: messageCount,
         activeSessions: activeSessionCount,
-      }
+      },
+      realtime: chatRealtime.getStats(),
     }, 'Chat service is healthy');
 
   } catch (error) {
@@ -780,7 +932,14 @@ const getChatConfig = async (req, res) => {
       maxMessageLength: 2000,
       maxAttachmentSize: 10 * 1024 * 1024, // 10MB
       allowedFileTypes: ['image/jpeg', 'image/png', 'image/gif', 'application/pdf', 'text/plain'],
-      pollingInterval: 2000, // 2 seconds
+      pollingInterval: 2000, // 2 seconds, fallback when the event stream is unavailable
+      realtime: {
+        transport: 'sse',
+        userStream: '/api/chat/stream/:sessionId',
+        adminStream: '/api/chat/admin/stream',
+        heartbeatInterval: chatRealtime.HEARTBEAT_INTERVAL_MS,
+        events: Object.values(chatRealtime.EVENTS),
+      },
       sessionTimeout: 30 * 60 * 1000, // 30 minutes
       ratingScale: { min: 1, max: 5 },
       availableTags: [
@@ -838,6 +997,9 @@ module.exports = {
   getActiveSessions,
   getAllSessions,
   getAdminSessionDetails,
+  streamAdminEvents,
+  sendAdminTypingIndicator,
+  markMessagesAsReadByAdmin,
   sendAdminMessage,
   endSessionAsAdmin,
   assignSession,
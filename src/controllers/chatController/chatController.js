@@ -3,6 +3,10 @@ const ChatMessage = require('../../models/ChatMessage');
 const ChatRating = require('../../models/ChatRating');
 const User = require('../../models/User');
 const { ApiResponse } = require('../../utils/ApiResponse');
+const chatRealtime = require('../../services/chatRealtimeService');
+const chatRouting = require('../../services/chatRoutingService');
+const chatOrders = require('../../services/chatOrderService');
+const { CHAT_CATEGORIES } = require('../../config/chatSupport');
 
 /**
  * Get appropriate display name based on authentication method
@@ -58,8 +62,13 @@ const createChatSession = async (req, res) => {
     });
     console.log('📨 Request body:', JSON.stringify(req.body, null, 2));
 
-    const { userInfo, sessionContext, startTime, status } = req.body;
+    const { userInfo, sessionContext, startTime, status, orderIds } = req.body;
     let { sessionId } = req.body;
+    const category = req.body.category || sessionContext?.category || 'general';
+
+    if (!CHAT_CATEGORIES.includes(category)) {
+      return errorResponse(res, `Invalid category. Allowed: ${CHAT_CATEGORIES.join(', ')}`, 400);
+    }
 
     // Validate required fields
     if (!sessionId) {
@@ -127,12 +136,29 @@ const createChatSession = async (req, res) => {
 
     console.log('💾 Final user info:', JSON.stringify(finalUserInfo, null, 2));
 
+    // Orders the customer is asking about (must be their own)
+    let linkedOrders = [];
+    if (orderIds !== undefined) {
+      if (!Array.isArray(orderIds)) {
+        return errorResponse(res, 'orderIds must be an array', 400);
+      }
+      try {
+        linkedOrders = await chatOrders.resolveCustomerOrders(orderIds, req.user._id);
+      } catch (linkError) {
+        const linkStatus = chatOrders.CHAT_ORDER_ERROR_STATUS[linkError.code];
+        if (!linkStatus) throw linkError;
+        return errorResponse(res, linkError.message, linkStatus, { code: linkError.code, ...linkError.details });
+      }
+    }
+
     // Prepare session data with frontend data where applicable
     const sessionData = {
       sessionId,
       userInfo: finalUserInfo,
       startTime: startTime ? new Date(startTime) : new Date(),
       status: status || 'active',
+      category,
+      linkedOrders,
       sessionContext: {
         ipAddress: req.ip || req.connection.remoteAddress,
         userAgent: req.get('User-Agent'),
@@ -180,13 +206,41 @@ const createChatSession = async (req, res) => {
     await welcomeMessage.save();
     console.log('✅ Welcome message created successfully');
 
+    // Let the support team know a customer is waiting
+    chatRealtime.publishToAdmins(chatRealtime.EVENTS.SESSION_CREATED, {
+      sessionId: newSession.sessionId,
+      status: newSession.status,
+      category: newSession.category,
+      startTime: newSession.startTime,
+      userInfo: {
+        name: finalUserInfo.name,
+        email: finalUserInfo.email,
+        phone: finalUserInfo.phone,
+      },
+      platform: sessionData.sessionContext.platform,
+    });
+    chatRealtime.publishMessage(welcomeMessage);
+
+    // Start SLA timers and hand the chat to an available agent (or queue it)
+    let routing = { assignedAdmin: null, queued: true, sla: null };
+    try {
+      routing = await chatRouting.startSession(newSession);
+    } catch (routingError) {
+      console.error('❌ Chat routing failed, session left in the queue:', routingError);
+    }
+
     console.log('✅ Chat session creation completed successfully!');
     
     return successResponse(res, {
       sessionId: newSession.sessionId,
       status: newSession.status,
+      category: newSession.category,
+      linkedOrders: newSession.linkedOrders,
       createdAt: newSession.createdAt,
       startTime: newSession.startTime,
+      assignedAdmin: routing.assignedAdmin,
+      queued: routing.queued,
+      sla: routing.sla,
       userInfo: {
         userId: finalUserInfo.userId,
         firebaseUid: finalUserInfo.firebaseUid,
@@ -362,6 +416,15 @@ const endChatSession = async (req, res) => {
 
     await endMessage.save();
 
+    chatRealtime.publishMessage(endMessage);
+    chatRealtime.publishSessionEvent(sessionId, chatRealtime.EVENTS.SESSION_ENDED, {
+      status: session.status,
+      endedBy: 'user',
+      endTime: session.endTime,
+    });
+    // The agent has room for a waiting chat now
+    chatRouting.drainQueueInBackground();
+
     // Submit rating if provided
     if (rating) {
       // Build user info with fallbacks for different auth methods (same as submitRating)
@@ -664,10 +727,13 @@ const sendMessage = async (req, res) => {
       { sessionId },
       { 
         lastMessageAt: new Date(),
+        lastUserMessageAt: new Date(),
         $inc: { messageCount: 1 }
       }
     );
 
+    chatRealtime.publishMessage(newMessage);
+
     return successResponse(res, {
       messageId: newMessage.messageId,
       sessionId: newMessage.sessionId,
@@ -733,7 +799,7 @@ const getChatMessages = async (req, res) => {
 };
 
 /**
- * Poll for new messages (for real-time updates)
+ * Poll for new messages (fallback for clients that cannot keep the event stream open)
  * GET /api/chat/poll/:sessionId
  */
 const pollForMessages = async (req, res) => {
@@ -776,6 +842,70 @@ const pollForMessages = async (req, res) => {
   }
 };
 
+/**
+ * Open the real-time event stream for a session (Server-Sent Events)
+ * GET /api/chat/stream/:sessionId
+ */
+const streamChatSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = await ChatSession.findOne({ sessionId }).select('sessionId userInfo status').lean();
+    if (!session) {
+      return errorResponse(res, 'Chat session not found', 404);
+    }
+
+    // Verify user owns this session (Firebase UID security check)
+    const sessionUserId = session.userInfo.userId || session.userInfo.firebaseUid;
+    if (sessionUserId !== req.user.uid) {
+      return errorResponse(res, 'Unauthorized to access this chat session', 403);
+    }
+
+    await chatRealtime.subscribeCustomer(req, res, session, req.user.uid);
+
+  } catch (error) {
+    console.error('Error opening chat stream:', error);
+    // Once the stream is open the client simply reconnects
+    if (res.headersSent) return res.end();
+    return errorResponse(res, 'Failed to open chat stream', 500);
+  }
+};
+
+/**
+ * Typing indicator from the customer
+ * POST /api/chat/typing/:sessionId
+ */
+const sendTypingIndicator = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { isTyping = true } = req.body;
+
+    const session = await ChatSession.findOne({ sessionId }).select('userInfo status').lean();
+    if (!session) {
+      return errorResponse(res, 'Chat session not found', 404);
+    }
+
+    const sessionUserId = session.userInfo.userId || session.userInfo.firebaseUid;
+    if (sessionUserId !== req.user.uid) {
+      return errorResponse(res, 'Unauthorized to access this chat session', 403);
+    }
+
+    if (session.status === 'active') {
+      chatRealtime.publishTyping(sessionId, {
+        sender: 'user',
+        name: session.userInfo.name || req.user.name || 'Customer',
+        isTyping: Boolean(isTyping),
+      });
+    }
+
+    return successResponse(res, null, 'Typing status sent');
+
+  } catch (error) {
+    console.error('Error sending typing indicator:', error);
+    return errorResponse(res, 'Failed to send typing status', 500);
+  }
+};
+
 /**
  * Mark messages as read
  * PATCH /api/chat/messages/:sessionId/read
@@ -785,34 +915,48 @@ const markMessagesAsRead = async (req, res) => {
     const { sessionId } = req.params;
     const { messageIds } = req.body;
 
+    const session = await ChatSession.findOne({ sessionId }).select('userInfo').lean();
+    if (!session) {
+      return errorResponse(res, 'Chat session not found', 404);
+    }
+
+    // Verify user owns this session (Firebase UID security check)
+    const sessionUserId = session.userInfo.userId || session.userInfo.firebaseUid;
+    if (sessionUserId !== req.user.uid) {
+      return errorResponse(res, 'Unauthorized to access this chat session', 403);
+    }
+
+    // Only admin messages the user has not read yet, either the given ones or all of them
+    const filter = {
+      sessionId,
+      sender: 'admin',
+      status: { $ne: 'read' }
+    };
     if (messageIds && Array.isArray(messageIds)) {
+      filter.messageId = { $in: messageIds };
+    }
+
+    const unread = await ChatMessage.find(filter).select('messageId').lean();
+    const readAt = new Date();
+    if (unread.length) {
       await ChatMessage.updateMany(
-        { 
-          sessionId,
-          messageId: { $in: messageIds },
-          sender: 'admin'
-        },
-        { 
-          status: 'read',
-          'metadata.readAt': new Date()
-        }
-      );
-    } else {
-      // Mark all admin messages as read
-      await ChatMessage.updateMany(
-        { 
-          sessionId,
-          sender: 'admin',
-          status: { $ne: 'read' }
-        },
+        { sessionId, messageId: { $in: unread.map(m => m.messageId) } },
         { 
           status: 'read',
-          'metadata.readAt': new Date()
+          'metadata.readAt': readAt
         }
       );
+
+      // Read receipt for the agents
+      chatRealtime.publishReceipt(sessionId, {
+        status: 'read',
+        by: 'user',
+        messageIds: unread.map(m => m.messageId),
+        at: readAt,
+      });
     }
 
-    return successResponse(res, null, 'Messages marked as read');
+    return successResponse(res, { markedAsRead: unread.length }, 'Messages marked as read');
 
   } catch (error) {
     console.error('Error marking messages as read:', error);
@@ -997,6 +1141,8 @@ const getRating = async (req, res) => {
 
 // Import admin controllers
 const adminController = require('./chatAdminController');
+const supportController = require('./chatSupportController');
+const orderController = require('./chatOrderController');
 
 module.exports = {
   // User chat functions
@@ -1007,7 +1153,10 @@ module.exports = {
   sendMessage,
   getChatMessages,
   pollForMessages,
+  streamChatSession,
+  sendTypingIndicator,
   markMessagesAsRead,
+  linkMyOrder: orderController.linkMyOrder,
   submitRating,
   getRating,
   
@@ -1015,7 +1164,10 @@ module.exports = {
   getActiveSessions: adminController.getActiveSessions,
   getAllSessions: adminController.getAllSessions,
   getAdminSessionDetails: adminController.getAdminSessionDetails,
+  streamAdminEvents: adminController.streamAdminEvents,
   sendAdminMessage: adminController.sendAdminMessage,
+  sendAdminTypingIndicator: adminController.sendAdminTypingIndicator,
+  markMessagesAsReadByAdmin: adminController.markMessagesAsReadByAdmin,
   endSessionAsAdmin: adminController.endSessionAsAdmin,
   assignSession: adminController.assignSession,
   addSessionTags: adminController.addSessionTags,
@@ -1024,6 +1176,27 @@ module.exports = {
   getChatAnalytics: adminController.getChatAnalytics,
   getAdminPerformance: adminController.getAdminPerformance,
   getSessionAnalytics: adminController.getSessionAnalytics,
+
+  // Routing, agents and canned responses (from chatSupportController)
+  getMyAgentProfile: supportController.getMyAgentProfile,
+  updateMyAvailability: supportController.updateMyAvailability,
+  getRoutingOverview: supportController.getRoutingOverview,
+  updateAgent: supportController.updateAgent,
+  getRoutingConfig: supportController.getRoutingConfig,
+  updateRoutingConfig: supportController.updateRoutingConfig,
+  getCannedResponses: supportController.getCannedResponses,
+  createCannedResponse: supportController.createCannedResponse,
+  updateCannedResponse: supportController.updateCannedResponse,
+  deleteCannedResponse: supportController.deleteCannedResponse,
+  renderCannedResponse: supportController.renderCannedResponse,
+
+  // Orders linked to a chat and agent order actions (from chatOrderController)
+  getSessionOrders: orderController.getSessionOrders,
+  linkSessionOrder: orderController.linkSessionOrder,
+  unlinkSessionOrder: orderController.unlinkSessionOrder,
+  cancelSessionOrder: orderController.cancelSessionOrder,
+  returnSessionOrder: orderController.returnSessionOrder,
+  resendSessionInvoice: orderController.resendSessionInvoice,
   
   // Utility functions
   healthCheck: adminController.healthCheck,
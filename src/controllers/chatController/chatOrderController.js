@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const ChatSession = require('../../models/ChatSession');
+const User = require('../../models/User');
+const chatOrders = require('../../services/chatOrderService');
+const { ApiResponse } = require('../../utils/ApiResponse');
+
+const { CHAT_ORDER_ERROR_STATUS } = chatOrders;
+
+// Helper functions for standardized responses
+const successResponse = (res, data, message, statusCode = 200) => {
+  return res.status(statusCode).json(ApiResponse(data, message, true, statusCode));
+};
+
+const errorResponse = (res, message, statusCode = 500, data = null) => {
+  return res.status(statusCode).json(ApiResponse(data, message, false, statusCode));
+};
+
+const sendOrderError = (res, error, fallbackMessage) => {
+  const status = CHAT_ORDER_ERROR_STATUS[error.code];
+  if (status) {
+    return errorResponse(res, error.message, status, { code: error.code, ...error.details });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return errorResponse(res, fallbackMessage, 500);
+};
+
+// ---------- CUSTOMER CONTROLLERS ----------
+
+/**
+ * Link one of the customer's orders to their chat
+ * POST /api/chat/session/:sessionId/orders
+ */
+const linkMyOrder = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { orderId, orderNumber } = req.body;
+
+    if (!orderId && !orderNumber) {
+      return errorResponse(res, 'orderId or orderNumber is required', 400);
+    }
+
+    const session = await ChatSession.findOne({ sessionId });
+    if (!session) {
+      return errorResponse(res, 'Chat session not found', 404);
+    }
+
+    // Verify user owns this session (Firebase UID security check)
+    const sessionUserId = session.userInfo.userId || session.userInfo.firebaseUid;
+    if (sessionUserId !== req.user.uid) {
+      return errorResponse(res, 'Unauthorized to access this chat session', 403);
+    }
+
+    if (session.status !== 'active') {
+      return errorResponse(res, 'Cannot link orders to an inactive chat session', 400);
+    }
+
+    const { alreadyLinked } = await chatOrders.linkOrder(session, { orderId, orderNumber }, {
+      linkedBy: 'customer',
+      userId: req.user._id,
+    });
+
+    return successResponse(res, { linkedOrders: session.linkedOrders }, alreadyLinked ? 'Order already linked' : 'Order linked successfully');
+
+  } catch (error) {
+    return sendOrderError(res, error, 'Failed to link order');
+  }
+};
+
+// ---------- ADMIN CONTROLLERS ----------
+
+/**
+ * Linked orders with status, payment, live tracking, return eligibility and invoice
+ * GET /api/chat/admin/session/:sessionId/orders
+ */
+const getSessionOrders = async (req, res) => {
+  try {
+    const session = await ChatSession.findOne({ sessionId: req.params.sessionId }).select('sessionId linkedOrders').lean();
+    if (!session) {
+      return errorResponse(res, 'Chat session not found', 404);
+    }
+
+    const orders = await chatOrders.getOrderContext(session);
+    return successResponse(res, orders, 'Session orders retrieved successfully');
+
+  } catch (error) {
+    return sendOrderError(res, error, 'Failed to retrieve session orders');
+  }
+};
+
+/**
+ * Link any order to a chat, by id or customer-facing order number
+ * POST /api/chat/admin/session/:sessionId/orders
+ */
+const linkSessionOrder = async (req, res) => {
+  try {
+    const { orderId, orderNumber } = req.body;
+    if (!orderId && !orderNumber) {
+      return errorResponse(res, 'orderId or orderNumber is required', 400);
+    }
+
+    const session = await ChatSession.findOne({ sessionId: req.params.sessionId });
+    if (!session) {
+      return errorResponse(res, 'Chat session not found', 404);
+    }
+
+    const { alreadyLinked } = await chatOrders.linkOrder(session, { orderId, orderNumber }, {
+      linkedBy: 'admin',
+      userId: req.user._id,
+    });
+    const orders = await chatOrders.getOrderContext(session);
+
+    return successResponse(res, orders, alreadyLinked ? 'Order already linked' : 'Order linked successfully');
+
+  } catch (error) {
+    return sendOrderError(res, error, 'Failed to link order');
+  }
+};
+
+/**
+ * Remove an order from a chat
+ * DELETE /api/chat/admin/session/:sessionId/orders/:orderId
+ */
+const unlinkSessionOrder = async (req, res) => {
+  try {
+    const session = await ChatSession.findOne({ sessionId: req.params.sessionId });
+    if (!session) {
+      return errorResponse(res, 'Chat session not found', 404);
+    }
+
+    await chatOrders.unlinkOrder(session, req.params.orderId);
+    return successResponse(res, { linkedOrders: session.linkedOrders }, 'Order unlinked successfully');
+
+  } catch (error) {
+    return sendOrderError(res, error, 'Failed to unlink order');
+  }
+};
+
+// Run an order action from the chat and return its result with the system message it posted
+const runOrderAction = (action, successMessage, fallbackMessage) => async (req, res) => {
+  try {
+    const { sessionId, orderId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return errorResponse(res, 'Invalid order ID', 400);
+    }
+
+    const agent = await User.findById(req.user._id).select('name email').lean();
+    if (!agent) {
+      return errorResponse(res, 'Admin user not found', 404);
+    }
+
+    const { result, message } = await chatOrders.performOrderAction(sessionId, orderId, action, req.body || {}, agent);
+    return successResponse(res, { ...result, message }, successMessage);
+
+  } catch (error) {
+    return sendOrderError(res, error, fallbackMessage);
+  }
+};
+
+/**
+ * Cancel a linked order (refund and restock included)
+ * POST /api/chat/admin/session/:sessionId/orders/:orderId/cancel
+ */
+const cancelSessionOrder = runOrderAction('cancel', 'Order cancelled successfully', 'Failed to cancel order');
+
+/**
+ * Start a return for a linked, delivered order
+ * POST /api/chat/admin/session/:sessionId/orders/:orderId/return
+ */
+const returnSessionOrder = runOrderAction('return', 'Return created successfully', 'Failed to create return');
+
+/**
+ * E-mail the invoice of a linked order to the customer again
+ * POST /api/chat/admin/session/:sessionId/orders/:orderId/resend-invoice
+ */
+const resendSessionInvoice = runOrderAction('resend_invoice', 'Invoice sent successfully', 'Failed to send invoice');
+
+module.exports = {
+  linkMyOrder,
+  getSessionOrders,
+  linkSessionOrder,
+  unlinkSessionOrder,
+  cancelSessionOrder,
+  returnSessionOrder,
+  resendSessionInvoice,
+};
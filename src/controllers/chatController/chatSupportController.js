@@ -0,0 +1,307 @@
+const mongoose = require('mongoose');
+const SupportAgent = require('../../models/SupportAgent');
+const CannedResponse = require('../../models/CannedResponse');
+const ChatSession = require('../../models/ChatSession');
+const ChatSupportConfig = require('../../models/ChatSupportConfig');
+const chatRouting = require('../../services/chatRoutingService');
+const { ApiResponse } = require('../../utils/ApiResponse');
+
+const { CHAT_ROUTING_ERROR_STATUS } = chatRouting;
+
+// Helper functions for standardized responses
+const successResponse = (res, data, message, statusCode = 200) => {
+  return res.status(statusCode).json(ApiResponse(data, message, true, statusCode));
+};
+
+const errorResponse = (res, message, statusCode = 500, data = null) => {
+  return res.status(statusCode).json(ApiResponse(data, message, false, statusCode));
+};
+
+const sendRoutingError = (res, error, fallbackMessage) => {
+  const status = CHAT_ROUTING_ERROR_STATUS[error.code];
+  if (status) {
+    return errorResponse(res, error.message, status, { code: error.code, ...error.details });
+  }
+  if (error.name === 'ValidationError') {
+    return errorResponse(res, error.message, 400);
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return errorResponse(res, fallbackMessage, 500);
+};
+
+const CONFIG_FIELDS = ['routing', 'sla', 'idle'];
+const CANNED_RESPONSE_FIELDS = ['title', 'shortcut', 'body', 'categories', 'trigger', 'isActive'];
+
+// ---------- AGENT CONTROLLERS ----------
+
+/**
+ * Routing profile of the signed-in agent
+ * GET /api/chat/admin/agents/me
+ */
+const getMyAgentProfile = async (req, res) => {
+  try {
+    const agent = await SupportAgent.findOne({ user: req.user._id }).lean();
+    const activeChats = await ChatSession.countDocuments({ status: 'active', assignedAdmin: req.user._id });
+
+    return successResponse(res, {
+      agent: agent || { user: req.user._id, skills: [], maxConcurrentChats: 5, status: 'offline', isActive: true },
+      activeChats,
+    }, 'Agent profile retrieved successfully');
+
+  } catch (error) {
+    return sendRoutingError(res, error, 'Failed to retrieve agent profile');
+  }
+};
+
+/**
+ * Set the signed-in agent's availability (online, away, offline)
+ * PUT /api/chat/admin/agents/me
+ */
+const updateMyAvailability = async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!['online', 'away', 'offline'].includes(status)) {
+      return errorResponse(res, 'Status must be online, away or offline', 400);
+    }
+
+    const agent = await chatRouting.updateAgent(req.user._id, { status }, req.user._id);
+    return successResponse(res, agent, 'Availability updated successfully');
+
+  } catch (error) {
+    return sendRoutingError(res, error, 'Failed to update availability');
+  }
+};
+
+/**
+ * Agents with their load, and the chats waiting for an agent
+ * GET /api/chat/admin/routing
+ */
+const getRoutingOverview = async (req, res) => {
+  try {
+    const overview = await chatRouting.getRoutingOverview();
+    return successResponse(res, overview, 'Routing overview retrieved successfully');
+
+  } catch (error) {
+    return sendRoutingError(res, error, 'Failed to retrieve routing overview');
+  }
+};
+
+/**
+ * Set an agent's skills, capacity, availability or exclude them from routing
+ * PUT /api/chat/admin/agents/:userId
+ */
+const updateAgent = async (req, res) => {
+  try {
+    const agent = await chatRouting.updateAgent(req.params.userId, req.body, req.user._id);
+    return successResponse(res, agent, 'Agent updated successfully');
+
+  } catch (error) {
+    return sendRoutingError(res, error, 'Failed to update agent');
+  }
+};
+
+// ---------- ROUTING CONFIG CONTROLLERS ----------
+
+/**
+ * Routing, SLA and idle timeout settings
+ * GET /api/chat/admin/routing/config
+ */
+const getRoutingConfig = async (req, res) => {
+  try {
+    const config = await ChatSupportConfig.getConfig();
+    return successResponse(res, config, 'Chat routing config retrieved successfully');
+
+  } catch (error) {
+    return sendRoutingError(res, error, 'Failed to retrieve chat routing config');
+  }
+};
+
+/**
+ * Update routing, SLA and idle timeout settings; omitted values are kept
+ * PUT /api/chat/admin/routing/config
+ */
+const updateRoutingConfig = async (req, res) => {
+  try {
+    const config = await ChatSupportConfig.getConfig();
+
+    for (const field of CONFIG_FIELDS) {
+      if (req.body[field] !== undefined) config.set(field, req.body[field], { merge: true });
+    }
+
+    if (config.idle.warningMinutes >= config.idle.timeoutMinutes) {
+      return errorResponse(res, 'The idle warning must come before the timeout', 400);
+    }
+
+    await config.save();
+    chatRouting.drainQueueInBackground();
+
+    return successResponse(res, config, 'Chat routing config updated successfully');
+
+  } catch (error) {
+    return sendRoutingError(res, error, 'Failed to update chat routing config');
+  }
+};
+
+// ---------- CANNED RESPONSE CONTROLLERS ----------
+
+/**
+ * Canned replies, optionally for one category or matching a search
+ * GET /api/chat/admin/canned-responses?category&q&includeInactive
+ */
+const getCannedResponses = async (req, res) => {
+  try {
+    const { category, q, includeInactive } = req.query;
+    const filter = {};
+
+    if (includeInactive !== 'true') filter.isActive = true;
+    if (category) {
+      filter.$or = [{ categories: category }, { categories: { $size: 0 } }];
+    }
+    if (q) {
+      const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$and = [{ $or: [{ title: pattern }, { shortcut: pattern }, { body: pattern }] }];
+    }
+
+    const cannedResponses = await CannedResponse.find(filter)
+      .sort({ usageCount: -1, title: 1 })
+      .lean();
+
+    return successResponse(res, cannedResponses, 'Canned responses retrieved successfully');
+
+  } catch (error) {
+    return sendRoutingError(res, error, 'Failed to retrieve canned responses');
+  }
+};
+
+/**
+ * Create a canned reply
+ * POST /api/chat/admin/canned-responses
+ */
+const createCannedResponse = async (req, res) => {
+  try {
+    const data = {};
+    CANNED_RESPONSE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const cannedResponse = await CannedResponse.create({
+      ...data,
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+
+    return successResponse(res, cannedResponse, 'Canned response created successfully', 201);
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return errorResponse(res, 'A canned response with this shortcut already exists', 409);
+    }
+    return sendRoutingError(res, error, 'Failed to create canned response');
+  }
+};
+
+/**
+ * Update a canned reply
+ * PUT /api/chat/admin/canned-responses/:id
+ */
+const updateCannedResponse = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return errorResponse(res, 'Invalid canned response ID', 400);
+    }
+
+    const cannedResponse = await CannedResponse.findById(id);
+    if (!cannedResponse) {
+      return errorResponse(res, 'Canned response not found', 404);
+    }
+
+    CANNED_RESPONSE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) cannedResponse[field] = req.body[field];
+    });
+    cannedResponse.updatedBy = req.user._id;
+    await cannedResponse.save();
+
+    return successResponse(res, cannedResponse, 'Canned response updated successfully');
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return errorResponse(res, 'A canned response with this shortcut already exists', 409);
+    }
+    return sendRoutingError(res, error, 'Failed to update canned response');
+  }
+};
+
+/**
+ * Delete a canned reply
+ * DELETE /api/chat/admin/canned-responses/:id
+ */
+const deleteCannedResponse = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return errorResponse(res, 'Invalid canned response ID', 400);
+    }
+
+    const cannedResponse = await CannedResponse.findByIdAndDelete(id);
+    if (!cannedResponse) {
+      return errorResponse(res, 'Canned response not found', 404);
+    }
+
+    return successResponse(res, { id }, 'Canned response deleted successfully');
+
+  } catch (error) {
+    return sendRoutingError(res, error, 'Failed to delete canned response');
+  }
+};
+
+/**
+ * Preview a canned reply filled in for a chat, with the placeholders that have no value
+ * POST /api/chat/admin/canned-responses/:id/render
+ */
+const renderCannedResponse = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sessionId, orderId, variables = {} } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return errorResponse(res, 'Invalid canned response ID', 400);
+    }
+
+    const [cannedResponse, session] = await Promise.all([
+      CannedResponse.findById(id).lean(),
+      ChatSession.findOne({ sessionId }).lean(),
+    ]);
+    if (!cannedResponse) {
+      return errorResponse(res, 'Canned response not found', 404);
+    }
+    if (!session) {
+      return errorResponse(res, 'Chat session not found', 404);
+    }
+
+    const rendered = await chatRouting.renderCannedResponse(cannedResponse, session, {
+      agent: req.user,
+      orderId,
+      variables,
+    });
+
+    return successResponse(res, rendered, 'Canned response rendered successfully');
+
+  } catch (error) {
+    return sendRoutingError(res, error, 'Failed to render canned response');
+  }
+};
+
+module.exports = {
+  getMyAgentProfile,
+  updateMyAvailability,
+  getRoutingOverview,
+  updateAgent,
+  getRoutingConfig,
+  updateRoutingConfig,
+  getCannedResponses,
+  createCannedResponse,
+  updateCannedResponse,
+  deleteCannedResponse,
+  renderCannedResponse,
+};
@@ -1,4 +1,6 @@
 const Filter = require("../../models/Filter");
+const productFacetService = require("../../services/productFacetService");
+const { FACET_ERROR_STATUS } = productFacetService;
 
 // ✅ Create a new filter
 exports.createFilter = async (req, res) => {
@@ -155,6 +157,26 @@ exports.applyFilters = async (req, res) => {
   }
 };
 
+// ✅ Faceted product listing - live items plus per-option counts for the current selection
+// (category, subcategory, filters, size, priceMin, priceMax, inStock, sort, page, limit)
+exports.getFacetedItems = async (req, res) => {
+  try {
+    const data = await productFacetService.getFacetedItems(req.query);
+    res.json({ success: true, data });
+  } catch (err) {
+    const status = FACET_ERROR_STATUS[err.code];
+    if (status) {
+      return res.status(status).json({ success: false, message: err.message, code: err.code, ...err.details });
+    }
+    console.error("❌ Error fetching faceted items:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch faceted items",
+      error: err.message
+    });
+  }
+};
+
 // ✅ Get filters by key (e.g., get all color filters)
 exports.getFiltersByKey = async (req, res) => {
   try {
@@ -1,6 +1,7 @@
 const mongoose = require("mongoose");
 const InviteFriend = require("../../models/InviteFriend");
 const User = require("../../models/User");
+const { eventBus, EVENTS } = require("../../services/eventBus");
 
 // ✅ Get all invite codes with pagination and search
 exports.getAllInviteCodes = async (req, res) => {
@@ -335,7 +336,8 @@ exports.toggleInviteCodeStatus = async (req, res) => {
 exports.redeemInviteCode = async (req, res) => {
     try {
         const { code } = req.body;
-        const { userId } = req.params; // User redeeming the code
+        // User redeeming the code (the authenticated user on POST /redeem)
+        const userId = req.params.userId || req.user?._id?.toString();
 
         if (!code) {
             return res.status(400).json({
@@ -400,6 +402,12 @@ exports.redeemInviteCode = async (req, res) => {
 
         await inviteCode.save();
 
+        eventBus.publish(EVENTS.INVITE_REDEEMED, {
+            userId,
+            code: inviteCode.code,
+            invitedBy: inviteCode.createdBy ? inviteCode.createdBy.toString() : null
+        });
+
         res.status(200).json({
             success: true,
             message: 'Invite code redeemed successfully',
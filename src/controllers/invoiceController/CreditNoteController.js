@@ -0,0 +1,166 @@
+const mongoose = require("mongoose");
+const XLSX = require("xlsx");
+const User = require("../../models/User");
+const CreditNote = require("../../models/CreditNote");
+const creditNoteService = require("../../services/creditNoteService");
+const { ApiResponse } = require("../../utils/ApiResponse");
+
+const CREDIT_NOTE_ERROR_STATUS = {
+  ORDER_NOT_FOUND: 404,
+  INVOICE_NOT_AVAILABLE: 409,
+  INVOICE_IN_PROGRESS: 409,
+  INVALID_CREDIT_NOTE: 400,
+  CREDIT_NOTE_CONFLICT: 409,
+};
+
+const isOwnerOrAdmin = async (req, ownerId) => {
+  if (ownerId?.toString() === req.user._id.toString()) return true;
+  const user = await User.findById(req.user._id).select("isAdmin").lean();
+  return Boolean(user?.isAdmin);
+};
+
+// Query filter shared by the admin list and the export
+const buildFilter = ({ financialYear, reason, orderId, from, to }) => {
+  const filter = {};
+  if (financialYear) filter.financialYear = financialYear;
+  if (reason) filter.reason = reason;
+  if (orderId && mongoose.Types.ObjectId.isValid(orderId)) filter.order = orderId;
+  if (from || to) {
+    filter.issueDate = {};
+    if (from) filter.issueDate.$gte = new Date(from);
+    if (to) filter.issueDate.$lte = new Date(to);
+  }
+  return filter;
+};
+
+// Credit notes issued for an order (order owner or admin)
+exports.getOrderCreditNotes = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json(ApiResponse(null, "Invalid order ID", false, 400));
+    }
+
+    const creditNotes = await CreditNote.find({ order: orderId }).sort({ issueDate: 1 }).lean();
+    if (creditNotes.length > 0 && !(await isOwnerOrAdmin(req, creditNotes[0].user))) {
+      return res.status(403).json(ApiResponse(null, "You can only view credit notes for your own orders", false, 403));
+    }
+
+    res.status(200).json(ApiResponse(creditNotes, "Credit notes retrieved successfully", true, 200));
+  } catch (error) {
+    console.error("Error fetching credit notes:", error);
+    res.status(500).json(ApiResponse(null, "Failed to fetch credit notes", false, 500));
+  }
+};
+
+// Download a credit note PDF (order owner or admin)
+exports.downloadCreditNote = async (req, res) => {
+  try {
+    const { creditNoteId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(creditNoteId)) {
+      return res.status(400).json(ApiResponse(null, "Invalid credit note ID", false, 400));
+    }
+
+    const creditNote = await CreditNote.findById(creditNoteId).lean();
+    if (!creditNote) {
+      return res.status(404).json(ApiResponse(null, "Credit note not found", false, 404));
+    }
+    if (!(await isOwnerOrAdmin(req, creditNote.user))) {
+      return res.status(403).json(ApiResponse(null, "You can only download credit notes for your own orders", false, 403));
+    }
+
+    const pdf = creditNoteService.renderCreditNotePdf(creditNote);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${creditNoteService.getCreditNoteFileName(creditNote)}"`,
+      "Content-Length": pdf.length,
+    });
+    res.status(200).send(pdf);
+  } catch (error) {
+    console.error("Error rendering credit note:", error);
+    res.status(500).json(ApiResponse(null, "Failed to generate credit note PDF", false, 500));
+  }
+};
+
+// Admin: paginated credit note list, filterable by financial year, reason, order and date range
+exports.adminListCreditNotes = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filter = buildFilter(req.query);
+
+    const [creditNotes, total] = await Promise.all([
+      CreditNote.find(filter)
+        .select("-lines")
+        .sort({ issueDate: -1, sequence: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      CreditNote.countDocuments(filter),
+    ]);
+
+    res.status(200).json(ApiResponse({
+      creditNotes,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    }, "Credit notes retrieved successfully", true, 200));
+  } catch (error) {
+    console.error("Error fetching credit notes:", error);
+    res.status(500).json(ApiResponse(null, "Failed to fetch credit notes", false, 500));
+  }
+};
+
+// Admin: credit note register (one row per line) as CSV or XLSX for the accountant
+exports.adminExportCreditNotes = async (req, res) => {
+  try {
+    const format = req.query.format === "xlsx" ? "xlsx" : "csv";
+    const rows = await creditNoteService.buildCreditNoteRegister(buildFilter(req.query));
+    const worksheet = XLSX.utils.json_to_sheet(rows);
+    const fileName = `credit-notes-${req.query.financialYear || Date.now()}`;
+
+    if (format === "xlsx") {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, worksheet, "Credit Notes");
+      const buffer = XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      res.setHeader("Content-Disposition", `attachment; filename=${fileName}.xlsx`);
+      return res.send(buffer);
+    }
+
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader("Content-Disposition", `attachment; filename=${fileName}.csv`);
+    res.send(XLSX.utils.sheet_to_csv(worksheet));
+  } catch (error) {
+    console.error("Error exporting credit notes:", error);
+    res.status(500).json(ApiResponse(null, "Failed to export credit notes", false, 500));
+  }
+};
+
+// Admin: issue a credit note by hand, e.g. for an exchange or a return accepted without refund
+exports.adminIssueCreditNote = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json(ApiResponse(null, "Invalid order ID", false, 400));
+    }
+
+    const { full, lines, includeShipping = true, reason = "return", notes } = req.body || {};
+    const creditNote = await creditNoteService.issueCreditNote(orderId, {
+      full: full === true || full === "true",
+      lines,
+      includeShipping: includeShipping !== false && includeShipping !== "false",
+      reason,
+      notes,
+      issuedBy: req.user._id,
+    });
+
+    res.status(201).json(ApiResponse(creditNote, `Credit note ${creditNote.creditNoteNumber} issued`, true, 201));
+  } catch (error) {
+    const status = CREDIT_NOTE_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json(ApiResponse({ code: error.code, details: error.details }, error.message, false, status));
+    }
+    console.error("Error issuing credit note:", error);
+    res.status(500).json(ApiResponse(null, "Failed to issue credit note", false, 500));
+  }
+};
@@ -0,0 +1,144 @@
+const mongoose = require("mongoose");
+const Order = require("../../models/Order");
+const User = require("../../models/User");
+const Invoice = require("../../models/Invoice");
+const invoiceService = require("../../services/invoiceService");
+const { ApiResponse } = require("../../utils/ApiResponse");
+
+const INVOICE_ERROR_STATUS = {
+  ORDER_NOT_FOUND: 404,
+  INVOICE_NOT_AVAILABLE: 409,
+  INVOICE_IN_PROGRESS: 409,
+  NO_RECIPIENT: 400,
+};
+
+const sendInvoiceError = (res, error, fallbackMessage) => {
+  const status = INVOICE_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json(ApiResponse({ code: error.code }, error.message, false, status));
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json(ApiResponse(null, fallbackMessage, false, 500));
+};
+
+// Download the tax invoice PDF for an order (order owner or admin). Issued on first request
+// if the ORDER_PAID handler has not done it yet.
+exports.downloadOrderInvoice = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json(ApiResponse(null, "Invalid order ID", false, 400));
+    }
+
+    const order = await Order.findById(orderId).select("user").lean();
+    if (!order) {
+      return res.status(404).json(ApiResponse(null, "Order not found", false, 404));
+    }
+
+    if (order.user?.toString() !== req.user._id.toString()) {
+      const user = await User.findById(req.user._id).select("isAdmin").lean();
+      if (!user?.isAdmin) {
+        return res.status(403).json(ApiResponse(null, "You can only download invoices for your own orders", false, 403));
+      }
+    }
+
+    const invoice = await invoiceService.generateInvoice(orderId);
+    const preferences = await invoiceService.getInvoicePreferences();
+    const pdf = invoiceService.renderInvoicePdf(invoice, {
+      includePaymentDetails: preferences.includePaymentDetails,
+    });
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${invoiceService.getInvoiceFileName(invoice)}"`,
+      "Content-Length": pdf.length,
+    });
+    res.status(200).send(pdf);
+  } catch (error) {
+    sendInvoiceError(res, error, "Failed to generate invoice");
+  }
+};
+
+// Invoice details for an order (owner or admin) - used to show the invoice number in order history
+exports.getOrderInvoice = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json(ApiResponse(null, "Invalid order ID", false, 400));
+    }
+
+    const invoice = await Invoice.findOne({ order: orderId, status: { $ne: "generating" } }).lean();
+    if (!invoice) {
+      return res.status(404).json(ApiResponse(null, "No invoice has been issued for this order yet", false, 404));
+    }
+
+    if (invoice.user?.toString() !== req.user._id.toString()) {
+      const user = await User.findById(req.user._id).select("isAdmin").lean();
+      if (!user?.isAdmin) {
+        return res.status(403).json(ApiResponse(null, "You can only view invoices for your own orders", false, 403));
+      }
+    }
+
+    res.status(200).json(ApiResponse(invoice, "Invoice retrieved successfully", true, 200));
+  } catch (error) {
+    console.error("Error fetching invoice:", error);
+    res.status(500).json(ApiResponse(null, "Failed to fetch invoice", false, 500));
+  }
+};
+
+// Admin: paginated invoice register, filterable by financial year, number, status and date range
+exports.adminListInvoices = async (req, res) => {
+  try {
+    const { financialYear, invoiceNumber, status, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = { status: status || { $ne: "generating" } };
+    if (financialYear) filter.financialYear = financialYear;
+    if (invoiceNumber) filter.invoiceNumber = invoiceNumber;
+    if (from || to) {
+      filter.invoiceDate = {};
+      if (from) filter.invoiceDate.$gte = new Date(from);
+      if (to) filter.invoiceDate.$lte = new Date(to);
+    }
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filter)
+        .select("-lines")
+        .sort({ invoiceDate: -1, sequence: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Invoice.countDocuments(filter),
+    ]);
+
+    res.status(200).json(ApiResponse({
+      invoices,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    }, "Invoices retrieved successfully", true, 200));
+  } catch (error) {
+    console.error("Error fetching invoices:", error);
+    res.status(500).json(ApiResponse(null, "Failed to fetch invoices", false, 500));
+  }
+};
+
+// Admin: issue the invoice for a paid order now (returns the existing one if already issued)
+exports.adminGenerateInvoice = async (req, res) => {
+  try {
+    const invoice = await invoiceService.generateInvoice(req.params.orderId);
+    res.status(200).json(ApiResponse(invoice, `Invoice ${invoice.invoiceNumber} ready`, true, 200));
+  } catch (error) {
+    sendInvoiceError(res, error, "Failed to generate invoice");
+  }
+};
+
+// Admin: (re)send the invoice e-mail, optionally to a different address
+exports.adminEmailInvoice = async (req, res) => {
+  try {
+    const invoice = await invoiceService.generateInvoice(req.params.orderId);
+    const updated = await invoiceService.emailInvoice(invoice, { to: req.body?.email });
+    res.status(200).json(ApiResponse(updated, `Invoice e-mailed to ${updated.emailedTo}`, true, 200));
+  } catch (error) {
+    sendInvoiceError(res, error, "Failed to e-mail invoice");
+  }
+};
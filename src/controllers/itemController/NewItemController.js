@@ -2,6 +2,8 @@ const Item = require("../../models/Item");
 const SubCategory = require("../../models/SubCategory");
 const { ApiResponse } = require("../../utils/ApiResponse");
 const { generateSKU, ensureValidSKUs, validateProductForLive } = require("../../utils/skuUtils");
+const productSearchService = require("../../services/productSearchService");
+const searchSuggestionService = require("../../services/searchSuggestionService");
 const mongoose = require("mongoose");
 
 // Create basic product (Phase 1 of the new flow)
@@ -405,7 +407,7 @@ const deleteItem = async (req, res) => {
 const updateProductStatus = async (req, res) => {
   try {
     const { itemId } = req.params;
-    const { status } = req.body;
+    const { status, publishAt, unpublishAt } = req.body;
 
     console.log('🔧 Backend updateProductStatus called with:', { 
       itemId, 
@@ -429,6 +431,35 @@ const updateProductStatus = async (req, res) => {
       );
     }
 
+    // Optional schedule: publishAt (with status 'scheduled') and an end date (unpublishAt).
+    // The publishing jobs in services/productPublishingService apply them.
+    const scheduleUpdate = {};
+    if (publishAt !== undefined && status === 'scheduled') {
+      const publishDate = new Date(publishAt);
+      if (isNaN(publishDate.getTime())) {
+        return res.status(400).json(
+          ApiResponse(null, "Invalid publishAt date", false, 400)
+        );
+      }
+      scheduleUpdate.publishAt = publishDate;
+      scheduleUpdate['publishingOptions.publishAt'] = publishDate;
+      scheduleUpdate['publishingOptions.action'] = 'schedule';
+    }
+    if (unpublishAt !== undefined) {
+      const unpublishDate = unpublishAt === null ? null : new Date(unpublishAt);
+      if (unpublishDate && isNaN(unpublishDate.getTime())) {
+        return res.status(400).json(
+          ApiResponse(null, "Invalid unpublishAt date", false, 400)
+        );
+      }
+      if (unpublishDate && scheduleUpdate.publishAt && unpublishDate <= scheduleUpdate.publishAt) {
+        return res.status(400).json(
+          ApiResponse(null, "unpublishAt must be after publishAt", false, 400)
+        );
+      }
+      scheduleUpdate['publishingOptions.unpublishAt'] = unpublishDate;
+    }
+
     // If trying to make item live, validate using utility function
     if (status === 'live') {
       const item = await Item.findOne({ $or: [{ itemId }, { _id: itemId }] });
@@ -453,6 +484,7 @@ const updateProductStatus = async (req, res) => {
         $set: { 
           status, 
           updatedAt: new Date(),
+          ...scheduleUpdate,
           ...(status === 'live' ? { publishedAt: new Date() } : {})
         } 
       },
@@ -760,6 +792,18 @@ const updateItemCategoryAssignment = async (req, res) => {
   }
 };
 
+// Load ranked search results in rank order, each with its score and highlighted matches
+const loadRankedItems = async (results) => {
+  const items = await Item.find({ _id: { $in: results.map(result => result.itemId) } })
+    .populate('categoryId')
+    .populate('subCategoryId');
+  const byId = new Map(items.map(item => [item._id.toString(), item]));
+
+  return results
+    .filter(result => byId.has(result.itemId))
+    .map(result => ({ item: byId.get(result.itemId), ranking: result }));
+};
+
 // Search products for frontend - matches expected API format
 const searchProducts = async (req, res) => {
   try {
@@ -774,33 +818,30 @@ const searchProducts = async (req, res) => {
 
     console.log('🔍 Search request received:', { query });
 
-    // Build comprehensive search filter
-    const searchFilter = {
-      status: 'live', // Only return live products for frontend search
-      $or: [
-        { productName: { $regex: query.trim(), $options: 'i' } },
-        { description: { $regex: query.trim(), $options: 'i' } },
-        { brand: { $regex: query.trim(), $options: 'i' } },
-        { tags: { $in: [new RegExp(query.trim(), 'i')] } },
-        // Search within sizes for size names, SKUs, etc.
-        { 'sizes.size': { $regex: query.trim(), $options: 'i' } },
-        { 'sizes.sku': { $regex: query.trim(), $options: 'i' } },
-        // Search within filter values (colors, materials, etc.)
-        { 'sizes.filters.value': { $regex: query.trim(), $options: 'i' } }
-      ]
-    };
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
 
-    // Get search results with population
-    const items = await Item.find(searchFilter)
-      .populate('categoryId')
-      .populate('subCategoryId')
-      .limit(50) // Reasonable limit for search results
-      .sort({ createdAt: -1 }); // Latest first
+    // Relevance-ranked, typo-tolerant search (services/productSearchService)
+    const searchResult = await productSearchService.search(query.trim(), { limit, offset: (page - 1) * limit });
+    const rankedItems = await loadRankedItems(searchResult.results);
 
-    console.log('🔍 Search found items:', items.length);
+    console.log('🔍 Search found items:', searchResult.total, `(${searchResult.engine})`);
+
+    // Learn popular and recent queries from first-page searches
+    if (page === 1) {
+      searchSuggestionService.logSearch({
+        query,
+        resultsCount: searchResult.total,
+        userId: req.user?._id,
+        visitor: { ip: req.ip, userAgent: req.get('user-agent') }
+      });
+    }
+    const didYouMean = searchResult.total === 0
+      ? await searchSuggestionService.getDidYouMean(query.trim())
+      : null;
 
     // Transform items to match frontend expectations
-    const transformedProducts = items.map(item => {
+    const transformedProducts = rankedItems.map(({ item, ranking }) => {
       // Get the first available size for pricing
       const firstSize = item.sizes && item.sizes.length > 0 ? item.sizes[0] : null;
       const price = firstSize?.regularPrice || firstSize?.salePrice || item.price || 0;
@@ -855,7 +896,10 @@ const searchProducts = async (req, res) => {
         inStock: item.sizes ? item.sizes.some(size => size.stock > 0) : true,
         // Additional fields that might be useful
         rating: item.averageRating || undefined,
-        reviewCount: item.totalReviews || undefined
+        reviewCount: item.totalReviews || undefined,
+        // Search ranking: relevance score and matched words wrapped in <mark>
+        relevance: ranking.score,
+        highlights: ranking.highlights
       };
     });
 
@@ -863,7 +907,11 @@ const searchProducts = async (req, res) => {
 
     // Return in the format expected by frontend
     res.status(200).json({
-      data: transformedProducts
+      data: transformedProducts,
+      total: searchResult.total,
+      page,
+      correctedQuery: searchResult.correctedQuery || undefined,
+      didYouMean: didYouMean || undefined
     });
 
   } catch (error) {
@@ -874,6 +922,24 @@ const searchProducts = async (req, res) => {
   }
 };
 
+// Search suggestions - type-ahead while the shopper types (products, categories, filter
+// values, popular and recent queries, "did you mean" when nothing matches)
+const getSearchSuggestions = async (req, res) => {
+  try {
+    const suggestions = await searchSuggestionService.getSuggestions(req.query.q || req.query.query, {
+      userId: req.user?._id,
+      limit: req.query.limit
+    });
+
+    res.status(200).json(ApiResponse(suggestions, "Search suggestions fetched", true, 200));
+  } catch (error) {
+    console.error('❌ Search suggestions error:', error);
+    res.status(500).json(
+      ApiResponse(null, "Failed to fetch search suggestions", false, 500, error.message)
+    );
+  }
+};
+
 // Voice search products - Enhanced search functionality for voice input
 const voiceSearchProducts = async (req, res) => {
   try {
@@ -921,125 +987,27 @@ const voiceSearchProducts = async (req, res) => {
     // Clean and normalize the search query for better matching
     searchQuery = searchQuery.trim().toLowerCase();
     
-    // Enhanced search patterns for voice input
-    // Voice searches tend to be more conversational, so we need broader matching
+    // Voice searches are conversational ("show me blue jeans"); the search service drops
+    // filler words, and spoken words are complete so the last one is not prefix-matched
     const searchTerms = searchQuery.split(' ').filter(term => term.length > 2);
-    
-    // Build comprehensive voice-optimized search filter
-    const voiceSearchFilter = {
-      status: 'live', // Only return live products for frontend search
-      $or: [
-        // Exact product name matching (highest priority)
-        { productName: { $regex: searchQuery, $options: 'i' } },
-        
-        // Partial product name matching
-        ...searchTerms.map(term => ({ productName: { $regex: term, $options: 'i' } })),
-        
-        // Description matching
-        { description: { $regex: searchQuery, $options: 'i' } },
-        ...searchTerms.map(term => ({ description: { $regex: term, $options: 'i' } })),
-        
-        // Brand matching
-        { brand: { $regex: searchQuery, $options: 'i' } },
-        ...searchTerms.map(term => ({ brand: { $regex: term, $options: 'i' } })),
-        
-        // Tags matching (for categories, colors, styles, etc.)
-        { tags: { $in: [new RegExp(searchQuery, 'i')] } },
-        ...searchTerms.map(term => ({ tags: { $in: [new RegExp(term, 'i')] } })),
-        
-        // Size and SKU matching
-        { 'sizes.size': { $regex: searchQuery, $options: 'i' } },
-        { 'sizes.sku': { $regex: searchQuery, $options: 'i' } },
-        
-        // Filter values matching (colors, materials, patterns, etc.)
-        { 'sizes.filters.value': { $regex: searchQuery, $options: 'i' } },
-        ...searchTerms.map(term => ({ 'sizes.filters.value': { $regex: term, $options: 'i' } }))
-      ]
-    };
-
-    // Add category-based search if voice query contains category keywords
-    const Category = require("../../models/Category");
-    const SubCategory = require("../../models/SubCategory");
-    
-    // Check if search query matches any category names
-    const matchingCategories = await Category.find({
-      $or: [
-        { name: { $regex: searchQuery, $options: 'i' } },
-        ...searchTerms.map(term => ({ name: { $regex: term, $options: 'i' } }))
-      ]
-    });
-    
-    // Check if search query matches any subcategory names
-    const matchingSubCategories = await SubCategory.find({
-      $or: [
-        { name: { $regex: searchQuery, $options: 'i' } },
-        ...searchTerms.map(term => ({ name: { $regex: term, $options: 'i' } }))
-      ]
-    });
-    
-    // Add category/subcategory filters to search
-    if (matchingCategories.length > 0) {
-      voiceSearchFilter.$or.push(
-        ...matchingCategories.map(cat => ({ categoryId: cat._id }))
-      );
-    }
-    
-    if (matchingSubCategories.length > 0) {
-      voiceSearchFilter.$or.push(
-        ...matchingSubCategories.map(subCat => ({ subCategoryId: subCat._id }))
-      );
-    }
+    const searchResult = await productSearchService.search(searchQuery, { limit: 20, prefix: false });
+    const rankedItems = await loadRankedItems(searchResult.results);
 
-    console.log('🎤 Voice search filter created with', voiceSearchFilter.$or.length, 'conditions');
-
-    // Get search results with population and enhanced scoring
-    const items = await Item.find(voiceSearchFilter)
-      .populate('categoryId')
-      .populate('subCategoryId')
-      .limit(30) // Reasonable limit for voice search results
-      .sort({ 
-        // Prioritize items with exact name matches, then by creation date
-        productName: 1,
-        createdAt: -1 
-      });
+    console.log('🎤 Voice search found items:', searchResult.total, `(${searchResult.engine})`);
 
-    console.log('🎤 Voice search found items:', items.length);
-
-    // Score and rank results based on relevance to voice query
-    const scoredItems = items.map(item => {
-      let score = 0;
-      const productName = (item.productName || '').toLowerCase();
-      const description = (item.description || '').toLowerCase();
-      const brand = (item.brand || '').toLowerCase();
-      
-      // Scoring algorithm for voice search relevance
-      if (productName.includes(searchQuery)) score += 10; // Exact match in name
-      if (productName.startsWith(searchQuery)) score += 8; // Name starts with query
-      if (brand.includes(searchQuery)) score += 6; // Brand match
-      if (description.includes(searchQuery)) score += 4; // Description match
-      
-      // Score based on individual terms
-      searchTerms.forEach(term => {
-        if (productName.includes(term)) score += 3;
-        if (description.includes(term)) score += 2;
-        if (brand.includes(term)) score += 2;
-      });
-      
-      // Boost score for items with good ratings and availability
-      if (item.averageRating >= 4) score += 2;
-      if (item.sizes && item.sizes.some(size => size.stock > 0)) score += 1;
-      
-      return { item, score };
+    searchSuggestionService.logSearch({
+      query: searchQuery,
+      resultsCount: searchResult.total,
+      userId: req.user?._id,
+      source: 'voice',
+      visitor: { ip: req.ip, userAgent: req.get('user-agent') }
     });
-    
-    // Sort by score (highest first) and take top results
-    const topItems = scoredItems
-      .sort((a, b) => b.score - a.score)
-      .slice(0, 20) // Limit to top 20 most relevant results
-      .map(scored => scored.item);
+    const didYouMean = searchResult.total === 0
+      ? await searchSuggestionService.getDidYouMean(searchQuery)
+      : null;
 
     // Transform items to match frontend expectations
-    const transformedProducts = topItems.map(item => {
+    const transformedProducts = rankedItems.map(({ item, ranking }) => {
       // Get the first available size for pricing
       const firstSize = item.sizes && item.sizes.length > 0 ? item.sizes[0] : null;
       const price = firstSize?.regularPrice || firstSize?.salePrice || item.price || 0;
@@ -1096,7 +1064,9 @@ const voiceSearchProducts = async (req, res) => {
         rating: item.averageRating || undefined,
         reviewCount: item.totalReviews || undefined,
         // Voice search specific metadata
-        searchRelevance: 'voice-optimized'
+        searchRelevance: 'voice-optimized',
+        relevance: ranking.score,
+        highlights: ranking.highlights
       };
     });
 
@@ -1107,6 +1077,8 @@ const voiceSearchProducts = async (req, res) => {
       success: true,
       searchType: 'voice',
       query: searchQuery,
+      correctedQuery: searchResult.correctedQuery || undefined,
+      didYouMean: didYouMean || undefined,
       resultsCount: transformedProducts.length,
       data: transformedProducts,
       // Additional metadata for voice search
@@ -1936,6 +1908,7 @@ module.exports = {
   getLatestItemsBySubCategory,
   updateItemCategoryAssignment,
   searchProducts,
+  getSearchSuggestions,
   voiceSearchProducts,
   getCategoriesForArrangement,
   getItemsForArrangement,
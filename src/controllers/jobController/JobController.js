@@ -0,0 +1,137 @@
+const mongoose = require("mongoose");
+const JobRun = require("../../models/JobRun");
+const jobScheduler = require("../../services/jobScheduler");
+const {
+  getUpcomingTransitions,
+  getPastTransitions,
+} = require("../../services/productPublishingService");
+const { ApiResponse } = require("../../utils/ApiResponse");
+
+// List registered jobs with schedule, next run and last run
+exports.getJobs = async (req, res) => {
+  try {
+    const jobs = await jobScheduler.listJobs();
+    res.status(200).json(ApiResponse(jobs, "Jobs retrieved successfully", true, 200));
+  } catch (error) {
+    console.error("Error fetching jobs:", error);
+    res.status(500).json(ApiResponse(null, "Failed to fetch jobs", false, 500));
+  }
+};
+
+// Run a job immediately (same code path as the cron tick)
+exports.runJob = async (req, res) => {
+  try {
+    const { jobName } = req.params;
+
+    if (!jobScheduler.hasJob(jobName)) {
+      return res.status(404).json(ApiResponse(null, `Unknown job: ${jobName}`, false, 404));
+    }
+
+    const run = await jobScheduler.runJob(jobName, {
+      trigger: "manual",
+      triggeredBy: req.user?._id || null,
+    });
+
+    if (run.status === "skipped") {
+      return res.status(409).json(ApiResponse(run, "Job is already running", false, 409));
+    }
+
+    res.status(200).json(ApiResponse(run, `Job ${jobName} finished with status ${run.status}`, true, 200));
+  } catch (error) {
+    console.error("Error running job:", error);
+    res.status(500).json(ApiResponse(null, "Failed to run job", false, 500));
+  }
+};
+
+// Paginated run history, optionally filtered by job and status
+exports.getJobRuns = async (req, res) => {
+  try {
+    const { jobName, status, includeEmpty } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = {};
+    if (jobName) filter.jobName = jobName;
+    if (status) filter.status = status;
+    // Cron ticks that found nothing to do are hidden unless explicitly requested
+    if (includeEmpty !== "true" && !status) {
+      filter.$or = [{ processed: { $gt: 0 } }, { status: { $in: ["failed", "running"] } }];
+    }
+
+    const [runs, total] = await Promise.all([
+      JobRun.find(filter)
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("triggeredBy", "name email")
+        .lean(),
+      JobRun.countDocuments(filter),
+    ]);
+
+    res.status(200).json(
+      ApiResponse(
+        {
+          runs,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+          },
+        },
+        "Job runs retrieved successfully",
+        true,
+        200
+      )
+    );
+  } catch (error) {
+    console.error("Error fetching job runs:", error);
+    res.status(500).json(ApiResponse(null, "Failed to fetch job runs", false, 500));
+  }
+};
+
+// Upcoming (type=upcoming, default) or already applied (type=past) publish/unpublish transitions
+exports.getScheduledTransitions = async (req, res) => {
+  try {
+    const { type = "upcoming", itemId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    if (!["upcoming", "past"].includes(type)) {
+      return res.status(400).json(ApiResponse(null, "type must be 'upcoming' or 'past'", false, 400));
+    }
+
+    if (type === "upcoming") {
+      const transitions = await getUpcomingTransitions({ limit });
+      return res.status(200).json(
+        ApiResponse({ type, transitions }, "Upcoming transitions retrieved successfully", true, 200)
+      );
+    }
+
+    if (itemId && !mongoose.Types.ObjectId.isValid(itemId)) {
+      return res.status(400).json(ApiResponse(null, "Invalid itemId", false, 400));
+    }
+
+    const { transitions, total } = await getPastTransitions({ page, limit, itemId });
+    res.status(200).json(
+      ApiResponse(
+        {
+          type,
+          transitions,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+          },
+        },
+        "Past transitions retrieved successfully",
+        true,
+        200
+      )
+    );
+  } catch (error) {
+    console.error("Error fetching scheduled transitions:", error);
+    res.status(500).json(ApiResponse(null, "Failed to fetch scheduled transitions", false, 500));
+  }
+};
@@ -0,0 +1,163 @@
+const partnerOrderService = require('../../services/partnerOrderService');
+const payoutService = require('../../services/payoutService');
+const { uploadMultipart } = require('../../utils/S3');
+const { ApiResponse } = require('../../utils/ApiResponse');
+
+const { PARTNER_ORDER_ERROR_STATUS } = partnerOrderService;
+const { PAYOUT_ERROR_STATUS } = payoutService;
+
+const sendPartnerOrderError = (res, error, fallbackMessage) => {
+  const status = PARTNER_ORDER_ERROR_STATUS[error.code] || PAYOUT_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json(ApiResponse({ code: error.code, ...error.details }, error.message, false, status));
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json(ApiResponse(null, fallbackMessage, false, 500));
+};
+
+// The partner's progress on an order, as returned by every action
+const fulfilmentResponse = (order) => ({
+  orderId: order._id,
+  orderNumber: order.orderMetadata?.orderNumber || null,
+  vendorFulfilment: order.vendorFulfilment,
+});
+
+// Signed-in partner's profile, statistics and order counts per status
+exports.getMyProfile = async (req, res) => {
+  try {
+    const orderCounts = await partnerOrderService.getPartnerOrderCounts(req.partner);
+    res.status(200).json(
+      ApiResponse({ partner: req.partner, orderCounts }, "Partner profile fetched successfully", true, 200)
+    );
+  } catch (error) {
+    sendPartnerOrderError(res, error, "Failed to fetch partner profile");
+  }
+};
+
+// Orders allotted to the signed-in partner (?status=assigned|accepted|rejected|packed|ready_for_pickup)
+exports.getMyOrders = async (req, res) => {
+  try {
+    if (req.partner.permissions?.canViewOrders === false) {
+      return res.status(403).json(ApiResponse(null, "Your account is not allowed to view orders", false, 403));
+    }
+
+    const { status, page, limit } = req.query;
+    const result = await partnerOrderService.listPartnerOrders(req.partner, { status, page, limit });
+    res.status(200).json(ApiResponse(result, "Orders fetched successfully", true, 200));
+  } catch (error) {
+    sendPartnerOrderError(res, error, "Failed to fetch orders");
+  }
+};
+
+// One allotted order
+exports.getMyOrder = async (req, res) => {
+  try {
+    if (req.partner.permissions?.canViewOrders === false) {
+      return res.status(403).json(ApiResponse(null, "Your account is not allowed to view orders", false, 403));
+    }
+
+    const order = await partnerOrderService.getPartnerOrder(req.partner, req.params.orderId);
+    res.status(200).json(ApiResponse(order, "Order fetched successfully", true, 200));
+  } catch (error) {
+    sendPartnerOrderError(res, error, "Failed to fetch order");
+  }
+};
+
+// Accept an allotted order
+exports.acceptOrder = async (req, res) => {
+  try {
+    const order = await partnerOrderService.acceptOrder(req.partner, req.params.orderId);
+    res.status(200).json(ApiResponse(fulfilmentResponse(order), "Order accepted", true, 200));
+  } catch (error) {
+    sendPartnerOrderError(res, error, "Failed to accept order");
+  }
+};
+
+// Reject an allotted order with a reason
+exports.rejectOrder = async (req, res) => {
+  try {
+    const order = await partnerOrderService.rejectOrder(req.partner, req.params.orderId, req.body.reason);
+    res.status(200).json(ApiResponse(fulfilmentResponse(order), "Order rejected", true, 200));
+  } catch (error) {
+    sendPartnerOrderError(res, error, "Failed to reject order");
+  }
+};
+
+// Mark an accepted order packed; body.items ([{ sku, quantity }]) for a partial pack
+exports.markOrderPacked = async (req, res) => {
+  try {
+    const { items = [] } = req.body;
+    if (!Array.isArray(items)) {
+      return res.status(400).json(ApiResponse(null, "items must be an array of { sku, quantity }", false, 400));
+    }
+
+    const order = await partnerOrderService.markPacked(req.partner, req.params.orderId, items);
+    res.status(200).json(ApiResponse(fulfilmentResponse(order), "Order marked as packed", true, 200));
+  } catch (error) {
+    sendPartnerOrderError(res, error, "Failed to mark order as packed");
+  }
+};
+
+// Hand a packed order over for courier pickup
+exports.markOrderReadyForPickup = async (req, res) => {
+  try {
+    const order = await partnerOrderService.markReadyForPickup(req.partner, req.params.orderId);
+    res.status(200).json(ApiResponse(fulfilmentResponse(order), "Order marked as ready for pickup", true, 200));
+  } catch (error) {
+    sendPartnerOrderError(res, error, "Failed to mark order as ready for pickup");
+  }
+};
+
+// Upload packing photos (multipart field "images")
+exports.uploadPackingProof = async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json(ApiResponse(null, "No image files uploaded", false, 400));
+    }
+
+    // Check the order is the partner's and accepted before anything is uploaded
+    const current = await partnerOrderService.getPartnerOrder(req.partner, req.params.orderId);
+    if (!['accepted', 'packed', 'ready_for_pickup'].includes(current.vendorFulfilment?.status)) {
+      return res.status(409).json(
+        ApiResponse(null, "Packing proof can be added once the order has been accepted", false, 409)
+      );
+    }
+
+    const proofs = await Promise.all(req.files.map(async (file) => ({
+      url: await uploadMultipart(file, "packingProof", req.params.orderId),
+      fileName: file.originalname,
+    })));
+
+    const order = await partnerOrderService.addPackingProof(req.partner, req.params.orderId, proofs);
+    res.status(200).json(ApiResponse(fulfilmentResponse(order), "Packing proof uploaded", true, 200));
+  } catch (error) {
+    sendPartnerOrderError(res, error, "Failed to upload packing proof");
+  }
+};
+
+// Payout balance and finalised or paid settlement statements of the signed-in partner (?status&financialYear&page&limit)
+exports.getMyPayouts = async (req, res) => {
+  try {
+    const { status, financialYear, page, limit } = req.query;
+    const [balance, statements] = await Promise.all([
+      payoutService.getPartnerBalance(req.partner._id),
+      payoutService.listStatements(
+        { partner: req.partner._id, status, financialYear, page, limit },
+        { publishedOnly: true }
+      ),
+    ]);
+    res.status(200).json(ApiResponse({ balance, ...statements }, "Payouts fetched successfully", true, 200));
+  } catch (error) {
+    sendPartnerOrderError(res, error, "Failed to fetch payouts");
+  }
+};
+
+// One of the partner's settlement statements with its ledger entries
+exports.getMyStatement = async (req, res) => {
+  try {
+    const result = await payoutService.getStatement(req.params.statementId, req.partner._id);
+    res.status(200).json(ApiResponse(result, "Settlement statement fetched successfully", true, 200));
+  } catch (error) {
+    sendPartnerOrderError(res, error, "Failed to fetch settlement statement");
+  }
+};
@@ -0,0 +1,254 @@
+const mongoose = require('mongoose');
+const XLSX = require('xlsx');
+const payoutService = require('../../services/payoutService');
+const { ApiResponse } = require('../../utils/ApiResponse');
+
+const { PAYOUT_ERROR_STATUS } = payoutService;
+
+const sendPayoutError = (res, error, fallbackMessage) => {
+  const status = PAYOUT_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json(ApiResponse({ code: error.code, ...error.details }, error.message, false, status));
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json(ApiResponse(null, fallbackMessage, false, 500));
+};
+
+// Ids accepted in filters; anything else would fail the query cast
+const invalidIdFilter = (query, fields) => fields.find(
+  (field) => query[field] && !['all', 'unsettled'].includes(query[field]) && !mongoose.Types.ObjectId.isValid(query[field])
+);
+
+// Send rows as CSV (default) or XLSX
+const sendSheet = (res, rows, { format, fileName, sheetName }) => {
+  const worksheet = XLSX.utils.json_to_sheet(rows);
+
+  if (format === 'xlsx') {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=${fileName}.xlsx`);
+    return res.send(buffer);
+  }
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename=${fileName}.csv`);
+  return res.send(XLSX.utils.sheet_to_csv(worksheet));
+};
+
+// ---------- Commission rules ----------
+
+// Commission rules (?partner=<id>|all&category=<id>|all&isActive)
+exports.listCommissionRules = async (req, res) => {
+  try {
+    const invalid = invalidIdFilter(req.query, ['partner', 'category']);
+    if (invalid) {
+      return res.status(400).json(ApiResponse(null, `Invalid ${invalid}`, false, 400));
+    }
+
+    const rules = await payoutService.listCommissionRules(req.query);
+    res.status(200).json(ApiResponse(rules, "Commission rules retrieved successfully", true, 200));
+  } catch (error) {
+    sendPayoutError(res, error, "Failed to fetch commission rules");
+  }
+};
+
+// Add a rule { partner?, category?, ratePercent, notes, isActive }
+exports.createCommissionRule = async (req, res) => {
+  try {
+    const rule = await payoutService.createCommissionRule(req.body || {}, req.user._id);
+    res.status(201).json(ApiResponse(rule, "Commission rule created successfully", true, 201));
+  } catch (error) {
+    sendPayoutError(res, error, "Failed to create commission rule");
+  }
+};
+
+// Change a rule { ratePercent, notes, isActive }
+exports.updateCommissionRule = async (req, res) => {
+  try {
+    const rule = await payoutService.updateCommissionRule(req.params.ruleId, req.body || {}, req.user._id);
+    res.status(200).json(ApiResponse(rule, "Commission rule updated successfully", true, 200));
+  } catch (error) {
+    sendPayoutError(res, error, "Failed to update commission rule");
+  }
+};
+
+exports.deleteCommissionRule = async (req, res) => {
+  try {
+    await payoutService.deleteCommissionRule(req.params.ruleId);
+    res.status(200).json(ApiResponse(null, "Commission rule deleted successfully", true, 200));
+  } catch (error) {
+    sendPayoutError(res, error, "Failed to delete commission rule");
+  }
+};
+
+// ---------- Ledger ----------
+
+// Ledger entries (?partner&type&statement=<id>|unsettled&orderId&from&to&page&limit)
+exports.listLedger = async (req, res) => {
+  try {
+    const invalid = invalidIdFilter(req.query, ['partner', 'statement', 'orderId']);
+    if (invalid) {
+      return res.status(400).json(ApiResponse(null, `Invalid ${invalid}`, false, 400));
+    }
+
+    const result = await payoutService.listLedger(req.query);
+    res.status(200).json(ApiResponse(result, "Payout ledger retrieved successfully", true, 200));
+  } catch (error) {
+    sendPayoutError(res, error, "Failed to fetch payout ledger");
+  }
+};
+
+// Ledger as CSV (default) or XLSX, same filters as the list
+exports.exportLedger = async (req, res) => {
+  try {
+    const invalid = invalidIdFilter(req.query, ['partner', 'statement', 'orderId']);
+    if (invalid) {
+      return res.status(400).json(ApiResponse(null, `Invalid ${invalid}`, false, 400));
+    }
+
+    const rows = await payoutService.buildLedgerExport(req.query);
+    sendSheet(res, rows, {
+      format: req.query.format === 'xlsx' ? 'xlsx' : 'csv',
+      fileName: `payout-ledger-${Date.now()}`,
+      sheetName: 'Payout Ledger',
+    });
+  } catch (error) {
+    sendPayoutError(res, error, "Failed to export payout ledger");
+  }
+};
+
+// Balance of one partner: unsettled, awaiting payment and paid
+exports.getPartnerBalance = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.partnerId)) {
+      return res.status(400).json(ApiResponse(null, "Invalid partner ID", false, 400));
+    }
+
+    const balance = await payoutService.getPartnerBalance(req.params.partnerId);
+    res.status(200).json(ApiResponse(balance, "Partner balance retrieved successfully", true, 200));
+  } catch (error) {
+    sendPayoutError(res, error, "Failed to fetch partner balance");
+  }
+};
+
+// Manual credit or debit { amount (negative to deduct), notes, orderId? }
+exports.addAdjustment = async (req, res) => {
+  try {
+    const entry = await payoutService.addAdjustment(req.params.partnerId, req.body || {}, req.user._id);
+    res.status(201).json(ApiResponse(entry, "Adjustment recorded successfully", true, 201));
+  } catch (error) {
+    sendPayoutError(res, error, "Failed to record adjustment");
+  }
+};
+
+// ---------- Settlement statements ----------
+
+// Statements (?partner&status&financialYear&from&to&page&limit)
+exports.listStatements = async (req, res) => {
+  try {
+    const invalid = invalidIdFilter(req.query, ['partner']);
+    if (invalid) {
+      return res.status(400).json(ApiResponse(null, `Invalid ${invalid}`, false, 400));
+    }
+
+    const result = await payoutService.listStatements(req.query);
+    res.status(200).json(ApiResponse(result, "Settlement statements retrieved successfully", true, 200));
+  } catch (error) {
+    sendPayoutError(res, error, "Failed to fetch settlement statements");
+  }
+};
+
+// Statement register as CSV (default) or XLSX, same filters as the list
+exports.exportStatements = async (req, res) => {
+  try {
+    const invalid = invalidIdFilter(req.query, ['partner']);
+    if (invalid) {
+      return res.status(400).json(ApiResponse(null, `Invalid ${invalid}`, false, 400));
+    }
+
+    const rows = await payoutService.buildStatementExport(req.query);
+    sendSheet(res, rows, {
+      format: req.query.format === 'xlsx' ? 'xlsx' : 'csv',
+      fileName: `settlement-statements-${req.query.financialYear || Date.now()}`,
+      sheetName: 'Settlements',
+    });
+  } catch (error) {
+    sendPayoutError(res, error, "Failed to export settlement statements");
+  }
+};
+
+// Draft a statement for one partner now { partnerId, periodEnd? }
+exports.generateStatement = async (req, res) => {
+  try {
+    const { partnerId, periodEnd } = req.body || {};
+    if (!partnerId) {
+      return res.status(400).json(ApiResponse(null, "partnerId is required", false, 400));
+    }
+
+    const statement = await payoutService.generateStatement(partnerId, {
+      periodEnd: periodEnd || new Date(),
+      generatedBy: req.user._id,
+    });
+    res.status(201).json(ApiResponse(statement, "Settlement statement generated successfully", true, 201));
+  } catch (error) {
+    sendPayoutError(res, error, "Failed to generate settlement statement");
+  }
+};
+
+// One statement with its ledger entries
+exports.getStatement = async (req, res) => {
+  try {
+    const result = await payoutService.getStatement(req.params.statementId);
+    res.status(200).json(ApiResponse(result, "Settlement statement retrieved successfully", true, 200));
+  } catch (error) {
+    sendPayoutError(res, error, "Failed to fetch settlement statement");
+  }
+};
+
+// Entries of one statement as CSV (default) or XLSX, for the partner's reconciliation
+exports.exportStatement = async (req, res) => {
+  try {
+    const { statement } = await payoutService.getStatement(req.params.statementId);
+    const rows = await payoutService.buildLedgerExport({ statement: statement._id });
+    sendSheet(res, rows, {
+      format: req.query.format === 'xlsx' ? 'xlsx' : 'csv',
+      fileName: `settlement-${statement.statementNumber.replace(/\//g, '-')}`,
+      sheetName: 'Statement',
+    });
+  } catch (error) {
+    sendPayoutError(res, error, "Failed to export settlement statement");
+  }
+};
+
+// Discard a draft; its entries return to unsettled
+exports.discardStatement = async (req, res) => {
+  try {
+    await payoutService.discardStatement(req.params.statementId);
+    res.status(200).json(ApiResponse(null, "Settlement statement discarded", true, 200));
+  } catch (error) {
+    sendPayoutError(res, error, "Failed to discard settlement statement");
+  }
+};
+
+// Lock a draft for payment { notes? }
+exports.finalizeStatement = async (req, res) => {
+  try {
+    const statement = await payoutService.finalizeStatement(req.params.statementId, req.user._id, req.body || {});
+    res.status(200).json(ApiResponse(statement, "Settlement statement finalized", true, 200));
+  } catch (error) {
+    sendPayoutError(res, error, "Failed to finalize settlement statement");
+  }
+};
+
+// Record the transfer { paymentReference, paidAt?, notes? }
+exports.markStatementPaid = async (req, res) => {
+  try {
+    const statement = await payoutService.markStatementPaid(req.params.statementId, req.user._id, req.body || {});
+    res.status(200).json(ApiResponse(statement, "Settlement statement marked as paid", true, 200));
+  } catch (error) {
+    sendPayoutError(res, error, "Failed to mark settlement statement as paid");
+  }
+};
@@ -1,98 +1,55 @@
-const Razorpay = require("razorpay");
-const crypto = require("crypto");
 const mongoose = require('mongoose');
 const Order = require("../../models/Order");
 const Item = require("../../models/Item");
 const PromoCode = require("../../models/PromoCodes");
+const { eventBus, EVENTS, orderEventPayload } = require("../../services/eventBus");
+const {
+  releaseReservation,
+  getActiveHolds
+} = require("../../services/inventoryReservationService");
+const {
+  quoteRefund,
+  issueRefund,
+  customerRefundSummary
+} = require("../../services/refundService");
+const {
+  SHIPROCKET_API_BASE,
+  getShiprocketToken,
+  invalidateShiprocketToken,
+  generateAWBWithCourier,
+  trackAwb
+} = require("../../services/shiprocketService");
+const {
+  ORDER_ACTION_ERROR_STATUS,
+  cancelOrderAsAdmin,
+  createReturnRequest
+} = require("../../services/orderActionService");
+const { PARTNER_ORDER_ERROR_STATUS, allotOrder } = require("../../services/partnerOrderService");
+const Partner = require("../../models/Partner");
 // Note: ItemDetails functionality is now merged into Item model
 
 // Import currency and delivery utilities
 const { 
   getCurrencyByCountry, 
   convertPrice, 
-  formatPriceWithCurrency,
   convertPricesInBulk 
 } = require("../../utils/currencyUtils");
 const { 
   getDeliveryOptionsByCountry, 
-  calculateShippingCost, 
   checkFreeDeliveryEligibility,
   isIndianLocation 
 } = require("../../utils/deliveryUtils");
 
-// Load Razorpay credentials from environment variables
-const RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID || "rzp_live_VRU7ggfYLI7DWV";
-const RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || "giunOIOED3FhjWxW2dZ2peNe";
-
-const razorpay = new Razorpay({
-  key_id: RAZORPAY_KEY_ID,
-  key_secret: RAZORPAY_KEY_SECRET,
-});
+// HTTP status for refundService error codes
+const REFUND_ERROR_STATUS = {
+  ORDER_NOT_FOUND: 404,
+  REFUND_NOT_ALLOWED: 400,
+  INVALID_REFUND_REQUEST: 400,
+  REFUND_CONFLICT: 409,
+  RAZORPAY_REFUND_FAILED: 502,
+};
 
-const SHIPROCKET_API_BASE = "https://apiv2.shiprocket.in/v1/external";
 const SHIPROCKET_EMAIL = process.env.SHIPROCKET_API_EMAIL;
-const SHIPROCKET_PASSWORD = process.env.SHIPROCKET_API_PASSWORD;
-
-// Validate Shiprocket environment variables
-if (!SHIPROCKET_EMAIL || !SHIPROCKET_PASSWORD) {
-  console.error("❌ Missing Shiprocket credentials in environment variables");
-  console.error("Required: SHIPROCKET_API_EMAIL, SHIPROCKET_API_PASSWORD");
-}
-
-console.log(`🔐 Shiprocket configured with API User: ${SHIPROCKET_EMAIL}`);
-console.log(`🏢 Company ID: 5783639 (Yoraa Apparels Private Limited)`);
-
-// Enhanced Shiprocket token management with caching
-let shiprocketToken = null;
-let tokenExpiryTime = null;
-
-async function getShiprocketToken() {
-  try {
-    // Validate credentials are available
-    if (!SHIPROCKET_EMAIL || !SHIPROCKET_PASSWORD) {
-      console.error("❌ Shiprocket credentials not configured in environment variables");
-      return null;
-    }
-
-    // Check if we have a valid cached token
-    if (shiprocketToken && tokenExpiryTime && new Date() < tokenExpiryTime) {
-      return shiprocketToken;
-    }
-
-    console.log('Refreshing Shiprocket token...');
-    const response = await fetch(`${SHIPROCKET_API_BASE}/auth/login`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ 
-        email: SHIPROCKET_EMAIL, 
-        password: SHIPROCKET_PASSWORD 
-      }),
-    });
-
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || `Authentication failed: ${response.status}`);
-    }
-
-    if (!data.token) {
-      throw new Error('No token received from Shiprocket');
-    }
-
-    // Cache the token (typically valid for 10 days, we'll refresh after 8 days)
-    shiprocketToken = data.token;
-    tokenExpiryTime = new Date(Date.now() + (8 * 24 * 60 * 60 * 1000)); // 8 days
-    
-    console.log('Shiprocket token refreshed successfully');
-    return shiprocketToken;
-  } catch (error) {
-    console.error("Shiprocket Auth Error:", error.message);
-    // Clear cached token on error
-    shiprocketToken = null;
-    tokenExpiryTime = null;
-    throw new Error(`Failed to authenticate with Shiprocket: ${error.message}`);
-  }
-}
 
 // Enhanced Shiprocket API request with retry logic
 async function makeShiprocketRequest(url, options = {}) {
@@ -115,8 +72,7 @@ async function makeShiprocketRequest(url, options = {}) {
       // If unauthorized, clear token and retry once
       if (response.status === 401 && retryCount < maxRetries) {
         console.log('Shiprocket token expired, refreshing...');
-        shiprocketToken = null;
-        tokenExpiryTime = null;
+        invalidateShiprocketToken();
         retryCount++;
         continue;
       }
@@ -256,544 +212,6 @@ async function checkShiprocketWalletBalance(token) {
   }
 }
 
-async function generateAWBWithCourier(shipmentId, token) {
-  try {
-    const awbResponse = await fetch(`${SHIPROCKET_API_BASE}/courier/assign/awb`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${token}`,
-      },
-      body: JSON.stringify({ shipment_id: shipmentId }),
-    });
-
-    const awbData = await awbResponse.json();
-    console.log("AWB Assignment Response:", JSON.stringify(awbData, null, 2));
-    if (awbResponse.ok && awbData.awb_assign_status === 1) {
-      return {
-        success: true,
-        message: "AWB generated successfully",
-        awbData: awbData.response.data,
-      };
-    } else {
-      console.error("Failed to generate AWB:", awbData);
-      if (awbData.status_code === 350) {
-        return {
-          success: false,
-          message: "Insufficient Shiprocket wallet balance",
-          error: "Please recharge your Shiprocket wallet. Minimum required balance is Rs 100.",
-        };
-      }
-      return {
-        success: false,
-        message: "AWB generation failed",
-        error: awbData?.message || "Unknown error",
-      };
-    }
-  } catch (error) {
-    console.error("Error generating AWB:", error);
-    return { success: false, message: "Error generating AWB", error: error.message };
-  }
-}
-
-// Create Order
-exports.createOrder = async (req, res) => {
-  try {
-    const { amount, cart, staticAddress, promoCode, deliveryOption } = req.body;
-    const userId = req.user._id;
-
-    console.log("amount:", amount);
-    console.log("cart:", cart);
-    console.log("address:", staticAddress);
-    console.log("promoCode:", promoCode);
-    console.log("deliveryOption:", deliveryOption);
-    console.log("userId:", userId);
-
-    // Validate cart data
-    if (!Array.isArray(cart) || cart.length === 0) {
-      return res.status(400).json({ error: "Cart is empty or invalid" });
-    }
-
-    // Extract item IDs and SKUs from cart
-    const itemIds = cart.map(cartItem => cartItem.itemId || cartItem.id); // Support both field names
-    const skus = cart.map(cartItem => cartItem.sku);
-
-    // Validate itemIds with detailed error messages
-    const invalidIds = itemIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
-    if (invalidIds.length > 0) {
-      console.error("❌ Invalid item IDs detected:", invalidIds);
-      return res.status(400).json({ 
-        error: "Invalid item IDs",
-        invalidItems: invalidIds.map(id => {
-          const cartItem = cart.find(item => (item.itemId || item.id) === id);
-          return {
-            itemId: id,
-            name: cartItem?.name || 'Unknown',
-            sku: cartItem?.sku || 'Unknown',
-            reason: 'Invalid ID format'
-          };
-        })
-      });
-    }
-
-    // Check if all items exist with detailed error reporting
-    const existingItems = await Item.find({ _id: { $in: itemIds } });
-    if (existingItems.length !== itemIds.length) {
-      const existingItemIds = existingItems.map(item => item._id.toString());
-      const missingItemIds = itemIds.filter(id => !existingItemIds.includes(id.toString()));
-      
-      console.error("❌ Items not found in database:", missingItemIds);
-      
-      return res.status(400).json({ 
-        error: "Invalid item IDs",
-        message: "Some items in your cart are no longer available",
-        invalidItems: missingItemIds.map(id => {
-          const cartItem = cart.find(item => (item.itemId || item.id) === id.toString());
-          return {
-            itemId: id.toString(),
-            name: cartItem?.name || 'Unknown',
-            sku: cartItem?.sku || 'Unknown',
-            size: cartItem?.size || 'Unknown',
-            reason: 'Item no longer available or has been removed'
-          };
-        }),
-        suggestion: "Please remove these items from your cart and try again"
-      });
-    }
-
-    // Validate SKUs in Items (merged model)
-    const itemDetails = await Item.find({ _id: { $in: itemIds } });
-    for (const cartItem of cart) {
-      const itemId = cartItem.itemId || cartItem.id; // Support both field names
-      const detail = itemDetails.find(d => d._id.toString() === itemId);
-      if (!detail) {
-        return res.status(400).json({ 
-          error: "Item not found",
-          message: `Item ${itemId} not found in database`,
-          invalidItems: [{
-            itemId: itemId,
-            name: cartItem.name || 'Unknown',
-            reason: 'Item not found'
-          }]
-        });
-      }
-      const skuExists = detail.sizes.some(size => size.sku === cartItem.sku);
-      if (!skuExists) {
-        console.error(`❌ Invalid SKU for ${detail.productName}:`, {
-          requestedSku: cartItem.sku,
-          availableSizes: detail.sizes.map(s => ({ sku: s.sku, size: s.size }))
-        });
-        
-        return res.status(400).json({ 
-          error: "Invalid item configuration",
-          message: "Size or SKU no longer available",
-          invalidItems: [{
-            itemId: itemId,
-            name: detail.productName,
-            requestedSku: cartItem.sku,
-            requestedSize: cartItem.size || 'Unknown',
-            reason: 'The requested size/SKU is no longer available for this item',
-            availableSizes: detail.sizes.map(s => ({ 
-              sku: s.sku, 
-              size: s.size,
-              stock: s.stock || s.quantity || 0
-            }))
-          }],
-          suggestion: "Please select a different size or remove this item from your cart"
-        });
-      }
-    }
-
-    // Determine user's location and currency
-    const userCountry = staticAddress?.country || 'India';
-    const userCurrency = getCurrencyByCountry(userCountry);
-    const isIndia = isIndianLocation(userCountry);
-    
-    console.log("User location:", { userCountry, userCurrency, isIndia });
-
-    // Calculate original cart total (prices stored in INR)
-    let cartTotal = 0;
-    for (const cartItem of cart) {
-      const item = existingItems.find(i => i._id.toString() === cartItem.itemId);
-      cartTotal += item.price * cartItem.quantity;
-    }
-
-    // Convert cart total to user currency if needed
-    let displayCartTotal = cartTotal;
-    if (userCurrency !== 'INR') {
-      displayCartTotal = await convertPrice(cartTotal, userCurrency);
-    }
-
-    // Calculate shipping cost based on location and delivery option
-    let shippingCost = 0;
-    let selectedDeliveryOption = null;
-
-    if (deliveryOption) {
-      try {
-        const shippingResult = calculateShippingCost(
-          deliveryOption, 
-          userCountry, 
-          cartTotal, 
-          1 // Default weight - should be calculated from items
-        );
-        shippingCost = shippingResult.cost;
-        selectedDeliveryOption = shippingResult.option;
-        
-        // Convert shipping cost to INR if order currency is USD
-        if (shippingResult.currency === 'USD' && userCurrency === 'USD') {
-          // Convert USD shipping cost to INR for storage
-          shippingCost = shippingCost / 0.012; // Approximate USD to INR conversion
-        }
-        
-        console.log("Shipping calculation:", shippingResult);
-      } catch (error) {
-        console.error("Error calculating shipping:", error);
-        return res.status(400).json({ error: error.message });
-      }
-    } else {
-      // Use legacy shipping logic for backward compatibility
-      shippingCost = cartTotal > 500 ? 0 : 50;
-    }
-
-    let totalAmount = cartTotal + shippingCost;
-
-    // Validate and apply promo code
-    let promoDiscount = 0;
-    let modifiedCart = [...cart];
-    if (promoCode) {
-      const promo = await PromoCode.findOne({ code: promoCode.toUpperCase(), isActive: true });
-      if (!promo) {
-        return res.status(400).json({ error: "Invalid or inactive promo code" });
-      }
-
-      const currentDate = new Date();
-      if (currentDate < promo.startDate || currentDate > promo.endDate) {
-        return res.status(400).json({ error: "Promo code has expired" });
-      }
-
-      if (promo.maxUses > 0 && promo.currentUses >= promo.maxUses) {
-        return res.status(400).json({ error: "Promo code usage limit reached" });
-      }
-
-      if (cartTotal < promo.minOrderValue) {
-        return res.status(400).json({ error: `Cart total must be at least ₹${promo.minOrderValue}` });
-      }
-
-      if (promo.discountType === 'percentage') {
-        promoDiscount = (cartTotal * promo.discountValue) / 100;
-      } else if (promo.discountType === 'fixed') {
-        promoDiscount = promo.discountValue;
-      } else if (promo.discountType === 'free_shipping') {
-        promoDiscount = shippingCost;
-      } else if (promo.discountType === 'bogo') {
-        // Find the cheapest item to duplicate
-        const cheapestItem = existingItems.reduce((min, item) => {
-          return min.price < item.price ? min : item;
-        }, existingItems[0]);
-        const cheapestCartItem = cart.find(c => c.itemId === cheapestItem._id.toString());
-        modifiedCart.push({
-          itemId: cheapestItem._id.toString(),
-          sku: cheapestCartItem.sku,
-          quantity: cheapestCartItem.quantity,
-        });
-        promoDiscount = cheapestItem.price * cheapestCartItem.quantity;
-      }
-
-      totalAmount = cartTotal + shippingCost - promoDiscount;
-    }
-
-    // Validate provided amount
-    if (Math.abs(totalAmount - amount) > 0.01) {
-      return res.status(400).json({ error: `Provided amount (${amount}) does not match calculated total (${totalAmount})` });
-    }
-
-    const options = {
-      amount: totalAmount * 100, // Convert to paise
-      currency: "INR",
-      receipt: `receipt_${Date.now()}`,
-      payment_capture: 1,
-    };
-
-    // Create Razorpay Order
-    const razorpayOrder = await razorpay.orders.create(options);
-
-    // Prepare item_quantities with SKUs
-    const itemQuantities = modifiedCart.map(cartItem => ({
-      item_id: cartItem.itemId,
-      sku: cartItem.sku,
-      quantity: cartItem.quantity,
-    }));
-
-    // Save Order in Database
-    const newOrder = new Order({
-      user: userId,
-      items: itemIds,
-      total_price: totalAmount,
-      payment_status: "Pending",
-      razorpay_order_id: razorpayOrder.id,
-      address: staticAddress,
-      item_quantities: itemQuantities,
-      promoCode: promoCode ? promoCode.toUpperCase() : null,
-      promoDiscount,
-    });
-
-    await newOrder.save();
-
-    res.json({
-      ...razorpayOrder,
-      calculatedTotal: totalAmount,
-      promoDiscount,
-      shippingCost,
-    });
-    console.log("order created:", newOrder);
-  } catch (error) {
-    console.error("Error creating Razorpay order:", error);
-    res.status(500).json({ error: "Error creating Razorpay order", details: error.message });
-  }
-};
-
-// Verify Payment & Create Shiprocket Order
-exports.verifyPayment = async (req, res) => {
-  try {
-    const { razorpay_payment_id, razorpay_order_id, razorpay_signature } = req.body;
-
-    // Verify Razorpay Payment Signature
-    const body = `${razorpay_order_id}|${razorpay_payment_id}`;
-    const expectedSignature = crypto
-      .createHmac("sha256", RAZORPAY_KEY_SECRET)
-      .update(body)
-      .digest("hex");
-
-    if (expectedSignature !== razorpay_signature) {
-      return res.status(400).json({ success: false, message: "Invalid signature" });
-    }
-
-    // Update Order Payment Status
-    let order = await Order.findOneAndUpdate(
-      { razorpay_order_id },
-      {
-        $set: {
-          payment_status: "Paid",
-          razorpay_payment_id,
-          razorpay_signature,
-        },
-      },
-      { new: true }
-    ).populate("items").populate("user");
-
-    if (!order) {
-      return res.status(404).json({ success: false, message: "Order not found" });
-    }
-
-    // Increment promo code usage if applied
-    if (order.promoCode) {
-      const promo = await PromoCode.findOneAndUpdate(
-        { code: order.promoCode, isActive: true },
-        { $inc: { currentUses: 1 } },
-        { new: true }
-      );
-      if (!promo) {
-        console.warn(`Promo code ${order.promoCode} not found or inactive during payment verification`);
-      }
-    }
-
-    // Track stock updates for Items to avoid multiple queries
-    const itemStockUpdates = new Map();
-
-    // Decrease Stock for Each Item in ItemDetails and Aggregate for Item
-    for (const entry of order.item_quantities) {
-      const itemId = entry.item_id;
-      const sku = entry.sku;
-      const quantity = entry.quantity;
-
-      // Fetch Item for the item (using merged model)
-      const itemDetails = await Item.findOne({ _id: itemId });
-      if (!itemDetails) {
-        throw new Error(`Item not found for item ID: ${itemId}`);
-      }
-
-      // Find the size entry by SKU and update stock
-      const sizeEntry = itemDetails.sizes.find(s => s.sku === sku);
-      if (!sizeEntry) {
-        throw new Error(`SKU ${sku} not found for item ID: ${itemId}`);
-      }
-      
-      if (sizeEntry.stock < quantity) {
-        throw new Error(
-          `Insufficient stock for SKU ${sku} of item ID: ${itemId}. Available: ${sizeEntry.stock}, Requested: ${quantity}`
-        );
-      }
-      
-      sizeEntry.stock -= quantity;
-      sizeEntry.quantity -= quantity; // Also update quantity field for consistency
-
-      // Aggregate quantity for Item stock update
-      if (itemStockUpdates.has(itemId.toString())) {
-        itemStockUpdates.set(itemId.toString(), itemStockUpdates.get(itemId.toString()) + quantity);
-      } else {
-        itemStockUpdates.set(itemId.toString(), quantity);
-      }
-
-      await itemDetails.save();
-    }
-
-    // Update stock in Item model
-    for (const [itemId, quantity] of itemStockUpdates) {
-      const item = await Item.findById(itemId);
-      if (!item) {
-        throw new Error(`Item not found for ID: ${itemId}`);
-      }
-      if (item.stock < quantity) {
-        throw new Error(
-          `Insufficient stock for item ID: ${itemId}. Available: ${item.stock}, Requested: ${quantity}`
-        );
-      }
-      item.stock -= quantity;
-      await item.save();
-    }
-
-    // Get Shiprocket API Token
-    const token = await getShiprocketToken();
-    if (!token) {
-      return res.status(500).json({ success: false, message: "Failed to authenticate Shiprocket" });
-    }
-
-    // Calculate shipping cost (same logic as in createOrder)
-    const cartTotal = order.items.reduce((total, item) => total + (item.price * order.item_quantities.find(q => q.item_id.toString() === item._id.toString()).quantity), 0);
-    const shippingCost = order.promoCode && order.promoCode.discountType === 'free_shipping' ? 0 : (cartTotal > 500 ? 0 : 50);
-
-    // Create Order in Shiprocket
-    const totalWeight = Math.max(
-      order.items.reduce((total, item) => total + (item.weight || 0.5), 0),
-      0.5
-    );
-    const maxLength = Math.max(...order.items.map((item) => item.length ?? 0.5), 0.5);
-    const maxBreadth = Math.max(...order.items.map((item) => item.breadth ?? 0.5), 0.5);
-    const maxHeight = Math.max(...order.items.map((item) => item.height ?? 0.5), 0.5);
-
-    const shiprocketResponse = await fetch(`${SHIPROCKET_API_BASE}/orders/create/adhoc`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${token}`,
-      },
-      body: JSON.stringify({
-        order_id: order._id.toString(),
-        order_date: new Date().toISOString().split('T')[0], // Date only, not timestamp
-        pickup_location: "warehouse",
-        billing_customer_name: order.address.firstName || "Guest",
-        billing_last_name: order.address.lastName || "N/A",
-        billing_address: order.address.address,
-        billing_city: order.address.city,
-        billing_pincode: order.address.pinCode,
-        billing_state: order.address.state,
-        billing_country: order.address.country || "India",
-        billing_email: order.user?.email || "customer@example.com",
-        billing_phone: order.user?.phNo || "9999999999",
-        shipping_is_billing: true,
-        payment_method: "Prepaid",
-        sub_total: order.total_price,
-        length: maxLength,
-        breadth: maxBreadth,
-        height: maxHeight,
-        weight: totalWeight,
-        order_items: order.item_quantities.map((entry) => {
-          const item = order.items.find((i) => i._id.toString() === entry.item_id.toString());
-          return {
-            name: item ? item.name : "Unknown Item",
-            sku: entry.sku,
-            units: entry.quantity,
-            selling_price: item ? item.price : 0,
-          };
-        }),
-      }),
-    });
-
-    const shiprocketData = await shiprocketResponse.json();
-    
-    // Enhanced error handling for IP restrictions
-    if (shiprocketResponse.status === 403) {
-      console.error('❌ Shiprocket 403 Error - IP Restriction:', shiprocketData);
-      throw new Error(
-        'Shiprocket API access restricted. Please whitelist your server IP address in Shiprocket dashboard (Settings → API → IP Whitelisting). ' +
-        'Contact support@shiprocket.in if IP whitelisting is not available. Error: ' + shiprocketData.message
-      );
-    }
-    if (shiprocketData.status_code === 1) {
-      order.shiprocket_shipment_id = shiprocketData.shipment_id;
-      order.shiprocket_orderId = shiprocketData.order_id;
-      await order.save();
-
-      const awbResponse = await generateAWBWithCourier(shiprocketData.shipment_id, token);
-      if (awbResponse.success) {
-        const awbData = awbResponse.awbData;
-        if (!awbData || !awbData.awb_code) {
-          console.error("Invalid AWB data structure:", awbData);
-          throw new Error("Failed to retrieve AWB code");
-        }
-        order.awb_code = awbData.awb_code;
-        order.shiprocket_shipment_id = awbData.shipment_id;
-        order.tracking_url = `https://shiprocket.co/tracking/${awbData.awb_code}`;
-        order.courier_company_id = awbData.courier_company_id;
-        order.courier_name = awbData.courier_name;
-        order.freight_charges = awbData.freight_charges;
-        order.applied_weight = awbData.applied_weight;
-        order.routing_code = awbData.routing_code;
-        order.invoice_no = awbData.invoice_no;
-        order.transporter_id = awbData.transporter_id;
-        order.transporter_name = awbData.transporter_name;
-        order.shipped_by = {
-          shipper_company_name: awbData.shipped_by.shipper_company_name,
-          shipper_address_1: awbData.shipped_by.shipper_address_1,
-          shipper_address_2: awbData.shipped_by.shipper_address_2,
-          shipper_city: awbData.shipped_by.shipper_city,
-          shipper_state: awbData.shipped_by.shipper_state,
-          shipper_country: awbData.shipped_by.shipper_country,
-          shipper_postcode: awbData.shipped_by.shipper_postcode,
-          shipper_phone: awbData.shipped_by.shipper_phone,
-          shipper_email: awbData.shipped_by.shipper_email,
-        };
-        await order.save();
-        return res.json({
-          success: true,
-          message: "Payment verified, Shiprocket order created & AWB generated!",
-          order,
-          shiprocketOrderId: shiprocketData.order_id,
-          awbCode: awbData.awb_code,
-        });
-      } else {
-        console.error("AWB generation failed:", awbResponse.error);
-        return res.json({
-          success: true,
-          message: "Payment verified and Shiprocket order created, but AWB generation failed",
-          order,
-          shiprocketOrderId: shiprocketData.order_id,
-          awbCode: "AWB generation failed",
-        });
-      }
-    } else {
-      throw new Error("Shiprocket order creation failed: " + JSON.stringify(shiprocketData));
-    }
-  } catch (error) {
-    console.error("Payment verification error:", error);
-
-    let order = await Order.findOne({ razorpay_order_id: req.body.razorpay_order_id });
-    if (error.message.includes("Insufficient stock") && req.body.razorpay_payment_id && order) {
-      try {
-        const refund = await razorpay.payments.refund(req.body.razorpay_payment_id, {
-          amount: order.total_price * 100,
-          speed: "optimum",
-        });
-        console.log("Refund initiated due to insufficient stock:", refund);
-      } catch (refundError) {
-        console.error("Refund failed:", refundError);
-      }
-    }
-
-    res.status(500).json({ success: false, message: "Payment verification failed", error: error.message });
-  }
-};
-
 // Cancel Order
 exports.cancelOrder = async (req, res) => {
   try {
@@ -829,24 +247,20 @@ exports.cancelOrder = async (req, res) => {
       }
     }
 
-    if (order.payment_status === "Paid" && order.razorpay_payment_id) {
-      const refundResponse = await fetch(`https://api.razorpay.com/v1/payments/${order.razorpay_payment_id}/refund`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Basic ${Buffer.from(`${RAZORPAY_KEY_ID}:${RAZORPAY_KEY_SECRET}`).toString("base64")}`,
-        },
-        body: JSON.stringify({ amount: order.total_price * 100, speed: "optimum" }),
-      });
-
-      const refundData = await refundResponse.json();
-      if (!refundResponse.ok || !refundData.id) {
-        return res.status(500).json({ success: false, message: "Refund failed", error: refundData });
+    // Refund whatever has not been refunded yet (prorated shipping included)
+    let refundResult = null;
+    if (order.payment_status === "Paid" && order.razorpay_payment_id && (order.refunded_amount || 0) < order.total_price) {
+      try {
+        refundResult = await issueRefund(order._id, {
+          full: true,
+          source: "cancellation",
+          reason: "Order cancelled by customer",
+          initiatedBy: req.user?._id || null,
+        });
+      } catch (refundError) {
+        console.error("Refund failed:", refundError);
+        return res.status(REFUND_ERROR_STATUS[refundError.code] || 500).json({ success: false, message: "Refund failed", error: refundError.message });
       }
-
-      order.refund_status = "Initiated";
-    } else {
-      order.refund_status = "Not Required";
     }
 
     // If promo code was applied, consider decrementing usage
@@ -860,11 +274,18 @@ exports.cancelOrder = async (req, res) => {
     order.order_status = "Cancelled";
     order.shipping_status = "Cancelled";
     await order.save();
+    eventBus.publish(EVENTS.ORDER_CANCELLED, { ...orderEventPayload(order), cancelledBy: "customer" });
+
+    // Return held or sold units to stock
+    await releaseReservation(order._id, "order_cancelled", { includeConverted: true }).catch(releaseError => {
+      console.error("Error releasing stock for cancelled order:", releaseError);
+    });
 
     res.status(200).json({
       success: true,
-      message: "Order cancelled successfully",
+      message: "Order cancelled successfully" + (refundResult ? " and refund initiated" : ""),
       order,
+      refund: refundResult?.refund || null,
     });
   } catch (error) {
     console.error("Error cancelling order:", error);
@@ -886,198 +307,63 @@ exports.createReturnOrder = async (req, res) => {
     console.log("Parsed Request Body:", { orderId, reason });
     console.log("User ID:", userId);
     console.log("Uploaded Images:", images ? images.length : 0);
-
-    if (!orderId || !reason) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Missing required fields: orderId and reason are required" 
-      });
-    }
-
-    if (images && images.length > 3) {
-      return res.status(400).json({ success: false, message: "Maximum 3 images allowed" });
-    }
-
-    const order = await Order.findById(orderId)
-      .populate("items", "name price sku dimensions")
-      .populate("item_quantities.item_id", "name price sku dimensions");
-
-    if (!order) {
-      return res.status(404).json({ success: false, message: "Order not found" });
-    }
-
-    if (order.user.toString() !== userId.toString()) {
-      return res.status(403).json({ success: false, message: "Unauthorized to return this order" });
-    }
-
-    if (order.shipping_status !== "Delivered") {
-      return res.status(400).json({ success: false, message: "Order must be delivered to initiate a return" });
-    }
-
-    const deliveredDate = order.created_at;
-    const currentDate = new Date();
-    const daysSinceDelivery = (currentDate - new Date(deliveredDate)) / (1000 * 60 * 60 * 24);
-    if (daysSinceDelivery > 30) {
-      return res.status(400).json({ success: false, message: "Return period expired (30 days after delivery)" });
-    }
-
-    const token = await getShiprocketToken();
-    console.log("Shiprocket Token:", token);
-    if (!token) {
-      return res.status(500).json({ success: false, message: "Failed to authenticate with Shiprocket" });
-    }
-
-    let imageUrls = [];
-    if (images && images.length > 0) {
-      imageUrls = images.map(file => {
-        console.log(`Processing image: ${file.originalname}`);
-        return `https://example.com/uploads/${file.originalname}`;
-      });
-      console.log("Uploaded Image URLs:", imageUrls);
-    }
-
-    const returnDimensions = order.item_quantities.reduce((acc, qty) => {
-      const detail = order.items.find(i => i._id.toString() === qty.item_id.toString())?.dimensions || { length: 10, breadth: 10, height: 10, weight: 0.5 };
-      return {
-        length: Math.max(acc.length || 0, (detail.length || 10) * qty.quantity),
-        breadth: Math.max(acc.breadth || 0, (detail.breadth || 10) * qty.quantity),
-        height: Math.max(acc.height || 0, (detail.height || 10) * qty.quantity),
-        weight: (acc.weight || 0) + ((detail.weight || 0.5) * qty.quantity),
-      };
-    }, {});
-
-    const returnPayload = {
-      order_id: `R_${orderId}_${Date.now()}`,
-      order_date: new Date().toISOString().split("T")[0],
-      channel_id: process.env.SHIPROCKET_CHANNEL_ID || "6355414",
-      pickup_customer_name: order.address.firstName,
-      pickup_last_name: order.address.lastName || "",
-      pickup_address: order.address.address,
-      pickup_address_2: "",
-      pickup_city: order.address.city,
-      pickup_state: order.address.state,
-      pickup_country: order.address.country || "India",
-      pickup_pincode: order.address.pinCode,
-      pickup_email: order.user?.email || "customer@example.com",
-      pickup_phone: order.address.phoneNumber.replace(/\D/g, ""),
-      pickup_isd_code: "91",
-      shipping_customer_name: order.shipped_by.shipper_company_name || "Seller",
-      shipping_last_name: "",
-      shipping_address: order.shipped_by.shipper_address_1 || "Default Address",
-      shipping_address_2: order.shipped_by.shipper_address_2 || "",
-      shipping_city: order.shipped_by.shipper_city || "Default City",
-      shipping_country: order.shipped_by.shipper_country || "India",
-      shipping_pincode: order.shipped_by.shipper_postcode || "110001",
-      shipping_state: order.shipped_by.shipper_state || "Default State",
-      shipping_email: order.shipped_by.shipper_email || "seller@example.com",
-      shipping_phone: order.shipped_by.shipper_phone || "9999999999",
-      shipping_isd_code: "91",
-      order_items: order.item_quantities.map((qty) => {
-        const item = order.items.find(i => i._id.toString() === qty.item_id.toString());
-        return {
-          name: item?.name || "Unknown Item",
-          sku: item?.sku || "UNKNOWN_SKU",
-          units: qty.quantity,
-          selling_price: item?.price || 0,
-          discount: 0,
-          hsn: item?.hsn || "1733808730720",
-        };
-      }),
-      payment_method: "Prepaid",
-      total_discount: order.promoDiscount || 0,
-      sub_total: order.total_price,
-      length: returnDimensions.length || 10,
-      breadth: returnDimensions.breadth || 10,
-      height: returnDimensions.height || 10,
-      weight: returnDimensions.weight || 0.5,
-      return_reason: reason || "Item defective or doesn't work",
-    };
-
-    console.log("Return Payload:", JSON.stringify(returnPayload, null, 2));
-
-    const returnResponse = await fetch(`${SHIPROCKET_API_BASE}/orders/create/return`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${token}`,
-      },
-      body: JSON.stringify(returnPayload),
-    });
-
-    const returnData = await returnResponse.json();
-    console.log("Full Return Response:", JSON.stringify(returnData, null, 2));
-
-    if (!returnResponse.ok || !returnData.order_id) {
-      return res.status(500).json({
-        success: false,
-        message: "Failed to create return order",
-        error: returnData.message || returnData,
+
+    if (!orderId || !reason) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Missing required fields: orderId and reason are required" 
       });
     }
 
-    let returnAwbResult;
-    const returnShipmentId = returnData.shipment_id;
-    if (returnShipmentId) {
-      returnAwbResult = await generateAWBWithCourier(returnShipmentId, token);
-      if (!returnAwbResult.success) {
-        console.error("Failed to assign return AWB:", returnAwbResult);
-      }
+    if (images && images.length > 3) {
+      return res.status(400).json({ success: false, message: "Maximum 3 images allowed" });
     }
 
-    let refundData;
-    if (order.payment_status === "Paid" && order.razorpay_payment_id) {
-      const refundResponse = await fetch(`https://api.razorpay.com/v1/payments/${order.razorpay_payment_id}/refund`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Basic ${Buffer.from(`${razorpay.key_id}:${razorpay.key_secret}`).toString("base64")}`,
-        },
-        body: JSON.stringify({ amount: order.total_price * 100, speed: "optimum" }),
-      });
-
-      refundData = await refundResponse.json();
-      if (!refundResponse.ok || !refundData.id) {
-        return res.status(500).json({ success: false, message: "Refund initiation failed", error: refundData });
+    // Optional partial return: [{ sku, quantity }] (a JSON string when sent as multipart)
+    let returnItems = [];
+    if (req.body.items) {
+      try {
+        returnItems = typeof req.body.items === "string" ? JSON.parse(req.body.items) : req.body.items;
+      } catch (parseError) {
+        return res.status(400).json({ success: false, message: "items must be a JSON array of { sku, quantity }" });
       }
+      if (!Array.isArray(returnItems)) {
+        return res.status(400).json({ success: false, message: "items must be a JSON array of { sku, quantity }" });
+      }
+      returnItems = returnItems.map(line => ({ sku: line.sku, quantity: parseInt(line.quantity) }));
     }
 
-    // If promo code was applied, decrement usage
-    if (order.promoCode) {
-      await PromoCode.findOneAndUpdate(
-        { code: order.promoCode, isActive: true },
-        { $inc: { currentUses: -1 } }
-      );
+    let imageUrls = [];
+    if (images && images.length > 0) {
+      imageUrls = images.map(file => {
+        console.log(`Processing image: ${file.originalname}`);
+        return `https://example.com/uploads/${file.originalname}`;
+      });
+      console.log("Uploaded Image URLs:", imageUrls);
     }
 
-    order.refund = {
-      requestDate: new Date(),
-      status: refundData ? "Initiated" : "Pending",
-      rmaNumber: returnPayload.order_id,
-      amount: order.total_price,
-      reason: reason || "Not specified",
-      returnAwbCode: returnAwbResult?.success ? returnAwbResult.awbData.awb_code : returnData.awb_code || "",
-      returnTrackingUrl: returnAwbResult?.success
-        ? `https://shiprocket.co/tracking/${returnAwbResult.awbData.awb_code}`
-        : returnData.awb_code
-        ? `https://shiprocket.co/tracking/${returnData.awb_code}`
-        : "",
-      returnLabelUrl: returnData.label_url || "",
-      shiprocketReturnId: returnData.order_id,
-      returnShipmentId: returnData.shipment_id || "",
-      refundTransactionId: refundData?.id || null,
-      refundStatus: refundData ? "Initiated" : null,
-      notes: "Return initiated via Shiprocket Return API",
-      images: imageUrls
-    };
-
-    await order.save();
+    let order, refundQuote;
+    try {
+      ({ order, refundQuote } = await createReturnRequest(orderId, { reason, returnItems, imageUrls, userId }));
+    } catch (returnError) {
+      if (returnError.code === "RETURN_CREATION_FAILED") {
+        return res.status(500).json({ success: false, message: returnError.message, error: returnError.details });
+      }
+      // Refund quote errors (e.g. more units than were bought) are the customer's to fix
+      const status = ORDER_ACTION_ERROR_STATUS[returnError.code] || (REFUND_ERROR_STATUS[returnError.code] && 400);
+      if (status) {
+        return res.status(status).json({ success: false, message: returnError.message, details: returnError.details });
+      }
+      throw returnError;
+    }
 
     res.status(200).json({
       success: true,
-      message: "Return order created successfully" + (refundData ? " and refund initiated" : ""),
+      message: "Return order created successfully",
       rmaNumber: order.refund.rmaNumber,
       returnLabelUrl: order.refund.returnLabelUrl,
       refund: order.refund,
+      estimatedRefund: refundQuote ? refundQuote.amount : null,
     });
   } catch (error) {
     console.error("Error in createReturnOrder:", error);
@@ -1298,6 +584,13 @@ exports.createExchangeOrder = async (req, res) => {
     });
 
     await order.save();
+    eventBus.publish(EVENTS.EXCHANGE_REQUESTED, {
+      ...orderEventPayload(order),
+      rmaNumber: order.exchange.rmaNumber,
+      reason: order.exchange.reason,
+      newItemId: order.exchange.newItemId,
+      desiredSize: order.exchange.desiredSize
+    });
 
     res.status(200).json({
       success: true,
@@ -1628,13 +921,18 @@ exports.getReturnOrdersByUser = async (req, res) => {
       .populate("user", "firstName lastName email phoneNumber")
       .populate("items", "name price imageUrl description")
       .populate("item_quantities.item_id", "name price image")
-      .select("order_status shipping_status total_price refund created_at")
+      .select("order_status shipping_status total_price refund refunded_amount refunds created_at")
       .sort({ "refund.requestDate": -1 })
       .skip(skip)
       .limit(limit);
 
     console.log("Return Orders Retrieved:", returnOrders.length);
-    console.log("Return Orders Data:", JSON.stringify(returnOrders, null, 2));
+
+    // Refund progress per order (history without admin-only fields)
+    const returnOrdersWithRefunds = returnOrders.map(order => {
+      const { refunds, refunded_amount, ...orderData } = order.toObject();
+      return { ...orderData, refundSummary: customerRefundSummary(order) };
+    });
 
     // Return response with return orders array (empty if no orders found)
     const message = returnOrders.length > 0 ? "Return orders fetched successfully" : "No return orders found";
@@ -1644,7 +942,7 @@ exports.getReturnOrdersByUser = async (req, res) => {
       totalReturnOrders,
       currentPage: page,
       totalPages: Math.ceil(totalReturnOrders / limit),
-      returnOrders,
+      returnOrders: returnOrdersWithRefunds,
       message: message
     });
   } catch (error) {
@@ -2281,6 +1579,8 @@ exports.adminGetOrderById = async (req, res) => {
       
       // Return/Exchange Information
       refund: order.refund,
+      refunds: order.refunds || [],
+      refunded_amount: order.refunded_amount || 0,
       exchange: order.exchange,
       
       // Shipper Information
@@ -2303,7 +1603,8 @@ exports.adminGetOrderById = async (req, res) => {
                   order.shipping_status !== 'Delivered',
       
       can_refund: order.payment_status === 'Paid' && 
-                  !order.refund?.refundTransactionId,
+                  !!order.razorpay_payment_id &&
+                  (order.refunded_amount || 0) < order.total_price,
       
       auto_assigned: order.auto_assigned || false,
       
@@ -2395,6 +1696,8 @@ exports.adminUpdateOrderStatus = async (req, res) => {
       new_shipping_status: finalShippingStatus
     });
 
+    const wasDelivered = order.order_status === "Delivered" || order.shipping_status === "Delivered";
+
     // Update order status
     order.order_status = normalizedStatus;
     
@@ -2405,6 +1708,10 @@ exports.adminUpdateOrderStatus = async (req, res) => {
 
     await order.save();
 
+    if (!wasDelivered && (order.order_status === "Delivered" || order.shipping_status === "Delivered")) {
+      eventBus.publish(EVENTS.ORDER_DELIVERED, orderEventPayload(order));
+    }
+
     console.log("✅ Order status updated successfully:", {
       orderId: order._id,
       order_status: order.order_status,
@@ -2524,121 +1831,27 @@ exports.adminCancelOrder = async (req, res) => {
 
     console.log(`🚫 Admin cancelling order ${orderId}:`, { reason, notes, force });
 
-    const order = await Order.findById(orderId);
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: "Order not found"
-      });
-    }
-
-    // Check if order can be cancelled
-    if (!force && ['shipped', 'delivered', 'cancelled'].includes(order.order_status?.toLowerCase())) {
-      return res.status(400).json({
-        success: false,
-        message: `Cannot cancel order that is already ${order.order_status}. Use force=true to override.`
-      });
-    }
-
-    // 1. Cancel Shiprocket shipment if it exists
-    if (order.shiprocket_shipment_id && order.shipping_status !== 'CANCELLED') {
-      try {
-        const token = await getShiprocketToken();
-        if (token) {
-          const cancelResponse = await fetch(`${SHIPROCKET_API_BASE}/orders/cancel/shipment/${order.shiprocket_shipment_id}`, {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${token}`,
-            },
-            body: JSON.stringify({
-              ids: [order.shiprocket_shipment_id]
-            })
-          });
-
-          const cancelData = await cancelResponse.json();
-          console.log(`📦 Shiprocket cancellation result:`, cancelData);
-
-          if (cancelResponse.ok) {
-            order.shipping_status = 'CANCELLED';
-            order.shipping_cancelled_at = new Date();
-          } else {
-            console.warn(`⚠️ Failed to cancel Shiprocket shipment:`, cancelData);
-          }
-        }
-      } catch (shipError) {
-        console.error("Error cancelling Shiprocket shipment:", shipError);
-        // Continue with order cancellation even if Shiprocket fails
-      }
-    }
-
-    // 2. Process refund if payment was made
-    if (order.payment_status === "Paid" && order.razorpay_payment_id) {
-      try {
-        const refundResponse = await fetch(`https://api.razorpay.com/v1/payments/${order.razorpay_payment_id}/refund`, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Basic ${Buffer.from(`${RAZORPAY_KEY_ID}:${RAZORPAY_KEY_SECRET}`).toString("base64")}`,
-          },
-          body: JSON.stringify({ 
-            amount: order.total_price * 100, // Convert to paise
-            speed: "optimum",
-            notes: {
-              reason: reason || "Order cancelled by admin",
-              order_id: order._id.toString()
-            }
-          }),
-        });
-
-        const refundData = await refundResponse.json();
-        console.log(`💰 Refund result:`, refundData);
-
-        if (refundResponse.ok && refundData.id) {
-          order.refund_status = "Initiated";
-          order.refund_id = refundData.id;
-          order.refund_amount = refundData.amount / 100; // Convert back to rupees
-          order.refunded_at = new Date();
-        } else {
-          console.error(`❌ Refund failed:`, refundData);
-          throw new Error(`Refund failed: ${refundData.error?.description || 'Unknown error'}`);
-        }
-      } catch (refundError) {
-        console.error("Error processing refund:", refundError);
-        return res.status(500).json({ 
-          success: false, 
-          message: "Failed to process refund", 
-          error: refundError.message 
+    let order, refund;
+    try {
+      ({ order, refund } = await cancelOrderAsAdmin(orderId, { reason, notes, force, initiatedBy: req.user?._id || null }));
+    } catch (cancelError) {
+      if (ORDER_ACTION_ERROR_STATUS[cancelError.code]) {
+        return res.status(ORDER_ACTION_ERROR_STATUS[cancelError.code]).json({
+          success: false,
+          message: cancelError.message
         });
       }
-    }
-
-    // 3. Restore inventory (add items back to stock)
-    try {
-      for (const entry of order.item_quantities || []) {
-        const item = await Item.findById(entry.item_id);
-        if (item && item.stock !== undefined) {
-          item.stock += entry.quantity;
-          await item.save();
-          console.log(`📦 Restored ${entry.quantity} units to item ${entry.item_id}`);
-        }
+      if (REFUND_ERROR_STATUS[cancelError.code]) {
+        console.error("Error processing refund:", cancelError);
+        return res.status(REFUND_ERROR_STATUS[cancelError.code]).json({
+          success: false,
+          message: "Failed to process refund",
+          error: cancelError.message
+        });
       }
-    } catch (stockError) {
-      console.error("Error restoring inventory:", stockError);
-      // Continue with cancellation even if stock restoration fails
-    }
-
-    // 4. Update order status
-    order.order_status = "Cancelled";
-    order.cancelledAt = new Date();
-    order.cancellationReason = reason;
-    order.adminCancelled = true;
-    if (notes) {
-      order.adminNotes = notes;
+      throw cancelError;
     }
 
-    await order.save();
-
     console.log(`✅ Order ${orderId} cancelled successfully`);
 
     res.status(200).json({
@@ -2648,8 +1861,9 @@ exports.adminCancelOrder = async (req, res) => {
         _id: order._id,
         order_status: order.order_status,
         shipping_status: order.shipping_status,
-        refund_status: order.refund_status,
-        refund_amount: order.refund_amount,
+        refund_status: refund ? refund.status : null,
+        refund_amount: refund ? refund.amount : 0,
+        refund_id: refund ? refund.razorpayRefundId : null,
         cancelledAt: order.cancelledAt,
         cancellationReason: order.cancellationReason
       }
@@ -2670,23 +1884,26 @@ exports.adminAllotVendor = async (req, res) => {
     const { orderId } = req.params;
     const { vendorId, notes } = req.body;
 
-    const order = await Order.findById(orderId);
-    if (!order) {
-      return res.status(404).json({
+    if (!vendorId) {
+      return res.status(400).json({
         success: false,
-        message: "Order not found"
+        message: "vendorId is required"
       });
     }
 
-    order.vendorId = vendorId;
-    order.vendorAllotted = true;
-    order.vendorAllottedAt = new Date();
-    if (notes) {
-      order.vendorNotes = notes;
+    let order;
+    try {
+      ({ order } = await allotOrder(orderId, vendorId, { notes }));
+    } catch (allotError) {
+      if (PARTNER_ORDER_ERROR_STATUS[allotError.code]) {
+        return res.status(PARTNER_ORDER_ERROR_STATUS[allotError.code]).json({
+          success: false,
+          message: allotError.message
+        });
+      }
+      throw allotError;
     }
 
-    await order.save();
-
     res.status(200).json({
       success: true,
       message: "Vendor allotted successfully",
@@ -2716,6 +1933,8 @@ exports.adminUpdateCourierStatus = async (req, res) => {
       });
     }
 
+    const wasDelivered = order.order_status === "Delivered" || order.shipping_status === "Delivered";
+
     order.shipping_status = courierStatus;
     if (trackingId) {
       order.trackingId = trackingId;
@@ -2724,6 +1943,10 @@ exports.adminUpdateCourierStatus = async (req, res) => {
 
     await order.save();
 
+    if (!wasDelivered && order.shipping_status === "Delivered") {
+      eventBus.publish(EVENTS.ORDER_DELIVERED, orderEventPayload(order));
+    }
+
     res.status(200).json({
       success: true,
       message: "Courier status updated successfully",
@@ -2796,8 +2019,9 @@ exports.adminGetReturnRequests = async (req, res) => {
 // Process return request
 exports.adminProcessReturnRequest = async (req, res) => {
   try {
-    const { orderId, returnId } = req.params;
-    const { action, reason, notes } = req.body; // action: 'accept' or 'reject'
+    const { returnId } = req.params;
+    const orderId = req.params.orderId || returnId; // Returns are identified by their order
+    const { action, reason, notes, refund = true, includeShipping = true } = req.body; // action: 'accept' or 'reject'
 
     const order = await Order.findById(orderId);
     if (!order) {
@@ -2807,8 +2031,23 @@ exports.adminProcessReturnRequest = async (req, res) => {
       });
     }
 
+    if (!order.refund?.requestDate) {
+      return res.status(400).json({
+        success: false,
+        message: "Order has no return request"
+      });
+    }
+
+    // Accepting a return refunds the returned lines (the whole order if none were given)
+    const shouldRefund = action === 'accept' &&
+      refund !== false && refund !== 'false' &&
+      order.payment_status === "Paid" &&
+      (order.refunded_amount || 0) < order.total_price;
+
     if (action === 'accept') {
-      order.refund.status = "Accepted";
+      // With a refund to issue, the status only moves on once Razorpay takes it
+      // (Initiated/Processed, set by issueRefund) or to "Refund Failed" to retry
+      if (!shouldRefund) order.refund.status = "Accepted";
       order.refund.acceptedAt = new Date();
     } else if (action === 'reject') {
       order.refund.status = "Rejected";
@@ -2822,6 +2061,41 @@ exports.adminProcessReturnRequest = async (req, res) => {
 
     await order.save();
 
+    if (shouldRefund) {
+      const returnedLines = (order.refund.items || []).filter(line => line.sku && line.quantity > 0);
+      try {
+        const refundResult = await issueRefund(order._id, {
+          ...(returnedLines.length > 0
+            ? { lines: returnedLines.map(line => ({ sku: line.sku, quantity: line.quantity })) }
+            : { full: true }),
+          includeShipping: includeShipping !== false && includeShipping !== 'false',
+          source: "return",
+          reason: order.refund.reason,
+          notes,
+          initiatedBy: req.user?._id || null
+        });
+
+        return res.status(200).json({
+          success: true,
+          message: `Return request accepted and refund of ₹${refundResult.refund.amount} initiated`,
+          order: refundResult.order,
+          refund: refundResult.refund
+        });
+      } catch (refundError) {
+        console.error("Error refunding accepted return:", refundError);
+        const failedOrder = await Order.findByIdAndUpdate(
+          order._id,
+          { $set: { "refund.status": "Refund Failed" } },
+          { new: true }
+        );
+        return res.status(REFUND_ERROR_STATUS[refundError.code] || 500).json({
+          success: false,
+          message: `Refund for the return failed, accept it again to retry: ${refundError.message}`,
+          order: failedOrder || order
+        });
+      }
+    }
+
     res.status(200).json({
       success: true,
       message: `Return request ${action}ed successfully`,
@@ -3058,13 +2332,20 @@ exports.adminGetExchangeStats = async (req, res) => {
 // Get available vendors
 exports.adminGetAvailableVendors = async (req, res) => {
   try {
-    // For now, return mock vendor data
-    // In a real implementation, you would have a Vendor model
-    const vendors = [
-      { _id: "vendor1", name: "Vendor 1", location: "Delhi", active: true },
-      { _id: "vendor2", name: "Vendor 2", location: "Mumbai", active: true },
-      { _id: "vendor3", name: "Vendor 3", location: "Bangalore", active: true },
-    ];
+    // Active partners that can take orders
+    const partners = await Partner.find({ status: "active", isDeleted: false, "permissions.canAcceptOrders": { $ne: false } })
+      .select("name partnerId businessInfo statistics")
+      .sort({ name: 1 })
+      .lean();
+
+    const vendors = partners.map(partner => ({
+      _id: partner._id,
+      partnerId: partner.partnerId,
+      name: partner.businessInfo?.businessName || partner.name,
+      location: partner.businessInfo?.address?.city || null,
+      active: true,
+      statistics: partner.statistics
+    }));
 
     res.status(200).json({
       success: true,
@@ -3080,6 +2361,173 @@ exports.adminGetAvailableVendors = async (req, res) => {
   }
 };
 
+// Get active checkout stock holds grouped by SKU
+exports.adminGetInventoryHolds = async (req, res) => {
+  try {
+    const { sku, itemId } = req.query;
+
+    if (itemId && !mongoose.Types.ObjectId.isValid(itemId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid item ID"
+      });
+    }
+
+    const holds = await getActiveHolds({ sku, itemId });
+
+    res.status(200).json({
+      success: true,
+      holds,
+      summary: {
+        skus: holds.length,
+        heldUnits: holds.reduce((sum, hold) => sum + hold.heldQuantity, 0),
+        orders: new Set(holds.flatMap(hold => hold.holds.map(h => h.orderId.toString()))).size
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching inventory holds:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch inventory holds",
+      error: error.message
+    });
+  }
+};
+
+// Preview a refund (amount per line with promo and shipping shares) without issuing it
+exports.adminGetRefundQuote = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { full = false, lines, amount, includeShipping = true } = req.body;
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found"
+      });
+    }
+
+    const { amountPaise, ...quote } = await quoteRefund(order, {
+      full: full === true,
+      lines,
+      amount,
+      includeShipping: includeShipping !== false
+    });
+
+    res.status(200).json({
+      success: true,
+      quote
+    });
+  } catch (error) {
+    if (REFUND_ERROR_STATUS[error.code]) {
+      return res.status(REFUND_ERROR_STATUS[error.code]).json({
+        success: false,
+        message: error.message,
+        details: error.details
+      });
+    }
+    console.error("Error quoting refund:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to calculate refund",
+      error: error.message
+    });
+  }
+};
+
+// Issue a full, per-line or custom-amount refund through Razorpay
+exports.adminRefundOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { full = false, lines, amount, includeShipping = true, reason, notes } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID"
+      });
+    }
+
+    const { order, refund } = await issueRefund(orderId, {
+      full: full === true,
+      lines,
+      amount,
+      includeShipping: includeShipping !== false,
+      reason,
+      notes,
+      source: "admin",
+      initiatedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Refund of ₹${refund.amount} ${refund.status === "processed" ? "processed" : "initiated"}`,
+      refund,
+      refundedAmount: order.refunded_amount,
+      refundableAmount: customerRefundSummary(order).refundableAmount
+    });
+  } catch (error) {
+    if (REFUND_ERROR_STATUS[error.code]) {
+      return res.status(REFUND_ERROR_STATUS[error.code]).json({
+        success: false,
+        message: error.message,
+        details: error.details
+      });
+    }
+    console.error("Error issuing refund:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to issue refund",
+      error: error.message
+    });
+  }
+};
+
+// Refund history of an order with the refundable balance per line
+exports.adminGetOrderRefunds = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const order = await Order.findById(orderId)
+      .select("total_price payment_status razorpay_payment_id refunded_amount refunds item_quantities")
+      .populate("refunds.initiatedBy", "firstName lastName email")
+      .lean();
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found"
+      });
+    }
+
+    const { refundedAmount, refundableAmount } = customerRefundSummary(order);
+
+    res.status(200).json({
+      success: true,
+      orderId,
+      totalPaid: order.total_price,
+      refundedAmount,
+      refundableAmount,
+      lines: (order.item_quantities || []).map(line => ({
+        lineId: line._id,
+        sku: line.sku,
+        size: line.size,
+        quantity: line.quantity,
+        refundedQuantity: line.refunded_quantity || 0
+      })),
+      refunds: order.refunds || []
+    });
+  } catch (error) {
+    console.error("Error fetching order refunds:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch refunds",
+      error: error.message
+    });
+  }
+};
+
 // Bulk update orders
 exports.adminBulkUpdateOrders = async (req, res) => {
   try {
@@ -3114,13 +2562,26 @@ exports.adminBulkUpdateOrders = async (req, res) => {
           lastUpdated: new Date()
         };
         break;
-      case 'allotVendor':
-        updateData = {
-          vendorId: data.vendorId,
-          vendorAllotted: true,
-          vendorAllottedAt: new Date()
-        };
-        break;
+      case 'allotVendor': {
+        // One by one so each partner's assignment statistics stay right
+        const failed = [];
+        let allotted = 0;
+        for (const orderId of orderIds) {
+          try {
+            await allotOrder(orderId, data.vendorId, { notes: data.notes });
+            allotted++;
+          } catch (allotError) {
+            if (!PARTNER_ORDER_ERROR_STATUS[allotError.code]) throw allotError;
+            failed.push({ orderId, error: allotError.message });
+          }
+        }
+        return res.status(200).json({
+          success: true,
+          message: `Bulk operation completed. ${allotted} orders updated.`,
+          modifiedCount: allotted,
+          failed
+        });
+      }
       default:
         return res.status(400).json({
           success: false,
@@ -3242,6 +2703,14 @@ exports.adminDispatchOrder = async (req, res) => {
     ).populate('user', 'name email phNo phoneNumber')
      .populate('items', 'name price image');
 
+    eventBus.publish(EVENTS.SHIPMENT_AWB_ASSIGNED, {
+      orderId: updatedOrder._id.toString(),
+      awbCode: tracking_number,
+      courierName: courier_partner,
+      trackingUrl: updateData.tracking_url,
+      expectedDeliveryDate: updateData.estimated_delivery_date
+    });
+
     // Send dispatch notification email to customer (if email service is available)
     try {
       const customerEmail = updatedOrder.address?.email || updatedOrder.user?.email;
@@ -3632,6 +3101,14 @@ exports.generateAWB = async (req, res) => {
     order.shipping_status = 'SHIPPED';
     order.shipping_started_at = new Date();
     await order.save();
+    eventBus.publish(EVENTS.SHIPMENT_AWB_ASSIGNED, {
+      orderId: order._id.toString(),
+      awbCode: order.awb_code,
+      courierName: order.courier_name,
+      trackingUrl: order.tracking_url,
+      shipmentId: order.shiprocket_shipment_id,
+      expectedDeliveryDate: awbResult.expected_delivery_date || null
+    });
 
     res.json({
       success: true,
@@ -3686,26 +3163,12 @@ exports.trackShipmentByOrderId = async (req, res) => {
       });
     }
 
-    // Get Shiprocket token
-    const token = await getShiprocketToken();
-
-    // Track the shipment using AWB code
-    const trackingResponse = await fetch(`${SHIPROCKET_API_BASE}/courier/track/awb/${order.awb_code}`, {
-      method: "GET",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${token}`,
-      },
-    });
-
-    const trackingData = await trackingResponse.json();
-
-    if (!trackingResponse.ok) {
-      console.error("Shiprocket Tracking Failed:", trackingData);
+    const tracking = await trackAwb(order.awb_code);
+    if (!tracking.success) {
       return res.status(400).json({
         success: false,
         error: 'Failed to track shipment',
-        message: trackingData.message || 'Tracking service unavailable'
+        message: tracking.error
       });
     }
 
@@ -3714,9 +3177,9 @@ exports.trackShipmentByOrderId = async (req, res) => {
       tracking_data: {
         awb_code: order.awb_code,
         courier_name: order.courier_name,
-        current_status: trackingData.tracking_data?.track_status || 'Unknown',
-        shipment_track: trackingData.tracking_data?.shipment_track || [],
-        expected_delivery: trackingData.tracking_data?.etd || null,
+        current_status: tracking.currentStatus,
+        shipment_track: tracking.shipmentTrack,
+        expected_delivery: tracking.expectedDelivery,
         tracking_url: order.tracking_url
       }
     });
@@ -4544,6 +4007,14 @@ exports.assignCourierToOrder = async (req, res) => {
         expected_delivery_date: awbData.expected_delivery_date,
         shipping_status: 'AWB_ASSIGNED'
       });
+      eventBus.publish(EVENTS.SHIPMENT_AWB_ASSIGNED, {
+        orderId: orderId.toString(),
+        awbCode: awbData.awb_code,
+        courierName: courier_name || awbData.courier_name,
+        trackingUrl: awbData.tracking_url,
+        shipmentId: order.shiprocket_shipment_id,
+        expectedDeliveryDate: awbData.expected_delivery_date || null
+      });
 
       res.json({
         success: true,
@@ -5,6 +5,16 @@ const { uploadMultipart, deleteFileFromS3 } = require("../../utils/S3");
 const mongoose = require("mongoose");
 const Item = require("../../models/Item");
 const { findSizeVariant } = require("../../utils/skuUtils");
+const { eventBus, EVENTS, orderEventPayload } = require("../../services/eventBus");
+const { evaluatePromoCode, recordRedemption, PROMO_ERROR_STATUS } = require("../../services/promotionService");
+const { resolveCartDiscounts } = require("../../services/automaticDiscountService");
+const { issueRefund } = require("../../services/refundService");
+const { toPaise } = require("../../utils/orderPricing");
+const {
+  holdStock,
+  convertReservation,
+  releaseReservation
+} = require("../../services/inventoryReservationService");
 
 // Import currency and delivery utilities
 const { 
@@ -143,6 +153,9 @@ if (!SHIPROCKET_EMAIL || !SHIPROCKET_PASSWORD) {
 
 // Create Order
 exports.createOrder = async (req, res) => {
+  // Set once stock is held, so any later failure can release the hold
+  let heldOrderId = null;
+
   try {
     const { amount, cart, staticAddress, deliveryOption } = req.body;
     const userId = req.user._id;
@@ -404,6 +417,48 @@ exports.createOrder = async (req, res) => {
       });
     }
 
+    // 🎟️ PROMO CODE - shared promotion engine; the discount is allocated to eligible lines
+    const requestedPromoCode = req.body.promoCode || req.body.couponCode || null;
+    const discountLines = validatedCart.map(cartItem => ({
+      itemId: cartItem.itemId,
+      sku: cartItem.sku,
+      size: cartItem.size,
+      quantity: cartItem.quantity,
+      unitPrice: cartItem.price
+    }));
+    let promotion = null;
+    if (requestedPromoCode) {
+      try {
+        promotion = await evaluatePromoCode({
+          code: requestedPromoCode,
+          userId,
+          lines: discountLines
+        });
+      } catch (promoError) {
+        if (PROMO_ERROR_STATUS[promoError.code]) {
+          return res.status(PROMO_ERROR_STATUS[promoError.code]).json({ error: promoError.message, code: promoError.code });
+        }
+        throw promoError;
+      }
+    }
+
+    // 🏷️ AUTOMATIC OFFERS - combined with the code under the store's stacking rules and cap;
+    // a code that loses the best-offer selection is dropped
+    const cartDiscounts = await resolveCartDiscounts({ userId, lines: discountLines, promotion });
+    promotion = cartDiscounts.promotion;
+
+    // BOGO units are added to their line (and held below); each line keeps its discount share
+    cartDiscounts.allocation.forEach((allocation, index) => {
+      validatedCart[index].quantity += allocation.freeQuantity;
+      validatedCart[index].promoDiscount = allocation.discount;
+      validatedCart[index].promoFreeQuantity = allocation.freeQuantity;
+    });
+    cartDiscounts.applied.forEach(offer => console.log(`🎟️ ${offer.type === 'promo_code' ? `Promo ${offer.code}` : `Offer "${offer.name}"`} applied: ₹${offer.discount} off`));
+    cartDiscounts.rejected.forEach(offer => console.log(`🚫 ${offer.type === 'promo_code' ? `Promo ${offer.code}` : `Offer "${offer.name}"`} not applied: ${offer.reason}`));
+    const promoDiscount = cartDiscounts.promoCodeDiscount;
+    const automaticDiscount = cartDiscounts.automaticDiscount;
+    const automaticOffers = cartDiscounts.applied.filter(offer => offer.type === 'automatic');
+
     // 💰 ENHANCED CART TOTAL CALCULATION using utility
     const cartCalculation = calculateCartTotal(validatedCart, {
       taxRate: 0, // Configure as needed
@@ -434,7 +489,7 @@ exports.createOrder = async (req, res) => {
       isOnSale: item.isOnSale
     })));
     
-    const calculatedAmount = cartCalculation.total;
+    const calculatedAmount = Math.round((cartCalculation.total - cartDiscounts.itemDiscount) * 100) / 100;
     
     console.log('💵 Amount Validation:');
     console.log('Frontend sent amount:', amount);
@@ -462,7 +517,7 @@ exports.createOrder = async (req, res) => {
     console.log('Key Secret (length):', RAZORPAY_KEY_SECRET ? RAZORPAY_KEY_SECRET.length + ' chars' : 'NOT SET');
     
     const options = {
-      amount: finalAmount * 100, // Convert to paise
+      amount: toPaise(finalAmount), // Convert to paise (whole paise, Razorpay rejects fractions)
       currency: "INR",
       receipt: `receipt_${Date.now()}`,
       payment_capture: 1,
@@ -477,6 +532,27 @@ exports.createOrder = async (req, res) => {
 
     console.log('💳 Creating Razorpay order with options:', options);
 
+    // 📦 Hold stock for every SKU until the payment is verified or the hold expires.
+    // The Order is saved with this _id below, so the hold can be found from the order.
+    const orderObjectId = new mongoose.Types.ObjectId();
+    let reservation;
+    try {
+      reservation = await holdStock({
+        orderId: orderObjectId,
+        userId,
+        lines: validatedCart
+      });
+      heldOrderId = orderObjectId;
+    } catch (holdError) {
+      if (holdError.code === 'INSUFFICIENT_STOCK') {
+        return res.status(400).json({ 
+          error: holdError.message,
+          details: holdError.details
+        });
+      }
+      throw holdError;
+    }
+
     // Create Razorpay Order
     const order = await razorpay.orders.create(options);
     console.log('✅ Razorpay order created successfully:', order.id);
@@ -499,7 +575,11 @@ exports.createOrder = async (req, res) => {
         discount_percentage: cartItem.discountPercentage, // Percentage discount
         
         // Frontend comparison for debugging
-        frontend_price: cartItem.frontendPrice
+        frontend_price: cartItem.frontendPrice,
+
+        // Promo allocation
+        promo_discount: cartItem.promoDiscount || 0,
+        promo_free_quantity: cartItem.promoFreeQuantity || 0
       };
       
       // 🐛 DEBUG: Log each item quantity being prepared with enhanced pricing
@@ -558,8 +638,8 @@ exports.createOrder = async (req, res) => {
       shippingCharges: shippingCharges,
       taxAmount: taxAmount,
       discountAmount: cartCalculation.totalSavings,
-      couponCode: req.body.couponCode || null,
-      couponDiscount: req.body.couponDiscount || 0,
+      couponCode: promotion ? promotion.code : null,
+      couponDiscount: promoDiscount,
       totalAmount: finalAmount,
       currency: "INR",
       freeDeliveryApplied: freeDeliveryApplied,
@@ -585,6 +665,7 @@ exports.createOrder = async (req, res) => {
 
     // Save Order in Database with comprehensive information following the specification
     const newOrder = new Order({
+      _id: orderObjectId,
       user: userId,
       items: itemIds,
       total_price: finalAmount, // Use validated final amount
@@ -594,6 +675,10 @@ exports.createOrder = async (req, res) => {
       item_quantities: itemQuantities,
       shipping_status: "PENDING", // Initialize shipping status
       auto_assigned: false, // Will be set to true when auto-processed
+      promoCode: promotion ? promotion.code : null,
+      promoDiscount,
+      automaticDiscount,
+      automaticDiscounts: automaticOffers.map(offer => ({ discountId: offer.id, name: offer.name, amount: offer.discount })),
       
       // 🆕 COMPREHENSIVE ORDER DATA - Following complete specification
       customer: customerInfo,
@@ -666,6 +751,7 @@ exports.createOrder = async (req, res) => {
     });
 
     await newOrder.save();
+    eventBus.publish(EVENTS.ORDER_CREATED, orderEventPayload(newOrder));
 
     console.log('💾 Order saved to database:', {
       orderId: newOrder._id,
@@ -693,10 +779,18 @@ exports.createOrder = async (req, res) => {
         items_count: validatedCart.length,
         calculated_amount: calculatedAmount,
         final_amount: finalAmount,
-        frontend_amount: amount
+        frontend_amount: amount,
+        promo_code: promotion ? promotion.code : null,
+        promo_discount: promoDiscount,
+        automatic_discount: automaticDiscount,
+        applied_offers: cartDiscounts.applied,
+        rejected_offers: cartDiscounts.rejected,
+        discount_allocation: cartDiscounts.allocation
       },
       // Include database order ID for tracking
-      database_order_id: newOrder._id
+      database_order_id: newOrder._id,
+      // Stock is held until this time; pay before it or the items may sell out
+      reservation_expires_at: reservation.expiresAt
     };
 
     res.json(response);
@@ -709,6 +803,12 @@ exports.createOrder = async (req, res) => {
       database_order_id: newOrder._id
     });
   } catch (error) {
+    if (heldOrderId) {
+      releaseReservation(heldOrderId, 'order_creation_failed').catch(releaseError => {
+        console.error("❌ Failed to release stock hold:", releaseError);
+      });
+    }
+
     console.error("❌ Error creating Razorpay order:", {
       message: error.message,
       stack: error.stack,
@@ -816,6 +916,218 @@ async function generateAWBWithCourier(shipmentId, token, preferredCourier = null
   }
 }
 
+/**
+ * Cancel and refund a paid order whose units could not be taken from stock (the
+ * hold lapsed and the SKU sold out before the payment arrived). The order is
+ * cancelled before the refund, so a retried webhook or callback that finds it
+ * already paid can never send it to fulfilment. A failed refund stays in the
+ * order's refund history as failed, for an admin to retry.
+ * @param {Object} order - The order just marked paid
+ */
+async function cancelUnfulfillableOrder(order) {
+  const cancelled = await Order.findByIdAndUpdate(
+    order._id,
+    {
+      $set: {
+        order_status: "Cancelled",
+        shipping_status: "Cancelled",
+        "orderMetadata.orderStatus": "cancelled"
+      }
+    },
+    { new: true }
+  );
+  eventBus.publish(EVENTS.ORDER_CANCELLED, { ...orderEventPayload(cancelled), cancelledBy: "system", reason: "Insufficient stock" });
+
+  try {
+    const { refund } = await issueRefund(order._id, {
+      full: true,
+      source: "cancellation",
+      reason: "Insufficient stock"
+    });
+    console.log(`💸 Refund ${refund.razorpayRefundId} of ₹${refund.amount} issued for unfulfillable order ${order._id}`);
+  } catch (refundError) {
+    console.error(`Refund failed for unfulfillable order ${order._id}:`, refundError.message);
+  }
+}
+
+/**
+ * Mark a Razorpay order as paid and run the post-payment flow: convert the stock
+ * hold into a sale, publish order.paid and start Shiprocket processing in the
+ * background. Shared by the client verify-payment callback and the Razorpay
+ * webhook; idempotent, so whichever arrives second only reads the paid order.
+ * @param {Object} params
+ * @param {string} params.razorpayOrderId
+ * @param {string} params.razorpayPaymentId
+ * @param {string} [params.razorpaySignature] - Only present on the client callback
+ * @returns {Promise<{order: Object|null, alreadyPaid: boolean}>}
+ */
+async function finalizePaidOrder({ razorpayOrderId, razorpayPaymentId, razorpaySignature = null }) {
+  // Find order first to debug amounts
+  console.log("🔍 Finding order for debugging amounts...");
+  const existingOrder = await Order.findOne({ razorpay_order_id: razorpayOrderId }).populate("items").populate("user");
+
+  if (!existingOrder) {
+    return { order: null, alreadyPaid: false };
+  }
+
+  // 🐛 DEBUG: Log the original order amounts
+  console.log("💰 ORDER AMOUNT DEBUG - Original order data:", {
+    orderId: existingOrder._id,
+    razorpay_order_id: existingOrder.razorpay_order_id,
+    total_price: existingOrder.total_price,
+    total_amount: existingOrder.total_amount,
+    amount: existingOrder.amount,
+    items_count: existingOrder.item_quantities?.length || 0,
+    item_quantities: existingOrder.item_quantities?.map(item => ({
+      item_id: item.item_id,
+      quantity: item.quantity,
+      price: item.price,
+      sku: item.sku
+    })),
+    cart: existingOrder.cart?.map(item => ({
+      name: item.name,
+      price: item.price,
+      quantity: item.quantity
+    }))
+  });
+
+  // Calculate expected total from item quantities
+  let calculatedTotal = 0;
+  if (existingOrder.item_quantities && existingOrder.item_quantities.length > 0) {
+    calculatedTotal = existingOrder.item_quantities.reduce((sum, item) => {
+      const itemPrice = item.price || 0;
+      const itemQuantity = item.quantity || 0;
+      console.log(`📦 Item calculation: ${itemPrice} x ${itemQuantity} = ${itemPrice * itemQuantity}`);
+      return sum + (itemPrice * itemQuantity);
+    }, 0);
+  }
+
+  console.log("🧮 CALCULATED TOTAL from item_quantities:", calculatedTotal);
+
+  // 🆕 COMPLETE PAYMENT VERIFICATION - Update comprehensive order data
+  // Get payment details from Razorpay API for complete information
+  let paymentInfo = {};
+  try {
+    const payment = await razorpay.payments.fetch(razorpayPaymentId);
+    paymentInfo = {
+      method: payment.method || 'unknown',
+      bank: payment.bank || null,
+      wallet: payment.wallet || null,
+      vpa: payment.vpa || null,
+      card_id: payment.card_id || null,
+      amount: payment.amount / 100, // Convert from paise to rupees
+      fee: payment.fee / 100 || 0,
+      tax: payment.tax / 100 || 0,
+      status: payment.status
+    };
+    console.log("💳 Payment details fetched from Razorpay:", paymentInfo);
+  } catch (error) {
+    console.warn("⚠️ Could not fetch payment details from Razorpay:", error.message);
+  }
+
+  // Update Order Payment Status with Enhanced Details for Admin Panel
+  // Conditioned on payment_status so the client callback and the Razorpay webhook
+  // cannot both run the stock and Shiprocket flow for the same payment
+  let order = await Order.findOneAndUpdate(
+    { razorpay_order_id: razorpayOrderId, payment_status: { $ne: "Paid" } },
+    {
+      $set: {
+        payment_status: "Paid",
+        razorpay_payment_id: razorpayPaymentId,
+        ...(razorpaySignature ? { razorpay_signature: razorpaySignature } : {}),
+        shipping_status: "PENDING", // Add shipping status tracking
+        payment_verified_at: new Date(),
+
+        // 🆕 COMPLETE PAYMENT DETAILS UPDATE
+        "paymentDetails.razorpayPaymentId": razorpayPaymentId,
+        "paymentDetails.razorpaySignature": razorpaySignature,
+        "paymentDetails.paymentMethod": paymentInfo.method || "card",
+        "paymentDetails.paymentStatus": "captured",
+        "paymentDetails.amountPaid": paymentInfo.amount || existingOrder.total_price,
+        "paymentDetails.paymentDate": new Date(),
+        "paymentDetails.gatewayFee": paymentInfo.fee || 0,
+        "paymentDetails.netAmount": (paymentInfo.amount || existingOrder.total_price) - (paymentInfo.fee || 0),
+        "paymentDetails.bankReference": razorpayPaymentId,
+        "paymentDetails.receipt": existingOrder.razorpay_order_id,
+
+        // Update order metadata
+        "orderMetadata.orderStatus": "confirmed",
+        "orderMetadata.paymentStatus": "paid",
+        "orderMetadata.confirmedAt": new Date(),
+
+        // Enhanced payment method detection
+        payment_method: paymentInfo.method || "Online", // Default for Razorpay payments
+
+        // Enhanced order status tracking
+        order_status: "confirmed", // Set to confirmed after successful payment
+
+        // Additional fields for admin panel display
+        currency: "INR",
+
+        // Ensure address email is captured for admin panel
+        "address.email": existingOrder?.address?.email || existingOrder?.user?.email || "customer@yoraa.in"
+      },
+    },
+    { new: true }
+  ).populate("items").populate("user");
+
+  if (!order) {
+    // Already confirmed by the other channel (client verify or webhook)
+    return { order: existingOrder, alreadyPaid: true };
+  }
+
+  // 📦 Convert the checkout stock hold into a sale (atomic; takes the stock
+  // now if the hold already expired, failing if the units sold out meanwhile)
+  try {
+    await convertReservation(order);
+  } catch (stockError) {
+    if (stockError.code === 'INSUFFICIENT_STOCK') {
+      await cancelUnfulfillableOrder(order);
+    }
+    throw stockError;
+  }
+
+  // Count the promo code use now that the order is paid
+  await recordRedemption(order).catch(error => {
+    console.error(`Failed to record promo code use for order ${order._id}:`, error.message);
+  });
+
+  eventBus.publish(EVENTS.ORDER_PAID, orderEventPayload(order));
+
+  // � AUTOMATIC SHIPROCKET ORDER CREATION
+  // Process shipping ASYNCHRONOUSLY after successful payment verification
+  console.log(`🚀 Initiating automatic Shiprocket order creation for order ${order._id}...`);
+  console.log(`📍 Delivery Address: ${order.address.firstName} ${order.address.lastName}, ${order.address.city}, ${order.address.state} - ${order.address.pinCode}`);
+  console.log(`📦 Items Count: ${order.items.length}, Total: ₹${order.total_price}`);
+
+  processShippingAsync(order._id.toString()).catch(error => {
+    console.error(`❌ Automatic Shiprocket order creation failed for order ${order._id}:`, {
+      error: error.message,
+      orderId: order._id,
+      customerEmail: order.address?.email,
+      customerPhone: order.address?.phoneNumber,
+      totalAmount: order.total_price,
+      itemsCount: order.items.length,
+      timestamp: new Date().toISOString()
+    });
+
+    // Update order with shipping failure status for admin visibility
+    Order.findByIdAndUpdate(order._id, {
+      shipping_status: "FAILED",
+      shipping_error: error.message,
+      shipping_failed_at: new Date()
+    }).catch(updateError => {
+      console.error("Failed to update shipping error status:", updateError);
+    });
+  });
+
+
+  return { order, alreadyPaid: false };
+}
+
+// Also used by the Razorpay webhook (razorpayWebhookController)
+exports.finalizePaidOrder = finalizePaidOrder;
+
 // ⚡ FAST Payment Verification (1-2 seconds) - NO Shiprocket blocking
 exports.verifyPayment = async (req, res) => {
   try {
@@ -871,174 +1183,16 @@ exports.verifyPayment = async (req, res) => {
 
     console.log("✅ Payment signature verified successfully");
 
-    // Find order first to debug amounts
-    console.log("🔍 Finding order for debugging amounts...");
-    const existingOrder = await Order.findOne({ razorpay_order_id }).populate("items").populate("user");
-    
-    if (!existingOrder) {
-      return res.status(404).json({ success: false, message: "Order not found" });
-    }
-
-    // 🐛 DEBUG: Log the original order amounts
-    console.log("💰 ORDER AMOUNT DEBUG - Original order data:", {
-      orderId: existingOrder._id,
-      razorpay_order_id: existingOrder.razorpay_order_id,
-      total_price: existingOrder.total_price,
-      total_amount: existingOrder.total_amount,
-      amount: existingOrder.amount,
-      items_count: existingOrder.item_quantities?.length || 0,
-      item_quantities: existingOrder.item_quantities?.map(item => ({
-        item_id: item.item_id,
-        quantity: item.quantity,
-        price: item.price,
-        sku: item.sku
-      })),
-      cart: existingOrder.cart?.map(item => ({
-        name: item.name,
-        price: item.price,
-        quantity: item.quantity
-      }))
+    const { order, alreadyPaid } = await finalizePaidOrder({
+      razorpayOrderId: razorpay_order_id,
+      razorpayPaymentId: razorpay_payment_id,
+      razorpaySignature: razorpay_signature
     });
 
-    // Calculate expected total from item quantities
-    let calculatedTotal = 0;
-    if (existingOrder.item_quantities && existingOrder.item_quantities.length > 0) {
-      calculatedTotal = existingOrder.item_quantities.reduce((sum, item) => {
-        const itemPrice = item.price || 0;
-        const itemQuantity = item.quantity || 0;
-        console.log(`📦 Item calculation: ${itemPrice} x ${itemQuantity} = ${itemPrice * itemQuantity}`);
-        return sum + (itemPrice * itemQuantity);
-      }, 0);
-    }
-
-    console.log("🧮 CALCULATED TOTAL from item_quantities:", calculatedTotal);
-
-    // 🆕 COMPLETE PAYMENT VERIFICATION - Update comprehensive order data
-    // Get payment details from Razorpay API for complete information
-    let paymentInfo = {};
-    try {
-      const payment = await razorpay.payments.fetch(razorpay_payment_id);
-      paymentInfo = {
-        method: payment.method || 'unknown',
-        bank: payment.bank || null,
-        wallet: payment.wallet || null,
-        vpa: payment.vpa || null,
-        card_id: payment.card_id || null,
-        amount: payment.amount / 100, // Convert from paise to rupees
-        fee: payment.fee / 100 || 0,
-        tax: payment.tax / 100 || 0,
-        status: payment.status
-      };
-      console.log("💳 Payment details fetched from Razorpay:", paymentInfo);
-    } catch (error) {
-      console.warn("⚠️ Could not fetch payment details from Razorpay:", error.message);
-    }
-
-    // Update Order Payment Status with Enhanced Details for Admin Panel
-    let order = await Order.findOneAndUpdate(
-      { razorpay_order_id },
-      {
-        $set: {
-          payment_status: "Paid",
-          razorpay_payment_id,
-          razorpay_signature,
-          shipping_status: "PENDING", // Add shipping status tracking
-          payment_verified_at: new Date(),
-          
-          // 🆕 COMPLETE PAYMENT DETAILS UPDATE
-          "paymentDetails.razorpayPaymentId": razorpay_payment_id,
-          "paymentDetails.razorpaySignature": razorpay_signature,
-          "paymentDetails.paymentMethod": paymentInfo.method || "card",
-          "paymentDetails.paymentStatus": "captured",
-          "paymentDetails.amountPaid": paymentInfo.amount || existingOrder.total_price,
-          "paymentDetails.paymentDate": new Date(),
-          "paymentDetails.gatewayFee": paymentInfo.fee || 0,
-          "paymentDetails.netAmount": (paymentInfo.amount || existingOrder.total_price) - (paymentInfo.fee || 0),
-          "paymentDetails.bankReference": razorpay_payment_id,
-          "paymentDetails.receipt": existingOrder.razorpay_order_id,
-          
-          // Update order metadata
-          "orderMetadata.orderStatus": "confirmed",
-          "orderMetadata.paymentStatus": "paid",
-          "orderMetadata.confirmedAt": new Date(),
-          
-          // Enhanced payment method detection
-          payment_method: paymentInfo.method || "Online", // Default for Razorpay payments
-          
-          // Enhanced order status tracking
-          order_status: "confirmed", // Set to confirmed after successful payment
-          
-          // Additional fields for admin panel display
-          currency: "INR",
-          
-          // Ensure address email is captured for admin panel
-          "address.email": existingOrder?.address?.email || existingOrder?.user?.email || "customer@yoraa.in"
-        },
-      },
-      { new: true }
-    ).populate("items").populate("user");
-
     if (!order) {
       return res.status(404).json({ success: false, message: "Order not found" });
     }
 
-    // Track stock updates for Items to avoid multiple queries
-    const itemStockUpdates = new Map();
-
-    // Decrease Stock for Each Item in ItemDetails and Aggregate for Item
-    for (const entry of order.item_quantities) {
-      const itemId = entry.item_id;
-      const sku = entry.sku;
-      const quantity = entry.quantity;
-
-      // Fetch Item for the item (using merged model)
-      const itemDetails = await Item.findOne({ _id: itemId });
-      if (!itemDetails) {
-        throw new Error(`Item not found for item ID: ${itemId}`);
-      }
-
-      // Find the size entry by SKU and update stock
-      const sizeEntry = itemDetails.sizes.find(s => s.sku === sku);
-      if (!sizeEntry) {
-        throw new Error(`SKU ${sku} not found for item ID: ${itemId}`);
-      }
-      
-      if (sizeEntry.stock < quantity) {
-        throw new Error(
-          `Insufficient stock for SKU ${sku} of item ID: ${itemId}. Available: ${sizeEntry.stock}, Requested: ${quantity}`
-        );
-      }
-      
-      sizeEntry.stock -= quantity;
-      sizeEntry.quantity -= quantity;
-
-      // Aggregate quantity for Item stock update
-      if (itemStockUpdates.has(itemId.toString())) {
-        itemStockUpdates.set(itemId.toString(), itemStockUpdates.get(itemId.toString()) + quantity);
-      } else {
-        itemStockUpdates.set(itemId.toString(), quantity);
-      }
-
-      await itemDetails.save();
-    }
-
-    // Update stock in Item model (if Item has a stock field)
-    for (const [itemId, quantity] of itemStockUpdates) {
-      const item = await Item.findById(itemId);
-      if (!item) {
-        throw new Error(`Item not found for ID: ${itemId}`);
-      }
-      if (item.stock !== undefined) {
-        if (item.stock < quantity) {
-          throw new Error(
-            `Insufficient stock for item ID: ${itemId}. Available: ${item.stock}, Requested: ${quantity}`
-          );
-        }
-        item.stock -= quantity;
-        await item.save();
-      }
-    }
-
     // � DEBUG: Log the final order data being sent to frontend
     console.log("📤 PAYMENT VERIFICATION RESPONSE DEBUG:", {
       orderId: order._id,
@@ -1058,7 +1212,9 @@ exports.verifyPayment = async (req, res) => {
     // �🚀 IMMEDIATE RESPONSE - Payment verified successfully (1-2 seconds)
     const responseData = {
       success: true,
-      message: "Payment verified successfully! Shipping processing in background.",
+      message: alreadyPaid
+        ? "Payment already verified for this order."
+        : "Payment verified successfully! Shipping processing in background.",
       orderId: order._id, // Add orderId at root level for frontend compatibility
       order: {
         _id: order._id,
@@ -1104,54 +1260,64 @@ exports.verifyPayment = async (req, res) => {
 
     res.json(responseData);
 
-    // � AUTOMATIC SHIPROCKET ORDER CREATION
-    // Process shipping ASYNCHRONOUSLY after successful payment verification
-    console.log(`🚀 Initiating automatic Shiprocket order creation for order ${order._id}...`);
-    console.log(`📍 Delivery Address: ${order.address.firstName} ${order.address.lastName}, ${order.address.city}, ${order.address.state} - ${order.address.pinCode}`);
-    console.log(`📦 Items Count: ${order.items.length}, Total: ₹${order.total_price}`);
-    
-    processShippingAsync(order._id.toString()).catch(error => {
-      console.error(`❌ Automatic Shiprocket order creation failed for order ${order._id}:`, {
-        error: error.message,
-        orderId: order._id,
-        customerEmail: order.address?.email,
-        customerPhone: order.address?.phoneNumber,
-        totalAmount: order.total_price,
-        itemsCount: order.items.length,
-        timestamp: new Date().toISOString()
-      });
-      
-      // Update order with shipping failure status for admin visibility
-      Order.findByIdAndUpdate(order._id, {
-        shipping_status: "FAILED",
-        shipping_error: error.message,
-        shipping_failed_at: new Date()
-      }).catch(updateError => {
-        console.error("Failed to update shipping error status:", updateError);
-      });
-    });
-
     console.log(`✅ Payment verified for order ${order._id} - Automatic Shiprocket processing initiated`);
 
   } catch (error) {
     console.error("Payment verification error:", error);
 
-    // Handle stock refund if payment verification fails after stock deduction
-    if (error.message.includes("Insufficient stock") && req.body.razorpay_payment_id) {
-      try {
-        const refund = await razorpay.payments.refund(req.body.razorpay_payment_id, {
-          amount: order ? order.total_price * 100 : 0,
-          speed: "optimum",
-        });
-        console.log("Refund initiated due to insufficient stock:", refund);
-      } catch (refundError) {
-        console.error("Refund failed:", refundError);
-      }
+    res.status(500).json({ 
+      success: false, 
+      message: "Payment verification failed", 
+      error: error.message 
+    });
+  }
+};
+
+// ❌ Payment failed / abandoned on the client (Razorpay checkout "payment.failed"
+// or modal dismissed) - release the stock hold right away instead of waiting for expiry
+exports.paymentFailed = async (req, res) => {
+  try {
+    const { razorpay_order_id, reason } = req.body;
+
+    if (!razorpay_order_id) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "razorpay_order_id is required" 
+      });
+    }
+
+    const order = await Order.findOne({ razorpay_order_id, user: req.user._id });
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
     }
 
+    if (order.payment_status === "Paid") {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Order is already paid" 
+      });
+    }
+
+    const released = await releaseReservation(order._id, "payment_failed");
+
+    order.payment_status = "Failed";
+    order.set("paymentDetails.paymentStatus", "failed");
+    order.set("orderMetadata.paymentStatus", "failed");
+    await order.save();
+
+    console.log(`❌ Payment failed for order ${order._id} (${reason || 'no reason given'}) - stock hold ${released ? 'released' : 'not active'}`);
+
+    res.json({
+      success: true,
+      message: "Payment failure recorded",
+      orderId: order._id,
+      stockReleased: !!released
+    });
+  } catch (error) {
+    console.error("Error recording payment failure:", error);
     res.status(500).json({ 
       success: false, 
-      message: "Payment verification failed", 
+      message: "Failed to record payment failure", 
       error: error.message 
     });
   }
@@ -1321,6 +1487,16 @@ async function processShippingAsync(orderId) {
           expected_delivery_date: awbData.estimated_delivery_date ? new Date(awbData.estimated_delivery_date) : null
         });
 
+        eventBus.publish(EVENTS.SHIPMENT_AWB_ASSIGNED, {
+          orderId: orderId.toString(),
+          awbCode: awbData.awb_code,
+          courierName: awbData.courier_name,
+          trackingUrl: `https://shiprocket.co/tracking/${awbData.awb_code}`,
+          shiprocketOrderId: shiprocketData.order_id,
+          shipmentId: shiprocketData.shipment_id,
+          expectedDeliveryDate: awbData.estimated_delivery_date || null
+        });
+
         console.log(`🎉 AUTOMATIC SHIPROCKET ORDER CREATION SUCCESSFUL!`);
         console.log(`📦 Order ${orderId} Details:`);
         console.log(`   • AWB Code: ${awbData.awb_code}`);
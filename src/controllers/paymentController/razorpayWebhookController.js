@@ -0,0 +1,296 @@
+// Razorpay server-to-server webhooks: payment confirmation that does not depend on
+// the app calling /verify-payment. Every event is stored raw, verified with
+// X-Razorpay-Signature and reconciled idempotently against the Order.
+const crypto = require("crypto");
+const Order = require("../../models/Order");
+const RazorpayWebhookEvent = require("../../models/RazorpayWebhookEvent");
+const { finalizePaidOrder } = require("./paymentController");
+const { releaseReservation } = require("../../services/inventoryReservationService");
+const { applyRefundWebhook } = require("../../services/refundService");
+
+const RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+/**
+ * Constant-time check of X-Razorpay-Signature (hex HMAC-SHA256 of the raw body).
+ * @param {string} rawBody
+ * @param {string} signature
+ * @param {string} secret
+ * @returns {boolean}
+ */
+const verifyWebhookSignature = (rawBody, signature, secret) => {
+  if (!signature || !secret) return false;
+
+  const expected = crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(String(signature));
+
+  return expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+// Pull the ids we reconcile on out of the event payload
+const extractEntityIds = (payload) => {
+  const payment = payload?.payload?.payment?.entity;
+  const order = payload?.payload?.order?.entity;
+  const refund = payload?.payload?.refund?.entity;
+
+  return {
+    razorpayOrderId: order?.id || payment?.order_id || null,
+    razorpayPaymentId: payment?.id || refund?.payment_id || null,
+    razorpayRefundId: refund?.id || null,
+  };
+};
+
+// payment.captured / order.paid → same flow as verify-payment (stock + Shiprocket)
+const handlePaymentCaptured = async (eventDoc) => {
+  if (!eventDoc.razorpayOrderId || !eventDoc.razorpayPaymentId) {
+    return { status: "ignored", result: "Event has no order or payment id" };
+  }
+
+  const { order, alreadyPaid } = await finalizePaidOrder({
+    razorpayOrderId: eventDoc.razorpayOrderId,
+    razorpayPaymentId: eventDoc.razorpayPaymentId,
+  });
+
+  if (!order) {
+    return { status: "ignored", result: `No order found for ${eventDoc.razorpayOrderId}` };
+  }
+
+  return {
+    status: "processed",
+    order: order._id,
+    result: alreadyPaid
+      ? `Order already paid (${order.order_status === "Cancelled" ? "cancelled" : "confirmed"})`
+      : "Order marked paid, shipping started",
+  };
+};
+
+// payment.failed → mark the order failed and release its stock hold
+const handlePaymentFailed = async (eventDoc) => {
+  const order = await Order.findOne({ razorpay_order_id: eventDoc.razorpayOrderId });
+  if (!order) {
+    return { status: "ignored", result: `No order found for ${eventDoc.razorpayOrderId}` };
+  }
+
+  // A failed attempt can be followed by a successful retry on the same Razorpay order
+  if (order.payment_status === "Paid") {
+    return { status: "ignored", order: order._id, result: "Order already paid" };
+  }
+
+  const payment = eventDoc.payload?.payload?.payment?.entity || {};
+  await Order.updateOne(
+    { _id: order._id, payment_status: { $ne: "Paid" } },
+    {
+      $set: {
+        payment_status: "Failed",
+        "paymentDetails.paymentStatus": "failed",
+        "orderMetadata.paymentStatus": "failed",
+      },
+    }
+  );
+  const released = await releaseReservation(order._id, "payment_failed");
+
+  return {
+    status: "processed",
+    order: order._id,
+    result: `Payment failed (${payment.error_description || payment.error_code || "no reason given"}); stock hold ${released ? "released" : "not active"}`,
+  };
+};
+
+// refund.processed / refund.failed → settle the entry in the order's refund history
+const handleRefundEvent = (status) => async (eventDoc) => {
+  const refund = eventDoc.payload?.payload?.refund?.entity;
+  if (!refund?.id) {
+    return { status: "ignored", result: "Event has no refund entity" };
+  }
+
+  const { order, result } = await applyRefundWebhook(refund, status);
+  if (!order) {
+    return { status: "ignored", result };
+  }
+
+  return { status: "processed", order: order._id, result };
+};
+
+const EVENT_HANDLERS = {
+  "payment.captured": handlePaymentCaptured,
+  "order.paid": handlePaymentCaptured,
+  "payment.failed": handlePaymentFailed,
+  "refund.processed": handleRefundEvent("processed"),
+  "refund.failed": handleRefundEvent("failed"),
+};
+
+/**
+ * Run the handler for a stored event and persist the outcome.
+ * @param {Object} eventDoc - RazorpayWebhookEvent document
+ * @returns {Promise<Object>} The updated event
+ */
+const processWebhookEvent = async (eventDoc) => {
+  const handler = EVENT_HANDLERS[eventDoc.event];
+  eventDoc.attempts += 1;
+
+  if (!handler) {
+    eventDoc.status = "ignored";
+    eventDoc.result = "Event type not handled";
+    eventDoc.processedAt = new Date();
+    return eventDoc.save();
+  }
+
+  try {
+    const outcome = await handler(eventDoc);
+    eventDoc.status = outcome.status;
+    eventDoc.order = outcome.order || eventDoc.order;
+    eventDoc.result = outcome.result;
+    eventDoc.error = null;
+    eventDoc.processedAt = new Date();
+  } catch (error) {
+    console.error(`❌ Razorpay webhook ${eventDoc.event} (${eventDoc.eventId}) failed:`, error);
+    eventDoc.status = "failed";
+    eventDoc.error = error.message;
+  }
+
+  return eventDoc.save();
+};
+
+// POST /api/webhooks/razorpay - Razorpay event receiver (raw body, no auth; signature only)
+exports.handleWebhook = async (req, res) => {
+  try {
+    if (!RAZORPAY_WEBHOOK_SECRET) {
+      console.error("❌ RAZORPAY_WEBHOOK_SECRET is not configured - rejecting Razorpay webhook");
+      return res.status(503).json({ success: false, message: "Webhook secret not configured" });
+    }
+
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString("utf8") : "";
+    const signature = req.get("X-Razorpay-Signature");
+
+    if (!verifyWebhookSignature(rawBody, signature, RAZORPAY_WEBHOOK_SECRET)) {
+      console.warn("⚠️ Razorpay webhook signature verification failed");
+      return res.status(401).json({ success: false, message: "Invalid signature" });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody);
+    } catch (parseError) {
+      return res.status(400).json({ success: false, message: "Invalid JSON body" });
+    }
+
+    const eventId = req.get("X-Razorpay-Event-Id") ||
+      crypto.createHash("sha256").update(rawBody).digest("hex");
+
+    let eventDoc = await RazorpayWebhookEvent.findOne({ eventId });
+    if (eventDoc) {
+      eventDoc.deliveries += 1;
+      if (["processed", "ignored"].includes(eventDoc.status)) {
+        await eventDoc.save();
+        return res.status(200).json({ success: true, duplicate: true, status: eventDoc.status });
+      }
+    } else {
+      try {
+        eventDoc = await RazorpayWebhookEvent.create({
+          eventId,
+          event: payload.event,
+          ...extractEntityIds(payload),
+          rawBody,
+          signature,
+          payload,
+        });
+      } catch (createError) {
+        // Concurrent redelivery of the same event: the other request processes it
+        if (createError.code === 11000) {
+          return res.status(200).json({ success: true, duplicate: true });
+        }
+        throw createError;
+      }
+    }
+
+    console.log(`🔔 Razorpay webhook ${payload.event} (${eventId})`);
+    eventDoc = await processWebhookEvent(eventDoc);
+
+    // Non-2xx makes Razorpay redeliver, which retries failed processing
+    const statusCode = eventDoc.status === "failed" ? 500 : 200;
+    res.status(statusCode).json({
+      success: eventDoc.status !== "failed",
+      status: eventDoc.status,
+      result: eventDoc.result,
+    });
+  } catch (error) {
+    console.error("Error handling Razorpay webhook:", error);
+    res.status(500).json({ success: false, message: "Webhook processing failed" });
+  }
+};
+
+// GET /api/webhooks/razorpay/events - Stored events for the admin panel
+exports.getWebhookEvents = async (req, res) => {
+  try {
+    const { event, status, razorpayOrderId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = {};
+    if (event) filter.event = event;
+    if (status) filter.status = status;
+    if (razorpayOrderId) filter.razorpayOrderId = razorpayOrderId;
+
+    const [events, total] = await Promise.all([
+      RazorpayWebhookEvent.find(filter)
+        .select("-rawBody")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      RazorpayWebhookEvent.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching Razorpay webhook events:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch webhook events", error: error.message });
+  }
+};
+
+// POST /api/webhooks/razorpay/events/:eventId/replay - Re-process a stored event
+exports.replayWebhookEvent = async (req, res) => {
+  try {
+    const eventDoc = await RazorpayWebhookEvent.findOne({ eventId: req.params.eventId });
+    if (!eventDoc) {
+      return res.status(404).json({ success: false, message: "Webhook event not found" });
+    }
+
+    // Stored events were verified on receipt; re-check in case the row was edited
+    if (!verifyWebhookSignature(eventDoc.rawBody, eventDoc.signature, RAZORPAY_WEBHOOK_SECRET)) {
+      return res.status(409).json({ success: false, message: "Stored event no longer matches its signature" });
+    }
+
+    const previousStatus = eventDoc.status;
+    eventDoc.payload = JSON.parse(eventDoc.rawBody);
+    await processWebhookEvent(eventDoc);
+
+    res.status(200).json({
+      success: eventDoc.status !== "failed",
+      message: `Event replayed (${previousStatus} → ${eventDoc.status})`,
+      event: {
+        eventId: eventDoc.eventId,
+        event: eventDoc.event,
+        status: eventDoc.status,
+        result: eventDoc.result,
+        error: eventDoc.error,
+        attempts: eventDoc.attempts,
+      },
+    });
+  } catch (error) {
+    console.error("Error replaying Razorpay webhook event:", error);
+    res.status(500).json({ success: false, message: "Failed to replay webhook event", error: error.message });
+  }
+};
+
+exports.verifyWebhookSignature = verifyWebhookSignature;
@@ -1,6 +1,7 @@
 const Points = require("../../models/Points");
 const User = require("../../models/User");
 const PointsSystemConfig = require("../../models/PointsSystemConfig");
+const pointsService = require("../../services/pointsService");
 const mongoose = require("mongoose");
 
 // ✅ Get current authenticated user's points information (Frontend API)
@@ -46,6 +47,30 @@ exports.getCurrentUserPoints = async (req, res) => {
     }
 };
 
+// ✅ Get current authenticated user's points statement with upcoming expirations (Frontend API)
+exports.getCurrentUserStatement = async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 90, 1), 730);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const statement = await pointsService.getStatement(req.user._id, { days, page, limit });
+
+        res.status(200).json({
+            success: true,
+            message: "Points statement retrieved successfully",
+            data: statement
+        });
+    } catch (error) {
+        console.error("Error fetching points statement:", error);
+        res.status(500).json({
+            success: false,
+            message: "Server error",
+            error: error.message
+        });
+    }
+};
+
 // ✅ Redeem points for current authenticated user (Frontend API)
 exports.redeemCurrentUserPoints = async (req, res) => {
     try {
@@ -69,19 +94,16 @@ exports.redeemCurrentUserPoints = async (req, res) => {
             });
         }
 
-        // Get user points record
-        const userPoints = await Points.getOrCreateUserPoints(userId);
-        
-        if (!userPoints) {
-            return res.status(404).json({
-                success: false,
-                message: "User not found",
-                error: "No user found with provided token"
-            });
-        }
+        // Check the balance and redeem on the same copy of the record, queued with the
+        // user's other points changes (see pointsService.withUserPoints)
+        const { record: userPoints, redeemed } = await pointsService.withUserPoints(userId, async (record) => {
+            if (record.balance < pointsToRedeem) return { record, redeemed: false };
+            await record.redeemPoints(pointsToRedeem, "Order discount redemption");
+            return { record, redeemed: true };
+        });
 
         // Check if user has sufficient points
-        if (userPoints.balance < pointsToRedeem) {
+        if (!redeemed) {
             return res.status(400).json({
                 success: false,
                 message: "Insufficient points",
@@ -92,9 +114,6 @@ exports.redeemCurrentUserPoints = async (req, res) => {
         // Calculate discount (1 point = $0.10)
         const discountAmount = pointsToRedeem * 0.10;
 
-        // Process redemption
-        await userPoints.redeemPoints(pointsToRedeem, "Order discount redemption");
-
         // Generate transaction ID
         const transactionId = `txn_${Date.now()}_${userId.toString().slice(-6)}`;
 
@@ -103,7 +122,7 @@ exports.redeemCurrentUserPoints = async (req, res) => {
             message: "Points redeemed successfully",
             data: {
                 redeemedPoints: pointsToRedeem,
-                remainingPoints: userPoints.balance - pointsToRedeem,
+                remainingPoints: userPoints.balance,
                 discountAmount: discountAmount,
                 orderId: orderId || null,
                 transactionId: transactionId
@@ -365,15 +384,18 @@ exports.allocatePoints = async (req, res) => {
             });
         }
 
-        // Get or create points record
-        const points = await Points.getOrCreateUserPoints(mongoUserId);
+        const config = await PointsSystemConfig.getConfig();
         
-        // Add points
-        await points.addPoints(
-            parseInt(amount), 
-            description || `Admin allocated ${amount} points`, 
-            generationBasis
-        );
+        // Add points (they expire like earned points)
+        const points = await pointsService.withUserPoints(mongoUserId, async (record) => {
+            await record.addPoints(
+                parseInt(amount), 
+                description || `Admin allocated ${amount} points`, 
+                generationBasis,
+                { expiresAt: pointsService.expiryDate(config) }
+            );
+            return record;
+        });
 
         res.status(200).json({
             success: true,
@@ -415,9 +437,8 @@ exports.redeemPoints = async (req, res) => {
             });
         }
 
-        // Get points record
-        const points = await Points.findOne({ userId, isActive: true });
-        if (!points) {
+        // Check the points record exists
+        if (!await Points.exists({ userId, isActive: true })) {
             return res.status(404).json({
                 success: false,
                 message: 'User points record not found'
@@ -434,10 +455,13 @@ exports.redeemPoints = async (req, res) => {
         }
 
         // Redeem points
-        await points.redeemPoints(
-            parseInt(amount),
-            description || `Redeemed ${amount} points`
-        );
+        const points = await pointsService.withUserPoints(userId, async (record) => {
+            await record.redeemPoints(
+                parseInt(amount),
+                description || `Redeemed ${amount} points`
+            );
+            return record;
+        });
 
         res.status(200).json({
             success: true,
@@ -474,38 +498,39 @@ exports.updateUserPoints = async (req, res) => {
             });
         }
 
-        // Get points record
-        const points = await Points.getOrCreateUserPoints(userId);
-        
-        // Calculate differences for transaction logging
-        const allotedDiff = totalPointsAlloted - points.totalPointsAlloted;
-        const redeemedDiff = totalPointsRedeemed - points.totalPointsRedeemed;
-
-        // Update points
-        points.totalPointsAlloted = parseInt(totalPointsAlloted) || 0;
-        points.totalPointsRedeemed = parseInt(totalPointsRedeemed) || 0;
-        points.balance = points.totalPointsAlloted - points.totalPointsRedeemed;
-
-        // Log adjustment transactions
-        if (allotedDiff !== 0) {
-            points.transactions.push({
-                type: allotedDiff > 0 ? 'credit' : 'debit',
-                amount: Math.abs(allotedDiff),
-                description: adjustmentDescription || `Admin adjustment: ${allotedDiff > 0 ? 'added' : 'removed'} ${Math.abs(allotedDiff)} points`,
-                generationBasis: 'admin_allocation'
-            });
-        }
+        // Queued with the user's other points changes (see pointsService.withUserPoints)
+        const points = await pointsService.withUserPoints(userId, async (record) => {
+            // Calculate differences for transaction logging
+            const allotedDiff = totalPointsAlloted - record.totalPointsAlloted;
+            const redeemedDiff = totalPointsRedeemed - record.totalPointsRedeemed;
+
+            // Update points
+            record.totalPointsAlloted = parseInt(totalPointsAlloted) || 0;
+            record.totalPointsRedeemed = parseInt(totalPointsRedeemed) || 0;
+            record.balance = record.totalPointsAlloted - record.totalPointsRedeemed - record.totalPointsExpired - record.totalPointsReversed;
+
+            // Log adjustment transactions
+            if (allotedDiff !== 0) {
+                record.transactions.push({
+                    type: allotedDiff > 0 ? 'credit' : 'debit',
+                    amount: Math.abs(allotedDiff),
+                    description: adjustmentDescription || `Admin adjustment: ${allotedDiff > 0 ? 'added' : 'removed'} ${Math.abs(allotedDiff)} points`,
+                    generationBasis: 'admin_allocation'
+                });
+            }
 
-        if (redeemedDiff !== 0) {
-            points.transactions.push({
-                type: 'debit',
-                amount: Math.abs(redeemedDiff),
-                description: adjustmentDescription || `Admin adjustment: modified redeemed points by ${redeemedDiff}`,
-                generationBasis: 'redemption'
-            });
-        }
+            if (redeemedDiff !== 0) {
+                record.transactions.push({
+                    type: 'debit',
+                    amount: Math.abs(redeemedDiff),
+                    description: adjustmentDescription || `Admin adjustment: modified redeemed points by ${redeemedDiff}`,
+                    generationBasis: 'redemption'
+                });
+            }
 
-        await points.save();
+            await record.save();
+            return record;
+        });
 
         res.status(200).json({
             success: true,
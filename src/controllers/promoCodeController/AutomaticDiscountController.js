@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const AutomaticDiscount = require('../../models/AutomaticDiscount');
+const { evaluatePromoCode, PROMO_ERROR_STATUS } = require('../../services/promotionService');
+const { resolveCartDiscounts } = require('../../services/automaticDiscountService');
+
+// Fields an admin may set on an automatic discount
+const EDITABLE_FIELDS = [
+  'name', 'description', 'type', 'minQuantity', 'discountType', 'discountValue', 'tiers',
+  'categoryIds', 'productIds', 'maxDiscountAmount', 'membersOnly', 'isSeasonal', 'isStackable',
+  'priority', 'startDate', 'endDate', 'isActive',
+];
+
+const pickEditable = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// Cart preview: every automatic offer and the promo code, applied or rejected with the reason
+// Body: { items: [{ itemId, sku, size, quantity }], promoCode?, shippingCost? }
+exports.previewCartDiscounts = async (req, res) => {
+  try {
+    const { items, promoCode, shippingCost } = req.body;
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ success: false, message: 'Cart items are required' });
+    }
+
+    const userId = req.user?._id || null;
+    const lines = items.map(item => ({ itemId: item.itemId || item.id, sku: item.sku, size: item.size, quantity: item.quantity }));
+
+    let promotion = null;
+    let promoRejection = null;
+    if (promoCode) {
+      try {
+        promotion = await evaluatePromoCode({ code: promoCode, userId, lines, shippingCost: Number(shippingCost) || 0 });
+      } catch (error) {
+        if (!PROMO_ERROR_STATUS[error.code]) throw error;
+        promoRejection = { code: String(promoCode).trim().toUpperCase(), reason: error.message };
+      }
+    }
+
+    const { promotion: appliedPromotion, ...discounts } = await resolveCartDiscounts({ userId, lines, promotion, promoRejection });
+
+    res.status(200).json({
+      success: true,
+      message: 'Cart discounts calculated',
+      data: {
+        ...discounts,
+        promoCode: appliedPromotion ? appliedPromotion.code : null,
+        finalAmount: Math.max(0, Math.round((discounts.subtotal - discounts.itemDiscount) * 100) / 100),
+      },
+    });
+  } catch (error) {
+    console.error('previewCartDiscounts error:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// List automatic discounts (admin); ?status=live|scheduled|expired|inactive
+exports.getAutomaticDiscounts = async (req, res) => {
+  try {
+    const now = new Date();
+    const filter = {};
+    switch (req.query.status) {
+      case 'live':
+        Object.assign(filter, { isActive: true, startDate: { $lte: now }, endDate: { $gte: now } });
+        break;
+      case 'scheduled':
+        Object.assign(filter, { isActive: true, startDate: { $gt: now } });
+        break;
+      case 'expired':
+        filter.endDate = { $lt: now };
+        break;
+      case 'inactive':
+        filter.isActive = false;
+        break;
+    }
+
+    const discounts = await AutomaticDiscount.find(filter).sort({ priority: -1, createdAt: -1 }).lean();
+    res.status(200).json({ success: true, message: 'Automatic discounts fetched', data: discounts });
+  } catch (error) {
+    console.error('getAutomaticDiscounts error:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// Get one automatic discount (admin)
+exports.getAutomaticDiscountById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid discount ID' });
+    }
+    const discount = await AutomaticDiscount.findById(req.params.id).lean();
+    if (!discount) return res.status(404).json({ success: false, message: 'Automatic discount not found' });
+
+    res.status(200).json({ success: true, message: 'Automatic discount fetched', data: discount });
+  } catch (error) {
+    console.error('getAutomaticDiscountById error:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// Create an automatic discount (admin)
+exports.createAutomaticDiscount = async (req, res) => {
+  try {
+    const discount = new AutomaticDiscount({ ...pickEditable(req.body), createdBy: req.user?._id });
+    await discount.save();
+
+    res.status(201).json({ success: true, message: 'Automatic discount created', data: discount });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('createAutomaticDiscount error:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// Update an automatic discount (admin)
+exports.updateAutomaticDiscount = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid discount ID' });
+    }
+    const discount = await AutomaticDiscount.findById(req.params.id);
+    if (!discount) return res.status(404).json({ success: false, message: 'Automatic discount not found' });
+
+    discount.set(pickEditable(req.body));
+    await discount.save();
+
+    res.status(200).json({ success: true, message: 'Automatic discount updated', data: discount });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('updateAutomaticDiscount error:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// Delete an automatic discount (admin)
+exports.deleteAutomaticDiscount = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid discount ID' });
+    }
+    const discount = await AutomaticDiscount.findByIdAndDelete(req.params.id);
+    if (!discount) return res.status(404).json({ success: false, message: 'Automatic discount not found' });
+
+    res.status(200).json({ success: true, message: 'Automatic discount deleted' });
+  } catch (error) {
+    console.error('deleteAutomaticDiscount error:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
@@ -1,69 +1,57 @@
 const PromoCode = require('../../models/PromoCodes');
 const mongoose = require('mongoose');
+const { evaluatePromoCode, filterAvailableForUser, PROMO_ERROR_STATUS } = require('../../services/promotionService');
 
 // Validate Promo Code
+// Send `items` ({ itemId, sku, quantity }) to get the line-level allocation and to use
+// codes limited to products or categories; per-user limits and segments need a login.
 exports.validatePromoCode = async (req, res) => {
   try {
-    const { code, cartTotal } = req.body;
+    const { code, cartTotal, items, shippingCost } = req.body;
+    const hasItems = Array.isArray(items) && items.length > 0;
 
-    if (!code || !cartTotal || cartTotal < 0) {
+    if (!code || (!hasItems && (!cartTotal || cartTotal < 0))) {
       return res.status(400).json({ success: false, message: 'Promo code and valid cart total are required' });
     }
 
-    const promoCode = await PromoCode.findOne({ code: code.toUpperCase(), isActive: true });
-    if (!promoCode) {
-      return res.status(404).json({ success: false, message: 'Invalid or inactive promo code' });
-    }
-
-    const currentDate = new Date();
-    if (currentDate < promoCode.startDate || currentDate > promoCode.endDate) {
-      return res.status(400).json({ success: false, message: 'Promo code has expired' });
-    }
-
-    if (promoCode.maxUses > 0 && promoCode.currentUses >= promoCode.maxUses) {
-      return res.status(400).json({ success: false, message: 'Promo code usage limit reached' });
-    }
-
-    if (cartTotal < promoCode.minOrderValue) {
-      return res.status(400).json({ success: false, message: `Cart total must be at least ₹${promoCode.minOrderValue}` });
-    }
-
-    let discountAmount = 0;
-    if (promoCode.discountType === 'percentage') {
-      discountAmount = (cartTotal * promoCode.discountValue) / 100;
-      // Apply max discount cap if set
-      if (promoCode.maxDiscountAmount && discountAmount > promoCode.maxDiscountAmount) {
-        discountAmount = promoCode.maxDiscountAmount;
-      }
-    } else if (promoCode.discountType === 'fixed') {
-      discountAmount = promoCode.discountValue;
-    } else if (promoCode.discountType === 'free_shipping') {
-      discountAmount = 0; // Shipping cost handled separately
-    } else if (promoCode.discountType === 'bogo') {
-      discountAmount = 0; // Discount applied via item quantities
-    }
+    const evaluation = await evaluatePromoCode({
+      code,
+      userId: req.user?._id || null,
+      lines: hasItems ? items.map(item => ({ itemId: item.itemId || item.id, sku: item.sku, size: item.size, quantity: item.quantity })) : null,
+      subtotal: cartTotal,
+      shippingCost: Number(shippingCost) || 0,
+    });
+    const { promo } = evaluation;
 
-    const finalAmount = Math.max(0, cartTotal - discountAmount);
-    const remainingUses = promoCode.maxUses > 0 ? promoCode.maxUses - promoCode.currentUses : null;
+    const originalAmount = hasItems ? evaluation.subtotal : cartTotal;
+    const finalAmount = Math.max(0, originalAmount - evaluation.itemDiscount);
+    const remainingUses = promo.maxUses > 0 ? promo.maxUses - promo.currentUses : null;
 
     res.status(200).json({
       success: true,
       message: 'Promo code is valid',
       data: {
-        code: promoCode.code,
+        code: promo.code,
         isValid: true,
-        discountType: promoCode.discountType,
-        discountValue: promoCode.discountValue,
-        discountAmount: discountAmount,
-        minOrderValue: promoCode.minOrderValue,
-        maxDiscountAmount: promoCode.maxDiscountAmount,
-        originalAmount: cartTotal,
+        discountType: promo.discountType,
+        discountValue: promo.discountValue,
+        discountAmount: evaluation.itemDiscount,
+        shippingDiscount: evaluation.shippingDiscount,
+        eligibleSubtotal: evaluation.eligibleSubtotal,
+        minOrderValue: promo.minOrderValue,
+        maxDiscountAmount: promo.maxDiscountAmount,
+        originalAmount: originalAmount,
         finalAmount: finalAmount,
-        validUntil: promoCode.endDate,
-        remainingUses: remainingUses
+        validUntil: promo.endDate,
+        remainingUses: remainingUses,
+        freeUnits: evaluation.freeUnits,
+        allocation: hasItems ? evaluation.allocation : []
       },
     });
   } catch (error) {
+    if (PROMO_ERROR_STATUS[error.code]) {
+      return res.status(PROMO_ERROR_STATUS[error.code]).json({ success: false, message: error.message, code: error.code });
+    }
     console.error('validatePromoCode error:', error);
     res.status(500).json({ success: false, message: 'Server error', error: error.message });
   }
@@ -86,16 +74,16 @@ exports.getAvailablePromoCodesForUser = async (req, res) => {
       ]
     };
 
-    // TODO: Add user-specific filtering logic based on user segment
-    // For now, get all available codes (both public and personalized)
-    const promoCodes = await PromoCode.find({
-      ...baseQuery,
-      $or: [
-        { isPublic: true },
-        { isPersonalized: true } // TODO: Add user eligibility logic
+    const candidates = await PromoCode.find({
+      $and: [
+        baseQuery,
+        { $or: [{ isPublic: true }, { isPersonalized: true }] }
       ]
     }).sort({ createdAt: -1 });
 
+    // Only codes this user can redeem: personalized recipients, segment and per-user limit
+    const promoCodes = await filterAvailableForUser(candidates, userId);
+
     // Format response to match frontend expectations
     const formattedCodes = promoCodes.map(code => ({
       id: code._id,
@@ -235,7 +223,8 @@ exports.createPromoCode = async (req, res) => {
       isPersonalized: isPersonalized !== undefined ? isPersonalized : false,
       targetUserSegment: targetUserSegment || 'all',
       categoryIds: categoryIds || [],
-      productIds: productIds || []
+      productIds: productIds || [],
+      userIds: req.body.userIds || []
     });
 
     await promoCode.save();
@@ -260,6 +249,14 @@ exports.updatePromoCode = async (req, res) => {
       endDate,
       maxUses,
       isActive,
+      maxDiscountAmount,
+      perUserLimit,
+      isPublic,
+      isPersonalized,
+      targetUserSegment,
+      categoryIds,
+      productIds,
+      userIds,
     } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -292,6 +289,14 @@ exports.updatePromoCode = async (req, res) => {
     if (endDate) promoCode.endDate = new Date(endDate);
     if (maxUses !== undefined) promoCode.maxUses = maxUses;
     if (isActive !== undefined) promoCode.isActive = isActive;
+    if (maxDiscountAmount !== undefined) promoCode.maxDiscountAmount = maxDiscountAmount || null;
+    if (perUserLimit !== undefined) promoCode.perUserLimit = perUserLimit;
+    if (isPublic !== undefined) promoCode.isPublic = isPublic;
+    if (isPersonalized !== undefined) promoCode.isPersonalized = isPersonalized;
+    if (targetUserSegment !== undefined) promoCode.targetUserSegment = targetUserSegment;
+    if (categoryIds !== undefined) promoCode.categoryIds = categoryIds;
+    if (productIds !== undefined) promoCode.productIds = productIds;
+    if (userIds !== undefined) promoCode.userIds = userIds;
 
     await promoCode.save();
 
@@ -2,6 +2,7 @@ const mongoose = require("mongoose");
 const Item = require("../../models/Item");
 const User = require("../../models/User");
 const { ApiResponse } = require("../../utils/ApiResponse");
+const { eventBus, EVENTS } = require("../../services/eventBus");
 
 /**
  * Get Product Reviews - Frontend Compatible Format
@@ -267,6 +268,14 @@ const submitProductReview = async (req, res) => {
     // Get the newly added review (it will have an _id after saving)
     const savedReview = product.reviews[product.reviews.length - 1];
 
+    eventBus.publish(EVENTS.REVIEW_SUBMITTED, {
+      userId: req.user._id.toString(),
+      itemId: product._id.toString(),
+      itemName: product.productName,
+      reviewId: savedReview._id.toString(),
+      rating: savedReview.rating
+    });
+
     // Format response to match frontend expectations
     const formattedReview = {
       id: savedReview._id.toString(),
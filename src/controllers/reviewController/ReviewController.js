@@ -1,6 +1,7 @@
 const mongoose = require("mongoose");
 const Item = require("../../models/Item");
 const User = require("../../models/User");
+const { eventBus, EVENTS } = require("../../services/eventBus");
 
 // Create Review
 exports.createReview = async (req, res) => {
@@ -68,6 +69,13 @@ exports.createReview = async (req, res) => {
 
     await itemDetail.save();
 
+    eventBus.publish(EVENTS.REVIEW_SUBMITTED, {
+      userId: req.user._id.toString(),
+      itemId: itemDetail._id.toString(),
+      itemName: itemDetail.productName,
+      rating,
+    });
+
     console.log(
       `[createReview] Review added successfully - reviewId: ${review._id}, itemId: ${itemDetail._id}, averageRating: ${itemDetail.averageRating}`
     );
@@ -2,7 +2,9 @@ const Settings = require("../../models/Settings");
 const { ApiResponse } = require("../../utils/ApiResponse");
 const mongoose = require("mongoose");
 const crypto = require("crypto");
-const axios = require("axios");
+const WebhookDelivery = require("../../models/WebhookDelivery");
+const webhookDispatcher = require("../../services/webhookDispatcher");
+const { EVENTS, ALL_EVENTS } = require("../../services/eventBus");
 
 // Validation helper
 const getValidationErrors = (req) => {
@@ -144,6 +146,14 @@ class WebhookController {
     }
   }
 
+  // List subscribable events
+  static async getAvailableEvents(req, res) {
+    res.status(200).json(ApiResponse({
+      events: Object.values(EVENTS),
+      wildcard: ALL_EVENTS
+    }, "Webhook events retrieved successfully", true, 200));
+  }
+
   // Get a specific webhook endpoint
   static async getWebhookById(req, res) {
     try {
@@ -301,7 +311,8 @@ class WebhookController {
       const { webhookId } = req.params;
       const { testData = {} } = req.body;
 
-      const settings = await Settings.findOne({ userId });
+      // Lean read: the dispatcher updates the endpoint counters itself
+      const settings = await Settings.findOne({ userId }).select("webhooks").lean();
       
       if (!settings || !settings.webhooks || !settings.webhooks.endpoints) {
         return res.status(404).json(ApiResponse(null, "Webhook not found", false, 404));
@@ -317,92 +328,28 @@ class WebhookController {
         return res.status(400).json(ApiResponse(null, "Cannot test inactive webhook", false, 400));
       }
 
-      // Prepare test payload
-      const testPayload = {
-        event: 'webhook.test',
+      // Deliver a single, unretried test event through the dispatcher so the
+      // attempt shows up in the webhook's logs like any real delivery
+      const delivery = await webhookDispatcher.createDelivery(
+        settings,
+        webhook,
+        'webhook.test',
+        { ...testData, user_id: userId.toString() },
+        new Date().toISOString(),
+        { isTest: true, maxAttempts: 1 }
+      );
+
+      const lastAttempt = delivery.attempts[delivery.attempts.length - 1] || {};
+      const testResult = {
+        success: delivery.status === 'success',
+        delivery_id: delivery._id,
+        status_code: delivery.responseCode || 0,
+        response_data: lastAttempt.responseBody || null,
+        duration: delivery.duration,
         timestamp: new Date().toISOString(),
-        webhook_id: webhookId,
-        test: true,
-        data: testData,
-        user_id: userId.toString()
-      };
-
-      // Prepare headers
-      const headers = {
-        'Content-Type': 'application/json',
-        'User-Agent': 'Yoraa-Webhook-Test/1.0',
-        ...webhook.headers
+        error: delivery.status === 'success' ? null : { message: delivery.lastError }
       };
 
-      // Add signature if webhook has a secret
-      if (webhook.secret) {
-        const signature = crypto
-          .createHmac('sha256', webhook.secret)
-          .update(JSON.stringify(testPayload))
-          .digest('hex');
-        headers['X-Yoraa-Signature'] = `sha256=${signature}`;
-      }
-
-      const startTime = Date.now();
-      let testResult;
-
-      try {
-        // Make the webhook call
-        const response = await axios({
-          method: webhook.method,
-          url: webhook.url,
-          data: testPayload,
-          headers: headers,
-          timeout: (settings.webhooks.timeoutSeconds || 30) * 1000,
-        });
-
-        const duration = Date.now() - startTime;
-
-        testResult = {
-          success: true,
-          status_code: response.status,
-          response_headers: response.headers,
-          response_data: response.data,
-          duration,
-          timestamp: new Date().toISOString(),
-          error: null
-        };
-
-        // Update webhook status
-        const webhookToUpdate = settings.webhooks.endpoints.find(w => w._id.toString() === webhookId);
-        webhookToUpdate.status = 'healthy';
-        webhookToUpdate.lastTriggered = new Date();
-        webhookToUpdate.successCount = (webhookToUpdate.successCount || 0) + 1;
-        webhookToUpdate.triggerCount = (webhookToUpdate.triggerCount || 0) + 1;
-
-      } catch (error) {
-        const duration = Date.now() - startTime;
-
-        testResult = {
-          success: false,
-          status_code: error.response?.status || 0,
-          response_headers: error.response?.headers || {},
-          response_data: error.response?.data || null,
-          duration,
-          timestamp: new Date().toISOString(),
-          error: {
-            message: error.message,
-            code: error.code,
-            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-          }
-        };
-
-        // Update webhook status
-        const webhookToUpdate = settings.webhooks.endpoints.find(w => w._id.toString() === webhookId);
-        webhookToUpdate.status = 'error';
-        webhookToUpdate.lastTriggered = new Date();
-        webhookToUpdate.lastError = error.message;
-        webhookToUpdate.failureCount = (webhookToUpdate.failureCount || 0) + 1;
-        webhookToUpdate.triggerCount = (webhookToUpdate.triggerCount || 0) + 1;
-      }
-
-      await settings.save();
-
       res.status(200).json(ApiResponse(testResult, "Webhook test completed", true, 200));
 
     } catch (error) {
@@ -411,7 +358,7 @@ class WebhookController {
     }
   }
 
-  // Get webhook logs (mock implementation - in real app, you'd have a separate logs collection)
+  // Get webhook delivery logs
   static async getWebhookLogs(req, res) {
     try {
       const userId = req.user._id;
@@ -430,54 +377,49 @@ class WebhookController {
         return res.status(404).json(ApiResponse(null, "Webhook not found", false, 404));
       }
 
-      // Mock logs - in a real implementation, you'd query a logs collection
-      const mockLogs = [
-        {
-          id: '1',
-          timestamp: new Date(Date.now() - 60000).toISOString(),
-          event: 'order.created',
-          status: 'success',
-          response_code: 200,
-          duration: 245,
-          payload_size: 1024
-        },
-        {
-          id: '2',
-          timestamp: new Date(Date.now() - 120000).toISOString(),
-          event: 'payment.success',
-          status: 'success',
-          response_code: 200,
-          duration: 189,
-          payload_size: 512
-        },
-        {
-          id: '3',
-          timestamp: new Date(Date.now() - 180000).toISOString(),
-          event: 'inventory.low',
-          status: 'failed',
-          response_code: 404,
-          duration: 5000,
-          payload_size: 256
-        }
-      ];
-
-      // Apply status filter if provided
-      let filteredLogs = mockLogs;
+      // Query persisted deliveries for this endpoint
+      const filter = { settingsId: settings._id, webhookId };
       if (status) {
-        filteredLogs = mockLogs.filter(log => log.status === status);
+        filter.status = status;
+      }
+      if (req.query.event) {
+        filter.event = req.query.event;
       }
 
-      // Pagination
-      const total = filteredLogs.length;
-      const totalPages = Math.ceil(total / limit);
-      const startIndex = (page - 1) * limit;
-      const paginatedLogs = filteredLogs.slice(startIndex, startIndex + limit);
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+      const [total, deliveries] = await Promise.all([
+        WebhookDelivery.countDocuments(filter),
+        WebhookDelivery.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((pageNum - 1) * limitNum)
+          .limit(limitNum)
+          .lean()
+      ]);
+
+      const totalPages = Math.ceil(total / limitNum);
+      const paginatedLogs = deliveries.map(delivery => ({
+        id: delivery._id,
+        timestamp: delivery.createdAt,
+        event: delivery.event,
+        status: delivery.status,
+        response_code: delivery.responseCode,
+        duration: delivery.duration,
+        payload_size: delivery.payloadSize,
+        attempts: delivery.attemptCount,
+        max_attempts: delivery.maxAttempts,
+        next_retry_at: delivery.nextRetryAt,
+        error: delivery.lastError,
+        is_test: delivery.isTest,
+        payload: delivery.payload,
+        attempt_history: delivery.attempts
+      }));
 
       res.status(200).json(ApiResponse({
         logs: paginatedLogs,
         total,
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page: pageNum,
+        limit: limitNum,
         totalPages,
         webhook: {
           id: webhookId,
@@ -510,13 +452,48 @@ class WebhookController {
         return res.status(404).json(ApiResponse(null, "Webhook not found", false, 404));
       }
 
+      // Per-delivery figures from the persisted delivery log
+      const since24h = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      const [deliveryStats] = await WebhookDelivery.aggregate([
+        { $match: { settingsId: settings._id, webhookId } },
+        {
+          $facet: {
+            byStatus: [{ $group: { _id: "$status", count: { $sum: 1 } } }],
+            byEvent: [{ $group: { _id: "$event", count: { $sum: 1 } } }],
+            last24h: [
+              { $match: { createdAt: { $gte: since24h } } },
+              { $group: { _id: "$status", count: { $sum: 1 } } }
+            ],
+            timing: [
+              { $match: { duration: { $ne: null } } },
+              { $group: { _id: null, avgDuration: { $avg: "$duration" }, maxDuration: { $max: "$duration" } } }
+            ]
+          }
+        }
+      ]);
+
+      const toCounts = (rows = []) => rows.reduce((acc, row) => ({ ...acc, [row._id]: row.count }), {});
+      const deliveriesByStatus = toCounts(deliveryStats?.byStatus);
+      const totalDeliveries = Object.values(deliveriesByStatus).reduce((sum, count) => sum + count, 0);
+
       const stats = {
         total_triggers: webhook.triggerCount || 0,
         successful_triggers: webhook.successCount || 0,
         failed_triggers: webhook.failureCount || 0,
         success_rate: webhook.triggerCount > 0 ? 
           ((webhook.successCount || 0) / webhook.triggerCount * 100).toFixed(2) : 0,
+        deliveries: {
+          total: totalDeliveries,
+          by_status: deliveriesByStatus,
+          by_event: toCounts(deliveryStats?.byEvent),
+          last_24h: toCounts(deliveryStats?.last24h),
+          delivery_success_rate: totalDeliveries > 0 ?
+            ((deliveriesByStatus.success || 0) / totalDeliveries * 100).toFixed(2) : 0,
+          avg_duration_ms: Math.round(deliveryStats?.timing?.[0]?.avgDuration || 0),
+          max_duration_ms: deliveryStats?.timing?.[0]?.maxDuration || 0
+        },
         last_triggered: webhook.lastTriggered,
+        last_error: webhook.lastError,
         current_status: webhook.status || 'pending',
         active: webhook.active,
         created_at: webhook.createdAt,
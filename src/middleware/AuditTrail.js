@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { captureBefore } = require('../services/auditService');
+
+/**
+ * Middleware factory: name the entity an admin route changes so its audit entry carries
+ * the target and a before/after diff (see services/auditService). Place it after
+ * requirePermission.
+ *
+ * router.put("/:itemId", verifyToken, requirePermission("catalog.write"), auditEntity("Item", "itemId"), ...)
+ * router.post("/user/:userId/allocate", ..., auditEntity("Points", req => ({ userId: req.params.userId })), ...)
+ * router.post("/", ..., auditEntity("Banner"), ...) // create: the id is taken from the response
+ *
+ * @param {string} entityType - Mongoose model name
+ * @param {string|Function} [locate] - Route param holding the document _id, or req => filter
+ */
+const auditEntity = (entityType, locate) => async (req, res, next) => {
+    let filter = null;
+    if (typeof locate === 'function') {
+        filter = locate(req);
+    } else if (locate) {
+        const id = req.params[locate];
+        filter = mongoose.Types.ObjectId.isValid(id) ? { _id: id } : null;
+    }
+
+    await captureBefore(req, entityType, filter);
+    next();
+};
+
+/**
+ * Keep high-frequency, non-business requests (typing indicators, read receipts) out of
+ * the audit trail. Place it before requirePermission.
+ */
+const skipAudit = (req, res, next) => {
+    req.audit = { ...req.audit, skip: true };
+    next();
+};
+
+module.exports = { auditEntity, skipAudit };
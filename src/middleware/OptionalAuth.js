@@ -1,5 +1,6 @@
 require('dotenv').config();
 const jwt = require('jsonwebtoken');
+const { isAccessTokenRevoked } = require('../services/sessionService');
 
 // Optional middleware to verify JWT token - allows unauthenticated users
 exports.optionalVerifyToken = async (req, res, next) => {
@@ -27,10 +28,10 @@ exports.optionalVerifyToken = async (req, res, next) => {
             console.log("Optional auth - decoded token payload:", decodedInfo);
 
             // Check if decoded token contains user ID
-            if (decodedInfo && decodedInfo._id) {
+            if (decodedInfo && decodedInfo._id && !(await isAccessTokenRevoked(decodedInfo))) {
                 req.user = decodedInfo; // Attach decoded user data to request
             } else {
-                req.user = null; // Invalid token structure
+                req.user = null; // Invalid token structure or signed-out session
             }
         } catch (jwtError) {
             console.log("Optional JWT Verification Error:", jwtError);
@@ -76,6 +77,13 @@ exports.requireAuthForCheckout = async (req, res, next) => {
 
         // Check if decoded token contains user ID
         if (decodedInfo && decodedInfo._id) {
+            if (await isAccessTokenRevoked(decodedInfo)) {
+                return res.status(401).json({ 
+                    success: false,
+                    message: "Session has been signed out. Please login again.",
+                    requireAuth: true
+                });
+            }
             req.user = decodedInfo; // Attach decoded user data to request
             
             // For checkout, we also need to validate that user has required info
@@ -0,0 +1,47 @@
+const User = require('../models/User');
+const { resolvePermissions, hasPermissions } = require('../services/accessControlService');
+const { trackAdminRequest } = require('../services/auditService');
+
+/**
+ * Middleware factory: allow the request only for admins whose roles grant every listed
+ * permission (see config/permissions). Runs after an auth middleware that sets req.user.
+ * Attaches the admin's User document as req.adminUser and their permissions as req.permissions.
+ * Requests that change data (POST/PUT/PATCH/DELETE) are written to the audit log.
+ *
+ * router.delete("/:itemId", verifyToken, requirePermission("catalog.delete"), ...)
+ *
+ * @param {...string} required - Permission keys
+ */
+const requirePermission = (...required) => async (req, res, next) => {
+    try {
+        if (!req.user || !req.user._id) {
+            return res.status(401).json({ message: 'User authentication required' });
+        }
+
+        const user = await User.findById(req.user._id).select('name email isAdmin adminRoles').lean();
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (!user.isAdmin) {
+            return res.status(403).json({ message: 'Access denied, admin rights required' });
+        }
+
+        const permissions = await resolvePermissions(user);
+        if (!hasPermissions(permissions, required)) {
+            return res.status(403).json({
+                message: 'Access denied, your role does not allow this action',
+                requiredPermissions: required
+            });
+        }
+
+        req.adminUser = user;
+        req.permissions = permissions;
+        trackAdminRequest(req, res, required);
+        next();
+    } catch (error) {
+        console.error('requirePermission error:', error);
+        return res.status(500).json({ message: 'Internal server error in permission check' });
+    }
+};
+
+module.exports = { requirePermission };
@@ -0,0 +1,43 @@
+require('dotenv').config();
+const jwt = require('jsonwebtoken');
+const Partner = require('../models/Partner');
+
+// Middleware to verify a partner (vendor) JWT issued by POST /api/partners/login
+exports.verifyPartnerToken = async (req, res, next) => {
+    try {
+        const authHeader = req.headers.authorization;
+
+        if (!authHeader || !authHeader.startsWith("Bearer ")) {
+            return res.status(401).json({ message: "Token missing, please login again" });
+        }
+
+        const token = authHeader.split(" ")[1];
+        const decodedInfo = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Customer and admin tokens are not partner tokens
+        if (!decodedInfo || decodedInfo.role !== 'partner' || !decodedInfo.id) {
+            return res.status(401).json({ message: "Invalid Token, please login again" });
+        }
+
+        // Blocked or deleted partners lose access straight away, not when the token expires
+        const partner = await Partner.findOne({ _id: decodedInfo.id, isDeleted: false }).select('-password');
+        if (!partner) {
+            return res.status(401).json({ message: "Partner account not found, please login again" });
+        }
+        if (partner.status === 'blocked') {
+            return res.status(403).json({ message: "Account is blocked" });
+        }
+
+        req.partner = partner;
+        return next();
+
+    } catch (error) {
+        if (error instanceof jwt.TokenExpiredError) {
+            return res.status(401).json({ message: "Token expired, please login again" });
+        } else if (error instanceof jwt.JsonWebTokenError) {
+            return res.status(401).json({ message: "Invalid Token, please login again" });
+        }
+        console.log("Partner JWT Verification Error:", error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
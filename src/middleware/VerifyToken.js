@@ -1,5 +1,6 @@
 require('dotenv').config();
 const jwt = require('jsonwebtoken');
+const { isAccessTokenRevoked } = require('../services/sessionService');
 
 // Middleware to verify JWT token
 exports.verifyToken = async (req, res, next) => {
@@ -22,6 +23,10 @@ exports.verifyToken = async (req, res, next) => {
 
         // Check if decoded token contains user ID
         if (decodedInfo && decodedInfo._id) {
+            // Reject tokens signed out before they expired (logout, lost device, reuse)
+            if (await isAccessTokenRevoked(decodedInfo)) {
+                return res.status(401).json({ message: "Session has been signed out, please login again" });
+            }
             req.user = decodedInfo; // Attach decoded user data to request
             return next(); // Proceed to next middleware or route
         }
@@ -62,10 +67,10 @@ exports.verifyTokenOptional = async (req, res, next) => {
         console.log("Decoded inside verify token optional payload:", decodedInfo);
 
         // Check if decoded token contains user ID
-        if (decodedInfo && decodedInfo._id) {
+        if (decodedInfo && decodedInfo._id && !(await isAccessTokenRevoked(decodedInfo))) {
             req.user = decodedInfo; // Attach decoded user data to request
         } else {
-            req.user = null; // Invalid token treated as guest
+            req.user = null; // Invalid or revoked token treated as guest
         }
 
         return next(); // Proceed to next middleware or route
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isAccessTokenRevoked } = require('../services/sessionService');
 
 exports.isAuthenticated = async (req, res, next) => {
   try {
@@ -21,6 +22,10 @@ exports.isAuthenticated = async (req, res, next) => {
 
         // Check if decoded token contains user ID
         if (decodedInfo && decodedInfo._id) {
+            // Reject tokens signed out before they expired (logout, lost device, reuse)
+            if (await isAccessTokenRevoked(decodedInfo)) {
+                return res.status(401).json({ message: "Session has been signed out, please login again" });
+            }
             req.user = decodedInfo; // Attach decoded user data to request
             return next(); // Proceed to next middleware or route
         }
@@ -1,5 +1,7 @@
+const jwt = require('jsonwebtoken');
 const admin = require('../config/firebase-admin');
 const User = require('../models/User');
+const { isAccessTokenRevoked } = require('../services/sessionService');
 
 /**
  * Determine authentication method based on Firebase token claims
@@ -240,8 +242,6 @@ const verifyFirebaseToken = async (req, res, next) => {
  */
 const verifyLegacyToken = async (req, res, next) => {
   try {
-    const jwt = require('jsonwebtoken');
-    
     const authHeader = req.headers.authorization;
     
     if (!authHeader || !authHeader.startsWith("Bearer ")) {
@@ -257,6 +257,12 @@ const verifyLegacyToken = async (req, res, next) => {
     console.log("✅ Legacy token validated for user:", decodedInfo._id);
 
     if (decodedInfo && decodedInfo._id) {
+      if (await isAccessTokenRevoked(decodedInfo)) {
+        return res.status(401).json({ 
+          success: false,
+          message: "Session has been signed out, please login again" 
+        });
+      }
       req.user = decodedInfo;
       return next();
     }
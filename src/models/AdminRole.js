@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// ==============================
+// Admin Role Schema Definition
+// ==============================
+// A named set of admin panel permissions (config/permissions). Admins are given
+// roles through User.adminRoles, which holds role keys. System roles are created
+// on startup and cannot be edited or deleted.
+const adminRoleSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z][a-z0-9_]{1,49}$/, "Role key may only contain lowercase letters, digits and underscores"],
+    },
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: "", trim: true },
+    permissions: { type: [String], default: [] },
+    isSystem: { type: Boolean, default: false },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+module.exports = mongoose.model("AdminRole", adminRoleSchema);
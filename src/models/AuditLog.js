@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// ==============================
+// Audit Log Schema Definition
+// ==============================
+// One entry per admin request that changes data (POST/PUT/PATCH/DELETE behind
+// RequirePermission): who did it, on which route, against which entity, what
+// changed and where the request came from. Written by services/auditService.
+const changeSchema = new Schema(
+  {
+    path: { type: String, required: true }, // dotted field path, e.g. "sizes.0.salePrice"
+    before: { type: Schema.Types.Mixed, default: null },
+    after: { type: Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+const auditLogSchema = new Schema(
+  {
+    actor: {
+      userId: { type: Schema.Types.ObjectId, ref: "User", index: true },
+      name: { type: String, default: null },
+      email: { type: String, default: null },
+      roles: { type: [String], default: [] },
+    },
+
+    method: { type: String, enum: ["POST", "PUT", "PATCH", "DELETE"], required: true },
+    route: { type: String, required: true }, // pattern, e.g. "/api/admin/orders/:orderId/status"
+    path: { type: String, required: true }, // as requested, without the query string
+    params: { type: Schema.Types.Mixed, default: {} },
+    permissions: { type: [String], default: [] }, // what the route required
+    requestBody: { type: Schema.Types.Mixed, default: null }, // secrets redacted, large bodies trimmed
+
+    // Target, when the route declares one (middleware/AuditTrail)
+    entity: {
+      type: { type: String, default: null }, // model name, e.g. "Order"
+      id: { type: String, default: null },
+      label: { type: String, default: null }, // order number, product name, code...
+    },
+    operation: { type: String, enum: ["create", "update", "delete", "action"], default: "action" },
+    changes: { type: [changeSchema], default: [] },
+
+    statusCode: { type: Number, required: true },
+    success: { type: Boolean, required: true },
+    errorMessage: { type: String, default: null },
+    durationMs: { type: Number, default: 0 },
+
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, versionKey: false }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ "entity.type": 1, "entity.id": 1, createdAt: -1 });
+auditLogSchema.index({ "actor.userId": 1, createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// ==============================
+// Auth Session Schema Definition
+// ==============================
+// One signed-in device. Access tokens carry the session id (`sid` claim); the refresh
+// token is `<sessionId>.<secret>` and only its SHA-256 is stored. Every refresh rotates
+// the secret; the previous hashes are kept so a replayed token can be recognised and the
+// whole session (the token family) revoked.
+const authSessionSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+    // Device, as reported by the app (x-device-id / body) and the request
+    deviceId: { type: String, default: null },
+    deviceName: { type: String, default: null },
+    platform: { type: String, default: null }, // ios, android, web
+    userAgent: { type: String, default: null },
+    ip: { type: String, default: null },
+    authMethod: { type: String, default: null }, // password, otp, firebase, ...
+
+    refreshTokenHash: { type: String, required: true },
+    rotatedTokenHashes: { type: [String], default: [], select: false }, // most recent last
+    rotationCount: { type: Number, default: 0 },
+
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }, // slides forward on every refresh
+
+    revokedAt: { type: Date, default: null },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "logout_all", "revoked", "admin", "replaced", "reuse_detected", "password_reset", "account_deleted", null],
+      default: null,
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+authSessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: -1 });
+authSessionSchema.index({ userId: 1, deviceId: 1 });
+// Sessions are kept for a month after they expire, then removed
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("AuthSession", authSessionSchema);
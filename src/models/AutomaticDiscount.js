@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// ==============================
+// Automatic Discount Schema Definition
+// ==============================
+// Codeless promotions applied at checkout when the cart qualifies, e.g.
+// "buy 2 in Sneakers, get 10% off" (quantity) or "₹200 off above ₹3000,
+// ₹500 off above ₹6000" (spend_tier). How offers combine with each other and
+// with a promo code is decided by the store's Settings.onlineDiscounts.
+const spendTierSchema = new Schema(
+  {
+    minAmount: { type: Number, required: true, min: 0 }, // eligible subtotal that unlocks the tier
+    discountType: { type: String, enum: ["percentage", "fixed"], required: true },
+    discountValue: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+const automaticDiscountSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true }, // shown to the customer
+    description: { type: String, default: "", trim: true },
+    type: { type: String, enum: ["quantity", "spend_tier"], required: true },
+
+    // quantity: at least `minQuantity` eligible units → discountType/discountValue off those lines
+    minQuantity: { type: Number, default: 1, min: 1 },
+    discountType: { type: String, enum: ["percentage", "fixed"], default: "percentage" },
+    discountValue: { type: Number, default: 0, min: 0 },
+
+    // spend_tier: the highest tier reached by the eligible subtotal applies
+    tiers: { type: [spendTierSchema], default: [] },
+
+    // Eligible lines; both empty = the whole cart. categoryIds match a category or a subcategory
+    categoryIds: [{ type: Schema.Types.ObjectId, ref: "Category" }],
+    productIds: [{ type: Schema.Types.ObjectId, ref: "Item" }],
+
+    maxDiscountAmount: { type: Number, default: null, min: 0 }, // null means no cap
+    membersOnly: { type: Boolean, default: false }, // logged-in customers only (onlineDiscounts.memberDiscounts)
+    isSeasonal: { type: Boolean, default: false }, // switched off with onlineDiscounts.seasonalDiscounts
+    isStackable: { type: Boolean, default: true }, // may combine with other offers when stacking is on
+    priority: { type: Number, default: 0 }, // higher wins when offers are not picked by value
+
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+automaticDiscountSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+
+automaticDiscountSchema.pre("validate", function (next) {
+  if (this.endDate && this.startDate && this.endDate <= this.startDate) {
+    this.invalidate("endDate", "End date must be after start date");
+  }
+  if (this.type === "spend_tier" && this.tiers.length === 0) {
+    this.invalidate("tiers", "A spend_tier discount needs at least one tier");
+  }
+  if (this.type === "quantity" && !(this.discountValue > 0)) {
+    this.invalidate("discountValue", "A quantity discount needs a discountValue");
+  }
+  next();
+});
+
+module.exports = mongoose.model("AutomaticDiscount", automaticDiscountSchema);
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+const { CHAT_CATEGORIES } = require("../config/chatSupport");
+
+// ==============================
+// Canned Response Schema Definition
+// ==============================
+// Reusable support chat reply. The body may contain {{name}}, {{firstName}},
+// {{agentName}}, {{sessionId}}, {{orderNumber}}, {{orderStatus}}, {{trackingNumber}}
+// and {{trackingUrl}}, filled in for the chat it is sent to. A reply with a `trigger`
+// is also sent automatically when that happens (queued, idle warning, idle timeout).
+const cannedResponseSchema = new Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    shortcut: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9][a-z0-9_-]{0,39}$/, "Shortcut may only contain lowercase letters, digits, - and _"],
+    }, // typed as /shortcut in the admin panel
+    body: { type: String, required: true, maxLength: 2000 },
+    categories: { type: [{ type: String, enum: CHAT_CATEGORIES }], default: [] }, // empty: all categories
+    trigger: {
+      type: String,
+      enum: ["session_queued", "idle_warning", "session_timeout", null],
+      default: null,
+    },
+    isActive: { type: Boolean, default: true },
+    usageCount: { type: Number, default: 0 },
+    lastUsedAt: { type: Date, default: null },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+cannedResponseSchema.index({ shortcut: 1 }, { unique: true, partialFilterExpression: { shortcut: { $type: "string" } } });
+cannedResponseSchema.index({ trigger: 1, isActive: 1 });
+
+module.exports = mongoose.model("CannedResponse", cannedResponseSchema);
@@ -13,7 +13,7 @@ const cartAbandonmentSchema = new mongoose.Schema({
   },
   email: {
     type: String,
-    required: true,
+    required: false, // carts detected from live Cart data may belong to phone-only users
     index: true
   },
   mobile: {
@@ -89,16 +89,19 @@ const cartAbandonmentSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // `type` is wrapped so Mongoose reads these as sub-documents, not arrays of strings
   emailsSent: [{
     sentAt: Date,
-    type: String, // 'recovery', 'reminder', 'offer'
+    type: { type: String }, // 'recovery', 'reminder', 'offer'
     opened: { type: Boolean, default: false },
-    clicked: { type: Boolean, default: false }
+    clicked: { type: Boolean, default: false },
+    trackingToken: String // matches recoverySteps[].trackingToken for automated e-mails
   }],
   smsSent: [{
     sentAt: Date,
-    type: String,
-    delivered: { type: Boolean, default: false }
+    type: { type: String },
+    delivered: { type: Boolean, default: false },
+    trackingToken: String
   }],
   browserInfo: {
     userAgent: String,
@@ -131,6 +134,43 @@ const cartAbandonmentSchema = new mongoose.Schema({
   notes: {
     type: String,
     required: false
+  },
+
+  // Automated recovery sequence (cartRecoveryService)
+  source: {
+    type: String,
+    enum: ['firebase_sync', 'live_cart'],
+    default: 'firebase_sync'
+  },
+  sequence: {
+    startedAt: Date,
+    nextStep: { type: Number, default: 0 }, // index into CartRecoveryConfig.steps
+    nextStepAt: { type: Date, default: null, index: true },
+    stoppedAt: Date,
+    stopReason: {
+      type: String,
+      enum: ['ordered', 'completed', 'cart_emptied', 'blocked', 'no_contact', null],
+      default: null
+    }
+  },
+  recoverySteps: [{
+    key: String,
+    channel: { type: String, enum: ['push', 'email', 'sms'] },
+    sentAt: Date,
+    status: { type: String, enum: ['sent', 'failed', 'skipped'] },
+    error: String,
+    trackingToken: String,
+    promoCode: String,
+    opened: { type: Boolean, default: false },
+    openedAt: Date,
+    clicked: { type: Boolean, default: false },
+    clickedAt: Date
+  }],
+  recovery: {
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    recoveredAt: Date,
+    revenue: Number,
+    stepKey: String // step credited with the recovery (null = came back on their own)
   }
 }, {
   timestamps: true,
@@ -144,6 +184,7 @@ cartAbandonmentSchema.index({ country: 1, region: 1 });
 cartAbandonmentSchema.index({ cartValue: -1 });
 cartAbandonmentSchema.index({ lastActive: -1 });
 cartAbandonmentSchema.index({ email: 1, status: 1 });
+cartAbandonmentSchema.index({ 'recoverySteps.trackingToken': 1 }, { sparse: true });
 
 // Virtual for age calculation
 cartAbandonmentSchema.virtual('age').get(function() {
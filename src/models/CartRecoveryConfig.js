@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// ==============================
+// Cart Recovery Configuration Schema Definition
+// ==============================
+// Store-wide settings for the automated cart-abandonment recovery sequence.
+// A single document; each step fires `delayMinutes` after the customer last
+// touched their cart, until they order or the sequence runs out.
+const recoveryStepSchema = new Schema(
+  {
+    key: { type: String, required: true, trim: true }, // stable id used in reports, e.g. "email-24h"
+    channel: { type: String, enum: ["push", "email", "sms"], required: true },
+    delayMinutes: { type: Number, required: true, min: 1 },
+    isActive: { type: Boolean, default: true },
+
+    // Content; {{name}}, {{itemCount}}, {{cartValue}} and {{promoCode}} are filled in
+    subject: { type: String, default: "" }, // e-mail subject / push title
+    message: { type: String, default: "" },
+
+    // One-time promo code generated for this customer when the step is sent
+    promo: {
+      enabled: { type: Boolean, default: false },
+      discountType: { type: String, enum: ["percentage", "fixed", "free_shipping"], default: "percentage" },
+      discountValue: { type: Number, default: 10, min: 0 },
+      maxDiscountAmount: { type: Number, default: null, min: 0 },
+      minOrderValue: { type: Number, default: 0, min: 0 },
+      validityHours: { type: Number, default: 48, min: 1 },
+    },
+  },
+  { _id: false }
+);
+
+const cartRecoveryConfigSchema = new Schema(
+  {
+    isEnabled: { type: Boolean, default: false },
+
+    // A cart untouched for this long is abandoned
+    abandonAfterMinutes: { type: Number, default: 60, min: 5 },
+    // Carts idle for longer than this are no longer chased
+    maxCartAgeDays: { type: Number, default: 14, min: 1 },
+    minCartValue: { type: Number, default: 0, min: 0 },
+
+    steps: {
+      type: [recoveryStepSchema],
+      default: () => [
+        {
+          key: "push-1h",
+          channel: "push",
+          delayMinutes: 60,
+          subject: "Still thinking it over?",
+          message: "Your {{itemCount}} item(s) are waiting in your cart.",
+        },
+        {
+          key: "email-24h",
+          channel: "email",
+          delayMinutes: 24 * 60,
+          subject: "You left something in your cart",
+          message: "Hi {{name}}, the {{itemCount}} item(s) in your cart (₹{{cartValue}}) are still available. Complete your purchase before they sell out.",
+        },
+        {
+          key: "email-offer-72h",
+          channel: "email",
+          delayMinutes: 72 * 60,
+          subject: "A little something to help you decide",
+          message: "Hi {{name}}, use code {{promoCode}} for 10% off the items in your cart. The code is valid for 48 hours and can be used once.",
+          promo: { enabled: true, discountType: "percentage", discountValue: 10, validityHours: 48 },
+        },
+      ],
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Ensure only one configuration document exists
+cartRecoveryConfigSchema.statics.getConfig = async function () {
+  let config = await this.findOne();
+
+  if (!config) {
+    config = new this({});
+    await config.save();
+  }
+
+  return config;
+};
+
+module.exports = mongoose.model("CartRecoveryConfig", cartRecoveryConfigSchema);
@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// ==============================
+// Catalog Import Schema Definition
+// ==============================
+// One document per spreadsheet (CSV/XLSX) uploaded to create or update products.
+// A dry run only records what each row would change; an applied import records what
+// it did. Large files are processed in the background and polled through this document.
+const changeSchema = new Schema(
+  {
+    field: { type: String, required: true }, // e.g. "productName", "sizes.regularPrice"
+    sku: { type: String, default: null }, // Size the change applies to, for size fields
+    from: { type: Schema.Types.Mixed, default: null },
+    to: { type: Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+const rowResultSchema = new Schema(
+  {
+    rowNumber: { type: Number, required: true }, // Spreadsheet row (header is row 1)
+    itemId: { type: String, default: null },
+    sku: { type: String, default: null },
+    action: { type: String, enum: ["create", "update", "unchanged", "error"], required: true },
+    item: { type: Schema.Types.ObjectId, ref: "Item", default: null },
+    changes: { type: [changeSchema], default: [] },
+    validationErrors: { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+const catalogImportSchema = new Schema(
+  {
+    fileName: { type: String, required: true },
+    format: { type: String, enum: ["csv", "xlsx"], required: true },
+    dryRun: { type: Boolean, default: true },
+    background: { type: Boolean, default: false },
+
+    status: {
+      type: String,
+      enum: ["queued", "processing", "completed", "failed"],
+      default: "queued",
+      index: true,
+    },
+
+    // Spreadsheet column → import field, as used for this file
+    columnMapping: { type: Map, of: String, default: {} },
+    ignoredColumns: { type: [String], default: [] },
+
+    totals: {
+      rows: { type: Number, default: 0 },
+      processed: { type: Number, default: 0 },
+      items: { type: Number, default: 0 }, // Distinct products in the file
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      unchanged: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 }, // Rows with errors
+    },
+
+    rows: { type: [rowResultSchema], default: [] },
+
+    error: { type: String, default: null }, // Why the whole import failed
+    startedAt: { type: Date, default: null },
+    finishedAt: { type: Date, default: null },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+catalogImportSchema.index({ createdAt: -1 });
+catalogImportSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model("CatalogImport", catalogImportSchema);
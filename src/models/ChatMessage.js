@@ -101,7 +101,7 @@ const chatMessageSchema = new Schema({
   },
   systemMessageType: {
     type: String,
-    enum: ['session_start', 'session_end', 'admin_joined', 'admin_left', 'escalated', 'timeout_warning'],
+    enum: ['session_start', 'session_end', 'admin_joined', 'admin_left', 'escalated', 'timeout_warning', 'order_action'],
     required: false,
   },
   editHistory: [{
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const { Schema } = mongoose;
+const { CHAT_CATEGORIES } = require("../config/chatSupport");
 
 // Define Chat Session Schema
 const chatSessionSchema = new Schema({
@@ -170,7 +171,57 @@ const chatSessionSchema = new Schema({
   },
   tags: [{
     type: String,
-    enum: ['order_issue', 'product_inquiry', 'shipping', 'payment', 'return', 'technical', 'general', 'complaint'],
+    enum: CHAT_CATEGORIES,
+  }],
+  // Topic chosen when the chat starts; decides which agents it is routed to
+  category: {
+    type: String,
+    enum: CHAT_CATEGORIES,
+    default: 'general',
+  },
+  routing: {
+    assignedBy: {
+      type: String,
+      enum: ['auto', 'manual', null],
+      default: null,
+    },
+    assignedAt: Date,
+    queuedAt: Date, // no agent was free when the chat started
+  },
+  // SLA timers (ChatSupportConfig.sla), set when the chat starts
+  sla: {
+    firstResponseDueAt: Date,
+    firstResponseAt: Date,
+    firstResponseBreachedAt: Date,
+    resolutionDueAt: Date,
+    resolutionBreachedAt: Date,
+  },
+  idleWarningAt: {
+    type: Date,
+    required: false,
+  },
+  // Orders the chat is about, linked by the customer or an agent
+  linkedOrders: [{
+    _id: false,
+    order: {
+      type: Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    orderNumber: String,
+    linkedBy: {
+      type: String,
+      enum: ['customer', 'admin'],
+      required: true,
+    },
+    linkedByUser: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now,
+    }
   }],
   priority: {
     type: String,
@@ -208,6 +259,10 @@ chatSessionSchema.index({ startTime: -1 });
 chatSessionSchema.index({ lastMessageAt: -1 });
 chatSessionSchema.index({ priority: 1, status: 1 });
 chatSessionSchema.index({ tags: 1 });
+chatSessionSchema.index({ status: 1, assignedAdmin: 1, startTime: 1 });
+chatSessionSchema.index({ status: 1, 'sla.firstResponseDueAt': 1 });
+chatSessionSchema.index({ status: 1, 'sla.resolutionDueAt': 1 });
+chatSessionSchema.index({ 'linkedOrders.order': 1 });
 
 // Virtual for session duration display
 chatSessionSchema.virtual('durationDisplay').get(function() {
@@ -316,13 +371,15 @@ chatSessionSchema.methods.endSession = function(endReason = 'user') {
 };
 
 // Instance method to assign admin
-chatSessionSchema.methods.assignAdmin = function(adminUser) {
+chatSessionSchema.methods.assignAdmin = function(adminUser, assignedBy = 'manual') {
   this.assignedAdmin = adminUser._id;
   this.adminInfo = {
     name: adminUser.name,
     email: adminUser.email,
     joinedAt: new Date()
   };
+  this.set('routing.assignedBy', assignedBy);
+  this.set('routing.assignedAt', new Date());
   return this.save();
 };
 
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// ==============================
+// Chat Support Configuration Schema Definition
+// ==============================
+// Store-wide settings for support chat routing, SLA timers and the idle sweep.
+// A single document.
+const slaTargetSchema = new Schema(
+  {
+    urgent: { type: Number, min: 1 },
+    high: { type: Number, min: 1 },
+    normal: { type: Number, min: 1 },
+    low: { type: Number, min: 1 },
+  },
+  { _id: false }
+);
+
+const chatSupportConfigSchema = new Schema(
+  {
+    routing: {
+      autoAssign: { type: Boolean, default: true },
+      // With no skilled or generalist agent free, hand the chat to any online agent
+      fallbackToAnyAgent: { type: Boolean, default: true },
+    },
+
+    sla: {
+      enabled: { type: Boolean, default: true },
+      // Minutes until the first agent reply / until the chat is closed, per priority
+      firstResponseMinutes: { type: slaTargetSchema, default: () => ({ urgent: 2, high: 5, normal: 10, low: 30 }) },
+      resolutionMinutes: { type: slaTargetSchema, default: () => ({ urgent: 60, high: 240, normal: 1440, low: 2880 }) },
+      // Escalate a chat (priority urgent) when it misses a target
+      autoEscalate: { type: Boolean, default: true },
+    },
+
+    // Chats waiting on the customer are closed as "timeout" after this long
+    idle: {
+      enabled: { type: Boolean, default: true },
+      timeoutMinutes: { type: Number, default: 30, min: 5 },
+      warningMinutes: { type: Number, default: 5, min: 0 }, // warn this long before closing; 0 disables
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Ensure only one configuration document exists
+chatSupportConfigSchema.statics.getConfig = async function () {
+  let config = await this.findOne();
+
+  if (!config) {
+    config = new this({});
+    await config.save();
+  }
+
+  return config;
+};
+
+module.exports = mongoose.model("ChatSupportConfig", chatSupportConfigSchema);
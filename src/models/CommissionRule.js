@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// ==============================
+// Commission Rule Schema Definition
+// ==============================
+// Share of a partner's sales the store keeps. A rule applies to one partner, one
+// category, both, or (neither set) every sale. The most specific active rule wins:
+// partner + category, then partner, then category, then the store-wide default.
+const commissionRuleSchema = new Schema(
+  {
+    partner: { type: Schema.Types.ObjectId, ref: "Partner", default: null },
+    category: { type: Schema.Types.ObjectId, ref: "Category", default: null },
+
+    // Percent of the GST-inclusive amount the customer paid for the line
+    ratePercent: { type: Number, required: true, min: 0, max: 100 },
+
+    isActive: { type: Boolean, default: true },
+    notes: { type: String, trim: true, default: null },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// One rule per partner/category pair
+commissionRuleSchema.index({ partner: 1, category: 1 }, { unique: true });
+
+module.exports = mongoose.model("CommissionRule", commissionRuleSchema);
@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// ==============================
+// Credit Note Schema Definition
+// ==============================
+// GST credit note reversing (part of) a tax invoice for returned, exchanged or
+// cancelled items. Numbered in its own series per financial year (YCN/25-26/00001)
+// and always linked to the original invoice and its order lines.
+const partySchema = new Schema(
+  {
+    name: String,
+    gstin: String,
+    address: String,
+    city: String,
+    state: String,
+    stateCode: String,
+    pinCode: String,
+    country: String,
+    email: String,
+    phone: String,
+  },
+  { _id: false }
+);
+
+const creditNoteSchema = new Schema(
+  {
+    creditNoteNumber: { type: String, required: true, unique: true },
+    financialYear: { type: String, required: true },
+    sequence: { type: Number, required: true },
+    issueDate: { type: Date, default: Date.now },
+
+    invoice: { type: Schema.Types.ObjectId, ref: "Invoice", required: true, index: true },
+    invoiceNumber: { type: String, required: true },
+    invoiceDate: { type: Date },
+    order: { type: Schema.Types.ObjectId, ref: "Order", required: true, index: true },
+    orderNumber: { type: String, default: null },
+    user: { type: Schema.Types.ObjectId, ref: "User", default: null },
+
+    reason: {
+      type: String,
+      enum: ["return", "exchange", "cancellation", "other"],
+      required: true,
+    },
+    notes: { type: String, default: null },
+
+    // Order.refunds[]._id this credit note accounts for (one credit note per refund)
+    refundEntry: { type: Schema.Types.ObjectId, default: null },
+    razorpayRefundId: { type: String, default: null },
+
+    seller: partySchema,
+    buyer: partySchema,
+    supplyType: { type: String, enum: ["intra_state", "inter_state"] },
+    placeOfSupply: { type: String },
+
+    lines: [
+      {
+        orderLine: { type: Schema.Types.ObjectId, default: null }, // null for the shipping line
+        description: String,
+        sku: String,
+        size: String,
+        hsnCode: String,
+        quantity: Number,
+        unitPrice: Number,
+        discount: Number,
+        taxableValue: Number,
+        gstRate: Number,
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        igst: { type: Number, default: 0 },
+        total: Number,
+      },
+    ],
+
+    totals: {
+      grossAmount: Number,
+      discount: Number,
+      taxableValue: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      totalTax: Number,
+      grandTotal: Number,
+      amountInWords: String,
+    },
+
+    issuedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+creditNoteSchema.index({ refundEntry: 1 }, { unique: true, partialFilterExpression: { refundEntry: { $type: "objectId" } } });
+creditNoteSchema.index({ financialYear: 1, sequence: -1 });
+creditNoteSchema.index({ issueDate: -1 });
+
+module.exports = mongoose.model("CreditNote", creditNoteSchema);
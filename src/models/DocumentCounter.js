@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// ==============================
+// Document Counter Schema Definition
+// ==============================
+// Gap-free running numbers for tax documents, one counter per series and
+// financial year (e.g. "invoice:2025-26"). Incremented atomically with $inc; a
+// number whose document could not be saved is given back while it is the latest.
+const documentCounterSchema = new Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    seq: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+/**
+ * Reserve the next number in a series.
+ * @param {string} key - Series key, e.g. "invoice:2025-26"
+ * @returns {Promise<number>}
+ */
+documentCounterSchema.statics.next = async function (key) {
+  const counter = await this.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+/**
+ * Give back a reserved number, only while no later number has been drawn.
+ * @param {string} key - Series key
+ * @param {number} seq - The number next() returned
+ * @returns {Promise<boolean>} Whether the number was given back
+ */
+documentCounterSchema.statics.release = async function (key, seq) {
+  const result = await this.updateOne({ key, seq }, { $inc: { seq: -1 } });
+  return result.modifiedCount === 1;
+};
+
+module.exports = mongoose.model("DocumentCounter", documentCounterSchema);
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// ==============================
+// Inventory Reservation Schema Definition
+// ==============================
+// Stock held for one order between checkout and payment. Holding decrements
+// Item.sizes[].stock immediately (atomically, per SKU), so the units are never
+// sold twice. The hold then either becomes a sale when the payment is verified,
+// or is released (stock restored) on payment failure, expiry or cancellation.
+const inventoryReservationSchema = new Schema(
+  {
+    order: { type: Schema.Types.ObjectId, ref: "Order", required: true, unique: true },
+    user: { type: Schema.Types.ObjectId, ref: "User", default: null },
+
+    items: [
+      {
+        item: { type: Schema.Types.ObjectId, ref: "Item", required: true },
+        sku: { type: String, required: true },
+        size: { type: String },
+        quantity: { type: Number, required: true, min: 1 },
+      },
+    ],
+
+    status: {
+      type: String,
+      enum: ["held", "converted", "released", "expired"],
+      default: "held",
+      index: true,
+    },
+
+    expiresAt: { type: Date, required: true },
+    convertedAt: { type: Date, default: null },
+    releasedAt: { type: Date, default: null },
+    // e.g. "payment_failed", "order_cancelled", "order_creation_failed"
+    releaseReason: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Expiry sweep and the admin "active holds" listing
+inventoryReservationSchema.index({ status: 1, expiresAt: 1 });
+inventoryReservationSchema.index({ status: 1, "items.sku": 1 });
+
+module.exports = mongoose.model("InventoryReservation", inventoryReservationSchema);
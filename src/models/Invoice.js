@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// ==============================
+// Tax Invoice Schema Definition
+// ==============================
+// GST tax invoice issued once per paid order. Amounts are frozen at issue time so
+// the PDF can be re-rendered identically later; numbering restarts every
+// financial year (YRA/25-26/00001).
+const partySchema = new Schema(
+  {
+    name: String,
+    gstin: String,
+    address: String,
+    city: String,
+    state: String,
+    stateCode: String,
+    pinCode: String,
+    country: String,
+    email: String,
+    phone: String,
+  },
+  { _id: false }
+);
+
+const invoiceSchema = new Schema(
+  {
+    invoiceNumber: { type: String, default: null },
+    financialYear: { type: String, required: true },
+    sequence: { type: Number, default: null },
+    status: {
+      type: String,
+      enum: ["generating", "issued", "cancelled"],
+      default: "generating",
+      index: true,
+    },
+
+    order: { type: Schema.Types.ObjectId, ref: "Order", required: true, unique: true },
+    orderNumber: { type: String, default: null },
+    user: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    invoiceDate: { type: Date, default: Date.now },
+
+    seller: partySchema,
+    buyer: partySchema,
+
+    // intra_state → CGST + SGST, inter_state → IGST
+    supplyType: { type: String, enum: ["intra_state", "inter_state"] },
+    placeOfSupply: { type: String },
+
+    lines: [
+      {
+        orderLine: { type: Schema.Types.ObjectId, default: null }, // Order.item_quantities[]._id
+        description: String,
+        sku: String,
+        size: String,
+        hsnCode: String,
+        quantity: Number,
+        unitPrice: Number, // tax-inclusive list price
+        discount: Number, // prorated promo discount
+        taxableValue: Number,
+        gstRate: Number,
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        igst: { type: Number, default: 0 },
+        total: Number,
+      },
+    ],
+
+    totals: {
+      grossAmount: Number,
+      discount: Number,
+      taxableValue: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      totalTax: Number,
+      grandTotal: Number,
+      amountInWords: String,
+    },
+
+    payment: {
+      razorpayOrderId: String,
+      razorpayPaymentId: String,
+      method: String,
+      paidAt: Date,
+    },
+
+    // Credit notes issued against this invoice (CreditNote); creditNoteCount also
+    // serialises credit note issue so the invoice can never be over-credited
+    creditNoteCount: { type: Number, default: 0 },
+    creditedAmount: { type: Number, default: 0 },
+
+    // Auto-send / resend tracking
+    emailedTo: { type: String, default: null },
+    emailedAt: { type: Date, default: null },
+    emailCount: { type: Number, default: 0 },
+    emailError: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+invoiceSchema.index({ invoiceNumber: 1 }, { unique: true, partialFilterExpression: { invoiceNumber: { $type: "string" } } });
+invoiceSchema.index({ financialYear: 1, sequence: -1 });
+invoiceSchema.index({ user: 1, invoiceDate: -1 });
+
+module.exports = mongoose.model("Invoice", invoiceSchema);
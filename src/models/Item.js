@@ -186,10 +186,12 @@ const itemSchema = new mongoose.Schema(
         scheduledDate: { type: String },
         scheduledTime: { type: String },
         publishAt: { type: Date },
+        unpublishAt: { type: Date }, // End date: scheduler moves a live item to 'inactive' after this
         autoPublish: { type: Boolean, default: false },
         notificationSettings: { type: mongoose.Schema.Types.Mixed, default: {} }
     },
     publishedAt: { type: Date },
+    unpublishedAt: { type: Date },
     
     // Product status
     status: {
@@ -235,8 +237,26 @@ const itemSchema = new mongoose.Schema(
 itemSchema.index({ isActive: 1, isDeleted: 1 });
 itemSchema.index({ categoryId: 1 });
 itemSchema.index({ subCategoryId: 1 });
+itemSchema.index({ status: 1, publishAt: 1 }); // Scheduled publishing sweeps
+itemSchema.index({ status: 1, 'publishingOptions.unpublishAt': 1 }); // Scheduled unpublishing sweeps
 itemSchema.index({ 'filters.key': 1, 'filters.value': 1 }); // Product-level filters
 itemSchema.index({ 'sizes.filters.key': 1, 'sizes.filters.value': 1 }); // Size-level filters
+// Weighted full-text index for product search (services/productSearchService, SEARCH_ENGINE=mongo)
+itemSchema.index(
+  {
+    productName: 'text',
+    title: 'text',
+    'sizes.sku': 'text',
+    'filters.value': 'text',
+    'sizes.filters.value': 'text',
+    description: 'text',
+  },
+  {
+    name: 'item_search_text',
+    weights: { productName: 10, 'sizes.sku': 12, title: 6, 'filters.value': 4, 'sizes.filters.value': 4, description: 1 },
+    default_language: 'english',
+  }
+);
 
 // ==============================
 // Middleware: Auto-calculate average rating and sync stock/quantity
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// ==============================
+// Job Run Schema Definition
+// ==============================
+// One document per execution of a scheduled job (cron tick or manual run from
+// the admin panel). Per-entity outcomes are kept in `results` so the admin can
+// see exactly which products were published or unpublished and why any failed.
+const jobRunSchema = new Schema(
+  {
+    jobName: { type: String, required: true, index: true },
+
+    trigger: { type: String, enum: ["schedule", "manual"], default: "schedule" },
+    triggeredBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+
+    status: {
+      type: String,
+      enum: ["running", "success", "partial", "failed", "skipped"],
+      default: "running",
+      index: true,
+    },
+
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date, default: null },
+    durationMs: { type: Number, default: null },
+
+    processed: { type: Number, default: 0 },
+    succeeded: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+
+    results: [
+      {
+        entityType: { type: String, default: "Item" },
+        entityId: { type: Schema.Types.ObjectId },
+        reference: { type: String }, // Human-readable id, e.g. Item.itemId
+        name: { type: String },
+        action: { type: String }, // e.g. "publish", "unpublish"
+        fromStatus: { type: String },
+        toStatus: { type: String },
+        scheduledFor: { type: Date },
+        success: { type: Boolean, default: true },
+        error: { type: String, default: null },
+      },
+    ],
+
+    error: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+jobRunSchema.index({ "results.entityId": 1 });
+
+// Most cron ticks find nothing to do; keep those runs for a week only
+jobRunSchema.index(
+  { finishedAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60, partialFilterExpression: { processed: 0, status: "success" } }
+);
+
+module.exports = mongoose.model("JobRun", jobRunSchema);
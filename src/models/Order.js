@@ -70,6 +70,27 @@ const orderSchema = new mongoose.Schema({
     desiredSize: {
       type: String,
     },
+
+    // Units of this line already refunded (see refunds[])
+    refunded_quantity: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    // Share of the order's discounts on this line: promo code and automatic offers
+    // (automaticDiscountService allocation)
+    promo_discount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Units added free by a BOGO code (included in quantity)
+    promo_free_quantity: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
   }],
   total_price: {
     type: Number,
@@ -184,6 +205,48 @@ const orderSchema = new mongoose.Schema({
     shipper_phone: String,
     shipper_email: String,
   },
+  // Partner (vendor) fulfilling the order, allotted by an admin
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner',
+  },
+  vendorAllotted: {
+    type: Boolean,
+    default: false,
+  },
+  vendorAllottedAt: Date,
+  vendorNotes: String,
+  // Partner's progress on the order (see partnerOrderService)
+  vendorFulfilment: {
+    status: {
+      type: String,
+      enum: ['assigned', 'accepted', 'rejected', 'packed', 'ready_for_pickup'],
+    },
+    acceptedAt: Date,
+    rejectedAt: Date,
+    rejectionReason: String,
+    packedAt: Date,
+    // Lines packed (empty = whole order)
+    packedItems: [{
+      _id: false,
+      sku: String,
+      quantity: Number,
+    }],
+    readyForPickupAt: Date,
+    packingProof: [{
+      _id: false,
+      url: String,
+      fileName: String,
+      uploadedAt: { type: Date, default: Date.now },
+    }],
+    history: [{
+      _id: false,
+      status: String,
+      note: String,
+      partner: { type: mongoose.Schema.Types.ObjectId, ref: 'Partner' },
+      at: { type: Date, default: Date.now },
+    }],
+  },
   refund: {
     requestDate: Date,
     status: String,
@@ -199,7 +262,54 @@ const orderSchema = new mongoose.Schema({
     refundStatus: String,
     notes: String,
     images: [String],
+    // Lines the customer is returning (empty = whole order)
+    items: [{
+      sku: String,
+      quantity: Number,
+    }],
+    acceptedAt: Date,
+    rejectedAt: Date,
+    rejectionReason: String,
+    adminNotes: String,
   },
+
+  // Total refunded through Razorpay so far (sum of non-failed refunds[])
+  refunded_amount: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+
+  // Refund history - one entry per Razorpay refund (full or partial)
+  refunds: [{
+    razorpayRefundId: String,
+    type: { type: String, enum: ['full', 'partial'] },
+    source: { type: String, enum: ['admin', 'cancellation', 'return'], default: 'admin' },
+    status: { type: String, enum: ['pending', 'processed', 'failed'], default: 'pending' },
+    amount: { type: Number, min: 0 },
+    itemsAmount: { type: Number, min: 0, default: 0 },
+    promoAdjustment: { type: Number, min: 0, default: 0 },
+    shippingAmount: { type: Number, min: 0, default: 0 },
+    lines: [{
+      line: mongoose.Schema.Types.ObjectId, // item_quantities[]._id
+      item_id: String,
+      sku: String,
+      size: String,
+      quantity: Number,
+      unitPrice: Number,
+      grossAmount: Number,
+      promoShare: Number,
+      shippingShare: Number,
+      amount: Number,
+    }],
+    reason: String,
+    notes: String,
+    initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    initiatedAt: { type: Date, default: Date.now },
+    processedAt: Date,
+    failureReason: String,
+    creditNoteSkipped: String, // Why the refunded lines got no GST credit note (e.g. no invoice)
+  }],
   exchange: {
     requestDate: Date,
     status: String,
@@ -228,6 +338,24 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: 0,
   },
+  // Part of promoDiscount that waived shipping (free_shipping codes)
+  promoShippingDiscount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Codeless offers applied at checkout (AutomaticDiscount), on top of promoDiscount
+  automaticDiscount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  automaticDiscounts: [{
+    _id: false,
+    discountId: { type: mongoose.Schema.Types.ObjectId, ref: 'AutomaticDiscount' },
+    name: String,
+    amount: { type: Number, min: 0 },
+  }],
   
   // 🆕 ENHANCED CART CALCULATION SUMMARY
   cart_calculation: {
@@ -423,4 +551,13 @@ const orderSchema = new mongoose.Schema({
   },
 });
 
+// Webhook lookups of refund.processed / refund.failed
+orderSchema.index({ 'refunds.razorpayRefundId': 1 }, { sparse: true });
+
+// Partner portal lists a vendor's orders, newest first
+orderSchema.index({ vendorId: 1, 'vendorFulfilment.status': 1, created_at: -1 });
+
+// Sales analytics scan paid orders by order date
+orderSchema.index({ payment_status: 1, created_at: -1 });
+
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
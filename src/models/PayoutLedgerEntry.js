@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// ==============================
+// Payout Ledger Entry Schema Definition
+// ==============================
+// What the store owes a partner (vendor), one entry per event: an accrual when an
+// allotted order is delivered, a reversal when returned items are refunded and manual
+// adjustments by finance. Reversals carry negative amounts, so a partner's balance is
+// the sum of the entries. Entries are settled by attaching them to a SettlementStatement.
+const amountsSchema = new Schema(
+  {
+    grossAmount: { type: Number, default: 0 }, // GST-inclusive amount paid for the goods
+    taxableValue: { type: Number, default: 0 },
+    commission: { type: Number, default: 0 },
+    commissionGst: { type: Number, default: 0 }, // GST on the commission, charged to the partner
+    tds: { type: Number, default: 0 }, // Income-tax TDS on e-commerce sales (section 194-O)
+    gstTcs: { type: Number, default: 0 }, // GST TCS (section 52), GST-registered partners only
+    netPayable: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const payoutLedgerEntrySchema = new Schema(
+  {
+    partner: { type: Schema.Types.ObjectId, ref: "Partner", required: true },
+    type: {
+      type: String,
+      enum: ["accrual", "reversal", "adjustment"],
+      required: true,
+    },
+
+    // Idempotency key, e.g. "order:<id>:accrual" or "order:<id>:refund:<refundEntryId>"
+    reference: { type: String, required: true, unique: true },
+
+    order: { type: Schema.Types.ObjectId, ref: "Order", default: null, index: true },
+    orderNumber: { type: String, default: null },
+    refundEntry: { type: Schema.Types.ObjectId, default: null }, // Order.refunds[]._id
+
+    // Partner's GSTIN when the entry was recorded (Partner.businessInfo.gstNumber)
+    gstNumber: { type: String, default: null },
+
+    lines: [
+      {
+        _id: false,
+        orderLine: { type: Schema.Types.ObjectId, default: null }, // Order.item_quantities[]._id
+        sku: String,
+        size: String,
+        quantity: Number,
+        category: { type: Schema.Types.ObjectId, ref: "Category", default: null },
+        commissionRule: { type: Schema.Types.ObjectId, ref: "CommissionRule", default: null },
+        commissionRate: Number,
+        hsnCode: String,
+        gstRate: Number, // Percent the goods were invoiced at; taxable value for GST TCS
+        grossAmount: Number,
+        commission: Number,
+      },
+    ],
+
+    amounts: { type: amountsSchema, default: () => ({}) },
+    notes: { type: String, default: null },
+
+    statement: { type: Schema.Types.ObjectId, ref: "SettlementStatement", default: null },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+payoutLedgerEntrySchema.index({ partner: 1, statement: 1, createdAt: 1 });
+payoutLedgerEntrySchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("PayoutLedgerEntry", payoutLedgerEntrySchema);
@@ -19,6 +19,16 @@ const pointsSchema = new Schema({
     default: 0,
     min: 0
   },
+  totalPointsExpired: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  totalPointsReversed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   balance: {
     type: Number,
     default: 0,
@@ -45,8 +55,47 @@ const pointsSchema = new Schema({
     },
     generationBasis: {
       type: String,
-      enum: ['purchase', 'referral', 'signup', 'review', 'admin_allocation', 'redemption'],
+      enum: ['purchase', 'first_purchase', 'referral', 'signup', 'review', 'admin_allocation', 'redemption', 'expiry', 'reversal'],
+      required: true
+    },
+    // Identifies the event a transaction came from (e.g. "order:<id>:purchase") so it is recorded once
+    reference: {
+      type: String,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  // Earned points still available, spent and expired oldest-expiry first.
+  // Kept in step with `balance` by the pre-save hook.
+  lots: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    remaining: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    generationBasis: {
+      type: String,
       required: true
+    },
+    reference: {
+      type: String,
+      default: null
+    },
+    earnedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      default: null // never expires
     }
   }],
   isActive: {
@@ -54,21 +103,55 @@ const pointsSchema = new Schema({
     default: true
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Documents are read, changed and saved whole: a save over a newer version fails
+  // (VersionError) instead of overwriting it. See pointsService.withUserPoints.
+  optimisticConcurrency: true
 });
 
 // Indexes for better query performance
 pointsSchema.index({ userId: 1, isActive: 1 });
 pointsSchema.index({ 'transactions.date': -1 });
+pointsSchema.index({ 'lots.expiresAt': 1 });
 
 // Virtual to calculate balance from transactions
 pointsSchema.virtual('calculatedBalance').get(function() {
-  return this.totalPointsAlloted - this.totalPointsRedeemed;
+  return this.totalPointsAlloted - this.totalPointsRedeemed - this.totalPointsExpired - this.totalPointsReversed;
 });
 
+// Lots in the order they are used up: soonest expiry first, non-expiring last
+const byExpiry = (a, b) => {
+  if (!a.expiresAt !== !b.expiresAt) return a.expiresAt ? -1 : 1;
+  return (a.expiresAt - b.expiresAt) || (a.earnedAt - b.earnedAt);
+};
+
+/**
+ * Bring the lots in line with the balance: spend the difference from the
+ * oldest lots, or record a non-expiring lot for points added without one
+ * (balances from before lots existed, admin adjustments).
+ */
+pointsSchema.methods.reconcileLots = function() {
+  const available = this.lots.reduce((sum, lot) => sum + lot.remaining, 0);
+
+  if (this.balance > available) {
+    const amount = this.balance - available;
+    this.lots.push({ amount, remaining: amount, generationBasis: 'admin_allocation', reference: 'opening_balance' });
+    return;
+  }
+
+  let toSpend = available - this.balance;
+  for (const lot of [...this.lots].sort(byExpiry)) {
+    if (toSpend <= 0) break;
+    const spent = Math.min(lot.remaining, toSpend);
+    lot.remaining -= spent;
+    toSpend -= spent;
+  }
+};
+
 // Pre-save middleware to update balance
 pointsSchema.pre('save', function(next) {
-  this.balance = this.totalPointsAlloted - this.totalPointsRedeemed;
+  this.balance = this.totalPointsAlloted - this.totalPointsRedeemed - this.totalPointsExpired - this.totalPointsReversed;
+  this.reconcileLots();
   next();
 });
 
@@ -91,15 +174,27 @@ pointsSchema.statics.getOrCreateUserPoints = async function(userId) {
 };
 
 // Instance method to add points
-pointsSchema.methods.addPoints = function(amount, description, generationBasis = 'admin_allocation') {
+// `options.expiresAt` starts the lot's expiry clock; `options.reference` ties it to its source event
+pointsSchema.methods.addPoints = function(amount, description, generationBasis = 'admin_allocation', options = {}) {
+  const { expiresAt = null, reference = null } = options;
+
   this.totalPointsAlloted += amount;
-  this.balance = this.totalPointsAlloted - this.totalPointsRedeemed;
+  this.balance += amount;
   
   this.transactions.push({
     type: 'credit',
     amount,
     description,
-    generationBasis
+    generationBasis,
+    reference,
+    expiresAt
+  });
+  this.lots.push({
+    amount,
+    remaining: amount,
+    generationBasis,
+    reference,
+    expiresAt
   });
   
   return this.save();
@@ -112,7 +207,7 @@ pointsSchema.methods.redeemPoints = function(amount, description) {
   }
   
   this.totalPointsRedeemed += amount;
-  this.balance = this.totalPointsAlloted - this.totalPointsRedeemed;
+  this.balance -= amount;
   
   this.transactions.push({
     type: 'debit',
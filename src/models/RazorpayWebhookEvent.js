@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// ==============================
+// Razorpay Webhook Event Schema Definition
+// ==============================
+// Raw server-to-server events received from Razorpay. The exact body is kept so
+// an event can be re-processed (replayed) after a bug fix or an outage, and the
+// unique eventId makes Razorpay's at-least-once delivery idempotent.
+const razorpayWebhookEventSchema = new Schema(
+  {
+    // X-Razorpay-Event-Id header (falls back to a hash of the body)
+    eventId: { type: String, required: true, unique: true },
+
+    // e.g. "payment.captured", "payment.failed", "refund.processed", "refund.failed", "order.paid"
+    event: { type: String, required: true, index: true },
+
+    // Entity ids extracted for lookup
+    razorpayOrderId: { type: String, default: null, index: true },
+    razorpayPaymentId: { type: String, default: null, index: true },
+    razorpayRefundId: { type: String, default: null },
+
+    rawBody: { type: String, required: true },
+    signature: { type: String, required: true },
+    payload: { type: Schema.Types.Mixed },
+
+    status: {
+      type: String,
+      enum: ["received", "processed", "ignored", "failed"],
+      default: "received",
+      index: true,
+    },
+
+    // Order the event was reconciled against, and what was done to it
+    order: { type: Schema.Types.ObjectId, ref: "Order", default: null },
+    result: { type: String, default: null },
+    error: { type: String, default: null },
+
+    // Number of processing attempts (Razorpay redeliveries + admin replays)
+    attempts: { type: Number, default: 0 },
+    deliveries: { type: Number, default: 1 },
+    processedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+razorpayWebhookEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("RazorpayWebhookEvent", razorpayWebhookEventSchema);
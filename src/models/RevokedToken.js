@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// ==============================
+// Revoked Token Schema Definition
+// ==============================
+// Revocation list checked by the auth middleware for every access token:
+// - token:   one access token (jti), e.g. on logout
+// - session: every access token of a session (sid), e.g. session revoked or reused
+// - user:    every token a user was issued before `revokedBefore`, e.g. "log out all devices"
+// Entries only need to outlive the tokens they cover and are removed after `expiresAt`.
+const revokedTokenSchema = new Schema(
+  {
+    type: { type: String, enum: ["token", "session", "user"], required: true },
+    key: { type: String, required: true }, // jti, session id or user id
+    userId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    revokedBefore: { type: Date, default: null }, // user entries only
+    reason: { type: String, default: null },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, versionKey: false }
+);
+
+revokedTokenSchema.index({ type: 1, key: 1 }, { unique: true });
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RevokedToken", revokedTokenSchema);
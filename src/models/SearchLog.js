@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// ==============================
+// Search Log Schema Definition
+// ==============================
+// One entry per storefront search (first page only). Popular and recent query
+// suggestions and the "did you mean" list are learned from these entries; they
+// are removed after SEARCH_LOG_RETENTION_DAYS (90 by default).
+const RETENTION_DAYS = parseInt(process.env.SEARCH_LOG_RETENTION_DAYS, 10) || 90;
+
+const searchLogSchema = new Schema(
+  {
+    query: { type: String, required: true, maxlength: 200 }, // As typed (trimmed)
+    normalized: { type: String, required: true }, // Search terms joined by spaces
+    resultsCount: { type: Number, default: 0 },
+    source: { type: String, enum: ["text", "voice"], default: "text" },
+    user: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    // Who searched, for counting shoppers rather than searches: "user:<id>" when signed
+    // in, else "visitor:<hash of IP and user agent>" (the IP itself is not kept)
+    searcher: { type: String, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, versionKey: false }
+);
+
+searchLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+searchLogSchema.index({ user: 1, createdAt: -1 }, { partialFilterExpression: { user: { $type: "objectId" } } });
+searchLogSchema.index({ normalized: 1, createdAt: -1 });
+
+module.exports = mongoose.model("SearchLog", searchLogSchema);
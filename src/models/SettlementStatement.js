@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// ==============================
+// Settlement Statement Schema Definition
+// ==============================
+// Periodic payout statement for one partner: every unsettled PayoutLedgerEntry up to
+// the end of the period, with the commission, TDS and GST TCS withheld and the net
+// amount to transfer. Numbered per financial year (YPS/25-26/00001). A draft can be
+// discarded (its entries go back to unsettled); finalised statements are only paid.
+const statementSchema = new Schema(
+  {
+    statementNumber: { type: String, required: true, unique: true },
+    financialYear: { type: String, required: true },
+    sequence: { type: Number, required: true },
+
+    partner: { type: Schema.Types.ObjectId, ref: "Partner", required: true, index: true },
+    // Partner details as printed on the statement
+    partnerDetails: {
+      name: String,
+      partnerId: String,
+      businessName: String,
+      gstNumber: String,
+      email: String,
+      state: String,
+    },
+
+    periodStart: { type: Date, default: null }, // Oldest entry included (unsettled entries carry over)
+    periodEnd: { type: Date, required: true },
+
+    entryCount: { type: Number, default: 0 },
+    totals: {
+      accruals: { type: Number, default: 0 },
+      reversals: { type: Number, default: 0 },
+      adjustments: { type: Number, default: 0 },
+      grossAmount: { type: Number, default: 0 },
+      taxableValue: { type: Number, default: 0 },
+      commission: { type: Number, default: 0 },
+      commissionGst: { type: Number, default: 0 },
+      tds: { type: Number, default: 0 },
+      gstTcs: { type: Number, default: 0 },
+      netPayable: { type: Number, default: 0 },
+    },
+    // Rates the amounts were worked out with
+    rates: {
+      commissionGstPercent: Number,
+      tdsPercent: Number,
+      gstTcsPercent: Number,
+    },
+
+    status: {
+      type: String,
+      enum: ["draft", "finalized", "paid"],
+      default: "draft",
+      index: true,
+    },
+    generatedBy: { type: Schema.Types.ObjectId, ref: "User", default: null }, // null when scheduled
+    finalizedAt: { type: Date, default: null },
+    finalizedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    paidAt: { type: Date, default: null },
+    paidBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    paymentReference: { type: String, default: null }, // Bank UTR / transfer id
+    notes: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+statementSchema.index({ partner: 1, periodEnd: -1 });
+statementSchema.index({ financialYear: 1, sequence: -1 });
+
+module.exports = mongoose.model("SettlementStatement", statementSchema);
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+const { CHAT_CATEGORIES } = require("../config/chatSupport");
+
+// ==============================
+// Support Agent Schema Definition
+// ==============================
+// Chat routing profile of an admin who answers support chats. New sessions are
+// auto-assigned to online agents with a matching skill and free capacity; agents
+// without skills take any category.
+const supportAgentSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    skills: { type: [{ type: String, enum: CHAT_CATEGORIES }], default: [] },
+    maxConcurrentChats: { type: Number, default: 5, min: 1, max: 50 },
+    status: { type: String, enum: ["online", "away", "offline"], default: "offline" },
+    statusChangedAt: { type: Date, default: null },
+    lastAssignedAt: { type: Date, default: null }, // spreads new chats between equally loaded agents
+    isActive: { type: Boolean, default: true }, // excluded from routing when false
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+supportAgentSchema.index({ status: 1, isActive: 1 });
+
+module.exports = mongoose.model("SupportAgent", supportAgentSchema);
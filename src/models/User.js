@@ -33,6 +33,10 @@ const userSchema = new Schema({
     type: Boolean,
     default: false, // Admin flag for backend access or special permissions
   },
+  adminRoles: {
+    type: [String], // AdminRole keys; what an admin may do in the admin panel
+    default: [],
+  },
   isProfile: {
     type: Boolean,
     default: false, // Whether the user has completed their profile
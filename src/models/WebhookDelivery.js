@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// ==============================
+// Webhook Delivery Schema Definition
+// ==============================
+// One document per event delivered to one webhook endpoint. Every HTTP attempt
+// (including retries) is appended to `attempts`, so the admin panel can show
+// exactly what was sent and what the receiver answered.
+const webhookDeliverySchema = new Schema(
+  {
+    // Settings document that owns the endpoint (webhooks live under Settings.webhooks.endpoints)
+    settingsId: { type: Schema.Types.ObjectId, ref: "Settings", required: true },
+
+    // _id of the endpoint inside Settings.webhooks.endpoints
+    webhookId: { type: String, required: true, index: true },
+
+    // Event name, e.g. "order.created", "shipment.awb_assigned"
+    event: { type: String, required: true, index: true },
+
+    // Exact JSON body that was signed and sent
+    payload: { type: Schema.Types.Mixed, required: true },
+    payloadSize: { type: Number, default: 0 },
+
+    url: { type: String, required: true },
+    method: { type: String, default: "POST" },
+
+    status: {
+      type: String,
+      enum: ["pending", "retrying", "success", "failed"],
+      default: "pending",
+      index: true,
+    },
+
+    attemptCount: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    nextRetryAt: { type: Date, default: null },
+
+    // Result of the latest attempt (duplicated from attempts for cheap list queries)
+    responseCode: { type: Number, default: null },
+    duration: { type: Number, default: null }, // milliseconds
+    lastError: { type: String, default: null },
+    completedAt: { type: Date, default: null },
+
+    attempts: [
+      {
+        attempt: { type: Number, required: true },
+        timestamp: { type: Date, default: Date.now },
+        responseCode: { type: Number, default: null },
+        responseBody: { type: String, default: null }, // truncated
+        duration: { type: Number, default: null },
+        error: { type: String, default: null },
+      },
+    ],
+
+    // True for deliveries triggered from POST /:webhookId/test
+    isTest: { type: Boolean, default: false },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Indexes for the logs/stats routes and the retry sweeper
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextRetryAt: 1 });
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
@@ -14,6 +14,14 @@ const {
   // Vendor Management
   adminGetAvailableVendors,
   adminAllotVendor,
+
+  // Inventory
+  adminGetInventoryHolds,
+
+  // Refunds
+  adminGetRefundQuote,
+  adminRefundOrder,
+  adminGetOrderRefunds,
   
   // Courier Management
   adminUpdateCourierStatus,
@@ -48,6 +56,8 @@ const {
 } = require("../controllers/paymentController/OrderController");
 
 const { verifyToken } = require("../middleware/VerifyToken");
+const { requirePermission } = require("../middleware/RequirePermission");
+const { auditEntity } = require("../middleware/AuditTrail");
 const multer = require("multer");
 
 // Initialize an Express router instance
@@ -63,10 +73,10 @@ const upload = multer({
 // ===== ADMIN ORDER MANAGEMENT ROUTES =====
 
 // GET /api/admin/orders - Get all orders with filters
-router.get("/orders", verifyToken, adminGetAllOrders);
+router.get("/orders", verifyToken, requirePermission("orders.read"), adminGetAllOrders);
 
 // GET /api/admin/orders/statistics - Get order statistics
-router.get("/orders/statistics", verifyToken, adminGetOrderStatistics);
+router.get("/orders/statistics", verifyToken, requirePermission("orders.read"), adminGetOrderStatistics);
 
 // GET /api/admin/orders/status-options - Get available status options (removed - function doesn't exist)
 // router.get("/orders/status-options", verifyToken, getStatusOptions);
@@ -100,7 +110,7 @@ router.get("/delivery-options/:country", (req, res) => {
 // GET /api/admin/orders/shiprocket-stats - Get Shiprocket statistics
 
 // GET /api/admin/orders/shipping-status-options - Get available shipping status options
-router.get("/orders/shipping-status-options", verifyToken, (req, res) => {
+router.get("/orders/shipping-status-options", verifyToken, requirePermission("orders.read"), (req, res) => {
   res.json({
     success: true,
     shippingStatusOptions: ['PENDING', 'PROCESSING', 'SHIPPED', 'RETRYING', 'FAILED', 'AWB_FAILED', 'In Transit', 'Delivered', 'Cancelled']
@@ -108,101 +118,116 @@ router.get("/orders/shipping-status-options", verifyToken, (req, res) => {
 });
 
 // GET /api/admin/orders/:orderId - Get single order by ID
-router.get("/orders/:orderId", verifyToken, adminGetOrderById);
+router.get("/orders/:orderId", verifyToken, requirePermission("orders.read"), adminGetOrderById);
 
 // PUT /api/admin/orders/:orderId/status - Update order status
-router.put("/orders/:orderId/status", verifyToken, adminUpdateOrderStatus);
+router.put("/orders/:orderId/status", verifyToken, requirePermission("orders.update"), auditEntity("Order", "orderId"), adminUpdateOrderStatus);
 
 // PUT /api/admin/orders/:orderId/accept - Accept order
-router.put("/orders/:orderId/accept", verifyToken, adminAcceptOrder);
+router.put("/orders/:orderId/accept", verifyToken, requirePermission("orders.update"), auditEntity("Order", "orderId"), adminAcceptOrder);
 
 // PUT /api/admin/orders/:orderId/reject - Reject order
-router.put("/orders/:orderId/reject", verifyToken, adminRejectOrder);
+router.put("/orders/:orderId/reject", verifyToken, requirePermission("orders.update"), auditEntity("Order", "orderId"), adminRejectOrder);
 
 // PUT /api/admin/orders/:orderId/vendor - Allot vendor to order
-router.put("/orders/:orderId/vendor", verifyToken, adminAllotVendor);
+router.put("/orders/:orderId/vendor", verifyToken, requirePermission("orders.fulfil"), auditEntity("Order", "orderId"), adminAllotVendor);
 
 // PUT /api/admin/orders/:orderId/courier - Update courier status
-router.put("/orders/:orderId/courier", verifyToken, adminUpdateCourierStatus);
+router.put("/orders/:orderId/courier", verifyToken, requirePermission("orders.fulfil"), auditEntity("Order", "orderId"), adminUpdateCourierStatus);
 
 // PUT /api/admin/orders/:orderId/cancel - Cancel order with refund
-router.put("/orders/:orderId/cancel", verifyToken, adminCancelOrder);
+router.put("/orders/:orderId/cancel", verifyToken, requirePermission("orders.update"), auditEntity("Order", "orderId"), adminCancelOrder);
+
+// GET /api/admin/orders/:orderId/refunds - Refund history and refundable balance per line
+router.get("/orders/:orderId/refunds", verifyToken, requirePermission("orders.refund"), adminGetOrderRefunds);
+
+// POST /api/admin/orders/:orderId/refunds/quote - Preview a refund without issuing it
+router.post("/orders/:orderId/refunds/quote", verifyToken, requirePermission("orders.refund"), adminGetRefundQuote);
+
+// POST /api/admin/orders/:orderId/refunds - Refund through Razorpay
+// Body: { full: true } | { lines: [{ lineId | sku, quantity }] } | { amount }, plus includeShipping, reason, notes
+router.post("/orders/:orderId/refunds", verifyToken, requirePermission("orders.refund"), auditEntity("Order", "orderId"), adminRefundOrder);
 
 // POST /api/admin/orders/bulk-update - Bulk update orders
-router.post("/orders/bulk-update", verifyToken, adminBulkUpdateOrders);
+router.post("/orders/bulk-update", verifyToken, requirePermission("orders.update"), adminBulkUpdateOrders);
 
 // ===== ADMIN DISPATCH MANAGEMENT ROUTES - NEW =====
 
 // POST /api/admin/orders/:orderId/dispatch - Dispatch order
-router.post("/orders/:orderId/dispatch", verifyToken, adminDispatchOrder);
+router.post("/orders/:orderId/dispatch", verifyToken, requirePermission("orders.fulfil"), auditEntity("Order", "orderId"), adminDispatchOrder);
 
 // GET /api/admin/dispatch-options - Get dispatch options (courier partners)
-router.get("/dispatch-options", verifyToken, adminGetDispatchOptions);
+router.get("/dispatch-options", verifyToken, requirePermission("orders.fulfil"), adminGetDispatchOptions);
 
 // ===== SHIPROCKET INTEGRATION ROUTES =====
 
 // POST /api/admin/orders/:orderId/create-shiprocket-order - Create Shiprocket order
-router.post("/orders/:orderId/create-shiprocket-order", verifyToken, createShiprocketOrder);
+router.post("/orders/:orderId/create-shiprocket-order", verifyToken, requirePermission("orders.fulfil"), auditEntity("Order", "orderId"), createShiprocketOrder);
 
 // POST /api/admin/orders/:orderId/shipment - Create shipment
-router.post("/orders/:orderId/shipment", verifyToken, createShipment);
+router.post("/orders/:orderId/shipment", verifyToken, requirePermission("orders.fulfil"), auditEntity("Order", "orderId"), createShipment);
 
 // GET /api/admin/orders/:orderId/track - Track shipment
-router.get("/orders/:orderId/track", verifyToken, trackShipmentByOrderId);
+router.get("/orders/:orderId/track", verifyToken, requirePermission("orders.read"), trackShipmentByOrderId);
 
 // POST /api/admin/orders/:orderId/awb - Generate AWB
-router.post("/orders/:orderId/awb", verifyToken, generateAWB);
+router.post("/orders/:orderId/awb", verifyToken, requirePermission("orders.fulfil"), auditEntity("Order", "orderId"), generateAWB);
 
 // GET /api/admin/orders/:orderId/label - Get shipping label
-router.get("/orders/:orderId/label", verifyToken, getShippingLabel);
+router.get("/orders/:orderId/label", verifyToken, requirePermission("orders.fulfil"), getShippingLabel);
 
 // GET /api/admin/orders/:orderId/couriers - Get available couriers
-router.get("/orders/:orderId/couriers", verifyToken, getAvailableCouriers);
+router.get("/orders/:orderId/couriers", verifyToken, requirePermission("orders.fulfil"), getAvailableCouriers);
 
 // GET /api/admin/orders/:orderId/rates - Get shipping rates
-router.get("/orders/:orderId/rates", verifyToken, getShippingRates);
+router.get("/orders/:orderId/rates", verifyToken, requirePermission("orders.fulfil"), getShippingRates);
 
 // GET /api/admin/pickup-locations - Get pickup locations
-router.get("/pickup-locations", verifyToken, getPickupLocations);
+router.get("/pickup-locations", verifyToken, requirePermission("orders.fulfil"), getPickupLocations);
 
 // POST /api/admin/orders/:orderId/cancel-shipment - Cancel shipment
-router.post("/orders/:orderId/cancel-shipment", verifyToken, cancelShipment);
+router.post("/orders/:orderId/cancel-shipment", verifyToken, requirePermission("orders.fulfil"), auditEntity("Order", "orderId"), cancelShipment);
 
 // POST /api/admin/orders/:orderId/assign-courier - Assign specific courier
-router.post("/orders/:orderId/assign-courier", verifyToken, assignCourierToOrder);
+router.post("/orders/:orderId/assign-courier", verifyToken, requirePermission("orders.fulfil"), auditEntity("Order", "orderId"), assignCourierToOrder);
 
 // POST /api/admin/orders/bulk-create-shipments - Bulk create shipments
-router.post("/orders/bulk-create-shipments", verifyToken, bulkCreateShipments);
+router.post("/orders/bulk-create-shipments", verifyToken, requirePermission("orders.fulfil"), bulkCreateShipments);
 
 // GET /api/admin/shiprocket/wallet-balance - Get Shiprocket wallet balance
-router.get("/shiprocket/wallet-balance", verifyToken, getShiprocketWalletBalance);
+router.get("/shiprocket/wallet-balance", verifyToken, requirePermission("orders.fulfil"), getShiprocketWalletBalance);
 
 // ===== VENDOR MANAGEMENT ROUTES =====
 
 // GET /api/admin/vendors - Get all vendors
-router.get("/vendors", verifyToken, adminGetAvailableVendors);
+router.get("/vendors", verifyToken, requirePermission("orders.fulfil"), adminGetAvailableVendors);
+
+// ===== INVENTORY ROUTES =====
+
+// GET /api/admin/inventory/holds?sku=&itemId= - Stock currently held by unpaid checkouts, per SKU
+router.get("/inventory/holds", verifyToken, requirePermission("catalog.read"), adminGetInventoryHolds);
 
 // ===== RETURN MANAGEMENT ROUTES =====
 
 // GET /api/admin/returns - Get all returns
-router.get("/returns", verifyToken, adminGetReturnRequests);
+router.get("/returns", verifyToken, requirePermission("orders.read"), adminGetReturnRequests);
 
 // GET /api/admin/returns/stats - Get return statistics
-router.get("/returns/stats", verifyToken, adminGetReturnStats);
+router.get("/returns/stats", verifyToken, requirePermission("orders.read"), adminGetReturnStats);
 
 // PUT /api/admin/returns/:returnId/process - Process return request
-router.put("/returns/:returnId/process", verifyToken, upload, adminProcessReturnRequest);
+router.put("/returns/:returnId/process", verifyToken, requirePermission("orders.returns"), auditEntity("Order", "returnId"), upload, adminProcessReturnRequest);
 
 // ===== EXCHANGE MANAGEMENT ROUTES =====
 
 // GET /api/admin/exchanges - Get all exchanges
-router.get("/exchanges", verifyToken, adminGetExchangeRequests);
+router.get("/exchanges", verifyToken, requirePermission("orders.read"), adminGetExchangeRequests);
 
 // GET /api/admin/exchanges/stats - Get exchange statistics
-router.get("/exchanges/stats", verifyToken, adminGetExchangeStats);
+router.get("/exchanges/stats", verifyToken, requirePermission("orders.read"), adminGetExchangeStats);
 
 // PUT /api/admin/exchanges/:exchangeId/process - Process exchange request
-router.put("/exchanges/:exchangeId/process", verifyToken, upload, adminProcessExchangeRequest);
+router.put("/exchanges/:exchangeId/process", verifyToken, requirePermission("orders.returns"), upload, adminProcessExchangeRequest);
 
 // Export the router for use in the main Express app
 module.exports = router;
@@ -18,8 +18,21 @@ const {
   getTechnologyAnalytics
 } = require('../controllers/analyticsController/AnalyticsController');
 
+// First-party sales analytics (computed from our own orders, carts and users)
+const {
+  getSalesSummary,
+  getRevenueOverTime,
+  getRevenueByCategory,
+  getSkuSales,
+  getRepeatPurchaseRate,
+  getCohortRetention,
+  getConversionFunnel
+} = require('../controllers/analyticsController/SalesAnalyticsController');
+
 // Authentication middleware
 const { isAuthenticated } = require('../middleware/authMiddleware');
+const { verifyToken } = require('../middleware/VerifyToken');
+const { requirePermission } = require('../middleware/RequirePermission');
 
 // Real-time Analytics Endpoints (no auth required for real-time data)
 router.get('/realtime', getRealTimeAnalytics);
@@ -51,4 +64,14 @@ router.get('/technology', isAuthenticated, getTechnologyAnalytics);
 // Events Analytics Endpoints (redirect to behavior/events for backward compatibility)
 router.get('/events', isAuthenticated, getEventAnalytics);
 
+// Sales Analytics Endpoints (admin only)
+// Common query: from, to (YYYY-MM-DD, IST), compare (previous|year|none)
+router.get('/sales/summary', verifyToken, requirePermission('finance.reports'), getSalesSummary);
+router.get('/sales/revenue', verifyToken, requirePermission('finance.reports'), getRevenueOverTime); // granularity=day|week|month
+router.get('/sales/categories', verifyToken, requirePermission('finance.reports'), getRevenueByCategory); // groupBy=category|subcategory
+router.get('/sales/skus', verifyToken, requirePermission('finance.reports'), getSkuSales); // limit, sortBy=units|sales
+router.get('/sales/repeat-purchase', verifyToken, requirePermission('finance.reports'), getRepeatPurchaseRate);
+router.get('/sales/cohorts', verifyToken, requirePermission('finance.reports'), getCohortRetention);
+router.get('/sales/funnel', verifyToken, requirePermission('finance.reports'), getConversionFunnel);
+
 module.exports = router;
@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const AuditController = require("../controllers/adminController/AuditController");
+const { verifyToken } = require("../middleware/VerifyToken");
+const { requirePermission } = require("../middleware/RequirePermission");
+
+router.use(verifyToken, requirePermission("audit.read"));
+
+// GET /api/admin/audit?actorId&entityType&entityId&method&operation&success&from&to&q&page&limit - Search admin changes
+router.get("/", AuditController.searchAuditLogs);
+
+// GET /api/admin/audit/export?format=csv|xlsx&<search filters> - Download the audit log
+router.get("/export", AuditController.exportAuditLogs);
+
+// GET /api/admin/audit/:entityType/:entityId?page&limit - History of one entity, e.g. /Order/:orderId
+router.get("/:entityType/:entityId", AuditController.getEntityHistory);
+
+module.exports = router;
@@ -19,6 +19,7 @@ const {
   linkAuthProvider,
   getLinkedProviders,
 } = require("../controllers/authController/AuthController"); // Authentication controller functions
+const SessionController = require("../controllers/authController/SessionController"); // Signed-in devices
 
 // Import admin setup service for admin management routes
 const adminSetupService = require("../services/adminSetupService");
@@ -92,8 +93,21 @@ authRouter
   .get("/totalUsersCount", verifyToken, getTotalUserCount)
 
   // POST /api/auth/refresh-token
-  // Refreshes JWT token using current valid token (protected by JWT verification)
-  .post("/refresh-token", verifyToken, refreshToken)
+  // Exchanges { refreshToken } for a new access token and rotated refresh token; without a
+  // refresh token, a still-valid access token gets a new access token for its session
+  .post("/refresh-token", optionalVerifyToken, refreshToken)
+
+  // GET /api/auth/sessions
+  // Lists the user's signed-in devices (protected by JWT verification)
+  .get("/sessions", verifyToken, SessionController.getMySessions)
+
+  // DELETE /api/auth/sessions/:sessionId
+  // Signs out one of the user's devices (protected by JWT verification)
+  .delete("/sessions/:sessionId", verifyToken, SessionController.revokeMySession)
+
+  // POST /api/auth/logout-all
+  // Logs the user out of every device, including this one (protected by JWT verification)
+  .post("/logout-all", verifyToken, SessionController.logoutAllDevices)
 
   // GET /api/auth/logout
   // Handles user logout (e.g., clears tokens or sessions) - Optional auth allows unauthenticated logout
@@ -16,9 +16,15 @@ const {
     trackBannerConversion,
     bulkUpdateBanners
 } = require("../controllers/bannerController/bannerController");
+const { verifyToken } = require("../middleware/VerifyToken");
+const { requirePermission } = require("../middleware/RequirePermission");
+const { auditEntity } = require("../middleware/AuditTrail");
 
 const router = express.Router();
 
+// Banner management is for admins with the campaigns permission
+const canManageBanners = [verifyToken, requirePermission("marketing.campaigns")];
+
 // Validation middleware for banner creation and updates
 const bannerValidationRules = [
     body('title')
@@ -177,14 +183,14 @@ const idValidationRule = param('id')
  * @desc    Create a new banner
  * @access  Private (Admin)
  */
-router.post("/", bannerValidationRules, createBanner);
+router.post("/", canManageBanners, auditEntity("Banner"), bannerValidationRules, createBanner);
 
 /**
  * @route   GET /api/banners
  * @desc    Get all banners with filtering, sorting, and pagination
  * @access  Private (Admin)
  */
-router.get("/", queryValidationRules, getAllBanners);
+router.get("/", canManageBanners, queryValidationRules, getAllBanners);
 
 /**
  * @route   GET /api/banners/active
@@ -210,42 +216,42 @@ router.get("/active",
  * @desc    Get banner by ID
  * @access  Private (Admin)
  */
-router.get("/:id", idValidationRule, getBannerById);
+router.get("/:id", canManageBanners, idValidationRule, getBannerById);
 
 /**
  * @route   PUT /api/banners/:id
  * @desc    Update banner
  * @access  Private (Admin)
  */
-router.put("/:id", [idValidationRule, ...bannerValidationRules], updateBanner);
+router.put("/:id", canManageBanners, auditEntity("Banner", "id"), [idValidationRule, ...bannerValidationRules], updateBanner);
 
 /**
  * @route   DELETE /api/banners/:id
  * @desc    Soft delete banner
  * @access  Private (Admin)
  */
-router.delete("/:id", idValidationRule, deleteBanner);
+router.delete("/:id", canManageBanners, auditEntity("Banner", "id"), idValidationRule, deleteBanner);
 
 /**
  * @route   DELETE /api/banners/:id/permanent
  * @desc    Permanently delete banner
  * @access  Private (Super Admin)
  */
-router.delete("/:id/permanent", idValidationRule, permanentDeleteBanner);
+router.delete("/:id/permanent", canManageBanners, auditEntity("Banner", "id"), idValidationRule, permanentDeleteBanner);
 
 /**
  * @route   PATCH /api/banners/:id/publish
  * @desc    Publish banner
  * @access  Private (Admin)
  */
-router.patch("/:id/publish", idValidationRule, publishBanner);
+router.patch("/:id/publish", canManageBanners, auditEntity("Banner", "id"), idValidationRule, publishBanner);
 
 /**
  * @route   PATCH /api/banners/:id/unpublish
  * @desc    Unpublish banner
  * @access  Private (Admin)
  */
-router.patch("/:id/unpublish", idValidationRule, unpublishBanner);
+router.patch("/:id/unpublish", canManageBanners, auditEntity("Banner", "id"), idValidationRule, unpublishBanner);
 
 /**
  * @route   PATCH /api/banners/priorities
@@ -253,6 +259,7 @@ router.patch("/:id/unpublish", idValidationRule, unpublishBanner);
  * @access  Private (Admin)
  */
 router.patch("/priorities", 
+    canManageBanners,
     [
         body('priorities')
             .isArray({ min: 1 })
@@ -273,6 +280,7 @@ router.patch("/priorities",
  * @access  Private (Admin)
  */
 router.get("/:id/analytics", 
+    canManageBanners,
     [
         idValidationRule,
         query('startDate')
@@ -307,6 +315,7 @@ router.post("/:id/conversion", idValidationRule, trackBannerConversion);
  * @access  Private (Admin)
  */
 router.patch("/bulk-update",
+    canManageBanners,
     [
         body('bannerIds')
             .isArray({ min: 1 })
@@ -2,8 +2,10 @@ const express = require("express");
 const router = express.Router();
 const multer = require("multer");
 const { verifyToken } = require("../middleware/VerifyToken");
-const checkAdminRole = require("../middleware/CheckAdminRole");
+const { requirePermission } = require("../middleware/RequirePermission");
 const itemBulkUploadController = require("../controllers/bulkUpload/BulkUpload");
+const catalogImportController = require("../controllers/bulkUpload/CatalogImportController");
+const catalogExportController = require("../controllers/bulkUpload/CatalogExportController");
 
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -17,7 +19,7 @@ const upload = multer({
 router.post(
   "/bulk-upload",
   verifyToken,
-  checkAdminRole,
+  requirePermission("catalog.write"),
   upload,
   itemBulkUploadController.bulkUploadItems
 );
@@ -25,9 +27,39 @@ router.post(
 router.post(
   "/item-details/bulk-upload",
   verifyToken,
-  checkAdminRole,
+  requirePermission("catalog.write"),
   upload,
   itemBulkUploadController.bulkUploadItemDetails
 );
 
+// ---------- Spreadsheet catalog import ----------
+
+const spreadsheetUpload = multer({
+  storage: storage,
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+}).single("file");
+
+// GET /api/bulkUpload/catalog/template?format=csv|xlsx - Import template
+router.get("/catalog/template", verifyToken, requirePermission("catalog.write"), catalogImportController.downloadTemplate);
+
+// GET /api/bulkUpload/catalog/fields - Import fields and the headers they are recognised by
+router.get("/catalog/fields", verifyToken, requirePermission("catalog.write"), catalogImportController.getImportFields);
+
+// POST /api/bulkUpload/catalog/import (multipart: file, dryRun=true|false, mapping={"<header>":"<field>"}, background) - Create or update products
+router.post("/catalog/import", verifyToken, requirePermission("catalog.write"), spreadsheetUpload, catalogImportController.importCatalog);
+
+// GET /api/bulkUpload/catalog/imports?status&page&limit - Recent imports
+router.get("/catalog/imports", verifyToken, requirePermission("catalog.write"), catalogImportController.listImports);
+
+// GET /api/bulkUpload/catalog/imports/:importId?action=create|update|unchanged|error&page&limit - Import status and row results
+router.get("/catalog/imports/:importId", verifyToken, requirePermission("catalog.write"), catalogImportController.getImport);
+
+// ---------- Catalog export and product feeds ----------
+
+// GET /api/bulkUpload/catalog/export?format=csv|xlsx&status=live,draft|all&category&subCategory&inStock - Catalog spreadsheet, one row per size
+router.get("/catalog/export", verifyToken, requirePermission("catalog.read"), catalogExportController.exportCatalog);
+
+// GET /api/bulkUpload/catalog/feed/:channel?token - Product feed XML (channel: google|meta); public unless CATALOG_FEED_TOKEN is set
+router.get("/catalog/feed/:channel", catalogExportController.getProductFeed);
+
 module.exports = router;
\ No newline at end of file
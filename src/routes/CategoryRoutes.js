@@ -7,7 +7,8 @@ const mongoose = require("mongoose"); // Mongoose for MongoDB operations
 const Category = require("../models/Category"); // Mongoose model for Category collection
 const { ApiResponse } = require("../utils/ApiResponse"); // Utility to standardize API responses
 const { verifyToken } = require("../middleware/VerifyToken"); // Middleware to verify JWT tokens
-const checkAdminRole = require("../middleware/CheckAdminRole"); // Middleware to restrict access to admins
+const { requirePermission } = require("../middleware/RequirePermission"); // Middleware to restrict access by admin role
+const { auditEntity } = require("../middleware/AuditTrail"); // Middleware to record admin changes in the audit log
 const { cache, clearCache } = require("../middleware/cache"); // Redis caching middleware
 
 // Initialize an Express router instance
@@ -46,7 +47,8 @@ CategoryRouter.get("/sale", (req, res) => {
 CategoryRouter.post(
   "/",
   verifyToken, // Ensure user is authenticated
-  checkAdminRole, // Ensure user has admin role
+  requirePermission("catalog.write"), // Ensure the admin may edit the catalog
+  auditEntity("Category"), // Record the new category in the audit log
   upload.single("image"), // Handle single file upload (field name: "image")
   async (req, res) => {
     try {
@@ -138,7 +140,8 @@ CategoryRouter.get("/:id", categoryController.getCategoryById);
 CategoryRouter.put(
   "/:id",
   verifyToken, // Ensure user is authenticated
-  checkAdminRole, // Ensure user has admin role
+  requirePermission("catalog.write"), // Ensure the admin may edit the catalog
+  auditEntity("Category", "id"), // Record the before/after diff in the audit log
   upload.single("image"), // Handle single file upload (field name: "image")
   async (req, res) => {
     try {
@@ -196,7 +199,8 @@ CategoryRouter.put(
 CategoryRouter.delete(
   "/:id",
   verifyToken,
-  checkAdminRole,
+  requirePermission("catalog.delete"),
+  auditEntity("Category", "id"),
   categoryController.deleteCategory
 );
 
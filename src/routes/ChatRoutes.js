@@ -1,7 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const chatController = require('../controllers/chatController/chatController');
-const { verifyFirebaseToken, verifyToken, isAdmin, optionalFirebaseToken } = require('../middleware/firebaseAuth');
+const { verifyFirebaseToken, verifyToken, optionalFirebaseToken } = require('../middleware/firebaseAuth');
+const { requirePermission } = require('../middleware/RequirePermission');
+const { auditEntity, skipAudit } = require('../middleware/AuditTrail');
+
+// EventSource cannot set headers, so event streams also accept the bearer token as ?token=.
+// It is moved into the Authorization header for the usual auth middleware and masked in the
+// URL that ends up in the access log.
+const streamToken = (req, res, next) => {
+  const { token } = req.query;
+  if (token && !req.headers.authorization) {
+    req.headers.authorization = `Bearer ${token}`;
+  }
+  if (token) {
+    req.originalUrl = req.originalUrl.replace(/([?&]token=)[^&]*/, '$1[redacted]');
+  }
+  next();
+};
 
 // ---------- CHAT SESSION ROUTES ----------
 
@@ -25,12 +41,21 @@ router.post('/message', verifyFirebaseToken, chatController.sendMessage);
 // Get chat messages for a session (Firebase authenticated users only)
 router.get('/messages/:sessionId', verifyFirebaseToken, chatController.getChatMessages);
 
-// Poll for new messages (Firebase authenticated users only)
+// Poll for new messages - fallback when the event stream is unavailable (Firebase authenticated users only)
 router.get('/poll/:sessionId', verifyFirebaseToken, chatController.pollForMessages);
 
+// Real-time event stream for a session: messages, typing, receipts, session events (Firebase authenticated users only)
+router.get('/stream/:sessionId', streamToken, verifyFirebaseToken, chatController.streamChatSession);
+
+// Send typing indicator (Firebase authenticated users only)
+router.post('/typing/:sessionId', verifyFirebaseToken, chatController.sendTypingIndicator);
+
 // Mark messages as read (Firebase authenticated users only)
 router.patch('/messages/:sessionId/read', verifyFirebaseToken, chatController.markMessagesAsRead);
 
+// Link one of the user's orders to their chat (Firebase authenticated users only)
+router.post('/session/:sessionId/orders', verifyFirebaseToken, chatController.linkMyOrder);
+
 // ---------- CHAT RATING ROUTES ----------
 
 // Submit chat rating (optional authentication - works for both authenticated and guest users)
@@ -41,41 +66,105 @@ router.get('/rating/:sessionId', verifyFirebaseToken, chatController.getRating);
 
 // ---------- ADMIN ROUTES ----------
 
+// Real-time event stream for all sessions (admin only - hybrid auth for admin panel)
+router.get('/admin/stream', streamToken, verifyToken, requirePermission('support.chat'), chatController.streamAdminEvents);
+
 // Get all active chat sessions (admin only - hybrid auth for admin panel)
-router.get('/admin/active-sessions', verifyToken, isAdmin, chatController.getActiveSessions);
+router.get('/admin/active-sessions', verifyToken, requirePermission('support.chat'), chatController.getActiveSessions);
 
 // Get all chat sessions with filtering (admin only - hybrid auth for admin panel)
-router.get('/admin/sessions', verifyToken, isAdmin, chatController.getAllSessions);
+router.get('/admin/sessions', verifyToken, requirePermission('support.chat'), chatController.getAllSessions);
 
 // Get specific session details (admin only - hybrid auth for admin panel)
-router.get('/admin/session/:sessionId', verifyToken, isAdmin, chatController.getAdminSessionDetails);
+router.get('/admin/session/:sessionId', verifyToken, requirePermission('support.chat'), chatController.getAdminSessionDetails);
 
 // Send admin message (admin only - hybrid auth for admin panel)
-router.post('/admin/message', verifyToken, isAdmin, chatController.sendAdminMessage);
+router.post('/admin/message', verifyToken, requirePermission('support.chat'), chatController.sendAdminMessage);
+
+// Send typing indicator as admin (admin only - hybrid auth for admin panel)
+router.post('/admin/session/:sessionId/typing', verifyToken, skipAudit, requirePermission('support.chat'), chatController.sendAdminTypingIndicator);
+
+// Mark customer messages as read (admin only - hybrid auth for admin panel)
+router.patch('/admin/messages/:sessionId/read', verifyToken, skipAudit, requirePermission('support.chat'), chatController.markMessagesAsReadByAdmin);
 
 // End session as admin (admin only - hybrid auth for admin panel)
-router.post('/admin/session/:sessionId/end', verifyToken, isAdmin, chatController.endSessionAsAdmin);
+router.post('/admin/session/:sessionId/end', verifyToken, requirePermission('support.chat'), chatController.endSessionAsAdmin);
 
 // Assign session to admin (admin only - hybrid auth for admin panel)
-router.post('/admin/session/:sessionId/assign', verifyToken, isAdmin, chatController.assignSession);
+router.post('/admin/session/:sessionId/assign', verifyToken, requirePermission('support.chat'), chatController.assignSession);
 
 // Add session tags (admin only - hybrid auth for admin panel)
-router.post('/admin/session/:sessionId/tags', verifyToken, isAdmin, chatController.addSessionTags);
+router.post('/admin/session/:sessionId/tags', verifyToken, requirePermission('support.chat'), chatController.addSessionTags);
 
 // Escalate session (admin only - hybrid auth for admin panel)
-router.post('/admin/session/:sessionId/escalate', verifyToken, isAdmin, chatController.escalateSession);
+router.post('/admin/session/:sessionId/escalate', verifyToken, requirePermission('support.chat'), chatController.escalateSession);
 
 // Add admin notes (admin only - hybrid auth for admin panel)
-router.post('/admin/session/:sessionId/notes', verifyToken, isAdmin, chatController.addAdminNotes);
+router.post('/admin/session/:sessionId/notes', verifyToken, requirePermission('support.chat'), chatController.addAdminNotes);
+
+// ---------- CHAT ORDER ROUTES ----------
+
+// Linked orders with status, tracking, return eligibility and invoice (admin only - hybrid auth for admin panel)
+router.get('/admin/session/:sessionId/orders', verifyToken, requirePermission('support.chat', 'orders.read'), chatController.getSessionOrders);
+
+// Link an order to a session (admin only - hybrid auth for admin panel)
+router.post('/admin/session/:sessionId/orders', verifyToken, requirePermission('support.chat', 'orders.read'), auditEntity('ChatSession', req => ({ sessionId: req.params.sessionId })), chatController.linkSessionOrder);
+
+// Unlink an order from a session (admin only - hybrid auth for admin panel)
+router.delete('/admin/session/:sessionId/orders/:orderId', verifyToken, requirePermission('support.chat', 'orders.read'), auditEntity('ChatSession', req => ({ sessionId: req.params.sessionId })), chatController.unlinkSessionOrder);
+
+// Cancel a linked order (admin only - hybrid auth for admin panel)
+router.post('/admin/session/:sessionId/orders/:orderId/cancel', verifyToken, requirePermission('support.chat', 'orders.update'), auditEntity('Order', 'orderId'), chatController.cancelSessionOrder);
+
+// Start a return for a linked order (admin only - hybrid auth for admin panel)
+router.post('/admin/session/:sessionId/orders/:orderId/return', verifyToken, requirePermission('support.chat', 'orders.returns'), auditEntity('Order', 'orderId'), chatController.returnSessionOrder);
+
+// Resend the invoice of a linked order to the customer (admin only - hybrid auth for admin panel)
+router.post('/admin/session/:sessionId/orders/:orderId/resend-invoice', verifyToken, requirePermission('support.chat', 'orders.read'), chatController.resendSessionInvoice);
+
+// ---------- ROUTING, AGENT AND CANNED RESPONSE ROUTES ----------
+
+// Get own agent profile and number of open chats (admin only - hybrid auth for admin panel)
+router.get('/admin/agents/me', verifyToken, requirePermission('support.chat'), chatController.getMyAgentProfile);
+
+// Set own availability: online, away or offline (admin only - hybrid auth for admin panel)
+router.put('/admin/agents/me', verifyToken, requirePermission('support.chat'), auditEntity('SupportAgent', req => ({ user: req.user._id })), chatController.updateMyAvailability);
+
+// Set an agent's skills, capacity and availability (admin only - hybrid auth for admin panel)
+router.put('/admin/agents/:userId', verifyToken, requirePermission('support.manage'), auditEntity('SupportAgent', req => ({ user: req.params.userId })), chatController.updateAgent);
+
+// Get agents with their load and the queue of unassigned chats (admin only - hybrid auth for admin panel)
+router.get('/admin/routing', verifyToken, requirePermission('support.chat'), chatController.getRoutingOverview);
+
+// Get routing, SLA and idle timeout settings (admin only - hybrid auth for admin panel)
+router.get('/admin/routing/config', verifyToken, requirePermission('support.manage'), chatController.getRoutingConfig);
+
+// Update routing, SLA and idle timeout settings (admin only - hybrid auth for admin panel)
+router.put('/admin/routing/config', verifyToken, requirePermission('support.manage'), auditEntity('ChatSupportConfig', () => ({})), chatController.updateRoutingConfig);
+
+// Get canned responses (admin only - hybrid auth for admin panel)
+router.get('/admin/canned-responses', verifyToken, requirePermission('support.chat'), chatController.getCannedResponses);
+
+// Create canned response (admin only - hybrid auth for admin panel)
+router.post('/admin/canned-responses', verifyToken, requirePermission('support.manage'), auditEntity('CannedResponse'), chatController.createCannedResponse);
+
+// Preview a canned response filled in for a session (admin only - hybrid auth for admin panel)
+router.post('/admin/canned-responses/:id/render', verifyToken, skipAudit, requirePermission('support.chat'), chatController.renderCannedResponse);
+
+// Update canned response (admin only - hybrid auth for admin panel)
+router.put('/admin/canned-responses/:id', verifyToken, requirePermission('support.manage'), auditEntity('CannedResponse', 'id'), chatController.updateCannedResponse);
+
+// Delete canned response (admin only - hybrid auth for admin panel)
+router.delete('/admin/canned-responses/:id', verifyToken, requirePermission('support.manage'), auditEntity('CannedResponse', 'id'), chatController.deleteCannedResponse);
 
 // Get chat analytics (admin only - hybrid auth for admin panel)
-router.get('/admin/analytics', verifyToken, isAdmin, chatController.getChatAnalytics);
+router.get('/admin/analytics', verifyToken, requirePermission('support.analytics'), chatController.getChatAnalytics);
 
 // Get admin performance metrics (admin only - hybrid auth for admin panel)
-router.get('/admin/performance/:adminId?', verifyToken, isAdmin, chatController.getAdminPerformance);
+router.get('/admin/performance/:adminId?', verifyToken, requirePermission('support.analytics'), chatController.getAdminPerformance);
 
 // Get session analytics (admin only - hybrid auth for admin panel)
-router.get('/admin/session/:sessionId/analytics', verifyToken, isAdmin, chatController.getSessionAnalytics);
+router.get('/admin/session/:sessionId/analytics', verifyToken, requirePermission('support.analytics'), chatController.getSessionAnalytics);
 
 // ---------- UTILITY ROUTES ----------
 
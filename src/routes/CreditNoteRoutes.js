@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const CreditNoteController = require("../controllers/invoiceController/CreditNoteController");
+const { verifyToken } = require("../middleware/VerifyToken");
+const { requirePermission } = require("../middleware/RequirePermission");
+
+// GET /api/credit-notes?financialYear=&reason=&orderId=&from=&to=&page=&limit= - Credit note list (admin)
+router.get("/", verifyToken, requirePermission("finance.invoices"), CreditNoteController.adminListCreditNotes);
+
+// GET /api/credit-notes/export?format=csv|xlsx&financialYear=&reason=&from=&to= - Credit note register (admin)
+router.get("/export", verifyToken, requirePermission("finance.invoices"), CreditNoteController.adminExportCreditNotes);
+
+// GET /api/credit-notes/order/:orderId - Credit notes for an order (order owner or admin)
+router.get("/order/:orderId", verifyToken, CreditNoteController.getOrderCreditNotes);
+
+// POST /api/credit-notes/order/:orderId { full | lines: [{ lineId | sku, quantity }], includeShipping, reason, notes } - Issue manually (admin)
+router.post("/order/:orderId", verifyToken, requirePermission("finance.invoices"), CreditNoteController.adminIssueCreditNote);
+
+// GET /api/credit-notes/:creditNoteId/pdf - Download the credit note PDF (order owner or admin)
+router.get("/:creditNoteId/pdf", verifyToken, CreditNoteController.downloadCreditNote);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+const AutomaticDiscountController = require("../controllers/promoCodeController/AutomaticDiscountController");
+const { verifyToken } = require("../middleware/VerifyToken");
+const { optionalVerifyToken } = require("../middleware/OptionalAuth");
+const { requirePermission } = require("../middleware/RequirePermission");
+const { auditEntity } = require("../middleware/AuditTrail");
+
+// POST /api/discounts/preview { items: [{ itemId, sku, size, quantity }], promoCode?, shippingCost? } - Applied and rejected offers for a cart (login optional; member offers need one)
+router.post("/preview", optionalVerifyToken, AutomaticDiscountController.previewCartDiscounts);
+
+// GET /api/discounts/automatic?status=live|scheduled|expired|inactive - Automatic discount list (admin)
+router.get("/automatic", verifyToken, requirePermission("marketing.promotions"), AutomaticDiscountController.getAutomaticDiscounts);
+
+// POST /api/discounts/automatic - Create an automatic discount (admin)
+router.post("/automatic", verifyToken, requirePermission("marketing.promotions"), auditEntity("AutomaticDiscount"), AutomaticDiscountController.createAutomaticDiscount);
+
+// GET /api/discounts/automatic/:id - One automatic discount (admin)
+router.get("/automatic/:id", verifyToken, requirePermission("marketing.promotions"), AutomaticDiscountController.getAutomaticDiscountById);
+
+// PUT /api/discounts/automatic/:id - Update an automatic discount (admin)
+router.put("/automatic/:id", verifyToken, requirePermission("marketing.promotions"), auditEntity("AutomaticDiscount", "id"), AutomaticDiscountController.updateAutomaticDiscount);
+
+// DELETE /api/discounts/automatic/:id - Delete an automatic discount (admin)
+router.delete("/automatic/:id", verifyToken, requirePermission("marketing.promotions"), auditEntity("AutomaticDiscount", "id"), AutomaticDiscountController.deleteAutomaticDiscount);
+
+module.exports = router;
@@ -2,9 +2,11 @@ const express = require('express');
 const router = express.Router();
 const faqController = require('../controllers/FaqController');
 
-// Optional middleware - add authentication if needed
-// const { verifyToken } = require('../middleware/VerifyToken');
-// const { requireAdmin } = require('../middleware/requireAdmin');
+const { verifyToken } = require('../middleware/VerifyToken');
+const { requirePermission } = require('../middleware/RequirePermission');
+const { auditEntity } = require('../middleware/AuditTrail');
+
+const canManageFaqs = [verifyToken, requirePermission('content.manage')];
 
 /**
  * FAQ Routes
@@ -30,24 +32,24 @@ router.get('/category/:category', faqController.getFaqsByCategory);
 // GET /api/faqs/:id - Get FAQ by ID
 router.get('/:id', faqController.getFaqById);
 
-// Admin routes (authentication required - uncomment middleware if needed)
+// Admin routes (content.manage permission)
 // POST /api/faqs - Create new FAQ
-router.post('/', /* verifyToken, requireAdmin, */ faqController.createFaq);
+router.post('/', canManageFaqs, auditEntity('FAQ'), faqController.createFaq);
+
+// Bulk operations (before /:id so "bulk" is not taken for an id)
+// DELETE /api/faqs/bulk - Bulk delete FAQs
+router.delete('/bulk', canManageFaqs, faqController.bulkDeleteFaqs);
+
+// PATCH /api/faqs/bulk/status - Bulk update FAQ status
+router.patch('/bulk/status', canManageFaqs, faqController.bulkUpdateStatus);
 
 // PUT /api/faqs/:id - Update FAQ
-router.put('/:id', /* verifyToken, requireAdmin, */ faqController.updateFaq);
+router.put('/:id', canManageFaqs, auditEntity('FAQ', 'id'), faqController.updateFaq);
 
 // DELETE /api/faqs/:id - Delete FAQ
-router.delete('/:id', /* verifyToken, requireAdmin, */ faqController.deleteFaq);
+router.delete('/:id', canManageFaqs, auditEntity('FAQ', 'id'), faqController.deleteFaq);
 
 // PATCH /api/faqs/:id/status - Toggle FAQ active status
-router.patch('/:id/status', /* verifyToken, requireAdmin, */ faqController.toggleFaqStatus);
-
-// Bulk operations
-// DELETE /api/faqs/bulk - Bulk delete FAQs
-router.delete('/bulk', /* verifyToken, requireAdmin, */ faqController.bulkDeleteFaqs);
-
-// PATCH /api/faqs/bulk/status - Bulk update FAQ status
-router.patch('/bulk/status', /* verifyToken, requireAdmin, */ faqController.bulkUpdateStatus);
+router.patch('/:id/status', canManageFaqs, auditEntity('FAQ', 'id'), faqController.toggleFaqStatus);
 
 module.exports = router;
@@ -21,6 +21,10 @@ router
   // Gets a specific filter by key name (e.g., color, size, brand)
   .get("/key/:key", filterController.getFiltersByKey)
 
+  // GET /api/filters/facets?category&subcategory&filters={"color":["Red"]}&size&priceMin&priceMax&inStock&sort&page&limit
+  // Live products for the selection with per-option facet counts (no authentication required)
+  .get("/facets", filterController.getFacetedItems)
+
   // GET /api/filters/price-range
   // Gets available price range for products
   .get("/price-range", filterController.getPriceRange)
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const inboxController = require('../controllers/inboxController/inboxController');
-const { isAuthenticated, isAdmin } = require('../middleware/authMiddleware');
+const { isAuthenticated } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/RequirePermission');
 
 // ---------- USER ROUTES ----------
 
@@ -41,14 +42,14 @@ router.post('/external/create', inboxController.createExternalMessage);
 // ---------- ADMIN ROUTES ----------
 
 // Get all messages for admin (with pagination and filtering)
-router.get('/admin/all', isAuthenticated, isAdmin, (req, res, next) => {
+router.get('/admin/all', isAuthenticated, requirePermission('support.chat'), (req, res, next) => {
   // Override user ID for admin to see all messages
   req.adminView = true;
   next();
 }, inboxController.getMessages);
 
 // Get messages by user ID (admin only)
-router.get('/admin/user/:userId/:folder', isAuthenticated, isAdmin, async (req, res) => {
+router.get('/admin/user/:userId/:folder', isAuthenticated, requirePermission('support.chat'), async (req, res) => {
   try {
     // Temporarily set req.user._id to the requested userId
     const originalUserId = req.user._id;
@@ -69,16 +70,16 @@ router.get('/admin/user/:userId/:folder', isAuthenticated, isAdmin, async (req,
 });
 
 // Admin reply to any message
-router.post('/admin/reply/:messageId', isAuthenticated, isAdmin, inboxController.replyMessage);
+router.post('/admin/reply/:messageId', isAuthenticated, requirePermission('support.chat'), inboxController.replyMessage);
 
 // Admin update any message
-router.patch('/admin/message/:messageId', isAuthenticated, isAdmin, inboxController.updateMessageStatus);
+router.patch('/admin/message/:messageId', isAuthenticated, requirePermission('support.chat'), inboxController.updateMessageStatus);
 
 // Admin delete any message
-router.delete('/admin/message/:messageId', isAuthenticated, isAdmin, inboxController.deleteMessage);
+router.delete('/admin/message/:messageId', isAuthenticated, requirePermission('support.chat'), inboxController.deleteMessage);
 
 // Get system statistics for admin
-router.get('/admin/stats', isAuthenticated, isAdmin, async (req, res) => {
+router.get('/admin/stats', isAuthenticated, requirePermission('support.chat'), async (req, res) => {
   try {
     const Message = require('../models/Inbox');
     
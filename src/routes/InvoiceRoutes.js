@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const InvoiceController = require("../controllers/invoiceController/InvoiceController");
+const { verifyToken } = require("../middleware/VerifyToken");
+const { requirePermission } = require("../middleware/RequirePermission");
+
+// GET /api/invoices/order/:orderId - Invoice details (order owner or admin)
+router.get("/order/:orderId", verifyToken, InvoiceController.getOrderInvoice);
+
+// GET /api/invoices/order/:orderId/pdf - Download the tax invoice PDF (order owner or admin)
+router.get("/order/:orderId/pdf", verifyToken, InvoiceController.downloadOrderInvoice);
+
+// GET /api/invoices?financialYear=&invoiceNumber=&status=&from=&to=&page=&limit= - Invoice register (admin)
+router.get("/", verifyToken, requirePermission("finance.invoices"), InvoiceController.adminListInvoices);
+
+// POST /api/invoices/order/:orderId - Issue the invoice for a paid order (admin)
+router.post("/order/:orderId", verifyToken, requirePermission("finance.invoices"), InvoiceController.adminGenerateInvoice);
+
+// POST /api/invoices/order/:orderId/email { email? } - Send / resend the invoice e-mail (admin)
+router.post("/order/:orderId/email", verifyToken, requirePermission("finance.invoices"), InvoiceController.adminEmailInvoice);
+
+module.exports = router;
@@ -7,7 +7,7 @@ const Item = require("../models/Item");
 
 // Import middleware for authentication and role-based access
 const { verifyToken } = require("../middleware/VerifyToken");
-const checkAdminRole = require("../middleware/CheckAdminRole");
+const { requirePermission } = require("../middleware/RequirePermission");
 
 const router = express.Router();
 
@@ -50,7 +50,7 @@ const uploadVideo = multer({
  */
 router.post("/upload-images/:itemId", 
   // verifyToken, // Temporarily disabled for testing
-  // checkAdminRole, // Temporarily disabled for testing  
+  // requirePermission("catalog.write"), // Temporarily disabled for testing  
   uploadImage.array('images', 10), async (req, res) => {
   try {
     const { itemId } = req.params;
@@ -109,7 +109,7 @@ router.post("/upload-images/:itemId",
  */
 router.post("/upload-videos/:itemId", 
   // verifyToken, // Temporarily disabled for testing
-  // checkAdminRole, // Temporarily disabled for testing
+  // requirePermission("catalog.write"), // Temporarily disabled for testing
   uploadVideo.array('videos', 5), async (req, res) => {
   try {
     const { itemId } = req.params;
@@ -167,7 +167,7 @@ router.post("/upload-videos/:itemId",
  * @desc    Delete a specific image from a product
  * @access  Protected (Admin only)
  */
-router.delete("/delete-image/:itemId/:imageIndex", verifyToken, checkAdminRole, async (req, res) => {
+router.delete("/delete-image/:itemId/:imageIndex", verifyToken, requirePermission("catalog.write"), async (req, res) => {
   try {
     const { itemId, imageIndex } = req.params;
     const index = parseInt(imageIndex);
@@ -206,7 +206,7 @@ router.delete("/delete-image/:itemId/:imageIndex", verifyToken, checkAdminRole,
  * @desc    Delete a specific video from a product
  * @access  Protected (Admin only)
  */
-router.delete("/delete-video/:itemId/:videoIndex", verifyToken, checkAdminRole, async (req, res) => {
+router.delete("/delete-video/:itemId/:videoIndex", verifyToken, requirePermission("catalog.write"), async (req, res) => {
   try {
     const { itemId, videoIndex } = req.params;
     const index = parseInt(videoIndex);
@@ -246,7 +246,7 @@ router.delete("/delete-video/:itemId/:videoIndex", verifyToken, checkAdminRole,
  */
 router.post("/upload-size-chart/:itemId", 
   // verifyToken, // Temporarily disabled for testing
-  // checkAdminRole, // Temporarily disabled for testing
+  // requirePermission("catalog.write"), // Temporarily disabled for testing
   uploadImage.single('sizeChart'), async (req, res) => {
   try {
     const { itemId } = req.params;
@@ -302,7 +302,7 @@ router.post("/upload-size-chart/:itemId",
  * @desc    Delete size chart image from a product
  * @access  Protected (Admin only)
  */
-router.delete("/delete-size-chart/:itemId", verifyToken, checkAdminRole, async (req, res) => {
+router.delete("/delete-size-chart/:itemId", verifyToken, requirePermission("catalog.write"), async (req, res) => {
   try {
     const { itemId } = req.params;
 
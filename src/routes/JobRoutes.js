@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const JobController = require("../controllers/jobController/JobController");
+const { verifyToken } = require("../middleware/VerifyToken");
+const { requirePermission } = require("../middleware/RequirePermission");
+
+// All job routes are admin-only
+router.use(verifyToken, requirePermission("system.jobs"));
+
+// GET /api/admin/jobs - Registered jobs with next/last run
+router.get("/", JobController.getJobs);
+
+// GET /api/admin/jobs/runs?jobName=&status=&includeEmpty=&page=&limit= - Run history
+router.get("/runs", JobController.getJobRuns);
+
+// GET /api/admin/jobs/scheduled-transitions?type=upcoming|past - Product publish/unpublish schedule
+router.get("/scheduled-transitions", JobController.getScheduledTransitions);
+
+// POST /api/admin/jobs/:jobName/run - Run a job now
+router.post("/:jobName/run", JobController.runJob);
+
+module.exports = router;
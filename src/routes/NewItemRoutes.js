@@ -9,6 +9,9 @@ const productReviewController = require("../controllers/reviewController/Product
 // Import the detailed rating controller
 const detailedRatingController = require("../controllers/reviewController/DetailedRatingController");
 const { verifyToken } = require("../middleware/VerifyToken");
+const { optionalVerifyToken } = require("../middleware/OptionalAuth");
+const { requirePermission } = require("../middleware/RequirePermission");
+const { auditEntity } = require("../middleware/AuditTrail");
 
 // Import bundle routes
 const bundleRoutes = require("./BundleRoutes");
@@ -65,11 +68,14 @@ router.post("/debug/validate-products", async (req, res) => {
 });
 
 // Search products endpoint - must be before other routes to avoid conflicts
-router.get("/search", (req, res) => {
+router.get("/search", optionalVerifyToken, (req, res) => {
   console.log("🔍 Search route hit with query:", req.query.query);
   newItemController.searchProducts(req, res);
 });
 
+// GET /api/items/search/suggestions?q=&limit= - Type-ahead suggestions (signed-in shoppers also get their recent queries)
+router.get("/search/suggestions", optionalVerifyToken, newItemController.getSearchSuggestions);
+
 // Sale endpoints - must be before other routes to avoid conflicts with /:itemId
 router.get("/sale", locationBasedPricingMiddleware, (req, res) => {
   console.log("🏷️ Sale products route hit");
@@ -129,7 +135,7 @@ const upload = multer({
   }
 });
 
-router.post("/voice-search", upload.single('audio'), (req, res) => {
+router.post("/voice-search", optionalVerifyToken, upload.single('audio'), (req, res) => {
   console.log("🎤 Voice search route hit with:", { 
     hasText: !!(req.body.query || req.body.text),
     hasAudio: !!req.file,
@@ -145,23 +151,23 @@ router.get("/filtered", locationBasedPricingMiddleware, (req, res) => {
 });
 
 // Phase 1: Create basic product
-router.post("/basic-product", (req, res) => {
+router.post("/basic-product", verifyToken, requirePermission("catalog.write"), auditEntity("Item"), (req, res) => {
   console.log("Basic product route hit");
   newItemController.createBasicProduct(req, res);
 });
 
 // Phase 2: Update product with draft configuration
-router.put("/:itemId/draft-configuration", (req, res) => {
+router.put("/:itemId/draft-configuration", verifyToken, requirePermission("catalog.write"), auditEntity("Item", "itemId"), (req, res) => {
   newItemController.updateDraftConfiguration(req, res);
 });
 
 // Phase 5: Update product status (draft → schedule → live)
-router.put("/:itemId/status", (req, res) => {
+router.put("/:itemId/status", verifyToken, requirePermission("catalog.write"), auditEntity("Item", "itemId"), (req, res) => {
   newItemController.updateProductStatus(req, res);
 });
 
 // Get products by status (draft, live, scheduled)
-router.get("/status/:status", (req, res) => {
+router.get("/status/:status", verifyToken, requirePermission("catalog.read"), (req, res) => {
   newItemController.getProductsByStatus(req, res);
 });
 
@@ -178,33 +184,33 @@ router.get("/latest-items/:subCategoryId", locationBasedPricingMiddleware, (req,
 // Arrangement routes (must be before /:itemId route to avoid conflicts)
 router.get("/categories-arrangement", newItemController.getCategoriesForArrangement);
 router.get("/items-arrangement", newItemController.getItemsForArrangement);
-router.put("/categories-display-order", newItemController.updateCategoriesDisplayOrder);
-router.put("/subcategories-display-order", (req, res) => {
+router.put("/categories-display-order", verifyToken, requirePermission("catalog.write"), newItemController.updateCategoriesDisplayOrder);
+router.put("/subcategories-display-order", verifyToken, requirePermission("catalog.write"), (req, res) => {
   console.log("🎯 ROUTE HIT: PUT /api/items/subcategories-display-order");
   newItemController.updateSubCategoriesDisplayOrder(req, res);
 });
-router.put("/items-display-order", newItemController.updateItemsDisplayOrder);
+router.put("/items-display-order", verifyToken, requirePermission("catalog.write"), newItemController.updateItemsDisplayOrder);
 
 // Update category and subcategory assignment for an item
-router.put("/:itemId/category-assignment", (req, res) => {
+router.put("/:itemId/category-assignment", verifyToken, requirePermission("catalog.write"), auditEntity("Item", "itemId"), (req, res) => {
   newItemController.updateItemCategoryAssignment(req, res);
 });
 
 // Standard CRUD operations (with location-based pricing for GET requests)
 router.get("/", locationBasedPricingMiddleware, newItemController.getAllItems);
 router.get("/:itemId", locationBasedPricingMiddleware, newItemController.getItemById);
-router.put("/:itemId", newItemController.updateItem);
-router.delete("/:itemId", newItemController.deleteItem);
+router.put("/:itemId", verifyToken, requirePermission("catalog.write"), auditEntity("Item", "itemId"), newItemController.updateItem);
+router.delete("/:itemId", verifyToken, requirePermission("catalog.delete"), auditEntity("Item", "itemId"), newItemController.deleteItem);
 
 // Recommendation Settings Routes
 router.get("/:itemId/recommendation-settings", recommendationController.getRecommendationSettings);
-router.put("/:itemId/recommendation-settings", recommendationController.updateRecommendationSettings);
+router.put("/:itemId/recommendation-settings", verifyToken, requirePermission("catalog.write"), auditEntity("Item", "itemId"), recommendationController.updateRecommendationSettings);
 
 // Product Management Settings Routes
 router.get("/:itemId/management-settings", recommendationController.getProductManagementSettings);
-router.put("/:itemId/management-settings", recommendationController.updateProductManagementSettings);
+router.put("/:itemId/management-settings", verifyToken, requirePermission("catalog.write"), auditEntity("Item", "itemId"), recommendationController.updateProductManagementSettings);
 
 // Bulk operations
-router.put("/bulk/management-settings", recommendationController.bulkUpdateProductSettings);
+router.put("/bulk/management-settings", verifyToken, requirePermission("catalog.write"), recommendationController.bulkUpdateProductSettings);
 
 module.exports = router;
@@ -1,38 +1,67 @@
 const express = require('express');
+const multer = require('multer');
 const partnerController = require('../controllers/partnerController/PartnerController');
+const partnerPortalController = require('../controllers/partnerController/PartnerPortalController');
 const { verifyToken } = require('../middleware/VerifyToken');
-const checkAdminRole = require('../middleware/CheckAdminRole');
+const { verifyPartnerToken } = require('../middleware/VerifyPartnerToken');
+const { requirePermission } = require('../middleware/RequirePermission');
+const { auditEntity } = require('../middleware/AuditTrail');
 
 const partnerRouter = express.Router();
 
+// Packing proof photos, kept in memory for direct upload to S3
+const uploadPackingProof = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB per image
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'), false);
+    }
+  }
+}).array('images', 5);
+
+// Partner authentication routes (no admin required)
+partnerRouter.post('/login', partnerController.partnerLogin);
+
+// Partner portal routes - require a partner token; declared before the admin middleware below
+partnerRouter.get('/me', verifyPartnerToken, partnerPortalController.getMyProfile);
+partnerRouter.get('/me/orders', verifyPartnerToken, partnerPortalController.getMyOrders);
+partnerRouter.get('/me/orders/:orderId', verifyPartnerToken, partnerPortalController.getMyOrder);
+partnerRouter.post('/me/orders/:orderId/accept', verifyPartnerToken, partnerPortalController.acceptOrder);
+partnerRouter.post('/me/orders/:orderId/reject', verifyPartnerToken, partnerPortalController.rejectOrder);
+partnerRouter.post('/me/orders/:orderId/packed', verifyPartnerToken, partnerPortalController.markOrderPacked);
+partnerRouter.post('/me/orders/:orderId/ready-for-pickup', verifyPartnerToken, partnerPortalController.markOrderReadyForPickup);
+partnerRouter.post('/me/orders/:orderId/packing-proof', verifyPartnerToken, uploadPackingProof, partnerPortalController.uploadPackingProof);
+partnerRouter.get('/me/payouts', verifyPartnerToken, partnerPortalController.getMyPayouts);
+partnerRouter.get('/me/payouts/statements/:statementId', verifyPartnerToken, partnerPortalController.getMyStatement);
+
 // Admin routes - require admin authentication
 partnerRouter.use(verifyToken);
 
 // Create new partner
-partnerRouter.post('/', checkAdminRole, partnerController.createPartner);
+partnerRouter.post('/', requirePermission('users.manage'), auditEntity('Partner'), partnerController.createPartner);
 
 // Get all partners with pagination and filters
-partnerRouter.get('/', checkAdminRole, partnerController.getAllPartners);
+partnerRouter.get('/', requirePermission('users.manage'), partnerController.getAllPartners);
 
 // Get partner statistics
-partnerRouter.get('/statistics', checkAdminRole, partnerController.getPartnerStatistics);
+partnerRouter.get('/statistics', requirePermission('users.manage'), partnerController.getPartnerStatistics);
 
 // Get partner by ID or partner ID
-partnerRouter.get('/:partnerId', checkAdminRole, partnerController.getPartnerById);
+partnerRouter.get('/:partnerId', requirePermission('users.manage'), partnerController.getPartnerById);
 
 // Update partner details
-partnerRouter.put('/:partnerId', checkAdminRole, partnerController.updatePartner);
+partnerRouter.put('/:partnerId', requirePermission('users.manage'), auditEntity('Partner', 'partnerId'), partnerController.updatePartner);
 
 // Update partner password
-partnerRouter.put('/:partnerId/password', checkAdminRole, partnerController.updatePartnerPassword);
+partnerRouter.put('/:partnerId/password', requirePermission('users.manage'), auditEntity('Partner', 'partnerId'), partnerController.updatePartnerPassword);
 
 // Block/Unblock partner
-partnerRouter.patch('/:partnerId/toggle-status', checkAdminRole, partnerController.togglePartnerStatus);
+partnerRouter.patch('/:partnerId/toggle-status', requirePermission('users.manage'), auditEntity('Partner', 'partnerId'), partnerController.togglePartnerStatus);
 
 // Delete partner (soft delete)
-partnerRouter.delete('/:partnerId', checkAdminRole, partnerController.deletePartner);
-
-// Partner authentication routes (no admin required)
-partnerRouter.post('/login', partnerController.partnerLogin);
+partnerRouter.delete('/:partnerId', requirePermission('users.manage'), auditEntity('Partner', 'partnerId'), partnerController.deletePartner);
 
 module.exports = partnerRouter;
@@ -0,0 +1,64 @@
+const express = require("express");
+const router = express.Router();
+const PayoutController = require("../controllers/partnerController/PayoutController");
+const { verifyToken } = require("../middleware/VerifyToken");
+const { requirePermission } = require("../middleware/RequirePermission");
+const { auditEntity } = require("../middleware/AuditTrail");
+
+router.use(verifyToken, requirePermission("finance.payouts"));
+
+// ---------- Commission rules ----------
+
+// GET /api/admin/payouts/commission-rules?partner=<id>|all&category=<id>|all&isActive - Commission rules
+router.get("/commission-rules", PayoutController.listCommissionRules);
+
+// POST /api/admin/payouts/commission-rules { partner?, category?, ratePercent, notes, isActive } - Add a rule
+router.post("/commission-rules", auditEntity("CommissionRule"), PayoutController.createCommissionRule);
+
+// PUT /api/admin/payouts/commission-rules/:ruleId { ratePercent, notes, isActive } - Change a rule
+router.put("/commission-rules/:ruleId", auditEntity("CommissionRule", "ruleId"), PayoutController.updateCommissionRule);
+
+// DELETE /api/admin/payouts/commission-rules/:ruleId - Remove a rule
+router.delete("/commission-rules/:ruleId", auditEntity("CommissionRule", "ruleId"), PayoutController.deleteCommissionRule);
+
+// ---------- Ledger ----------
+
+// GET /api/admin/payouts/ledger?partner&type&statement=<id>|unsettled&orderId&from&to&page&limit - Payout ledger
+router.get("/ledger", PayoutController.listLedger);
+
+// GET /api/admin/payouts/ledger/export?format=csv|xlsx&<ledger filters> - Download the payout ledger
+router.get("/ledger/export", PayoutController.exportLedger);
+
+// GET /api/admin/payouts/partners/:partnerId/balance - Unsettled, awaiting payment and paid totals
+router.get("/partners/:partnerId/balance", PayoutController.getPartnerBalance);
+
+// POST /api/admin/payouts/partners/:partnerId/adjustments { amount, notes, orderId? } - Manual credit or debit
+router.post("/partners/:partnerId/adjustments", auditEntity("PayoutLedgerEntry"), PayoutController.addAdjustment);
+
+// ---------- Settlement statements ----------
+
+// GET /api/admin/payouts/statements?partner&status&financialYear&from&to&page&limit - Settlement statements
+router.get("/statements", PayoutController.listStatements);
+
+// GET /api/admin/payouts/statements/export?format=csv|xlsx&<statement filters> - Statement register
+router.get("/statements/export", PayoutController.exportStatements);
+
+// POST /api/admin/payouts/statements { partnerId, periodEnd? } - Draft a statement now
+router.post("/statements", auditEntity("SettlementStatement"), PayoutController.generateStatement);
+
+// GET /api/admin/payouts/statements/:statementId - Statement with its ledger entries
+router.get("/statements/:statementId", PayoutController.getStatement);
+
+// GET /api/admin/payouts/statements/:statementId/export?format=csv|xlsx - Entries of one statement
+router.get("/statements/:statementId/export", PayoutController.exportStatement);
+
+// DELETE /api/admin/payouts/statements/:statementId - Discard a draft
+router.delete("/statements/:statementId", auditEntity("SettlementStatement", "statementId"), PayoutController.discardStatement);
+
+// POST /api/admin/payouts/statements/:statementId/finalize { notes? } - Lock a draft for payment
+router.post("/statements/:statementId/finalize", auditEntity("SettlementStatement", "statementId"), PayoutController.finalizeStatement);
+
+// POST /api/admin/payouts/statements/:statementId/paid { paymentReference, paidAt?, notes? } - Record the transfer
+router.post("/statements/:statementId/paid", auditEntity("SettlementStatement", "statementId"), PayoutController.markStatementPaid);
+
+module.exports = router;
@@ -1,6 +1,11 @@
 const express = require("express");
 const pointsController = require("../controllers/pointsController/PointsController");
 const { verifyToken } = require("../middleware/VerifyToken");
+const { requirePermission } = require("../middleware/RequirePermission");
+const { auditEntity } = require("../middleware/AuditTrail");
+
+// Audit target for the per-user admin routes: the user's active points account
+const auditUserPoints = auditEntity("Points", (req) => ({ userId: req.params.userId, isActive: true }));
 
 const router = express.Router();
 
@@ -11,6 +16,13 @@ const router = express.Router();
  */
 router.get("/user", verifyToken, pointsController.getCurrentUserPoints);
 
+/**
+ * @route   GET /statement
+ * @desc    Get current user's points statement: balance, transactions and upcoming expirations
+ * @access  Protected
+ */
+router.get("/statement", verifyToken, pointsController.getCurrentUserStatement);
+
 /**
  * @route   POST /redeem
  * @desc    Redeem points for current authenticated user
@@ -30,62 +42,62 @@ router.get("/config", verifyToken, pointsController.getSystemConfig);
  * @desc    Update points system configuration
  * @access  Protected (Admin)
  */
-router.put("/config", verifyToken, pointsController.updateSystemConfig);
+router.put("/config", verifyToken, requirePermission("marketing.campaigns"), auditEntity("PointsSystemConfig", () => ({})), pointsController.updateSystemConfig);
 
 /**
  * @route   GET /users
  * @desc    Get all users with their points information
  * @access  Protected (Admin)
  */
-router.get("/users", verifyToken, pointsController.getAllUsersWithPoints);
+router.get("/users", verifyToken, requirePermission("marketing.campaigns"), pointsController.getAllUsersWithPoints);
 
 /**
  * @route   GET /user/:userId
  * @desc    Get specific user's points information
  * @access  Protected
  */
-router.get("/user/:userId", verifyToken, pointsController.getUserPoints);
+router.get("/user/:userId", verifyToken, requirePermission("marketing.campaigns"), pointsController.getUserPoints);
 
 /**
  * @route   POST /user/:userId/allocate
  * @desc    Allocate points to a specific user
  * @access  Protected (Admin)
  */
-router.post("/user/:userId/allocate", verifyToken, pointsController.allocatePoints);
+router.post("/user/:userId/allocate", verifyToken, requirePermission("marketing.campaigns"), auditUserPoints, pointsController.allocatePoints);
 
 /**
  * @route   POST /user/:userId/redeem
  * @desc    Redeem points from a specific user
  * @access  Protected
  */
-router.post("/user/:userId/redeem", verifyToken, pointsController.redeemPoints);
+router.post("/user/:userId/redeem", verifyToken, requirePermission("marketing.campaigns"), auditUserPoints, pointsController.redeemPoints);
 
 /**
  * @route   PUT /user/:userId
  * @desc    Update user's points data
  * @access  Protected (Admin)
  */
-router.put("/user/:userId", verifyToken, pointsController.updateUserPoints);
+router.put("/user/:userId", verifyToken, requirePermission("marketing.campaigns"), auditUserPoints, pointsController.updateUserPoints);
 
 /**
  * @route   GET /user/:userId/history
  * @desc    Get user's points transaction history
  * @access  Protected
  */
-router.get("/user/:userId/history", verifyToken, pointsController.getUserPointsHistory);
+router.get("/user/:userId/history", verifyToken, requirePermission("marketing.campaigns"), pointsController.getUserPointsHistory);
 
 /**
  * @route   DELETE /user/:userId
  * @desc    Delete user's points record
  * @access  Protected (Admin)
  */
-router.delete("/user/:userId", verifyToken, pointsController.deleteUserPoints);
+router.delete("/user/:userId", verifyToken, requirePermission("marketing.campaigns"), auditUserPoints, pointsController.deleteUserPoints);
 
 /**
  * @route   GET /summary
  * @desc    Get points system summary statistics
  * @access  Protected (Admin)
  */
-router.get("/summary", verifyToken, pointsController.getPointsSummary);
+router.get("/summary", verifyToken, requirePermission("marketing.campaigns"), pointsController.getPointsSummary);
 
 module.exports = router;
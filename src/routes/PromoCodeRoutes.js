@@ -15,36 +15,39 @@ const {
   getExpiredPromoCodes,
   clonePromoCode
 } = require('../controllers/promoCodeController/PromoCodeController');
-const { isAuthenticated, isAdmin } = require('../middleware/authMiddleware');
+const { isAuthenticated } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/RequirePermission');
+const { auditEntity } = require('../middleware/AuditTrail');
 const { verifyToken } = require('../middleware/VerifyToken');
+const { optionalVerifyToken } = require('../middleware/OptionalAuth');
 
-// Public route for validating promo codes
-router.post('/validate', validatePromoCode);
-router.post('/promo-codes/validate', validatePromoCode); // Legacy support
+// Public route for validating promo codes (a logged-in user gets per-user limits and segments checked)
+router.post('/validate', optionalVerifyToken, validatePromoCode);
+router.post('/promo-codes/validate', optionalVerifyToken, validatePromoCode); // Legacy support
 
 // User routes for fetching available promo codes
 router.get('/user/available', verifyToken, require('../controllers/promoCodeController/PromoCodeController').getAvailablePromoCodesForUser);
 router.get('/public', require('../controllers/promoCodeController/PromoCodeController').getPublicPromoCodes);
 
 // Admin-only routes for managing promo codes - Simple routes
-router.post('/create', isAuthenticated, isAdmin, createPromoCode);
-router.get('/all', isAuthenticated, isAdmin, getAllPromoCodes);
-router.get('/:id', isAuthenticated, isAdmin, getPromoCodeById);
-router.put('/:id', isAuthenticated, isAdmin, updatePromoCode);
-router.delete('/:id', isAuthenticated, isAdmin, deletePromoCode);
+router.post('/create', isAuthenticated, requirePermission('marketing.promotions'), auditEntity('PromoCode'), createPromoCode);
+router.get('/all', isAuthenticated, requirePermission('marketing.promotions'), getAllPromoCodes);
+router.get('/:id', isAuthenticated, requirePermission('marketing.promotions'), getPromoCodeById);
+router.put('/:id', isAuthenticated, requirePermission('marketing.promotions'), auditEntity('PromoCode', 'id'), updatePromoCode);
+router.delete('/:id', isAuthenticated, requirePermission('marketing.promotions'), auditEntity('PromoCode', 'id'), deletePromoCode);
 
 // Admin-only routes for managing promo codes - Legacy complex routes
-router.get('/admin/promo-codes', isAuthenticated, isAdmin, getAllPromoCodes);
-router.get('/admin/promo-codes/stats', isAuthenticated, isAdmin, getPromoCodeStats);
-router.get('/admin/promo-codes/search', isAuthenticated, isAdmin, searchPromoCodes);
-router.get('/admin/promo-codes/status/:status', isAuthenticated, isAdmin, getPromoCodesByStatus);
-router.get('/admin/promo-codes/expired', isAuthenticated, isAdmin, getExpiredPromoCodes);
-router.get('/admin/promo-codes/:id', isAuthenticated, isAdmin, getPromoCodeById);
-router.post('/admin/promo-codes', isAuthenticated, isAdmin, createPromoCode);
-router.post('/admin/promo-codes/bulk/toggle-status', isAuthenticated, isAdmin, bulkToggleStatus);
-router.post('/admin/promo-codes/bulk/delete', isAuthenticated, isAdmin, bulkDelete);
-router.post('/admin/promo-codes/:id/clone', isAuthenticated, isAdmin, clonePromoCode);
-router.put('/admin/promo-codes/:id', isAuthenticated, isAdmin, updatePromoCode);
-router.delete('/admin/promo-codes/:id', isAuthenticated, isAdmin, deletePromoCode);
+router.get('/admin/promo-codes', isAuthenticated, requirePermission('marketing.promotions'), getAllPromoCodes);
+router.get('/admin/promo-codes/stats', isAuthenticated, requirePermission('marketing.promotions'), getPromoCodeStats);
+router.get('/admin/promo-codes/search', isAuthenticated, requirePermission('marketing.promotions'), searchPromoCodes);
+router.get('/admin/promo-codes/status/:status', isAuthenticated, requirePermission('marketing.promotions'), getPromoCodesByStatus);
+router.get('/admin/promo-codes/expired', isAuthenticated, requirePermission('marketing.promotions'), getExpiredPromoCodes);
+router.get('/admin/promo-codes/:id', isAuthenticated, requirePermission('marketing.promotions'), getPromoCodeById);
+router.post('/admin/promo-codes', isAuthenticated, requirePermission('marketing.promotions'), auditEntity('PromoCode'), createPromoCode);
+router.post('/admin/promo-codes/bulk/toggle-status', isAuthenticated, requirePermission('marketing.promotions'), bulkToggleStatus);
+router.post('/admin/promo-codes/bulk/delete', isAuthenticated, requirePermission('marketing.promotions'), bulkDelete);
+router.post('/admin/promo-codes/:id/clone', isAuthenticated, requirePermission('marketing.promotions'), auditEntity('PromoCode'), clonePromoCode);
+router.put('/admin/promo-codes/:id', isAuthenticated, requirePermission('marketing.promotions'), auditEntity('PromoCode', 'id'), updatePromoCode);
+router.delete('/admin/promo-codes/:id', isAuthenticated, requirePermission('marketing.promotions'), auditEntity('PromoCode', 'id'), deletePromoCode);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const razorpayWebhookController = require("../controllers/paymentController/razorpayWebhookController");
+const { verifyToken } = require("../middleware/VerifyToken");
+const { requirePermission } = require("../middleware/RequirePermission");
+
+// POST /api/webhooks/razorpay - Called by Razorpay (Dashboard → Webhooks).
+// The signature is computed over the exact bytes sent, so the body must stay raw.
+router.post("/", express.raw({ type: "*/*", limit: "1mb" }), razorpayWebhookController.handleWebhook);
+
+// GET /api/webhooks/razorpay/events?event=&status=&razorpayOrderId= - Stored events (admin)
+router.get("/events", verifyToken, requirePermission("finance.payments"), razorpayWebhookController.getWebhookEvents);
+
+// POST /api/webhooks/razorpay/events/:eventId/replay - Re-process a stored event (admin)
+router.post("/events/:eventId/replay", verifyToken, requirePermission("finance.payments"), razorpayWebhookController.replayWebhookEvent);
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const reviewController = require('../controllers/reviewController/ReviewController');
-const { isAuthenticated, isAdmin } = require('../middleware/authMiddleware');
+const { isAuthenticated } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/RequirePermission');
 
 // ---------- USER ROUTES (Item ID) ----------
 
@@ -31,13 +32,13 @@ router.get('/public/:itemId/average-rating', reviewController.getAverageRating);
 // ---------- ADMIN ROUTES (Item ID) ----------
 
 // Get reviews by Item ID (admin)
-router.get('/admin/:itemId/reviews', isAuthenticated, isAdmin, reviewController.getReviews);
+router.get('/admin/:itemId/reviews', isAuthenticated, requirePermission('catalog.write'), reviewController.getReviews);
 
 // Add a fake review using userId (admin, uses itemId)
-router.post('/admin/:itemId/reviews', isAuthenticated, isAdmin, reviewController.createFakeReview);
+router.post('/admin/:itemId/reviews', isAuthenticated, requirePermission('catalog.write'), reviewController.createFakeReview);
 
 // Update review settings (admin, uses itemId)
-router.put('/admin/:itemId/review-settings', isAuthenticated, isAdmin, reviewController.updateReviewSettings);
+router.put('/admin/:itemId/review-settings', isAuthenticated, requirePermission('catalog.write'), reviewController.updateReviewSettings);
 
 // ===== FRONTEND COMPATIBLE ENDPOINTS =====
 // Import the new product review controller for frontend-compatible endpoints
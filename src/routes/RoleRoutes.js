@@ -0,0 +1,37 @@
+const express = require("express");
+const router = express.Router();
+const RoleController = require("../controllers/adminController/RoleController");
+const { verifyToken } = require("../middleware/VerifyToken");
+const { requirePermission } = require("../middleware/RequirePermission");
+const { auditEntity } = require("../middleware/AuditTrail");
+
+const auditRole = auditEntity("AdminRole", (req) => ({ key: req.params.roleKey }));
+
+// GET /api/admin/roles/me - The calling admin's roles and permissions (any admin)
+router.get("/me", verifyToken, requirePermission(), RoleController.getMyAccess);
+
+// Everything else manages roles
+router.use(verifyToken, requirePermission("roles.manage"));
+
+// GET /api/admin/roles/permissions - Permission catalog
+router.get("/permissions", RoleController.getPermissions);
+
+// GET /api/admin/roles/assignments - Admins and their roles
+router.get("/assignments", RoleController.getAssignments);
+
+// PUT /api/admin/roles/assignments/:userId { roles: [roleKey] } - Replace an admin's roles
+router.put("/assignments/:userId", auditEntity("User", "userId"), RoleController.assignRoles);
+
+// GET /api/admin/roles - Roles with admin counts
+router.get("/", RoleController.getRoles);
+
+// POST /api/admin/roles { key, name, description, permissions } - Create a custom role
+router.post("/", auditEntity("AdminRole"), RoleController.createRole);
+
+// PUT /api/admin/roles/:roleKey { name?, description?, permissions? } - Update a custom role
+router.put("/:roleKey", auditRole, RoleController.updateRole);
+
+// DELETE /api/admin/roles/:roleKey - Delete a custom role
+router.delete("/:roleKey", auditRole, RoleController.deleteRole);
+
+module.exports = router;
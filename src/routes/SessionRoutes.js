@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const SessionController = require("../controllers/authController/SessionController");
+const { verifyToken } = require("../middleware/VerifyToken");
+const { requirePermission } = require("../middleware/RequirePermission");
+
+router.use(verifyToken, requirePermission("users.manage"));
+
+// GET /api/admin/sessions/user/:userId?includeRevoked=true - A user's signed-in devices
+router.get("/user/:userId", SessionController.adminGetUserSessions);
+
+// DELETE /api/admin/sessions/user/:userId - Sign the user out of every device
+router.delete("/user/:userId", SessionController.adminRevokeUserSessions);
+
+// DELETE /api/admin/sessions/user/:userId/:sessionId - Sign out one of the user's sessions
+router.delete("/user/:userId/:sessionId", SessionController.adminRevokeUserSession);
+
+module.exports = router;
@@ -2,6 +2,29 @@ const express = require("express");
 const router = express.Router();
 const SettingsController = require("../controllers/settingsController/SettingsController");
 const { isAuthenticated } = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/RequirePermission");
+
+const SETTING_CATEGORIES = [
+  'communicationPreferences', 'profileVisibility', 'locationData',
+  'autoInvoice', 'huggingFaceApi', 'onlineDiscounts', 'shippingCharges',
+  'hsnCodes', 'userLimits', 'languageRegion', 'dynamicPricing',
+  'autoNotifications', 'webhooks'
+];
+
+// Each user's own preferences; every other category is store-wide (read by checkout,
+// invoicing, webhooks...) and needs the settings.manage permission
+const PERSONAL_CATEGORIES = ['communicationPreferences', 'profileVisibility', 'locationData', 'languageRegion'];
+
+// Require settings.manage when the request touches a store-wide category
+const guardStoreSettings = (getCategories) => (req, res, next) => {
+  const categories = getCategories(req);
+  if (categories.length > 0 && categories.every(category => PERSONAL_CATEGORIES.includes(category))) {
+    return next();
+  }
+  return requirePermission("settings.manage")(req, res, next);
+};
+const categoryFromParams = guardStoreSettings(req => [req.params.category]);
+const categoryFromBody = guardStoreSettings(req => [req.body?.category]);
 
 // Safe validation middleware - only use if express-validator is available
 const createValidation = () => {
@@ -10,12 +33,7 @@ const createValidation = () => {
     
     return {
       validateSettingCategory: [
-        param("category").isIn([
-          'communicationPreferences', 'profileVisibility', 'locationData',
-          'autoInvoice', 'huggingFaceApi', 'onlineDiscounts', 'shippingCharges',
-          'hsnCodes', 'userLimits', 'languageRegion', 'dynamicPricing',
-          'autoNotifications', 'webhooks'
-        ]).withMessage("Invalid setting category")
+        param("category").isIn(SETTING_CATEGORIES).withMessage("Invalid setting category")
       ],
       validateBulkUpdate: [
         body("updates").isArray().withMessage("Updates must be an array"),
@@ -38,22 +56,22 @@ const { validateSettingCategory, validateBulkUpdate } = createValidation();
 router.get("/", isAuthenticated, SettingsController.getUserSettings);
 
 // Update all user settings
-router.put("/", isAuthenticated, SettingsController.updateUserSettings);
+router.put("/", isAuthenticated, guardStoreSettings(req => Object.keys(req.body || {}).filter(key => SETTING_CATEGORIES.includes(key))), SettingsController.updateUserSettings);
 
 // Get specific setting category
-router.get("/category/:category", isAuthenticated, ...validateSettingCategory, SettingsController.getSettingCategory);
+router.get("/category/:category", isAuthenticated, ...validateSettingCategory, categoryFromParams, SettingsController.getSettingCategory);
 
 // Update specific setting category
-router.put("/category/:category", isAuthenticated, ...validateSettingCategory, SettingsController.updateSettingCategory);
+router.put("/category/:category", isAuthenticated, ...validateSettingCategory, categoryFromParams, SettingsController.updateSettingCategory);
 
 // Toggle specific setting (URL params)
-router.patch("/toggle/:category/:setting", isAuthenticated, SettingsController.toggleSetting);
+router.patch("/toggle/:category/:setting", isAuthenticated, categoryFromParams, SettingsController.toggleSetting);
 
 // Toggle specific setting (request body) - for our frontend
-router.patch("/toggle", isAuthenticated, SettingsController.toggleSettingBody);
+router.patch("/toggle", isAuthenticated, categoryFromBody, SettingsController.toggleSettingBody);
 
-// Reset settings
-router.post("/reset", isAuthenticated, SettingsController.resetSettings);
+// Reset settings (all categories unless body.category is given)
+router.post("/reset", isAuthenticated, categoryFromBody, SettingsController.resetSettings);
 
 // Get settings history
 router.get("/history", isAuthenticated, SettingsController.getSettingsHistory);
@@ -62,7 +80,7 @@ router.get("/history", isAuthenticated, SettingsController.getSettingsHistory);
 router.get("/export", isAuthenticated, SettingsController.exportSettings);
 
 // Bulk update settings
-router.put("/bulk", isAuthenticated, ...validateBulkUpdate, SettingsController.bulkUpdateSettings);
+router.put("/bulk", isAuthenticated, ...validateBulkUpdate, guardStoreSettings(req => (Array.isArray(req.body?.updates) ? req.body.updates.map(update => update.category) : [])), SettingsController.bulkUpdateSettings);
 
 // Include webhook routes
 const webhookRoutes = require("./WebhookRoutes");
@@ -76,13 +94,13 @@ router.use("/webhooks", webhookRoutes);
 router.get("/shipping/charges", isAuthenticated, SettingsController.getShippingCharges);
 
 // Create new shipping charge
-router.post("/shipping/charges", isAuthenticated, SettingsController.createShippingCharge);
+router.post("/shipping/charges", isAuthenticated, requirePermission("settings.manage"), SettingsController.createShippingCharge);
 
 // Update shipping charge
-router.put("/shipping/charges/:chargeId", isAuthenticated, SettingsController.updateShippingCharge);
+router.put("/shipping/charges/:chargeId", isAuthenticated, requirePermission("settings.manage"), SettingsController.updateShippingCharge);
 
 // Delete shipping charge
-router.delete("/shipping/charges/:chargeId", isAuthenticated, (req, res, next) => {
+router.delete("/shipping/charges/:chargeId", isAuthenticated, requirePermission("settings.manage"), (req, res, next) => {
   // Pre-validation middleware to check chargeId
   const { chargeId } = req.params;
   if (!chargeId || chargeId === 'undefined' || chargeId === 'null') {
@@ -104,7 +122,7 @@ router.delete("/shipping/charges/:chargeId", isAuthenticated, (req, res, next) =
 }, SettingsController.deleteShippingCharge);
 
 // Update general shipping settings
-router.put("/shipping/general", isAuthenticated, SettingsController.updateShippingSettings);
+router.put("/shipping/general", isAuthenticated, requirePermission("settings.manage"), SettingsController.updateShippingSettings);
 
 // Get shipping charge by location (lookup)
 router.get("/shipping/charges/lookup", isAuthenticated, SettingsController.getShippingChargeByLocation);
@@ -12,7 +12,8 @@ const { ApiResponse } = require("../utils/ApiResponse");
 
 // Import middleware for authentication and role-based access
 const { verifyToken } = require("../middleware/VerifyToken");
-const checkAdminRole = require("../middleware/CheckAdminRole");
+const { requirePermission } = require("../middleware/RequirePermission");
+const { auditEntity } = require("../middleware/AuditTrail");
 const { cache, clearCache } = require("../middleware/cache"); // Redis caching middleware
 
 // Initialize a new router for subcategory-related routes
@@ -43,7 +44,7 @@ const upload = multer({
  * @desc    Create a new subcategory with image upload
  * @access  Protected (Admin only)
  */
-SubCategoryRouter.post("/", verifyToken, checkAdminRole, upload.single("image"), async (req, res) => {
+SubCategoryRouter.post("/", verifyToken, requirePermission("catalog.write"), auditEntity("SubCategory"), upload.single("image"), async (req, res) => {
   try {
     // Ensure an image is uploaded
     if (!req.file) {
@@ -128,7 +129,7 @@ SubCategoryRouter.get("/:id", subCategoryController.getSubCategoryById);
  * @desc    Update an existing subcategory (with optional image replacement)
  * @access  Protected (Admin only)
  */
-SubCategoryRouter.put("/:id", verifyToken, checkAdminRole, upload.single("image"), async (req, res) => {
+SubCategoryRouter.put("/:id", verifyToken, requirePermission("catalog.write"), auditEntity("SubCategory", "id"), upload.single("image"), async (req, res) => {
   try {
     console.log("req.params.id", req.params.id);
 
@@ -178,7 +179,7 @@ SubCategoryRouter.put("/:id", verifyToken, checkAdminRole, upload.single("image"
  * @desc    Delete a subcategory by ID (clears cache after deletion)
  * @access  Protected (Admin only)
  */
-SubCategoryRouter.delete("/:id", verifyToken, checkAdminRole, async (req, res) => {
+SubCategoryRouter.delete("/:id", verifyToken, requirePermission("catalog.delete"), auditEntity("SubCategory", "id"), async (req, res) => {
   await subCategoryController.deleteSubCategory(req, res);
   // Clear subcategory cache after deletion (optional - don't fail if unavailable)
   try {
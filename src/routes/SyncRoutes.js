@@ -7,7 +7,7 @@
 const express = require('express');
 const router = express.Router();
 const { verifyToken } = require('../middleware/VerifyToken');
-const checkAdminRole = require('../middleware/CheckAdminRole');
+const { requirePermission } = require('../middleware/RequirePermission');
 const { clearCache } = require('../middleware/cache');
 const logger = require('../utils/logger');
 
@@ -20,7 +20,7 @@ const logger = require('../utils/logger');
  * POST /api/sync/cache/clear
  * Admin only - clears all cached data
  */
-router.post('/cache/clear', verifyToken, checkAdminRole, async (req, res) => {
+router.post('/cache/clear', verifyToken, requirePermission('catalog.write'), async (req, res) => {
   try {
     const cleared = await clearCache('cache:*');
     
@@ -49,7 +49,7 @@ router.post('/cache/clear', verifyToken, checkAdminRole, async (req, res) => {
  * POST /api/sync/cache/clear/:pattern
  * Admin only - clears cache matching specific pattern
  */
-router.post('/cache/clear/:pattern', verifyToken, checkAdminRole, async (req, res) => {
+router.post('/cache/clear/:pattern', verifyToken, requirePermission('catalog.write'), async (req, res) => {
   try {
     const { pattern } = req.params;
     const cachePattern = `cache:*${pattern}*`;
@@ -86,7 +86,7 @@ router.post('/cache/clear/:pattern', verifyToken, checkAdminRole, async (req, re
  * POST /api/sync/refresh
  * Admin only - triggers a data refresh across the system
  */
-router.post('/refresh', verifyToken, checkAdminRole, async (req, res) => {
+router.post('/refresh', verifyToken, requirePermission('catalog.write'), async (req, res) => {
   try {
     const { entities } = req.body; // Array of entities to refresh: ['products', 'categories', etc.]
     
@@ -128,7 +128,7 @@ router.post('/refresh', verifyToken, checkAdminRole, async (req, res) => {
  * GET /api/sync/status
  * Admin only - get current sync and cache status
  */
-router.get('/status', verifyToken, checkAdminRole, async (req, res) => {
+router.get('/status', verifyToken, requirePermission('catalog.write'), async (req, res) => {
   try {
     const { isRedisAvailable } = require('../middleware/cache');
     
@@ -8,6 +8,7 @@ const userController = require("../controllers/userController/UserController");
 const { verifyToken } = require("../middleware/VerifyToken");
 // Import optional authentication middleware for guest compatibility
 const { optionalVerifyToken } = require("../middleware/OptionalAuth");
+const { requirePermission } = require("../middleware/RequirePermission");
 
 // Create a new router instance
 const router = express.Router();
@@ -35,17 +36,18 @@ router.get("/getAlluser", verifyToken, userController.getAllUsers);
 
 /**
  * @route   POST /make-admin/:userId
- * @desc    Make a user admin (temporary development route)
- * @access  Protected
+ * @desc    Make a user admin (with no roles until they are assigned)
+ * @access  Admin (roles.manage)
  */
-router.post("/make-admin/:userId", verifyToken, async (req, res) => {
+router.post("/make-admin/:userId", verifyToken, requirePermission("roles.manage"), async (req, res) => {
   try {
     const User = require("../models/User");
     const { userId } = req.params;
     
+    // adminRoles is written even when empty so the legacy role migration never applies
     const user = await User.findByIdAndUpdate(
       userId,
-      { isAdmin: true },
+      [{ $set: { isAdmin: true, adminRoles: { $ifNull: ["$adminRoles", []] } } }],
       { new: true }
     );
     
@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const WebhookController = require("../controllers/webhookController/WebhookController");
 const { isAuthenticated } = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/RequirePermission");
 
 // Safe validation middleware
 const createValidation = () => {
@@ -95,6 +96,20 @@ const createValidation = () => {
           .optional()
           .isBoolean()
           .withMessage("Active must be a boolean value")
+      ],
+      validateLogQuery: [
+        query("page")
+          .optional()
+          .isInt({ min: 1 })
+          .withMessage("Page must be a positive integer"),
+        query("limit")
+          .optional()
+          .isInt({ min: 1, max: 100 })
+          .withMessage("Limit must be between 1 and 100"),
+        query("status")
+          .optional()
+          .isIn(['pending', 'retrying', 'success', 'failed'])
+          .withMessage("Status must be one of: pending, retrying, success, failed")
       ]
     };
   } catch (error) {
@@ -103,7 +118,8 @@ const createValidation = () => {
       validateWebhookCreate: [],
       validateWebhookUpdate: [],
       validateWebhookId: [],
-      validatePagination: []
+      validatePagination: [],
+      validateLogQuery: []
     };
   }
 };
@@ -112,7 +128,8 @@ const {
   validateWebhookCreate, 
   validateWebhookUpdate, 
   validateWebhookId, 
-  validatePagination 
+  validatePagination,
+  validateLogQuery
 } = createValidation();
 
 // ==============================
@@ -120,30 +137,33 @@ const {
 // ==============================
 
 // Get all webhooks for the authenticated user
-router.get("/", isAuthenticated, ...validatePagination, WebhookController.getWebhooks);
+router.get("/", isAuthenticated, requirePermission("settings.manage"), ...validatePagination, WebhookController.getWebhooks);
+
+// List the business events a webhook can subscribe to
+router.get("/events", isAuthenticated, requirePermission("settings.manage"), WebhookController.getAvailableEvents);
 
 // Create a new webhook
-router.post("/create", isAuthenticated, ...validateWebhookCreate, WebhookController.createWebhook);
+router.post("/create", isAuthenticated, requirePermission("settings.manage"), ...validateWebhookCreate, WebhookController.createWebhook);
 
 // Get a specific webhook by ID
-router.get("/:webhookId", isAuthenticated, ...validateWebhookId, WebhookController.getWebhookById);
+router.get("/:webhookId", isAuthenticated, requirePermission("settings.manage"), ...validateWebhookId, WebhookController.getWebhookById);
 
 // Update a webhook
-router.put("/:webhookId", isAuthenticated, ...validateWebhookUpdate, WebhookController.updateWebhook);
+router.put("/:webhookId", isAuthenticated, requirePermission("settings.manage"), ...validateWebhookUpdate, WebhookController.updateWebhook);
 
 // Delete a webhook
-router.delete("/:webhookId", isAuthenticated, ...validateWebhookId, WebhookController.deleteWebhook);
+router.delete("/:webhookId", isAuthenticated, requirePermission("settings.manage"), ...validateWebhookId, WebhookController.deleteWebhook);
 
 // Toggle webhook active status
-router.patch("/:webhookId/toggle", isAuthenticated, ...validateWebhookId, WebhookController.toggleWebhook);
+router.patch("/:webhookId/toggle", isAuthenticated, requirePermission("settings.manage"), ...validateWebhookId, WebhookController.toggleWebhook);
 
 // Test a webhook
-router.post("/:webhookId/test", isAuthenticated, ...validateWebhookId, WebhookController.testWebhook);
+router.post("/:webhookId/test", isAuthenticated, requirePermission("settings.manage"), ...validateWebhookId, WebhookController.testWebhook);
 
 // Get webhook logs
-router.get("/:webhookId/logs", isAuthenticated, ...validateWebhookId, ...validatePagination, WebhookController.getWebhookLogs);
+router.get("/:webhookId/logs", isAuthenticated, requirePermission("settings.manage"), ...validateWebhookId, ...validateLogQuery, WebhookController.getWebhookLogs);
 
 // Get webhook statistics
-router.get("/:webhookId/stats", isAuthenticated, ...validateWebhookId, WebhookController.getWebhookStats);
+router.get("/:webhookId/stats", isAuthenticated, requirePermission("settings.manage"), ...validateWebhookId, WebhookController.getWebhookStats);
 
 module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const CartAbandonmentController = require('../controllers/cartAbandonmentController/cartAbandonmentController');
+const { verifyToken } = require('../middleware/VerifyToken');
+const { requirePermission } = require('../middleware/RequirePermission');
 
 // Get all abandoned carts with filters
 router.get('/abandoned-carts', CartAbandonmentController.getAbandonedCarts);
@@ -44,4 +46,13 @@ router.get('/statistics', async (req, res) => {
   }
 });
 
+// Automated recovery sequence settings and per-step report (admin)
+router.get('/recovery/config', verifyToken, requirePermission('marketing.campaigns'), CartAbandonmentController.getRecoveryConfig);
+router.put('/recovery/config', verifyToken, requirePermission('marketing.campaigns'), CartAbandonmentController.updateRecoveryConfig);
+router.get('/recovery/report', verifyToken, requirePermission('marketing.campaigns'), CartAbandonmentController.getRecoveryReport);
+
+// Open/click tracking for recovery messages (linked from e-mails, push and SMS)
+router.get('/track/open/:token', CartAbandonmentController.trackOpen);
+router.get('/track/click/:token', CartAbandonmentController.trackClick);
+
 module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const firebaseAdminController = require('../controllers/adminController/firebaseAdminController');
+const { verifyToken } = require('../middleware/VerifyToken');
+const { requirePermission } = require('../middleware/RequirePermission');
 
 // Admin middleware to check authorization
 const isAdmin = (req, res, next) => {
@@ -16,26 +18,27 @@ const isAdmin = (req, res, next) => {
 };
 
 // ✅ Firebase Admin User Management Routes
+// Callers need the admin token and an admin login whose role grants the permission
 
 // Get all Firebase users
-router.get('/users', isAdmin, firebaseAdminController.getAllFirebaseUsers);
+router.get('/users', isAdmin, verifyToken, requirePermission('users.manage'), firebaseAdminController.getAllFirebaseUsers);
 
 // Get specific Firebase user by UID
-router.get('/users/:uid', isAdmin, firebaseAdminController.getFirebaseUserByUid);
+router.get('/users/:uid', isAdmin, verifyToken, requirePermission('users.manage'), firebaseAdminController.getFirebaseUserByUid);
 
 // Create new Firebase user
-router.post('/users', isAdmin, firebaseAdminController.createFirebaseUser);
+router.post('/users', isAdmin, verifyToken, requirePermission('users.manage'), firebaseAdminController.createFirebaseUser);
 
 // Update Firebase user
-router.put('/users/:uid', isAdmin, firebaseAdminController.updateFirebaseUser);
+router.put('/users/:uid', isAdmin, verifyToken, requirePermission('users.manage'), firebaseAdminController.updateFirebaseUser);
 
 // Update user status (enable/disable)
-router.patch('/users/:uid/status', isAdmin, firebaseAdminController.updateFirebaseUserStatus);
+router.patch('/users/:uid/status', isAdmin, verifyToken, requirePermission('users.manage'), firebaseAdminController.updateFirebaseUserStatus);
 
 // Delete Firebase user
-router.delete('/users/:uid', isAdmin, firebaseAdminController.deleteFirebaseUser);
+router.delete('/users/:uid', isAdmin, verifyToken, requirePermission('users.manage'), firebaseAdminController.deleteFirebaseUser);
 
 // Set custom claims for user
-router.post('/users/:uid/claims', isAdmin, firebaseAdminController.setCustomClaims);
+router.post('/users/:uid/claims', isAdmin, verifyToken, requirePermission('users.claims'), firebaseAdminController.setCustomClaims);
 
 module.exports = router;
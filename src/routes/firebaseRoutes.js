@@ -2,40 +2,41 @@ const express = require("express");
 const router = express.Router();
 const firebaseController = require("../controllers/firebaseController/firebaseController");
 const { isAuthenticated } = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/RequirePermission");
 
 /**
  * @route GET /api/firebase/users
  * @desc Get all Firebase authenticated users
- * @access Private (Admin only)
+ * @access Private (Admin, users.manage)
  */
-router.get("/users", firebaseController.getAllFirebaseUsers);
+router.get("/users", isAuthenticated, requirePermission("users.manage"), firebaseController.getAllFirebaseUsers);
 
 /**
  * @route GET /api/firebase/users/:uid
  * @desc Get Firebase user by UID
- * @access Public (for testing)
+ * @access Private (Admin, users.manage)
  */
-router.get("/users/:uid", firebaseController.getFirebaseUserById);
+router.get("/users/:uid", isAuthenticated, requirePermission("users.manage"), firebaseController.getFirebaseUserById);
 
 /**
  * @route POST /api/firebase/users/:uid/block
  * @desc Block/Disable Firebase user
- * @access Public (for testing)
+ * @access Private (Admin, users.manage)
  */
-router.post("/users/:uid/block", firebaseController.blockFirebaseUser);
+router.post("/users/:uid/block", isAuthenticated, requirePermission("users.manage"), firebaseController.blockFirebaseUser);
 
 /**
  * @route POST /api/firebase/users/:uid/unblock
  * @desc Unblock/Enable Firebase user
- * @access Public (for testing)
+ * @access Private (Admin, users.manage)
  */
-router.post("/users/:uid/unblock", firebaseController.unblockFirebaseUser);
+router.post("/users/:uid/unblock", isAuthenticated, requirePermission("users.manage"), firebaseController.unblockFirebaseUser);
 
 /**
  * @route DELETE /api/firebase/users/:uid
  * @desc Delete Firebase user
- * @access Public (for testing)
+ * @access Private (Admin, users.manage)
  */
-router.delete("/users/:uid", firebaseController.deleteFirebaseUser);
+router.delete("/users/:uid", isAuthenticated, requirePermission("users.manage"), firebaseController.deleteFirebaseUser);
 
 module.exports = router;
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const inviteFriendController = require('../controllers/inviteController/inviteafriend');
 const { verifyToken } = require('../middleware/VerifyToken');
-const checkAdminRole = require('../middleware/CheckAdminRole');
+const { requirePermission } = require('../middleware/RequirePermission');
 
 // Public routes (no authentication required)
 
@@ -23,48 +23,48 @@ router.get('/my-redeemed', verifyToken, inviteFriendController.getUserRedeemedCo
 // Admin routes (admin authentication required)
 
 // Get all invite codes with pagination and search
-router.get('/admin/all', checkAdminRole, inviteFriendController.getAllInviteCodes);
+router.get('/admin/all', verifyToken, requirePermission('marketing.campaigns'), inviteFriendController.getAllInviteCodes);
 
 // Get specific invite code by ID
-router.get('/admin/:id', checkAdminRole, inviteFriendController.getInviteCodeById);
+router.get('/admin/:id', verifyToken, requirePermission('marketing.campaigns'), inviteFriendController.getInviteCodeById);
 
 // Create new invite code
-router.post('/admin/create', checkAdminRole, inviteFriendController.createInviteCode);
+router.post('/admin/create', verifyToken, requirePermission('marketing.campaigns'), inviteFriendController.createInviteCode);
 
 // Update invite code
-router.put('/admin/:id', checkAdminRole, inviteFriendController.updateInviteCode);
+router.put('/admin/:id', verifyToken, requirePermission('marketing.campaigns'), inviteFriendController.updateInviteCode);
 
 // Delete invite code
-router.delete('/admin/:id', checkAdminRole, inviteFriendController.deleteInviteCode);
+router.delete('/admin/:id', verifyToken, requirePermission('marketing.campaigns'), inviteFriendController.deleteInviteCode);
 
 // Toggle invite code status (active/inactive)
-router.patch('/admin/:id/toggle-status', checkAdminRole, inviteFriendController.toggleInviteCodeStatus);
+router.patch('/admin/:id/toggle-status', verifyToken, requirePermission('marketing.campaigns'), inviteFriendController.toggleInviteCodeStatus);
 
 // Generate random invite code
-router.post('/admin/generate-code', checkAdminRole, inviteFriendController.generateInviteCode);
+router.post('/admin/generate-code', verifyToken, requirePermission('marketing.campaigns'), inviteFriendController.generateInviteCode);
 
 // Get detailed stats (admin only)
-router.get('/admin/detailed-stats', checkAdminRole, inviteFriendController.getDetailedInviteCodeStats);
+router.get('/admin/detailed-stats', verifyToken, requirePermission('marketing.campaigns'), inviteFriendController.getDetailedInviteCodeStats);
 
 // Bulk operations (admin only)
 
 // Bulk delete invite codes
-router.delete('/admin/bulk-delete', checkAdminRole, inviteFriendController.bulkDeleteInviteCodes);
+router.delete('/admin/bulk-delete', verifyToken, requirePermission('marketing.campaigns'), inviteFriendController.bulkDeleteInviteCodes);
 
 // Bulk update status
-router.patch('/admin/bulk-status', checkAdminRole, inviteFriendController.bulkUpdateStatus);
+router.patch('/admin/bulk-status', verifyToken, requirePermission('marketing.campaigns'), inviteFriendController.bulkUpdateStatus);
 
 // Export/Import routes
 
 // Export invite codes to CSV
-router.get('/admin/export', checkAdminRole, inviteFriendController.exportInviteCodes);
+router.get('/admin/export', verifyToken, requirePermission('marketing.campaigns'), inviteFriendController.exportInviteCodes);
 
 // Analytics routes
 
 // Get redemption analytics
-router.get('/admin/analytics/redemptions', checkAdminRole, inviteFriendController.getRedemptionAnalytics);
+router.get('/admin/analytics/redemptions', verifyToken, requirePermission('marketing.campaigns'), inviteFriendController.getRedemptionAnalytics);
 
 // Get performance analytics
-router.get('/admin/analytics/performance', checkAdminRole, inviteFriendController.getPerformanceAnalytics);
+router.get('/admin/analytics/performance', verifyToken, requirePermission('marketing.campaigns'), inviteFriendController.getPerformanceAnalytics);
 
 module.exports = router;
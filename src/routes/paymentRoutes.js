@@ -22,6 +22,9 @@ router.post("/create-order", requireAuthForCheckout, validateCheckoutRequirement
 // MANDATORY: Authentication required to verify payments for security
 router.post("/verify-payment", requireAuthForCheckout, paymentController.verifyPayment);
 
+// Route to report a failed/abandoned payment so the held stock is released immediately
+router.post("/payment-failed", requireAuthForCheckout, paymentController.paymentFailed);
+
 // 📊 Route to get shipping status (for frontend polling)
 // Protected by verifyToken to ensure only authenticated users can check their order status
 router.get("/shipping-status/:orderId", verifyToken, paymentController.getShippingStatus);
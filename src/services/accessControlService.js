@@ -0,0 +1,262 @@
+// Access Control Service - admin roles, assignments and permission checks.
+// Roles (AdminRole) are named permission sets from config/permissions; an admin's
+// permissions are the union of their roles (User.adminRoles). Role permissions are
+// cached briefly so the per-request check does not read every role every time.
+const User = require('../models/User');
+const AdminRole = require('../models/AdminRole');
+const { PERMISSIONS, ALL_PERMISSIONS, SYSTEM_ROLES, LEGACY_ADMIN_ROLE } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+const SUPER_ADMIN_ROLE = 'super_admin';
+
+// HTTP status for each access control error code
+const ROLE_ERROR_STATUS = {
+    ROLE_NOT_FOUND: 404,
+    ROLE_EXISTS: 409,
+    ROLE_SYSTEM: 400,
+    ROLE_INVALID: 400,
+    USER_NOT_FOUND: 404,
+    USER_NOT_ADMIN: 400,
+    LAST_SUPER_ADMIN: 409
+};
+
+const roleError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+let roleCache = null; // { loadedAt, permissionsByKey: Map<string, string[]> }
+
+const invalidateRoleCache = () => {
+    roleCache = null;
+};
+
+const getRolePermissions = async () => {
+    if (roleCache && Date.now() - roleCache.loadedAt < ROLE_CACHE_TTL_MS) return roleCache.permissionsByKey;
+
+    const roles = await AdminRole.find().select('key permissions').lean();
+    roleCache = {
+        loadedAt: Date.now(),
+        permissionsByKey: new Map(roles.map(role => [role.key, role.permissions]))
+    };
+    return roleCache.permissionsByKey;
+};
+
+/**
+ * Role keys in effect for an admin. An admin with no roles may do nothing.
+ * @param {Object} user - User with isAdmin and adminRoles
+ * @returns {string[]}
+ */
+const effectiveRoles = (user) => (user?.isAdmin ? user.adminRoles || [] : []);
+
+/**
+ * Everything an admin may do.
+ * @param {Object} user - User with isAdmin and adminRoles
+ * @returns {Promise<Set<string>>}
+ */
+const resolvePermissions = async (user) => {
+    const permissionsByKey = await getRolePermissions();
+    const permissions = new Set();
+    effectiveRoles(user).forEach(key => {
+        (permissionsByKey.get(key) || []).forEach(permission => permissions.add(permission));
+    });
+    return permissions;
+};
+
+/**
+ * @param {Set<string>} permissions - resolvePermissions result
+ * @param {string[]} required
+ */
+const hasPermissions = (permissions, required) => permissions.has(ALL_PERMISSIONS) ||
+    required.every(permission => permissions.has(permission));
+
+/**
+ * Create the built-in roles and keep their permissions in line with config/permissions.
+ */
+const ensureSystemRoles = async () => {
+    await Promise.all(SYSTEM_ROLES.map(role => AdminRole.updateOne(
+        { key: role.key },
+        { $set: { name: role.name, description: role.description, permissions: role.permissions, isSystem: true } },
+        { upsert: true }
+    )));
+    invalidateRoleCache();
+};
+
+const validatePermissionList = (permissions) => {
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+        throw roleError('ROLE_INVALID', 'permissions must be a non-empty array');
+    }
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length) throw roleError('ROLE_INVALID', `Unknown permissions: ${unknown.join(', ')}`);
+    return [...new Set(permissions)];
+};
+
+/**
+ * Roles with the number of admins holding each.
+ * @returns {Promise<Object[]>}
+ */
+const listRoles = async () => {
+    const [roles, counts] = await Promise.all([
+        AdminRole.find().sort({ isSystem: -1, name: 1 }).lean(),
+        User.aggregate([
+            { $match: { isAdmin: true, adminRoles: { $exists: true, $ne: [] } } },
+            { $unwind: '$adminRoles' },
+            { $group: { _id: '$adminRoles', admins: { $sum: 1 } } }
+        ])
+    ]);
+    const adminsByRole = new Map(counts.map(row => [row._id, row.admins]));
+    return roles.map(role => ({ ...role, admins: adminsByRole.get(role.key) || 0 }));
+};
+
+/**
+ * @param {{ key, name, description, permissions }} fields
+ * @param {string} createdBy - Admin user id
+ */
+const createRole = async ({ key, name, description = '', permissions }, createdBy) => {
+    if (!key || !name) throw roleError('ROLE_INVALID', 'key and name are required');
+    const normalisedKey = String(key).trim().toLowerCase();
+    if (await AdminRole.exists({ key: normalisedKey })) throw roleError('ROLE_EXISTS', `Role ${normalisedKey} already exists`);
+
+    const role = await AdminRole.create({
+        key: normalisedKey,
+        name,
+        description,
+        permissions: validatePermissionList(permissions),
+        createdBy
+    });
+    invalidateRoleCache();
+    return role;
+};
+
+/**
+ * Edit a custom role's name, description or permissions.
+ * @param {string} key
+ * @param {{ name?, description?, permissions? }} fields
+ */
+const updateRole = async (key, { name, description, permissions }) => {
+    const role = await AdminRole.findOne({ key });
+    if (!role) throw roleError('ROLE_NOT_FOUND', 'Role not found');
+    if (role.isSystem) throw roleError('ROLE_SYSTEM', 'Built-in roles cannot be changed');
+
+    if (name !== undefined) role.name = name;
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = validatePermissionList(permissions);
+    await role.save();
+    invalidateRoleCache();
+    return role;
+};
+
+/**
+ * Delete a custom role and take it away from the admins who had it.
+ * @param {string} key
+ * @returns {Promise<{ role: Object, unassigned: number }>}
+ */
+const deleteRole = async (key) => {
+    const role = await AdminRole.findOne({ key });
+    if (!role) throw roleError('ROLE_NOT_FOUND', 'Role not found');
+    if (role.isSystem) throw roleError('ROLE_SYSTEM', 'Built-in roles cannot be deleted');
+
+    const { modifiedCount } = await User.updateMany({ adminRoles: key }, { $pull: { adminRoles: key } });
+    await role.deleteOne();
+    invalidateRoleCache();
+    return { role, unassigned: modifiedCount };
+};
+
+const superAdminFilter = () => ({ isAdmin: true, adminRoles: SUPER_ADMIN_ROLE });
+
+/**
+ * Replace an admin's roles. The last super admin cannot lose the role.
+ * @param {string} userId
+ * @param {string[]} roleKeys
+ * @returns {Promise<Object>} The user's id, roles and resulting permissions
+ */
+const assignRoles = async (userId, roleKeys) => {
+    if (!Array.isArray(roleKeys)) throw roleError('ROLE_INVALID', 'roles must be an array of role keys');
+    const keys = [...new Set(roleKeys.map(key => String(key).trim().toLowerCase()))];
+
+    const user = await User.findById(userId).select('name email isAdmin adminRoles').lean();
+    if (!user) throw roleError('USER_NOT_FOUND', 'User not found');
+    if (!user.isAdmin) throw roleError('USER_NOT_ADMIN', 'Roles can only be assigned to admin users');
+
+    const existing = await AdminRole.find({ key: { $in: keys } }).select('key').lean();
+    const missing = keys.filter(key => !existing.some(role => role.key === key));
+    if (missing.length) throw roleError('ROLE_NOT_FOUND', `Unknown roles: ${missing.join(', ')}`);
+
+    const losesSuperAdmin = effectiveRoles(user).includes(SUPER_ADMIN_ROLE) &&
+        !effectiveRoles({ isAdmin: true, adminRoles: keys }).includes(SUPER_ADMIN_ROLE);
+    if (losesSuperAdmin) {
+        const others = await User.countDocuments({ ...superAdminFilter(), _id: { $ne: user._id } });
+        if (others === 0) throw roleError('LAST_SUPER_ADMIN', 'At least one admin must keep the super admin role');
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { adminRoles: keys } });
+    user.adminRoles = keys;
+    logger.info(`Admin roles for user ${user._id} set to [${keys.join(', ')}]`);
+
+    return {
+        userId: user._id,
+        name: user.name,
+        email: user.email,
+        roles: effectiveRoles(user),
+        permissions: [...await resolvePermissions(user)]
+    };
+};
+
+/**
+ * Every admin with the roles in effect for them.
+ * @returns {Promise<Object[]>}
+ */
+const listAssignments = async () => {
+    const admins = await User.find({ isAdmin: true }).select('name email phNo adminRoles').sort({ name: 1 }).lean();
+    return admins.map(admin => ({
+        userId: admin._id,
+        name: admin.name,
+        email: admin.email,
+        phone: admin.phNo,
+        assignedRoles: admin.adminRoles || [],
+        roles: effectiveRoles({ ...admin, isAdmin: true })
+    }));
+};
+
+/**
+ * Give admins from before roles existed (no adminRoles field at all) the legacy role, once.
+ * Admins created or edited since always have the field, so an empty role list is never
+ * widened again.
+ * @returns {Promise<number>} Admins migrated
+ */
+const migrateLegacyAdmins = async () => {
+    if (!LEGACY_ADMIN_ROLE || LEGACY_ADMIN_ROLE === 'none') return 0;
+    const { modifiedCount } = await User.updateMany(
+        { isAdmin: true, adminRoles: { $exists: false } },
+        { $set: { adminRoles: [LEGACY_ADMIN_ROLE] } }
+    );
+    if (modifiedCount > 0) logger.info(`Gave ${modifiedCount} existing admins the ${LEGACY_ADMIN_ROLE} role`);
+    return modifiedCount;
+};
+
+/**
+ * Create the built-in roles and migrate existing admins on startup. Safe to call more than once.
+ */
+const init = () => {
+    ensureSystemRoles()
+        .then(migrateLegacyAdmins)
+        .catch(error => logger.error('Failed to set up admin roles:', error.message));
+};
+
+module.exports = {
+    ROLE_ERROR_STATUS,
+    init,
+    effectiveRoles,
+    resolvePermissions,
+    hasPermissions,
+    ensureSystemRoles,
+    invalidateRoleCache,
+    listRoles,
+    createRole,
+    updateRole,
+    deleteRole,
+    assignRoles,
+    listAssignments
+};
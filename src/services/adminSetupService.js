@@ -31,6 +31,10 @@ class AdminSetupService {
             });
             
             if (specificAdmin) {
+                // The configured admin is the store owner and must always be able to manage roles
+                if (!(specificAdmin.adminRoles || []).includes('super_admin')) {
+                    await User.updateOne({ _id: specificAdmin._id }, { $addToSet: { adminRoles: 'super_admin' } });
+                }
                 console.log('✅ Specific admin user already exists:', {
                     id: specificAdmin._id,
                     phone: specificAdmin.phNo,
@@ -83,6 +87,7 @@ class AdminSetupService {
                 password: hashedPassword,
                 email,
                 isAdmin: true,
+                adminRoles: ['super_admin'],
                 isVerified: true,
                 isPhoneVerified: true,
                 isEmailVerified: true,
@@ -142,7 +147,8 @@ class AdminSetupService {
                     isAdmin: true,
                     isVerified: true,
                     isPhoneVerified: true,
-                    isEmailVerified: true
+                    isEmailVerified: true,
+                    $addToSet: { adminRoles: 'super_admin' }
                 },
                 { new: true }
             );
@@ -0,0 +1,324 @@
+// Audit Service - trail of admin changes.
+// RequirePermission starts tracking every admin POST/PUT/PATCH/DELETE; when the response
+// is sent an AuditLog entry records the actor, route, outcome and IP. Routes that declare
+// their target (middleware/AuditTrail) also get the entity and a field-level before/after
+// diff, read from the database before the handler runs and again once it has finished.
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { effectiveRoles } = require('./accessControlService');
+const logger = require('../utils/logger');
+
+const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const IGNORED_FIELDS = new Set(['_id', '__v', 'createdAt', 'updatedAt']);
+const SECRET_FIELD = /password|secret|token|otp|apikey|api_key/i;
+const REDACTED = '[redacted]';
+const MAX_CHANGES = 200;
+const MAX_VALUE_LENGTH = 500;
+const MAX_BODY_LENGTH = 10000;
+const MAX_EXPORT_ROWS = 10000;
+const LABEL_FIELDS = ['orderNumber', 'productName', 'code', 'name', 'title', 'key', 'email'];
+
+const isMutation = (req) => AUDITED_METHODS.includes(req.method);
+
+// Comparable, storable form of a leaf value
+const normaliseValue = (value) => {
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) return `${value.slice(0, MAX_VALUE_LENGTH)}…`;
+    return value === undefined ? null : value;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+    !(value instanceof mongoose.Types.ObjectId) && !(value instanceof Date) && !Buffer.isBuffer(value);
+
+/**
+ * Flatten a document into dotted paths. Arrays of sub-documents are walked by index;
+ * arrays of plain values are kept whole so a reorder reads as one change.
+ */
+const flatten = (value, prefix = '', out = {}) => {
+    if (Array.isArray(value) && value.some(isPlainObject)) {
+        if (value.length === 0 && prefix) out[prefix] = [];
+        value.forEach((entry, index) => flatten(entry, prefix ? `${prefix}.${index}` : String(index), out));
+        return out;
+    }
+    if (isPlainObject(value) && !Array.isArray(value)) {
+        const keys = Object.keys(value);
+        if (keys.length === 0 && prefix) out[prefix] = {};
+        keys.forEach(key => {
+            if (!prefix && IGNORED_FIELDS.has(key)) return;
+            if (key === '__v') return;
+            const path = prefix ? `${prefix}.${key}` : key;
+            if (SECRET_FIELD.test(key)) {
+                out[path] = REDACTED;
+                return;
+            }
+            flatten(value[key], path, out);
+        });
+        return out;
+    }
+    if (prefix) out[prefix] = Array.isArray(value) ? value.map(normaliseValue) : normaliseValue(value);
+    return out;
+};
+
+/**
+ * Field-level differences between two versions of a document.
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {{ path: string, before: *, after: * }[]}
+ */
+const diffDocuments = (before, after) => {
+    const previous = before ? flatten(before) : {};
+    const next = after ? flatten(after) : {};
+    const paths = [...new Set([...Object.keys(previous), ...Object.keys(next)])].sort();
+
+    const changes = [];
+    for (const path of paths) {
+        const from = previous[path] === undefined ? null : previous[path];
+        const to = next[path] === undefined ? null : next[path];
+        if (from === REDACTED && to === REDACTED) continue;
+        if (JSON.stringify(from) === JSON.stringify(to)) continue;
+        changes.push({ path, before: from, after: to });
+        if (changes.length === MAX_CHANGES) break;
+    }
+    return changes;
+};
+
+// Request body with secrets removed; large bodies are reduced to their keys
+const sanitiseBody = (body) => {
+    if (!body || typeof body !== 'object' || Object.keys(body).length === 0) return null;
+    const redact = (value) => {
+        if (Array.isArray(value)) return value.map(redact);
+        if (!isPlainObject(value)) return normaliseValue(value);
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) =>
+            [key, SECRET_FIELD.test(key) ? REDACTED : redact(entry)]));
+    };
+    const sanitised = redact(body);
+    return JSON.stringify(sanitised).length > MAX_BODY_LENGTH
+        ? { truncated: true, fields: Object.keys(body) }
+        : sanitised;
+};
+
+// req.ip follows the app's trust proxy setting; a raw X-Forwarded-For is set by the client
+const clientIp = (req) => req.ip || req.connection?.remoteAddress || null;
+
+const entityLabel = (doc) => {
+    if (!doc) return null;
+    const field = LABEL_FIELDS.find(key => typeof doc[key] === 'string' && doc[key]);
+    return field ? doc[field] : null;
+};
+
+// Id of the document a create route returned: { data: { _id } }, { _id }, { <name>: { _id } }
+// or { data: { <name>: { _id } } }
+const createdId = (body) => {
+    if (!body || typeof body !== 'object') return null;
+    const data = body.data && typeof body.data === 'object' ? body.data : {};
+    const candidates = [data, body, ...Object.values(body), ...Object.values(data)];
+    const match = candidates.find(candidate => candidate && typeof candidate === 'object' &&
+        candidate._id && mongoose.Types.ObjectId.isValid(String(candidate._id)));
+    return match ? String(match._id) : null;
+};
+
+const loadEntity = (entityType, filter) => mongoose.model(entityType).findOne(filter).lean();
+
+/**
+ * Name the entity a route changes and snapshot it before the handler runs. Called by
+ * middleware/AuditTrail after RequirePermission.
+ * @param {Object} req
+ * @param {string} entityType - Mongoose model name
+ * @param {Object|null} filter - Locates the entity; null for creates and bulk routes
+ */
+const captureBefore = async (req, entityType, filter) => {
+    req.audit = { ...req.audit, entityType, filter };
+    if (!filter) return;
+    try {
+        req.audit.before = await loadEntity(entityType, filter);
+    } catch (error) {
+        // Malformed ids are the handler's to reject; the entry is still written
+        logger.warn(`Audit: could not load ${entityType} before ${req.method} ${req.originalUrl}: ${error.message}`);
+    }
+};
+
+const recordRequest = async (req, res, responseBody) => {
+    const audit = req.audit || {};
+    const success = res.statusCode < 400;
+    const entry = {
+        actor: {
+            userId: req.adminUser?._id || req.user?._id,
+            name: req.adminUser?.name || null,
+            email: req.adminUser?.email || null,
+            roles: effectiveRoles(req.adminUser)
+        },
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : audit.route,
+        path: req.originalUrl.split('?')[0],
+        params: req.params || {},
+        permissions: audit.permissions || [],
+        requestBody: sanitiseBody(req.body),
+        statusCode: res.statusCode,
+        success,
+        errorMessage: success ? null : String(responseBody?.message || responseBody?.error || '') || null,
+        durationMs: Date.now() - audit.startedAt,
+        ip: clientIp(req),
+        userAgent: req.headers['user-agent'] || null
+    };
+
+    if (audit.entityType) {
+        const { entityType, filter, before = null } = audit;
+        let after = null;
+        let id = before?._id ? String(before._id) : null;
+
+        if (success) {
+            if (!filter && req.method === 'POST') id = createdId(responseBody);
+            const afterFilter = filter || (id ? { _id: id } : null);
+            if (afterFilter) after = await loadEntity(entityType, afterFilter);
+        }
+        if (!id && after?._id) id = String(after._id);
+
+        let operation = 'action';
+        if (success && !before && after && req.method === 'POST') operation = 'create';
+        else if (success && before && !after) operation = 'delete';
+        else if (before || after) operation = 'update';
+
+        entry.entity = { type: entityType, id, label: entityLabel(after || before) };
+        entry.operation = operation;
+        entry.changes = success ? diffDocuments(before, after) : [];
+    }
+
+    await AuditLog.create(entry);
+};
+
+/**
+ * Record an admin request once its response has been sent. Wraps res.json to keep the
+ * response body (error message, id of a created document). Called by RequirePermission
+ * for mutating methods; a second call for the same request is ignored.
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string[]} permissions - Permissions the route required
+ */
+const trackAdminRequest = (req, res, permissions = []) => {
+    if (!isMutation(req) || req.audit?.tracked || req.audit?.skip) return;
+    req.audit = {
+        ...req.audit,
+        tracked: true,
+        startedAt: Date.now(),
+        route: req.originalUrl.split('?')[0], // replaced by the route pattern once a route has matched
+        permissions
+    };
+
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        responseBody = body;
+        return json(body);
+    };
+
+    res.once('finish', () => {
+        recordRequest(req, res, responseBody).catch(error =>
+            logger.error(`Audit: failed to record ${req.method} ${req.originalUrl}:`, error.message));
+    });
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Mongo filter for the audit search and export.
+ * @param {Object} query - actorId, entityType, entityId, method, operation, success, from, to, q
+ */
+const buildAuditFilter = ({ actorId, entityType, entityId, method, operation, success, from, to, q } = {}) => {
+    const filter = {};
+    if (actorId && mongoose.Types.ObjectId.isValid(actorId)) filter['actor.userId'] = actorId;
+    if (entityType) filter['entity.type'] = entityType;
+    if (entityId) filter['entity.id'] = String(entityId);
+    if (method) filter.method = String(method).toUpperCase();
+    if (operation) filter.operation = operation;
+    if (success === 'true' || success === 'false') filter.success = success === 'true';
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+    }
+    if (q) {
+        const pattern = new RegExp(escapeRegex(q), 'i');
+        filter.$or = [
+            { path: pattern },
+            { 'actor.email': pattern },
+            { 'actor.name': pattern },
+            { 'entity.label': pattern },
+            { 'changes.path': pattern }
+        ];
+    }
+    return filter;
+};
+
+/**
+ * Paginated audit entries, newest first.
+ * @returns {Promise<{ entries: Object[], pagination: Object }>}
+ */
+const searchAuditLogs = async (query = {}) => {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 200);
+    const filter = buildAuditFilter(query);
+
+    const [entries, total] = await Promise.all([
+        AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+        AuditLog.countDocuments(filter)
+    ]);
+    return {
+        entries,
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    };
+};
+
+/**
+ * Everything recorded against one entity, newest first.
+ * @param {string} entityType - Model name, e.g. "Order"
+ * @param {string} entityId
+ */
+const getEntityHistory = (entityType, entityId, query = {}) =>
+    searchAuditLogs({ ...query, entityType, entityId });
+
+const formatValue = (value) => (value === null || value === undefined ? '' :
+    typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+/**
+ * One row per audit entry for CSV/XLSX export, newest first.
+ * @returns {Promise<Object[]>}
+ */
+const buildAuditExport = async (query = {}) => {
+    const entries = await AuditLog.find(buildAuditFilter(query))
+        .sort({ createdAt: -1 })
+        .limit(MAX_EXPORT_ROWS)
+        .lean();
+
+    return entries.map(entry => ({
+        'Date': entry.createdAt.toISOString(),
+        'Admin': entry.actor?.name || '',
+        'Admin Email': entry.actor?.email || '',
+        'Admin ID': entry.actor?.userId ? String(entry.actor.userId) : '',
+        'Method': entry.method,
+        'Route': entry.route,
+        'Path': entry.path,
+        'Entity': entry.entity?.type || '',
+        'Entity ID': entry.entity?.id || '',
+        'Entity Label': entry.entity?.label || '',
+        'Operation': entry.operation,
+        'Changes': (entry.changes || [])
+            .map(change => `${change.path}: ${formatValue(change.before)} → ${formatValue(change.after)}`)
+            .join('; '),
+        'Status': entry.statusCode,
+        'Success': entry.success ? 'Yes' : 'No',
+        'Error': entry.errorMessage || '',
+        'IP': entry.ip || ''
+    }));
+};
+
+module.exports = {
+    isMutation,
+    trackAdminRequest,
+    captureBefore,
+    diffDocuments,
+    buildAuditFilter,
+    searchAuditLogs,
+    getEntityHistory,
+    buildAuditExport
+};
@@ -5,15 +5,18 @@ const admin = require("../utils/firebaseConfig"); // Firebase Admin SDK instance
 const User = require("../models/User"); // Mongoose model for User collection
 const UserProfile = require("../models/UserProfile"); // Mongoose model for UserProfile collection
 const { ApiResponse } = require("../utils/ApiResponse"); // Utility to standardize API responses
+const { eventBus, EVENTS } = require("./eventBus"); // Business event bus (webhooks etc.)
+const { startSession } = require("./sessionService"); // Login sessions and refresh tokens
 
 /**
  * Handles Firebase signup by verifying a Firebase ID token, creating a user in MongoDB if needed,
- * and generating a JWT for session management.
+ * and starting a login session for the device.
  * @param {string} idToken - Firebase ID token from the client (obtained after Firebase Authentication).
- * @returns {Promise<Object>} - An object containing the JWT token and user details.
+ * @param {Object} req - The signup request, for device details.
+ * @returns {Promise<Object>} - The session tokens (token, refreshToken, ...) and user details.
  * @throws {Error} - If Firebase token verification or user creation fails.
  */
-exports.handleFirebaseSignup = async (idToken) => {
+exports.handleFirebaseSignup = async (idToken, req) => {
   console.log("🔥 handleFirebaseSignup - Starting Firebase authentication"); // Log for debugging
   try {
     // Verify the Firebase ID token to authenticate the user
@@ -52,6 +55,13 @@ exports.handleFirebaseSignup = async (idToken) => {
       });
       await newUserProfile.save(); // Save profile to MongoDB
       console.log("✅ User profile created");
+
+      eventBus.publish(EVENTS.USER_SIGNUP, {
+        userId: firebaseUser._id.toString(),
+        name: firebaseUser.name,
+        email: firebaseUser.email,
+        authProvider: 'firebase'
+      });
     } else {
       // ✅ CRITICAL FIX: Ensure existing user is verified
       let hasChanges = false;
@@ -75,18 +85,6 @@ exports.handleFirebaseSignup = async (idToken) => {
       }
     }
 
-    // Generate a JWT for the user session
-    const token = jwt.sign(
-      { _id: firebaseUser._id, email: firebaseUser.email }, // Payload with user ID and email
-      process.env.SECRET_KEY, // Secret key for signing (from .env)
-      { expiresIn: "30d" } // Token expires in 30 days
-    );
-    console.log("🔐 JWT token generated successfully"); // Log generated token for debugging
-
-    // Decode the JWT to log its payload (for debugging, not required for functionality)
-    const decodedToken1 = jwt.decode(token);
-    console.log("📋 Decoded JWT payload:", decodedToken1);
-
     // Construct user object to return
     const userObject = {
       _id: firebaseUser._id, // MongoDB user ID (using _id for consistency)
@@ -105,8 +103,10 @@ exports.handleFirebaseSignup = async (idToken) => {
       isEmailVerified: userObject.isEmailVerified
     });
 
-    // Return token and user details
-    return { token, user: userObject };
+    // Start a session (access token + refresh token) and return it with the user details
+    const session = await startSession(userObject, req, "firebase");
+    console.log("🔐 Session started successfully");
+    return { ...session, user: userObject };
   } catch (error) {
     console.error("❌ Error during Firebase signup:", error); // Log error for debugging
     throw new Error("Firebase signup failed"); // Throw error to be handled by caller
@@ -0,0 +1,272 @@
+// Automatic Discount Service - codeless offers and best-offer selection.
+// Every live AutomaticDiscount is evaluated against the cart; the qualifying ones and
+// the customer's promo code (already evaluated by promotionService) are combined under
+// the store's Settings.onlineDiscounts: with stacking off only the best single offer
+// applies, with stacking on all stackable offers add up and a non-stackable offer only
+// wins on its own. The total goods discount is capped at maxDiscountPercent of the
+// cart. Every offer that did not apply is reported with the reason.
+const AutomaticDiscount = require('../models/AutomaticDiscount');
+const Settings = require('../models/Settings');
+const { describeLines, isLineEligible, allocateByWeight } = require('./promotionService');
+const { toPaise, toRupees } = require('../utils/orderPricing');
+
+// Settings.onlineDiscounts defaults; while no admin has enabled online discounts the
+// promo code applies on its own, uncapped, as before
+const DEFAULT_PREFERENCES = {
+    enabled: false,
+    autoApplyBest: true,
+    stackDiscounts: false,
+    memberDiscounts: true,
+    seasonalDiscounts: true,
+    maxDiscountPercent: 50
+};
+
+/**
+ * Store-wide discount preferences (the admin's Settings.onlineDiscounts), with defaults.
+ * @returns {Promise<Object>}
+ */
+const getDiscountPreferences = async () => {
+    const settings = await Settings.findOne({ 'onlineDiscounts.enabled': true })
+        .sort({ updatedAt: -1 })
+        .select('onlineDiscounts')
+        .lean();
+
+    return { ...DEFAULT_PREFERENCES, ...(settings?.onlineDiscounts || {}) };
+};
+
+const amountOff = (discountType, discountValue, basePaise) => (discountType === 'percentage'
+    ? Math.round((basePaise * Math.min(discountValue, 100)) / 100)
+    : Math.min(toPaise(discountValue), basePaise));
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Work out one automatic discount for the cart.
+ * @param {Object} discount - AutomaticDiscount (lean)
+ * @param {Object[]} lines - describeLines result
+ * @returns {Object} `{ discountPaise, lineDiscounts, tier, nextTier }`, or `{ reason, nextTier }` when it does not qualify
+ */
+const evaluateOffer = (discount, lines) => {
+    const eligible = lines.map(line => isLineEligible(discount, line));
+    const eligiblePaise = lines.reduce((sum, line, index) => sum + (eligible[index] ? toPaise(line.lineTotal) : 0), 0);
+    const eligibleQuantity = lines.reduce((sum, line, index) => sum + (eligible[index] ? line.quantity : 0), 0);
+    if (eligibleQuantity === 0) return { reason: 'None of the items in your cart are eligible' };
+
+    let discountPaise;
+    let tier = null;
+    let nextTier = null;
+    if (discount.type === 'quantity') {
+        if (eligibleQuantity < discount.minQuantity) {
+            return { reason: `Add ${plural(discount.minQuantity - eligibleQuantity, 'more eligible item')} to unlock this offer` };
+        }
+        discountPaise = amountOff(discount.discountType, discount.discountValue, eligiblePaise);
+    } else {
+        const tiers = [...(discount.tiers || [])].sort((a, b) => a.minAmount - b.minAmount);
+        tier = tiers.filter(entry => eligiblePaise >= toPaise(entry.minAmount)).pop() || null;
+        const upcoming = tiers.find(entry => eligiblePaise < toPaise(entry.minAmount));
+        if (upcoming) {
+            nextTier = {
+                minAmount: upcoming.minAmount,
+                discountType: upcoming.discountType,
+                discountValue: upcoming.discountValue,
+                remaining: toRupees(toPaise(upcoming.minAmount) - eligiblePaise)
+            };
+        }
+        if (!tier) {
+            return { reason: `Spend ₹${nextTier.remaining} more on eligible items to unlock this offer`, nextTier };
+        }
+        discountPaise = amountOff(tier.discountType, tier.discountValue, eligiblePaise);
+    }
+
+    if (discount.maxDiscountAmount != null && discount.maxDiscountAmount > 0) {
+        discountPaise = Math.min(discountPaise, toPaise(discount.maxDiscountAmount));
+    }
+    if (discountPaise === 0) return { reason: 'This offer gives no discount on your cart', nextTier };
+
+    return {
+        discountPaise,
+        lineDiscounts: allocateByWeight(discountPaise, lines.map((line, index) => (eligible[index] ? toPaise(line.lineTotal) : 0))),
+        tier,
+        nextTier
+    };
+};
+
+// Offers the store or the customer's login rules out before any maths
+const availabilityError = (discount, userId, preferences) => {
+    if (discount.isSeasonal && !preferences.seasonalDiscounts) return 'Seasonal offers are currently paused';
+    if (discount.membersOnly && !preferences.memberDiscounts) return 'Member offers are currently paused';
+    if (discount.membersOnly && !userId) return 'Log in to get this member offer';
+    return null;
+};
+
+const describeOffer = (offer) => ({
+    type: offer.type,
+    id: offer.id,
+    name: offer.name,
+    code: offer.code || null
+});
+
+/**
+ * Decide which offers apply to a cart and spread the result over its lines.
+ *
+ * @param {Object} params
+ * @param {string|null} params.userId
+ * @param {Object[]} params.lines - `{ itemId, sku, size, quantity, unitPrice? }`, in the same order the promo code was evaluated with
+ * @param {Object|null} [params.promotion] - evaluatePromoCode result for the customer's code
+ * @param {Object|null} [params.promoRejection] - `{ code, reason }` when the customer's code failed validation (preview only)
+ * @returns {Promise<Object>} Applied and rejected offers, the cap, totals in rupees and the line allocation.
+ *   `promotion` is the code's evaluation when the code is among the applied offers, otherwise null.
+ */
+const resolveCartDiscounts = async ({ userId = null, lines, promotion = null, promoRejection = null }) => {
+    const preferences = await getDiscountPreferences();
+    const described = await describeLines(lines);
+    const subtotalPaise = described.reduce((sum, line) => sum + toPaise(line.lineTotal), 0);
+
+    const candidates = [];
+    const rejected = [];
+
+    if (promotion) {
+        candidates.push({
+            type: 'promo_code',
+            id: promotion.promo._id.toString(),
+            name: promotion.promo.title || promotion.code,
+            code: promotion.code,
+            isStackable: true,
+            priority: Infinity, // a code the customer typed outranks automatic offers
+            discountPaise: toPaise(promotion.itemDiscount),
+            shippingPaise: toPaise(promotion.shippingDiscount),
+            lineDiscounts: promotion.allocation.map(entry => toPaise(entry.discount)),
+            freeQuantities: promotion.allocation.map(entry => entry.freeQuantity)
+        });
+    } else if (promoRejection) {
+        rejected.push({ type: 'promo_code', id: null, name: promoRejection.code, code: promoRejection.code, reason: promoRejection.reason });
+    }
+
+    if (preferences.enabled && described.length > 0) {
+        const now = new Date();
+        const discounts = await AutomaticDiscount.find({ isActive: true, startDate: { $lte: now }, endDate: { $gte: now } })
+            .sort({ priority: -1, createdAt: 1 })
+            .lean();
+
+        discounts.forEach(discount => {
+            const offer = { type: 'automatic', id: discount._id.toString(), name: discount.name };
+            const unavailable = availabilityError(discount, userId, preferences);
+            if (unavailable) {
+                rejected.push({ ...describeOffer(offer), reason: unavailable });
+                return;
+            }
+
+            const result = evaluateOffer(discount, described);
+            if (result.reason) {
+                rejected.push({ ...describeOffer(offer), reason: result.reason, nextTier: result.nextTier || null });
+                return;
+            }
+            candidates.push({
+                ...offer,
+                isStackable: discount.isStackable !== false,
+                priority: discount.priority || 0,
+                discountPaise: result.discountPaise,
+                shippingPaise: 0,
+                lineDiscounts: result.lineDiscounts,
+                freeQuantities: described.map(() => 0),
+                tier: result.tier,
+                nextTier: result.nextTier
+            });
+        });
+    }
+
+    // Each option is a set of offers that may apply together; pick one
+    const options = preferences.stackDiscounts
+        ? [candidates.filter(offer => offer.isStackable), ...candidates.filter(offer => !offer.isStackable).map(offer => [offer])]
+        : candidates.map(offer => [offer]);
+    const valueOf = option => option.reduce((sum, offer) => sum + offer.discountPaise + offer.shippingPaise, 0);
+    const rankOf = option => Math.max(...option.map(offer => offer.priority));
+    // Infinity - Infinity is NaN, which falls through to the next criterion
+    const compare = preferences.autoApplyBest
+        ? (a, b) => valueOf(b) - valueOf(a) || rankOf(b) - rankOf(a) || 0
+        : (a, b) => rankOf(b) - rankOf(a) || valueOf(b) - valueOf(a) || 0;
+    const chosen = options.filter(option => option.length > 0).sort(compare)[0] || [];
+
+    const winner = chosen.map(offer => `"${offer.name}"`).join(' + ');
+    const why = preferences.autoApplyBest ? 'saves more' : 'takes precedence';
+    candidates.filter(offer => !chosen.includes(offer)).forEach(offer => {
+        let reason;
+        if (!preferences.stackDiscounts) {
+            reason = `Only one offer applies per order; ${winner} ${why}`;
+        } else if (!offer.isStackable) {
+            reason = `Cannot be combined with other offers; ${winner} ${why}`;
+        } else {
+            reason = `${winner} cannot be combined with other offers and ${why}`;
+        }
+        rejected.push({ ...describeOffer(offer), reason, discount: toRupees(offer.discountPaise + offer.shippingPaise) });
+    });
+
+    // Stack per line, never beyond the line's value (free units included)
+    const freeQuantities = described.map((line, index) => chosen.reduce((sum, offer) => sum + offer.freeQuantities[index], 0));
+    let lineDiscounts = described.map((line, index) => Math.min(
+        chosen.reduce((sum, offer) => sum + offer.lineDiscounts[index], 0),
+        toPaise(line.unitPrice) * (line.quantity + freeQuantities[index])
+    ));
+    let itemPaise = lineDiscounts.reduce((sum, discount) => sum + discount, 0);
+
+    // Global cap on the goods discount
+    const maxPaise = preferences.enabled
+        ? Math.floor((subtotalPaise * Math.min(Math.max(preferences.maxDiscountPercent, 0), 100)) / 100)
+        : null;
+    const capped = maxPaise !== null && itemPaise > maxPaise;
+    if (capped) {
+        lineDiscounts = allocateByWeight(maxPaise, lineDiscounts);
+        itemPaise = maxPaise;
+    }
+
+    // Each applied offer's share of what was actually given
+    const offerShares = allocateByWeight(itemPaise, chosen.map(offer => offer.discountPaise));
+    const applied = chosen.map((offer, index) => ({
+        ...describeOffer(offer),
+        isStackable: offer.isStackable,
+        discount: toRupees(offerShares[index]),
+        shippingDiscount: toRupees(offer.shippingPaise),
+        tier: offer.tier || null,
+        nextTier: offer.nextTier || null
+    }));
+
+    const codeApplied = chosen.some(offer => offer.type === 'promo_code');
+    const promoCodePaise = chosen.reduce((sum, offer, index) => sum + (offer.type === 'promo_code' ? offerShares[index] : 0), 0);
+    const shippingPaise = chosen.reduce((sum, offer) => sum + offer.shippingPaise, 0);
+
+    return {
+        settings: {
+            enabled: preferences.enabled,
+            autoApplyBest: preferences.autoApplyBest,
+            stackDiscounts: preferences.stackDiscounts,
+            maxDiscountPercent: preferences.enabled ? preferences.maxDiscountPercent : null
+        },
+        promotion: codeApplied ? promotion : null,
+        applied,
+        rejected,
+        cap: { maxDiscount: maxPaise === null ? null : toRupees(maxPaise), capped },
+        subtotal: toRupees(subtotalPaise),
+        itemDiscount: toRupees(itemPaise),
+        promoCodeDiscount: toRupees(promoCodePaise),
+        automaticDiscount: toRupees(itemPaise - promoCodePaise),
+        shippingDiscount: toRupees(shippingPaise),
+        totalDiscount: toRupees(itemPaise + shippingPaise),
+        freeUnits: described
+            .map((line, index) => ({ itemId: line.itemId, sku: line.sku, size: line.size, quantity: freeQuantities[index] }))
+            .filter(unit => unit.quantity > 0),
+        allocation: described.map((line, index) => ({
+            itemId: line.itemId,
+            sku: line.sku,
+            size: line.size,
+            quantity: line.quantity,
+            unitPrice: line.unitPrice,
+            freeQuantity: freeQuantities[index],
+            discount: toRupees(lineDiscounts[index])
+        }))
+    };
+};
+
+module.exports = {
+    getDiscountPreferences,
+    resolveCartDiscounts
+};
@@ -0,0 +1,622 @@
+// Cart Recovery Service - automated cart-abandonment recovery sequence.
+// Abandoned carts are detected from live Cart data: a registered user whose cart has
+// been idle for CartRecoveryConfig.abandonAfterMinutes. Each configured step (push,
+// e-mail or SMS, optionally with a one-time promo code) fires `delayMinutes` after the
+// last cart activity, and the sequence stops as soon as the customer pays for an order
+// (starting checkout does not count: shoppers who drop out at payment are still chased).
+// Opens and clicks are tracked through a per-message token; a paid order credits the
+// recovered revenue to the step that brought the customer back.
+const crypto = require('crypto');
+const Cart = require('../models/Cart');
+const User = require('../models/User');
+const Item = require('../models/Item');
+const Order = require('../models/Order');
+const PromoCode = require('../models/PromoCodes');
+const CartAbandonment = require('../models/CartAbandonment');
+const CartRecoveryConfig = require('../models/CartRecoveryConfig');
+const { eventBus, EVENTS } = require('./eventBus');
+const { sendMail } = require('../utils/mailer');
+const logger = require('../utils/logger');
+
+const DETECT_JOB = 'detect-abandoned-carts';
+const SEND_JOB = 'send-cart-recovery-steps';
+
+const MINUTE_MS = 60 * 1000;
+const BATCH_SIZE = 200;
+
+// Defaults the User model fills in when no contact detail was given
+const PLACEHOLDER_EMAIL = 'demo@example.com';
+const PLACEHOLDER_PHONE = '1234567890';
+
+// 1x1 transparent GIF served by the open-tracking endpoint
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const activeSteps = (config) => config.steps.filter(step => step.isActive !== false);
+
+const contactDetails = (user) => ({
+    email: user?.email && user.email !== PLACEHOLDER_EMAIL ? user.email : null,
+    phone: user?.phNo && user.phNo !== PLACEHOLDER_PHONE ? user.phNo : null,
+    fcmToken: user?.fcmToken || null,
+});
+
+const unitPrice = (size) => (size?.salePrice > 0 ? size.salePrice : size?.regularPrice) || 0;
+
+/**
+ * Cart contents with names, prices and images for the CartAbandonment record.
+ * @param {Object[]} lines - Cart entries `{ item, sku, quantity }`
+ * @param {Map} items - Item id → Item
+ */
+const describeCart = (lines, items) => {
+    const cartItems = lines.map(line => {
+        const item = items.get(line.item.toString());
+        const size = item?.sizes?.find(s => s.sku === line.sku);
+        return {
+            itemId: line.item.toString(),
+            itemName: item?.productName || 'Item',
+            quantity: line.quantity,
+            price: unitPrice(size),
+            image: item?.images?.[0]?.url || null,
+        };
+    });
+
+    return {
+        cartItems,
+        cartValue: Math.round(cartItems.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100) / 100,
+    };
+};
+
+/**
+ * Job handler: find idle carts and start (or reschedule) their recovery sequence.
+ * A customer who comes back to the cart without ordering has the remaining steps
+ * pushed back; a cart touched again after a recovery or a finished sequence starts
+ * a new one.
+ * @returns {Promise<{results: Object[]}>}
+ */
+const detectAbandonedCarts = async () => {
+    const config = await CartRecoveryConfig.getConfig();
+    const steps = activeSteps(config);
+    if (!config.isEnabled || steps.length === 0) return { results: [] };
+
+    const now = Date.now();
+    const carts = await Cart.aggregate([
+        {
+            $group: {
+                _id: '$user',
+                lastActivity: { $max: '$updatedAt' },
+                lines: { $push: { item: '$item', sku: '$sku', quantity: '$quantity' } },
+            },
+        },
+        {
+            $match: {
+                lastActivity: {
+                    $lte: new Date(now - config.abandonAfterMinutes * MINUTE_MS),
+                    $gte: new Date(now - config.maxCartAgeDays * 24 * 60 * MINUTE_MS),
+                },
+            },
+        },
+    ]);
+    if (carts.length === 0) return { results: [] };
+
+    const records = await CartAbandonment.find({ userId: { $in: carts.map(cart => cart._id.toString()) } })
+        .select('userId status isBlocked lastActive sequence recovery')
+        .lean();
+    const recordsByUser = new Map(records.map(record => [record.userId, record]));
+
+    // Only carts that are new or changed since the last run need work
+    const pending = carts.filter(cart => {
+        const record = recordsByUser.get(cart._id.toString());
+        return !record || (!record.isBlocked && record.status !== 'blocked' && cart.lastActivity > record.lastActive);
+    }).slice(0, BATCH_SIZE);
+    if (pending.length === 0) return { results: [] };
+
+    const [users, items] = await Promise.all([
+        User.find({ _id: { $in: pending.map(cart => cart._id) } }).select('name email phNo fcmToken').lean(),
+        Item.find({ _id: { $in: pending.flatMap(cart => cart.lines.map(line => line.item)) } })
+            .select('productName images sizes.sku sizes.salePrice sizes.regularPrice')
+            .lean(),
+    ]);
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+    const itemsById = new Map(items.map(item => [item._id.toString(), item]));
+
+    const results = [];
+    for (const cart of pending) {
+        const userId = cart._id.toString();
+        const user = usersById.get(userId);
+        if (!user) continue;
+
+        const { cartItems, cartValue } = describeCart(cart.lines, itemsById);
+        if (cartValue < config.minCartValue) continue;
+
+        const record = recordsByUser.get(userId);
+        const continuing = record?.status === 'abandoned' && !record.sequence?.stoppedAt && record.sequence?.startedAt;
+        const nextStep = continuing ? record.sequence.nextStep || 0 : 0;
+        const step = steps[nextStep];
+        const contact = contactDetails(user);
+
+        const update = {
+            $set: {
+                email: contact.email,
+                mobile: contact.phone,
+                userName: user.name || contact.email?.split('@')[0] || null,
+                userType: 'registered',
+                source: 'live_cart',
+                status: 'abandoned',
+                cartItems,
+                cartValue,
+                lastActive: cart.lastActivity,
+                'sequence.nextStepAt': step ? new Date(Math.max(cart.lastActivity.getTime() + step.delayMinutes * MINUTE_MS, now)) : null,
+            },
+        };
+        if (!continuing) {
+            Object.assign(update.$set, {
+                abandonedAt: new Date(now),
+                'sequence.startedAt': new Date(now),
+                'sequence.nextStep': 0,
+                'sequence.stoppedAt': null,
+                'sequence.stopReason': null,
+            });
+            update.$unset = { recovery: '' };
+        }
+
+        try {
+            const saved = await CartAbandonment.findOneAndUpdate({ userId }, update, { upsert: true, new: true });
+            results.push({
+                entityType: 'CartAbandonment',
+                entityId: saved._id,
+                reference: userId,
+                name: saved.userName,
+                action: continuing ? 'reschedule' : 'start-sequence',
+                scheduledFor: saved.sequence.nextStepAt,
+                success: true,
+            });
+        } catch (error) {
+            results.push({ entityType: 'CartAbandonment', reference: userId, action: 'start-sequence', success: false, error: error.message });
+        }
+    }
+
+    return { results };
+};
+
+// {{placeholder}} substitution for step content
+const fillTemplate = (text, values) => String(text || '').replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? '');
+
+const trackingUrl = (kind, token) => `${process.env.API_BASE_URL}/cart-abandonment/track/${kind}/${token}`;
+
+/**
+ * Create a single-use promo code for one recovery message.
+ * @returns {Promise<string>} Code
+ */
+const createRecoveryPromo = async (record, step) => {
+    const now = new Date();
+    const code = `CART${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+    await PromoCode.create({
+        code,
+        title: 'Cart recovery offer',
+        description: `One-time cart recovery offer (${step.key}) for ${record.userName || record.userId}`,
+        discountType: step.promo.discountType,
+        discountValue: step.promo.discountType === 'free_shipping' ? 0 : step.promo.discountValue,
+        minOrderValue: step.promo.minOrderValue || 0,
+        maxDiscountAmount: step.promo.maxDiscountAmount ?? null,
+        startDate: now,
+        endDate: new Date(now.getTime() + step.promo.validityHours * 60 * MINUTE_MS),
+        maxUses: 1,
+        perUserLimit: 1,
+        isActive: true,
+        isPublic: false,
+        isPersonalized: true,
+        userIds: [record.userId],
+    });
+
+    return code;
+};
+
+const renderRecoveryEmail = (text, record, clickUrl, openUrl) => `
+    <p>${text.replace(/\n/g, '<br>')}</p>
+    <ul>
+        ${record.cartItems.map(item => `<li>${item.itemName} x ${item.quantity}</li>`).join('')}
+    </ul>
+    <a href="${clickUrl}" style="background-color: #000; color: #fff; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Complete Purchase</a>
+    <img src="${openUrl}" width="1" height="1" alt="" style="display:none">
+`;
+
+/**
+ * Deliver one step over its channel.
+ * @returns {Promise<{ status: string, error: string|null }>}
+ */
+const deliverStep = async (step, record, contact, content) => {
+    if (step.channel === 'email') {
+        if (!contact.email) return { status: 'skipped', error: 'No e-mail address' };
+        await sendMail({
+            to: contact.email,
+            subject: content.subject,
+            html: renderRecoveryEmail(content.text, record, content.clickUrl, content.openUrl),
+        });
+    } else if (step.channel === 'push') {
+        const admin = require('firebase-admin');
+        if (!contact.fcmToken) return { status: 'skipped', error: 'No device token' };
+        if (!admin.apps.length) return { status: 'skipped', error: 'Firebase Admin is not initialised' };
+        await admin.messaging().send({
+            token: contact.fcmToken,
+            notification: { title: content.subject, body: content.text },
+            data: { type: 'cart_recovery', deepLink: content.clickUrl },
+        });
+    } else if (step.channel === 'sms') {
+        if (!contact.phone) return { status: 'skipped', error: 'No phone number' };
+        if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
+            return { status: 'skipped', error: 'Twilio is not configured' };
+        }
+        const twilio = require('twilio')(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+        await twilio.messages.create({
+            from: process.env.TWILIO_PHONE_NUMBER,
+            to: contact.phone,
+            body: `${content.text} ${content.clickUrl}`,
+        });
+    }
+
+    return { status: 'sent', error: null };
+};
+
+const stopSequence = (recordId, reason) => CartAbandonment.updateOne(
+    { _id: recordId },
+    { $set: { 'sequence.nextStepAt': null, 'sequence.stoppedAt': new Date(), 'sequence.stopReason': reason } }
+);
+
+/**
+ * Send the next step of one record's sequence and schedule the one after.
+ * @returns {Promise<Object|null>} Job result, or null if another run took the step
+ */
+const runNextStep = async (record, steps) => {
+    const stepIndex = record.sequence.nextStep || 0;
+    const step = steps[stepIndex];
+    const result = { entityType: 'CartAbandonment', entityId: record._id, reference: step?.key || null, name: record.userName };
+
+    if (!step) {
+        await stopSequence(record._id, 'completed');
+        return { ...result, action: 'complete', success: true };
+    }
+
+    // The customer paid for an order or emptied the cart since it was detected
+    const [ordered, cartLines] = await Promise.all([
+        Order.exists({ user: record.userId, payment_status: 'Paid', created_at: { $gte: record.lastActive } }),
+        Cart.countDocuments({ user: record.userId }),
+    ]);
+    if (ordered || cartLines === 0) {
+        const reason = ordered ? 'ordered' : 'cart_emptied';
+        await stopSequence(record._id, reason);
+        return { ...result, action: `stop:${reason}`, success: true };
+    }
+
+    // Claim the step so overlapping runs never send it twice
+    const claimed = await CartAbandonment.findOneAndUpdate(
+        { _id: record._id, 'sequence.nextStep': stepIndex, 'sequence.nextStepAt': record.sequence.nextStepAt },
+        { $set: { 'sequence.nextStepAt': null } },
+        { new: true }
+    );
+    if (!claimed) return null;
+
+    const user = await User.findById(record.userId).select('name email phNo fcmToken').lean();
+    const contact = contactDetails(user);
+    if (!contact.email && !contact.phone && !contact.fcmToken) {
+        await stopSequence(record._id, 'no_contact');
+        return { ...result, action: 'stop:no_contact', success: true };
+    }
+
+    const trackingToken = crypto.randomBytes(16).toString('hex');
+    let delivery;
+    let promoCode = null;
+    try {
+        const reachable = (step.channel === 'email' && contact.email) ||
+            (step.channel === 'push' && contact.fcmToken) ||
+            (step.channel === 'sms' && contact.phone);
+        if (step.promo?.enabled && reachable) {
+            promoCode = await createRecoveryPromo(claimed, step);
+        }
+
+        const values = {
+            name: claimed.userName || 'there',
+            itemCount: claimed.cartItems.reduce((sum, item) => sum + (item.quantity || 0), 0),
+            cartValue: claimed.cartValue,
+            promoCode: promoCode || '',
+        };
+        delivery = await deliverStep(step, claimed, contact, {
+            subject: fillTemplate(step.subject, values),
+            text: fillTemplate(step.message, values),
+            clickUrl: trackingUrl('click', trackingToken),
+            openUrl: trackingUrl('open', `${trackingToken}.gif`),
+        });
+    } catch (error) {
+        logger.error(`Cart recovery step ${step.key} failed for ${record.userId}:`, error.message);
+        delivery = { status: 'failed', error: error.message };
+    }
+
+    const sentAt = new Date();
+    const next = steps[stepIndex + 1];
+    const update = {
+        $push: {
+            recoverySteps: {
+                key: step.key,
+                channel: step.channel,
+                sentAt,
+                status: delivery.status,
+                error: delivery.error,
+                trackingToken,
+                promoCode,
+            },
+        },
+        $set: {
+            'sequence.nextStep': stepIndex + 1,
+            'sequence.nextStepAt': next
+                ? new Date(Math.max(claimed.lastActive.getTime() + next.delayMinutes * MINUTE_MS, sentAt.getTime()))
+                : null,
+        },
+    };
+    if (!next) {
+        update.$set['sequence.stoppedAt'] = sentAt;
+        update.$set['sequence.stopReason'] = 'completed';
+    }
+    if (delivery.status === 'sent') {
+        update.$inc = { recoveryAttempts: 1 };
+        if (step.channel === 'email') update.$push.emailsSent = { sentAt, type: promoCode ? 'offer' : 'recovery', trackingToken };
+        if (step.channel === 'sms') update.$push.smsSent = { sentAt, type: 'recovery', trackingToken };
+    }
+    await CartAbandonment.updateOne({ _id: record._id }, update);
+
+    return {
+        ...result,
+        action: `${step.channel}:${delivery.status}`,
+        success: delivery.status !== 'failed',
+        error: delivery.error,
+    };
+};
+
+/**
+ * Job handler: send every recovery step that is due.
+ * @returns {Promise<{results: Object[]}>}
+ */
+const sendDueSteps = async () => {
+    const config = await CartRecoveryConfig.getConfig();
+    if (!config.isEnabled) return { results: [] };
+
+    const due = await CartAbandonment.find({
+        source: 'live_cart',
+        status: 'abandoned',
+        isBlocked: { $ne: true },
+        'sequence.nextStepAt': { $ne: null, $lte: new Date() },
+    })
+        .sort({ 'sequence.nextStepAt': 1 })
+        .limit(BATCH_SIZE)
+        .lean();
+
+    const steps = activeSteps(config);
+    const results = [];
+    for (const record of due) {
+        const result = await runNextStep(record, steps);
+        if (result) results.push(result);
+    }
+    return { results };
+};
+
+/**
+ * Record an open of a tracked message (first open only).
+ * @param {string} token
+ */
+const trackOpen = async (token) => {
+    const now = new Date();
+    await CartAbandonment.updateOne(
+        { 'recoverySteps.trackingToken': token },
+        {
+            $set: {
+                'recoverySteps.$[step].opened': true,
+                'recoverySteps.$[step].openedAt': now,
+                'emailsSent.$[email].opened': true,
+            },
+        },
+        { arrayFilters: [{ 'step.trackingToken': token, 'step.opened': { $ne: true } }, { 'email.trackingToken': token }] }
+    );
+};
+
+/**
+ * Record a click of a tracked message and work out where to send the customer.
+ * A click implies the message was opened.
+ * @param {string} token
+ * @returns {Promise<string>} Storefront cart URL (with the step's promo code and UTM tags)
+ */
+const trackClick = async (token) => {
+    const now = new Date();
+    const record = await CartAbandonment.findOneAndUpdate(
+        { 'recoverySteps.trackingToken': token },
+        {
+            $set: {
+                'recoverySteps.$[step].clicked': true,
+                'recoverySteps.$[step].clickedAt': now,
+                'recoverySteps.$[opened].opened': true,
+                'recoverySteps.$[opened].openedAt': now,
+                'emailsSent.$[email].opened': true,
+                'emailsSent.$[email].clicked': true,
+            },
+        },
+        {
+            arrayFilters: [
+                { 'step.trackingToken': token, 'step.clicked': { $ne: true } },
+                { 'opened.trackingToken': token, 'opened.opened': { $ne: true } },
+                { 'email.trackingToken': token },
+            ],
+            projection: { recoverySteps: { $elemMatch: { trackingToken: token } } },
+        }
+    );
+
+    const step = record?.recoverySteps?.[0];
+    const params = new URLSearchParams({
+        utm_source: 'cart_recovery',
+        utm_medium: step?.channel || 'email',
+        utm_campaign: step?.key || 'cart_recovery',
+    });
+    if (step?.promoCode) params.set('promo', step.promoCode);
+
+    return `${process.env.FRONTEND_URL}/cart?${params.toString()}`;
+};
+
+/**
+ * ORDER_PAID: mark the cart recovered and credit the revenue to a step - the one whose
+ * promo code was used, otherwise the last message sent before the order.
+ */
+const handleOrderPaid = async (data) => {
+    if (!data.userId) return;
+
+    const record = await CartAbandonment.findOne({ userId: data.userId, source: 'live_cart', status: 'abandoned' })
+        .select('sequence recoverySteps')
+        .lean();
+    if (!record?.sequence?.startedAt) return;
+
+    const sent = (record.recoverySteps || []).filter(step => step.status === 'sent' && step.sentAt >= record.sequence.startedAt);
+    const credited = (data.promoCode && sent.find(step => step.promoCode === data.promoCode)) || sent[sent.length - 1] || null;
+
+    await CartAbandonment.updateOne(
+        { _id: record._id, status: 'abandoned' },
+        {
+            $set: {
+                status: 'recovered',
+                recovery: {
+                    orderId: data.orderId,
+                    recoveredAt: new Date(),
+                    revenue: data.totalAmount || 0,
+                    stepKey: credited?.key || null,
+                },
+                'sequence.nextStepAt': null,
+                'sequence.stoppedAt': record.sequence.stoppedAt || new Date(),
+                'sequence.stopReason': 'ordered',
+            },
+        }
+    );
+
+    logger.info(`🛒 Cart of user ${data.userId} recovered (₹${data.totalAmount}, ${credited ? `step ${credited.key}` : 'no step'})`);
+};
+
+/**
+ * Per-step performance: messages sent, open/click rates, carts recovered and revenue.
+ * @param {Object} range
+ * @param {Date} range.from
+ * @param {Date} range.to
+ */
+const getRecoveryReport = async ({ from, to }) => {
+    const [config, sends, recoveries, detected] = await Promise.all([
+        CartRecoveryConfig.getConfig(),
+        CartAbandonment.aggregate([
+            { $match: { source: 'live_cart', 'recoverySteps.sentAt': { $gte: from, $lt: to } } },
+            { $unwind: '$recoverySteps' },
+            { $match: { 'recoverySteps.sentAt': { $gte: from, $lt: to } } },
+            {
+                $group: {
+                    _id: '$recoverySteps.key',
+                    channel: { $first: '$recoverySteps.channel' },
+                    sent: { $sum: { $cond: [{ $eq: ['$recoverySteps.status', 'sent'] }, 1, 0] } },
+                    failed: { $sum: { $cond: [{ $eq: ['$recoverySteps.status', 'failed'] }, 1, 0] } },
+                    skipped: { $sum: { $cond: [{ $eq: ['$recoverySteps.status', 'skipped'] }, 1, 0] } },
+                    opened: { $sum: { $cond: ['$recoverySteps.opened', 1, 0] } },
+                    clicked: { $sum: { $cond: ['$recoverySteps.clicked', 1, 0] } },
+                },
+            },
+        ]),
+        CartAbandonment.aggregate([
+            { $match: { source: 'live_cart', 'recovery.recoveredAt': { $gte: from, $lt: to } } },
+            {
+                $group: {
+                    _id: '$recovery.stepKey',
+                    recoveredCarts: { $sum: 1 },
+                    recoveredRevenue: { $sum: '$recovery.revenue' },
+                },
+            },
+        ]),
+        CartAbandonment.countDocuments({ source: 'live_cart', 'sequence.startedAt': { $gte: from, $lt: to } }),
+    ]);
+
+    const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0);
+    const keys = [...new Set([...config.steps.map(step => step.key), ...sends.map(row => row._id)])];
+
+    const steps = keys.map(key => {
+        const send = sends.find(row => row._id === key) || { sent: 0, failed: 0, skipped: 0, opened: 0, clicked: 0 };
+        const recovered = recoveries.find(row => row._id === key) || { recoveredCarts: 0, recoveredRevenue: 0 };
+        return {
+            key,
+            channel: send.channel || config.steps.find(step => step.key === key)?.channel,
+            sent: send.sent,
+            failed: send.failed,
+            skipped: send.skipped,
+            opened: send.opened,
+            clicked: send.clicked,
+            openRate: percent(send.opened, send.sent),
+            clickRate: percent(send.clicked, send.sent),
+            recoveredCarts: recovered.recoveredCarts,
+            recoveredRevenue: Math.round(recovered.recoveredRevenue * 100) / 100,
+            conversionRate: percent(recovered.recoveredCarts, send.sent),
+        };
+    });
+
+    const organic = recoveries.find(row => row._id === null) || { recoveredCarts: 0, recoveredRevenue: 0 };
+    const recoveredCarts = recoveries.reduce((sum, row) => sum + row.recoveredCarts, 0);
+    const recoveredRevenue = recoveries.reduce((sum, row) => sum + row.recoveredRevenue, 0);
+
+    return {
+        from,
+        to,
+        abandonedCarts: detected,
+        recoveredCarts,
+        recoveredRevenue: Math.round(recoveredRevenue * 100) / 100,
+        recoveryRate: percent(recoveredCarts, detected),
+        steps,
+        // Customers who came back without clicking any message
+        unattributed: {
+            recoveredCarts: organic.recoveredCarts,
+            recoveredRevenue: Math.round(organic.recoveredRevenue * 100) / 100,
+        },
+    };
+};
+
+/**
+ * Register the detection and sending jobs with the scheduler.
+ * @param {Object} scheduler - jobScheduler
+ */
+const registerJobs = (scheduler) => {
+    scheduler.register({
+        name: DETECT_JOB,
+        description: 'Detect idle carts and start their recovery sequence',
+        schedule: '*/15 * * * *',
+        handler: detectAbandonedCarts,
+    });
+    scheduler.register({
+        name: SEND_JOB,
+        description: 'Send due cart recovery messages (push, e-mail, SMS)',
+        schedule: '*/5 * * * *',
+        handler: sendDueSteps,
+    });
+};
+
+let initialized = false;
+
+/**
+ * Subscribe to order payments so sequences stop when the customer pays. Safe to call more than once.
+ */
+const init = () => {
+    if (initialized) return;
+    initialized = true;
+
+    eventBus.on(EVENTS.ORDER_PAID, (envelope) => {
+        handleOrderPaid(envelope.data).catch(error => {
+            logger.error('Cart recovery attribution on order.paid failed:', error.message);
+        });
+    });
+};
+
+module.exports = {
+    DETECT_JOB,
+    SEND_JOB,
+    TRACKING_PIXEL,
+    init,
+    registerJobs,
+    detectAbandonedCarts,
+    sendDueSteps,
+    trackOpen,
+    trackClick,
+    getRecoveryReport,
+};
@@ -0,0 +1,335 @@
+// Catalog Export Service - the whole catalogue out of the database, for people and for ads.
+// The spreadsheet export (CSV/XLSX) has one row per size with the product's columns
+// repeated, under the same headers as the import template (services/catalogImportService),
+// so an edited export can be uploaded again as an import. The product feed is an RSS 2.0
+// document in the Google Merchant Center format, which Meta catalogs read as well: one
+// entry per size of each live product, grouped by itemId, with public image URLs and the
+// "Category > Subcategory" path. Feeds are cached for CATALOG_FEED_CACHE_MINUTES.
+const mongoose = require('mongoose');
+const XLSX = require('xlsx');
+const Item = require('../models/Item');
+const Category = require('../models/Category');
+const SubCategory = require('../models/SubCategory');
+const { IMPORT_FIELDS, filtersText } = require('./catalogImportService');
+const { getPublicUrl } = require('../utils/S3');
+const logger = require('../utils/logger');
+
+const FEED_CACHE_TTL_MS = (parseInt(process.env.CATALOG_FEED_CACHE_MINUTES, 10) || 30) * 60 * 1000;
+const FEED_BRAND = process.env.CATALOG_FEED_BRAND || 'Yoraa';
+const FEED_CURRENCY = 'INR';
+const FEED_CHANNELS = ['google', 'meta'];
+const FEED_STATUSES = ['live'];
+const MAX_ADDITIONAL_IMAGES = 10; // Google's limit for additional_image_link
+const MAX_DESCRIPTION_LENGTH = 5000;
+const EXPORT_STATUSES = ['draft', 'live', 'published', 'scheduled', 'inactive'];
+
+const ITEM_FIELDS = 'itemId productName title description categoryId subCategoryId status filters returnable images sizes updatedAt';
+
+const CATALOG_EXPORT_ERROR_STATUS = {
+    INVALID_STATUS: 400,
+    INVALID_CATEGORY: 400,
+    INVALID_CHANNEL: 400
+};
+
+const exportError = (code, message, details) => {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+};
+
+const feedCache = new Map();
+
+const getCategoryNames = async () => {
+    const [categories, subCategories] = await Promise.all([
+        Category.find().select('name').lean(),
+        SubCategory.find().select('name').lean()
+    ]);
+    return {
+        categories: new Map(categories.map(category => [String(category._id), category.name])),
+        subCategories: new Map(subCategories.map(subCategory => [String(subCategory._id), subCategory.name]))
+    };
+};
+
+/**
+ * Public, non-expiring URL for a stored image: signed URLs and bare object keys are
+ * turned into the bucket's public URL, other absolute URLs are kept.
+ * @param {string} url
+ * @returns {string|null}
+ */
+const publicImageUrl = (url) => {
+    const text = String(url || '').trim();
+    if (!text) return null;
+    if (!/^https?:\/\//i.test(text)) return getPublicUrl(text.replace(/^\/+/, ''));
+    if (!text.includes('X-Amz-Algorithm')) return text;
+
+    try {
+        let key = new URL(text).pathname.replace(/^\/+/, '');
+        const bucketName = process.env.AWS_BUCKET_NAME;
+        if (bucketName && key.startsWith(`${bucketName}/`)) key = key.slice(bucketName.length + 1);
+        return key ? getPublicUrl(key) : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// ---------- Spreadsheet export ----------
+
+/**
+ * Items matching the export filters.
+ * @param {Object} [query] - { status, category, subCategory, inStock }
+ * @returns {Object} Mongo filter
+ */
+const parseExportFilter = ({ status, category, subCategory, inStock } = {}) => {
+    const filter = { isDeleted: { $ne: true } };
+
+    if (status && status !== 'all') {
+        const statuses = String(status).split(',').map(entry => entry.trim()).filter(Boolean);
+        const unknown = statuses.filter(entry => !EXPORT_STATUSES.includes(entry));
+        if (unknown.length > 0) {
+            throw exportError('INVALID_STATUS', `Unknown status: ${unknown.join(', ')}`, { allowed: EXPORT_STATUSES });
+        }
+        filter.status = { $in: statuses };
+    }
+
+    for (const [param, field] of [[category, 'categoryId'], [subCategory, 'subCategoryId']]) {
+        if (!param || param === 'all') continue;
+        if (!mongoose.Types.ObjectId.isValid(param)) {
+            throw exportError('INVALID_CATEGORY', `Invalid ${field}`, { [field]: param });
+        }
+        filter[field] = param;
+    }
+
+    if (inStock === true || inStock === 'true' || inStock === '1') filter['sizes.stock'] = { $gt: 0 };
+    return filter;
+};
+
+/**
+ * Spreadsheet rows, one per size (a product without sizes gets one row).
+ * @param {Object[]} items - Lean items
+ * @param {Object} names - From getCategoryNames
+ * @returns {Object[]}
+ */
+const buildExportRows = (items, names) => items.flatMap((item) => {
+    const images = (item.images || [])
+        .filter(image => image.url && image.type !== 'video')
+        .sort((a, b) => (a.priority || 0) - (b.priority || 0));
+
+    const product = {
+        itemId: item.itemId || '',
+        productName: item.productName || '',
+        title: item.title || '',
+        description: item.description || '',
+        category: names.categories.get(String(item.categoryId)) || '',
+        subCategory: names.subCategories.get(String(item.subCategoryId)) || '',
+        status: item.status || '',
+        filters: filtersText(item.filters),
+        returnable: item.returnable === false ? 'no' : 'yes'
+    };
+    const sizes = item.sizes && item.sizes.length > 0 ? item.sizes : [{}];
+
+    return sizes.map((size) => {
+        const values = {
+            ...product,
+            size: size.size || '',
+            sku: size.sku || '',
+            barcode: size.barcode || '',
+            hsnCode: size.hsnCode || '',
+            regularPrice: size.regularPrice ?? '',
+            salePrice: size.salePrice ?? '',
+            stock: size.stock ?? '',
+            sizeFilters: filtersText(size.filters)
+        };
+        const row = {};
+        for (const definition of IMPORT_FIELDS) row[definition.label] = values[definition.field];
+        // Information only; the import ignores these columns
+        row['Image URL'] = images.length > 0 ? publicImageUrl(images[0].url) || '' : '';
+        row['Updated At'] = item.updatedAt ? new Date(item.updatedAt).toISOString() : '';
+        return row;
+    });
+});
+
+/**
+ * Export the catalogue as CSV or XLSX.
+ * @param {Object} [query] - { format: 'csv'|'xlsx', status, category, subCategory, inStock }
+ * @returns {Promise<{ format: string, body: string|Buffer, rows: number }>}
+ */
+const exportCatalog = async (query = {}) => {
+    const format = query.format === 'xlsx' ? 'xlsx' : 'csv';
+    const filter = parseExportFilter(query);
+
+    const [items, names] = await Promise.all([
+        Item.find(filter).select(ITEM_FIELDS).sort({ itemId: 1, _id: 1 }).lean(),
+        getCategoryNames()
+    ]);
+
+    const rows = buildExportRows(items, names);
+    const headers = [...IMPORT_FIELDS.map(definition => definition.label), 'Image URL', 'Updated At'];
+    const worksheet = XLSX.utils.json_to_sheet(rows, { header: headers });
+
+    if (format !== 'xlsx') {
+        return { format, body: XLSX.utils.sheet_to_csv(worksheet), rows: rows.length };
+    }
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Products');
+    return { format, body: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }), rows: rows.length };
+};
+
+// ---------- Product feed ----------
+
+const escapeXml = (value) => String(value)
+    // Characters XML 1.0 does not allow at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const plainText = (html) => String(html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const formatPrice = (amount) => `${Number(amount).toFixed(2)} ${FEED_CURRENCY}`;
+
+const storefrontUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3001').replace(/\/+$/, '');
+
+// CATALOG_FEED_PRODUCT_URL may use {itemId} and {id}; defaults to <FRONTEND_URL>/product/{itemId}
+const productLink = (item) => {
+    const template = process.env.CATALOG_FEED_PRODUCT_URL || `${storefrontUrl()}/product/{itemId}`;
+    return template
+        .replace(/\{itemId\}/g, encodeURIComponent(item.itemId || String(item._id)))
+        .replace(/\{id\}/g, String(item._id));
+};
+
+// GTIN-8, -12, -13 and -14 only; other barcodes are internal and must not be sent as a GTIN
+const isGtin = (barcode) => /^(\d{8}|\d{12,14})$/.test(String(barcode || ''));
+
+// Google accepts male, female and unisex only
+const FEED_GENDERS = { men: 'male', man: 'male', male: 'male', boys: 'male', women: 'female', woman: 'female', female: 'female', girls: 'female', unisex: 'unisex' };
+
+const filterValue = (filters, keys) => {
+    const match = (filters || []).find(filter => keys.includes(String(filter.key || '').toLowerCase()));
+    return match ? match.value : null;
+};
+
+/**
+ * Feed entries for one product, one per size with a price.
+ * @param {Object} item - Lean item
+ * @param {Object} names - From getCategoryNames
+ * @param {string} channel - google | meta
+ * @returns {Object[]} [{ tag, value }] lists
+ */
+const buildFeedEntries = (item, names, channel) => {
+    const images = (item.images || [])
+        .filter(image => image.url && image.type !== 'video')
+        .sort((a, b) => (a.priority || 0) - (b.priority || 0))
+        .map(image => publicImageUrl(image.url))
+        .filter(Boolean);
+    if (images.length === 0) return [];
+
+    const productType = [names.categories.get(String(item.categoryId)), names.subCategories.get(String(item.subCategoryId))]
+        .filter(Boolean)
+        .join(' > ');
+    const title = item.title || item.productName;
+    const description = plainText(item.description).slice(0, MAX_DESCRIPTION_LENGTH) || title;
+    const link = productLink(item);
+    const groupId = item.itemId || String(item._id);
+
+    return (item.sizes || [])
+        .filter(size => size.regularPrice > 0 || size.salePrice > 0)
+        .map((size) => {
+            const stock = Math.max(size.stock || 0, 0);
+            const onSale = size.salePrice > 0 && size.regularPrice > 0 && size.salePrice < size.regularPrice;
+            const color = filterValue(size.filters, ['color', 'colour']) || filterValue(item.filters, ['color', 'colour']);
+            const gender = FEED_GENDERS[String(filterValue(size.filters, ['gender']) || filterValue(item.filters, ['gender']) || '').toLowerCase()];
+            const material = filterValue(size.filters, ['material', 'fabric']) || filterValue(item.filters, ['material', 'fabric']);
+
+            const fields = [
+                ['g:id', size.sku || `${groupId}-${size.size}`],
+                ['g:item_group_id', groupId],
+                ['g:title', title],
+                ['g:description', description],
+                ['g:link', link],
+                ['g:image_link', images[0]],
+                ...images.slice(1, MAX_ADDITIONAL_IMAGES + 1).map(url => ['g:additional_image_link', url]),
+                ['g:availability', stock > 0 ? 'in_stock' : 'out_of_stock'],
+                ['g:price', formatPrice(size.regularPrice > 0 ? size.regularPrice : size.salePrice)],
+                ...(onSale ? [['g:sale_price', formatPrice(size.salePrice)]] : []),
+                ['g:brand', FEED_BRAND],
+                ['g:condition', 'new'],
+                ...(isGtin(size.barcode) ? [['g:gtin', size.barcode]] : []),
+                ...(size.sku ? [['g:mpn', size.sku]] : []),
+                ...(productType ? [['g:product_type', productType]] : []),
+                ...(size.size ? [['g:size', size.size]] : []),
+                ...(color ? [['g:color', color]] : []),
+                ...(gender ? [['g:gender', gender]] : []),
+                ...(material ? [['g:material', material]] : [])
+            ];
+            if (channel === 'meta') fields.push(['g:quantity_to_sell_on_facebook', stock]);
+            return fields;
+        });
+};
+
+/**
+ * Product feed XML for Google Merchant Center or a Meta catalog.
+ * @param {Object} [options]
+ * @param {string} [options.channel='google'] - google | meta
+ * @returns {Promise<{ xml: string, entries: number, generatedAt: Date }>}
+ */
+const buildProductFeed = async ({ channel = 'google' } = {}) => {
+    if (!FEED_CHANNELS.includes(channel)) {
+        throw exportError('INVALID_CHANNEL', `Unknown feed channel: ${channel}`, { allowed: FEED_CHANNELS });
+    }
+
+    const cached = feedCache.get(channel);
+    if (cached && Date.now() - cached.generatedAt.getTime() < FEED_CACHE_TTL_MS) return cached;
+
+    const [items, names] = await Promise.all([
+        Item.find({ status: { $in: FEED_STATUSES }, isDeleted: { $ne: true } })
+            .select(ITEM_FIELDS)
+            .sort({ itemId: 1, _id: 1 })
+            .lean(),
+        getCategoryNames()
+    ]);
+
+    const entries = items.flatMap(item => buildFeedEntries(item, names, channel));
+    const skipped = items.filter(item => !(item.images || []).some(image => image.url && image.type !== 'video')).length;
+    if (skipped > 0) logger.warn(`Product feed (${channel}): ${skipped} live products left out for having no image`);
+
+    const xml = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">',
+        '<channel>',
+        `<title>${escapeXml(FEED_BRAND)}</title>`,
+        `<link>${escapeXml(storefrontUrl())}</link>`,
+        `<description>${escapeXml(`${FEED_BRAND} product catalog`)}</description>`,
+        ...entries.map(fields => [
+            '<item>',
+            ...fields.map(([tag, value]) => `<${tag}>${escapeXml(value)}</${tag}>`),
+            '</item>'
+        ].join('\n')),
+        '</channel>',
+        '</rss>',
+        ''
+    ].join('\n');
+
+    const feed = { xml, entries: entries.length, generatedAt: new Date() };
+    feedCache.set(channel, feed);
+    return feed;
+};
+
+module.exports = {
+    CATALOG_EXPORT_ERROR_STATUS,
+    FEED_CHANNELS,
+    exportCatalog,
+    buildProductFeed,
+    publicImageUrl
+};
@@ -0,0 +1,850 @@
+// Catalog Import Service - create or update products from a CSV/XLSX spreadsheet.
+// Each row is one size of a product: product columns (name, category, filters, ...) may
+// repeat on every row of a product or appear on its first row only, and size columns
+// (size, SKU, prices, stock) describe that row's size. Products are matched by itemId,
+// or by an existing SKU when the row has no itemId; sizes by SKU, then by size name.
+// Blank cells leave the current value alone. Every import is recorded as a CatalogImport
+// with a per-row diff and validation errors; a dry run stops there. A product is only
+// written when all of its rows are valid. Files above CATALOG_IMPORT_SYNC_ROWS rows are
+// processed in the background and polled by id.
+const XLSX = require('xlsx');
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const Category = require('../models/Category');
+const SubCategory = require('../models/SubCategory');
+const Filter = require('../models/Filter');
+const CatalogImport = require('../models/CatalogImport');
+const { eventBus, EVENTS } = require('./eventBus');
+const { generateSKU, validateProductForLive } = require('../utils/skuUtils');
+const logger = require('../utils/logger');
+
+const MAX_ROWS = parseInt(process.env.CATALOG_IMPORT_MAX_ROWS, 10) || 10000;
+const SYNC_ROWS = parseInt(process.env.CATALOG_IMPORT_SYNC_ROWS, 10) || 200;
+const PROGRESS_EVERY = 50; // Products between progress updates of a background import
+
+// Statuses an import may set; scheduling needs a publish time and stays in the admin panel
+const IMPORT_STATUSES = ['draft', 'live', 'inactive'];
+
+/**
+ * Import fields. `aliases` are other headers recognised without a column mapping
+ * (compared lower-case, letters and digits only).
+ */
+const IMPORT_FIELDS = [
+    { field: 'itemId', label: 'Item ID', level: 'item', aliases: ['productid', 'stylecode'], description: 'Product code. Matches existing products; leave blank to match by SKU', example: 'YOR-TS-001' },
+    { field: 'productName', label: 'Product Name', level: 'item', aliases: ['name'], description: 'Required for new products', example: 'Classic Cotton T-Shirt' },
+    { field: 'title', label: 'Title', level: 'item', description: 'Display title, if different from the name', example: '' },
+    { field: 'description', label: 'Description', level: 'item', description: 'Required for new products', example: 'Regular fit crew neck t-shirt in combed cotton.' },
+    { field: 'category', label: 'Category', level: 'item', aliases: ['categoryid', 'categoryname'], description: 'Category name or id. Required for new products', example: 'Men' },
+    { field: 'subCategory', label: 'Subcategory', level: 'item', aliases: ['subcategoryid', 'subcategoryname'], description: 'Subcategory name or id, within the category. Required for new products', example: 'T-Shirts' },
+    { field: 'status', label: 'Status', level: 'item', description: `${IMPORT_STATUSES.join(', ')} (new products default to draft)`, example: 'draft' },
+    { field: 'filters', label: 'Filters', level: 'item', aliases: ['productfilters', 'attributes'], description: 'key: value pairs separated by ";" (e.g. color: Navy; material: Cotton); replaces the current filters', example: 'material: Cotton; fit: Regular' },
+    { field: 'returnable', label: 'Returnable', level: 'item', description: 'yes or no', example: 'yes' },
+    { field: 'size', label: 'Size', level: 'size', aliases: ['sizename'], description: 'Size name. Required for sizes that do not exist yet', example: 'M' },
+    { field: 'sku', label: 'SKU', level: 'size', description: 'Matches existing sizes; generated for new sizes when blank', example: 'YOR-TS-001-M' },
+    { field: 'barcode', label: 'Barcode', level: 'size', description: 'Up to 14 digits', example: '' },
+    { field: 'hsnCode', label: 'HSN Code', level: 'size', aliases: ['hsn'], description: 'Up to 8 digits', example: '6109' },
+    { field: 'regularPrice', label: 'Regular Price', level: 'size', aliases: ['price', 'mrp'], description: 'Price in INR', example: '999' },
+    { field: 'salePrice', label: 'Sale Price', level: 'size', aliases: ['discountprice'], description: 'Price in INR, not above the regular price (0 for none)', example: '799' },
+    { field: 'stock', label: 'Stock', level: 'size', aliases: ['quantity', 'qty', 'inventory'], description: 'Units in stock; replaces the current stock', example: '25' },
+    { field: 'sizeFilters', label: 'Size Filters', level: 'size', description: 'Like Filters, for this size only (e.g. color: Navy)', example: 'color: Navy' }
+];
+
+const FIELDS_BY_NAME = new Map(IMPORT_FIELDS.map(definition => [definition.field, definition]));
+
+const CATALOG_IMPORT_ERROR_STATUS = {
+    FILE_REQUIRED: 400,
+    UNSUPPORTED_FILE: 400,
+    INVALID_FILE: 400,
+    EMPTY_FILE: 400,
+    TOO_MANY_ROWS: 413,
+    INVALID_MAPPING: 400,
+    IMPORT_NOT_FOUND: 404
+};
+
+const importError = (code, message, details) => {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+};
+
+const headerKey = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Map the file's headers to import fields: an explicit mapping first, then field names,
+ * labels and aliases.
+ * @param {string[]} headers
+ * @param {Object} [mapping] - { "<header>": "<field>" }
+ * @returns {{ columns: Map<string, string>, ignored: string[] }}
+ */
+const resolveColumns = (headers, mapping = {}) => {
+    const known = new Map();
+    for (const definition of IMPORT_FIELDS) {
+        for (const name of [definition.field, definition.label, ...(definition.aliases || [])]) {
+            known.set(headerKey(name), definition.field);
+        }
+    }
+
+    const invalid = Object.entries(mapping).filter(([, field]) => field && !FIELDS_BY_NAME.has(field));
+    if (invalid.length > 0) {
+        throw importError('INVALID_MAPPING', `Unknown import field(s): ${invalid.map(([, field]) => field).join(', ')}`, {
+            fields: IMPORT_FIELDS.map(definition => definition.field)
+        });
+    }
+    const explicit = new Map(Object.entries(mapping).map(([header, field]) => [headerKey(header), field]));
+
+    const columns = new Map();
+    const ignored = [];
+    const taken = new Set();
+    for (const header of headers) {
+        const key = headerKey(header);
+        // An explicit empty mapping ignores the column
+        const field = explicit.has(key) ? explicit.get(key) : known.get(key);
+        if (!field || taken.has(field)) {
+            ignored.push(header);
+            continue;
+        }
+        columns.set(header, field);
+        taken.add(field);
+    }
+    return { columns, ignored };
+};
+
+/**
+ * Read the first sheet of a CSV or XLSX upload.
+ * @param {Object} file - Multer file (buffer, originalname, mimetype)
+ * @returns {{ format: string, headers: string[], rows: Object[] }}
+ */
+const readSpreadsheet = (file) => {
+    if (!file || !file.buffer) throw importError('FILE_REQUIRED', 'A CSV or XLSX file is required');
+
+    const extension = (file.originalname || '').split('.').pop().toLowerCase();
+    if (!['csv', 'xlsx', 'xls'].includes(extension)) {
+        throw importError('UNSUPPORTED_FILE', 'Only .csv and .xlsx files can be imported');
+    }
+
+    let workbook;
+    try {
+        workbook = extension === 'csv'
+            ? XLSX.read(file.buffer.toString('utf8').replace(/^\uFEFF/, ''), { type: 'string', raw: true })
+            : XLSX.read(file.buffer, { type: 'buffer' });
+    } catch (error) {
+        throw importError('INVALID_FILE', `Could not read the spreadsheet: ${error.message}`);
+    }
+
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet) throw importError('EMPTY_FILE', 'The spreadsheet has no sheets');
+
+    const [headerRow = []] = XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: false, defval: '' });
+    const headers = headerRow.map(header => String(header).trim()).filter(Boolean);
+    // raw: false keeps codes such as HSN or barcodes as written (no 6.109E+3)
+    const rows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false, blankrows: true });
+
+    // Spreadsheet row numbers: the header is row 1
+    const numbered = rows
+        .map((row, index) => ({ rowNumber: (row.__rowNum__ ?? index + 1) + 1, cells: row }))
+        .filter(row => Object.values(row.cells).some(value => String(value).trim() !== ''));
+
+    if (headers.length === 0 || numbered.length === 0) throw importError('EMPTY_FILE', 'The spreadsheet has no rows to import');
+    if (numbered.length > MAX_ROWS) {
+        throw importError('TOO_MANY_ROWS', `At most ${MAX_ROWS} rows can be imported at once`, { rows: numbered.length, maxRows: MAX_ROWS });
+    }
+
+    return { format: extension === 'csv' ? 'csv' : 'xlsx', headers, rows: numbered };
+};
+
+// ---------- Cell parsing ----------
+
+const parseNumber = (value, label, errors, { integer = false } = {}) => {
+    const number = Number(String(value).replace(/[,₹\s]/g, ''));
+    if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+        errors.push(`${label} must be ${integer ? 'a whole number' : 'a number'} of 0 or more`);
+        return undefined;
+    }
+    return number;
+};
+
+const parseBoolean = (value, label, errors) => {
+    const text = String(value).trim().toLowerCase();
+    if (['yes', 'y', 'true', '1'].includes(text)) return true;
+    if (['no', 'n', 'false', '0'].includes(text)) return false;
+    errors.push(`${label} must be yes or no`);
+    return undefined;
+};
+
+// "color: Navy; material: Cotton" → [{ key, value, code }]
+const parseFilters = (value, label, errors, filterCodes) => {
+    const filters = [];
+    for (const part of String(value).split(';').map(entry => entry.trim()).filter(Boolean)) {
+        const separator = part.indexOf(':');
+        const key = separator > 0 ? part.slice(0, separator).trim().toLowerCase() : '';
+        const filterValue = separator > 0 ? part.slice(separator + 1).trim() : '';
+        if (!key || !filterValue) {
+            errors.push(`${label}: "${part}" is not a key: value pair`);
+            continue;
+        }
+        const code = filterCodes.get(`${key}:${filterValue.toLowerCase()}`);
+        filters.push({ key, value: filterValue, ...(code ? { code } : {}) });
+    }
+    return filters;
+};
+
+const filtersText = (filters) => (filters || []).map(filter => `${filter.key}: ${filter.value}`).join('; ');
+
+/**
+ * Turn a row's cells into typed product and size values, collecting validation errors.
+ * @returns {{ item: Object, size: Object, errors: string[] }}
+ */
+const parseRow = (cells, columns, context) => {
+    const errors = [];
+    const item = {};
+    const size = {};
+
+    for (const [header, field] of columns) {
+        const raw = String(cells[header] ?? '').trim();
+        if (raw === '') continue;
+        const { label, level } = FIELDS_BY_NAME.get(field);
+        const target = level === 'size' ? size : item;
+
+        switch (field) {
+            case 'regularPrice':
+            case 'salePrice':
+                target[field] = parseNumber(raw, label, errors);
+                break;
+            case 'stock':
+                target[field] = parseNumber(raw, label, errors, { integer: true });
+                break;
+            case 'returnable':
+                target[field] = parseBoolean(raw, label, errors);
+                break;
+            case 'filters':
+            case 'sizeFilters':
+                target[field === 'sizeFilters' ? 'filters' : field] = parseFilters(raw, label, errors, context.filterCodes);
+                break;
+            case 'status':
+                if (IMPORT_STATUSES.includes(raw.toLowerCase())) {
+                    target[field] = raw.toLowerCase();
+                } else {
+                    errors.push(`${label} must be one of ${IMPORT_STATUSES.join(', ')}`);
+                }
+                break;
+            case 'barcode':
+                if (!/^\d{1,14}$/.test(raw)) errors.push(`${label} must be up to 14 digits`);
+                target[field] = raw;
+                break;
+            case 'hsnCode':
+                if (!/^\d{1,8}$/.test(raw)) errors.push(`${label} must be up to 8 digits`);
+                target[field] = raw;
+                break;
+            default:
+                target[field] = raw;
+        }
+    }
+
+    // Category and subcategory by id or name, the subcategory within the category
+    if (item.category) {
+        const category = context.categoriesById.get(item.category) || context.categoriesByName.get(item.category.toLowerCase());
+        if (category) {
+            item.categoryId = category._id;
+        } else {
+            errors.push(`Category "${item.category}" not found`);
+        }
+        delete item.category;
+    }
+    if (item.subCategory) {
+        const candidates = context.subCategoriesById.has(item.subCategory)
+            ? [context.subCategoriesById.get(item.subCategory)]
+            : context.subCategoriesByName.get(item.subCategory.toLowerCase()) || [];
+        item.subCategoryName = item.subCategory;
+        delete item.subCategory;
+        if (candidates.length === 0) errors.push(`Subcategory "${item.subCategoryName}" not found`);
+        item.subCategoryCandidates = candidates;
+    }
+
+    return { item, size, errors };
+};
+
+// ---------- Planning ----------
+
+const ITEM_FIELDS = ['productName', 'title', 'description', 'categoryId', 'subCategoryId', 'status', 'filters', 'returnable'];
+const SIZE_FIELDS = ['size', 'barcode', 'hsnCode', 'regularPrice', 'salePrice', 'stock', 'filters'];
+
+// Comparable form of a value, for diffs
+const comparable = (field, value) => {
+    if (value === undefined || value === null) return null;
+    if (field === 'filters') return filtersText(value);
+    if (value instanceof mongoose.Types.ObjectId) return String(value);
+    return value;
+};
+
+const change = (field, from, to, sku = null) => ({
+    field,
+    sku,
+    from: comparable(field.replace(/^sizes\./, ''), from),
+    to: comparable(field.replace(/^sizes\./, ''), to)
+});
+
+/**
+ * Work out what one product's rows would do.
+ * @param {Object} group - { itemId, rows: [{ rowNumber, item, size, errors }] }
+ * @param {Object|null} existing - Current Item (lean), or null for a new product
+ * @param {Object} context
+ * @returns {{ action: string, itemChanges: Object, sizePlans: Object[], rowResults: Object[] }}
+ */
+const planGroup = (group, existing, context) => {
+    const rowResults = group.rows.map(row => ({
+        rowNumber: row.rowNumber,
+        itemId: group.itemId,
+        sku: row.size.sku || null,
+        action: existing ? 'unchanged' : 'create',
+        item: existing?._id || null,
+        changes: [],
+        validationErrors: [...row.errors]
+    }));
+
+    if (existing?.isDeleted) {
+        rowResults[0].validationErrors.push(`${group.itemId} is a deleted product`);
+    }
+
+    // Product values: the first non-blank cell of each field; a different value later is an error
+    const itemValues = {};
+    group.rows.forEach((row, index) => {
+        for (const [field, value] of Object.entries(row.item)) {
+            if (value === undefined) continue;
+            if (!(field in itemValues)) {
+                itemValues[field] = value;
+            } else if (JSON.stringify(comparable(field, itemValues[field])) !== JSON.stringify(comparable(field, value))) {
+                rowResults[index].validationErrors.push(`${FIELDS_BY_NAME.get(field)?.label || field} differs from an earlier row of ${group.itemId}`);
+            }
+        }
+    });
+
+    const categoryId = itemValues.categoryId || existing?.categoryId;
+    if (itemValues.subCategoryCandidates) {
+        const subCategory = itemValues.subCategoryCandidates.find(candidate => !categoryId || String(candidate.categoryId) === String(categoryId));
+        if (subCategory) {
+            itemValues.subCategoryId = subCategory._id;
+        } else if (itemValues.subCategoryCandidates.length > 0) {
+            rowResults[0].validationErrors.push(`Subcategory "${itemValues.subCategoryName}" is not in the product's category`);
+        }
+        delete itemValues.subCategoryCandidates;
+        delete itemValues.subCategoryName;
+    } else if (itemValues.categoryId && existing?.subCategoryId) {
+        const current = context.subCategoriesById.get(String(existing.subCategoryId));
+        if (current && String(current.categoryId) !== String(itemValues.categoryId)) {
+            rowResults[0].validationErrors.push('Changing the category needs a subcategory of the new category');
+        }
+    }
+
+    // Product-level changes are reported on the product's first row
+    const itemChanges = {};
+    if (existing) {
+        for (const field of ITEM_FIELDS) {
+            if (!(field in itemValues)) continue;
+            const from = comparable(field, existing[field]);
+            const to = comparable(field, itemValues[field]);
+            if (String(from ?? '') !== String(to ?? '')) {
+                itemChanges[field] = itemValues[field];
+                rowResults[0].changes.push(change(field, existing[field], itemValues[field]));
+            }
+        }
+    } else {
+        const required = { productName: 'Product Name', description: 'Description', categoryId: 'Category', subCategoryId: 'Subcategory' };
+        for (const [field, label] of Object.entries(required)) {
+            // A name that was not found is already reported
+            const reported = rowResults.some(result => result.validationErrors.some(message => message.startsWith(`${label} "`)));
+            if (!itemValues[field] && !reported) rowResults[0].validationErrors.push(`${label} is required for a new product`);
+        }
+        Object.assign(itemChanges, { status: 'draft', ...itemValues });
+        for (const field of ITEM_FIELDS) {
+            if (field in itemChanges) rowResults[0].changes.push(change(field, null, itemChanges[field]));
+        }
+    }
+
+    // Sizes
+    const currentSizes = (existing?.sizes || []).map(size => ({ ...size }));
+    const sizePlans = [];
+    group.rows.forEach((row, index) => {
+        const result = rowResults[index];
+        const values = row.size;
+        if (Object.keys(values).length === 0) return;
+
+        let target = null;
+        if (values.sku) {
+            target = currentSizes.find(size => size.sku === values.sku);
+        } else if (values.size) {
+            const sameName = currentSizes.filter(size => String(size.size || '').toLowerCase() === values.size.toLowerCase());
+            if (sameName.length > 1) result.validationErrors.push(`Several sizes are named "${values.size}"; give the SKU`);
+            target = sameName.length === 1 ? sameName[0] : null;
+        }
+        const sameSize = (plan) => (target
+            ? plan.target === target
+            : plan.added && (values.sku ? plan.added.sku === values.sku : String(plan.added.size).toLowerCase() === String(values.size || '').toLowerCase()));
+        if (sizePlans.some(sameSize)) {
+            result.validationErrors.push(`Size ${values.sku || values.size} appears on more than one row`);
+            return;
+        }
+
+        if (target) {
+            const updates = {};
+            for (const field of SIZE_FIELDS) {
+                if (!(field in values) || values[field] === undefined) continue;
+                if (String(comparable(field, target[field]) ?? '') !== String(comparable(field, values[field]) ?? '')) {
+                    updates[field] = values[field];
+                    result.changes.push(change(`sizes.${field}`, target[field], values[field], target.sku));
+                }
+            }
+            const regularPrice = updates.regularPrice ?? target.regularPrice ?? 0;
+            const salePrice = updates.salePrice ?? target.salePrice ?? 0;
+            if (salePrice > 0 && regularPrice > 0 && salePrice > regularPrice) result.validationErrors.push('Sale Price is above the Regular Price');
+            result.sku = target.sku;
+            sizePlans.push({ target, updates: Object.keys(updates).length > 0 ? updates : null, rowIndex: index });
+        } else {
+            if (!values.size) {
+                result.validationErrors.push(values.sku ? `SKU ${values.sku} not found on ${group.itemId}; give the Size to add it` : 'Size is required for a new size');
+                return;
+            }
+            if (!values.regularPrice) result.validationErrors.push('Regular Price is required for a new size');
+            if (values.sku && context.skuOwners.has(values.sku) && context.skuOwners.get(values.sku) !== group.itemId) {
+                result.validationErrors.push(`SKU ${values.sku} already belongs to ${context.skuOwners.get(values.sku)}`);
+            }
+            if ((values.salePrice || 0) > 0 && (values.regularPrice || 0) > 0 && values.salePrice > values.regularPrice) {
+                result.validationErrors.push('Sale Price is above the Regular Price');
+            }
+            const sku = values.sku || null;
+            result.changes.push(change('sizes', null, `${values.size}${sku ? ` (${sku})` : ' (SKU generated)'}`, sku));
+            for (const field of SIZE_FIELDS.filter(name => name !== 'size')) {
+                if (values[field] !== undefined) result.changes.push(change(`sizes.${field}`, null, values[field], sku));
+            }
+            sizePlans.push({ target: null, added: values, rowIndex: index });
+        }
+    });
+
+    if (!existing && !sizePlans.some(plan => plan.added)) {
+        rowResults[0].validationErrors.push('A new product needs at least one size row');
+    }
+
+    // Going live needs what the product page needs
+    const finalStatus = itemChanges.status || existing?.status;
+    if (finalStatus === 'live' && (itemChanges.status || !existing)) {
+        const merged = {
+            productName: itemChanges.productName ?? existing?.productName ?? '',
+            description: itemChanges.description ?? existing?.description ?? '',
+            sizes: [
+                ...currentSizes,
+                ...sizePlans.filter(plan => plan.added).map((plan, index) => ({ sku: plan.added.sku || `GENERATED-${index}` }))
+            ]
+        };
+        const { errors } = validateProductForLive(merged);
+        rowResults[0].validationErrors.push(...errors.map(message => `Cannot go live: ${message}`));
+    }
+
+    // One invalid row keeps the whole product out
+    const invalidRows = rowResults.filter(result => result.validationErrors.length > 0);
+    if (invalidRows.length > 0) {
+        const numbers = invalidRows.map(result => result.rowNumber).join(', ');
+        rowResults.forEach((result) => {
+            if (result.validationErrors.length === 0) result.validationErrors.push(`Not imported: row ${numbers} of ${group.itemId} has errors`);
+            result.action = 'error';
+        });
+        return { action: 'error', itemChanges, sizePlans, rowResults };
+    }
+
+    if (existing) {
+        rowResults.forEach((result) => {
+            result.action = result.changes.length > 0 ? 'update' : 'unchanged';
+        });
+    }
+    const changed = rowResults.some(result => result.action !== 'unchanged');
+    return { action: existing ? (changed ? 'update' : 'unchanged') : 'create', itemChanges, sizePlans, rowResults };
+};
+
+// ---------- Applying ----------
+
+const sizeDocument = (values, productName, index) => ({
+    size: values.size,
+    sku: values.sku || generateSKU(productName, values.size, index),
+    barcode: values.barcode || '',
+    hsnCode: values.hsnCode || '',
+    regularPrice: values.regularPrice || 0,
+    salePrice: values.salePrice || 0,
+    stock: values.stock || 0,
+    quantity: values.stock || 0,
+    filters: values.filters || []
+});
+
+/**
+ * Write one planned product.
+ * @returns {Promise<{ itemId, skus: string[], stockChanges: Object[] }>} skus in the order
+ *   of plan.sizePlans
+ */
+const applyPlan = async (group, existing, plan) => {
+    const now = new Date();
+    const stockChanges = [];
+
+    if (!existing) {
+        const productName = plan.itemChanges.productName;
+        const item = new Item({
+            itemId: group.itemId,
+            productId: group.itemId,
+            ...plan.itemChanges,
+            title: plan.itemChanges.title || productName,
+            stockSizeOption: 'sizes',
+            sizes: plan.sizePlans.map((sizePlan, index) => sizeDocument(sizePlan.added, productName, index)),
+            ...(plan.itemChanges.status === 'live' ? { publishedAt: now } : {})
+        });
+        await item.save();
+        return { itemId: item._id, skus: item.sizes.map(size => size.sku), stockChanges };
+    }
+
+    const item = await Item.findById(existing._id);
+    if (!item) throw new Error(`${group.itemId} was deleted during the import`);
+
+    for (const [field, value] of Object.entries(plan.itemChanges)) item[field] = value;
+    if (plan.itemChanges.status === 'live') item.publishedAt = now;
+    if (plan.itemChanges.status === 'inactive') item.unpublishedAt = now;
+
+    const skus = [];
+    for (const sizePlan of plan.sizePlans) {
+        if (sizePlan.added) {
+            const size = sizeDocument(sizePlan.added, item.productName, item.sizes.length);
+            item.sizes.push(size);
+            skus.push(size.sku);
+            continue;
+        }
+        const size = item.sizes.find(entry => entry.sku === sizePlan.target.sku)
+            || item.sizes.find(entry => !sizePlan.target.sku && entry.size === sizePlan.target.size);
+        if (!size) throw new Error(`Size ${sizePlan.target.sku || sizePlan.target.size} was removed during the import`);
+        skus.push(size.sku);
+        if (!sizePlan.updates) continue;
+
+        const previousStock = size.stock || 0;
+        for (const [field, value] of Object.entries(sizePlan.updates)) size[field] = value;
+        if ('stock' in sizePlan.updates) {
+            size.quantity = sizePlan.updates.stock;
+            if (sizePlan.updates.stock !== previousStock) {
+                stockChanges.push({
+                    itemId: item._id.toString(),
+                    productName: item.productName,
+                    sku: size.sku,
+                    size: size.size,
+                    previousStock,
+                    newStock: sizePlan.updates.stock,
+                    delta: sizePlan.updates.stock - previousStock
+                });
+            }
+        }
+    }
+
+    await item.save();
+    return { itemId: item._id, skus, stockChanges };
+};
+
+// ---------- Running ----------
+
+/**
+ * Lookups shared by every row: categories, subcategories, filter value codes.
+ */
+const loadContext = async () => {
+    const [categories, subCategories, filterDefinitions] = await Promise.all([
+        Category.find().select('name').lean(),
+        SubCategory.find().select('name categoryId').lean(),
+        Filter.find().select('key values').lean()
+    ]);
+
+    const subCategoriesByName = new Map();
+    for (const subCategory of subCategories) {
+        const key = subCategory.name.toLowerCase();
+        subCategoriesByName.set(key, [...(subCategoriesByName.get(key) || []), subCategory]);
+    }
+
+    const filterCodes = new Map();
+    for (const filter of filterDefinitions) {
+        for (const value of filter.values || []) {
+            if (value.code) filterCodes.set(`${filter.key}:${value.name.toLowerCase()}`, value.code);
+        }
+    }
+
+    return {
+        categoriesById: new Map(categories.map(category => [String(category._id), category])),
+        categoriesByName: new Map(categories.map(category => [category.name.toLowerCase(), category])),
+        subCategoriesById: new Map(subCategories.map(subCategory => [String(subCategory._id), subCategory])),
+        subCategoriesByName,
+        filterCodes,
+        skuOwners: new Map()
+    };
+};
+
+/**
+ * Plan (and unless dry run, apply) every row of a parsed spreadsheet into the import.
+ * @param {Object} importDoc - CatalogImport document
+ * @param {Object[]} rows - readSpreadsheet() rows
+ * @param {Map<string, string>} columns
+ */
+const processRows = async (importDoc, rows, columns) => {
+    const context = await loadContext();
+    const parsed = rows.map(row => ({ rowNumber: row.rowNumber, ...parseRow(row.cells, columns, context) }));
+
+    // Rows without an itemId find their product through an existing SKU
+    const skusToFind = [...new Set(parsed.map(row => row.size.sku).filter(Boolean))];
+    const itemIds = [...new Set(parsed.map(row => row.item.itemId).filter(Boolean))];
+    const existingItems = await Item.find({
+        $or: [{ itemId: { $in: itemIds } }, { 'sizes.sku': { $in: skusToFind } }]
+    }).lean();
+
+    const itemsByItemId = new Map(existingItems.map(item => [item.itemId, item]));
+    for (const item of existingItems.filter(entry => !entry.isDeleted)) {
+        for (const size of item.sizes || []) {
+            if (size.sku) context.skuOwners.set(size.sku, item.itemId);
+        }
+    }
+
+    const groups = new Map();
+    const rowResults = [];
+    for (const row of parsed) {
+        const itemId = row.item.itemId || (row.size.sku && context.skuOwners.get(row.size.sku));
+        if (!itemId) {
+            rowResults.push({
+                rowNumber: row.rowNumber,
+                itemId: null,
+                sku: row.size.sku || null,
+                action: 'error',
+                changes: [],
+                validationErrors: [...row.errors, row.size.sku ? `SKU ${row.size.sku} not found; give the Item ID to create it` : 'Item ID or an existing SKU is required']
+            });
+            continue;
+        }
+        delete row.item.itemId;
+        if (!groups.has(itemId)) groups.set(itemId, { itemId, rows: [] });
+        groups.get(itemId).rows.push(row);
+    }
+
+    // A SKU given for two different products in the file
+    const skuGroups = new Map();
+    for (const group of groups.values()) {
+        for (const row of group.rows) {
+            if (!row.size.sku) continue;
+            const owner = skuGroups.get(row.size.sku);
+            if (owner && owner !== group.itemId) row.errors.push(`SKU ${row.size.sku} is also given for ${owner}`);
+            else skuGroups.set(row.size.sku, group.itemId);
+        }
+    }
+
+    importDoc.totals.items = groups.size;
+    let done = 0;
+    for (const group of groups.values()) {
+        const existing = itemsByItemId.get(group.itemId) || null;
+        const plan = planGroup(group, existing, context);
+
+        if (!importDoc.dryRun && (plan.action === 'create' || plan.action === 'update')) {
+            try {
+                const applied = await applyPlan(group, existing, plan);
+                plan.sizePlans.forEach((sizePlan, index) => {
+                    plan.rowResults[sizePlan.rowIndex].sku = applied.skus[index];
+                });
+                plan.rowResults.forEach((result) => {
+                    result.item = applied.itemId;
+                });
+                applied.stockChanges.forEach(stockChange => eventBus.publish(EVENTS.ITEM_STOCK_CHANGED, {
+                    ...stockChange,
+                    reason: 'catalog_import',
+                    importId: importDoc._id.toString()
+                }));
+            } catch (error) {
+                plan.action = 'error';
+                plan.rowResults.forEach((result) => {
+                    result.action = 'error';
+                    result.validationErrors.push(`Save failed: ${error.message}`);
+                });
+            }
+        }
+
+        rowResults.push(...plan.rowResults);
+        if (plan.action === 'create') importDoc.totals.created += 1;
+        if (plan.action === 'update') importDoc.totals.updated += 1;
+        if (plan.action === 'unchanged') importDoc.totals.unchanged += 1;
+
+        done += 1;
+        if (importDoc.background && done % PROGRESS_EVERY === 0) {
+            await CatalogImport.updateOne({ _id: importDoc._id }, { $set: { 'totals.processed': rowResults.length } });
+        }
+    }
+
+    importDoc.rows = rowResults.sort((a, b) => a.rowNumber - b.rowNumber);
+    importDoc.totals.processed = rowResults.length;
+    importDoc.totals.failed = rowResults.filter(result => result.action === 'error').length;
+};
+
+const runImport = async (importDoc, rows, columns) => {
+    importDoc.status = 'processing';
+    importDoc.startedAt = new Date();
+    if (importDoc.background) await importDoc.save();
+
+    try {
+        await processRows(importDoc, rows, columns);
+        importDoc.status = 'completed';
+    } catch (error) {
+        logger.error(`Catalog import ${importDoc._id} failed:`, error.message);
+        importDoc.status = 'failed';
+        importDoc.error = error.message;
+    }
+    importDoc.finishedAt = new Date();
+    await importDoc.save();
+
+    logger.info(`📦 Catalog import ${importDoc._id} ${importDoc.dryRun ? '(dry run) ' : ''}${importDoc.status}: `
+        + `${importDoc.totals.created} created, ${importDoc.totals.updated} updated, ${importDoc.totals.failed} row(s) failed`);
+    return importDoc;
+};
+
+/**
+ * Start an import from an uploaded spreadsheet.
+ * @param {Object} params
+ * @param {Object} params.file - Multer file
+ * @param {boolean} [params.dryRun=true]
+ * @param {Object|string} [params.mapping] - { "<header>": "<field>" } (JSON string accepted)
+ * @param {boolean} [params.background] - Force background processing
+ * @param {string} [params.userId]
+ * @returns {Promise<Object>} The CatalogImport; still processing when `background` is set
+ */
+const startImport = async ({ file, dryRun = true, mapping, background = false, userId = null }) => {
+    let columnMapping = mapping || {};
+    if (typeof columnMapping === 'string') {
+        try {
+            columnMapping = JSON.parse(columnMapping);
+        } catch (error) {
+            throw importError('INVALID_MAPPING', 'mapping must be a JSON object of column headers to import fields');
+        }
+    }
+    if (!columnMapping || typeof columnMapping !== 'object' || Array.isArray(columnMapping)) {
+        throw importError('INVALID_MAPPING', 'mapping must be an object of column headers to import fields');
+    }
+
+    const { format, headers, rows } = readSpreadsheet(file);
+    const { columns, ignored } = resolveColumns(headers, columnMapping);
+    if (![...columns.values()].some(field => field === 'itemId' || field === 'sku')) {
+        throw importError('INVALID_MAPPING', 'The file needs an Item ID or a SKU column', { headers });
+    }
+
+    const importDoc = new CatalogImport({
+        fileName: file.originalname,
+        format,
+        dryRun,
+        background: background || rows.length > SYNC_ROWS,
+        columnMapping: Object.fromEntries(columns),
+        ignoredColumns: ignored,
+        totals: { rows: rows.length },
+        createdBy: userId && mongoose.Types.ObjectId.isValid(userId) ? userId : null
+    });
+
+    if (!importDoc.background) return runImport(importDoc, rows, columns);
+
+    await importDoc.save();
+    setImmediate(() => {
+        runImport(importDoc, rows, columns).catch(error => logger.error('Catalog import failed:', error.message));
+    });
+    return importDoc;
+};
+
+/**
+ * An import with its row results, optionally only rows with a given action.
+ * @param {string} importId
+ * @param {Object} [options]
+ * @param {string} [options.action] - create | update | unchanged | error
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=100]
+ */
+const getImport = async (importId, { action, page = 1, limit = 100 } = {}) => {
+    if (!mongoose.Types.ObjectId.isValid(importId)) throw importError('IMPORT_NOT_FOUND', 'Import not found');
+    const importDoc = await CatalogImport.findById(importId).populate('createdBy', 'name email').lean();
+    if (!importDoc) throw importError('IMPORT_NOT_FOUND', 'Import not found');
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000);
+    const rows = action ? importDoc.rows.filter(row => row.action === action) : importDoc.rows;
+
+    return {
+        ...importDoc,
+        rows: rows.slice((pageNumber - 1) * pageSize, pageNumber * pageSize),
+        rowsPagination: { page: pageNumber, limit: pageSize, total: rows.length, pages: Math.ceil(rows.length / pageSize) }
+    };
+};
+
+/**
+ * Recent imports, without row results.
+ */
+const listImports = async ({ status, page = 1, limit = 20 } = {}) => {
+    const filter = status ? { status } : {};
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [imports, total] = await Promise.all([
+        CatalogImport.find(filter)
+            .select('-rows')
+            .populate('createdBy', 'name email')
+            .sort({ createdAt: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .lean(),
+        CatalogImport.countDocuments(filter)
+    ]);
+    return { imports, pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) } };
+};
+
+/**
+ * The import template: a Products sheet with every column and an example row and, in
+ * XLSX, a Columns sheet describing them.
+ * @param {string} format - csv | xlsx
+ * @returns {Buffer|string}
+ */
+const buildTemplate = (format) => {
+    const headers = IMPORT_FIELDS.map(definition => definition.label);
+    const products = XLSX.utils.aoa_to_sheet([headers, IMPORT_FIELDS.map(definition => definition.example)]);
+    if (format !== 'xlsx') return XLSX.utils.sheet_to_csv(products);
+
+    const columns = XLSX.utils.json_to_sheet(IMPORT_FIELDS.map(definition => ({
+        Column: definition.label,
+        Field: definition.field,
+        Level: definition.level === 'size' ? 'Size (each row)' : 'Product',
+        'Also Accepted As': (definition.aliases || []).join(', '),
+        Description: definition.description
+    })));
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, products, 'Products');
+    XLSX.utils.book_append_sheet(workbook, columns, 'Columns');
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+let initialized = false;
+
+/**
+ * Background imports do not survive a restart: mark any left unfinished as failed.
+ * Safe to call more than once.
+ */
+const init = () => {
+    if (initialized) return;
+    initialized = true;
+
+    const markInterrupted = () => CatalogImport.updateMany(
+        { status: { $in: ['queued', 'processing'] } },
+        { $set: { status: 'failed', error: 'Interrupted by a server restart; upload the file again', finishedAt: new Date() } }
+    ).catch(error => logger.error('Catalog import cleanup failed:', error.message));
+
+    if (mongoose.connection.readyState === 1) {
+        markInterrupted();
+    } else {
+        mongoose.connection.once('connected', markInterrupted);
+    }
+};
+
+module.exports = {
+    IMPORT_FIELDS,
+    CATALOG_IMPORT_ERROR_STATUS,
+    init,
+    resolveColumns,
+    readSpreadsheet,
+    startImport,
+    getImport,
+    listImports,
+    buildTemplate,
+    filtersText
+};
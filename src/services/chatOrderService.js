@@ -0,0 +1,328 @@
+// Chat Order Service - orders linked to support chats. Customers link their own orders when
+// they start or during a chat, agents can link any order; the agent view gets each order's
+// status, payment, live Shiprocket tracking, return eligibility and invoice in one call.
+// Actions an agent takes on a linked order from the chat (cancel, start a return, resend
+// the invoice) are carried out by the order services and posted to the chat as system
+// messages, so the customer sees what was done and the transcript keeps a record.
+const mongoose = require('mongoose');
+const ChatSession = require('../models/ChatSession');
+const ChatMessage = require('../models/ChatMessage');
+const Order = require('../models/Order');
+const Invoice = require('../models/Invoice');
+const { ORDER_ACTION_ERROR_STATUS, cancelOrderAsAdmin, createReturnRequest, getReturnEligibility } = require('./orderActionService');
+const { trackAwb } = require('./shiprocketService');
+const invoiceService = require('./invoiceService');
+const chatRealtime = require('./chatRealtimeService');
+const logger = require('../utils/logger');
+
+const MAX_LINKED_ORDERS = 10;
+const ORDER_ACTIONS = ['cancel', 'return', 'resend_invoice'];
+
+// HTTP status for each error code, including those of the order, refund and invoice services
+const CHAT_ORDER_ERROR_STATUS = {
+    ...ORDER_ACTION_ERROR_STATUS,
+    SESSION_NOT_FOUND: 404,
+    ORDER_NOT_LINKED: 404,
+    ORDER_NOT_OWNED: 403,
+    TOO_MANY_ORDERS: 400,
+    INVALID_ORDER_ACTION: 400,
+    REFUND_NOT_ALLOWED: 400,
+    INVALID_REFUND_REQUEST: 400,
+    REFUND_CONFLICT: 409,
+    RAZORPAY_REFUND_FAILED: 502,
+    INVOICE_NOT_AVAILABLE: 409,
+    INVOICE_IN_PROGRESS: 409,
+    NO_RECIPIENT: 400
+};
+
+const chatOrderError = (code, message, details) => {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+};
+
+const orderLabel = (order) => order.orderMetadata?.orderNumber || order._id.toString();
+
+const isLinked = (session, orderId) =>
+    session.linkedOrders.some(link => link.order.toString() === orderId.toString());
+
+/**
+ * Look up an order by id or customer-facing order number.
+ * @returns {Promise<Object>} Order document
+ */
+const findOrder = async ({ orderId, orderNumber }) => {
+    let order = null;
+    if (orderId && mongoose.Types.ObjectId.isValid(orderId)) {
+        order = await Order.findById(orderId).select('user orderMetadata.orderNumber');
+    } else if (orderNumber) {
+        order = await Order.findOne({ 'orderMetadata.orderNumber': orderNumber }).select('user orderMetadata.orderNumber');
+    }
+    if (!order) {
+        throw chatOrderError('ORDER_NOT_FOUND', 'Order not found');
+    }
+    return order;
+};
+
+/**
+ * Resolve the orders a customer wants to discuss into linkedOrders entries; every order
+ * must belong to the customer.
+ * @param {string[]} orderIds
+ * @param {string} dbUserId - The customer's User id (null for users without an account)
+ * @returns {Promise<Object[]>}
+ */
+const resolveCustomerOrders = async (orderIds, dbUserId) => {
+    const ids = [...new Set(orderIds.map(String))];
+    if (ids.length > MAX_LINKED_ORDERS) {
+        throw chatOrderError('TOO_MANY_ORDERS', `A chat can be linked to at most ${MAX_LINKED_ORDERS} orders`);
+    }
+
+    const links = [];
+    for (const orderId of ids) {
+        const order = await findOrder({ orderId });
+        if (!dbUserId || order.user.toString() !== dbUserId.toString()) {
+            throw chatOrderError('ORDER_NOT_OWNED', 'You can only link your own orders', { orderId });
+        }
+        links.push({ order: order._id, orderNumber: order.orderMetadata?.orderNumber, linkedBy: 'customer', linkedByUser: dbUserId, linkedAt: new Date() });
+    }
+    return links;
+};
+
+/**
+ * Link an order to a chat. Only orders of the chat's customer (userInfo.dbUserId) can be
+ * linked, by them or by an admin; linking an order that is already linked is a no-op.
+ * @param {Object} session - ChatSession document
+ * @param {Object} ref - { orderId } or { orderNumber }
+ * @param {Object} by - { linkedBy: 'customer'|'admin', userId }
+ * @returns {Promise<Object>} { session, order, alreadyLinked }
+ */
+const linkOrder = async (session, ref, { linkedBy, userId }) => {
+    const order = await findOrder(ref);
+
+    if (linkedBy === 'customer' && (!userId || order.user.toString() !== userId.toString())) {
+        throw chatOrderError('ORDER_NOT_OWNED', 'You can only link your own orders');
+    }
+    const customerId = session.userInfo?.dbUserId;
+    if (!customerId || order.user.toString() !== customerId.toString()) {
+        throw chatOrderError('ORDER_NOT_OWNED', "Only the chat customer's own orders can be linked");
+    }
+    if (isLinked(session, order._id)) {
+        return { session, order, alreadyLinked: true };
+    }
+    if (session.linkedOrders.length >= MAX_LINKED_ORDERS) {
+        throw chatOrderError('TOO_MANY_ORDERS', `A chat can be linked to at most ${MAX_LINKED_ORDERS} orders`);
+    }
+
+    session.linkedOrders.push({
+        order: order._id,
+        orderNumber: order.orderMetadata?.orderNumber,
+        linkedBy,
+        linkedByUser: userId || null,
+        linkedAt: new Date()
+    });
+    await session.save();
+    return { session, order, alreadyLinked: false };
+};
+
+/**
+ * Remove an order from a chat.
+ * @returns {Promise<Object>} session
+ */
+const unlinkOrder = async (session, orderId) => {
+    if (!isLinked(session, orderId)) {
+        throw chatOrderError('ORDER_NOT_LINKED', 'This order is not linked to the chat');
+    }
+    session.linkedOrders = session.linkedOrders.filter(link => link.order.toString() !== orderId.toString());
+    await session.save();
+    return session;
+};
+
+// Live Shiprocket tracking; a tracking failure should not hide the rest of the order
+const liveTracking = async (order) => {
+    if (!order.awb_code) return null;
+    try {
+        return await trackAwb(order.awb_code);
+    } catch (error) {
+        logger.warn(`Tracking lookup for order ${order._id} failed: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Everything an agent needs about the chat's orders, newest link first.
+ * @param {Object} session - ChatSession (document or lean)
+ * @returns {Promise<Object[]>}
+ */
+const getOrderContext = async (session) => {
+    const links = [...(session.linkedOrders || [])].sort((a, b) => new Date(b.linkedAt) - new Date(a.linkedAt));
+    if (!links.length) return [];
+
+    const orderIds = links.map(link => link.order);
+    const [orders, invoices] = await Promise.all([
+        Order.find({ _id: { $in: orderIds } })
+            .populate('items', 'name')
+            .lean(),
+        Invoice.find({ order: { $in: orderIds }, status: { $ne: 'generating' } })
+            .select('order invoiceNumber invoiceDate emailedTo emailedAt')
+            .lean()
+    ]);
+    const orderMap = new Map(orders.map(order => [order._id.toString(), order]));
+    const invoiceMap = new Map(invoices.map(invoice => [invoice.order.toString(), invoice]));
+
+    return Promise.all(links.map(async (link) => {
+        const order = orderMap.get(link.order.toString());
+        const linkInfo = { linkedBy: link.linkedBy, linkedAt: link.linkedAt };
+        if (!order) {
+            return { orderId: link.order, orderNumber: link.orderNumber || null, ...linkInfo, missing: true };
+        }
+
+        const tracking = await liveTracking(order);
+        const invoice = invoiceMap.get(order._id.toString()) || null;
+        const names = new Map((order.items || []).map(item => [item._id.toString(), item.name]));
+        const cancelled = order.order_status?.toLowerCase() === 'cancelled';
+        const returnEligibility = getReturnEligibility(order);
+
+        return {
+            orderId: order._id,
+            orderNumber: order.orderMetadata?.orderNumber || null,
+            ...linkInfo,
+            createdAt: order.created_at,
+            orderStatus: order.order_status,
+            payment: {
+                status: order.payment_status,
+                totalPrice: order.total_price,
+                refundedAmount: order.refunded_amount || 0,
+                razorpayPaymentId: order.razorpay_payment_id || null
+            },
+            items: (order.item_quantities || []).map(line => ({
+                name: names.get(String(line.item_id)) || null,
+                sku: line.sku,
+                size: line.size,
+                quantity: line.quantity,
+                price: line.price,
+                refundedQuantity: line.refunded_quantity || 0
+            })),
+            shipping: {
+                status: order.shipping_status || null,
+                courierName: order.courier_name || null,
+                awbCode: order.awb_code || null,
+                trackingUrl: order.tracking_url || null,
+                expectedDelivery: order.expected_delivery_date || null,
+                tracking
+            },
+            returnEligibility,
+            return: order.refund?.rmaNumber ? {
+                rmaNumber: order.refund.rmaNumber,
+                status: order.refund.status,
+                amount: order.refund.amount,
+                refundStatus: order.refund.refundStatus || null,
+                returnTrackingUrl: order.refund.returnTrackingUrl || null
+            } : null,
+            invoice,
+            actions: {
+                cancel: !cancelled,
+                return: returnEligibility.eligible,
+                resendInvoice: order.payment_status === 'Paid'
+            }
+        };
+    }));
+};
+
+// Save a system message recording what the agent did and push it to both sides
+const postActionMessage = async (session, agent, text) => {
+    const message = new ChatMessage({
+        messageId: ChatMessage.generateMessageId(),
+        sessionId: session.sessionId,
+        sessionRef: session._id,
+        message: text,
+        sender: 'admin',
+        senderInfo: {
+            userId: agent._id,
+            name: agent.name || 'Support Agent',
+            email: agent.email,
+            isGuest: false
+        },
+        messageType: 'system',
+        isSystemMessage: true,
+        systemMessageType: 'order_action',
+        timestamp: new Date()
+    });
+    await message.save();
+    chatRealtime.publishMessage(message);
+    return message;
+};
+
+/**
+ * Run an agent action on an order linked to the chat and record it in the chat.
+ * @param {string} sessionId
+ * @param {string} orderId
+ * @param {string} action - 'cancel' | 'return' | 'resend_invoice'
+ * @param {Object} options - cancel: { reason, notes, force }; return: { reason, items }
+ * @param {Object} agent - User performing the action
+ * @returns {Promise<Object>} { result, message }
+ */
+const performOrderAction = async (sessionId, orderId, action, options, agent) => {
+    if (!ORDER_ACTIONS.includes(action)) {
+        throw chatOrderError('INVALID_ORDER_ACTION', `Action must be one of: ${ORDER_ACTIONS.join(', ')}`);
+    }
+
+    const session = await ChatSession.findOne({ sessionId });
+    if (!session) {
+        throw chatOrderError('SESSION_NOT_FOUND', 'Chat session not found');
+    }
+    if (!isLinked(session, orderId)) {
+        throw chatOrderError('ORDER_NOT_LINKED', 'Link the order to the chat before acting on it');
+    }
+
+    let result;
+    let text;
+    if (action === 'cancel') {
+        const { order, refund } = await cancelOrderAsAdmin(orderId, {
+            reason: options.reason || 'Cancelled by support',
+            notes: options.notes,
+            force: Boolean(options.force),
+            initiatedBy: agent._id
+        });
+        result = {
+            orderStatus: order.order_status,
+            shippingStatus: order.shipping_status,
+            refund: refund ? { id: refund.razorpayRefundId, amount: refund.amount, status: refund.status } : null
+        };
+        text = `Order ${orderLabel(order)} has been cancelled.`;
+        if (refund) text += ` A refund of ₹${refund.amount} has been initiated to the original payment method.`;
+    } else if (action === 'return') {
+        const { order, refundQuote } = await createReturnRequest(orderId, {
+            reason: options.reason,
+            returnItems: (options.items || []).map(line => ({ sku: line.sku, quantity: parseInt(line.quantity) }))
+        });
+        result = {
+            rmaNumber: order.refund.rmaNumber,
+            returnTrackingUrl: order.refund.returnTrackingUrl,
+            returnLabelUrl: order.refund.returnLabelUrl,
+            estimatedRefund: refundQuote ? refundQuote.amount : null
+        };
+        text = `A return has been started for order ${orderLabel(order)} (return number ${order.refund.rmaNumber}). Our courier partner will contact you to schedule the pickup.`;
+        if (refundQuote) text += ` Estimated refund: ₹${refundQuote.amount}.`;
+    } else {
+        const invoice = await invoiceService.generateInvoice(orderId);
+        // Always to the buyer's address on the invoice; sending elsewhere needs finance.invoices
+        const emailed = await invoiceService.emailInvoice(invoice);
+        result = { invoiceNumber: emailed.invoiceNumber, emailedTo: emailed.emailedTo, emailedAt: emailed.emailedAt };
+        text = `Invoice ${emailed.invoiceNumber} has been sent to ${emailed.emailedTo}.`;
+    }
+
+    const message = await postActionMessage(session, agent, text);
+    logger.info(`💬 Chat ${sessionId}: ${action} on order ${orderId} by ${agent._id}`);
+    return { result, message };
+};
+
+module.exports = {
+    MAX_LINKED_ORDERS,
+    ORDER_ACTIONS,
+    CHAT_ORDER_ERROR_STATUS,
+    resolveCustomerOrders,
+    linkOrder,
+    unlinkOrder,
+    getOrderContext,
+    performOrderAction
+};
@@ -0,0 +1,262 @@
+// Chat Realtime Service - pushes support chat events over Server-Sent Events.
+// Customers open one stream per chat session, support agents one stream for all sessions.
+// Controllers publish here after they have saved their changes; the stream only notifies,
+// the database stays the source of truth, so the polling endpoints keep working as a
+// fallback and a client that reconnects can catch up from them (or via Last-Event-ID).
+// Streams live in this process: with several instances behind a load balancer, events only
+// reach clients connected to the instance that handled the change.
+const jwt = require('jsonwebtoken');
+const ChatMessage = require('../models/ChatMessage');
+const logger = require('../utils/logger');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const RECONNECT_DELAY_MS = 3000;
+// Streams are closed when the token they were opened with expires (the client reconnects
+// with a fresh one), and after this long at the latest
+const MAX_STREAM_AGE_MS = 60 * 60 * 1000;
+
+const EVENTS = {
+    READY: 'ready',
+    MESSAGE: 'message',
+    TYPING: 'typing',
+    RECEIPT: 'receipt', // messages delivered to or read by the other side
+    SESSION_CREATED: 'session_created',
+    SESSION_ASSIGNED: 'session_assigned',
+    SESSION_ESCALATED: 'session_escalated',
+    SESSION_ENDED: 'session_ended',
+    SLA_BREACHED: 'sla_breached' // support team only
+};
+
+const sessionClients = new Map(); // chat sessionId -> Set of customer streams
+const adminClients = new Set();
+let heartbeatTimer = null;
+let nextClientId = 1;
+
+const connectionCount = () => {
+    let count = adminClients.size;
+    for (const clients of sessionClients.values()) count += clients.size;
+    return count;
+};
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// Message as pushed to clients: the sender's IP and user agent stay on the server
+const messagePayload = (message) => {
+    const data = toPlain(message);
+    if (!data.metadata) return data;
+    const { ipAddress, userAgent, ...metadata } = data.metadata;
+    return { ...data, metadata };
+};
+
+const write = (client, event, data, id) => {
+    if (client.closed) return;
+    try {
+        let frame = '';
+        if (id) frame += `id: ${id}\n`;
+        frame += `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        client.res.write(frame);
+        // Compression buffers otherwise; the stream has to go out frame by frame
+        if (typeof client.res.flush === 'function') client.res.flush();
+    } catch (error) {
+        logger.warn(`Chat stream ${client.id} write failed: ${error.message}`);
+        client.close();
+    }
+};
+
+const heartbeat = () => {
+    const clients = [...adminClients];
+    for (const set of sessionClients.values()) clients.push(...set);
+    for (const client of clients) {
+        try {
+            client.res.write(': ping\n\n');
+            if (typeof client.res.flush === 'function') client.res.flush();
+        } catch (error) {
+            client.close();
+        }
+    }
+};
+
+// Expiry of the bearer token the stream was opened with, if it is a JWT
+const tokenExpiry = (req) => {
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Bearer ')) return null;
+    const decoded = jwt.decode(header.slice(7));
+    return decoded && decoded.exp ? decoded.exp * 1000 : null;
+};
+
+/**
+ * Turn the response into an event stream and register it. The stream is removed when the
+ * client disconnects or its token expires.
+ * @returns {Object} client - { id, role, sessionId, userId, close() }
+ */
+const openStream = (req, res, { role, sessionId = null, userId = null }) => {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // nginx must not buffer the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    const client = { id: nextClientId++, role, sessionId, userId, res, closed: false };
+    const expiresAt = Math.min(tokenExpiry(req) || Infinity, Date.now() + MAX_STREAM_AGE_MS);
+    const expiryTimer = setTimeout(() => client.close(), Math.max(expiresAt - Date.now(), 0));
+
+    client.close = () => {
+        if (client.closed) return;
+        client.closed = true;
+        clearTimeout(expiryTimer);
+
+        if (role === 'admin') {
+            adminClients.delete(client);
+        } else {
+            const clients = sessionClients.get(sessionId);
+            if (clients) {
+                clients.delete(client);
+                if (!clients.size) sessionClients.delete(sessionId);
+            }
+        }
+        if (!connectionCount() && heartbeatTimer) {
+            clearInterval(heartbeatTimer);
+            heartbeatTimer = null;
+        }
+        if (!res.writableEnded) res.end();
+    };
+
+    if (role === 'admin') {
+        adminClients.add(client);
+    } else {
+        if (!sessionClients.has(sessionId)) sessionClients.set(sessionId, new Set());
+        sessionClients.get(sessionId).add(client);
+    }
+    req.on('close', client.close);
+
+    if (!heartbeatTimer) {
+        heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL_MS);
+        heartbeatTimer.unref();
+    }
+
+    write(client, EVENTS.READY, { role, sessionId, heartbeatInterval: HEARTBEAT_INTERVAL_MS });
+    return client;
+};
+
+const hasCustomerListeners = (sessionId) => sessionClients.has(sessionId);
+const hasAdminListeners = () => adminClients.size > 0;
+
+// Send an event to the customer streams of a session and/or every agent stream
+const broadcast = (sessionId, event, data, { customers = true, admins = true, id } = {}) => {
+    if (customers) {
+        for (const client of sessionClients.get(sessionId) || []) write(client, event, data, id);
+    }
+    if (admins) {
+        for (const client of adminClients) write(client, event, data, id);
+    }
+};
+
+/**
+ * Tell both sides that messages were delivered or read.
+ * @param {string} sessionId
+ * @param {Object} receipt - { status: 'delivered'|'read', by: 'user'|'admin', messageIds, at }
+ */
+const publishReceipt = (sessionId, receipt) => {
+    if (!receipt.messageIds || !receipt.messageIds.length) return;
+    broadcast(sessionId, EVENTS.RECEIPT, { sessionId, at: new Date(), ...receipt });
+};
+
+// Mark messages delivered once they reached an open stream on the receiving side
+const markDelivered = async (sessionId, messageIds, by) => {
+    const at = new Date();
+    await ChatMessage.updateMany(
+        { sessionId, messageId: { $in: messageIds }, status: 'sent' },
+        { status: 'delivered', 'metadata.deliveredAt': at }
+    );
+    publishReceipt(sessionId, { status: 'delivered', by, messageIds, at });
+};
+
+/**
+ * Push a saved ChatMessage to the customer and the agents. The message id is the event id,
+ * so a reconnecting EventSource resumes after the last message it received.
+ */
+const publishMessage = (message) => {
+    const data = messagePayload(message);
+    broadcast(data.sessionId, EVENTS.MESSAGE, data, { id: data.messageId });
+
+    if (data.isSystemMessage) return;
+    const recipientConnected = data.sender === 'admin'
+        ? hasCustomerListeners(data.sessionId)
+        : hasAdminListeners();
+    if (recipientConnected) {
+        const by = data.sender === 'admin' ? 'user' : 'admin';
+        markDelivered(data.sessionId, [data.messageId], by).catch((error) => {
+            logger.error(`Failed to mark chat message ${data.messageId} delivered: ${error.message}`);
+        });
+    }
+};
+
+/**
+ * Typing indicator from either side; not stored.
+ * @param {Object} typing - { sender: 'user'|'admin', name, isTyping }
+ */
+const publishTyping = (sessionId, typing) => {
+    broadcast(sessionId, EVENTS.TYPING, { sessionId, ...typing, at: new Date() });
+};
+
+// Session lifecycle events (assigned, escalated, ended) for both sides
+const publishSessionEvent = (sessionId, event, data = {}) => {
+    broadcast(sessionId, event, { sessionId, ...data });
+};
+
+// Events only the support team sees, e.g. a new session waiting in the queue
+const publishToAdmins = (event, data) => {
+    for (const client of adminClients) write(client, event, data);
+};
+
+/**
+ * Customer stream for one chat session (ownership is checked by the caller). Messages the
+ * client missed since Last-Event-ID are replayed, and agent messages still waiting for
+ * delivery are marked delivered now that the customer is online.
+ */
+const subscribeCustomer = async (req, res, session, userId) => {
+    const { sessionId } = session;
+    const client = openStream(req, res, { role: 'user', sessionId, userId });
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.after;
+    if (lastEventId) {
+        const missed = await ChatMessage.getNewMessages(sessionId, lastEventId);
+        missed.forEach((message) => write(client, EVENTS.MESSAGE, messagePayload(message), message.messageId));
+    }
+
+    const pending = await ChatMessage.find({ sessionId, sender: 'admin', status: 'sent', isSystemMessage: { $ne: true } })
+        .select('messageId')
+        .lean();
+    if (pending.length) {
+        await markDelivered(sessionId, pending.map((message) => message.messageId), 'user');
+    }
+    return client;
+};
+
+// Agent stream carrying events of every session; the panel reloads its lists on reconnect
+const subscribeAdmin = (req, res, adminId) => openStream(req, res, { role: 'admin', userId: adminId });
+
+const getStats = () => ({
+    customerStreams: connectionCount() - adminClients.size,
+    adminStreams: adminClients.size,
+    sessions: sessionClients.size
+});
+
+module.exports = {
+    EVENTS,
+    HEARTBEAT_INTERVAL_MS,
+    subscribeCustomer,
+    subscribeAdmin,
+    publishMessage,
+    publishReceipt,
+    publishTyping,
+    publishSessionEvent,
+    publishToAdmins,
+    hasCustomerListeners,
+    hasAdminListeners,
+    getStats
+};
@@ -0,0 +1,602 @@
+// Chat Routing Service - auto-assignment, SLA timers and the idle sweep for support chats.
+// A new chat goes to the online agent (SupportAgent) with the chat's category as a skill
+// and the lowest load; when nobody is free it waits in the queue and is handed out as soon
+// as an agent comes online or closes a chat. Every chat gets first-response and resolution
+// deadlines from ChatSupportConfig.sla; a minutely job escalates chats that miss them and
+// closes chats that have been waiting on the customer for too long.
+// Canned replies (CannedResponse) are rendered here too, with order details filled in.
+const mongoose = require('mongoose');
+const ChatSession = require('../models/ChatSession');
+const ChatMessage = require('../models/ChatMessage');
+const ChatSupportConfig = require('../models/ChatSupportConfig');
+const SupportAgent = require('../models/SupportAgent');
+const CannedResponse = require('../models/CannedResponse');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { CHAT_PRIORITIES } = require('../config/chatSupport');
+const { resolvePermissions, hasPermissions } = require('./accessControlService');
+const chatRealtime = require('./chatRealtimeService');
+const logger = require('../utils/logger');
+
+const SLA_SWEEP_JOB = 'chat-sla-sweep';
+const MINUTE_MS = 60 * 1000;
+const BATCH_SIZE = 200;
+
+// HTTP status for each routing error code
+const CHAT_ROUTING_ERROR_STATUS = {
+    SESSION_NOT_FOUND: 404,
+    AGENT_NOT_FOUND: 404,
+    NOT_A_SUPPORT_AGENT: 400,
+    CANNED_RESPONSE_NOT_FOUND: 404,
+    MISSING_VARIABLES: 400,
+    INVALID_CONFIG: 400
+};
+
+const routingError = (code, message, details) => {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+};
+
+// Built-in texts for automatic messages without a canned reply configured
+const DEFAULT_AUTO_RESPONSES = {
+    session_queued: 'All our agents are busy right now. You are in the queue and the next available agent will join shortly.',
+    idle_warning: 'Are you still there? This chat will close automatically if we do not hear from you.',
+    session_timeout: 'This chat was closed because there was no reply for a while. Start a new chat any time if you need more help.'
+};
+
+const SUPPORT_SENDER = {
+    name: 'Yoraa Support',
+    email: 'support@yoraa.com',
+    avatar: 'YS',
+    isGuest: false
+};
+
+const priorityRank = (priority) => {
+    const rank = CHAT_PRIORITIES.indexOf(priority);
+    return rank === -1 ? CHAT_PRIORITIES.length : rank;
+};
+
+/**
+ * First-response and resolution deadlines for a chat of the given priority.
+ * @returns {Object} { firstResponseDueAt, resolutionDueAt }
+ */
+const slaDueDates = (config, priority, startTime) => {
+    const start = new Date(startTime || Date.now()).getTime();
+    const firstResponse = config.sla.firstResponseMinutes?.[priority] ?? config.sla.firstResponseMinutes?.normal;
+    const resolution = config.sla.resolutionMinutes?.[priority] ?? config.sla.resolutionMinutes?.normal;
+    return {
+        firstResponseDueAt: firstResponse ? new Date(start + firstResponse * MINUTE_MS) : null,
+        resolutionDueAt: resolution ? new Date(start + resolution * MINUTE_MS) : null
+    };
+};
+
+/**
+ * Save an automatic support message (queue notice, idle warning, ...) and push it.
+ * A canned reply with the matching trigger replaces the built-in text.
+ */
+const sendAutoMessage = async (session, trigger, { systemMessageType = null } = {}) => {
+    const canned = await CannedResponse.findOne({ trigger, isActive: true }).sort({ updatedAt: -1 }).lean();
+    let text = DEFAULT_AUTO_RESPONSES[trigger];
+    if (canned) {
+        const rendered = await renderCannedResponse(canned, session);
+        if (!rendered.missing.length) text = rendered.text;
+    }
+
+    const message = new ChatMessage({
+        messageId: ChatMessage.generateMessageId(),
+        sessionId: session.sessionId,
+        sessionRef: session._id,
+        message: text,
+        sender: 'admin',
+        senderInfo: SUPPORT_SENDER,
+        messageType: systemMessageType ? 'system' : 'auto_response',
+        isSystemMessage: Boolean(systemMessageType),
+        systemMessageType,
+        timestamp: new Date()
+    });
+    await message.save();
+    chatRealtime.publishMessage(message);
+    return message;
+};
+
+// Number of active chats per agent
+const agentLoads = async (userIds) => {
+    const counts = await ChatSession.aggregate([
+        { $match: { status: 'active', assignedAdmin: { $in: userIds } } },
+        { $group: { _id: '$assignedAdmin', count: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+/**
+ * Best online agent for a category: skilled agents first, then generalists (no skills),
+ * then - if the config allows - anyone with free capacity. Ties go to the agent with the
+ * lowest load, then to the one who got a chat least recently.
+ * @returns {Promise<Object|null>} SupportAgent with `user` populated
+ */
+const findAvailableAgent = async (category, config) => {
+    const agents = await SupportAgent.find({ status: 'online', isActive: true })
+        .populate('user', 'name email isAdmin adminRoles')
+        .lean();
+    const eligible = agents.filter(agent => agent.user?.isAdmin);
+    if (!eligible.length) return null;
+
+    const loads = await agentLoads(eligible.map(agent => agent.user._id));
+    const withCapacity = eligible
+        .map(agent => ({ ...agent, load: loads.get(agent.user._id.toString()) || 0 }))
+        .filter(agent => agent.load < agent.maxConcurrentChats);
+
+    const pools = [
+        withCapacity.filter(agent => agent.skills.includes(category)),
+        withCapacity.filter(agent => !agent.skills.length)
+    ];
+    if (config.routing.fallbackToAnyAgent) pools.push(withCapacity);
+    const pool = pools.find(candidates => candidates.length);
+    if (!pool) return null;
+
+    pool.sort((a, b) => (a.load / a.maxConcurrentChats) - (b.load / b.maxConcurrentChats) ||
+        (a.lastAssignedAt ? new Date(a.lastAssignedAt).getTime() : 0) - (b.lastAssignedAt ? new Date(b.lastAssignedAt).getTime() : 0));
+    return pool[0];
+};
+
+/**
+ * Give an unassigned active chat to the best available agent. The assignment only
+ * happens if the chat is still unassigned, so concurrent routing cannot assign it twice.
+ * @returns {Promise<Object|null>} The assigned agent's user, or null when nobody is free
+ */
+const routeSession = async (session, config) => {
+    const agent = await findAvailableAgent(session.category || 'general', config);
+    if (!agent) return null;
+
+    const now = new Date();
+    const assigned = await ChatSession.findOneAndUpdate(
+        { _id: session._id, status: 'active', assignedAdmin: null },
+        {
+            $set: {
+                assignedAdmin: agent.user._id,
+                adminInfo: { name: agent.user.name, email: agent.user.email, joinedAt: now },
+                'routing.assignedBy': 'auto',
+                'routing.assignedAt': now
+            }
+        },
+        { new: true }
+    );
+    if (!assigned) return null;
+
+    await SupportAgent.updateOne({ _id: agent._id }, { $set: { lastAssignedAt: now } });
+
+    const joinMessage = new ChatMessage({
+        messageId: ChatMessage.generateMessageId(),
+        sessionId: assigned.sessionId,
+        sessionRef: assigned._id,
+        message: `${agent.user.name || 'A support agent'} has joined the chat`,
+        sender: 'admin',
+        senderInfo: { name: 'System', email: 'system@yoraa.com', avatar: 'SY', isGuest: false },
+        messageType: 'system',
+        isSystemMessage: true,
+        systemMessageType: 'admin_joined',
+        timestamp: now
+    });
+    await joinMessage.save();
+
+    chatRealtime.publishMessage(joinMessage);
+    chatRealtime.publishSessionEvent(assigned.sessionId, chatRealtime.EVENTS.SESSION_ASSIGNED, {
+        assignedAdmin: { id: agent.user._id, name: agent.user.name },
+        assignedBy: 'auto'
+    });
+    logger.info(`💬 Chat ${assigned.sessionId} (${assigned.category}) routed to ${agent.user.email || agent.user._id}`);
+    return agent.user;
+};
+
+/**
+ * Start SLA timers for a new chat and route it, or queue it when nobody is free.
+ * @param {Object} session - Saved ChatSession document
+ * @returns {Promise<Object>} { assignedAdmin, queued, sla }
+ */
+const startSession = async (session) => {
+    const config = await ChatSupportConfig.getConfig();
+    const set = {};
+
+    if (config.sla.enabled) {
+        const due = slaDueDates(config, session.priority, session.startTime);
+        set['sla.firstResponseDueAt'] = due.firstResponseDueAt;
+        set['sla.resolutionDueAt'] = due.resolutionDueAt;
+    }
+    if (Object.keys(set).length) {
+        await ChatSession.updateOne({ _id: session._id }, { $set: set });
+    }
+
+    let assignedAdmin = null;
+    if (config.routing.autoAssign) {
+        assignedAdmin = await routeSession(session, config);
+    }
+    if (!assignedAdmin) {
+        await ChatSession.updateOne({ _id: session._id }, { $set: { 'routing.queuedAt': new Date() } });
+        await sendAutoMessage(session, 'session_queued');
+    }
+
+    return {
+        assignedAdmin: assignedAdmin ? { id: assignedAdmin._id, name: assignedAdmin.name } : null,
+        queued: !assignedAdmin,
+        sla: {
+            firstResponseDueAt: set['sla.firstResponseDueAt'] || null,
+            resolutionDueAt: set['sla.resolutionDueAt'] || null
+        }
+    };
+};
+
+/**
+ * Hand queued chats to agents with free capacity, most urgent and longest waiting first.
+ * Called when an agent comes online, when a chat closes and by the sweep job.
+ * @returns {Promise<Object[]>} Job results, one per assigned chat
+ */
+const drainQueue = async () => {
+    const config = await ChatSupportConfig.getConfig();
+    if (!config.routing.autoAssign) return [];
+
+    const queued = await ChatSession.find({ status: 'active', assignedAdmin: null })
+        .select('sessionId category priority startTime')
+        .sort({ startTime: 1 })
+        .limit(BATCH_SIZE)
+        .lean();
+    queued.sort((a, b) => priorityRank(a.priority) - priorityRank(b.priority) || a.startTime - b.startTime);
+
+    const results = [];
+    for (const session of queued) {
+        const agent = await routeSession(session, config);
+        // Agents are checked per category, so a later chat may still find someone
+        if (!agent) continue;
+        results.push({
+            entityType: 'ChatSession',
+            entityId: session._id,
+            reference: session.sessionId,
+            action: 'assign',
+            toStatus: 'assigned',
+            success: true
+        });
+    }
+    return results;
+};
+
+// Fire-and-forget queue drain for request handlers
+const drainQueueInBackground = () => {
+    drainQueue().catch(error => logger.error(`Chat queue drain failed: ${error.message}`));
+};
+
+/**
+ * Record an agent reply: stops the first-response timer and resets the idle clock.
+ */
+const recordAgentReply = async (sessionId, at = new Date()) => {
+    await ChatSession.updateOne({ sessionId }, { $set: { lastMessageAt: at, lastAdminMessageAt: at } });
+    await ChatSession.updateOne(
+        { sessionId, 'sla.firstResponseAt': null },
+        { $set: { 'sla.firstResponseAt': at } }
+    );
+};
+
+// Mark an SLA target missed and escalate the chat
+const breachSla = async (session, kind, config) => {
+    const now = new Date();
+    const field = kind === 'first_response' ? 'sla.firstResponseBreachedAt' : 'sla.resolutionBreachedAt';
+    const claimed = await ChatSession.updateOne({ _id: session._id, [field]: null }, { $set: { [field]: now } });
+    if (!claimed.modifiedCount) return false;
+
+    const label = kind === 'first_response' ? 'First response' : 'Resolution';
+    const dueAt = kind === 'first_response' ? session.sla.firstResponseDueAt : session.sla.resolutionDueAt;
+    chatRealtime.publishToAdmins(chatRealtime.EVENTS.SLA_BREACHED, {
+        sessionId: session.sessionId,
+        sla: kind,
+        dueAt,
+        assignedAdmin: session.assignedAdmin || null
+    });
+
+    if (config.sla.autoEscalate && !session.isEscalated) {
+        const doc = await ChatSession.findById(session._id);
+        await doc.escalate(`${label} SLA missed`);
+
+        const escalationMessage = new ChatMessage({
+            messageId: ChatMessage.generateMessageId(),
+            sessionId: doc.sessionId,
+            sessionRef: doc._id,
+            message: `This chat has been escalated. Reason: ${label} SLA missed`,
+            sender: 'admin',
+            senderInfo: { name: 'System', email: 'system@yoraa.com', avatar: 'SY', isGuest: false },
+            messageType: 'system',
+            isSystemMessage: true,
+            systemMessageType: 'escalated',
+            timestamp: now
+        });
+        await escalationMessage.save();
+
+        chatRealtime.publishMessage(escalationMessage);
+        chatRealtime.publishSessionEvent(doc.sessionId, chatRealtime.EVENTS.SESSION_ESCALATED, {
+            priority: doc.priority,
+            reason: doc.escalationReason,
+            automatic: true
+        });
+    }
+    return true;
+};
+
+// Close a chat that has been waiting on the customer for too long
+const timeOutSession = async (session, config) => {
+    const now = new Date();
+    const closed = await ChatSession.findOneAndUpdate(
+        { _id: session._id, status: 'active' },
+        {
+            $set: {
+                status: 'timeout',
+                endTime: now,
+                duration: Math.floor((now - new Date(session.startTime)) / 1000)
+            }
+        },
+        { new: true }
+    );
+    if (!closed) return false;
+
+    await sendAutoMessage(closed, 'session_timeout', { systemMessageType: 'session_end' });
+    chatRealtime.publishSessionEvent(closed.sessionId, chatRealtime.EVENTS.SESSION_ENDED, {
+        status: 'timeout',
+        endedBy: 'system',
+        endTime: now,
+        reason: `No reply for ${config.idle.timeoutMinutes} minutes`
+    });
+    return true;
+};
+
+/**
+ * Sweep job: escalate chats that missed an SLA target, warn and then close chats the
+ * customer has left idle, and hand queued chats to agents who became free.
+ * @returns {Promise<{results: Object[]}>}
+ */
+const runSlaSweep = async () => {
+    const config = await ChatSupportConfig.getConfig();
+    const now = new Date();
+    const results = [];
+
+    const record = async (session, action, fn) => {
+        try {
+            const done = await fn();
+            if (done) {
+                results.push({ entityType: 'ChatSession', entityId: session._id, reference: session.sessionId, action, success: true });
+            }
+        } catch (error) {
+            results.push({ entityType: 'ChatSession', entityId: session._id, reference: session.sessionId, action, success: false, error: error.message });
+        }
+    };
+
+    if (config.sla.enabled) {
+        const missedFirstResponse = await ChatSession.find({
+            status: 'active',
+            'sla.firstResponseAt': null,
+            'sla.firstResponseBreachedAt': null,
+            'sla.firstResponseDueAt': { $lte: now }
+        }).select('sessionId sla isEscalated assignedAdmin').limit(BATCH_SIZE).lean();
+        for (const session of missedFirstResponse) {
+            await record(session, 'sla_first_response_breach', () => breachSla(session, 'first_response', config));
+        }
+
+        const missedResolution = await ChatSession.find({
+            status: 'active',
+            'sla.resolutionBreachedAt': null,
+            'sla.resolutionDueAt': { $lte: now }
+        }).select('sessionId sla isEscalated assignedAdmin').limit(BATCH_SIZE).lean();
+        for (const session of missedResolution) {
+            await record(session, 'sla_resolution_breach', () => breachSla(session, 'resolution', config));
+        }
+    }
+
+    if (config.idle.enabled) {
+        // Waiting on the customer: the agent spoke last
+        const waitingOnCustomer = {
+            status: 'active',
+            $expr: { $gte: ['$lastAdminMessageAt', { $ifNull: ['$lastUserMessageAt', new Date(0)] }] }
+        };
+
+        const timeoutBefore = new Date(now.getTime() - config.idle.timeoutMinutes * MINUTE_MS);
+        const idle = await ChatSession.find({ ...waitingOnCustomer, lastAdminMessageAt: { $lte: timeoutBefore } })
+            .select('sessionId startTime')
+            .limit(BATCH_SIZE)
+            .lean();
+        for (const session of idle) {
+            await record(session, 'idle_timeout', () => timeOutSession(session, config));
+        }
+
+        if (config.idle.warningMinutes > 0 && config.idle.warningMinutes < config.idle.timeoutMinutes) {
+            const warnBefore = new Date(now.getTime() - (config.idle.timeoutMinutes - config.idle.warningMinutes) * MINUTE_MS);
+            const needWarning = await ChatSession.find({
+                ...waitingOnCustomer,
+                lastAdminMessageAt: { $lte: warnBefore, $gt: timeoutBefore },
+                $or: [{ idleWarningAt: null }, { $expr: { $lt: ['$idleWarningAt', '$lastAdminMessageAt'] } }]
+            }).select('sessionId').limit(BATCH_SIZE).lean();
+            for (const session of needWarning) {
+                await record(session, 'idle_warning', async () => {
+                    await ChatSession.updateOne({ _id: session._id }, { $set: { idleWarningAt: now } });
+                    await sendAutoMessage(session, 'idle_warning', { systemMessageType: 'timeout_warning' });
+                    return true;
+                });
+            }
+        }
+    }
+
+    results.push(...await drainQueue());
+    return { results };
+};
+
+// ---------- Agents ----------
+
+// An agent must be an admin who may answer chats
+const assertSupportAgent = async (userId) => {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        throw routingError('AGENT_NOT_FOUND', 'User not found');
+    }
+    const user = await User.findById(userId).select('name email isAdmin adminRoles').lean();
+    if (!user) throw routingError('AGENT_NOT_FOUND', 'User not found');
+
+    const permissions = await resolvePermissions(user);
+    if (!hasPermissions(permissions, ['support.chat'])) {
+        throw routingError('NOT_A_SUPPORT_AGENT', 'User does not have the support.chat permission');
+    }
+    return user;
+};
+
+/**
+ * Create or update an agent's routing profile (skills, capacity, status).
+ * Going online or raising capacity pulls waiting chats from the queue.
+ * @param {string} userId
+ * @param {Object} changes - { skills, maxConcurrentChats, status, isActive }
+ * @param {string} updatedBy - Admin making the change
+ */
+const updateAgent = async (userId, changes, updatedBy) => {
+    await assertSupportAgent(userId);
+
+    const set = { updatedBy };
+    ['skills', 'maxConcurrentChats', 'isActive'].forEach(field => {
+        if (changes[field] !== undefined) set[field] = changes[field];
+    });
+    if (changes.status !== undefined) {
+        set.status = changes.status;
+        set.statusChangedAt = new Date();
+    }
+
+    const agent = await SupportAgent.findOneAndUpdate(
+        { user: userId },
+        { $set: set },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).populate('user', 'name email');
+
+    if (agent.status === 'online' && agent.isActive) drainQueueInBackground();
+    return agent;
+};
+
+/**
+ * Agents with their current load, plus the chats waiting in the queue.
+ */
+const getRoutingOverview = async () => {
+    const [agents, queue] = await Promise.all([
+        SupportAgent.find().populate('user', 'name email').sort({ status: 1, updatedAt: -1 }).lean(),
+        ChatSession.find({ status: 'active', assignedAdmin: null })
+            .select('sessionId category priority startTime routing.queuedAt sla userInfo.name isEscalated')
+            .sort({ startTime: 1 })
+            .limit(BATCH_SIZE)
+            .lean()
+    ]);
+    const loads = await agentLoads(agents.map(agent => agent.user?._id).filter(Boolean));
+    const now = Date.now();
+
+    return {
+        agents: agents.map(agent => ({
+            ...agent,
+            activeChats: agent.user ? loads.get(agent.user._id.toString()) || 0 : 0
+        })),
+        queue: queue.map(session => ({
+            ...session,
+            waitingSeconds: Math.floor((now - new Date(session.startTime).getTime()) / 1000)
+        }))
+    };
+};
+
+// ---------- Canned responses ----------
+
+// Order the reply is about: the given order id / number, or the customer's latest order
+const findOrderForSession = async (session, orderRef) => {
+    const fields = 'orderMetadata.orderNumber order_status awb_code tracking_url created_at';
+    if (orderRef) {
+        const filter = mongoose.Types.ObjectId.isValid(orderRef)
+            ? { _id: orderRef }
+            : { 'orderMetadata.orderNumber': orderRef };
+        if (session.userInfo?.dbUserId) filter.user = session.userInfo.dbUserId;
+        return Order.findOne(filter).select(fields).lean();
+    }
+    if (!session.userInfo?.dbUserId) return null;
+    return Order.findOne({ user: session.userInfo.dbUserId }).sort({ created_at: -1 }).select(fields).lean();
+};
+
+/**
+ * Fill in a canned reply for a chat.
+ * @param {Object} canned - CannedResponse
+ * @param {Object} session - ChatSession (userInfo, sessionId)
+ * @param {Object} [options]
+ * @param {Object} [options.agent] - Admin sending the reply ({ name })
+ * @param {string} [options.orderId] - Order _id or order number; defaults to the latest order
+ * @param {Object} [options.variables] - Values that override the looked-up ones
+ * @returns {Promise<Object>} { text, missing } - missing: placeholders without a value
+ */
+const renderCannedResponse = async (canned, session, { agent = null, orderId = null, variables = {} } = {}) => {
+    const placeholders = new Set([...canned.body.matchAll(/\{\{(\w+)\}\}/g)].map(match => match[1]));
+    const customerName = session.userInfo?.name || '';
+    const values = {
+        name: customerName,
+        firstName: customerName.split(' ')[0],
+        agentName: agent?.name || session.adminInfo?.name || '',
+        sessionId: session.sessionId
+    };
+
+    const needsOrder = ['orderNumber', 'orderStatus', 'trackingNumber', 'trackingUrl'].some(key => placeholders.has(key) && variables[key] === undefined);
+    if (needsOrder) {
+        const order = await findOrderForSession(session, orderId);
+        if (order) {
+            values.orderNumber = order.orderMetadata?.orderNumber || order._id.toString();
+            values.orderStatus = order.order_status;
+            values.trackingNumber = order.awb_code;
+            values.trackingUrl = order.tracking_url;
+        }
+    }
+    Object.assign(values, variables);
+
+    const missing = [...placeholders].filter(key => values[key] === undefined || values[key] === null || values[key] === '');
+    const text = canned.body.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? '');
+    return { text, missing };
+};
+
+/**
+ * Render a canned reply for a chat and count the use. Rejects when a placeholder has no
+ * value, so a half-filled reply is never sent.
+ */
+const useCannedResponse = async (cannedResponseId, session, options) => {
+    const canned = mongoose.Types.ObjectId.isValid(cannedResponseId)
+        ? await CannedResponse.findOne({ _id: cannedResponseId, isActive: true }).lean()
+        : null;
+    if (!canned) throw routingError('CANNED_RESPONSE_NOT_FOUND', 'Canned response not found');
+
+    const rendered = await renderCannedResponse(canned, session, options);
+    if (rendered.missing.length) {
+        throw routingError('MISSING_VARIABLES', `No value for ${rendered.missing.join(', ')}`, { missing: rendered.missing });
+    }
+
+    await CannedResponse.updateOne({ _id: canned._id }, { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } });
+    return rendered.text;
+};
+
+/**
+ * Register the SLA / idle sweep with the scheduler.
+ * @param {Object} scheduler - jobScheduler instance
+ */
+const registerJobs = (scheduler) => {
+    scheduler.register({
+        name: SLA_SWEEP_JOB,
+        description: 'Escalate support chats that missed an SLA, close idle chats and assign queued ones',
+        schedule: '* * * * *',
+        handler: runSlaSweep
+    });
+};
+
+module.exports = {
+    SLA_SWEEP_JOB,
+    CHAT_ROUTING_ERROR_STATUS,
+    slaDueDates,
+    startSession,
+    routeSession,
+    drainQueue,
+    drainQueueInBackground,
+    recordAgentReply,
+    runSlaSweep,
+    assertSupportAgent,
+    updateAgent,
+    getRoutingOverview,
+    renderCannedResponse,
+    useCannedResponse,
+    registerJobs
+};
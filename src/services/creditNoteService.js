@@ -0,0 +1,494 @@
+// Credit Note Service - GST credit notes against issued tax invoices.
+// A credit note reverses invoice lines (and optionally part of the shipping line) for
+// returned, exchanged or cancelled items. Taxable value and CGST/SGST/IGST are reversed
+// in the same proportions as the original invoice line, so the two always reconcile.
+// Refunds for returns and cancellations get their credit note automatically once Razorpay
+// has processed them; a sweep job issues any that failed (e.g. lost a race with another
+// credit note) later.
+const Order = require('../models/Order');
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const DocumentCounter = require('../models/DocumentCounter');
+const { generateInvoice } = require('./invoiceService');
+const { eventBus, EVENTS } = require('./eventBus');
+const { toPaise, toRupees } = require('../utils/orderPricing');
+const { getFinancialYear, amountInWords } = require('../utils/gstUtils');
+const { renderTaxDocumentPdf, formatDate } = require('../utils/taxDocumentPdf');
+const logger = require('../utils/logger');
+
+// Own series; keep prefix + "/YY-YY/NNNNN" within GST's 16 character limit
+const CREDIT_NOTE_PREFIX = process.env.CREDIT_NOTE_PREFIX || 'YCN';
+
+const REASON_LABELS = {
+    return: 'Goods returned by the customer',
+    exchange: 'Goods returned for exchange',
+    cancellation: 'Order cancelled',
+    other: 'Adjustment',
+};
+
+const ISSUE_MISSING_JOB = 'issue-missing-credit-notes';
+
+// A refund's credit note is retried this often when another note takes the invoice first
+const CONFLICT_ATTEMPTS = 3;
+// Refunds processed this recently are checked by the sweep for a missing credit note
+const MISSING_LOOKBACK_DAYS = 30;
+
+// Refund source → credit note reason
+const REFUND_SOURCE_REASONS = {
+    return: 'return',
+    cancellation: 'cancellation',
+    admin: 'other',
+};
+
+const creditNoteError = (code, message, details) => {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+};
+
+const HEADS = ['total', 'taxableValue', 'cgst', 'sgst', 'igst'];
+
+// Paise already credited per invoice line ("shipping" for the shipping line)
+const creditedByLine = (creditNotes) => {
+    const credited = new Map();
+    for (const note of creditNotes) {
+        for (const line of note.lines) {
+            const key = line.orderLine ? line.orderLine.toString() : 'shipping';
+            const entry = credited.get(key) || { quantity: 0, total: 0, taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+            entry.quantity += line.quantity || 0;
+            HEADS.forEach(head => { entry[head] += toPaise(line[head]); });
+            credited.set(key, entry);
+        }
+    }
+    return credited;
+};
+
+/**
+ * Reverse part of an invoice line.
+ * Closing the line (crediting all its remaining units) takes the exact remaining
+ * amounts; otherwise the tax-inclusive amount is split like the original line.
+ * @returns {Object} Credit note line (rupees)
+ */
+const reverseLine = (invoiceLine, credited, quantity, totalPaise, intraState, closesLine) => {
+    const remaining = {};
+    HEADS.forEach(head => { remaining[head] = toPaise(invoiceLine[head]) - (credited?.[head] || 0); });
+
+    let amounts;
+    if (closesLine) {
+        amounts = remaining;
+    } else {
+        const total = Math.min(totalPaise, remaining.total);
+        const invoiceTotal = toPaise(invoiceLine.total);
+        const taxableValue = invoiceTotal > 0 ? Math.round((total * toPaise(invoiceLine.taxableValue)) / invoiceTotal) : total;
+        const tax = total - taxableValue;
+        const cgst = intraState ? Math.round(tax / 2) : 0;
+        amounts = { total, taxableValue, cgst, sgst: intraState ? tax - cgst : 0, igst: intraState ? 0 : tax };
+    }
+
+    const unitGross = toPaise(invoiceLine.unitPrice);
+    return {
+        orderLine: invoiceLine.orderLine || null,
+        description: invoiceLine.description,
+        sku: invoiceLine.sku,
+        size: invoiceLine.size,
+        hsnCode: invoiceLine.hsnCode,
+        quantity,
+        unitPrice: invoiceLine.unitPrice,
+        discount: invoiceLine.orderLine ? toRupees(Math.max(unitGross * quantity - amounts.total, 0)) : 0,
+        taxableValue: toRupees(amounts.taxableValue),
+        gstRate: invoiceLine.gstRate,
+        cgst: toRupees(amounts.cgst),
+        sgst: toRupees(amounts.sgst),
+        igst: toRupees(amounts.igst),
+        total: toRupees(amounts.total),
+    };
+};
+
+/**
+ * Work out the credit note lines without issuing anything.
+ * @param {Object} invoice - Issued invoice
+ * @param {Object[]} creditNotes - Credit notes already issued against it
+ * @param {Object} options
+ * @param {boolean} [options.full] - Credit everything not yet credited
+ * @param {Object[]} [options.lines] - `{ lineId | sku, quantity, amount? }`; amount (rupees,
+ *   tax-inclusive) overrides the prorated value, e.g. the amount actually refunded
+ * @param {boolean} [options.includeShipping=true] - Credit the prorated shipping too
+ * @param {number} [options.shippingAmount] - Exact shipping to credit (rupees)
+ * @returns {Object[]} Credit note lines
+ */
+const buildCreditLines = (invoice, creditNotes, { full = false, lines = [], includeShipping = true, shippingAmount = null } = {}) => {
+    const intraState = invoice.supplyType === 'intra_state';
+    const credited = creditedByLine(creditNotes);
+    const goodsLines = invoice.lines.filter(line => line.orderLine);
+    const shippingLine = invoice.lines.find(line => !line.orderLine);
+
+    const remainingQuantity = (invoiceLine) =>
+        invoiceLine.quantity - (credited.get(invoiceLine.orderLine.toString())?.quantity || 0);
+
+    let requested;
+    if (full) {
+        requested = goodsLines
+            .filter(invoiceLine => remainingQuantity(invoiceLine) > 0)
+            .map(invoiceLine => ({ invoiceLine, quantity: remainingQuantity(invoiceLine), amount: null }));
+    } else if (Array.isArray(lines) && lines.length > 0) {
+        requested = [];
+        for (const requestLine of lines) {
+            const quantity = parseInt(requestLine.quantity);
+            const taken = (invoiceLine) => requested
+                .filter(r => r.invoiceLine === invoiceLine)
+                .reduce((sum, r) => sum + r.quantity, 0);
+            const invoiceLine = goodsLines.find(candidate =>
+                requestLine.lineId
+                    ? candidate.orderLine.toString() === requestLine.lineId.toString()
+                    : candidate.sku === requestLine.sku &&
+                      remainingQuantity(candidate) - taken(candidate) >= (quantity || 1)
+            );
+
+            if (!invoiceLine) {
+                throw creditNoteError('INVALID_CREDIT_NOTE', `Invoice ${invoice.invoiceNumber} has no creditable line for ${requestLine.lineId || requestLine.sku}`);
+            }
+            const available = remainingQuantity(invoiceLine) - taken(invoiceLine);
+            if (!(quantity > 0) || quantity > available) {
+                throw creditNoteError('INVALID_CREDIT_NOTE', `Cannot credit ${requestLine.quantity} unit(s) of ${invoiceLine.sku}`, {
+                    sku: invoiceLine.sku,
+                    requested: requestLine.quantity,
+                    creditable: available,
+                });
+            }
+
+            const amount = requestLine.amount !== undefined && requestLine.amount !== null ? toPaise(requestLine.amount) : null;
+            requested.push({ invoiceLine, quantity, amount });
+        }
+    } else {
+        throw creditNoteError('INVALID_CREDIT_NOTE', 'Specify full or lines');
+    }
+
+    const creditLines = requested.map(({ invoiceLine, quantity, amount }) => {
+        const prorated = Math.round((toPaise(invoiceLine.total) * quantity) / invoiceLine.quantity);
+        return reverseLine(
+            invoiceLine,
+            credited.get(invoiceLine.orderLine.toString()),
+            quantity,
+            amount ?? prorated,
+            intraState,
+            quantity === remainingQuantity(invoiceLine)
+        );
+    });
+
+    if (includeShipping && shippingLine) {
+        const creditedShipping = credited.get('shipping');
+        const shippingRemaining = toPaise(shippingLine.total) - (creditedShipping?.total || 0);
+
+        // Shipping follows the goods: prorated by their value, all of it once every unit is credited
+        const goodsTotal = goodsLines.reduce((sum, line) => sum + toPaise(line.total), 0);
+        const creditingGoods = creditLines.reduce((sum, line) => sum + toPaise(line.total), 0);
+        const closesGoods = goodsLines.every(invoiceLine =>
+            remainingQuantity(invoiceLine) === requested
+                .filter(r => r.invoiceLine === invoiceLine)
+                .reduce((sum, r) => sum + r.quantity, 0)
+        );
+
+        let shippingPaise = shippingAmount !== null && shippingAmount !== undefined
+            ? toPaise(shippingAmount)
+            : goodsTotal > 0 ? Math.round((toPaise(shippingLine.total) * creditingGoods) / goodsTotal) : 0;
+        if (closesGoods) shippingPaise = shippingRemaining;
+        shippingPaise = Math.min(shippingPaise, shippingRemaining);
+
+        if (shippingPaise > 0) {
+            creditLines.push(reverseLine(shippingLine, creditedShipping, 1, shippingPaise, intraState, shippingPaise === shippingRemaining));
+        }
+    }
+
+    return creditLines.filter(line => toPaise(line.total) > 0);
+};
+
+const formatCreditNoteNumber = (financialYear, sequence) =>
+    `${CREDIT_NOTE_PREFIX}/${financialYear.short}/${String(sequence).padStart(5, '0')}`;
+
+/**
+ * Issue a credit note against an order's tax invoice.
+ * Issue is serialised per invoice (optimistic guard on Invoice.creditNoteCount), so
+ * concurrent requests cannot credit the same units twice.
+ * @param {string|ObjectId} orderId
+ * @param {Object} options - buildCreditLines options plus reason, notes, refundEntry,
+ *   razorpayRefundId, issuedBy
+ * @returns {Promise<Object>} CreditNote document
+ */
+const issueCreditNote = async (orderId, { reason = 'return', notes = null, refundEntry = null, razorpayRefundId = null, issuedBy = null, ...creditOptions } = {}) => {
+    if (!REASON_LABELS[reason]) {
+        throw creditNoteError('INVALID_CREDIT_NOTE', `Reason must be one of: ${Object.keys(REASON_LABELS).join(', ')}`);
+    }
+
+    if (refundEntry) {
+        const existing = await CreditNote.findOne({ refundEntry });
+        if (existing) return existing;
+    }
+
+    const invoice = await generateInvoice(orderId);
+    if (invoice.status !== 'issued') {
+        throw creditNoteError('INVOICE_NOT_AVAILABLE', `Invoice ${invoice.invoiceNumber || ''} is ${invoice.status}`);
+    }
+
+    const previous = await CreditNote.find({ invoice: invoice._id }).lean();
+    const lines = buildCreditLines(invoice, previous, creditOptions);
+    if (lines.length === 0) {
+        throw creditNoteError('INVALID_CREDIT_NOTE', 'Nothing left to credit on this invoice');
+    }
+
+    const sum = (head) => lines.reduce((total, line) => total + toPaise(line[head]), 0);
+    const grandTotalPaise = sum('total');
+
+    const locked = await Invoice.findOneAndUpdate(
+        { _id: invoice._id, creditNoteCount: invoice.creditNoteCount || 0 },
+        { $inc: { creditNoteCount: 1, creditedAmount: toRupees(grandTotalPaise) } },
+        { new: true }
+    );
+    if (!locked) {
+        throw creditNoteError('CREDIT_NOTE_CONFLICT', 'Another credit note was issued for this invoice at the same time, please retry');
+    }
+
+    try {
+        const issueDate = new Date();
+        const financialYear = getFinancialYear(issueDate);
+        const sequence = await DocumentCounter.next(`credit_note:${financialYear.label}`);
+
+        const creditNote = await CreditNote.create({
+            creditNoteNumber: formatCreditNoteNumber(financialYear, sequence),
+            financialYear: financialYear.label,
+            sequence,
+            issueDate,
+            invoice: invoice._id,
+            invoiceNumber: invoice.invoiceNumber,
+            invoiceDate: invoice.invoiceDate,
+            order: invoice.order,
+            orderNumber: invoice.orderNumber,
+            user: invoice.user,
+            reason,
+            notes,
+            refundEntry,
+            razorpayRefundId,
+            seller: invoice.seller,
+            buyer: invoice.buyer,
+            supplyType: invoice.supplyType,
+            placeOfSupply: invoice.placeOfSupply,
+            lines,
+            totals: {
+                grossAmount: toRupees(lines.reduce((total, line) => total + toPaise(line.unitPrice) * line.quantity, 0)),
+                discount: toRupees(sum('discount')),
+                taxableValue: toRupees(sum('taxableValue')),
+                cgst: toRupees(sum('cgst')),
+                sgst: toRupees(sum('sgst')),
+                igst: toRupees(sum('igst')),
+                totalTax: toRupees(sum('cgst') + sum('sgst') + sum('igst')),
+                grandTotal: toRupees(grandTotalPaise),
+                amountInWords: amountInWords(toRupees(grandTotalPaise)),
+            },
+            issuedBy,
+        });
+
+        logger.info(`🧾 Credit note ${creditNote.creditNoteNumber} (₹${creditNote.totals.grandTotal}, ${reason}) issued against invoice ${invoice.invoiceNumber}`);
+        return creditNote;
+    } catch (error) {
+        await Invoice.updateOne({ _id: invoice._id }, { $inc: { creditedAmount: -toRupees(grandTotalPaise) } }).catch(() => {});
+
+        // Lost the race on the same refund - the other request's note stands
+        if (error.code === 11000 && refundEntry) {
+            const existing = await CreditNote.findOne({ refundEntry });
+            if (existing) return existing;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Render a credit note as a PDF.
+ * @param {Object} creditNote
+ * @returns {Buffer}
+ */
+const renderCreditNotePdf = (creditNote) => renderTaxDocumentPdf(creditNote, {
+    title: 'CREDIT NOTE',
+    meta: [
+        ['Credit Note No', creditNote.creditNoteNumber],
+        ['Date', formatDate(creditNote.issueDate)],
+        ['Against Invoice', creditNote.invoiceNumber],
+        ['Invoice Date', formatDate(creditNote.invoiceDate)],
+        ['Order No', creditNote.orderNumber],
+    ],
+    note: `Reason: ${REASON_LABELS[creditNote.reason] || creditNote.reason}${creditNote.notes ? ` - ${creditNote.notes}` : ''}`,
+});
+
+const getCreditNoteFileName = (creditNote) => `CreditNote-${creditNote.creditNoteNumber.replace(/\//g, '-')}.pdf`;
+
+/**
+ * Credit note register for the accountant: one row per credit note line.
+ * @param {Object} filter - CreditNote query
+ * @returns {Promise<Object[]>}
+ */
+const buildCreditNoteRegister = async (filter) => {
+    const creditNotes = await CreditNote.find(filter).sort({ issueDate: 1, sequence: 1 }).lean();
+
+    return creditNotes.flatMap(note => note.lines.map(line => ({
+        'Credit Note No': note.creditNoteNumber,
+        'Credit Note Date': formatDate(note.issueDate),
+        'Financial Year': note.financialYear,
+        'Invoice No': note.invoiceNumber,
+        'Invoice Date': formatDate(note.invoiceDate),
+        'Order No': note.orderNumber,
+        'Reason': note.reason,
+        'Customer': note.buyer?.name || '',
+        'Customer GSTIN': note.buyer?.gstin || '',
+        'Place of Supply': note.placeOfSupply || '',
+        'Supply Type': note.supplyType === 'intra_state' ? 'Intra-state' : 'Inter-state',
+        'Description': line.description,
+        'SKU': line.sku || '',
+        'HSN/SAC': line.hsnCode || '',
+        'Quantity': line.quantity,
+        'Taxable Value': line.taxableValue,
+        'GST Rate (%)': line.gstRate,
+        'CGST': line.cgst,
+        'SGST': line.sgst,
+        'IGST': line.igst,
+        'Total': line.total,
+        'Refund ID': note.razorpayRefundId || '',
+    })));
+};
+
+/**
+ * Credit the refunded lines of one refund entry, retrying when another credit note is
+ * issued against the invoice at the same time.
+ * @param {string|ObjectId} orderId
+ * @param {Object} entry - Order.refunds[] entry with lines
+ * @param {string} [refundId] - Razorpay refund id, when the entry does not have it yet
+ * @returns {Promise<Object|null>} CreditNote, or null when the refund cannot be credited
+ */
+const creditRefundEntry = async (orderId, entry, refundId = null) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await issueCreditNote(orderId, {
+                reason: REFUND_SOURCE_REASONS[entry.source] || 'other',
+                notes: entry.reason || null,
+                refundEntry: entry._id,
+                razorpayRefundId: entry.razorpayRefundId || refundId || null,
+                issuedBy: entry.initiatedBy || null,
+                lines: entry.lines.map(line => ({
+                    lineId: line.line,
+                    quantity: line.quantity,
+                    amount: toRupees(toPaise(line.amount) - toPaise(line.shippingShare)),
+                })),
+                includeShipping: entry.shippingAmount > 0,
+                shippingAmount: entry.shippingAmount,
+            });
+        } catch (error) {
+            if (error.code === 'CREDIT_NOTE_CONFLICT' && attempt < CONFLICT_ATTEMPTS) continue;
+            // Orders paid before invoicing existed, or already fully credited by hand; noted on
+            // the refund so the sweep does not try again
+            if (['INVOICE_NOT_AVAILABLE', 'INVALID_CREDIT_NOTE'].includes(error.code)) {
+                logger.warn(`No credit note for refund ${entry._id} on order ${orderId}: ${error.message}`);
+                await Order.updateOne(
+                    { _id: orderId },
+                    { $set: { 'refunds.$[refund].creditNoteSkipped': error.message } },
+                    { arrayFilters: [{ 'refund._id': entry._id }] }
+                );
+                return null;
+            }
+            throw error;
+        }
+    }
+};
+
+/**
+ * ORDER_REFUNDED / REFUND_PROCESSED handler: credit the refunded lines of a return or
+ * cancellation once Razorpay has processed the refund (a pending one may still fail).
+ * Amount-only refunds (goodwill) are not tied to goods and get no credit note.
+ */
+const handleRefundProcessed = async (data) => {
+    if (!data.refundEntryId) return;
+
+    const order = await Order.findById(data.orderId).select('refunds');
+    const entry = order?.refunds?.id(data.refundEntryId);
+    if (!entry || entry.status !== 'processed' || entry.lines.length === 0) return;
+
+    await creditRefundEntry(data.orderId, entry, data.refundId);
+};
+
+/**
+ * Job handler: issue the credit notes that recent line refunds are still missing (the
+ * refund handler gave up or the process stopped before it ran).
+ * @returns {Promise<{results: Object[]}>}
+ */
+const issueMissingCreditNotes = async () => {
+    const since = new Date(Date.now() - MISSING_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const due = (entry) => entry.status === 'processed' && entry.processedAt >= since
+        && entry.lines.length > 0 && !entry.creditNoteSkipped;
+    const orders = await Order.find({
+        refunds: {
+            $elemMatch: { status: 'processed', processedAt: { $gte: since }, 'lines.0': { $exists: true }, creditNoteSkipped: null }
+        }
+    }).select('refunds');
+
+    const entries = orders.flatMap(order => order.refunds
+        .filter(due)
+        .map(entry => ({ orderId: order._id, entry })));
+    const credited = new Set((await CreditNote.distinct('refundEntry', { refundEntry: { $in: entries.map(({ entry }) => entry._id) } })).map(String));
+
+    const results = [];
+    for (const { orderId, entry } of entries) {
+        if (credited.has(entry._id.toString())) continue;
+        try {
+            const creditNote = await creditRefundEntry(orderId, entry);
+            if (creditNote) {
+                results.push({ entityType: 'CreditNote', entityId: creditNote._id, reference: creditNote.creditNoteNumber, action: 'issue', success: true });
+            }
+        } catch (error) {
+            results.push({ entityType: 'Order', entityId: orderId, reference: `refund ${entry._id}`, action: 'issue', success: false, error: error.message });
+        }
+    }
+
+    return { results };
+};
+
+/**
+ * Register the missing credit note sweep with the scheduler.
+ * @param {Object} scheduler - jobScheduler
+ */
+const registerJobs = (scheduler) => {
+    scheduler.register({
+        name: ISSUE_MISSING_JOB,
+        description: 'Issue credit notes still missing for recent refunds of returned or cancelled items',
+        schedule: '*/30 * * * *',
+        handler: issueMissingCreditNotes
+    });
+};
+
+let initialized = false;
+
+/**
+ * Subscribe to ORDER_REFUNDED and REFUND_PROCESSED. Safe to call more than once.
+ */
+const init = () => {
+    if (initialized) return;
+    initialized = true;
+
+    for (const event of [EVENTS.ORDER_REFUNDED, EVENTS.REFUND_PROCESSED]) {
+        eventBus.on(event, (envelope) => {
+            handleRefundProcessed(envelope.data).catch(error => {
+                logger.error(`Credit note for order ${envelope.data.orderId} failed:`, error.message);
+            });
+        });
+    }
+
+    logger.info('🧾 Credit note service subscribed to order.refunded and refund.processed');
+};
+
+module.exports = {
+    ISSUE_MISSING_JOB,
+    init,
+    registerJobs,
+    issueCreditNote,
+    buildCreditLines,
+    renderCreditNotePdf,
+    getCreditNoteFileName,
+    buildCreditNoteRegister,
+    REASON_LABELS,
+};
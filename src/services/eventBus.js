@@ -0,0 +1,98 @@
+// Application Event Bus
+// Controllers publish business events here; subscribers (webhook dispatcher, etc.)
+// react to them without the controller knowing who is listening.
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+/**
+ * Business events that can be published on the bus and subscribed to by
+ * webhook endpoints (Settings.webhooks.endpoints[].events).
+ */
+const EVENTS = {
+    ORDER_CREATED: 'order.created',
+    ORDER_PAID: 'order.paid',
+    ORDER_CANCELLED: 'order.cancelled',
+    ORDER_REFUNDED: 'order.refunded',
+    REFUND_PROCESSED: 'refund.processed',
+    ORDER_DELIVERED: 'order.delivered',
+    SHIPMENT_AWB_ASSIGNED: 'shipment.awb_assigned',
+    RETURN_REQUESTED: 'return.requested',
+    EXCHANGE_REQUESTED: 'exchange.requested',
+    VENDOR_ORDER_ACCEPTED: 'vendor.order_accepted',
+    VENDOR_ORDER_REJECTED: 'vendor.order_rejected',
+    VENDOR_ORDER_READY: 'vendor.order_ready_for_pickup',
+    ITEM_STOCK_CHANGED: 'item.stock_changed',
+    USER_SIGNUP: 'user.signup',
+    REVIEW_SUBMITTED: 'review.submitted',
+    INVITE_REDEEMED: 'invite.redeemed'
+};
+
+// Subscribers listening on this name receive every published event
+const ALL_EVENTS = '*';
+
+class EventBus extends EventEmitter {
+    constructor() {
+        super();
+        // Several subsystems may subscribe to the wildcard channel
+        this.setMaxListeners(50);
+    }
+
+    /**
+     * Publish a business event. Listeners run on the next tick so a slow or
+     * failing subscriber can never delay or break the HTTP response that
+     * triggered the event.
+     * @param {string} event - One of EVENTS
+     * @param {Object} data - Event payload (plain, JSON-serialisable object)
+     */
+    publish(event, data = {}) {
+        const envelope = {
+            event,
+            timestamp: new Date().toISOString(),
+            data
+        };
+
+        setImmediate(() => {
+            try {
+                this.emit(event, envelope);
+                this.emit(ALL_EVENTS, envelope);
+            } catch (error) {
+                logger.error(`Event bus listener failed for ${event}:`, error.message);
+            }
+        });
+    }
+}
+
+/**
+ * Build the standard payload for order events from an Order document.
+ * @param {Object} order - Order document (populated or not)
+ * @returns {Object}
+ */
+const orderEventPayload = (order) => ({
+    orderId: order._id?.toString(),
+    orderNumber: order.orderMetadata?.orderNumber || null,
+    userId: (order.user?._id || order.user)?.toString() || null,
+    razorpayOrderId: order.razorpay_order_id || null,
+    razorpayPaymentId: order.razorpay_payment_id || null,
+    totalAmount: order.total_price,
+    currency: order.orderSummary?.currency || 'INR',
+    paymentStatus: order.payment_status,
+    orderStatus: order.order_status,
+    shippingStatus: order.shipping_status,
+    promoCode: order.promoCode || null,
+    items: (order.item_quantities || []).map(entry => ({
+        itemId: entry.item_id,
+        sku: entry.sku,
+        size: entry.size,
+        quantity: entry.quantity,
+        price: entry.price
+    }))
+});
+
+const eventBus = new EventBus();
+
+module.exports = {
+    eventBus,
+    EVENTS,
+    ALL_EVENTS,
+    orderEventPayload
+};
@@ -0,0 +1,389 @@
+// Inventory Reservation Service - atomic per-SKU stock holds for checkout.
+// createOrder holds stock, verifyPayment converts the hold into a sale, and payment
+// failure, expiry or cancellation release it back to Item.sizes[].stock.
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const InventoryReservation = require('../models/InventoryReservation');
+const { eventBus, EVENTS } = require('./eventBus');
+const logger = require('../utils/logger');
+
+const RELEASE_EXPIRED_JOB = 'release-expired-reservations';
+
+// Long enough to complete a Razorpay checkout (UPI collect requests can take several minutes)
+const RESERVATION_TTL_MINUTES = parseInt(process.env.RESERVATION_TTL_MINUTES) || 15;
+
+const insufficientStockError = (line, available) => {
+    const error = new Error(
+        `Insufficient stock for SKU ${line.sku} of item ID: ${line.item}. Available: ${available}, Requested: ${line.quantity}`
+    );
+    error.code = 'INSUFFICIENT_STOCK';
+    error.details = { itemId: line.item.toString(), sku: line.sku, available, requested: line.quantity };
+    return error;
+};
+
+/**
+ * Normalise order lines (item_quantities or cart entries) and merge duplicates so
+ * each item/SKU pair is held with a single atomic update.
+ * @param {Object[]} lines - Entries with item_id|itemId|item, sku, size, quantity
+ * @returns {Object[]} `{ item, sku, size, quantity }`
+ */
+const mergeLines = (lines) => {
+    const merged = new Map();
+    for (const line of lines) {
+        const item = (line.item || line.item_id || line.itemId).toString();
+        const key = `${item}:${line.sku}`;
+        const quantity = parseInt(line.quantity) || 0;
+        if (quantity <= 0) continue;
+
+        if (merged.has(key)) {
+            merged.get(key).quantity += quantity;
+        } else {
+            merged.set(key, { item: new mongoose.Types.ObjectId(item), sku: line.sku, size: line.size, quantity });
+        }
+    }
+    return [...merged.values()];
+};
+
+/**
+ * Atomically decrement stock for one line, only if enough stock remains.
+ * @returns {Promise<Object|null>} Stock change, or null when stock is insufficient
+ */
+const takeLine = async (line) => {
+    const updated = await Item.findOneAndUpdate(
+        { _id: line.item, sizes: { $elemMatch: { sku: line.sku, stock: { $gte: line.quantity } } } },
+        { $inc: { 'sizes.$.stock': -line.quantity, 'sizes.$.quantity': -line.quantity } },
+        { new: true, projection: { productName: 1, sizes: { $elemMatch: { sku: line.sku } } } }
+    ).lean();
+
+    if (!updated) return null;
+
+    const size = updated.sizes[0];
+    return {
+        itemId: line.item.toString(),
+        productName: updated.productName,
+        sku: line.sku,
+        size: size.size,
+        previousStock: size.stock + line.quantity,
+        newStock: size.stock,
+        delta: -line.quantity
+    };
+};
+
+/**
+ * Give the units of one line back to stock.
+ * @returns {Promise<Object|null>} Stock change, or null if the item/SKU no longer exists
+ */
+const restoreLine = async (line) => {
+    const updated = await Item.findOneAndUpdate(
+        { _id: line.item, 'sizes.sku': line.sku },
+        { $inc: { 'sizes.$.stock': line.quantity, 'sizes.$.quantity': line.quantity } },
+        { new: true, projection: { productName: 1, sizes: { $elemMatch: { sku: line.sku } } } }
+    ).lean();
+
+    if (!updated) {
+        logger.warn(`Could not restore ${line.quantity} unit(s) of SKU ${line.sku}: item ${line.item} or SKU no longer exists`);
+        return null;
+    }
+
+    const size = updated.sizes[0];
+    return {
+        itemId: line.item.toString(),
+        productName: updated.productName,
+        sku: line.sku,
+        size: size.size,
+        previousStock: size.stock - line.quantity,
+        newStock: size.stock,
+        delta: line.quantity
+    };
+};
+
+/**
+ * Take stock for every line or for none: if any line is short, lines already
+ * taken are put back and an INSUFFICIENT_STOCK error is thrown.
+ * @returns {Promise<Object[]>} Stock changes
+ */
+const takeLines = async (lines) => {
+    const changes = [];
+    const taken = [];
+
+    for (const line of lines) {
+        const change = await takeLine(line);
+        if (!change) {
+            await Promise.all(taken.map(restoreLine));
+
+            const item = await Item.findOne(
+                { _id: line.item },
+                { sizes: { $elemMatch: { sku: line.sku } } }
+            ).lean();
+            throw insufficientStockError(line, item?.sizes?.[0]?.stock || 0);
+        }
+        taken.push(line);
+        changes.push(change);
+    }
+
+    return changes;
+};
+
+const publishStockChanges = (changes, reason, orderId) => {
+    changes.forEach(change => eventBus.publish(EVENTS.ITEM_STOCK_CHANGED, {
+        ...change,
+        reason,
+        orderId: orderId.toString()
+    }));
+};
+
+/**
+ * Hold stock for an order that is about to be sent to the payment gateway.
+ * @param {Object} params
+ * @param {string|ObjectId} params.orderId - _id the Order will be saved with
+ * @param {string|ObjectId} [params.userId]
+ * @param {Object[]} params.lines - Order lines (item id, sku, size, quantity)
+ * @param {number} [params.ttlMinutes]
+ * @returns {Promise<Object>} The reservation
+ * @throws {Error} code INSUFFICIENT_STOCK when any SKU cannot be held
+ */
+const holdStock = async ({ orderId, userId = null, lines, ttlMinutes = RESERVATION_TTL_MINUTES }) => {
+    const items = mergeLines(lines);
+    const changes = await takeLines(items);
+
+    let reservation;
+    try {
+        reservation = await InventoryReservation.create({
+            order: orderId,
+            user: userId,
+            items,
+            expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+        });
+    } catch (error) {
+        await Promise.all(items.map(restoreLine));
+        throw error;
+    }
+
+    publishStockChanges(changes, 'reserved', orderId);
+    logger.debug(`📦 Held stock for order ${orderId} until ${reservation.expiresAt.toISOString()}`);
+    return reservation;
+};
+
+/**
+ * Turn an order's hold into a sale after payment. Idempotent. If the hold has
+ * already lapsed (or the order predates reservations) the stock is taken now,
+ * which fails with INSUFFICIENT_STOCK if the units were sold in the meantime.
+ * @param {Object} order - Order document (needs _id, user, item_quantities)
+ * @returns {Promise<Object>} The converted reservation
+ */
+const convertReservation = async (order) => {
+    const now = new Date();
+
+    const converted = await InventoryReservation.findOneAndUpdate(
+        { order: order._id, status: 'held' },
+        { $set: { status: 'converted', convertedAt: now } },
+        { new: true }
+    );
+    if (converted) return converted;
+
+    const existing = await InventoryReservation.findOne({ order: order._id });
+    if (existing?.status === 'converted') return existing;
+
+    const lines = existing ? existing.items : mergeLines(order.item_quantities || []);
+
+    // Claim the conversion before touching stock so concurrent verifications take it once
+    let reservation;
+    if (existing) {
+        reservation = await InventoryReservation.findOneAndUpdate(
+            { _id: existing._id, status: existing.status },
+            { $set: { status: 'converted', convertedAt: now } },
+            { new: true }
+        );
+        if (!reservation) return InventoryReservation.findById(existing._id);
+    } else {
+        try {
+            reservation = await InventoryReservation.create({
+                order: order._id,
+                user: order.user?._id || order.user || null,
+                items: lines,
+                status: 'converted',
+                convertedAt: now,
+                expiresAt: now
+            });
+        } catch (error) {
+            if (error.code === 11000) return InventoryReservation.findOne({ order: order._id });
+            throw error;
+        }
+    }
+
+    try {
+        const changes = await takeLines(lines);
+        publishStockChanges(changes, 'order_paid', order._id);
+    } catch (error) {
+        // Undo the claim: the payment is refunded by the caller
+        if (existing) {
+            await InventoryReservation.updateOne(
+                { _id: reservation._id },
+                { $set: { status: existing.status, convertedAt: null } }
+            );
+        } else {
+            await InventoryReservation.deleteOne({ _id: reservation._id });
+        }
+        throw error;
+    }
+
+    return reservation;
+};
+
+/**
+ * Release an order's reservation and restore its stock.
+ * @param {string|ObjectId} orderId
+ * @param {string} reason - Stored as releaseReason, e.g. "payment_failed"
+ * @param {Object} [options]
+ * @param {string} [options.status='released'] - "released" | "expired"
+ * @param {boolean} [options.includeConverted=false] - Also restock a paid order (cancellation)
+ * @returns {Promise<Object|null>} The reservation, or null if nothing was held
+ */
+const releaseReservation = async (orderId, reason, { status = 'released', includeConverted = false } = {}) => {
+    const fromStatuses = includeConverted ? ['held', 'converted'] : ['held'];
+
+    const reservation = await InventoryReservation.findOneAndUpdate(
+        { order: orderId, status: { $in: fromStatuses } },
+        { $set: { status, releasedAt: new Date(), releaseReason: reason } },
+        { new: true }
+    );
+    if (!reservation) return null;
+
+    const changes = (await Promise.all(reservation.items.map(restoreLine))).filter(Boolean);
+    publishStockChanges(changes, `reservation_${status}`, orderId);
+
+    return reservation;
+};
+
+/**
+ * Job handler: release every hold whose TTL has passed.
+ * @returns {Promise<{results: Object[]}>}
+ */
+const releaseExpiredReservations = async () => {
+    const expired = await InventoryReservation.find({ status: 'held', expiresAt: { $lte: new Date() } })
+        .select('order expiresAt')
+        .limit(500)
+        .lean();
+
+    const results = [];
+    for (const { order, expiresAt } of expired) {
+        try {
+            const released = await releaseReservation(order, 'expired', { status: 'expired' });
+            if (!released) continue;
+
+            results.push({
+                entityType: 'InventoryReservation',
+                entityId: released._id,
+                reference: order.toString(),
+                action: 'release',
+                fromStatus: 'held',
+                toStatus: 'expired',
+                scheduledFor: expiresAt,
+                success: true
+            });
+        } catch (error) {
+            results.push({
+                entityType: 'InventoryReservation',
+                reference: order.toString(),
+                action: 'release',
+                fromStatus: 'held',
+                scheduledFor: expiresAt,
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    return { results };
+};
+
+/**
+ * Units currently held per SKU (unpaid checkouts), with the orders holding them.
+ * @param {Object} [filters]
+ * @param {string} [filters.sku]
+ * @param {string} [filters.itemId]
+ * @returns {Promise<Object[]>}
+ */
+const getActiveHolds = async ({ sku, itemId } = {}) => {
+    const lineMatch = {};
+    if (sku) lineMatch['items.sku'] = sku;
+    if (itemId) lineMatch['items.item'] = new mongoose.Types.ObjectId(itemId);
+
+    return InventoryReservation.aggregate([
+        { $match: { status: 'held' } },
+        { $unwind: '$items' },
+        { $match: lineMatch },
+        {
+            $group: {
+                _id: { item: '$items.item', sku: '$items.sku' },
+                size: { $first: '$items.size' },
+                heldQuantity: { $sum: '$items.quantity' },
+                holdCount: { $sum: 1 },
+                nextExpiry: { $min: '$expiresAt' },
+                holds: {
+                    $push: {
+                        reservationId: '$_id',
+                        orderId: '$order',
+                        userId: '$user',
+                        quantity: '$items.quantity',
+                        heldAt: '$createdAt',
+                        expiresAt: '$expiresAt'
+                    }
+                }
+            }
+        },
+        { $lookup: { from: 'items', localField: '_id.item', foreignField: '_id', as: 'item' } },
+        { $unwind: { path: '$item', preserveNullAndEmptyArrays: true } },
+        {
+            $project: {
+                _id: 0,
+                itemId: '$_id.item',
+                sku: '$_id.sku',
+                productName: '$item.productName',
+                size: 1,
+                heldQuantity: 1,
+                // Stock left for new checkouts (held units are already deducted)
+                availableStock: {
+                    $let: {
+                        vars: {
+                            entry: {
+                                $first: {
+                                    $filter: { input: { $ifNull: ['$item.sizes', []] }, cond: { $eq: ['$$this.sku', '$_id.sku'] } }
+                                }
+                            }
+                        },
+                        in: { $ifNull: ['$$entry.stock', 0] }
+                    }
+                },
+                holdCount: 1,
+                nextExpiry: 1,
+                holds: 1
+            }
+        },
+        { $sort: { heldQuantity: -1, sku: 1 } }
+    ]);
+};
+
+/**
+ * Register the expiry sweep with the scheduler.
+ * @param {Object} scheduler - jobScheduler instance
+ */
+const registerJobs = (scheduler) => {
+    scheduler.register({
+        name: RELEASE_EXPIRED_JOB,
+        description: 'Release checkout stock holds whose payment window has expired',
+        schedule: '* * * * *',
+        handler: releaseExpiredReservations
+    });
+};
+
+module.exports = {
+    RELEASE_EXPIRED_JOB,
+    RESERVATION_TTL_MINUTES,
+    holdStock,
+    convertReservation,
+    releaseReservation,
+    releaseExpiredReservations,
+    getActiveHolds,
+    registerJobs
+};
@@ -0,0 +1,503 @@
+// Invoice Service - GST tax invoices for paid orders.
+// One invoice per order, numbered per financial year, with per-line HSN codes and GST
+// rates, and CGST+SGST (same state as the seller) or IGST (other states). Issued when the
+// order is paid and e-mailed automatically when Settings.autoInvoice.autoSend is on.
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Item = require('../models/Item');
+const Invoice = require('../models/Invoice');
+const DocumentCounter = require('../models/DocumentCounter');
+const Settings = require('../models/Settings');
+const { eventBus, EVENTS } = require('./eventBus');
+const { toPaise, toRupees, buildPricing } = require('../utils/orderPricing');
+const { getStateCode, getStateName, getFinancialYear, amountInWords } = require('../utils/gstUtils');
+const { renderTaxDocumentPdf, formatDate } = require('../utils/taxDocumentPdf');
+const { sendMail } = require('../utils/mailer');
+const logger = require('../utils/logger');
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'YRA';
+
+const rateFromEnv = (name, fallback) => {
+    const rate = parseFloat(process.env[name]);
+    return Number.isFinite(rate) && rate >= 0 ? rate : fallback;
+};
+
+// Catalogue prices are GST-inclusive. Goods outside the apparel chapters are taxed at
+// this rate; the checkout's orderSummary assumes 18% as well
+const GST_RATE = rateFromEnv('INVOICE_GST_RATE', 18);
+
+// Apparel and made-up textiles (HSN chapters 61-63) are taxed by sale value per piece:
+// the lower rate up to the limit (₹, before GST), the higher rate above it
+const APPAREL_HSN_CHAPTERS = ['61', '62', '63'];
+const APPAREL_SLAB_LIMIT = rateFromEnv('INVOICE_APPAREL_SLAB_LIMIT', 1000);
+const APPAREL_LOW_RATE = rateFromEnv('INVOICE_APPAREL_LOW_RATE', 5);
+const APPAREL_HIGH_RATE = rateFromEnv('INVOICE_APPAREL_HIGH_RATE', 12);
+
+// Courier services (SAC) - shipping billed with the goods, taxed at the goods' highest rate
+const SHIPPING_SAC = '996812';
+
+// A claim older than this was left behind by a crashed request and may be taken over
+const STALE_CLAIM_MS = 2 * 60 * 1000;
+
+const invoiceError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * Seller block printed on tax documents (configured through INVOICE_SELLER_* env vars).
+ * @returns {Object}
+ */
+const getSellerDetails = () => {
+    const state = process.env.INVOICE_SELLER_STATE || '';
+    return {
+        name: process.env.INVOICE_SELLER_NAME || 'Yoraa Apparels Private Limited',
+        gstin: process.env.INVOICE_SELLER_GSTIN || '',
+        address: process.env.INVOICE_SELLER_ADDRESS || '',
+        city: process.env.INVOICE_SELLER_CITY || '',
+        state: getStateName(state),
+        stateCode: getStateCode(state) || (process.env.INVOICE_SELLER_GSTIN || '').slice(0, 2) || null,
+        pinCode: process.env.INVOICE_SELLER_PINCODE || '',
+        country: 'India',
+        email: process.env.INVOICE_SELLER_EMAIL || '',
+    };
+};
+
+/**
+ * Store-wide invoice preferences (the admin's Settings.autoInvoice), with defaults.
+ * @returns {Promise<Object>}
+ */
+const getInvoicePreferences = async () => {
+    const settings = await Settings.findOne({ 'autoInvoice.enabled': true })
+        .sort({ updatedAt: -1 })
+        .select('autoInvoice')
+        .lean();
+
+    return {
+        enabled: false,
+        autoSend: false,
+        includePaymentDetails: true,
+        sendCopy: false,
+        emailTemplate: 'default',
+        ...(settings?.autoInvoice || {}),
+    };
+};
+
+// HSN used when a size has none: env first, then the admin's Settings.hsnCodes default
+const getDefaultHsnCode = async () => {
+    if (process.env.INVOICE_DEFAULT_HSN) return process.env.INVOICE_DEFAULT_HSN;
+
+    const settings = await Settings.findOne({ 'hsnCodes.enabled': true, 'hsnCodes.defaultHsnCode': { $nin: ['', null] } })
+        .select('hsnCodes.defaultHsnCode')
+        .lean();
+    return settings?.hsnCodes?.defaultHsnCode || '';
+};
+
+/**
+ * GST rate for a line of goods from its HSN code and what was paid per piece.
+ * @param {string} hsnCode
+ * @param {number} unitPaise - Tax-inclusive amount paid per piece
+ * @returns {number} Percent
+ */
+const getGoodsGstRate = (hsnCode, unitPaise) => {
+    const chapter = String(hsnCode || '').replace(/\D/g, '').slice(0, 2);
+    if (!APPAREL_HSN_CHAPTERS.includes(chapter)) return GST_RATE;
+
+    const taxableAtLowRate = (unitPaise * 100) / (100 + APPAREL_LOW_RATE);
+    return taxableAtLowRate <= toPaise(APPAREL_SLAB_LIMIT) ? APPAREL_LOW_RATE : APPAREL_HIGH_RATE;
+};
+
+/**
+ * Split a tax-inclusive amount into taxable value and GST.
+ * @param {number} inclusivePaise
+ * @param {number} gstRate - Percent
+ * @param {boolean} intraState
+ * @returns {{ taxable: number, cgst: number, sgst: number, igst: number }} Paise
+ */
+const splitTax = (inclusivePaise, gstRate, intraState) => {
+    const taxable = Math.round((inclusivePaise * 100) / (100 + gstRate));
+    const tax = inclusivePaise - taxable;
+    const cgst = intraState ? Math.round(tax / 2) : 0;
+
+    return {
+        taxable,
+        cgst,
+        sgst: intraState ? tax - cgst : 0,
+        igst: intraState ? 0 : tax,
+    };
+};
+
+/**
+ * Intra- or inter-state supply for a delivery state.
+ * @param {string} buyerState
+ * @param {Object} seller - getSellerDetails()
+ * @returns {{ supplyType: string, placeOfSupply: string }}
+ */
+const getSupplyType = (buyerState, seller) => {
+    const buyerCode = getStateCode(buyerState);
+    const placeOfSupply = buyerCode ? `${buyerCode} - ${getStateName(buyerState)}` : (buyerState || '');
+
+    return {
+        supplyType: buyerCode && seller.stateCode && buyerCode === seller.stateCode ? 'intra_state' : 'inter_state',
+        placeOfSupply,
+    };
+};
+
+/**
+ * Buyer block from the order's delivery address.
+ * @param {Object} order
+ * @returns {Object}
+ */
+const getBuyerDetails = (order) => {
+    const address = order.address || {};
+    return {
+        name: [address.firstName, address.lastName].filter(Boolean).join(' ') || order.customer?.fullName || '',
+        address: [address.address, address.apartment, address.landmark].filter(Boolean).join(', '),
+        city: address.city || '',
+        state: getStateName(address.state),
+        stateCode: getStateCode(address.state),
+        pinCode: address.pinCode || '',
+        country: address.country || 'India',
+        email: address.email || order.customer?.email || '',
+        phone: address.phoneNumber || order.customer?.phone || '',
+    };
+};
+
+/**
+ * Invoice lines and totals for an order, from what was actually paid per line.
+ * @param {Object} order - Order document
+ * @param {boolean} intraState
+ * @returns {Promise<{ lines: Object[], totals: Object }>}
+ */
+const buildInvoiceLines = async (order, intraState) => {
+    const pricing = await buildPricing(order);
+    const defaultHsn = await getDefaultHsnCode();
+
+    const itemIds = pricing.lines
+        .map(entry => entry.line.item_id)
+        .filter(id => mongoose.Types.ObjectId.isValid(id));
+    const items = await Item.find({ _id: { $in: itemIds } })
+        .select('productName sizes.sku sizes.size sizes.hsnCode')
+        .lean();
+
+    // Round per line and let the last line absorb the remainder so lines add up to the total
+    const goodsPaise = pricing.totalPaise - pricing.shippingPaise;
+    let allocated = 0;
+
+    const lines = pricing.lines.map((entry, index) => {
+        const { line } = entry;
+        const item = items.find(i => i._id.toString() === line.item_id?.toString());
+        const size = item?.sizes?.find(s => s.sku === line.sku);
+
+        const paid = index === pricing.lines.length - 1 ? goodsPaise - allocated : Math.round(entry.paid);
+        allocated += paid;
+
+        const gross = entry.unitGross * line.quantity;
+        const hsnCode = size?.hsnCode || defaultHsn;
+        const gstRate = getGoodsGstRate(hsnCode, paid / line.quantity);
+        const tax = splitTax(paid, gstRate, intraState);
+
+        return {
+            orderLine: line._id,
+            description: item?.productName || 'Item',
+            sku: line.sku,
+            size: line.size || size?.size || '',
+            hsnCode,
+            quantity: line.quantity,
+            unitPrice: entry.unitPrice,
+            discount: toRupees(Math.max(gross - paid, 0)),
+            taxableValue: toRupees(tax.taxable),
+            gstRate,
+            cgst: toRupees(tax.cgst),
+            sgst: toRupees(tax.sgst),
+            igst: toRupees(tax.igst),
+            total: toRupees(paid),
+            grossPaise: gross,
+            paidPaise: paid,
+            tax,
+        };
+    });
+
+    if (pricing.shippingPaise > 0) {
+        const shippingRate = lines.length > 0 ? Math.max(...lines.map(line => line.gstRate)) : GST_RATE;
+        const tax = splitTax(pricing.shippingPaise, shippingRate, intraState);
+        lines.push({
+            orderLine: null,
+            description: 'Shipping charges',
+            sku: '',
+            size: '',
+            hsnCode: SHIPPING_SAC,
+            quantity: 1,
+            unitPrice: toRupees(pricing.shippingPaise),
+            discount: 0,
+            taxableValue: toRupees(tax.taxable),
+            gstRate: shippingRate,
+            cgst: toRupees(tax.cgst),
+            sgst: toRupees(tax.sgst),
+            igst: toRupees(tax.igst),
+            total: toRupees(pricing.shippingPaise),
+            grossPaise: pricing.shippingPaise,
+            paidPaise: pricing.shippingPaise,
+            tax,
+        });
+    }
+
+    const sum = (pick) => lines.reduce((total, line) => total + pick(line), 0);
+    const totals = {
+        grossAmount: toRupees(sum(line => line.grossPaise)),
+        discount: toRupees(sum(line => Math.max(line.grossPaise - line.paidPaise, 0))),
+        taxableValue: toRupees(sum(line => line.tax.taxable)),
+        cgst: toRupees(sum(line => line.tax.cgst)),
+        sgst: toRupees(sum(line => line.tax.sgst)),
+        igst: toRupees(sum(line => line.tax.igst)),
+        totalTax: toRupees(sum(line => line.tax.cgst + line.tax.sgst + line.tax.igst)),
+        grandTotal: toRupees(pricing.totalPaise),
+        amountInWords: amountInWords(toRupees(pricing.totalPaise)),
+    };
+
+    return {
+        lines: lines.map(({ grossPaise, paidPaise, tax, ...line }) => line),
+        totals,
+    };
+};
+
+const formatInvoiceNumber = (financialYear, sequence) =>
+    `${INVOICE_PREFIX}/${financialYear.short}/${String(sequence).padStart(5, '0')}`;
+
+/**
+ * Issue the tax invoice for a paid order (or return the one already issued).
+ * The order is claimed before a number is drawn, so concurrent calls cannot issue two
+ * invoices. The number is drawn once the lines are built and kept on the claim: if saving
+ * the invoice then fails, the number goes back to the counter when no later one has been
+ * drawn, and otherwise stays held on the claim for the next attempt to issue, so the
+ * series has no gap.
+ * @param {string|ObjectId} orderId
+ * @returns {Promise<Object>} Invoice document
+ */
+const generateInvoice = async (orderId) => {
+    const existing = await Invoice.findOne({ order: orderId });
+    if (existing && existing.status !== 'generating') return existing;
+    if (existing && Date.now() - existing.updatedAt.getTime() < STALE_CLAIM_MS) {
+        throw invoiceError('INVOICE_IN_PROGRESS', 'Invoice is being generated, please retry shortly');
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+        throw invoiceError('ORDER_NOT_FOUND', 'Order not found');
+    }
+    if (order.payment_status !== 'Paid') {
+        throw invoiceError('INVOICE_NOT_AVAILABLE', 'An invoice is issued once the order has been paid');
+    }
+
+    const invoiceDate = order.payment_verified_at || order.paymentDetails?.paymentDate || new Date();
+    const financialYear = getFinancialYear(invoiceDate);
+
+    let claim;
+    if (existing) {
+        claim = await Invoice.findOneAndUpdate(
+            { _id: existing._id, status: 'generating', updatedAt: existing.updatedAt },
+            { $set: { financialYear: financialYear.label } },
+            { new: true }
+        );
+    } else {
+        try {
+            claim = await Invoice.create({ order: order._id, financialYear: financialYear.label, status: 'generating' });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+        }
+    }
+    if (!claim) {
+        throw invoiceError('INVOICE_IN_PROGRESS', 'Invoice is being generated, please retry shortly');
+    }
+
+    const counterKey = `invoice:${financialYear.label}`;
+    let sequence = null;
+    try {
+        const seller = getSellerDetails();
+        const buyer = getBuyerDetails(order);
+        const { supplyType, placeOfSupply } = getSupplyType(order.address?.state, seller);
+        const { lines, totals } = await buildInvoiceLines(order, supplyType === 'intra_state');
+
+        // A number held by an earlier attempt that failed to save is issued now
+        if (existing?.sequence && existing.financialYear === financialYear.label) {
+            sequence = existing.sequence;
+        } else {
+            sequence = await DocumentCounter.next(counterKey);
+            await Invoice.updateOne({ _id: claim._id }, { $set: { sequence } });
+        }
+
+        Object.assign(claim, {
+            invoiceNumber: formatInvoiceNumber(financialYear, sequence),
+            financialYear: financialYear.label,
+            sequence,
+            status: 'issued',
+            orderNumber: order.orderMetadata?.orderNumber || order._id.toString(),
+            user: order.user,
+            invoiceDate,
+            seller,
+            buyer,
+            supplyType,
+            placeOfSupply,
+            lines,
+            totals,
+            payment: {
+                razorpayOrderId: order.razorpay_order_id,
+                razorpayPaymentId: order.razorpay_payment_id,
+                method: order.paymentDetails?.paymentMethod || null,
+                paidAt: invoiceDate,
+            },
+        });
+        await claim.save();
+
+        logger.info(`🧾 Invoice ${claim.invoiceNumber} issued for order ${order._id} (₹${totals.grandTotal}, ${supplyType})`);
+        return claim;
+    } catch (error) {
+        const released = sequence && await DocumentCounter.release(counterKey, sequence).catch(() => false);
+        if (!sequence || released) {
+            await Invoice.deleteOne({ _id: claim._id, status: 'generating' }).catch(() => {});
+        } else {
+            logger.error(`Invoice number ${formatInvoiceNumber(financialYear, sequence)} is held for order ${order._id}; the next attempt issues it`);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Render an invoice as a PDF.
+ * @param {Object} invoice
+ * @param {Object} [options]
+ * @param {boolean} [options.includePaymentDetails=true]
+ * @returns {Buffer}
+ */
+const renderInvoicePdf = (invoice, { includePaymentDetails = true } = {}) => renderTaxDocumentPdf(invoice, {
+    title: 'TAX INVOICE',
+    meta: [
+        ['Invoice No', invoice.invoiceNumber],
+        ['Invoice Date', formatDate(invoice.invoiceDate)],
+        ['Order No', invoice.orderNumber],
+    ],
+    includePayment: includePaymentDetails,
+});
+
+const getInvoiceFileName = (invoice) => `Invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+
+// Settings.autoInvoice.emailTemplate → subject/body
+const EMAIL_TEMPLATES = {
+    default: (invoice) => ({
+        subject: `Your Yoraa invoice ${invoice.invoiceNumber}`,
+        text: `Hi ${invoice.buyer?.name || 'there'},\n\n` +
+            `Thank you for shopping with Yoraa. Your tax invoice ${invoice.invoiceNumber} for order ` +
+            `${invoice.orderNumber} (₹${invoice.totals?.grandTotal}) is attached.\n\nTeam Yoraa`,
+    }),
+    minimal: (invoice) => ({
+        subject: `Invoice ${invoice.invoiceNumber}`,
+        text: `Tax invoice ${invoice.invoiceNumber} for order ${invoice.orderNumber} is attached.`,
+    }),
+};
+
+/**
+ * E-mail an invoice PDF and record the delivery on the invoice.
+ * @param {Object} invoice
+ * @param {Object} [options]
+ * @param {string} [options.to] - Defaults to the buyer's e-mail
+ * @param {string} [options.bcc]
+ * @param {Object} [options.preferences] - getInvoicePreferences()
+ * @returns {Promise<Object>} Updated invoice
+ */
+const emailInvoice = async (invoice, { to, bcc = null, preferences = null } = {}) => {
+    const recipient = to || invoice.buyer?.email;
+    if (!recipient) {
+        throw invoiceError('NO_RECIPIENT', 'Order has no e-mail address to send the invoice to');
+    }
+
+    const prefs = preferences || await getInvoicePreferences();
+    const template = EMAIL_TEMPLATES[prefs.emailTemplate] || EMAIL_TEMPLATES.default;
+    const { subject, text } = template(invoice);
+
+    try {
+        await sendMail({
+            to: recipient,
+            bcc: bcc || undefined,
+            subject,
+            text,
+            attachments: [{
+                filename: getInvoiceFileName(invoice),
+                content: renderInvoicePdf(invoice, { includePaymentDetails: prefs.includePaymentDetails }),
+                contentType: 'application/pdf',
+            }],
+        });
+    } catch (error) {
+        await Invoice.updateOne({ _id: invoice._id }, { $set: { emailError: error.message } });
+        throw error;
+    }
+
+    logger.info(`📧 Invoice ${invoice.invoiceNumber} e-mailed to ${recipient}`);
+    return Invoice.findByIdAndUpdate(
+        invoice._id,
+        { $set: { emailedTo: recipient, emailedAt: new Date(), emailError: null }, $inc: { emailCount: 1 } },
+        { new: true }
+    );
+};
+
+/**
+ * ORDER_PAID handler: issue the invoice and e-mail it when auto-send is on.
+ * @param {string} orderId
+ */
+const handleOrderPaid = async (orderId) => {
+    let invoice;
+    try {
+        invoice = await generateInvoice(orderId);
+    } catch (error) {
+        // Another request is already issuing it
+        if (error.code === 'INVOICE_IN_PROGRESS') return;
+        throw error;
+    }
+
+    const preferences = await getInvoicePreferences();
+    if (!preferences.enabled || !preferences.autoSend || invoice.emailedAt) return;
+
+    if (!invoice.buyer?.email) {
+        logger.warn(`Invoice ${invoice.invoiceNumber} not e-mailed: order ${orderId} has no e-mail address`);
+        return;
+    }
+
+    await emailInvoice(invoice, {
+        bcc: preferences.sendCopy ? process.env.ADMIN_EMAIL : null,
+        preferences,
+    });
+};
+
+let initialized = false;
+
+/**
+ * Subscribe to ORDER_PAID. Safe to call more than once.
+ */
+const init = () => {
+    if (initialized) return;
+    initialized = true;
+
+    eventBus.on(EVENTS.ORDER_PAID, (envelope) => {
+        handleOrderPaid(envelope.data.orderId).catch(error => {
+            logger.error(`Invoice for order ${envelope.data.orderId} failed:`, error.message);
+        });
+    });
+
+    logger.info('🧾 Invoice service subscribed to order.paid');
+};
+
+module.exports = {
+    init,
+    generateInvoice,
+    renderInvoicePdf,
+    emailInvoice,
+    getInvoiceFileName,
+    getInvoicePreferences,
+    getSellerDetails,
+    getBuyerDetails,
+    getSupplyType,
+    getDefaultHsnCode,
+    splitTax,
+    getGoodsGstRate,
+    GST_RATE,
+};
@@ -0,0 +1,163 @@
+// Job Scheduler - runs registered background jobs on cron schedules (node-cron)
+// and on demand, recording every execution as a JobRun document.
+const cron = require('node-cron');
+const JobRun = require('../models/JobRun');
+const logger = require('../utils/logger');
+
+const DEFAULT_TIMEZONE = process.env.SCHEDULER_TIMEZONE || 'Asia/Kolkata';
+
+class JobScheduler {
+    constructor() {
+        this.jobs = new Map();
+        this.running = new Set();
+        this.started = false;
+    }
+
+    /**
+     * Register a job. Handlers receive `{ trigger, triggeredBy }` and must resolve
+     * to `{ results: [...] }`, where each result has a boolean `success`.
+     * @param {Object} job
+     * @param {string} job.name - Unique job name (used in URLs)
+     * @param {string} job.description
+     * @param {string} job.schedule - Cron expression
+     * @param {Function} job.handler
+     */
+    register({ name, description, schedule, handler }) {
+        if (this.jobs.has(name)) {
+            throw new Error(`Job "${name}" is already registered`);
+        }
+        if (!cron.validate(schedule)) {
+            throw new Error(`Invalid cron expression for job "${name}": ${schedule}`);
+        }
+
+        this.jobs.set(name, { name, description, schedule, handler, task: null });
+
+        // Jobs registered after start() are scheduled immediately
+        if (this.started) {
+            this.scheduleJob(this.jobs.get(name));
+        }
+    }
+
+    /**
+     * Start cron schedules for every registered job. Set ENABLE_SCHEDULED_JOBS=false
+     * on secondary instances so that only one process runs the schedules.
+     */
+    start() {
+        if (this.started) return;
+        if (process.env.ENABLE_SCHEDULED_JOBS === 'false') {
+            logger.info('⏸️  Scheduled jobs disabled (ENABLE_SCHEDULED_JOBS=false)');
+            return;
+        }
+
+        this.started = true;
+        for (const job of this.jobs.values()) {
+            this.scheduleJob(job);
+        }
+        logger.info(`⏰ Job scheduler started with ${this.jobs.size} job(s)`);
+    }
+
+    scheduleJob(job) {
+        // A failed run (e.g. the database is briefly unreachable) must not become an unhandled rejection
+        const onTick = () => this.runJob(job.name, { trigger: 'schedule' }).catch((error) => {
+            logger.error(`Scheduled run of job ${job.name} failed:`, error.message);
+        });
+        job.task = cron.schedule(job.schedule, onTick, {
+            name: job.name,
+            timezone: DEFAULT_TIMEZONE
+        });
+    }
+
+    /**
+     * Execute a job now and persist the run.
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {string} [options.trigger='manual'] - "schedule" | "manual"
+     * @param {string} [options.triggeredBy] - Admin user id for manual runs
+     * @returns {Promise<Object>} The JobRun document
+     */
+    async runJob(name, { trigger = 'manual', triggeredBy = null } = {}) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            const error = new Error(`Unknown job: ${name}`);
+            error.status = 404;
+            throw error;
+        }
+
+        // Never run the same job twice at once in this process
+        if (this.running.has(name)) {
+            return JobRun.create({
+                jobName: name,
+                trigger,
+                triggeredBy,
+                status: 'skipped',
+                finishedAt: new Date(),
+                durationMs: 0,
+                error: 'Previous run still in progress'
+            });
+        }
+
+        this.running.add(name);
+        try {
+            const run = await JobRun.create({ jobName: name, trigger, triggeredBy, status: 'running' });
+
+            try {
+                const { results = [] } = await job.handler({ trigger, triggeredBy });
+
+                run.results = results;
+                run.processed = results.length;
+                run.succeeded = results.filter(result => result.success).length;
+                run.failed = run.processed - run.succeeded;
+                run.status = run.failed === 0 ? 'success' : (run.succeeded > 0 ? 'partial' : 'failed');
+            } catch (error) {
+                logger.error(`Job ${name} failed:`, error.message);
+                run.status = 'failed';
+                run.error = error.message;
+            }
+
+            run.finishedAt = new Date();
+            run.durationMs = run.finishedAt - run.startedAt;
+            await run.save();
+
+            if (run.processed > 0 || run.status === 'failed') {
+                logger.info(`⏰ Job ${name} (${trigger}) finished: ${run.status}, ${run.succeeded}/${run.processed} succeeded`);
+            }
+
+            return run;
+        } finally {
+            // Released even when the run record cannot be written, or the job would never run again
+            this.running.delete(name);
+        }
+    }
+
+    /**
+     * Describe every registered job with its last run and next scheduled run.
+     * @returns {Promise<Object[]>}
+     */
+    async listJobs() {
+        const jobs = [];
+        for (const job of this.jobs.values()) {
+            const lastRun = await JobRun.findOne({ jobName: job.name, status: { $ne: 'skipped' } })
+                .sort({ startedAt: -1 })
+                .select('-results')
+                .lean();
+
+            jobs.push({
+                name: job.name,
+                description: job.description,
+                schedule: job.schedule,
+                timezone: DEFAULT_TIMEZONE,
+                enabled: !!job.task,
+                running: this.running.has(job.name),
+                nextRunAt: job.task ? job.task.getNextRun() : null,
+                lastRun
+            });
+        }
+        return jobs;
+    }
+
+    hasJob(name) {
+        return this.jobs.has(name);
+    }
+}
+
+module.exports = new JobScheduler();
@@ -0,0 +1,318 @@
+// Order Action Service - order changes started from more than one place (admin order
+// screens, the customer app and support chat): admin cancellation and return requests,
+// plus the return eligibility rules they share.
+const Order = require('../models/Order');
+const PromoCode = require('../models/PromoCodes');
+const { eventBus, EVENTS, orderEventPayload } = require('./eventBus');
+const { releaseReservation } = require('./inventoryReservationService');
+const { quoteRefund, issueRefund } = require('./refundService');
+const { SHIPROCKET_API_BASE, getShiprocketToken, generateAWBWithCourier } = require('./shiprocketService');
+
+const RETURN_WINDOW_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// HTTP status for each order action error code (refundService errors pass through as-is)
+const ORDER_ACTION_ERROR_STATUS = {
+    ORDER_NOT_FOUND: 404,
+    ORDER_NOT_CANCELLABLE: 400,
+    RETURN_NOT_ALLOWED: 400,
+    RETURN_FORBIDDEN: 403,
+    SHIPROCKET_UNAVAILABLE: 500,
+    RETURN_CREATION_FAILED: 500
+};
+
+const orderActionError = (code, message, details) => {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+};
+
+/**
+ * Cancel an order on the admin's behalf: cancel the Shiprocket shipment, refund what has
+ * not been refunded yet and put the stock back.
+ * @param {string} orderId
+ * @param {Object} [options]
+ * @param {string} [options.reason]
+ * @param {string} [options.notes] - Admin notes, also sent with the refund
+ * @param {boolean} [options.force=false] - Cancel even if shipped or delivered
+ * @param {string} [options.initiatedBy] - Admin user id
+ * @returns {Promise<Object>} { order, refund }
+ */
+const cancelOrderAsAdmin = async (orderId, { reason, notes, force = false, initiatedBy = null } = {}) => {
+    const order = await Order.findById(orderId);
+    if (!order) {
+        throw orderActionError('ORDER_NOT_FOUND', 'Order not found');
+    }
+
+    if (!force && ['shipped', 'delivered', 'cancelled'].includes(order.order_status?.toLowerCase())) {
+        throw orderActionError('ORDER_NOT_CANCELLABLE', `Cannot cancel order that is already ${order.order_status}. Use force=true to override.`);
+    }
+
+    // 1. Cancel Shiprocket shipment if it exists
+    if (order.shiprocket_shipment_id && order.shipping_status !== 'CANCELLED') {
+        try {
+            const token = await getShiprocketToken();
+            if (token) {
+                const cancelResponse = await fetch(`${SHIPROCKET_API_BASE}/orders/cancel/shipment/${order.shiprocket_shipment_id}`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        Authorization: `Bearer ${token}`
+                    },
+                    body: JSON.stringify({
+                        ids: [order.shiprocket_shipment_id]
+                    })
+                });
+
+                const cancelData = await cancelResponse.json();
+                console.log(`📦 Shiprocket cancellation result:`, cancelData);
+
+                if (cancelResponse.ok) {
+                    order.shipping_status = 'CANCELLED';
+                    order.shipping_cancelled_at = new Date();
+                } else {
+                    console.warn(`⚠️ Failed to cancel Shiprocket shipment:`, cancelData);
+                }
+            }
+        } catch (shipError) {
+            console.error('Error cancelling Shiprocket shipment:', shipError);
+            // Continue with order cancellation even if Shiprocket fails
+        }
+    }
+
+    // 2. Refund whatever has not been refunded yet if payment was made
+    let refundResult = null;
+    if (order.payment_status === 'Paid' && order.razorpay_payment_id && (order.refunded_amount || 0) < order.total_price) {
+        refundResult = await issueRefund(order._id, {
+            full: true,
+            source: 'cancellation',
+            reason: reason || 'Order cancelled by admin',
+            notes,
+            initiatedBy
+        });
+        console.log(`💰 Refund ${refundResult.refund.razorpayRefundId} of ₹${refundResult.refund.amount} ${refundResult.refund.status}`);
+    }
+
+    // 3. Restore inventory (release the order's stock hold, or restock a paid order)
+    try {
+        const released = await releaseReservation(order._id, 'order_cancelled', { includeConverted: true });
+        if (released) {
+            console.log(`📦 Restored stock for ${released.items.length} SKU(s) of order ${orderId}`);
+        }
+    } catch (stockError) {
+        console.error('Error restoring inventory:', stockError);
+        // Continue with cancellation even if stock restoration fails
+    }
+
+    // 4. Update order status
+    order.order_status = 'Cancelled';
+    order.cancelledAt = new Date();
+    order.cancellationReason = reason;
+    order.adminCancelled = true;
+    if (notes) {
+        order.adminNotes = notes;
+    }
+
+    await order.save();
+    eventBus.publish(EVENTS.ORDER_CANCELLED, { ...orderEventPayload(order), cancelledBy: 'admin', reason: reason || null });
+
+    return { order, refund: refundResult ? refundResult.refund : null };
+};
+
+/**
+ * Whether the customer can still return an order, and until when.
+ * @param {Object} order
+ * @returns {Object} { eligible, reason, windowEndsAt, daysLeft }
+ */
+const getReturnEligibility = (order) => {
+    // The window is counted from the order date
+    const windowEndsAt = new Date(new Date(order.created_at).getTime() + RETURN_WINDOW_DAYS * DAY_MS);
+    const daysLeft = Math.max(Math.ceil((windowEndsAt.getTime() - Date.now()) / DAY_MS), 0);
+    const result = (eligible, reason = null) => ({ eligible, reason, windowEndsAt, daysLeft: eligible ? daysLeft : 0 });
+
+    if (order.refund?.rmaNumber && order.refund.status !== 'Rejected') {
+        return result(false, `A return has already been requested (${order.refund.rmaNumber})`);
+    }
+    if (order.shipping_status !== 'Delivered') {
+        return result(false, 'Order must be delivered to initiate a return');
+    }
+    if (Date.now() > windowEndsAt.getTime()) {
+        return result(false, `Return period expired (${RETURN_WINDOW_DAYS} days after delivery)`);
+    }
+    return result(true);
+};
+
+/**
+ * Book a Shiprocket return pickup for a delivered order and record it as a pending
+ * refund; the refund itself is issued when an admin accepts the return.
+ * @param {string} orderId
+ * @param {Object} options
+ * @param {string} options.reason
+ * @param {Object[]} [options.returnItems] - [{ sku, quantity }] for a partial return
+ * @param {string[]} [options.imageUrls]
+ * @param {string} [options.userId] - Customer making the request; must own the order
+ * @returns {Promise<Object>} { order, refundQuote }
+ */
+const createReturnRequest = async (orderId, { reason, returnItems = [], imageUrls = [], userId = null }) => {
+    const order = await Order.findById(orderId)
+        .populate('items', 'name price sku dimensions')
+        .populate('item_quantities.item_id', 'name price sku dimensions');
+
+    if (!order) {
+        throw orderActionError('ORDER_NOT_FOUND', 'Order not found');
+    }
+
+    if (userId && order.user.toString() !== userId.toString()) {
+        throw orderActionError('RETURN_FORBIDDEN', 'Unauthorized to return this order');
+    }
+
+    const eligibility = getReturnEligibility(order);
+    if (!eligibility.eligible) {
+        throw orderActionError('RETURN_NOT_ALLOWED', eligibility.reason);
+    }
+
+    // Estimate the refund now; it is issued when the admin accepts the return
+    let refundQuote = null;
+    if (order.payment_status === 'Paid' && order.razorpay_payment_id) {
+        refundQuote = await quoteRefund(order, returnItems.length > 0 ? { lines: returnItems } : { full: true });
+    }
+
+    const token = await getShiprocketToken();
+    if (!token) {
+        throw orderActionError('SHIPROCKET_UNAVAILABLE', 'Failed to authenticate with Shiprocket');
+    }
+
+    const returnDimensions = order.item_quantities.reduce((acc, qty) => {
+        const detail = order.items.find(i => i._id.toString() === qty.item_id.toString())?.dimensions || { length: 10, breadth: 10, height: 10, weight: 0.5 };
+        return {
+            length: Math.max(acc.length || 0, (detail.length || 10) * qty.quantity),
+            breadth: Math.max(acc.breadth || 0, (detail.breadth || 10) * qty.quantity),
+            height: Math.max(acc.height || 0, (detail.height || 10) * qty.quantity),
+            weight: (acc.weight || 0) + ((detail.weight || 0.5) * qty.quantity)
+        };
+    }, {});
+
+    const returnPayload = {
+        order_id: `R_${orderId}_${Date.now()}`,
+        order_date: new Date().toISOString().split('T')[0],
+        channel_id: process.env.SHIPROCKET_CHANNEL_ID || '6355414',
+        pickup_customer_name: order.address.firstName,
+        pickup_last_name: order.address.lastName || '',
+        pickup_address: order.address.address,
+        pickup_address_2: '',
+        pickup_city: order.address.city,
+        pickup_state: order.address.state,
+        pickup_country: order.address.country || 'India',
+        pickup_pincode: order.address.pinCode,
+        pickup_email: order.user?.email || 'customer@example.com',
+        pickup_phone: order.address.phoneNumber.replace(/\D/g, ''),
+        pickup_isd_code: '91',
+        shipping_customer_name: order.shipped_by.shipper_company_name || 'Seller',
+        shipping_last_name: '',
+        shipping_address: order.shipped_by.shipper_address_1 || 'Default Address',
+        shipping_address_2: order.shipped_by.shipper_address_2 || '',
+        shipping_city: order.shipped_by.shipper_city || 'Default City',
+        shipping_country: order.shipped_by.shipper_country || 'India',
+        shipping_pincode: order.shipped_by.shipper_postcode || '110001',
+        shipping_state: order.shipped_by.shipper_state || 'Default State',
+        shipping_email: order.shipped_by.shipper_email || 'seller@example.com',
+        shipping_phone: order.shipped_by.shipper_phone || '9999999999',
+        shipping_isd_code: '91',
+        order_items: (refundQuote && returnItems.length > 0 ? refundQuote.lines : order.item_quantities).map((qty) => {
+            const item = order.items.find(i => i._id.toString() === qty.item_id.toString());
+            return {
+                name: item?.name || 'Unknown Item',
+                sku: item?.sku || 'UNKNOWN_SKU',
+                units: qty.quantity,
+                selling_price: item?.price || 0,
+                discount: 0,
+                hsn: item?.hsn || '1733808730720'
+            };
+        }),
+        payment_method: 'Prepaid',
+        total_discount: order.promoDiscount || 0,
+        sub_total: order.total_price,
+        length: returnDimensions.length || 10,
+        breadth: returnDimensions.breadth || 10,
+        height: returnDimensions.height || 10,
+        weight: returnDimensions.weight || 0.5,
+        return_reason: reason || "Item defective or doesn't work"
+    };
+
+    console.log('Return Payload:', JSON.stringify(returnPayload, null, 2));
+
+    const returnResponse = await fetch(`${SHIPROCKET_API_BASE}/orders/create/return`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify(returnPayload)
+    });
+
+    const returnData = await returnResponse.json();
+    console.log('Full Return Response:', JSON.stringify(returnData, null, 2));
+
+    if (!returnResponse.ok || !returnData.order_id) {
+        throw orderActionError('RETURN_CREATION_FAILED', 'Failed to create return order', returnData.message || returnData);
+    }
+
+    let returnAwbResult;
+    const returnShipmentId = returnData.shipment_id;
+    if (returnShipmentId) {
+        returnAwbResult = await generateAWBWithCourier(returnShipmentId, token);
+        if (!returnAwbResult.success) {
+            console.error('Failed to assign return AWB:', returnAwbResult);
+        }
+    }
+
+    // If promo code was applied, decrement usage
+    if (order.promoCode) {
+        await PromoCode.findOneAndUpdate(
+            { code: order.promoCode, isActive: true },
+            { $inc: { currentUses: -1 } }
+        );
+    }
+
+    order.refund = {
+        requestDate: new Date(),
+        status: 'Pending',
+        rmaNumber: returnPayload.order_id,
+        amount: refundQuote ? refundQuote.amount : order.total_price,
+        reason: reason || 'Not specified',
+        returnAwbCode: returnAwbResult?.success ? returnAwbResult.awbData.awb_code : returnData.awb_code || '',
+        returnTrackingUrl: returnAwbResult?.success
+            ? `https://shiprocket.co/tracking/${returnAwbResult.awbData.awb_code}`
+            : returnData.awb_code
+                ? `https://shiprocket.co/tracking/${returnData.awb_code}`
+                : '',
+        returnLabelUrl: returnData.label_url || '',
+        shiprocketReturnId: returnData.order_id,
+        returnShipmentId: returnData.shipment_id || '',
+        refundTransactionId: null,
+        refundStatus: null,
+        notes: 'Return initiated via Shiprocket Return API',
+        images: imageUrls,
+        items: returnItems
+    };
+
+    await order.save();
+    eventBus.publish(EVENTS.RETURN_REQUESTED, {
+        ...orderEventPayload(order),
+        rmaNumber: order.refund.rmaNumber,
+        reason: order.refund.reason,
+        refundAmount: order.refund.amount,
+        refundStatus: order.refund.refundStatus
+    });
+
+    return { order, refundQuote };
+};
+
+module.exports = {
+    RETURN_WINDOW_DAYS,
+    ORDER_ACTION_ERROR_STATUS,
+    cancelOrderAsAdmin,
+    getReturnEligibility,
+    createReturnRequest
+};
@@ -0,0 +1,359 @@
+// Partner Order Service - orders fulfilled by partners (vendors).
+// An admin allots an order to a partner; the partner accepts or rejects it, packs it, uploads
+// packing proof and marks it ready for the courier pickup:
+//   assigned -> accepted -> packed -> ready_for_pickup
+//   assigned -> rejected (the order goes back to the admin to allot again)
+// Every step is recorded in Order.vendorFulfilment and keeps Partner.statistics up to date.
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Partner = require('../models/Partner');
+const { eventBus, EVENTS, orderEventPayload } = require('./eventBus');
+const logger = require('../utils/logger');
+
+const MAX_PACKING_PROOF = 10;
+
+// HTTP status for each partner order error code
+const PARTNER_ORDER_ERROR_STATUS = {
+    ORDER_NOT_FOUND: 404,
+    PARTNER_NOT_FOUND: 404,
+    PARTNER_INACTIVE: 400,
+    PARTNER_NOT_PERMITTED: 403,
+    INVALID_TRANSITION: 409,
+    ORDER_CANCELLED: 409,
+    REASON_REQUIRED: 400,
+    INVALID_ITEMS: 400,
+    TOO_MANY_FILES: 400
+};
+
+const partnerOrderError = (code, message, details) => {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+};
+
+// Fields a partner sees: what to pack and where it ships from, not the customer's payment
+const PARTNER_ORDER_FIELDS = [
+    'orderMetadata.orderNumber', 'created_at', 'order_status', 'shipping_status', 'item_quantities.sku',
+    'item_quantities.item_id', 'item_quantities.quantity', 'item_quantities.size', 'items',
+    'address.city', 'address.state', 'address.pinCode', 'address.country', 'awb_code', 'courier_name',
+    'vendorId', 'vendorAllottedAt', 'vendorNotes', 'vendorFulfilment'
+].join(' ');
+
+// Fulfilment statuses of an order the partner has taken on (accepted and not rejected)
+const ACCEPTED_STATUSES = ['accepted', 'packed', 'ready_for_pickup'];
+
+const isCancelled = (order) => order.order_status?.toLowerCase() === 'cancelled';
+
+/**
+ * Apply counter changes to a partner's statistics and recompute the rates from the
+ * updated totals in the same write.
+ * @param {string} partnerId
+ * @param {Object} increments - e.g. { totalOrdersAccepted: 1 }
+ */
+const recordPartnerStats = async (partnerId, increments) => {
+    const totals = {};
+    for (const [field, by] of Object.entries(increments)) {
+        totals[`statistics.${field}`] = { $max: [{ $add: [{ $ifNull: [`$statistics.${field}`, 0] }, by] }, 0] };
+    }
+
+    const rate = (part, whole) => ({
+        $cond: [{ $gt: [whole, 0] }, { $multiply: [{ $divide: [part, whole] }, 100] }, 0]
+    });
+
+    await Partner.updateOne({ _id: partnerId }, [
+        { $set: totals },
+        {
+            $set: {
+                'statistics.acceptanceRate': rate('$statistics.totalOrdersAccepted', '$statistics.totalOrdersAssigned'),
+                'statistics.completionRate': rate('$statistics.totalOrdersCompleted', '$statistics.totalOrdersAccepted')
+            }
+        }
+    ]);
+};
+
+/**
+ * Allot an order to a partner (admin). Re-allotting to the same partner only updates the
+ * notes unless the partner had rejected it; an offer the previous partner never answered is
+ * taken off their assigned count.
+ * @param {string} orderId
+ * @param {string} partnerRef - Partner _id or partnerId
+ * @param {Object} [options] - { notes }
+ * @returns {Promise<Object>} { order, partner }
+ */
+const allotOrder = async (orderId, partnerRef, { notes } = {}) => {
+    const partner = await Partner.findOne({
+        $or: [
+            ...(mongoose.Types.ObjectId.isValid(partnerRef) ? [{ _id: partnerRef }] : []),
+            { partnerId: partnerRef }
+        ],
+        isDeleted: false
+    });
+    if (!partner) {
+        throw partnerOrderError('PARTNER_NOT_FOUND', 'Partner not found');
+    }
+    if (partner.status !== 'active') {
+        throw partnerOrderError('PARTNER_INACTIVE', `Partner is ${partner.status}`);
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+        throw partnerOrderError('ORDER_NOT_FOUND', 'Order not found');
+    }
+    if (isCancelled(order)) {
+        throw partnerOrderError('ORDER_CANCELLED', 'Cannot allot a cancelled order');
+    }
+
+    const previousPartner = order.vendorId;
+    const previousStatus = order.vendorFulfilment?.status;
+    const samePartner = previousPartner && previousPartner.equals(partner._id);
+    const newOffer = !samePartner || !previousStatus || previousStatus === 'rejected';
+
+    order.vendorId = partner._id;
+    order.vendorAllotted = true;
+    if (notes) order.vendorNotes = notes;
+    if (newOffer) {
+        order.vendorAllottedAt = new Date();
+        order.set('vendorFulfilment', {
+            status: 'assigned',
+            history: [
+                ...(order.vendorFulfilment?.history || []),
+                { status: 'assigned', partner: partner._id, note: notes || null, at: new Date() }
+            ]
+        });
+    }
+    await order.save();
+
+    if (newOffer) {
+        await recordPartnerStats(partner._id, { totalOrdersAssigned: 1 });
+        if (previousPartner && !samePartner && previousStatus === 'assigned') {
+            await recordPartnerStats(previousPartner, { totalOrdersAssigned: -1 });
+        }
+    }
+
+    return { order, partner };
+};
+
+/**
+ * Orders allotted to a partner, newest first.
+ * @param {Object} partner
+ * @param {Object} [query] - { status, page, limit }
+ * @returns {Promise<Object>} { orders, pagination }
+ */
+const listPartnerOrders = async (partner, { status, page = 1, limit = 20 } = {}) => {
+    const filter = { vendorId: partner._id };
+    if (status) filter['vendorFulfilment.status'] = status;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [orders, totalCount] = await Promise.all([
+        Order.find(filter)
+            .select(PARTNER_ORDER_FIELDS)
+            .populate('items', 'name images')
+            .sort({ created_at: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .lean(),
+        Order.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / pageSize);
+    return {
+        orders,
+        pagination: {
+            currentPage: pageNumber,
+            totalPages,
+            totalCount,
+            hasNextPage: pageNumber < totalPages,
+            hasPrevPage: pageNumber > 1
+        }
+    };
+};
+
+/**
+ * One order allotted to the partner.
+ * @returns {Promise<Object>}
+ */
+const getPartnerOrder = async (partner, orderId) => {
+    const order = mongoose.Types.ObjectId.isValid(orderId)
+        ? await Order.findOne({ _id: orderId, vendorId: partner._id })
+            .select(PARTNER_ORDER_FIELDS)
+            .populate('items', 'name images')
+            .lean()
+        : null;
+    if (!order) {
+        throw partnerOrderError('ORDER_NOT_FOUND', 'Order not found');
+    }
+    return order;
+};
+
+/**
+ * Move an order from one of `from` to `to` if it is still in that state; the filter makes
+ * the change atomic, so a double click or two devices cannot apply a step twice.
+ */
+const transition = async (partner, orderId, from, to, { set = {}, note = null } = {}) => {
+    const current = await getPartnerOrder(partner, orderId);
+    if (isCancelled(current)) {
+        throw partnerOrderError('ORDER_CANCELLED', 'This order has been cancelled');
+    }
+
+    const order = await Order.findOneAndUpdate(
+        { _id: orderId, vendorId: partner._id, 'vendorFulfilment.status': { $in: from } },
+        {
+            $set: { 'vendorFulfilment.status': to, ...set },
+            $push: { 'vendorFulfilment.history': { status: to, note, partner: partner._id, at: new Date() } }
+        },
+        { new: true }
+    );
+    if (!order) {
+        throw partnerOrderError(
+            'INVALID_TRANSITION',
+            `Only ${from.join(' or ')} orders can be marked ${to}`,
+            { status: current.vendorFulfilment?.status || null }
+        );
+    }
+    return order;
+};
+
+const requirePermission = (partner, permission, action) => {
+    if (partner.permissions?.[permission] === false) {
+        throw partnerOrderError('PARTNER_NOT_PERMITTED', `Your account is not allowed to ${action} orders`);
+    }
+};
+
+/**
+ * Accept an allotted order.
+ * @returns {Promise<Object>} order
+ */
+const acceptOrder = async (partner, orderId) => {
+    requirePermission(partner, 'canAcceptOrders', 'accept');
+    const order = await transition(partner, orderId, ['assigned'], 'accepted', {
+        set: { 'vendorFulfilment.acceptedAt': new Date() }
+    });
+
+    await recordPartnerStats(partner._id, { totalOrdersAccepted: 1 });
+    eventBus.publish(EVENTS.VENDOR_ORDER_ACCEPTED, { ...orderEventPayload(order), partnerId: partner.partnerId });
+    return order;
+};
+
+/**
+ * Reject an allotted order; it goes back to the admin to allot to someone else.
+ * @returns {Promise<Object>} order
+ */
+const rejectOrder = async (partner, orderId, reason) => {
+    requirePermission(partner, 'canRejectOrders', 'reject');
+    if (!reason || !String(reason).trim()) {
+        throw partnerOrderError('REASON_REQUIRED', 'A reason is required to reject an order');
+    }
+
+    const order = await transition(partner, orderId, ['assigned'], 'rejected', {
+        set: {
+            vendorAllotted: false,
+            'vendorFulfilment.rejectedAt': new Date(),
+            'vendorFulfilment.rejectionReason': String(reason).trim()
+        },
+        note: String(reason).trim()
+    });
+
+    await recordPartnerStats(partner._id, { totalOrdersRejected: 1 });
+    eventBus.publish(EVENTS.VENDOR_ORDER_REJECTED, {
+        ...orderEventPayload(order),
+        partnerId: partner.partnerId,
+        reason: order.vendorFulfilment.rejectionReason
+    });
+    logger.info(`📦 Partner ${partner.partnerId} rejected order ${orderId}: ${order.vendorFulfilment.rejectionReason}`);
+    return order;
+};
+
+/**
+ * Mark an accepted order packed, optionally only some lines ([{ sku, quantity }]).
+ * @returns {Promise<Object>} order
+ */
+const markPacked = async (partner, orderId, items = []) => {
+    let packedItems = [];
+    if (items.length) {
+        const current = await getPartnerOrder(partner, orderId);
+        const ordered = new Map();
+        (current.item_quantities || []).forEach(line => {
+            ordered.set(line.sku, (ordered.get(line.sku) || 0) + line.quantity);
+        });
+
+        packedItems = items.map(line => ({ sku: line.sku, quantity: parseInt(line.quantity) }));
+        const invalid = packedItems.filter(line =>
+            !ordered.has(line.sku) || !(line.quantity > 0) || line.quantity > ordered.get(line.sku)
+        );
+        if (invalid.length) {
+            throw partnerOrderError('INVALID_ITEMS', 'Packed items must be SKUs of this order with a quantity up to the ordered quantity', { invalid });
+        }
+    }
+
+    return transition(partner, orderId, ['accepted'], 'packed', {
+        set: { 'vendorFulfilment.packedAt': new Date(), 'vendorFulfilment.packedItems': packedItems }
+    });
+};
+
+/**
+ * Hand a packed order over for courier pickup; counts as completed for the partner.
+ * @returns {Promise<Object>} order
+ */
+const markReadyForPickup = async (partner, orderId) => {
+    const order = await transition(partner, orderId, ['packed'], 'ready_for_pickup', {
+        set: { 'vendorFulfilment.readyForPickupAt': new Date() }
+    });
+
+    await recordPartnerStats(partner._id, { totalOrdersCompleted: 1 });
+    eventBus.publish(EVENTS.VENDOR_ORDER_READY, { ...orderEventPayload(order), partnerId: partner.partnerId });
+    return order;
+};
+
+/**
+ * Attach uploaded packing photos to an accepted, packed or ready order.
+ * @param {Object[]} proofs - [{ url, fileName }]
+ * @returns {Promise<Object>} order
+ */
+const addPackingProof = async (partner, orderId, proofs) => {
+    const current = await getPartnerOrder(partner, orderId);
+    if (!ACCEPTED_STATUSES.includes(current.vendorFulfilment?.status)) {
+        throw partnerOrderError('INVALID_TRANSITION', 'Packing proof can be added once the order has been accepted');
+    }
+    if ((current.vendorFulfilment.packingProof || []).length + proofs.length > MAX_PACKING_PROOF) {
+        throw partnerOrderError('TOO_MANY_FILES', `An order can have at most ${MAX_PACKING_PROOF} packing proof files`);
+    }
+
+    return Order.findOneAndUpdate(
+        { _id: orderId, vendorId: partner._id },
+        { $push: { 'vendorFulfilment.packingProof': { $each: proofs.map(proof => ({ ...proof, uploadedAt: new Date() })) } } },
+        { new: true }
+    ).select(PARTNER_ORDER_FIELDS);
+};
+
+/**
+ * Order counts per fulfilment status for the partner's dashboard.
+ * @returns {Promise<Object>}
+ */
+const getPartnerOrderCounts = async (partner) => {
+    const counts = await Order.aggregate([
+        { $match: { vendorId: partner._id } },
+        { $group: { _id: '$vendorFulfilment.status', count: { $sum: 1 } } }
+    ]);
+    return counts.reduce((acc, { _id, count }) => ({ ...acc, [_id || 'assigned']: count }), {
+        assigned: 0, accepted: 0, rejected: 0, packed: 0, ready_for_pickup: 0
+    });
+};
+
+module.exports = {
+    MAX_PACKING_PROOF,
+    ACCEPTED_STATUSES,
+    PARTNER_ORDER_ERROR_STATUS,
+    recordPartnerStats,
+    allotOrder,
+    listPartnerOrders,
+    getPartnerOrder,
+    acceptOrder,
+    rejectOrder,
+    markPacked,
+    markReadyForPickup,
+    addPackingProof,
+    getPartnerOrderCounts
+};
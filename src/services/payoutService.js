@@ -0,0 +1,886 @@
+// Payout Service - commission and settlement for orders fulfilled by partners (vendors).
+// When an allotted order is delivered the partner's share accrues in the payout ledger:
+// what the customer paid for the goods, less the store's commission (CommissionRule), GST
+// on that commission, income-tax TDS (section 194-O) and, for GST-registered partners, GST
+// TCS (section 52). Refunded lines reverse their share of the accrual. Unsettled entries
+// are rolled up into a SettlementStatement per partner every week, which finance finalises
+// and marks paid once the transfer is made. Reversals after a statement net off in the next.
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Item = require('../models/Item');
+const Partner = require('../models/Partner');
+const Category = require('../models/Category');
+const CommissionRule = require('../models/CommissionRule');
+const PayoutLedgerEntry = require('../models/PayoutLedgerEntry');
+const SettlementStatement = require('../models/SettlementStatement');
+const DocumentCounter = require('../models/DocumentCounter');
+const { eventBus, EVENTS } = require('./eventBus');
+const { ACCEPTED_STATUSES } = require('./partnerOrderService');
+const { getGoodsGstRate, getDefaultHsnCode, GST_RATE } = require('./invoiceService');
+const { toPaise, toRupees, buildPricing } = require('../utils/orderPricing');
+const { getFinancialYear } = require('../utils/gstUtils');
+const { formatDate } = require('../utils/taxDocumentPdf');
+const logger = require('../utils/logger');
+
+const SETTLEMENT_JOB = 'generate-partner-settlements';
+const STATEMENT_PREFIX = process.env.PAYOUT_STATEMENT_PREFIX || 'YPS';
+
+// Percent from the environment; 0 is a valid rate (e.g. TDS waived)
+const rateFromEnv = (name, fallback) => {
+    const rate = parseFloat(process.env[name]);
+    return Number.isFinite(rate) && rate >= 0 ? rate : fallback;
+};
+
+const COMMISSION_GST_RATE = rateFromEnv('PAYOUT_COMMISSION_GST_RATE', 18);
+const TDS_RATE = rateFromEnv('PAYOUT_TDS_RATE', 0.1);
+const GST_TCS_RATE = rateFromEnv('PAYOUT_GST_TCS_RATE', 0.5);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// HTTP status for each payout error code
+const PAYOUT_ERROR_STATUS = {
+    PARTNER_NOT_FOUND: 404,
+    CATEGORY_NOT_FOUND: 404,
+    RULE_NOT_FOUND: 404,
+    RULE_EXISTS: 409,
+    INVALID_RULE: 400,
+    INVALID_ADJUSTMENT: 400,
+    INVALID_PERIOD: 400,
+    NO_UNSETTLED_ENTRIES: 400,
+    STATEMENT_NOT_FOUND: 404,
+    INVALID_STATEMENT_STATUS: 409,
+    PAYMENT_REFERENCE_REQUIRED: 400
+};
+
+const payoutError = (code, message, details) => {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+};
+
+const percentOf = (paise, rate) => Math.round((paise * rate) / 100);
+
+// ---------- Commission rules ----------
+
+/**
+ * Commission rule for a partner's sale in a category: partner + category, then partner,
+ * then category, then the store-wide rule.
+ * @param {Object[]} rules - Active rules for the partner and for all partners
+ * @param {string} partnerId
+ * @param {string|null} categoryId
+ * @returns {Object|null}
+ */
+const resolveCommissionRule = (rules, partnerId, categoryId) => {
+    const matches = (rule, partner, category) =>
+        (rule.partner?.toString() || null) === partner && (rule.category?.toString() || null) === category;
+
+    const candidates = [
+        ...(categoryId ? [[partnerId, categoryId]] : []),
+        [partnerId, null],
+        ...(categoryId ? [[null, categoryId]] : []),
+        [null, null]
+    ];
+    for (const [partner, category] of candidates) {
+        const rule = rules.find(entry => matches(entry, partner, category));
+        if (rule) return rule;
+    }
+    return null;
+};
+
+const validateRuleInput = async ({ partner, category, ratePercent }) => {
+    const rate = Number(ratePercent);
+    if (ratePercent === undefined || ratePercent === null || ratePercent === '' || !Number.isFinite(rate) || rate < 0 || rate > 100) {
+        throw payoutError('INVALID_RULE', 'ratePercent must be a number between 0 and 100');
+    }
+
+    if (partner) {
+        if (!mongoose.Types.ObjectId.isValid(partner) || !(await Partner.exists({ _id: partner, isDeleted: false }))) {
+            throw payoutError('PARTNER_NOT_FOUND', 'Partner not found');
+        }
+    }
+    if (category) {
+        if (!mongoose.Types.ObjectId.isValid(category) || !(await Category.exists({ _id: category }))) {
+            throw payoutError('CATEGORY_NOT_FOUND', 'Category not found');
+        }
+    }
+    return rate;
+};
+
+/**
+ * Commission rules (?partner=<id>|all&category=<id>|all&isActive).
+ * "all" matches the rules that apply to every partner or every category.
+ * @param {Object} [query]
+ * @returns {Promise<Object[]>}
+ */
+const listCommissionRules = async ({ partner, category, isActive } = {}) => {
+    const filter = {};
+    if (partner) filter.partner = partner === 'all' ? null : partner;
+    if (category) filter.category = category === 'all' ? null : category;
+    if (isActive !== undefined) filter.isActive = isActive === true || isActive === 'true';
+
+    return CommissionRule.find(filter)
+        .populate('partner', 'name partnerId businessInfo.businessName')
+        .populate('category', 'name')
+        .sort({ partner: 1, category: 1 })
+        .lean();
+};
+
+/**
+ * Add a rule for a partner, a category, both or (neither) every sale.
+ * @param {Object} input - { partner, category, ratePercent, notes, isActive }
+ * @param {string} userId
+ */
+const createCommissionRule = async (input, userId) => {
+    const ratePercent = await validateRuleInput(input);
+
+    try {
+        return await CommissionRule.create({
+            partner: input.partner || null,
+            category: input.category || null,
+            ratePercent,
+            isActive: input.isActive !== false,
+            notes: input.notes || null,
+            createdBy: userId,
+            updatedBy: userId
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw payoutError('RULE_EXISTS', 'A commission rule for this partner and category already exists');
+        }
+        throw error;
+    }
+};
+
+/**
+ * Change a rule's rate, notes or active flag. Accruals already recorded keep the rate
+ * they were worked out with.
+ * @param {string} ruleId
+ * @param {Object} changes - { ratePercent, notes, isActive }
+ * @param {string} userId
+ */
+const updateCommissionRule = async (ruleId, changes, userId) => {
+    const rule = mongoose.Types.ObjectId.isValid(ruleId) ? await CommissionRule.findById(ruleId) : null;
+    if (!rule) throw payoutError('RULE_NOT_FOUND', 'Commission rule not found');
+
+    if (changes.ratePercent !== undefined) {
+        rule.ratePercent = await validateRuleInput({ ratePercent: changes.ratePercent });
+    }
+    if (changes.notes !== undefined) rule.notes = changes.notes || null;
+    if (changes.isActive !== undefined) rule.isActive = changes.isActive === true || changes.isActive === 'true';
+    rule.updatedBy = userId;
+
+    return rule.save();
+};
+
+const deleteCommissionRule = async (ruleId) => {
+    const rule = mongoose.Types.ObjectId.isValid(ruleId) ? await CommissionRule.findByIdAndDelete(ruleId) : null;
+    if (!rule) throw payoutError('RULE_NOT_FOUND', 'Commission rule not found');
+    return rule;
+};
+
+// ---------- Ledger ----------
+
+/**
+ * Withholdings and net payable for ledger lines (paise in, rupees out).
+ * @param {Object[]} lines - [{ grossPaise, commissionPaise, gstRate }]
+ * @param {boolean} gstRegistered - Partner has a GSTIN (GST TCS applies)
+ * @returns {Object} PayoutLedgerEntry.amounts
+ */
+const computeAmounts = (lines, gstRegistered) => {
+    const gross = lines.reduce((sum, line) => sum + line.grossPaise, 0);
+    const commission = lines.reduce((sum, line) => sum + line.commissionPaise, 0);
+    // Catalogue prices are GST-inclusive, at each line's invoice rate
+    const taxable = lines.reduce((sum, line) => sum + Math.round((line.grossPaise * 100) / (100 + line.gstRate)), 0);
+    const commissionGst = percentOf(commission, COMMISSION_GST_RATE);
+    const tds = percentOf(gross, TDS_RATE);
+    const gstTcs = gstRegistered ? percentOf(taxable, GST_TCS_RATE) : 0;
+
+    return {
+        grossAmount: toRupees(gross),
+        taxableValue: toRupees(taxable),
+        commission: toRupees(commission),
+        commissionGst: toRupees(commissionGst),
+        tds: toRupees(tds),
+        gstTcs: toRupees(gstTcs),
+        netPayable: toRupees(gross - commission - commissionGst - tds - gstTcs)
+    };
+};
+
+const negateAmounts = (amounts) => Object.fromEntries(
+    Object.entries(amounts).map(([key, value]) => [key, value === 0 ? 0 : -value])
+);
+
+const accrualReference = (orderId) => `order:${orderId}:accrual`;
+
+/**
+ * Record the partner's share of a delivered order, once, when the partner accepted it
+ * (an order they rejected or never took on keeps vendorId but earns nothing). Lines
+ * refunded before delivery (partial cancellations) are left out.
+ * @param {string} orderId
+ * @returns {Promise<Object|null>} The accrual entry, or null when nothing accrues
+ */
+const accrueOrder = async (orderId) => {
+    const order = await Order.findById(orderId);
+    if (!order?.vendorId || !order.vendorAllotted || order.payment_status !== 'Paid') return null;
+    if (!ACCEPTED_STATUSES.includes(order.vendorFulfilment?.status)) return null;
+
+    const reference = accrualReference(order._id);
+    const existing = await PayoutLedgerEntry.findOne({ reference }).lean();
+    if (existing) return existing;
+
+    const partner = await Partner.findById(order.vendorId).select('businessInfo.gstNumber').lean();
+    if (!partner) {
+        logger.warn(`Order ${order._id} is allotted to missing partner ${order.vendorId}; no payout accrued`);
+        return null;
+    }
+
+    const pricing = await buildPricing(order);
+    const itemIds = pricing.lines
+        .map(entry => entry.line.item_id)
+        .filter(id => mongoose.Types.ObjectId.isValid(id));
+    const [items, rules, defaultHsn] = await Promise.all([
+        Item.find({ _id: { $in: itemIds } }).select('categoryId sizes.sku sizes.hsnCode').lean(),
+        CommissionRule.find({ isActive: true, partner: { $in: [order.vendorId, null] } }).lean(),
+        getDefaultHsnCode()
+    ]);
+
+    const partnerId = order.vendorId.toString();
+    const lines = pricing.lines
+        .filter(entry => entry.remainingQuantity > 0)
+        .map((entry) => {
+            const item = items.find(i => i._id.toString() === entry.line.item_id?.toString());
+            const categoryId = item?.categoryId?.toString() || null;
+            const rule = resolveCommissionRule(rules, partnerId, categoryId);
+            const rate = rule?.ratePercent || 0;
+            const grossPaise = Math.round((entry.paid * entry.remainingQuantity) / entry.line.quantity);
+            const hsnCode = item?.sizes?.find(size => size.sku === entry.line.sku)?.hsnCode || defaultHsn;
+
+            return {
+                orderLine: entry.line._id,
+                sku: entry.line.sku,
+                size: entry.line.size,
+                quantity: entry.remainingQuantity,
+                category: categoryId,
+                commissionRule: rule?._id || null,
+                commissionRate: rate,
+                hsnCode,
+                gstRate: getGoodsGstRate(hsnCode, entry.paid / entry.line.quantity),
+                grossPaise,
+                commissionPaise: percentOf(grossPaise, rate)
+            };
+        });
+    if (lines.length === 0) return null;
+
+    if (lines.some(line => !line.commissionRule)) {
+        logger.warn(`No commission rule for some lines of order ${order._id}; accrued at 0% commission`);
+    }
+
+    const gstNumber = partner.businessInfo?.gstNumber || null;
+    try {
+        const entry = await PayoutLedgerEntry.create({
+            partner: order.vendorId,
+            type: 'accrual',
+            reference,
+            order: order._id,
+            orderNumber: order.orderMetadata?.orderNumber || null,
+            gstNumber,
+            lines: lines.map(({ grossPaise, commissionPaise, ...line }) => ({
+                ...line,
+                grossAmount: toRupees(grossPaise),
+                commission: toRupees(commissionPaise)
+            })),
+            amounts: computeAmounts(lines, Boolean(gstNumber))
+        });
+        logger.info(`💼 Payout of ₹${entry.amounts.netPayable} accrued to partner ${partnerId} for order ${order._id}`);
+        return entry;
+    } catch (error) {
+        // Delivered twice at the same time
+        if (error.code === 11000) return PayoutLedgerEntry.findOne({ reference }).lean();
+        throw error;
+    }
+};
+
+/**
+ * Reverse the accrued share of the lines a refund covers, once per refund. Quantities
+ * are capped at what is still unreversed on each line. Refunds before delivery need
+ * nothing - the accrual leaves refunded lines out.
+ * @param {string} orderId
+ * @param {string} refundEntryId - Order.refunds[]._id
+ * @returns {Promise<Object|null>} The reversal entry, or null when nothing is reversed
+ */
+const reverseRefund = async (orderId, refundEntryId) => {
+    const accrual = await PayoutLedgerEntry.findOne({ reference: accrualReference(orderId) }).lean();
+    if (!accrual) return null;
+
+    const reference = `order:${orderId}:refund:${refundEntryId}`;
+    if (await PayoutLedgerEntry.exists({ reference })) return null;
+
+    const order = await Order.findById(orderId).select('refunds');
+    const refund = order?.refunds?.id(refundEntryId);
+    if (!refund || refund.status === 'failed' || refund.lines.length === 0) return null;
+
+    const earlierReversals = await PayoutLedgerEntry.find({ order: orderId, type: 'reversal' }).select('lines').lean();
+    const reversedQuantity = (orderLine) => earlierReversals
+        .flatMap(entry => entry.lines)
+        .filter(line => line.orderLine?.toString() === orderLine.toString())
+        .reduce((sum, line) => sum + line.quantity, 0);
+
+    const lines = [];
+    for (const refunded of refund.lines) {
+        const accrued = accrual.lines.find(line => line.orderLine?.toString() === refunded.line?.toString());
+        if (!accrued) continue;
+
+        const quantity = Math.min(refunded.quantity, accrued.quantity - reversedQuantity(accrued.orderLine));
+        if (quantity <= 0) continue;
+
+        lines.push({
+            orderLine: accrued.orderLine,
+            sku: accrued.sku,
+            size: accrued.size,
+            quantity,
+            category: accrued.category,
+            commissionRule: accrued.commissionRule,
+            commissionRate: accrued.commissionRate,
+            hsnCode: accrued.hsnCode,
+            // Accruals from before per-line rates were taxed at the flat rate
+            gstRate: accrued.gstRate ?? GST_RATE,
+            grossPaise: Math.round((toPaise(accrued.grossAmount) * quantity) / accrued.quantity),
+            commissionPaise: Math.round((toPaise(accrued.commission) * quantity) / accrued.quantity)
+        });
+    }
+    if (lines.length === 0) return null;
+
+    try {
+        const entry = await PayoutLedgerEntry.create({
+            partner: accrual.partner,
+            type: 'reversal',
+            reference,
+            order: orderId,
+            orderNumber: accrual.orderNumber,
+            refundEntry: refundEntryId,
+            gstNumber: accrual.gstNumber,
+            lines: lines.map(({ grossPaise, commissionPaise, ...line }) => ({
+                ...line,
+                grossAmount: -toRupees(grossPaise),
+                commission: -toRupees(commissionPaise)
+            })),
+            amounts: negateAmounts(computeAmounts(lines, Boolean(accrual.gstNumber))),
+            notes: refund.reason || null
+        });
+        logger.info(`💼 Payout of ₹${-entry.amounts.netPayable} reversed for partner ${accrual.partner} (refund ${refundEntryId})`);
+        return entry;
+    } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
+/**
+ * Manual credit (positive) or debit (negative) to a partner's payable, e.g. a penalty
+ * for a late dispatch or a courier charge passed on.
+ * @param {string} partnerId
+ * @param {Object} adjustment - { amount, notes, orderId }
+ * @param {string} userId
+ */
+const addAdjustment = async (partnerId, { amount, notes, orderId } = {}, userId) => {
+    const value = Number(amount);
+    if (!Number.isFinite(value) || value === 0) {
+        throw payoutError('INVALID_ADJUSTMENT', 'amount must be a non-zero number');
+    }
+    if (!notes || !String(notes).trim()) {
+        throw payoutError('INVALID_ADJUSTMENT', 'notes are required for an adjustment');
+    }
+
+    const partner = mongoose.Types.ObjectId.isValid(partnerId)
+        ? await Partner.findOne({ _id: partnerId, isDeleted: false }).select('businessInfo.gstNumber').lean()
+        : null;
+    if (!partner) throw payoutError('PARTNER_NOT_FOUND', 'Partner not found');
+
+    let order = null;
+    if (orderId) {
+        order = mongoose.Types.ObjectId.isValid(orderId)
+            ? await Order.findOne({ _id: orderId, vendorId: partner._id }).select('orderMetadata.orderNumber').lean()
+            : null;
+        if (!order) throw payoutError('INVALID_ADJUSTMENT', 'Order not found for this partner');
+    }
+
+    return PayoutLedgerEntry.create({
+        partner: partner._id,
+        type: 'adjustment',
+        reference: `adjustment:${new mongoose.Types.ObjectId()}`,
+        order: order?._id || null,
+        orderNumber: order?.orderMetadata?.orderNumber || null,
+        gstNumber: partner.businessInfo?.gstNumber || null,
+        amounts: { netPayable: toRupees(toPaise(value)) },
+        notes: String(notes).trim(),
+        createdBy: userId
+    });
+};
+
+const buildLedgerFilter = ({ partner, type, statement, orderId, from, to } = {}) => {
+    const filter = {};
+    if (partner) filter.partner = partner;
+    if (type) filter.type = type;
+    if (statement) filter.statement = statement === 'unsettled' ? null : statement;
+    if (orderId) filter.order = orderId;
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+    }
+    return filter;
+};
+
+/**
+ * Ledger entries, newest first (?partner&type&statement=<id>|unsettled&orderId&from&to&page&limit).
+ * @param {Object} [query]
+ */
+const listLedger = async (query = {}) => {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+    const filter = buildLedgerFilter(query);
+
+    const [entries, total] = await Promise.all([
+        PayoutLedgerEntry.find(filter)
+            .populate('partner', 'name partnerId businessInfo.businessName')
+            .populate('statement', 'statementNumber status')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        PayoutLedgerEntry.countDocuments(filter)
+    ]);
+
+    return {
+        entries,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+};
+
+/**
+ * What a partner has earned and is still owed: unsettled balance, statements finalised
+ * but not yet paid, and everything paid so far.
+ * @param {string} partnerId
+ */
+const getPartnerBalance = async (partnerId) => {
+    const id = new mongoose.Types.ObjectId(partnerId.toString());
+    const [unsettled, statements] = await Promise.all([
+        PayoutLedgerEntry.aggregate([
+            { $match: { partner: id, statement: null } },
+            { $group: { _id: null, netPayable: { $sum: '$amounts.netPayable' }, entries: { $sum: 1 } } }
+        ]),
+        SettlementStatement.aggregate([
+            { $match: { partner: id } },
+            { $group: { _id: '$status', netPayable: { $sum: '$totals.netPayable' }, count: { $sum: 1 } } }
+        ])
+    ]);
+
+    const byStatus = (status) => statements.find(entry => entry._id === status) || { netPayable: 0, count: 0 };
+    const round = (amount) => toRupees(toPaise(amount));
+
+    return {
+        unsettled: { netPayable: round(unsettled[0]?.netPayable || 0), entries: unsettled[0]?.entries || 0 },
+        draft: { netPayable: round(byStatus('draft').netPayable), statements: byStatus('draft').count },
+        awaitingPayment: { netPayable: round(byStatus('finalized').netPayable), statements: byStatus('finalized').count },
+        paid: { netPayable: round(byStatus('paid').netPayable), statements: byStatus('paid').count }
+    };
+};
+
+// ---------- Settlement statements ----------
+
+const formatStatementNumber = (financialYear, sequence) =>
+    `${STATEMENT_PREFIX}/${financialYear.short}/${String(sequence).padStart(5, '0')}`;
+
+const sumEntries = (entries) => {
+    const totals = {
+        accruals: 0, reversals: 0, adjustments: 0, grossAmount: 0, taxableValue: 0,
+        commission: 0, commissionGst: 0, tds: 0, gstTcs: 0, netPayable: 0
+    };
+    const byType = { accrual: 'accruals', reversal: 'reversals', adjustment: 'adjustments' };
+
+    for (const entry of entries) {
+        totals[byType[entry.type]] += toPaise(entry.amounts.netPayable);
+        for (const field of ['grossAmount', 'taxableValue', 'commission', 'commissionGst', 'tds', 'gstTcs', 'netPayable']) {
+            totals[field] += toPaise(entry.amounts[field]);
+        }
+    }
+    return Object.fromEntries(Object.entries(totals).map(([key, paise]) => [key, toRupees(paise)]));
+};
+
+/**
+ * Roll a partner's unsettled entries up to `periodEnd` into a draft statement. Entries
+ * older than the period that were never settled are carried into it.
+ * @param {string} partnerId
+ * @param {Object} [options]
+ * @param {Date} [options.periodEnd=now]
+ * @param {string} [options.generatedBy] - Admin user id; null for the scheduled run
+ * @returns {Promise<Object>} The statement
+ */
+const generateStatement = async (partnerId, { periodEnd = new Date(), generatedBy = null } = {}) => {
+    const end = new Date(periodEnd);
+    if (Number.isNaN(end.getTime()) || end > new Date()) {
+        throw payoutError('INVALID_PERIOD', 'periodEnd must be a valid date that is not in the future');
+    }
+
+    const partner = mongoose.Types.ObjectId.isValid(partnerId)
+        ? await Partner.findById(partnerId).select('name partnerId email businessInfo').lean()
+        : null;
+    if (!partner) throw payoutError('PARTNER_NOT_FOUND', 'Partner not found');
+
+    const pending = { partner: partner._id, statement: null, createdAt: { $lte: end } };
+    if (!(await PayoutLedgerEntry.exists(pending))) {
+        throw payoutError('NO_UNSETTLED_ENTRIES', 'The partner has no unsettled payout entries for this period');
+    }
+
+    const financialYear = getFinancialYear(end);
+    const sequence = await DocumentCounter.next(`payout-statement:${financialYear.label}`);
+    const statement = await SettlementStatement.create({
+        statementNumber: formatStatementNumber(financialYear, sequence),
+        financialYear: financialYear.label,
+        sequence,
+        partner: partner._id,
+        partnerDetails: {
+            name: partner.name,
+            partnerId: partner.partnerId,
+            businessName: partner.businessInfo?.businessName || null,
+            gstNumber: partner.businessInfo?.gstNumber || null,
+            email: partner.email || null,
+            state: partner.businessInfo?.address?.state || null
+        },
+        periodEnd: end,
+        rates: { commissionGstPercent: COMMISSION_GST_RATE, tdsPercent: TDS_RATE, gstTcsPercent: GST_TCS_RATE },
+        generatedBy
+    });
+
+    // Claim the entries; a concurrent run for the same partner gets none of them
+    await PayoutLedgerEntry.updateMany(pending, { $set: { statement: statement._id } });
+    const entries = await PayoutLedgerEntry.find({ statement: statement._id }).select('type amounts createdAt').lean();
+    if (entries.length === 0) {
+        await SettlementStatement.deleteOne({ _id: statement._id });
+        throw payoutError('NO_UNSETTLED_ENTRIES', 'The partner has no unsettled payout entries for this period');
+    }
+
+    statement.entryCount = entries.length;
+    statement.periodStart = entries.reduce((oldest, entry) => (entry.createdAt < oldest ? entry.createdAt : oldest), entries[0].createdAt);
+    statement.totals = sumEntries(entries);
+    await statement.save();
+
+    logger.info(`💼 Settlement ${statement.statementNumber} generated for partner ${partner._id}: ₹${statement.totals.netPayable}`);
+    return statement;
+};
+
+// Statements a partner can see; drafts may still be discarded
+const PUBLISHED_STATUSES = ['finalized', 'paid'];
+
+const findStatement = async (statementId, partnerId = null) => {
+    const filter = { _id: statementId };
+    if (partnerId) {
+        filter.partner = partnerId;
+        filter.status = { $in: PUBLISHED_STATUSES };
+    }
+
+    const statement = mongoose.Types.ObjectId.isValid(statementId) ? await SettlementStatement.findOne(filter) : null;
+    if (!statement) throw payoutError('STATEMENT_NOT_FOUND', 'Settlement statement not found');
+    return statement;
+};
+
+const requireStatus = (statement, status, action) => {
+    if (statement.status !== status) {
+        throw payoutError(
+            'INVALID_STATEMENT_STATUS',
+            `Only ${status} statements can be ${action}`,
+            { status: statement.status }
+        );
+    }
+};
+
+/**
+ * One statement with its ledger entries. Pass `partnerId` for the partner's own view
+ * (their finalised and paid statements only).
+ * @param {string} statementId
+ * @param {string} [partnerId]
+ */
+const getStatement = async (statementId, partnerId = null) => {
+    const statement = await findStatement(statementId, partnerId);
+    const entries = await PayoutLedgerEntry.find({ statement: statement._id }).sort({ createdAt: 1 }).lean();
+    return { statement: statement.toObject(), entries };
+};
+
+const buildStatementFilter = ({ partner, status, financialYear, from, to } = {}) => {
+    const filter = {};
+    if (partner) filter.partner = partner;
+    if (status) filter.status = status;
+    if (financialYear) filter.financialYear = financialYear;
+    if (from || to) {
+        filter.periodEnd = {};
+        if (from) filter.periodEnd.$gte = new Date(from);
+        if (to) filter.periodEnd.$lte = new Date(to);
+    }
+    return filter;
+};
+
+/**
+ * Statements, newest period first (?partner&status&financialYear&from&to&page&limit).
+ * @param {Object} [query]
+ * @param {Object} [options]
+ * @param {boolean} [options.publishedOnly=false] - Leave drafts out (partner view)
+ */
+const listStatements = async (query = {}, { publishedOnly = false } = {}) => {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+    const filter = buildStatementFilter(query);
+    if (publishedOnly && !PUBLISHED_STATUSES.includes(filter.status)) {
+        filter.status = { $in: query.status ? [] : PUBLISHED_STATUSES };
+    }
+
+    const [statements, total] = await Promise.all([
+        SettlementStatement.find(filter)
+            .sort({ periodEnd: -1, sequence: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        SettlementStatement.countDocuments(filter)
+    ]);
+
+    return {
+        statements,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+};
+
+/**
+ * Throw away a draft; its entries go back to unsettled.
+ * @param {string} statementId
+ */
+const discardStatement = async (statementId) => {
+    const statement = await findStatement(statementId);
+    requireStatus(statement, 'draft', 'discarded');
+
+    await PayoutLedgerEntry.updateMany({ statement: statement._id }, { $set: { statement: null } });
+    await SettlementStatement.deleteOne({ _id: statement._id, status: 'draft' });
+    return statement;
+};
+
+/**
+ * Lock a draft for payment.
+ * @param {string} statementId
+ * @param {string} userId
+ * @param {Object} [options] - { notes }
+ */
+const finalizeStatement = async (statementId, userId, { notes } = {}) => {
+    const statement = await findStatement(statementId);
+    requireStatus(statement, 'draft', 'finalized');
+
+    statement.status = 'finalized';
+    statement.finalizedAt = new Date();
+    statement.finalizedBy = userId;
+    if (notes) statement.notes = notes;
+    return statement.save();
+};
+
+/**
+ * Record the bank transfer for a finalised statement.
+ * @param {string} statementId
+ * @param {string} userId
+ * @param {Object} payment - { paymentReference, paidAt, notes }
+ */
+const markStatementPaid = async (statementId, userId, { paymentReference, paidAt, notes } = {}) => {
+    if (!paymentReference || !String(paymentReference).trim()) {
+        throw payoutError('PAYMENT_REFERENCE_REQUIRED', 'paymentReference (bank UTR or transfer id) is required');
+    }
+
+    const statement = await findStatement(statementId);
+    requireStatus(statement, 'finalized', 'marked as paid');
+
+    const paidOn = paidAt ? new Date(paidAt) : new Date();
+    if (Number.isNaN(paidOn.getTime())) {
+        throw payoutError('INVALID_PERIOD', 'paidAt must be a valid date');
+    }
+
+    statement.status = 'paid';
+    statement.paidAt = paidOn;
+    statement.paidBy = userId;
+    statement.paymentReference = String(paymentReference).trim();
+    if (notes) statement.notes = notes;
+    return statement.save();
+};
+
+// ---------- Exports ----------
+
+const TYPE_LABELS = { accrual: 'Accrual', reversal: 'Reversal', adjustment: 'Adjustment' };
+
+/**
+ * Ledger rows for the finance export, same filters as listLedger.
+ * @param {Object} query
+ * @returns {Promise<Object[]>}
+ */
+const buildLedgerExport = async (query) => {
+    const entries = await PayoutLedgerEntry.find(buildLedgerFilter(query))
+        .populate('partner', 'name partnerId')
+        .populate('statement', 'statementNumber')
+        .sort({ createdAt: 1 })
+        .lean();
+
+    return entries.map(entry => ({
+        'Date': formatDate(entry.createdAt),
+        'Partner ID': entry.partner?.partnerId || '',
+        'Partner': entry.partner?.name || '',
+        'Partner GSTIN': entry.gstNumber || '',
+        'Type': TYPE_LABELS[entry.type],
+        'Order No': entry.orderNumber || '',
+        'Reference': entry.reference,
+        'Gross Amount': entry.amounts.grossAmount,
+        'Taxable Value': entry.amounts.taxableValue,
+        'Commission': entry.amounts.commission,
+        'GST on Commission': entry.amounts.commissionGst,
+        'TDS (194-O)': entry.amounts.tds,
+        'GST TCS': entry.amounts.gstTcs,
+        'Net Payable': entry.amounts.netPayable,
+        'Statement No': entry.statement?.statementNumber || '',
+        'Notes': entry.notes || '',
+    }));
+};
+
+/**
+ * Statement register rows for the finance export, same filters as listStatements.
+ * @param {Object} query
+ * @returns {Promise<Object[]>}
+ */
+const buildStatementExport = async (query) => {
+    const statements = await SettlementStatement.find(buildStatementFilter(query))
+        .sort({ financialYear: 1, sequence: 1 })
+        .lean();
+
+    return statements.map(statement => ({
+        'Statement No': statement.statementNumber,
+        'Financial Year': statement.financialYear,
+        'Partner ID': statement.partnerDetails?.partnerId || '',
+        'Partner': statement.partnerDetails?.name || '',
+        'Business Name': statement.partnerDetails?.businessName || '',
+        'Partner GSTIN': statement.partnerDetails?.gstNumber || '',
+        'Period From': formatDate(statement.periodStart),
+        'Period To': formatDate(statement.periodEnd),
+        'Entries': statement.entryCount,
+        'Gross Amount': statement.totals.grossAmount,
+        'Taxable Value': statement.totals.taxableValue,
+        'Commission': statement.totals.commission,
+        'GST on Commission': statement.totals.commissionGst,
+        'TDS (194-O)': statement.totals.tds,
+        'GST TCS': statement.totals.gstTcs,
+        'Reversals': statement.totals.reversals,
+        'Adjustments': statement.totals.adjustments,
+        'Net Payable': statement.totals.netPayable,
+        'Status': statement.status,
+        'Paid On': statement.paidAt ? formatDate(statement.paidAt) : '',
+        'Payment Reference': statement.paymentReference || '',
+    }));
+};
+
+// ---------- Events and jobs ----------
+
+/**
+ * ORDER_DELIVERED: accrue the partner's share of an allotted order.
+ */
+const handleOrderDelivered = async (data) => {
+    await accrueOrder(data.orderId);
+};
+
+/**
+ * ORDER_REFUNDED: reverse the share of the refunded lines (returns after delivery).
+ */
+const handleOrderRefunded = async (data) => {
+    if (!data.refundEntryId) return;
+    await reverseRefund(data.orderId, data.refundEntryId);
+};
+
+/**
+ * Job handler: a statement per partner for everything unsettled up to the end of
+ * yesterday (IST).
+ * @returns {Promise<{results: Object[]}>}
+ */
+const generateDueStatements = async () => {
+    const istToday = Math.floor((Date.now() + IST_OFFSET_MS) / DAY_MS) * DAY_MS;
+    const periodEnd = new Date(istToday - IST_OFFSET_MS - 1);
+
+    const partnerIds = await PayoutLedgerEntry.distinct('partner', { statement: null, createdAt: { $lte: periodEnd } });
+    const results = [];
+    for (const partnerId of partnerIds) {
+        try {
+            const statement = await generateStatement(partnerId, { periodEnd });
+            results.push({
+                entityType: 'SettlementStatement',
+                entityId: statement._id,
+                reference: statement.statementNumber,
+                action: 'generate',
+                success: true
+            });
+        } catch (error) {
+            if (error.code === 'NO_UNSETTLED_ENTRIES') continue;
+            results.push({ entityType: 'Partner', entityId: partnerId, action: 'generate', success: false, error: error.message });
+        }
+    }
+
+    return { results };
+};
+
+/**
+ * Register the weekly settlement job with the scheduler.
+ * @param {Object} scheduler - jobScheduler
+ */
+const registerJobs = (scheduler) => {
+    scheduler.register({
+        name: SETTLEMENT_JOB,
+        description: 'Generate weekly partner settlement statements from unsettled payouts',
+        schedule: '0 3 * * 1',
+        handler: generateDueStatements
+    });
+};
+
+let initialized = false;
+
+/**
+ * Subscribe accruals and reversals to order events. Safe to call more than once.
+ */
+const init = () => {
+    if (initialized) return;
+    initialized = true;
+
+    const subscribe = (event, handler) => {
+        eventBus.on(event, (envelope) => {
+            handler(envelope.data).catch(error => {
+                logger.error(`Partner payout for ${event} failed:`, error.message);
+            });
+        });
+    };
+
+    subscribe(EVENTS.ORDER_DELIVERED, handleOrderDelivered);
+    subscribe(EVENTS.ORDER_REFUNDED, handleOrderRefunded);
+};
+
+module.exports = {
+    SETTLEMENT_JOB,
+    PAYOUT_ERROR_STATUS,
+    init,
+    registerJobs,
+    resolveCommissionRule,
+    listCommissionRules,
+    createCommissionRule,
+    updateCommissionRule,
+    deleteCommissionRule,
+    accrueOrder,
+    reverseRefund,
+    addAdjustment,
+    listLedger,
+    getPartnerBalance,
+    generateStatement,
+    generateDueStatements,
+    getStatement,
+    listStatements,
+    discardStatement,
+    finalizeStatement,
+    markStatementPaid,
+    buildLedgerExport,
+    buildStatementExport
+};
@@ -0,0 +1,415 @@
+// Points Service - earning engine for the loyalty points programme.
+// Awards points from real events (delivered orders, reviews, signups, invite
+// redemptions) using PointsSystemConfig, claws purchase points back when orders are
+// refunded or cancelled, and expires point lots `expirationDays` after they were earned.
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Points = require('../models/Points');
+const PointsSystemConfig = require('../models/PointsSystemConfig');
+const { eventBus, EVENTS } = require('./eventBus');
+const logger = require('../utils/logger');
+
+const EXPIRE_JOB = 'expire-loyalty-points';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const MAX_SAVE_ATTEMPTS = 5;
+
+// Points documents are read, changed and saved whole; changes for one user run one at a time
+const userQueues = new Map();
+
+/**
+ * Run `fn` on the user's Points document. Changes for one user are queued within this
+ * process; a change saved by another process in between makes the save fail the
+ * version check, and `fn` is run again on a fresh copy. `fn` must only change the
+ * document it is given and save it.
+ * @param {string|ObjectId} userId
+ * @param {Function} fn - async (points) => result
+ * @returns {Promise<*>} What `fn` returned
+ */
+const withUserPoints = (userId, fn) => {
+    const key = userId.toString();
+    const attempt = async (attemptNumber) => {
+        try {
+            return await fn(await Points.getOrCreateUserPoints(userId));
+        } catch (error) {
+            if (!(error instanceof mongoose.Error.VersionError) || attemptNumber >= MAX_SAVE_ATTEMPTS) throw error;
+            return attempt(attemptNumber + 1);
+        }
+    };
+    const run = (userQueues.get(key) || Promise.resolve())
+        .catch(() => {})
+        .then(() => attempt(1));
+
+    userQueues.set(key, run);
+    run.finally(() => {
+        if (userQueues.get(key) === run) userQueues.delete(key);
+    }).catch(() => {});
+    return run;
+};
+
+const hasTransaction = (points, reference) => points.transactions.some(transaction => transaction.reference === reference);
+
+const expiryDate = (config, from = new Date()) => (
+    config.expirationDays > 0 ? new Date(from.getTime() + config.expirationDays * DAY_MS) : null
+);
+
+/**
+ * Credit points once per reference.
+ * @param {string} userId
+ * @param {Object} award
+ * @param {number} award.amount
+ * @param {string} award.generationBasis - Points transaction generationBasis
+ * @param {string} award.reference - Idempotency key, e.g. "order:<id>:purchase"
+ * @param {string} award.description
+ * @returns {Promise<number>} Points credited (0 if disabled, zero or already credited)
+ */
+const awardPoints = async (userId, { amount, generationBasis, reference, description }) => {
+    const config = await PointsSystemConfig.getConfig();
+    const points = Math.floor(amount);
+    if (!config.isEnabled || !userId || points <= 0) return 0;
+
+    return withUserPoints(userId, async (record) => {
+        if (hasTransaction(record, reference)) return 0;
+        await record.addPoints(points, description, generationBasis, { reference, expiresAt: expiryDate(config) });
+        logger.info(`⭐ ${points} points (${generationBasis}) credited to user ${userId}`);
+        return points;
+    });
+};
+
+/**
+ * Take back points credited under `reference`, up to what is still unreversed and
+ * what the customer still holds. Points left in the credited lot go first.
+ * @param {string} userId
+ * @param {Object} reversal
+ * @param {string} reversal.reference - Reference of the original credit
+ * @param {string} reversal.reversalReference - Idempotency key for this reversal
+ * @param {number} [reversal.amount] - Defaults to everything not yet reversed
+ * @param {string} reversal.description
+ * @returns {Promise<number>} Points reversed
+ */
+const reversePoints = async (userId, { reference, reversalReference, amount, description }) => withUserPoints(userId, async (record) => {
+    if (!hasTransaction(record, reference) || hasTransaction(record, reversalReference)) return 0;
+
+    const credited = record.transactions
+        .filter(transaction => transaction.reference === reference && transaction.type === 'credit')
+        .reduce((sum, transaction) => sum + transaction.amount, 0);
+    const alreadyReversed = record.transactions
+        .filter(transaction => transaction.generationBasis === 'reversal' && transaction.reference?.startsWith(`${reference}:reversal`))
+        .reduce((sum, transaction) => sum + transaction.amount, 0);
+
+    const wanted = Math.floor(amount ?? credited - alreadyReversed);
+    const points = Math.max(0, Math.min(wanted, credited - alreadyReversed, record.balance));
+    if (points <= 0) return 0;
+
+    let fromLot = points;
+    for (const lot of record.lots.filter(entry => entry.reference === reference)) {
+        const taken = Math.min(lot.remaining, fromLot);
+        lot.remaining -= taken;
+        fromLot -= taken;
+    }
+
+    record.totalPointsReversed += points;
+    record.balance -= points;
+    record.transactions.push({
+        type: 'debit',
+        amount: points,
+        description,
+        generationBasis: 'reversal',
+        reference: reversalReference
+    });
+    await record.save();
+
+    logger.info(`⭐ ${points} points reversed for user ${userId} (${reference})`);
+    return points;
+});
+
+const purchaseReference = (orderId) => `order:${orderId}:purchase`;
+const firstPurchaseReference = (orderId) => `order:${orderId}:first_purchase`;
+
+/**
+ * ORDER_DELIVERED: purchase points on the amount kept (net of refunds), plus the
+ * first-purchase bonus on the customer's first delivered order.
+ */
+const handleOrderDelivered = async (data) => {
+    const order = await Order.findById(data.orderId)
+        .select('user total_price refunded_amount payment_status orderMetadata.orderNumber')
+        .lean();
+    if (!order || order.payment_status !== 'Paid') return;
+
+    const config = await PointsSystemConfig.getConfig();
+    const userId = order.user.toString();
+    const orderLabel = order.orderMetadata?.orderNumber || order._id.toString();
+    const netAmount = Math.max(0, (order.total_price || 0) - (order.refunded_amount || 0));
+
+    await awardPoints(userId, {
+        amount: netAmount * config.pointsPerRupee,
+        generationBasis: 'purchase',
+        reference: purchaseReference(order._id),
+        description: `Points for order ${orderLabel}`
+    });
+
+    const earlierBonus = await Points.exists({ userId, 'transactions.generationBasis': 'first_purchase' });
+    if (!earlierBonus && netAmount > 0) {
+        await awardPoints(userId, {
+            amount: config.pointsForActions.firstPurchase,
+            generationBasis: 'first_purchase',
+            reference: firstPurchaseReference(order._id),
+            description: `First purchase bonus for order ${orderLabel}`
+        });
+    }
+};
+
+/**
+ * ORDER_REFUNDED: take back the points earned on the refunded amount. Refunds before
+ * delivery need nothing - delivery awards points on the net amount. A full refund
+ * also takes back the first-purchase bonus.
+ */
+const handleOrderRefunded = async (data) => {
+    if (!data.userId) return;
+    const config = await PointsSystemConfig.getConfig();
+    const reference = purchaseReference(data.orderId);
+
+    await reversePoints(data.userId, {
+        reference,
+        reversalReference: `${reference}:reversal:${data.refundEntryId || data.refundId}`,
+        amount: (data.refundAmount || 0) * config.pointsPerRupee,
+        description: `Points reversed for refund on order ${data.orderNumber || data.orderId}`
+    });
+
+    if (data.refundedTotal >= data.totalAmount) {
+        const bonusReference = firstPurchaseReference(data.orderId);
+        await reversePoints(data.userId, {
+            reference: bonusReference,
+            reversalReference: `${bonusReference}:reversal`,
+            description: `First purchase bonus reversed for order ${data.orderNumber || data.orderId}`
+        });
+    }
+};
+
+/**
+ * ORDER_CANCELLED: take back everything earned on the order.
+ */
+const handleOrderCancelled = async (data) => {
+    if (!data.userId) return;
+    const label = data.orderNumber || data.orderId;
+
+    for (const reference of [purchaseReference(data.orderId), firstPurchaseReference(data.orderId)]) {
+        await reversePoints(data.userId, {
+            reference,
+            reversalReference: `${reference}:reversal:cancelled`,
+            description: `Points reversed for cancelled order ${label}`
+        });
+    }
+};
+
+const handleSignup = async (data) => {
+    const config = await PointsSystemConfig.getConfig();
+    await awardPoints(data.userId, {
+        amount: config.pointsForActions.signup,
+        generationBasis: 'signup',
+        reference: 'signup',
+        description: 'Welcome points for signing up'
+    });
+};
+
+// One award per reviewed item
+const handleReviewSubmitted = async (data) => {
+    const config = await PointsSystemConfig.getConfig();
+    await awardPoints(data.userId, {
+        amount: config.pointsForActions.review,
+        generationBasis: 'review',
+        reference: `review:${data.itemId}`,
+        description: `Points for reviewing ${data.itemName || 'a product'}`
+    });
+};
+
+/**
+ * INVITE_REDEEMED: referral points for the friend who redeemed the code and, for codes
+ * shared by a customer (not created by an admin), for the customer who invited them.
+ * A customer earns joining points once, whatever codes they redeem, and an inviter
+ * earns once per friend.
+ */
+const handleInviteRedeemed = async (data) => {
+    const config = await PointsSystemConfig.getConfig();
+
+    await awardPoints(data.userId, {
+        amount: config.pointsForActions.referral,
+        generationBasis: 'referral',
+        reference: 'referral:joined',
+        description: `Referral points for joining with invite code ${data.code}`
+    });
+
+    if (data.invitedBy && data.invitedBy !== data.userId) {
+        const inviter = await User.findById(data.invitedBy).select('isAdmin').lean();
+        if (inviter && !inviter.isAdmin) {
+            await awardPoints(data.invitedBy, {
+                amount: config.pointsForActions.referral,
+                generationBasis: 'referral',
+                reference: `referral:invited:${data.userId}`,
+                description: `Referral points - a friend redeemed your invite code ${data.code}`
+            });
+        }
+    }
+};
+
+/**
+ * Job handler: expire every lot past its expiry date.
+ * @returns {Promise<{results: Object[]}>}
+ */
+const expirePoints = async () => {
+    const now = new Date();
+    const due = await Points.find({ isActive: true, lots: { $elemMatch: { remaining: { $gt: 0 }, expiresAt: { $ne: null, $lte: now } } } })
+        .select('userId')
+        .lean();
+
+    const results = [];
+    for (const { userId } of due) {
+        try {
+            const expired = await withUserPoints(userId, async (record) => {
+                let total = 0;
+                for (const lot of record.lots) {
+                    if (lot.remaining > 0 && lot.expiresAt && lot.expiresAt <= now) {
+                        total += lot.remaining;
+                        lot.remaining = 0;
+                    }
+                }
+                if (total === 0) return 0;
+
+                record.totalPointsExpired += total;
+                record.balance -= total;
+                record.transactions.push({
+                    type: 'debit',
+                    amount: total,
+                    description: `${total} points expired`,
+                    generationBasis: 'expiry',
+                    reference: `expiry:${now.toISOString()}`
+                });
+                await record.save();
+                return total;
+            });
+
+            if (expired > 0) {
+                results.push({ entityType: 'Points', entityId: userId, reference: `${expired} points`, action: 'expire', success: true });
+            }
+        } catch (error) {
+            results.push({ entityType: 'Points', entityId: userId, action: 'expire', success: false, error: error.message });
+        }
+    }
+
+    return { results };
+};
+
+/**
+ * Customer points statement: balance, lifetime totals, points expiring in the next
+ * `days` days (grouped by date) and a page of transactions.
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {number} [options.days=90]
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ */
+const getStatement = async (userId, { days = 90, page = 1, limit = 20 } = {}) => {
+    const [record, config] = await Promise.all([
+        Points.getOrCreateUserPoints(userId),
+        PointsSystemConfig.getConfig()
+    ]);
+
+    const now = new Date();
+    const horizon = new Date(now.getTime() + days * DAY_MS);
+    const expiring = new Map();
+    for (const lot of record.lots) {
+        if (lot.remaining <= 0 || !lot.expiresAt || lot.expiresAt <= now || lot.expiresAt > horizon) continue;
+        // Calendar day in IST
+        const day = new Date(lot.expiresAt.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+        expiring.set(day, (expiring.get(day) || 0) + lot.remaining);
+    }
+    const upcomingExpirations = [...expiring.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, points]) => ({ date, points }));
+
+    const transactions = [...record.transactions].sort((a, b) => b.date - a.date);
+    const start = (page - 1) * limit;
+
+    return {
+        balance: record.balance,
+        totals: {
+            earned: record.totalPointsAlloted,
+            redeemed: record.totalPointsRedeemed,
+            expired: record.totalPointsExpired,
+            reversed: record.totalPointsReversed
+        },
+        expirationDays: config.expirationDays,
+        upcomingExpirations,
+        expiringWithinWindow: upcomingExpirations.reduce((sum, entry) => sum + entry.points, 0),
+        nextExpiry: upcomingExpirations[0] || null,
+        transactions: transactions.slice(start, start + limit).map(transaction => ({
+            _id: transaction._id,
+            type: transaction.type,
+            amount: transaction.amount,
+            description: transaction.description,
+            generationBasis: transaction.generationBasis,
+            date: transaction.date,
+            expiresAt: transaction.expiresAt
+        })),
+        pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(transactions.length / limit),
+            totalTransactions: transactions.length,
+            hasNext: start + limit < transactions.length,
+            hasPrev: page > 1
+        }
+    };
+};
+
+/**
+ * Register the expiry job with the scheduler.
+ * @param {Object} scheduler - jobScheduler
+ */
+const registerJobs = (scheduler) => {
+    scheduler.register({
+        name: EXPIRE_JOB,
+        description: 'Expire loyalty points past their expiry date',
+        schedule: '30 0 * * *',
+        handler: expirePoints
+    });
+};
+
+let initialized = false;
+
+/**
+ * Subscribe the earning rules to business events. Safe to call more than once.
+ */
+const init = () => {
+    if (initialized) return;
+    initialized = true;
+
+    const subscribe = (event, handler) => {
+        eventBus.on(event, (envelope) => {
+            handler(envelope.data).catch(error => {
+                logger.error(`Points rule for ${event} failed:`, error.message);
+            });
+        });
+    };
+
+    subscribe(EVENTS.ORDER_DELIVERED, handleOrderDelivered);
+    subscribe(EVENTS.ORDER_REFUNDED, handleOrderRefunded);
+    subscribe(EVENTS.ORDER_CANCELLED, handleOrderCancelled);
+    subscribe(EVENTS.USER_SIGNUP, handleSignup);
+    subscribe(EVENTS.REVIEW_SUBMITTED, handleReviewSubmitted);
+    subscribe(EVENTS.INVITE_REDEEMED, handleInviteRedeemed);
+};
+
+module.exports = {
+    EXPIRE_JOB,
+    init,
+    registerJobs,
+    awardPoints,
+    reversePoints,
+    expirePoints,
+    getStatement,
+    expiryDate,
+    withUserPoints
+};
@@ -0,0 +1,450 @@
+// Product Facet Service - faceted browsing of live products.
+// One query takes the shopper's selections (categories, subcategories, filter values from
+// Item.filters and sizes.filters, sizes, a price range and an in-stock flag) and returns
+// a page of matching products plus a count for every option of every facet. Counts are
+// disjunctive: each facet is counted with every selection applied except its own, so
+// picking "Red" still shows how many products "Blue" would add, and options with a zero
+// count can be disabled. Everything runs as one MongoDB aggregation ($facet).
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const Category = require('../models/Category');
+const SubCategory = require('../models/SubCategory');
+const Filter = require('../models/Filter');
+
+// Statuses shown in the storefront
+const VISIBLE_STATUSES = ['live'];
+
+// Sizes come from sizes.size rather than a filter value
+const SIZE_KEY = 'size';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const SORTS = {
+    newest: { createdAt: -1, _id: -1 },
+    price_asc: { price: 1, _id: 1 },
+    price_desc: { price: -1, _id: 1 },
+    popularity: { totalReviews: -1, averageRating: -1, _id: 1 },
+    rating: { averageRating: -1, totalReviews: -1, _id: 1 },
+    alphabetical: { productName: 1, _id: 1 },
+    featured: { displayOrder: 1, createdAt: -1, _id: 1 }
+};
+
+const FACET_ERROR_STATUS = {
+    INVALID_FILTERS: 400,
+    INVALID_ID: 400,
+    INVALID_PRICE: 400,
+    INVALID_SORT: 400
+};
+
+const facetError = (code, message, details) => {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+};
+
+// "a,b" or ["a", "b"] → ['a', 'b']
+const toList = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return [...new Set(list.map(entry => (typeof entry === 'object' && entry ? entry.name : entry))
+        .map(entry => String(entry ?? '').trim())
+        .filter(Boolean))];
+};
+
+const toObjectIds = (value, field) => toList(value).map((id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw facetError('INVALID_ID', `Invalid ${field} id: ${id}`, { field, value: id });
+    }
+    return new mongoose.Types.ObjectId(id);
+});
+
+const toPrice = (value, field) => {
+    if (value === undefined || value === null || value === '') return null;
+    const price = Number(value);
+    if (!Number.isFinite(price) || price < 0) {
+        throw facetError('INVALID_PRICE', `${field} must be a non-negative number`, { field, value });
+    }
+    return price;
+};
+
+/**
+ * Filter selections as { key: [values] }, from a JSON string ({"color":["Red"]}, as
+ * getFilteredItems takes them) or a query object (filters[color]=Red,Blue).
+ * @param {string|Object} filters
+ * @returns {Object<string, string[]>}
+ */
+const parseFilterSelections = (filters) => {
+    if (!filters) return {};
+    let parsed = filters;
+    if (typeof filters === 'string') {
+        try {
+            parsed = JSON.parse(filters);
+        } catch (error) {
+            throw facetError('INVALID_FILTERS', 'filters must be a JSON object of filter keys to values');
+        }
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw facetError('INVALID_FILTERS', 'filters must be an object of filter keys to values');
+    }
+
+    const selections = {};
+    for (const [key, values] of Object.entries(parsed)) {
+        const list = toList(values);
+        if (list.length > 0) selections[key.trim().toLowerCase()] = list;
+    }
+    return selections;
+};
+
+/**
+ * Normalise the request into selections.
+ * @param {Object} params - category, subcategory, filters, size, priceMin, priceMax,
+ *   inStock, sort, page, limit
+ * @returns {Object}
+ */
+const parseSelections = (params = {}) => {
+    const filters = parseFilterSelections(params.filters);
+    const sizes = [...new Set([...(filters[SIZE_KEY] || []), ...toList(params.size || params.sizes)])];
+    delete filters[SIZE_KEY];
+
+    const priceMin = toPrice(params.priceMin, 'priceMin');
+    const priceMax = toPrice(params.priceMax, 'priceMax');
+    if (priceMin !== null && priceMax !== null && priceMin > priceMax) {
+        throw facetError('INVALID_PRICE', 'priceMin cannot be more than priceMax', { priceMin, priceMax });
+    }
+
+    const sort = params.sort || 'newest';
+    if (!SORTS[sort]) {
+        throw facetError('INVALID_SORT', `Unknown sort: ${sort}`, { allowed: Object.keys(SORTS) });
+    }
+
+    return {
+        categories: toObjectIds(params.category || params.categories, 'category'),
+        subCategories: toObjectIds(params.subcategory || params.subCategory || params.subcategories, 'subcategory'),
+        filters,
+        sizes,
+        priceMin,
+        priceMax,
+        inStock: params.inStock === true || params.inStock === 'true' || params.inStock === '1',
+        sort,
+        page: Math.max(parseInt(params.page, 10) || 1, 1),
+        limit: Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+    };
+};
+
+// Filter pairs of an item, product- and size-level, keys lower-cased. Codes are left out
+// so a value tagged with and without one still counts once per item.
+const pairsOf = (input) => ({
+    $map: {
+        input: { $ifNull: [input, []] },
+        as: 'filter',
+        in: { key: { $toLower: '$$filter.key' }, value: '$$filter.value' }
+    }
+});
+
+// Fields computed once per item: the price a shopper pays (lowest across sizes, sale
+// price when it is lower) and every filter value it carries
+const DERIVED_FIELDS = {
+    $addFields: {
+        price: {
+            $min: {
+                $map: {
+                    input: {
+                        $filter: {
+                            input: { $ifNull: ['$sizes', []] },
+                            as: 'size',
+                            cond: { $gt: [{ $max: ['$$size.regularPrice', '$$size.salePrice'] }, 0] }
+                        }
+                    },
+                    as: 'size',
+                    in: {
+                        $cond: [
+                            { $and: [{ $gt: ['$$size.salePrice', 0] }, { $or: [{ $lte: ['$$size.regularPrice', 0] }, { $lt: ['$$size.salePrice', '$$size.regularPrice'] }] }] },
+                            '$$size.salePrice',
+                            '$$size.regularPrice'
+                        ]
+                    }
+                }
+            }
+        },
+        facetPairs: {
+            $setUnion: [
+                pairsOf('$filters'),
+                {
+                    $reduce: {
+                        input: { $ifNull: ['$sizes', []] },
+                        initialValue: [],
+                        in: { $concatArrays: ['$$value', pairsOf('$$this.filters')] }
+                    }
+                }
+            ]
+        },
+        inStock: { $anyElementTrue: [{ $map: { input: { $ifNull: ['$sizes', []] }, as: 'size', in: { $gt: ['$$size.stock', 0] } } }] }
+    }
+};
+
+/**
+ * One $match clause per facet, so each facet's counts can leave its own clause out.
+ * @returns {Object<string, Object>} facet name → clause
+ */
+const buildClauses = (selections) => {
+    const clauses = {};
+    if (selections.categories.length > 0) clauses.category = { categoryId: { $in: selections.categories } };
+    if (selections.subCategories.length > 0) clauses.subCategory = { subCategoryId: { $in: selections.subCategories } };
+    for (const [key, values] of Object.entries(selections.filters)) {
+        clauses[`filter:${key}`] = { facetPairs: { $elemMatch: { key, value: { $in: values } } } };
+    }
+    if (selections.sizes.length > 0) {
+        // With "in stock only", the size itself must be in stock
+        clauses.size = {
+            sizes: { $elemMatch: { size: { $in: selections.sizes }, ...(selections.inStock ? { stock: { $gt: 0 } } : {}) } }
+        };
+    }
+    if (selections.priceMin !== null || selections.priceMax !== null) {
+        clauses.price = {
+            price: {
+                ...(selections.priceMin !== null ? { $gte: selections.priceMin } : {}),
+                ...(selections.priceMax !== null ? { $lte: selections.priceMax } : {})
+            }
+        };
+    }
+    if (selections.inStock) clauses.inStock = { inStock: true };
+    return clauses;
+};
+
+const matchExcept = (clauses, ...excluded) => {
+    const applied = Object.entries(clauses)
+        .filter(([name]) => !excluded.includes(name))
+        .map(([, clause]) => clause);
+    return { $match: applied.length > 0 ? { $and: applied } : {} };
+};
+
+const countBy = (field) => [
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $match: { _id: { $ne: null } } }
+];
+
+// Filter value counts, for one key or (without a key) for every key
+const filterCounts = (key) => [
+    { $project: { facetPairs: 1 } },
+    { $unwind: '$facetPairs' },
+    ...(key ? [{ $match: { 'facetPairs.key': key } }] : []),
+    { $group: { _id: { key: '$facetPairs.key', value: '$facetPairs.value' }, count: { $sum: 1 } } }
+];
+
+// Size counts: each size at most once per item, only sizes in stock when that is asked for
+const sizeCounts = (inStock) => [
+    {
+        $project: {
+            sizeNames: {
+                $setUnion: [{
+                    $map: {
+                        input: {
+                            $filter: {
+                                input: { $ifNull: ['$sizes', []] },
+                                as: 'size',
+                                cond: inStock ? { $gt: ['$$size.stock', 0] } : true
+                            }
+                        },
+                        as: 'size',
+                        in: '$$size.size'
+                    }
+                }]
+            }
+        }
+    },
+    { $unwind: '$sizeNames' },
+    ...countBy('$sizeNames')
+];
+
+const ITEM_PROJECTION = {
+    itemId: 1,
+    productName: 1,
+    title: 1,
+    description: 1,
+    images: 1,
+    sizes: 1,
+    categoryId: 1,
+    subCategoryId: 1,
+    averageRating: 1,
+    totalReviews: 1,
+    price: 1,
+    inStock: 1,
+    createdAt: 1,
+    updatedAt: 1
+};
+
+const byPriority = (a, b) => (a.priority || 0) - (b.priority || 0);
+
+/**
+ * A page of live products matching the selections, with disjunctive facet counts.
+ * @param {Object} params - Request query (see parseSelections)
+ * @returns {Promise<Object>} { items, pagination, facets, appliedFilters }
+ */
+const getFacetedItems = async (params) => {
+    const selections = parseSelections(params);
+    const clauses = buildClauses(selections);
+    const selectedKeys = Object.keys(selections.filters);
+
+    const branches = {
+        items: [
+            matchExcept(clauses),
+            { $sort: SORTS[selections.sort] },
+            { $skip: (selections.page - 1) * selections.limit },
+            { $limit: selections.limit },
+            { $project: ITEM_PROJECTION }
+        ],
+        total: [matchExcept(clauses), { $count: 'count' }],
+        categories: [matchExcept(clauses, 'category', 'subCategory'), ...countBy('$categoryId')],
+        subCategories: [matchExcept(clauses, 'subCategory'), ...countBy('$subCategoryId')],
+        // Keys nothing is selected in are all counted against the full selection
+        filters: [matchExcept(clauses), ...filterCounts()],
+        sizes: [matchExcept(clauses, 'size'), ...sizeCounts(selections.inStock)],
+        price: [
+            matchExcept(clauses, 'price'),
+            { $match: { price: { $ne: null } } },
+            { $group: { _id: null, min: { $min: '$price' }, max: { $max: '$price' } } }
+        ],
+        availability: [
+            matchExcept(clauses, 'inStock'),
+            { $group: { _id: null, total: { $sum: 1 }, inStock: { $sum: { $cond: ['$inStock', 1, 0] } } } }
+        ]
+    };
+    selectedKeys.forEach((key, position) => {
+        branches[`filter${position}`] = [matchExcept(clauses, `filter:${key}`), ...filterCounts(key)];
+    });
+
+    const [[result], categories, subCategories, filterDefinitions] = await Promise.all([
+        Item.aggregate([
+            { $match: { status: { $in: VISIBLE_STATUSES }, isDeleted: { $ne: true } } },
+            DERIVED_FIELDS,
+            { $facet: branches }
+        ]),
+        Category.find().select('name displayOrder').lean(),
+        SubCategory.find().select('name categoryId displayOrder').lean(),
+        Filter.find().sort({ priority: 1 }).lean()
+    ]);
+
+    const total = result.total[0]?.count || 0;
+    const categoryNames = new Map(categories.map(category => [String(category._id), category.name]));
+    const subCategoryNames = new Map(subCategories.map(subCategory => [String(subCategory._id), subCategory]));
+    const isSelected = (list, id) => list.some(selected => String(selected) === String(id));
+
+    // Filter counts: selected keys from their own branch, the rest from the shared one
+    const valueCounts = new Map(); // key → Map(value → { count, code })
+    const addCounts = (rows, onlyUnselected) => {
+        for (const row of rows) {
+            if (onlyUnselected && selectedKeys.includes(row._id.key)) continue;
+            if (!valueCounts.has(row._id.key)) valueCounts.set(row._id.key, new Map());
+            valueCounts.get(row._id.key).set(row._id.value, row.count);
+        }
+    };
+    addCounts(result.filters, true);
+    selectedKeys.forEach((key, position) => addCounts(result[`filter${position}`], false));
+
+    // Every defined value is listed (zero counts included, in priority order), then values
+    // products carry that the filter definitions do not
+    const definedKeys = new Map(filterDefinitions.map(filter => [filter.key, filter]));
+    const facetKeys = [...new Set([...definedKeys.keys(), ...valueCounts.keys(), ...selectedKeys])]
+        .filter(key => key !== SIZE_KEY);
+    const attributes = facetKeys.map((key) => {
+        const definition = definedKeys.get(key);
+        const counts = valueCounts.get(key) || new Map();
+        const selected = selections.filters[key] || [];
+        const definedValues = [...(definition?.values || [])].sort(byPriority);
+        const definedNames = new Set(definedValues.map(value => value.name));
+        const values = [
+            ...definedValues.map(value => ({
+                name: value.name,
+                code: value.code || null,
+                count: counts.get(value.name) || 0
+            })),
+            ...[...counts.entries()]
+                .filter(([name]) => !definedNames.has(name))
+                .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+                .map(([name, count]) => ({ name, code: null, count }))
+        ];
+        return {
+            key,
+            priority: definition?.priority ?? null,
+            values: values.map(value => ({ ...value, selected: selected.includes(value.name) }))
+        };
+    })
+        .filter(attribute => attribute.values.some(value => value.count > 0 || value.selected))
+        .sort((a, b) => (a.priority ?? Infinity) - (b.priority ?? Infinity) || a.key.localeCompare(b.key));
+
+    // Sizes in the order of the "size" filter definition, when there is one
+    const sizeOrder = [...(definedKeys.get(SIZE_KEY)?.values || [])].sort(byPriority).map(value => value.name);
+    const sizeCountsByName = new Map(result.sizes.map(row => [row._id, row.count]));
+    const sizeNames = [...new Set([...sizeOrder, ...sizeCountsByName.keys(), ...selections.sizes])];
+    const sizeRank = (name) => (sizeOrder.includes(name) ? sizeOrder.indexOf(name) : sizeOrder.length);
+
+    return {
+        items: result.items.map(item => ({
+            ...item,
+            category: item.categoryId ? { _id: item.categoryId, name: categoryNames.get(String(item.categoryId)) || null } : null,
+            subcategory: item.subCategoryId ? { _id: item.subCategoryId, name: subCategoryNames.get(String(item.subCategoryId))?.name || null } : null
+        })),
+        pagination: {
+            currentPage: selections.page,
+            totalPages: Math.ceil(total / selections.limit),
+            totalItems: total,
+            hasNext: selections.page * selections.limit < total,
+            hasPrev: selections.page > 1,
+            limit: selections.limit
+        },
+        facets: {
+            categories: result.categories
+                .map(row => ({
+                    id: String(row._id),
+                    name: categoryNames.get(String(row._id)) || null,
+                    count: row.count,
+                    selected: isSelected(selections.categories, row._id)
+                }))
+                .sort((a, b) => b.count - a.count || String(a.name).localeCompare(String(b.name))),
+            subCategories: result.subCategories
+                .map(row => ({
+                    id: String(row._id),
+                    name: subCategoryNames.get(String(row._id))?.name || null,
+                    categoryId: subCategoryNames.get(String(row._id))?.categoryId ? String(subCategoryNames.get(String(row._id)).categoryId) : null,
+                    count: row.count,
+                    selected: isSelected(selections.subCategories, row._id)
+                }))
+                .sort((a, b) => b.count - a.count || String(a.name).localeCompare(String(b.name))),
+            attributes,
+            sizes: sizeNames
+                .map(name => ({ name, count: sizeCountsByName.get(name) || 0, selected: selections.sizes.includes(name) }))
+                .filter(size => size.count > 0 || size.selected || sizeOrder.includes(size.name))
+                .sort((a, b) => sizeRank(a.name) - sizeRank(b.name)),
+            price: {
+                min: result.price[0]?.min ?? null,
+                max: result.price[0]?.max ?? null,
+                selectedMin: selections.priceMin,
+                selectedMax: selections.priceMax
+            },
+            availability: {
+                inStock: result.availability[0]?.inStock || 0,
+                total: result.availability[0]?.total || 0,
+                selected: selections.inStock
+            }
+        },
+        appliedFilters: {
+            category: selections.categories.map(String),
+            subcategory: selections.subCategories.map(String),
+            filters: selections.filters,
+            sizes: selections.sizes,
+            priceMin: selections.priceMin,
+            priceMax: selections.priceMax,
+            inStock: selections.inStock,
+            sort: selections.sort
+        }
+    };
+};
+
+module.exports = {
+    FACET_ERROR_STATUS,
+    SORTS,
+    parseSelections,
+    getFacetedItems
+};
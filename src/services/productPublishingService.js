@@ -0,0 +1,270 @@
+// Product Publishing Service - scheduled publish/unpublish of catalog items.
+// Registered with the job scheduler; the same handlers back the admin "run now" endpoint.
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const JobRun = require('../models/JobRun');
+const { validateProductForLive } = require('../utils/skuUtils');
+
+const PUBLISH_JOB = 'publish-scheduled-products';
+const UNPUBLISH_JOB = 'unpublish-expired-products';
+
+// scheduledDate/scheduledTime are entered in the admin panel as local (IST) wall-clock time
+const SCHEDULE_UTC_OFFSET = process.env.SCHEDULE_UTC_OFFSET || '+05:30';
+
+const LIVE_STATUSES = ['live', 'published'];
+
+/**
+ * Resolve when a scheduled item should go live. Items carry the publish time in
+ * several legacy fields; the most explicit one wins.
+ * @param {Object} item
+ * @returns {Date|null}
+ */
+const getPublishTime = (item) => {
+    const explicit = item.publishingOptions?.publishAt || item.publishAt || item.scheduledAt;
+    if (explicit) return new Date(explicit);
+
+    const date = item.publishingOptions?.scheduledDate || item.scheduledDate;
+    if (!date) return null;
+
+    const time = item.publishingOptions?.scheduledTime || item.scheduledTime || '00:00';
+    const parsed = new Date(`${date}T${time.length === 5 ? `${time}:00` : time}${SCHEDULE_UTC_OFFSET}`);
+    return isNaN(parsed.getTime()) ? null : parsed;
+};
+
+const notDeleted = { isDeleted: { $ne: true } };
+
+/**
+ * Publish every scheduled item whose publish time has passed. Items that fail
+ * live validation are moved back to draft so they are not retried every minute;
+ * the failure is kept in the run results for the admin panel.
+ * @returns {Promise<{results: Object[]}>}
+ */
+const publishDueItems = async () => {
+    const now = new Date();
+
+    const candidates = await Item.find({
+        ...notDeleted,
+        status: 'scheduled',
+        $or: [
+            { 'publishingOptions.publishAt': { $lte: now } },
+            { publishAt: { $lte: now } },
+            { scheduledAt: { $lte: now } },
+            { scheduledDate: { $nin: [null, ''] } },
+            { 'publishingOptions.scheduledDate': { $nin: [null, ''] } }
+        ]
+    }).select('itemId productName description sizes status publishingOptions publishAt scheduledAt scheduledDate scheduledTime');
+
+    const results = [];
+
+    for (const item of candidates) {
+        const publishTime = getPublishTime(item);
+        if (!publishTime || publishTime > now) continue;
+
+        const result = {
+            entityType: 'Item',
+            entityId: item._id,
+            reference: item.itemId,
+            name: item.productName,
+            action: 'publish',
+            fromStatus: 'scheduled',
+            scheduledFor: publishTime
+        };
+
+        const validation = validateProductForLive(item);
+        const update = validation.isValid
+            ? { status: 'live', publishedAt: now, 'publishingOptions.action': 'publish' }
+            : { status: 'draft', 'publishingOptions.action': 'draft' };
+
+        // Conditioned on status so an admin edit made mid-run is never overwritten
+        const updated = await Item.findOneAndUpdate(
+            { _id: item._id, status: 'scheduled' },
+            { $set: update },
+            { new: true }
+        );
+
+        if (!updated) continue;
+
+        results.push({
+            ...result,
+            toStatus: update.status,
+            success: validation.isValid,
+            error: validation.isValid ? null : `Cannot make item live: ${validation.errors.join(', ')}`
+        });
+    }
+
+    return { results };
+};
+
+/**
+ * Move live items past their end date (publishingOptions.unpublishAt) to inactive.
+ * @returns {Promise<{results: Object[]}>}
+ */
+const unpublishExpiredItems = async () => {
+    const now = new Date();
+
+    const expired = await Item.find({
+        ...notDeleted,
+        status: { $in: LIVE_STATUSES },
+        'publishingOptions.unpublishAt': { $lte: now }
+    }).select('itemId productName status publishingOptions.unpublishAt');
+
+    const results = [];
+
+    for (const item of expired) {
+        const updated = await Item.findOneAndUpdate(
+            { _id: item._id, status: item.status },
+            { $set: { status: 'inactive', unpublishedAt: now } },
+            { new: true }
+        );
+
+        if (!updated) continue;
+
+        results.push({
+            entityType: 'Item',
+            entityId: item._id,
+            reference: item.itemId,
+            name: item.productName,
+            action: 'unpublish',
+            fromStatus: item.status,
+            toStatus: 'inactive',
+            scheduledFor: item.publishingOptions.unpublishAt,
+            success: true
+        });
+    }
+
+    return { results };
+};
+
+/**
+ * Upcoming publish/unpublish transitions, soonest first.
+ * @param {Object} [options]
+ * @param {number} [options.limit=50]
+ * @returns {Promise<Object[]>}
+ */
+const getUpcomingTransitions = async ({ limit = 50 } = {}) => {
+    const [scheduled, ending] = await Promise.all([
+        Item.find({ ...notDeleted, status: 'scheduled' })
+            .select('itemId productName status publishingOptions publishAt scheduledAt scheduledDate scheduledTime')
+            .lean(),
+        Item.find({
+            ...notDeleted,
+            status: { $in: LIVE_STATUSES },
+            'publishingOptions.unpublishAt': { $ne: null }
+        })
+            .select('itemId productName status publishingOptions.unpublishAt')
+            .lean()
+    ]);
+
+    const transitions = [
+        ...scheduled.map(item => ({
+            itemId: item.itemId,
+            _id: item._id,
+            productName: item.productName,
+            action: 'publish',
+            fromStatus: item.status,
+            toStatus: 'live',
+            scheduledFor: getPublishTime(item)
+        })),
+        ...ending.map(item => ({
+            itemId: item.itemId,
+            _id: item._id,
+            productName: item.productName,
+            action: 'unpublish',
+            fromStatus: item.status,
+            toStatus: 'inactive',
+            scheduledFor: item.publishingOptions.unpublishAt
+        }))
+    ];
+
+    // Scheduled items without any publish time sort last so the admin can fix them
+    transitions.sort((a, b) => {
+        if (!a.scheduledFor) return 1;
+        if (!b.scheduledFor) return -1;
+        return new Date(a.scheduledFor) - new Date(b.scheduledFor);
+    });
+
+    return transitions.slice(0, limit);
+};
+
+/**
+ * Transitions already applied by the publishing jobs, most recent first.
+ * @param {Object} [options]
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=50]
+ * @param {string} [options.itemId] - Item _id to restrict the history to
+ * @returns {Promise<{transitions: Object[], total: number}>}
+ */
+const getPastTransitions = async ({ page = 1, limit = 50, itemId } = {}) => {
+    const match = { 'results.action': { $in: ['publish', 'unpublish'] } };
+    if (itemId) match['results.entityId'] = new mongoose.Types.ObjectId(itemId);
+
+    const [data] = await JobRun.aggregate([
+        { $match: { jobName: { $in: [PUBLISH_JOB, UNPUBLISH_JOB] }, processed: { $gt: 0 } } },
+        { $unwind: '$results' },
+        { $match: match },
+        { $sort: { finishedAt: -1 } },
+        {
+            $facet: {
+                transitions: [
+                    { $skip: (page - 1) * limit },
+                    { $limit: limit },
+                    {
+                        $project: {
+                            _id: 0,
+                            runId: '$_id',
+                            jobName: 1,
+                            trigger: 1,
+                            appliedAt: '$finishedAt',
+                            _itemId: '$results.entityId',
+                            itemId: '$results.reference',
+                            productName: '$results.name',
+                            action: '$results.action',
+                            fromStatus: '$results.fromStatus',
+                            toStatus: '$results.toStatus',
+                            scheduledFor: '$results.scheduledFor',
+                            success: '$results.success',
+                            error: '$results.error'
+                        }
+                    }
+                ],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]);
+
+    return {
+        transitions: data.transitions,
+        total: data.total[0]?.count || 0
+    };
+};
+
+/**
+ * Register the publishing jobs with the scheduler. Both run every minute.
+ * @param {Object} scheduler - jobScheduler instance
+ */
+const registerJobs = (scheduler) => {
+    scheduler.register({
+        name: PUBLISH_JOB,
+        description: 'Publish scheduled products whose publish time has arrived',
+        schedule: '* * * * *',
+        handler: publishDueItems
+    });
+
+    scheduler.register({
+        name: UNPUBLISH_JOB,
+        description: 'Move live products past their end date to inactive',
+        schedule: '* * * * *',
+        handler: unpublishExpiredItems
+    });
+};
+
+module.exports = {
+    PUBLISH_JOB,
+    UNPUBLISH_JOB,
+    getPublishTime,
+    publishDueItems,
+    unpublishExpiredItems,
+    getUpcomingTransitions,
+    getPastTransitions,
+    registerJobs
+};
@@ -0,0 +1,579 @@
+// Product Search Service - relevance-ranked full-text search over live products.
+// Products are indexed in memory (an inverted index of stemmed terms per field, weighted
+// so a match in the name counts more than one in the description), rebuilt from MongoDB
+// by a scheduled job and whenever a search finds the index stale. Queries are expanded
+// with synonyms (config/searchSynonyms) and typo corrections from the indexed vocabulary,
+// ranked by relevance, popularity (recent sales and ratings) and stock, and returned
+// with highlighted matches. With SEARCH_ENGINE=mongo, or while the index is being built
+// for the first time, the same ranking runs on the weighted MongoDB text index instead.
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const Order = require('../models/Order');
+const Category = require('../models/Category');
+const SubCategory = require('../models/SubCategory');
+const { eventBus, EVENTS } = require('./eventBus');
+const { SYNONYM_GROUPS, STOP_WORDS } = require('../config/searchSynonyms');
+const { toTerm, tokenize, words, editDistance, allowedTypos, highlight } = require('../utils/searchText');
+const logger = require('../utils/logger');
+
+const REBUILD_JOB = 'rebuild-search-index';
+const ENGINE = process.env.SEARCH_ENGINE === 'mongo' ? 'mongo' : 'embedded';
+const INDEX_MAX_AGE_MS = (parseInt(process.env.SEARCH_INDEX_MAX_AGE_MINUTES, 10) || 10) * 60 * 1000;
+
+// Sales in this many days count towards popularity
+const POPULARITY_WINDOW_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses shown in the storefront search
+const SEARCHABLE_STATUSES = ['live'];
+
+// Relative weight of a match in each field
+const FIELD_WEIGHTS = {
+    sku: 12,
+    name: 10,
+    title: 6,
+    category: 5,
+    subCategory: 5,
+    filter: 4,
+    size: 2,
+    description: 1
+};
+
+// How much a query word counts when it only matched through a synonym, a typo or a prefix
+const MATCH_FACTORS = {
+    exact: 1,
+    synonym: 0.9,
+    typo1: 0.75,
+    typo2: 0.55,
+    prefix: 0.6
+};
+
+const MAX_CORRECTIONS = 5;
+const MAX_PREFIX_TERMS = 10;
+const MONGO_CANDIDATES = 200;
+
+// Ranking: relevance × (1 + popularity boost) × stock factor
+const POPULARITY_BOOST = 0.3;
+const OUT_OF_STOCK_FACTOR = 0.6;
+const NAME_PHRASE_BOOST = 1.5;
+
+// Fields whose words are shown back to shoppers in corrections
+const DISPLAY_FIELDS = ['name', 'category', 'subCategory', 'filter'];
+
+const STOP_TERMS = new Set(STOP_WORDS.map(toTerm));
+
+// term → every term of its synonym group
+const SYNONYMS = new Map();
+for (const group of SYNONYM_GROUPS) {
+    const terms = [...new Set(group.map(toTerm))];
+    for (const term of terms) {
+        SYNONYMS.set(term, [...new Set([...(SYNONYMS.get(term) || []), ...terms.filter(other => other !== term)])]);
+    }
+}
+
+let searchIndex = null;
+let buildPromise = null;
+
+/**
+ * Units sold per item over the popularity window (paid orders).
+ * @param {string[]} [itemIds] - Limit to these items
+ * @returns {Promise<Map<string, number>>}
+ */
+const getSalesCounts = async (itemIds) => {
+    const match = {
+        payment_status: 'Paid',
+        created_at: { $gte: new Date(Date.now() - POPULARITY_WINDOW_DAYS * DAY_MS) }
+    };
+    const pipeline = [{ $match: match }, { $unwind: '$item_quantities' }];
+    if (itemIds) pipeline.push({ $match: { 'item_quantities.item_id': { $in: itemIds } } });
+    pipeline.push({ $group: { _id: '$item_quantities.item_id', units: { $sum: '$item_quantities.quantity' } } });
+
+    const rows = await Order.aggregate(pipeline);
+    return new Map(rows.map(row => [String(row._id), row.units]));
+};
+
+/**
+ * 0..1 popularity from recent sales (relative to the best seller) and ratings
+ * (trusted from five reviews up).
+ */
+const popularityScore = (sales, maxSales, averageRating, totalReviews) => {
+    const salesScore = maxSales > 0 ? Math.log1p(sales) / Math.log1p(maxSales) : 0;
+    const ratingScore = ((averageRating || 0) / 5) * Math.min(1, (totalReviews || 0) / 5);
+    return 0.7 * salesScore + 0.3 * ratingScore;
+};
+
+const ITEM_FIELDS = 'itemId productName title description categoryId subCategoryId filters sizes.size sizes.sku sizes.stock sizes.filters averageRating totalReviews';
+
+// Text of each weighted field of an item
+const itemFields = (item, categoryNames, subCategoryNames) => {
+    const filterValues = [
+        ...(item.filters || []).map(filter => filter.value),
+        ...(item.sizes || []).flatMap(size => (size.filters || []).map(filter => filter.value))
+    ];
+    return {
+        sku: (item.sizes || []).map(size => size.sku).filter(Boolean).join(' '),
+        name: item.productName || '',
+        title: item.title && item.title !== item.productName ? item.title : '',
+        category: categoryNames.get(String(item.categoryId)) || '',
+        subCategory: subCategoryNames.get(String(item.subCategoryId)) || '',
+        filter: [...new Set(filterValues)].join(' '),
+        size: [...new Set((item.sizes || []).map(size => size.size).filter(Boolean))].join(' '),
+        description: item.description || ''
+    };
+};
+
+/**
+ * Build the in-memory index from the live catalogue.
+ * @returns {Promise<Object>} The new index
+ */
+const buildIndex = async () => {
+    const startedAt = Date.now();
+    const [items, categories, subCategories, sales] = await Promise.all([
+        Item.find({ status: { $in: SEARCHABLE_STATUSES }, isDeleted: { $ne: true } }).select(ITEM_FIELDS).lean(),
+        Category.find().select('name').lean(),
+        SubCategory.find().select('name').lean(),
+        getSalesCounts()
+    ]);
+
+    const categoryNames = new Map(categories.map(category => [String(category._id), category.name]));
+    const subCategoryNames = new Map(subCategories.map(subCategory => [String(subCategory._id), subCategory.name]));
+    const itemSales = (item) => (sales.get(String(item._id)) || 0) + (sales.get(item.itemId) || 0);
+    const maxSales = items.reduce((max, item) => Math.max(max, itemSales(item)), 0);
+
+    const docs = new Map();
+    const postings = new Map(); // term → Map(itemId → weight)
+    const displayWords = new Map(); // term → the word as written in the catalogue
+
+    for (const item of items) {
+        const id = String(item._id);
+        const fields = itemFields(item, categoryNames, subCategoryNames);
+
+        const weights = new Map();
+        for (const [field, text] of Object.entries(fields)) {
+            for (const term of new Set(tokenize(text))) {
+                weights.set(term, (weights.get(term) || 0) + FIELD_WEIGHTS[field]);
+            }
+        }
+        for (const [term, weight] of weights) {
+            if (!postings.has(term)) postings.set(term, new Map());
+            postings.get(term).set(id, weight);
+        }
+        for (const field of DISPLAY_FIELDS) {
+            for (const word of words(fields[field])) {
+                const term = toTerm(word);
+                if (term && !displayWords.has(term)) displayWords.set(term, word.toLowerCase());
+            }
+        }
+
+        docs.set(id, {
+            id,
+            fields,
+            nameTerms: tokenize(fields.name).join(' '),
+            stock: new Map((item.sizes || []).map(size => [size.sku, size.stock || 0])),
+            popularity: popularityScore(itemSales(item), maxSales, item.averageRating, item.totalReviews)
+        });
+    }
+
+    logger.info(`🔎 Search index built: ${docs.size} products, ${postings.size} terms in ${Date.now() - startedAt}ms`);
+    return { docs, postings, displayWords, vocabulary: [...postings.keys()], builtAt: Date.now() };
+};
+
+/**
+ * Rebuild the index. Concurrent callers share one build.
+ * @returns {Promise<Object>}
+ */
+const rebuildIndex = () => {
+    if (!buildPromise) {
+        buildPromise = buildIndex()
+            .then((built) => {
+                searchIndex = built;
+                return built;
+            })
+            .finally(() => {
+                buildPromise = null;
+            });
+    }
+    return buildPromise;
+};
+
+/**
+ * The index to search with: rebuilt in the background when stale, null until the
+ * first build has finished.
+ * @returns {Object|null}
+ */
+const getIndex = () => {
+    if (!searchIndex || Date.now() - searchIndex.builtAt > INDEX_MAX_AGE_MS) {
+        rebuildIndex().catch(error => logger.error('Search index build failed:', error.message));
+    }
+    return searchIndex;
+};
+
+// Query terms without filler words (all terms when the query is only filler)
+const queryTerms = (query) => {
+    const allTerms = [...new Set(tokenize(query))];
+    const meaningful = allTerms.filter(term => !STOP_TERMS.has(term));
+    return meaningful.length > 0 ? meaningful : allTerms;
+};
+
+// Indexed words closest to `term`, nearest and most common first
+const closestTerms = (index, term, maxTypos, limit) => {
+    if (maxTypos === 0) return [];
+    return index.vocabulary
+        .map(candidate => ({ candidate, distance: editDistance(term, candidate, maxTypos) }))
+        .filter(entry => entry.distance <= maxTypos)
+        .sort((a, b) => a.distance - b.distance || index.postings.get(b.candidate).size - index.postings.get(a.candidate).size)
+        .slice(0, limit);
+};
+
+const displayTerm = (index, term) => index?.displayWords.get(term) || term;
+
+/**
+ * Turn a query into word groups, each with the index terms it may match and how much a
+ * match on each counts: the word itself, its synonyms, typo corrections (only for words
+ * the catalogue does not contain) and, for the last word, completions of it.
+ * @param {string} query
+ * @param {Object|null} index - Without an index (MongoDB engine) there is no vocabulary
+ *   to correct typos or complete prefixes against
+ * @param {Object} [options]
+ * @param {boolean} [options.prefix=true] - Complete the last word
+ * @returns {{ groups: Object[], correctedQuery: string|null }}
+ */
+const parseQuery = (query, index, { prefix = true } = {}) => {
+    const terms = queryTerms(query);
+
+    const known = (term) => !index || index.postings.has(term);
+    let corrected = false;
+
+    const groups = terms.map((term, position) => {
+        const variants = new Map();
+        const add = (candidate, factor) => {
+            if (known(candidate) && factor > (variants.get(candidate) || 0)) variants.set(candidate, factor);
+        };
+        const addWithSynonyms = (candidate, factor) => {
+            add(candidate, factor);
+            for (const synonym of SYNONYMS.get(candidate) || []) add(synonym, factor * MATCH_FACTORS.synonym);
+        };
+
+        addWithSynonyms(term, MATCH_FACTORS.exact);
+
+        let correction = null;
+        if (index && variants.size === 0) {
+            const corrections = closestTerms(index, term, allowedTypos(term), MAX_CORRECTIONS);
+
+            for (const { candidate, distance } of corrections) {
+                addWithSynonyms(candidate, distance === 1 ? MATCH_FACTORS.typo1 : MATCH_FACTORS.typo2);
+            }
+            if (corrections.length > 0) {
+                correction = corrections[0].candidate;
+                corrected = true;
+            }
+        }
+
+        if (index && prefix && position === terms.length - 1 && term.length >= 3) {
+            index.vocabulary
+                .filter(candidate => candidate.length > term.length && candidate.startsWith(term))
+                .sort((a, b) => index.postings.get(b).size - index.postings.get(a).size)
+                .slice(0, MAX_PREFIX_TERMS)
+                .forEach(candidate => add(candidate, MATCH_FACTORS.prefix));
+        }
+
+        return { term, correction, variants };
+    });
+
+    return {
+        groups,
+        correctedQuery: corrected ? groups.map(group => displayTerm(index, group.correction || group.term)).join(' ') : null
+    };
+};
+
+const rankScore = (relevance, popularity, inStock) =>
+    relevance * (1 + POPULARITY_BOOST * popularity) * (inStock ? 1 : OUT_OF_STOCK_FACTOR);
+
+const roundScore = (score) => Math.round(score * 1000) / 1000;
+
+/**
+ * Highlighted product name, title, category and a description snippet.
+ * @param {Object} fields - itemFields() of the product
+ * @param {Set<string>} terms - Index terms the product matched
+ */
+const buildHighlights = (fields, terms) => {
+    const highlights = {};
+    const add = (key, value) => {
+        if (value) highlights[key] = value;
+    };
+    add('productName', highlight(fields.name, terms));
+    add('title', highlight(fields.title, terms));
+    add('category', highlight(fields.category, terms) || highlight(fields.subCategory, terms));
+    add('attributes', highlight(fields.filter, terms));
+    add('description', highlight(fields.description, terms, { maxLength: 160 }));
+    return highlights;
+};
+
+// Relevance of one product for every word group (its best variant; 0 when none
+// matches) and every variant it matched, for highlighting
+const scoreGroups = (groups, weightOf) => groups.map((group) => {
+    let best = 0;
+    const terms = [];
+    for (const [term, factor] of group.variants) {
+        const score = weightOf(term) * factor;
+        if (score > 0) terms.push(term);
+        best = Math.max(best, score);
+    }
+    return { score: best, terms };
+});
+
+/**
+ * Rank the products that match, preferring those matching every word. When no product
+ * matches all words, products matching some of them are ranked by how many they match.
+ */
+const rankCandidates = (candidates, wordCount, phrase) => {
+    const complete = candidates.filter(candidate => candidate.matched === wordCount);
+    const pool = complete.length > 0 ? complete : candidates;
+
+    return pool
+        .map((candidate) => {
+            const coverage = candidate.matched / wordCount;
+            const phraseBoost = phrase && ` ${candidate.nameTerms} `.includes(` ${phrase} `) ? NAME_PHRASE_BOOST : 1;
+            return {
+                ...candidate,
+                score: rankScore(candidate.relevance * coverage * phraseBoost, candidate.popularity, candidate.inStock)
+            };
+        })
+        .sort((a, b) => b.score - a.score);
+};
+
+const searchEmbedded = (index, groups) => {
+    const totalDocs = index.docs.size || 1;
+    const idf = (term) => Math.log(1 + totalDocs / (index.postings.get(term)?.size || totalDocs));
+
+    const candidateIds = new Set();
+    for (const group of groups) {
+        for (const term of group.variants.keys()) {
+            for (const id of index.postings.get(term)?.keys() || []) candidateIds.add(id);
+        }
+    }
+
+    return [...candidateIds].map((id) => {
+        const doc = index.docs.get(id);
+        const scores = scoreGroups(groups, term => (index.postings.get(term)?.get(id) || 0) * idf(term));
+        return {
+            id,
+            fields: doc.fields,
+            nameTerms: doc.nameTerms,
+            relevance: scores.reduce((sum, entry) => sum + entry.score, 0),
+            matched: scores.filter(entry => entry.score > 0).length,
+            matchedTerms: [...new Set(scores.flatMap(entry => entry.terms))],
+            popularity: doc.popularity,
+            inStock: [...doc.stock.values()].some(stock => stock > 0)
+        };
+    });
+};
+
+const searchMongo = async (groups) => {
+    const searchTerms = [...new Set(groups.flatMap(group => [...group.variants.keys()]))];
+    if (searchTerms.length === 0) return [];
+
+    const items = await Item.find(
+        { status: { $in: SEARCHABLE_STATUSES }, isDeleted: { $ne: true }, $text: { $search: searchTerms.join(' ') } },
+        { score: { $meta: 'textScore' } }
+    )
+        .select(ITEM_FIELDS)
+        .populate('categoryId', 'name')
+        .populate('subCategoryId', 'name')
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(MONGO_CANDIDATES)
+        .lean();
+    if (items.length === 0) return [];
+
+    const sales = await getSalesCounts(items.flatMap(item => [String(item._id), item.itemId]));
+    const itemSales = (item) => (sales.get(String(item._id)) || 0) + (sales.get(item.itemId) || 0);
+    const maxSales = items.reduce((max, item) => Math.max(max, itemSales(item)), 0);
+
+    return items.map((item) => {
+        const fields = itemFields(
+            item,
+            new Map([[String(item.categoryId?._id), item.categoryId?.name]]),
+            new Map([[String(item.subCategoryId?._id), item.subCategoryId?.name]])
+        );
+        // Which words the product contains, for coverage and highlighting
+        const itemTerms = new Set(Object.values(fields).flatMap(tokenize));
+        const scores = scoreGroups(groups, term => (itemTerms.has(term) ? 1 : 0));
+
+        // MongoDB stems differently, so a text match may not contain any of our terms
+        return {
+            id: String(item._id),
+            fields,
+            nameTerms: tokenize(fields.name).join(' '),
+            relevance: item.score,
+            matched: scores.filter(entry => entry.score > 0).length || 1,
+            matchedTerms: [...new Set(scores.flatMap(entry => entry.terms))],
+            popularity: popularityScore(itemSales(item), maxSales, item.averageRating, item.totalReviews),
+            inStock: (item.sizes || []).some(size => size.stock > 0)
+        };
+    });
+};
+
+/**
+ * Search live products.
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.limit=20]
+ * @param {number} [options.offset=0]
+ * @param {boolean} [options.prefix=true] - Treat the last word as possibly unfinished
+ * @returns {Promise<Object>} { engine, query, correctedQuery, total, results: [{ itemId, name, score, matchedTerms, highlights }] }
+ */
+const search = async (query, { limit = 20, offset = 0, prefix = true } = {}) => {
+    let index = ENGINE === 'embedded' ? getIndex() : null;
+    // First search after start-up: wait for the index unless it takes long
+    if (ENGINE === 'embedded' && !index && buildPromise) {
+        index = await Promise.race([
+            buildPromise.catch(() => null),
+            new Promise(resolve => setTimeout(() => resolve(null), 3000))
+        ]);
+    }
+
+    const engine = index ? 'embedded' : 'mongo';
+    const { groups, correctedQuery } = parseQuery(query, index, { prefix });
+    const searchable = groups.filter(group => group.variants.size > 0);
+    const phrase = groups.map(group => group.term).join(' ');
+
+    let candidates = [];
+    if (searchable.length > 0) {
+        candidates = index ? searchEmbedded(index, searchable) : await searchMongo(searchable);
+    }
+    // Words that match nothing in the catalogue still count against coverage
+    const ranked = rankCandidates(candidates, groups.length, phrase);
+
+    return {
+        engine,
+        query,
+        correctedQuery,
+        total: ranked.length,
+        results: ranked.slice(offset, offset + limit).map(candidate => ({
+            itemId: candidate.id,
+            name: candidate.fields.name,
+            score: roundScore(candidate.score),
+            matchedTerms: candidate.matchedTerms,
+            highlights: buildHighlights(candidate.fields, new Set(candidate.matchedTerms))
+        }))
+    };
+};
+
+/**
+ * "Did you mean" for a query that found nothing: every word the catalogue does not
+ * contain replaced by its closest indexed word, allowing one typo more than search does
+ * (up to two) and words from three letters.
+ * @param {string} query
+ * @returns {string|null} The suggested query, or null when there is nothing to suggest
+ */
+const suggestCorrection = (query) => {
+    const index = ENGINE === 'embedded' ? getIndex() : null;
+    if (!index) return null;
+
+    let changed = false;
+    const suggestion = queryTerms(query).map((term) => {
+        if (index.postings.has(term) || SYNONYMS.has(term) || term.length < 3) return displayTerm(index, term);
+        const [closest] = closestTerms(index, term, Math.min(allowedTypos(term) + 1, 2), 1);
+        if (!closest) return term;
+        changed = true;
+        return displayTerm(index, closest.candidate);
+    });
+    return changed ? suggestion.join(' ') : null;
+};
+
+/**
+ * A logged query in the catalogue's own words, fit to show to other shoppers: each term
+ * spelled as the catalogue spells it, a misspelt term replaced by its closest indexed
+ * word. Without an index (MongoDB engine) the normalized terms are returned as they are.
+ * @param {string} normalized - Search terms joined by spaces
+ * @returns {string|null} Null when a term is not in the catalogue and has no close match
+ */
+const catalogPhrase = (normalized) => {
+    const terms = String(normalized || '').split(' ').filter(Boolean);
+    if (terms.length === 0) return null;
+    if (ENGINE !== 'embedded') return terms.join(' ');
+
+    const index = getIndex();
+    if (!index) return null;
+
+    const phrase = [];
+    for (const term of terms) {
+        if (index.postings.has(term) || SYNONYMS.has(term)) {
+            phrase.push(displayTerm(index, term));
+            continue;
+        }
+        const [closest] = closestTerms(index, term, allowedTypos(term), 1);
+        if (!closest) return null;
+        phrase.push(displayTerm(index, closest.candidate));
+    }
+    return phrase.join(' ');
+};
+
+/**
+ * Keep stock in the index current between rebuilds, so ranking reacts to sell-outs.
+ */
+const handleStockChanged = async (data) => {
+    const doc = searchIndex?.docs.get(String(data.itemId));
+    if (doc && doc.stock.has(data.sku)) doc.stock.set(data.sku, data.newStock);
+};
+
+/**
+ * Job handler: rebuild the index from the catalogue.
+ * @returns {Promise<{results: Object[]}>}
+ */
+const rebuildSearchIndex = async () => {
+    const built = await rebuildIndex();
+    return {
+        results: [{ entityType: 'Item', action: 'index', reference: `${built.docs.size} products, ${built.postings.size} terms`, success: true }]
+    };
+};
+
+/**
+ * Register the index rebuild with the scheduler (embedded engine only).
+ * @param {Object} scheduler - jobScheduler
+ */
+const registerJobs = (scheduler) => {
+    if (ENGINE !== 'embedded') return;
+    scheduler.register({
+        name: REBUILD_JOB,
+        description: 'Rebuild the product search index from the live catalogue',
+        schedule: '*/15 * * * *',
+        handler: rebuildSearchIndex
+    });
+};
+
+let initialized = false;
+
+/**
+ * Build the index in the background and follow stock changes. Safe to call more than once.
+ */
+const init = () => {
+    if (initialized) return;
+    initialized = true;
+    if (ENGINE !== 'embedded') return;
+
+    // Wait for the database connection rather than failing the first build
+    if (mongoose.connection.readyState === 1) {
+        getIndex();
+    } else {
+        mongoose.connection.once('connected', () => getIndex());
+    }
+
+    eventBus.on(EVENTS.ITEM_STOCK_CHANGED, (envelope) => {
+        handleStockChanged(envelope.data).catch(error => {
+            logger.error('Search index stock update failed:', error.message);
+        });
+    });
+};
+
+module.exports = {
+    REBUILD_JOB,
+    init,
+    registerJobs,
+    search,
+    parseQuery,
+    suggestCorrection,
+    catalogPhrase,
+    rebuildIndex,
+    rebuildSearchIndex
+};
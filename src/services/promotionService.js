@@ -0,0 +1,329 @@
+// Promotion Service - the one place promo codes are evaluated.
+// Used by promo validation and by checkout so the discount a customer is quoted is
+// the discount they are charged. Enforces the code's dates, global and per-user
+// usage limits (from order history), user segment and personalised audience, and
+// spreads the discount over the eligible order lines only.
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const Order = require('../models/Order');
+const PromoCode = require('../models/PromoCodes');
+const { toPaise, toRupees } = require('../utils/orderPricing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Segment thresholds (targetUserSegment)
+const VIP_MIN_PAID_ORDERS = parseInt(process.env.PROMO_VIP_MIN_ORDERS) || 5;
+const VIP_MIN_SPEND = parseInt(process.env.PROMO_VIP_MIN_SPEND) || 25000;
+const INACTIVE_AFTER_DAYS = parseInt(process.env.PROMO_INACTIVE_DAYS) || 90;
+
+// HTTP status for each promotion error code
+const PROMO_ERROR_STATUS = {
+    PROMO_NOT_FOUND: 404,
+    PROMO_NOT_STARTED: 400,
+    PROMO_EXPIRED: 400,
+    PROMO_USAGE_LIMIT: 400,
+    PROMO_USER_LIMIT: 400,
+    PROMO_LOGIN_REQUIRED: 401,
+    PROMO_NOT_ELIGIBLE: 403,
+    PROMO_MIN_ORDER: 400,
+    PROMO_NO_ELIGIBLE_ITEMS: 400,
+    PROMO_ITEMS_REQUIRED: 400
+};
+
+const promoError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const unitPriceOf = (size) => (size?.salePrice > 0 ? size.salePrice : size?.regularPrice) || 0;
+
+/**
+ * Paid-order history used for per-user limits and segments. Cancelled orders do not
+ * count (cancellation gives the promo use back).
+ * @param {string} userId
+ * @param {string} [code] - Also count paid orders that used this code
+ */
+const getOrderHistory = async (userId, code = null) => {
+    const [history] = await Order.aggregate([
+        {
+            $match: {
+                user: new mongoose.Types.ObjectId(userId.toString()),
+                payment_status: 'Paid',
+                order_status: { $ne: 'Cancelled' }
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                paidOrders: { $sum: 1 },
+                spend: { $sum: { $subtract: ['$total_price', { $ifNull: ['$refunded_amount', 0] }] } },
+                lastOrderAt: { $max: '$created_at' },
+                codeUses: { $sum: { $cond: [{ $eq: ['$promoCode', code] }, 1, 0] } }
+            }
+        }
+    ]);
+
+    return history || { paidOrders: 0, spend: 0, lastOrderAt: null, codeUses: 0 };
+};
+
+/**
+ * Whether a customer with this order history belongs to a targetUserSegment.
+ * @param {string} segment
+ * @param {Object} history - getOrderHistory result
+ * @param {Date} [now]
+ */
+const matchesSegment = (segment, history, now = new Date()) => {
+    switch (segment) {
+        case 'new_users':
+            return history.paidOrders === 0;
+        case 'returning_users':
+            return history.paidOrders > 0;
+        case 'vip':
+            return history.paidOrders >= VIP_MIN_PAID_ORDERS || history.spend >= VIP_MIN_SPEND;
+        case 'inactive_users':
+            return history.paidOrders > 0 && now - new Date(history.lastOrderAt) >= INACTIVE_AFTER_DAYS * DAY_MS;
+        default:
+            return true;
+    }
+};
+
+const isRestrictedToUsers = (promo) => promo.isPersonalized && (promo.userIds || []).length > 0;
+
+/**
+ * Audience check without usage limits: personalised recipients and segment.
+ * @returns {string|null} Reason the user is not eligible, or null
+ */
+const audienceError = (promo, userId, history) => {
+    if (isRestrictedToUsers(promo) && !promo.userIds.some(id => id.toString() === userId.toString())) {
+        return 'This promo code is not available for your account';
+    }
+    if (!matchesSegment(promo.targetUserSegment, history)) {
+        return 'This promo code is not available for your account';
+    }
+    return null;
+};
+
+/**
+ * Codes from `promos` the user may see and use (personalised audience, segment and
+ * per-user limit). One order-history read for the whole list.
+ * @param {Object[]} promos - PromoCode documents
+ * @param {string} userId
+ */
+const filterAvailableForUser = async (promos, userId) => {
+    const history = await getOrderHistory(userId);
+    const codes = promos.map(promo => promo.code);
+    const usage = codes.length
+        ? await Order.aggregate([
+            {
+                $match: {
+                    user: new mongoose.Types.ObjectId(userId.toString()),
+                    payment_status: 'Paid',
+                    order_status: { $ne: 'Cancelled' },
+                    promoCode: { $in: codes }
+                }
+            },
+            { $group: { _id: '$promoCode', uses: { $sum: 1 } } }
+        ])
+        : [];
+    const usesByCode = new Map(usage.map(row => [row._id, row.uses]));
+
+    return promos.filter(promo => !audienceError(promo, userId, history) &&
+        (usesByCode.get(promo.code) || 0) < (promo.perUserLimit || 1));
+};
+
+/**
+ * Attach price and category to each line, reading the items once.
+ * @param {Object[]} lines - `{ itemId, sku, size, quantity, unitPrice? }`
+ */
+const describeLines = async (lines) => {
+    const ids = [...new Set(lines.map(line => line.itemId?.toString()).filter(id => mongoose.Types.ObjectId.isValid(id)))];
+    const items = ids.length
+        ? await Item.find({ _id: { $in: ids } }).select('categoryId subCategoryId sizes.sku sizes.salePrice sizes.regularPrice').lean()
+        : [];
+    const itemsById = new Map(items.map(item => [item._id.toString(), item]));
+
+    return lines.map(line => {
+        const item = itemsById.get(line.itemId?.toString());
+        const quantity = parseInt(line.quantity) || 0;
+        const unitPrice = line.unitPrice ?? unitPriceOf(item?.sizes?.find(size => size.sku === line.sku));
+        return {
+            itemId: line.itemId ? line.itemId.toString() : null,
+            sku: line.sku || null,
+            size: line.size || null,
+            quantity,
+            unitPrice,
+            lineTotal: unitPrice * quantity,
+            categoryIds: [item?.categoryId, item?.subCategoryId].filter(Boolean).map(id => id.toString())
+        };
+    });
+};
+
+// Lines the code applies to: everything, or the listed products and categories
+const isLineEligible = (promo, line) => {
+    const productIds = (promo.productIds || []).map(id => id.toString());
+    const categoryIds = (promo.categoryIds || []).map(id => id.toString());
+    if (productIds.length === 0 && categoryIds.length === 0) return true;
+
+    return productIds.includes(line.itemId) || line.categoryIds.some(id => categoryIds.includes(id));
+};
+
+/**
+ * Split `totalPaise` over lines in proportion to their weights (largest remainder,
+ * so the parts add up exactly).
+ * @returns {number[]} Paise per line
+ */
+const allocateByWeight = (totalPaise, weights) => {
+    const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+    if (weightTotal <= 0 || totalPaise <= 0) return weights.map(() => 0);
+
+    const exact = weights.map(weight => (totalPaise * weight) / weightTotal);
+    const parts = exact.map(Math.floor);
+    let remainder = totalPaise - parts.reduce((sum, part) => sum + part, 0);
+
+    exact
+        .map((value, index) => ({ index, fraction: value - parts[index] }))
+        .sort((a, b) => b.fraction - a.fraction)
+        .forEach(({ index }) => {
+            if (remainder > 0) {
+                parts[index] += 1;
+                remainder -= 1;
+            }
+        });
+    return parts;
+};
+
+/**
+ * Validate a promo code for a user and cart and work out the discount per line.
+ *
+ * minOrderValue is checked against the whole cart; the discount itself only applies
+ * to eligible lines (productIds / categoryIds). maxDiscountAmount caps the goods
+ * discount for every discount type. A BOGO code gives the cheapest eligible line's
+ * quantity again for free - those units are returned in `freeUnits` and must be
+ * added to the order.
+ *
+ * @param {Object} params
+ * @param {string} params.code
+ * @param {string|null} params.userId - Required for per-user limits, segments and personalised codes
+ * @param {Object[]} [params.lines] - `{ itemId, sku, size, quantity, unitPrice? }`; prices are read from the item when missing
+ * @param {number} [params.subtotal] - Cart total when lines are not known (legacy validation); unrestricted codes only
+ * @param {number} [params.shippingCost=0] - Shipping charged, waived by free_shipping codes
+ * @returns {Promise<Object>} Evaluation: promo, amounts in rupees and the line allocation
+ * @throws {Error} with `code` from PROMO_ERROR_STATUS
+ */
+const evaluatePromoCode = async ({ code, userId = null, lines = null, subtotal = null, shippingCost = 0 }) => {
+    const promo = await PromoCode.findOne({ code: String(code || '').trim().toUpperCase(), isActive: true });
+    if (!promo) throw promoError('PROMO_NOT_FOUND', 'Invalid or inactive promo code');
+
+    const now = new Date();
+    if (now < promo.startDate) throw promoError('PROMO_NOT_STARTED', 'Promo code is not active yet');
+    if (now > promo.endDate) throw promoError('PROMO_EXPIRED', 'Promo code has expired');
+    if (promo.maxUses > 0 && promo.currentUses >= promo.maxUses) {
+        throw promoError('PROMO_USAGE_LIMIT', 'Promo code usage limit reached');
+    }
+
+    // Per-user limits, segments and personalised codes need to know who is asking
+    const needsUser = isRestrictedToUsers(promo) || promo.targetUserSegment !== 'all';
+    if (!userId && needsUser) throw promoError('PROMO_LOGIN_REQUIRED', 'Please log in to use this promo code');
+    if (userId) {
+        const history = await getOrderHistory(userId, promo.code);
+        const reason = audienceError(promo, userId, history);
+        if (reason) throw promoError('PROMO_NOT_ELIGIBLE', reason);
+        if (history.codeUses >= (promo.perUserLimit || 1)) {
+            throw promoError('PROMO_USER_LIMIT', 'You have already used this promo code the maximum number of times');
+        }
+    }
+
+    const restricted = (promo.productIds || []).length > 0 || (promo.categoryIds || []).length > 0;
+    let described;
+    if (Array.isArray(lines) && lines.length > 0) {
+        described = await describeLines(lines);
+    } else {
+        if (restricted) throw promoError('PROMO_ITEMS_REQUIRED', 'Cart items are required to apply this promo code');
+        described = [{ itemId: null, sku: null, size: null, quantity: 1, unitPrice: Number(subtotal) || 0, lineTotal: Number(subtotal) || 0, categoryIds: [] }];
+    }
+
+    const subtotalPaise = described.reduce((sum, line) => sum + toPaise(line.lineTotal), 0);
+    if (subtotalPaise < toPaise(promo.minOrderValue)) {
+        throw promoError('PROMO_MIN_ORDER', `Cart total must be at least ₹${promo.minOrderValue}`);
+    }
+
+    const eligible = described.map(line => isLineEligible(promo, line));
+    const eligiblePaise = described.reduce((sum, line, index) => sum + (eligible[index] ? toPaise(line.lineTotal) : 0), 0);
+    if (eligiblePaise === 0) {
+        throw promoError('PROMO_NO_ELIGIBLE_ITEMS', 'None of the items in your cart are eligible for this promo code');
+    }
+
+    // Goods discount and BOGO free units
+    let discountPaise = 0;
+    const freeQuantities = described.map(() => 0);
+    if (promo.discountType === 'percentage') {
+        discountPaise = Math.round((eligiblePaise * promo.discountValue) / 100);
+    } else if (promo.discountType === 'fixed') {
+        discountPaise = Math.min(toPaise(promo.discountValue), eligiblePaise);
+    } else if (promo.discountType === 'bogo') {
+        const cheapest = described
+            .map((line, index) => ({ line, index }))
+            .filter(({ line, index }) => eligible[index] && line.itemId)
+            .sort((a, b) => a.line.unitPrice - b.line.unitPrice)[0];
+        if (cheapest) {
+            freeQuantities[cheapest.index] = cheapest.line.quantity;
+            discountPaise = toPaise(cheapest.line.unitPrice) * cheapest.line.quantity;
+        }
+    }
+    if (promo.maxDiscountAmount != null && promo.maxDiscountAmount > 0) {
+        discountPaise = Math.min(discountPaise, toPaise(promo.maxDiscountAmount));
+    }
+
+    // BOGO discounts sit on the line that gets the free units; others spread by value
+    const lineDiscounts = promo.discountType === 'bogo'
+        ? freeQuantities.map(quantity => (quantity > 0 ? discountPaise : 0))
+        : allocateByWeight(discountPaise, described.map((line, index) => (eligible[index] ? toPaise(line.lineTotal) : 0)));
+
+    const shippingDiscountPaise = promo.discountType === 'free_shipping' ? toPaise(shippingCost) : 0;
+
+    return {
+        promo,
+        code: promo.code,
+        discountType: promo.discountType,
+        discountValue: promo.discountValue,
+        subtotal: toRupees(subtotalPaise),
+        eligibleSubtotal: toRupees(eligiblePaise),
+        itemDiscount: toRupees(discountPaise),
+        shippingDiscount: toRupees(shippingDiscountPaise),
+        totalDiscount: toRupees(discountPaise + shippingDiscountPaise),
+        freeUnits: described
+            .map((line, index) => ({ itemId: line.itemId, sku: line.sku, size: line.size, quantity: freeQuantities[index] }))
+            .filter(unit => unit.quantity > 0),
+        allocation: described.map((line, index) => ({
+            itemId: line.itemId,
+            sku: line.sku,
+            size: line.size,
+            quantity: line.quantity,
+            unitPrice: line.unitPrice,
+            eligible: eligible[index],
+            freeQuantity: freeQuantities[index],
+            discount: toRupees(lineDiscounts[index])
+        }))
+    };
+};
+
+/**
+ * Count a use of the order's promo code once its payment is confirmed.
+ * @param {Object} order
+ */
+const recordRedemption = async (order) => {
+    if (!order.promoCode) return null;
+    return PromoCode.findOneAndUpdate({ code: order.promoCode }, { $inc: { currentUses: 1 } }, { new: true });
+};
+
+module.exports = {
+    PROMO_ERROR_STATUS,
+    evaluatePromoCode,
+    filterAvailableForUser,
+    matchesSegment,
+    recordRedemption,
+    describeLines,
+    isLineEligible,
+    allocateByWeight
+};
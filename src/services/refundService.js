@@ -0,0 +1,415 @@
+// Refund Service - Razorpay refunds for cancellations, returns and manual admin refunds.
+// Amounts are worked out per order line from what the customer actually paid, so a
+// promo discount and the shipping charge are prorated across the refunded units.
+// Every refund is recorded in Order.refunds[]; Razorpay webhooks settle its status.
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const razorpay = require('../utils/razorpay');
+const { toPaise, toRupees, buildPricing } = require('../utils/orderPricing');
+const { eventBus, EVENTS, orderEventPayload } = require('./eventBus');
+const logger = require('../utils/logger');
+
+const refundError = (code, message, details) => {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+};
+
+/**
+ * Work out a refund without issuing it.
+ * @param {Object} order - Order document
+ * @param {Object} options
+ * @param {boolean} [options.full] - Refund everything not yet refunded
+ * @param {Object[]} [options.lines] - `{ lineId | sku, quantity }` lines to refund
+ * @param {number} [options.amount] - Custom amount in rupees (goodwill refund, no lines)
+ * @param {boolean} [options.includeShipping=true] - Add the prorated shipping of the lines
+ * @returns {Promise<Object>} Quote in rupees, plus `amountPaise`
+ */
+const quoteRefund = async (order, { full = false, lines = [], amount = null, includeShipping = true } = {}) => {
+    if (order.payment_status !== 'Paid' || !order.razorpay_payment_id) {
+        throw refundError('REFUND_NOT_ALLOWED', 'Only orders paid through Razorpay can be refunded');
+    }
+
+    const pricing = await buildPricing(order);
+    const refundablePaise = pricing.totalPaise - pricing.refundedPaise;
+    if (refundablePaise <= 0) {
+        throw refundError('REFUND_NOT_ALLOWED', 'Order has already been fully refunded');
+    }
+
+    let requested = [];
+    let amountPaise;
+
+    if (full) {
+        requested = pricing.lines
+            .filter(entry => entry.remainingQuantity > 0)
+            .map(entry => ({ entry, quantity: entry.remainingQuantity }));
+    } else if (Array.isArray(lines) && lines.length > 0) {
+        const taken = new Map();
+        for (const requestLine of lines) {
+            const quantity = parseInt(requestLine.quantity);
+            const entry = pricing.lines.find(candidate =>
+                requestLine.lineId
+                    ? candidate.line._id?.toString() === requestLine.lineId.toString()
+                    : candidate.line.sku === requestLine.sku &&
+                      candidate.remainingQuantity - (taken.get(candidate) || 0) >= (quantity || 1)
+            );
+
+            if (!entry) {
+                throw refundError('INVALID_REFUND_REQUEST', `Order has no refundable line for ${requestLine.lineId || requestLine.sku}`);
+            }
+            if (!(quantity > 0) || quantity > entry.remainingQuantity - (taken.get(entry) || 0)) {
+                throw refundError('INVALID_REFUND_REQUEST', `Cannot refund ${requestLine.quantity} unit(s) of ${entry.line.sku}`, {
+                    sku: entry.line.sku,
+                    requested: requestLine.quantity,
+                    refundable: entry.remainingQuantity - (taken.get(entry) || 0)
+                });
+            }
+
+            taken.set(entry, (taken.get(entry) || 0) + quantity);
+        }
+        requested = [...taken.entries()].map(([entry, quantity]) => ({ entry, quantity }));
+    } else if (amount !== null && amount !== undefined) {
+        amountPaise = toPaise(amount);
+        if (amountPaise <= 0 || amountPaise > refundablePaise) {
+            throw refundError('INVALID_REFUND_REQUEST', `Refund amount must be between ₹0.01 and ₹${toRupees(refundablePaise)}`);
+        }
+    } else {
+        throw refundError('INVALID_REFUND_REQUEST', 'Specify full, lines or amount');
+    }
+
+    const quoteLines = requested.map(({ entry, quantity }) => {
+        const fraction = quantity / entry.line.quantity;
+        const linePaid = Math.round(entry.paid * fraction);
+        const grossAmount = entry.unitGross * quantity;
+        const shippingShare = includeShipping ? Math.round(entry.shipping * fraction) : 0;
+
+        return {
+            line: entry.line._id,
+            item_id: entry.line.item_id,
+            sku: entry.line.sku,
+            size: entry.line.size,
+            quantity,
+            unitPrice: entry.unitPrice,
+            grossAmount,
+            promoShare: Math.max(grossAmount - linePaid, 0),
+            shippingShare,
+            amount: linePaid + shippingShare
+        };
+    });
+
+    if (amountPaise === undefined) {
+        amountPaise = quoteLines.reduce((sum, line) => sum + line.amount, 0);
+
+        // Refunding every remaining unit with shipping returns the exact balance, so
+        // per-line rounding never leaves a few paise behind
+        const refundsEverything = pricing.lines.every(entry =>
+            entry.remainingQuantity === (requested.find(r => r.entry === entry)?.quantity || 0)
+        );
+        if ((full || refundsEverything) && includeShipping) {
+            amountPaise = refundablePaise;
+        }
+        amountPaise = Math.min(amountPaise, refundablePaise);
+    }
+
+    const itemsPaise = quoteLines.reduce((sum, line) => sum + line.grossAmount, 0);
+    const promoSharePaise = quoteLines.reduce((sum, line) => sum + line.promoShare, 0);
+    const shippingSharePaise = quoteLines.reduce((sum, line) => sum + line.shippingShare, 0);
+
+    return {
+        type: pricing.refundedPaise + amountPaise >= pricing.totalPaise ? 'full' : 'partial',
+        amount: toRupees(amountPaise),
+        amountPaise,
+        itemsAmount: toRupees(itemsPaise),
+        promoAdjustment: toRupees(promoSharePaise),
+        shippingAmount: toRupees(shippingSharePaise),
+        lines: quoteLines.map(line => ({
+            ...line,
+            grossAmount: toRupees(line.grossAmount),
+            promoShare: toRupees(line.promoShare),
+            shippingShare: toRupees(line.shippingShare),
+            amount: toRupees(line.amount)
+        })),
+        orderTotal: toRupees(pricing.totalPaise),
+        orderShipping: toRupees(pricing.shippingPaise),
+        orderPromoDiscount: toRupees(pricing.promoPaise),
+        refundedBefore: toRupees(pricing.refundedPaise),
+        refundableBefore: toRupees(refundablePaise),
+        refundableAfter: toRupees(refundablePaise - amountPaise)
+    };
+};
+
+// $inc for the refunded total and the refunded units of each line (negated to roll back)
+const refundIncrements = (amount, lines, sign = 1) => {
+    const inc = { refunded_amount: sign * amount };
+    const arrayFilters = [];
+    lines.forEach((line, index) => {
+        if (!line.line) return;
+        inc[`item_quantities.$[line${index}].refunded_quantity`] = sign * line.quantity;
+        arrayFilters.push({ [`line${index}._id`]: line.line });
+    });
+    return { inc, arrayFilters };
+};
+
+/**
+ * Issue a Razorpay refund for an order and record it in the order's refund history.
+ * The refunded total and line quantities are reserved with an optimistic update first,
+ * so two admins refunding the same order at once cannot exceed what was paid.
+ * @param {string|ObjectId} orderId
+ * @param {Object} options - quoteRefund options plus reason, notes, source, initiatedBy
+ * @returns {Promise<{ order: Object, refund: Object }>}
+ */
+const issueRefund = async (orderId, { reason = null, notes = null, source = 'admin', initiatedBy = null, ...quoteOptions } = {}) => {
+    const order = await Order.findById(orderId);
+    if (!order) {
+        throw refundError('ORDER_NOT_FOUND', 'Order not found');
+    }
+
+    const quote = await quoteRefund(order, quoteOptions);
+    const entryId = new mongoose.Types.ObjectId();
+    const previousRefunded = order.refunded_amount || 0;
+
+    const entry = {
+        _id: entryId,
+        type: quote.type,
+        source,
+        status: 'pending',
+        amount: quote.amount,
+        itemsAmount: quote.itemsAmount,
+        promoAdjustment: quote.promoAdjustment,
+        shippingAmount: quote.shippingAmount,
+        lines: quote.lines,
+        reason,
+        notes,
+        initiatedBy,
+        initiatedAt: new Date()
+    };
+
+    const reserve = refundIncrements(quote.amount, quote.lines);
+    const reserved = await Order.findOneAndUpdate(
+        { _id: order._id, $expr: { $eq: [{ $ifNull: ['$refunded_amount', 0] }, previousRefunded] } },
+        { $inc: reserve.inc, $push: { refunds: entry } },
+        { new: true, arrayFilters: reserve.arrayFilters }
+    );
+    if (!reserved) {
+        throw refundError('REFUND_CONFLICT', 'Order was refunded by another request at the same time, please retry');
+    }
+
+    let razorpayRefund;
+    try {
+        razorpayRefund = await razorpay.payments.refund(order.razorpay_payment_id, {
+            amount: quote.amountPaise,
+            speed: 'optimum',
+            receipt: `refund_${entryId}`,
+            notes: {
+                order_id: order._id.toString(),
+                refund_entry: entryId.toString(),
+                reason: reason || source
+            }
+        });
+    } catch (razorpayError) {
+        const description = razorpayError.error?.description || razorpayError.message || 'Unknown error';
+        logger.error(`Razorpay refund failed for order ${order._id}:`, description);
+
+        const rollback = refundIncrements(quote.amount, quote.lines, -1);
+        await Order.updateOne(
+            { _id: order._id },
+            {
+                $inc: rollback.inc,
+                $set: {
+                    'refunds.$[refund].status': 'failed',
+                    'refunds.$[refund].failureReason': description
+                }
+            },
+            { arrayFilters: [...rollback.arrayFilters, { 'refund._id': entryId }] }
+        );
+
+        throw refundError('RAZORPAY_REFUND_FAILED', `Refund failed: ${description}`);
+    }
+
+    const processed = razorpayRefund.status === 'processed';
+    const update = {
+        'refunds.$[refund].razorpayRefundId': razorpayRefund.id,
+        'refunds.$[refund].status': processed ? 'processed' : 'pending',
+        'refund.refundTransactionId': razorpayRefund.id,
+        'refund.refundStatus': processed ? 'processed' : 'pending',
+        'refund.amount': reserved.refunded_amount
+    };
+    if (processed) update['refunds.$[refund].processedAt'] = new Date();
+    if (source === 'return') update['refund.status'] = processed ? 'Processed' : 'Initiated';
+    if (toPaise(reserved.refunded_amount) >= toPaise(order.total_price)) {
+        update['orderMetadata.paymentStatus'] = 'refunded';
+    }
+
+    const updatedOrder = await Order.findOneAndUpdate(
+        { _id: order._id },
+        { $set: update },
+        { new: true, arrayFilters: [{ 'refund._id': entryId }] }
+    );
+    const refund = updatedOrder.refunds.id(entryId);
+
+    logger.info(`💸 Refund ${razorpayRefund.id} of ₹${quote.amount} (${quote.type}) issued for order ${order._id}`);
+    eventBus.publish(EVENTS.ORDER_REFUNDED, {
+        ...orderEventPayload(updatedOrder),
+        refundId: razorpayRefund.id,
+        refundEntryId: entryId.toString(),
+        refundAmount: quote.amount,
+        refundType: quote.type,
+        refundSource: source,
+        refundedTotal: updatedOrder.refunded_amount,
+        refundedItems: quote.lines.map(line => ({ sku: line.sku, size: line.size, quantity: line.quantity, amount: line.amount }))
+    });
+
+    return { order: updatedOrder, refund };
+};
+
+/**
+ * Settle a refund from a Razorpay refund.processed / refund.failed webhook.
+ * Refunds created outside the app (Razorpay dashboard) are added to the history.
+ * @param {Object} refundEntity - payload.refund.entity
+ * @param {'processed'|'failed'} status
+ * @returns {Promise<{ order: Object|null, result: string }>}
+ */
+const applyRefundWebhook = async (refundEntity, status) => {
+    const entryId = refundEntity.notes?.refund_entry;
+    const order = await Order.findOne({
+        $or: [
+            { 'refunds.razorpayRefundId': refundEntity.id },
+            ...(entryId && mongoose.Types.ObjectId.isValid(entryId) ? [{ 'refunds._id': entryId }] : []),
+            { razorpay_payment_id: refundEntity.payment_id }
+        ]
+    });
+    if (!order) {
+        return { order: null, result: `No order found for payment ${refundEntity.payment_id}` };
+    }
+
+    const amount = toRupees(refundEntity.amount || 0);
+    let entry = order.refunds.find(r => r.razorpayRefundId === refundEntity.id) ||
+        (entryId ? order.refunds.find(r => r._id.toString() === entryId) : null);
+
+    if (!entry) {
+        if (status === 'failed') {
+            return { order, result: `Refund ${refundEntity.id} failed and was never recorded` };
+        }
+
+        const refundedAmount = toRupees(toPaise(order.refunded_amount) + refundEntity.amount);
+        const updated = await Order.findOneAndUpdate(
+            { _id: order._id, 'refunds.razorpayRefundId': { $ne: refundEntity.id } },
+            {
+                $inc: { refunded_amount: amount },
+                $push: {
+                    refunds: {
+                        razorpayRefundId: refundEntity.id,
+                        type: toPaise(refundedAmount) >= toPaise(order.total_price) ? 'full' : 'partial',
+                        source: 'admin',
+                        status: 'processed',
+                        amount,
+                        notes: 'Issued outside the app (Razorpay dashboard)',
+                        initiatedAt: refundEntity.created_at ? new Date(refundEntity.created_at * 1000) : new Date(),
+                        processedAt: new Date()
+                    }
+                },
+                $set: {
+                    'refund.refundTransactionId': refundEntity.id,
+                    'refund.refundStatus': 'processed',
+                    'refund.amount': refundedAmount,
+                    ...(toPaise(refundedAmount) >= toPaise(order.total_price) ? { 'orderMetadata.paymentStatus': 'refunded' } : {})
+                }
+            },
+            { new: true }
+        );
+        return { order: updated || order, result: `Recorded external refund ${refundEntity.id} of ₹${amount}` };
+    }
+
+    if (entry.status === status) {
+        return { order, result: `Refund ${refundEntity.id} already ${status}` };
+    }
+
+    const isReturn = entry.source === 'return';
+    if (status === 'processed') {
+        // Razorpay can still process a refund whose API call errored (e.g. timed out)
+        const reapply = entry.status === 'failed' ? refundIncrements(entry.amount, entry.lines) : null;
+        await Order.updateOne(
+            { _id: order._id },
+            {
+                ...(reapply ? { $inc: reapply.inc } : {}),
+                $set: {
+                    'refunds.$[refund].razorpayRefundId': refundEntity.id,
+                    'refunds.$[refund].status': 'processed',
+                    'refunds.$[refund].processedAt': new Date(),
+                    'refund.refundTransactionId': refundEntity.id,
+                    'refund.refundStatus': 'processed',
+                    ...(isReturn ? { 'refund.status': 'Processed' } : {})
+                }
+            },
+            { arrayFilters: [...(reapply ? reapply.arrayFilters : []), { 'refund._id': entry._id }] }
+        );
+        eventBus.publish(EVENTS.REFUND_PROCESSED, {
+            ...orderEventPayload(order),
+            refundId: refundEntity.id,
+            refundEntryId: entry._id.toString(),
+            refundAmount: amount,
+            refundSource: entry.source
+        });
+        return { order, result: `Refund ${refundEntity.id} of ₹${amount} processed` };
+    }
+
+    // A refund that failed after being accepted gives its amount and units back
+    const rollback = refundIncrements(entry.amount, entry.lines, -1);
+    await Order.updateOne(
+        { _id: order._id, refunds: { $elemMatch: { _id: entry._id, status: { $ne: 'failed' } } } },
+        {
+            $inc: rollback.inc,
+            $set: {
+                'refunds.$[refund].razorpayRefundId': refundEntity.id,
+                'refunds.$[refund].status': 'failed',
+                'refunds.$[refund].failureReason': refundEntity.error_description || 'Refund failed at Razorpay',
+                'refund.refundStatus': 'failed',
+                'refund.amount': toRupees(toPaise(order.refunded_amount) - toPaise(entry.amount)),
+                ...(isReturn ? { 'refund.status': 'Refund Failed' } : {})
+            }
+        },
+        { arrayFilters: [...rollback.arrayFilters, { 'refund._id': entry._id }] }
+    );
+    logger.warn(`⚠️ Refund ${refundEntity.id} for order ${order._id} failed at Razorpay`);
+    return { order, result: `Refund ${refundEntity.id} of ₹${amount} failed; amount returned to refundable balance` };
+};
+
+/**
+ * Refund state as shown to the customer (no admin notes or failure internals).
+ * @param {Object} order - Order document or lean object
+ * @returns {Object}
+ */
+const customerRefundSummary = (order) => {
+    const refunds = order.refunds || [];
+    const latest = refunds[refunds.length - 1];
+    const refundedAmount = order.refunded_amount || 0;
+
+    return {
+        refundedAmount,
+        refundableAmount: toRupees(Math.max(toPaise(order.total_price) - toPaise(refundedAmount), 0)),
+        status: latest ? latest.status : null,
+        refunds: refunds.map(refund => ({
+            refundId: refund.razorpayRefundId || null,
+            type: refund.type,
+            status: refund.status,
+            amount: refund.amount,
+            shippingAmount: refund.shippingAmount,
+            initiatedAt: refund.initiatedAt,
+            processedAt: refund.processedAt || null,
+            items: (refund.lines || []).map(line => ({
+                sku: line.sku,
+                size: line.size,
+                quantity: line.quantity,
+                amount: line.amount
+            }))
+        }))
+    };
+};
+
+module.exports = {
+    quoteRefund,
+    issueRefund,
+    applyRefundWebhook,
+    customerRefundSummary
+};
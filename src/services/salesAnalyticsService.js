@@ -0,0 +1,534 @@
+// Sales Analytics Service - first-party dashboard metrics from our own collections.
+// Everything is computed from Order, Cart, Wishlist and User with aggregation
+// pipelines; days and months are bucketed in IST to match the admin panel.
+// Revenue counts paid orders only, by order date, net of Razorpay refunds.
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const Wishlist = require('../models/Wishlist');
+const User = require('../models/User');
+const Item = require('../models/Item');
+const Category = require('../models/Category');
+const SubCategory = require('../models/SubCategory');
+
+const TIMEZONE = 'Asia/Kolkata';
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731;
+
+const BUCKET_FORMATS = {
+    day: '%Y-%m-%d',
+    week: '%G-W%V',
+    month: '%Y-%m',
+};
+
+const analyticsError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const rate = (part, whole) => (whole > 0 ? round2((part / whole) * 100) : 0);
+
+// Percentage change from the comparison period (null when there is nothing to compare with)
+const change = (current, previous) => (previous ? round2(((current - previous) / previous) * 100) : null);
+
+const formatDay = (date) => new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+// 'YYYY-MM-DD' (IST) → start of that day
+const parseDay = (value, name) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    const date = match ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]) - IST_OFFSET_MS) : null;
+    if (!date || isNaN(date.getTime()) || formatDay(date) !== match[0]) {
+        throw analyticsError('INVALID_RANGE', `${name} must be a date in YYYY-MM-DD format`);
+    }
+    return date;
+};
+
+/**
+ * Resolve the reporting period and its comparison period from query parameters.
+ * @param {Object} query
+ * @param {string} [query.from] - YYYY-MM-DD (IST), defaults to 30 days before `to`
+ * @param {string} [query.to] - YYYY-MM-DD (IST, inclusive), defaults to today
+ * @param {string} [query.compare] - 'previous' (same length, immediately before), 'year' (same dates last year) or 'none'
+ * @returns {{ start: Date, end: Date, previous: { start: Date, end: Date }|null }} `end` is exclusive
+ */
+const parseRange = (query = {}) => {
+    const today = parseDay(formatDay(new Date()), 'to');
+    const end = new Date((query.to ? parseDay(query.to, 'to') : today).getTime() + DAY_MS);
+    const start = query.from ? parseDay(query.from, 'from') : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+    if (start >= end) {
+        throw analyticsError('INVALID_RANGE', 'from must be on or before to');
+    }
+    if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+        throw analyticsError('INVALID_RANGE', `Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+    }
+
+    let previous = null;
+    if (query.compare === 'year') {
+        const shift = (date) => {
+            const shifted = new Date(date);
+            shifted.setUTCFullYear(shifted.getUTCFullYear() - 1);
+            return shifted;
+        };
+        previous = { start: shift(start), end: shift(end) };
+    } else if (query.compare && query.compare !== 'none') {
+        if (query.compare !== 'previous') {
+            throw analyticsError('INVALID_RANGE', "compare must be 'previous', 'year' or 'none'");
+        }
+        previous = { start: new Date(start.getTime() - (end - start)), end: start };
+    }
+
+    return { start, end, previous };
+};
+
+const describeRange = ({ start, end }) => ({ from: formatDay(start), to: formatDay(new Date(end.getTime() - 1)) });
+
+const paidInRange = ({ start, end }) => ({
+    payment_status: 'Paid',
+    created_at: { $gte: start, $lt: end },
+});
+
+// item_id is stored as a string; invalid ids become null instead of failing the pipeline
+const itemObjectId = {
+    $convert: { input: '$item_quantities.item_id', to: 'objectId', onError: null, onNull: null },
+};
+
+/**
+ * Headline numbers: revenue, orders, AOV, units, refunds, discounts, customers.
+ * @param {{ start: Date, end: Date }} range
+ */
+const getSummary = async (range) => {
+    const [totals] = await Order.aggregate([
+        { $match: paidInRange(range) },
+        {
+            $group: {
+                _id: null,
+                orders: { $sum: 1 },
+                grossRevenue: { $sum: '$total_price' },
+                refunds: { $sum: { $ifNull: ['$refunded_amount', 0] } },
+                discounts: { $sum: { $add: [{ $ifNull: ['$promoDiscount', 0] }, { $ifNull: ['$automaticDiscount', 0] }] } },
+                units: { $sum: { $sum: '$item_quantities.quantity' } },
+                customers: { $addToSet: '$user' },
+            },
+        },
+        { $project: { _id: 0, orders: 1, grossRevenue: 1, refunds: 1, discounts: 1, units: 1, customers: { $size: '$customers' } } },
+    ]);
+
+    const summary = totals || { orders: 0, grossRevenue: 0, refunds: 0, discounts: 0, units: 0, customers: 0 };
+    const netRevenue = summary.grossRevenue - summary.refunds;
+
+    return {
+        grossRevenue: round2(summary.grossRevenue),
+        refunds: round2(summary.refunds),
+        netRevenue: round2(netRevenue),
+        discounts: round2(summary.discounts),
+        orders: summary.orders,
+        averageOrderValue: summary.orders ? round2(summary.grossRevenue / summary.orders) : 0,
+        unitsSold: summary.units,
+        unitsPerOrder: summary.orders ? round2(summary.units / summary.orders) : 0,
+        customers: summary.customers,
+    };
+};
+
+// Every bucket key between start and end, so charts get zero days instead of gaps
+const bucketKeys = ({ start, end }, granularity) => {
+    if (granularity === 'week') return null;
+
+    const keys = [];
+    for (let time = start.getTime(); time < end.getTime(); time += DAY_MS) {
+        const key = formatDay(new Date(time));
+        const bucket = granularity === 'month' ? key.slice(0, 7) : key;
+        if (keys[keys.length - 1] !== bucket) keys.push(bucket);
+    }
+    return keys;
+};
+
+/**
+ * Revenue, orders and AOV per day, week (ISO) or month.
+ * @param {{ start: Date, end: Date }} range
+ * @param {'day'|'week'|'month'} [granularity='day']
+ */
+const getRevenueSeries = async (range, granularity = 'day') => {
+    const format = BUCKET_FORMATS[granularity];
+    if (!format) {
+        throw analyticsError('INVALID_RANGE', `granularity must be one of: ${Object.keys(BUCKET_FORMATS).join(', ')}`);
+    }
+
+    const rows = await Order.aggregate([
+        { $match: paidInRange(range) },
+        {
+            $group: {
+                _id: { $dateToString: { format, date: '$created_at', timezone: TIMEZONE } },
+                orders: { $sum: 1 },
+                grossRevenue: { $sum: '$total_price' },
+                refunds: { $sum: { $ifNull: ['$refunded_amount', 0] } },
+                units: { $sum: { $sum: '$item_quantities.quantity' } },
+            },
+        },
+        { $sort: { _id: 1 } },
+    ]);
+
+    const byBucket = new Map(rows.map(row => [row._id, row]));
+    const keys = bucketKeys(range, granularity) || rows.map(row => row._id);
+
+    return keys.map(period => {
+        const row = byBucket.get(period) || { orders: 0, grossRevenue: 0, refunds: 0, units: 0 };
+        return {
+            period,
+            orders: row.orders,
+            grossRevenue: round2(row.grossRevenue),
+            netRevenue: round2(row.grossRevenue - row.refunds),
+            averageOrderValue: row.orders ? round2(row.grossRevenue / row.orders) : 0,
+            unitsSold: row.units,
+        };
+    });
+};
+
+/**
+ * Sales per category or subcategory. Line value is selling price x quantity, before
+ * order-level promo discounts and shipping.
+ * @param {{ start: Date, end: Date }} range
+ * @param {'category'|'subcategory'} [groupBy='category']
+ */
+const getRevenueByCategory = async (range, groupBy = 'category') => {
+    if (!['category', 'subcategory'].includes(groupBy)) {
+        throw analyticsError('INVALID_RANGE', "groupBy must be 'category' or 'subcategory'");
+    }
+    const groupField = groupBy === 'subcategory' ? '$item.subCategoryId' : '$item.categoryId';
+    const lookupFrom = groupBy === 'subcategory' ? SubCategory.collection.name : Category.collection.name;
+
+    const rows = await Order.aggregate([
+        { $match: paidInRange(range) },
+        { $unwind: '$item_quantities' },
+        {
+            $project: {
+                itemId: itemObjectId,
+                quantity: '$item_quantities.quantity',
+                refunded: { $ifNull: ['$item_quantities.refunded_quantity', 0] },
+                sales: { $multiply: [{ $ifNull: ['$item_quantities.price', 0] }, '$item_quantities.quantity'] },
+            },
+        },
+        {
+            $lookup: {
+                from: Item.collection.name,
+                localField: 'itemId',
+                foreignField: '_id',
+                pipeline: [{ $project: { categoryId: 1, subCategoryId: 1 } }],
+                as: 'item',
+            },
+        },
+        { $unwind: { path: '$item', preserveNullAndEmptyArrays: true } },
+        {
+            $group: {
+                _id: { $ifNull: [groupField, null] },
+                sales: { $sum: '$sales' },
+                unitsSold: { $sum: '$quantity' },
+                unitsRefunded: { $sum: '$refunded' },
+                orders: { $addToSet: '$_id' },
+            },
+        },
+        {
+            $lookup: {
+                from: lookupFrom,
+                localField: '_id',
+                foreignField: '_id',
+                pipeline: [{ $project: { name: 1, categoryId: 1 } }],
+                as: 'group',
+            },
+        },
+        {
+            $project: {
+                _id: 0,
+                id: '$_id',
+                name: { $ifNull: [{ $arrayElemAt: ['$group.name', 0] }, 'Uncategorised'] },
+                categoryId: { $arrayElemAt: ['$group.categoryId', 0] },
+                sales: 1,
+                unitsSold: 1,
+                unitsRefunded: 1,
+                orders: { $size: '$orders' },
+            },
+        },
+        { $sort: { sales: -1 } },
+    ]);
+
+    const totalSales = rows.reduce((sum, row) => sum + row.sales, 0);
+    return rows.map(row => ({
+        ...row,
+        sales: round2(row.sales),
+        share: rate(row.sales, totalSales),
+    }));
+};
+
+/**
+ * Units sold per SKU, with refunded units and how often the product is wishlisted.
+ * @param {{ start: Date, end: Date }} range
+ * @param {Object} [options]
+ * @param {number} [options.limit=50]
+ * @param {'units'|'sales'} [options.sortBy='units']
+ */
+const getUnitsBySku = async (range, { limit = 50, sortBy = 'units' } = {}) => {
+    const rows = await Order.aggregate([
+        { $match: paidInRange(range) },
+        { $unwind: '$item_quantities' },
+        {
+            $group: {
+                _id: '$item_quantities.sku',
+                itemId: { $first: itemObjectId },
+                size: { $first: '$item_quantities.size' },
+                unitsSold: { $sum: '$item_quantities.quantity' },
+                unitsRefunded: { $sum: { $ifNull: ['$item_quantities.refunded_quantity', 0] } },
+                sales: { $sum: { $multiply: [{ $ifNull: ['$item_quantities.price', 0] }, '$item_quantities.quantity'] } },
+                orders: { $sum: 1 },
+            },
+        },
+        { $sort: sortBy === 'sales' ? { sales: -1 } : { unitsSold: -1 } },
+        { $limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500) },
+        {
+            $lookup: {
+                from: Item.collection.name,
+                localField: 'itemId',
+                foreignField: '_id',
+                pipeline: [{ $project: { productName: 1 } }],
+                as: 'item',
+            },
+        },
+        {
+            $project: {
+                _id: 0,
+                sku: '$_id',
+                itemId: 1,
+                productName: { $arrayElemAt: ['$item.productName', 0] },
+                size: 1,
+                unitsSold: 1,
+                unitsRefunded: 1,
+                sales: 1,
+                orders: 1,
+            },
+        },
+    ]);
+
+    const wishlists = await Wishlist.aggregate([
+        { $match: { item: { $in: rows.map(row => row.itemId).filter(Boolean) } } },
+        { $group: { _id: '$item', count: { $sum: 1 } } },
+    ]);
+    const wishlistCounts = new Map(wishlists.map(row => [row._id.toString(), row.count]));
+
+    return rows.map(row => ({
+        ...row,
+        sales: round2(row.sales),
+        netUnits: row.unitsSold - row.unitsRefunded,
+        returnRate: rate(row.unitsRefunded, row.unitsSold),
+        wishlistCount: row.itemId ? wishlistCounts.get(row.itemId.toString()) || 0 : 0,
+    }));
+};
+
+/**
+ * Repeat-purchase rate: of the customers who paid for an order in the period, how many
+ * have paid for two or more orders overall (up to the end of the period), and how many
+ * had already bought before the period started.
+ * @param {{ start: Date, end: Date }} range
+ */
+const getRepeatPurchase = async ({ start, end }) => {
+    const [totals] = await Order.aggregate([
+        { $match: { payment_status: 'Paid', user: { $ne: null }, created_at: { $lt: end } } },
+        {
+            $group: {
+                _id: '$user',
+                orders: { $sum: 1 },
+                ordersInRange: { $sum: { $cond: [{ $gte: ['$created_at', start] }, 1, 0] } },
+                firstOrderAt: { $min: '$created_at' },
+            },
+        },
+        { $match: { ordersInRange: { $gt: 0 } } },
+        {
+            $group: {
+                _id: null,
+                customers: { $sum: 1 },
+                repeatCustomers: { $sum: { $cond: [{ $gte: ['$orders', 2] }, 1, 0] } },
+                returningCustomers: { $sum: { $cond: [{ $lt: ['$firstOrderAt', start] }, 1, 0] } },
+                ordersInRange: { $sum: '$ordersInRange' },
+            },
+        },
+    ]);
+
+    const result = totals || { customers: 0, repeatCustomers: 0, returningCustomers: 0, ordersInRange: 0 };
+    return {
+        customers: result.customers,
+        repeatCustomers: result.repeatCustomers,
+        repeatPurchaseRate: rate(result.repeatCustomers, result.customers),
+        returningCustomers: result.returningCustomers,
+        newCustomers: result.customers - result.returningCustomers,
+        ordersPerCustomer: result.customers ? round2(result.ordersInRange / result.customers) : 0,
+    };
+};
+
+// Months between two { year, month } parts, as a Mongo expression
+const monthIndex = (parts) => ({ $add: [{ $multiply: [`${parts}.year`, 12] }, `${parts}.month`] });
+
+/**
+ * Cohort retention by signup month: for users who signed up in each month of the
+ * period, the share who paid for an order in month 0 (signup month), 1, 2, ...
+ * @param {{ start: Date, end: Date }} range
+ */
+const getCohortRetention = async ({ start, end }) => {
+    const cohortFormat = { format: '%Y-%m', date: '$createdAt', timezone: TIMEZONE };
+
+    const [cohorts, activity] = await Promise.all([
+        User.aggregate([
+            { $match: { createdAt: { $gte: start, $lt: end } } },
+            { $group: { _id: { $dateToString: cohortFormat }, users: { $sum: 1 } } },
+            { $sort: { _id: 1 } },
+        ]),
+        Order.aggregate([
+            { $match: { payment_status: 'Paid', user: { $ne: null }, created_at: { $gte: start } } },
+            {
+                $lookup: {
+                    from: User.collection.name,
+                    localField: 'user',
+                    foreignField: '_id',
+                    pipeline: [{ $project: { createdAt: 1 } }],
+                    as: 'customer',
+                },
+            },
+            { $unwind: '$customer' },
+            { $match: { 'customer.createdAt': { $gte: start, $lt: end } } },
+            {
+                $project: {
+                    user: 1,
+                    cohort: { $dateToString: { ...cohortFormat, date: '$customer.createdAt' } },
+                    signup: { $dateToParts: { date: '$customer.createdAt', timezone: TIMEZONE } },
+                    ordered: { $dateToParts: { date: '$created_at', timezone: TIMEZONE } },
+                },
+            },
+            {
+                $group: {
+                    _id: { cohort: '$cohort', offset: { $subtract: [monthIndex('$ordered'), monthIndex('$signup')] } },
+                    users: { $addToSet: '$user' },
+                },
+            },
+            { $project: { _id: 0, cohort: '$_id.cohort', offset: '$_id.offset', customers: { $size: '$users' } } },
+        ]),
+    ]);
+
+    const now = new Date(Date.now() + IST_OFFSET_MS);
+    const currentMonth = now.getUTCFullYear() * 12 + now.getUTCMonth();
+
+    return cohorts.map(cohort => {
+        const [year, month] = cohort._id.split('-').map(Number);
+        const monthsSinceSignup = currentMonth - (year * 12 + month - 1);
+
+        const retention = [];
+        for (let offset = 0; offset <= monthsSinceSignup; offset++) {
+            const customers = activity.find(row => row.cohort === cohort._id && row.offset === offset)?.customers || 0;
+            retention.push({ month: offset, customers, rate: rate(customers, cohort.users) });
+        }
+
+        return { cohort: cohort._id, users: cohort.users, retention };
+    });
+};
+
+/**
+ * Conversion funnel for the period, in distinct customers per step:
+ * added to cart → placed an order → paid → delivered. Shoppers whose cart was
+ * cleared by checkout are counted at the cart step through their order.
+ * @param {{ start: Date, end: Date }} range
+ */
+const getFunnel = async ({ start, end }) => {
+    const window = { $gte: start, $lt: end };
+
+    const [cartUsers, [orders]] = await Promise.all([
+        Cart.distinct('user', { createdAt: window }),
+        Order.aggregate([
+            { $match: { created_at: window } },
+            {
+                $group: {
+                    _id: null,
+                    orderUsers: { $addToSet: '$user' },
+                    paidUsers: { $addToSet: { $cond: [{ $eq: ['$payment_status', 'Paid'] }, '$user', '$$REMOVE'] } },
+                    deliveredUsers: {
+                        $addToSet: {
+                            $cond: [
+                                { $or: [{ $eq: ['$shipping_status', 'Delivered'] }, { $eq: ['$order_status', 'Delivered'] }] },
+                                '$user',
+                                '$$REMOVE',
+                            ],
+                        },
+                    },
+                    orders: { $sum: 1 },
+                    paidOrders: { $sum: { $cond: [{ $eq: ['$payment_status', 'Paid'] }, 1, 0] } },
+                    deliveredOrders: {
+                        $sum: {
+                            $cond: [{ $or: [{ $eq: ['$shipping_status', 'Delivered'] }, { $eq: ['$order_status', 'Delivered'] }] }, 1, 0],
+                        },
+                    },
+                },
+            },
+        ]),
+    ]);
+
+    const orderUsers = (orders?.orderUsers || []).map(String);
+    const carted = new Set([...cartUsers.map(String), ...orderUsers]).size;
+    const counts = [
+        { step: 'cart', customers: carted, orders: null },
+        { step: 'order', customers: orderUsers.length, orders: orders?.orders || 0 },
+        { step: 'paid', customers: orders?.paidUsers?.length || 0, orders: orders?.paidOrders || 0 },
+        { step: 'delivered', customers: orders?.deliveredUsers?.length || 0, orders: orders?.deliveredOrders || 0 },
+    ];
+
+    return counts.map((step, index) => ({
+        ...step,
+        fromPrevious: index === 0 ? 100 : rate(step.customers, counts[index - 1].customers),
+        fromStart: rate(step.customers, carted),
+    }));
+};
+
+/**
+ * Run a metric for the period and, when requested, the comparison period.
+ * @param {Object} range - parseRange() result
+ * @param {Function} compute - async (range) => result
+ * @returns {Promise<{ range: Object, current: *, previous: *, comparisonRange: Object|null }>}
+ */
+const withComparison = async (range, compute) => {
+    const [current, previous] = await Promise.all([
+        compute(range),
+        range.previous ? compute(range.previous) : null,
+    ]);
+
+    return {
+        range: describeRange(range),
+        comparisonRange: range.previous ? describeRange(range.previous) : null,
+        current,
+        previous,
+    };
+};
+
+/**
+ * Percentage change for every numeric field two flat metric objects share.
+ * @returns {Object|null}
+ */
+const compareMetrics = (current, previous) => {
+    if (!previous) return null;
+    return Object.fromEntries(
+        Object.keys(current)
+            .filter(key => typeof current[key] === 'number' && typeof previous[key] === 'number')
+            .map(key => [key, change(current[key], previous[key])])
+    );
+};
+
+module.exports = {
+    parseRange,
+    withComparison,
+    compareMetrics,
+    percentChange: change,
+    getSummary,
+    getRevenueSeries,
+    getRevenueByCategory,
+    getUnitsBySku,
+    getRepeatPurchase,
+    getCohortRetention,
+    getFunnel,
+};
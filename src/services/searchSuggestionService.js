@@ -0,0 +1,290 @@
+// Search Suggestion Service - type-ahead for the storefront search box.
+// As the shopper types, suggests product names (from the product search index),
+// categories, subcategories and filter values (colours, materials, ...), queries other
+// many shoppers searched and the shopper's own recent searches. Searches are logged
+// (models/SearchLog) to learn the popular and recent queries; a query that finds nothing
+// gets a "did you mean" from the catalogue vocabulary or a close popular query.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const SearchLog = require('../models/SearchLog');
+const Category = require('../models/Category');
+const SubCategory = require('../models/SubCategory');
+const Filter = require('../models/Filter');
+const productSearchService = require('./productSearchService');
+const { STOP_WORDS } = require('../config/searchSynonyms');
+const { toTerm, tokenize, words, normalizeWord, editDistance } = require('../utils/searchText');
+const logger = require('../utils/logger');
+
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A query is popular when this many different shoppers searched it, with results, in the window
+const POPULAR_WINDOW_DAYS = 30;
+const POPULAR_MIN_SEARCHERS = 3;
+const POPULAR_MAX_QUERIES = 500;
+
+const RECENT_LOOKBACK = 50;
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 10;
+
+let catalogCache = null;
+let popularCache = null;
+
+const STOP_TERMS = new Set(STOP_WORDS.map(toTerm));
+
+// Query terms without filler words, so "show me jeans" and "jeans" count as one query
+const normalizeQuery = (query) => {
+    const terms = tokenize(query);
+    const meaningful = terms.filter(term => !STOP_TERMS.has(term));
+    return (meaningful.length > 0 ? meaningful : terms).join(' ');
+};
+
+// One key per shopper: the account when signed in, else a hash of the connection
+const searcherKey = (userId, visitor) => {
+    if (userId) return `user:${userId}`;
+    if (!visitor?.ip) return null;
+    const hash = crypto.createHash('sha256').update(`${visitor.ip}|${visitor.userAgent || ''}`).digest('hex');
+    return `visitor:${hash.slice(0, 32)}`;
+};
+
+const matchForms = (text) => {
+    const terms = tokenize(text);
+    return { terms, prefixes: [...new Set([...terms, ...words(text).map(normalizeWord)])] };
+};
+
+/**
+ * Record a storefront search. Never throws: a failed log must not fail the search.
+ * @param {Object} params
+ * @param {string} params.query - As typed
+ * @param {number} params.resultsCount
+ * @param {string} [params.userId]
+ * @param {string} [params.source='text'] - text | voice
+ * @param {Object} [params.visitor] - { ip, userAgent }, to tell signed-out shoppers apart
+ */
+const logSearch = async ({ query, resultsCount, userId = null, source = 'text', visitor = null }) => {
+    try {
+        const text = String(query || '').trim().slice(0, MAX_QUERY_LENGTH);
+        const normalized = normalizeQuery(text);
+        if (!normalized) return;
+
+        const user = userId && mongoose.Types.ObjectId.isValid(userId) ? userId : null;
+        await SearchLog.create({
+            query: text,
+            normalized,
+            resultsCount: resultsCount || 0,
+            source,
+            user,
+            searcher: searcherKey(user, visitor)
+        });
+    } catch (error) {
+        logger.error('Search log failed:', error.message);
+    }
+};
+
+/**
+ * Categories, subcategories and filter values to match against, each with its words.
+ * @returns {Promise<Object[]>}
+ */
+const getCatalogEntries = async () => {
+    if (catalogCache && Date.now() - catalogCache.loadedAt < CACHE_TTL_MS) return catalogCache.entries;
+
+    const [categories, subCategories, filters] = await Promise.all([
+        Category.find().select('name imageUrl').lean(),
+        SubCategory.find().select('name imageUrl categoryId').lean(),
+        Filter.find().select('key values').lean()
+    ]);
+
+    const entries = [
+        ...categories.map(category => ({
+            group: 'categories',
+            suggestion: { type: 'category', id: String(category._id), name: category.name, imageUrl: category.imageUrl || null }
+        })),
+        ...subCategories.map(subCategory => ({
+            group: 'categories',
+            suggestion: {
+                type: 'subcategory',
+                id: String(subCategory._id),
+                name: subCategory.name,
+                categoryId: subCategory.categoryId ? String(subCategory.categoryId) : null,
+                imageUrl: subCategory.imageUrl || null
+            }
+        })),
+        ...filters.flatMap(filter => (filter.values || []).map(value => ({
+            group: 'filters',
+            suggestion: { type: 'filter', key: filter.key, name: value.name, code: value.code || null }
+        })))
+    ]
+        .filter(entry => entry.suggestion.name)
+        .map(entry => ({ ...entry, label: entry.suggestion.name.toLowerCase(), match: matchForms(entry.suggestion.name) }));
+
+    catalogCache = { entries, loadedAt: Date.now() };
+    return entries;
+};
+
+/**
+ * Queries at least POPULAR_MIN_SEARCHERS different shoppers searched with results over
+ * the window, most searchers first. Shown in the catalogue's words (corrected), never as
+ * typed; a query with words the catalogue does not know is left out.
+ * @returns {Promise<Object[]>} [{ normalized, query, count }] - count is of shoppers
+ */
+const getPopularQueries = async () => {
+    if (popularCache && Date.now() - popularCache.loadedAt < CACHE_TTL_MS) return popularCache.queries;
+
+    const rows = await SearchLog.aggregate([
+        {
+            $match: {
+                createdAt: { $gte: new Date(Date.now() - POPULAR_WINDOW_DAYS * DAY_MS) },
+                resultsCount: { $gt: 0 },
+                searcher: { $type: 'string' }
+            }
+        },
+        { $group: { _id: { normalized: '$normalized', searcher: '$searcher' } } },
+        { $group: { _id: '$_id.normalized', count: { $sum: 1 } } },
+        { $match: { count: { $gte: POPULAR_MIN_SEARCHERS } } },
+        { $sort: { count: -1 } },
+        { $limit: POPULAR_MAX_QUERIES }
+    ]);
+
+    const queries = rows
+        .map(row => ({ normalized: row._id, query: productSearchService.catalogPhrase(row._id), count: row.count }))
+        .filter(entry => entry.query);
+    popularCache = { queries, loadedAt: Date.now() };
+    return queries;
+};
+
+// Whether a suggestion completes what was typed: every typed word but the last is one of
+// its terms, and the last starts one of its words, stemmed or as written ("hoodie" is a
+// prefix of "hoodies" but not of its stem "hoody")
+const completes = (candidate, typed) => typed.complete.every(term => candidate.terms.includes(term))
+    && candidate.prefixes.some(word => typed.last.some(last => word.startsWith(last)));
+
+/**
+ * The shopper's own recent distinct queries, newest first.
+ * @param {string} userId
+ * @returns {Promise<Object[]>} [{ normalized, query, searchedAt }]
+ */
+const getRecentQueries = async (userId) => {
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) return [];
+
+    const logs = await SearchLog.find({ user: userId })
+        .sort({ createdAt: -1 })
+        .limit(RECENT_LOOKBACK)
+        .select('query normalized createdAt')
+        .lean();
+
+    const seen = new Set();
+    return logs
+        .filter(log => !seen.has(log.normalized) && seen.add(log.normalized))
+        .map(log => ({ normalized: log.normalized, query: log.query, searchedAt: log.createdAt }));
+};
+
+/**
+ * "Did you mean" for a query that found nothing: the catalogue vocabulary correction, or
+ * the popular query closest to it.
+ * @param {string} query
+ * @param {Object[]} [popularQueries]
+ * @returns {Promise<string|null>}
+ */
+const getDidYouMean = async (query, popularQueries) => {
+    const correction = productSearchService.suggestCorrection(query);
+    if (correction) return correction;
+
+    const normalized = normalizeQuery(query);
+    if (normalized.length < 4) return null;
+    const maxDistance = normalized.length < 8 ? 1 : 2;
+
+    const candidates = popularQueries || await getPopularQueries();
+    let best = null;
+    for (const candidate of candidates) {
+        if (candidate.normalized === normalized) continue;
+        const distance = editDistance(normalized, candidate.normalized, maxDistance);
+        if (distance <= maxDistance && (!best || distance < best.distance)) best = { distance, query: candidate.query };
+    }
+    return best ? best.query : null;
+};
+
+/**
+ * Type-ahead suggestions for a partly typed query. With an empty query, only the popular
+ * and (for a signed-in shopper) recent queries are returned.
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {string} [options.userId]
+ * @param {number} [options.limit=5] - Per group
+ * @returns {Promise<Object>} { query, products, categories, filters, popularQueries, recentQueries, didYouMean }
+ */
+const getSuggestions = async (query, { userId = null, limit = DEFAULT_LIMIT } = {}) => {
+    const text = String(query || '').trim().slice(0, MAX_QUERY_LENGTH);
+    const perGroup = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const typedWords = words(text);
+    const lastWord = normalizeWord(typedWords[typedWords.length - 1] || '');
+    // The last word may be unfinished; filler words before it are ignored
+    const typed = {
+        complete: tokenize(typedWords.slice(0, -1).join(' ')).filter(term => !STOP_TERMS.has(term)),
+        last: [...new Set([lastWord, toTerm(lastWord)])]
+    };
+
+    const [popular, recent] = await Promise.all([getPopularQueries(), getRecentQueries(userId)]);
+
+    if (!lastWord) {
+        return {
+            query: text,
+            products: [],
+            categories: [],
+            filters: [],
+            popularQueries: popular.slice(0, perGroup).map(entry => ({ query: entry.query, count: entry.count })),
+            recentQueries: recent.slice(0, perGroup).map(entry => ({ query: entry.query, searchedAt: entry.searchedAt })),
+            didYouMean: null
+        };
+    }
+
+    const matchesTyped = (entry) => completes(matchForms(entry.query), typed);
+    const label = text.toLowerCase();
+
+    const [productResult, catalogEntries] = await Promise.all([
+        productSearchService.search(text, { limit: perGroup, prefix: true }),
+        getCatalogEntries()
+    ]);
+
+    const catalogMatches = catalogEntries
+        .filter(entry => completes(entry.match, typed))
+        // Names starting with what was typed first, then shorter names
+        .sort((a, b) => Number(b.label.startsWith(label)) - Number(a.label.startsWith(label)) || a.label.length - b.label.length);
+
+    const unique = (entries) => {
+        const seen = new Set();
+        return entries.filter((entry) => {
+            const key = `${entry.suggestion.type}:${entry.suggestion.key || ''}:${entry.label}`;
+            return !seen.has(key) && seen.add(key);
+        });
+    };
+
+    return {
+        query: text,
+        products: productResult.results.map(result => ({
+            id: result.itemId,
+            name: result.name,
+            highlight: result.highlights.productName || null
+        })),
+        categories: unique(catalogMatches.filter(entry => entry.group === 'categories')).slice(0, perGroup).map(entry => entry.suggestion),
+        filters: unique(catalogMatches.filter(entry => entry.group === 'filters')).slice(0, perGroup).map(entry => entry.suggestion),
+        popularQueries: popular
+            .filter(matchesTyped)
+            .slice(0, perGroup)
+            .map(entry => ({ query: entry.query, count: entry.count })),
+        recentQueries: recent
+            .filter(matchesTyped)
+            .slice(0, perGroup)
+            .map(entry => ({ query: entry.query, searchedAt: entry.searchedAt })),
+        didYouMean: productResult.total === 0
+            ? productResult.correctedQuery || await getDidYouMean(text, popular)
+            : null
+    };
+};
+
+module.exports = {
+    logSearch,
+    getSuggestions,
+    getDidYouMean,
+    getPopularQueries
+};
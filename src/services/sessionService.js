@@ -0,0 +1,388 @@
+// Session Service - login sessions, refresh token rotation and access token revocation.
+// A login starts an AuthSession for the device and returns a short-lived access token
+// (carrying the session id as `sid`) and a refresh token. Refreshing rotates the refresh
+// token; presenting one that was already rotated means it leaked, so the whole session is
+// revoked. Revoked tokens, sessions and "everything before" cut-offs go on a revocation
+// list (RevokedToken) that the auth middleware checks through a short in-memory cache.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AuthSession = require('../models/AuthSession');
+const RevokedToken = require('../models/RevokedToken');
+const User = require('../models/User');
+const { generateAccessToken } = require('../utils/generateToken');
+const logger = require('../utils/logger');
+
+const ACCESS_TOKEN_TTL_SECONDS = (parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES, 10) || 15) * 60;
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+// Tokens issued before sessions existed lived up to 30 days; user-wide cut-offs must outlast them
+const LEGACY_TOKEN_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const REVOCATION_CACHE_TTL_MS = 30 * 1000;
+const MAX_ROTATED_HASHES = 50;
+
+// HTTP status for each session error code
+const SESSION_ERROR_STATUS = {
+    REFRESH_TOKEN_INVALID: 401,
+    REFRESH_TOKEN_EXPIRED: 401,
+    REFRESH_TOKEN_REUSED: 401,
+    SESSION_REVOKED: 401,
+    SESSION_NOT_FOUND: 404,
+    USER_NOT_FOUND: 404
+};
+
+const sessionError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+// Claims for an access token: the user minus secrets
+const tokenClaims = (user) => {
+    const claims = typeof user.toObject === 'function' ? user.toObject() : { ...user };
+    delete claims.password;
+    return claims;
+};
+
+const deviceInfo = (req) => {
+    const body = req.body || {};
+    return {
+        deviceId: req.headers['x-device-id'] || body.deviceId || null,
+        deviceName: req.headers['x-device-name'] || body.deviceName || null,
+        platform: req.headers['x-platform'] || body.platform || null,
+        userAgent: req.headers['user-agent'] || null,
+        // req.ip follows the app's trust proxy setting; a raw X-Forwarded-For is set by the client
+        ip: req.ip || req.connection?.remoteAddress || null
+    };
+};
+
+const issueTokens = (session, claims, refreshSecret) => ({
+    token: generateAccessToken(claims, String(session._id), ACCESS_TOKEN_TTL_SECONDS),
+    ...(refreshSecret && { refreshToken: `${session._id}.${refreshSecret}` }),
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    refreshTokenExpiresAt: session.expiresAt,
+    sessionId: String(session._id)
+});
+
+// ---------------------------------------------------------------------------
+// Revocation list
+// ---------------------------------------------------------------------------
+
+let revocationCache = null; // { loadedAt, tokens: Set<jti>, sessions: Set<sid>, users: Map<userId, ms> }
+let revocationLoad = null;
+
+const emptyRevocationList = () => ({ loadedAt: Date.now(), tokens: new Set(), sessions: new Set(), users: new Map() });
+
+const loadRevocationList = async () => {
+    const entries = await RevokedToken.find({ expiresAt: { $gt: new Date() } }).select('type key revokedBefore').lean();
+    const list = emptyRevocationList();
+    entries.forEach(entry => {
+        if (entry.type === 'token') list.tokens.add(entry.key);
+        else if (entry.type === 'session') list.sessions.add(entry.key);
+        else if (entry.type === 'user' && entry.revokedBefore) list.users.set(entry.key, entry.revokedBefore.getTime());
+    });
+    revocationCache = list;
+    return list;
+};
+
+const getRevocationList = () => {
+    if (revocationCache && Date.now() - revocationCache.loadedAt < REVOCATION_CACHE_TTL_MS) {
+        return Promise.resolve(revocationCache);
+    }
+    if (!revocationLoad) {
+        revocationLoad = loadRevocationList()
+            .catch(error => {
+                // Keep serving the last list (or none) and try again after the cache period
+                logger.error('Failed to load the token revocation list:', error.message);
+                revocationCache = { ...(revocationCache || emptyRevocationList()), loadedAt: Date.now() };
+                return revocationCache;
+            })
+            .finally(() => {
+                revocationLoad = null;
+            });
+    }
+    return revocationLoad;
+};
+
+const addRevocation = async (type, key, { userId = null, revokedBefore = null, reason = null, expiresAt }) => {
+    await RevokedToken.updateOne(
+        { type, key },
+        { $set: { userId, revokedBefore, reason, expiresAt } },
+        { upsert: true }
+    );
+    // Apply locally right away; other instances pick it up on their next reload
+    if (!revocationCache) return;
+    if (type === 'token') revocationCache.tokens.add(key);
+    else if (type === 'session') revocationCache.sessions.add(key);
+    else if (type === 'user') revocationCache.users.set(key, revokedBefore.getTime());
+};
+
+/**
+ * Whether a verified access token has been revoked: the token itself, its session, or
+ * everything its user was issued before a cut-off.
+ * @param {Object} decoded - jwt.verify result
+ * @returns {Promise<boolean>}
+ */
+const isAccessTokenRevoked = async (decoded) => {
+    const list = await getRevocationList();
+    if (decoded.jti && list.tokens.has(decoded.jti)) return true;
+    if (decoded.sid && list.sessions.has(String(decoded.sid))) return true;
+    const revokedBefore = list.users.get(String(decoded._id));
+    // iat is in whole seconds: a token issued later in the cut-off's second is still valid
+    // (revokeAllSessions also lists each session, whose tokens are caught by sid above)
+    return Boolean(revokedBefore && decoded.iat && decoded.iat < Math.floor(revokedBefore / 1000));
+};
+
+// ---------------------------------------------------------------------------
+// Sessions
+// ---------------------------------------------------------------------------
+
+const revokeSessionDocument = async (session, reason) => {
+    if (!session.revokedAt) {
+        await AuthSession.updateOne(
+            { _id: session._id, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+    }
+    // Access tokens of the session stay valid until they expire unless listed
+    await addRevocation('session', String(session._id), {
+        userId: session.userId,
+        reason,
+        expiresAt: new Date(Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000)
+    });
+};
+
+/**
+ * Start a session for a user who has just authenticated. A previous session on the same
+ * device (x-device-id) is replaced.
+ * @param {Object} user - User document or the claims to put in the access token
+ * @param {Object} req - Login request, for device details
+ * @param {string} [authMethod] - password, otp, firebase, ...
+ * @returns {Promise<{ token, refreshToken, expiresIn, refreshTokenExpiresAt, sessionId }>}
+ */
+const startSession = async (user, req, authMethod = null) => {
+    const claims = tokenClaims(user);
+    const device = deviceInfo(req);
+
+    if (device.deviceId) {
+        const previous = await AuthSession.find({ userId: claims._id, deviceId: device.deviceId, revokedAt: null })
+            .select('_id userId revokedAt')
+            .lean();
+        await Promise.all(previous.map(session => revokeSessionDocument(session, 'replaced')));
+    }
+
+    const secret = newSecret();
+    const session = await AuthSession.create({
+        userId: claims._id,
+        ...device,
+        authMethod,
+        refreshTokenHash: hashSecret(secret),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+    return issueTokens(session, claims, secret);
+};
+
+const parseRefreshToken = (refreshToken) => {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+        throw sessionError('REFRESH_TOKEN_INVALID', 'Invalid refresh token, please login again');
+    }
+    return { sessionId, hash: hashSecret(secret) };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token. Reusing a refresh
+ * token that was already exchanged revokes the session.
+ * @param {string} refreshToken
+ * @param {Object} req
+ * @returns {Promise<Object>} Tokens plus the current user
+ */
+const refreshSession = async (refreshToken, req) => {
+    const { sessionId, hash } = parseRefreshToken(refreshToken);
+    const secret = newSecret();
+    const device = deviceInfo(req);
+
+    // Rotate only if the presented token is still the current one, so two refreshes with
+    // the same token cannot both succeed
+    const session = await AuthSession.findOneAndUpdate(
+        { _id: sessionId, refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: new Date() } },
+        {
+            $set: {
+                refreshTokenHash: hashSecret(secret),
+                lastUsedAt: new Date(),
+                expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+                ip: device.ip,
+                ...(device.userAgent && { userAgent: device.userAgent })
+            },
+            $push: { rotatedTokenHashes: { $each: [hash], $slice: -MAX_ROTATED_HASHES } },
+            $inc: { rotationCount: 1 }
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        const existing = await AuthSession.findById(sessionId).select('+rotatedTokenHashes');
+        if (!existing) throw sessionError('REFRESH_TOKEN_INVALID', 'Invalid refresh token, please login again');
+
+        if (existing.rotatedTokenHashes.includes(hash)) {
+            await revokeSessionDocument(existing, 'reuse_detected');
+            logger.warn(`Refresh token reuse on session ${existing._id} (user ${existing.userId}); session revoked`);
+            throw sessionError('REFRESH_TOKEN_REUSED', 'This refresh token was already used. The session has been signed out, please login again');
+        }
+        if (existing.refreshTokenHash !== hash) {
+            throw sessionError('REFRESH_TOKEN_INVALID', 'Invalid refresh token, please login again');
+        }
+        if (existing.revokedAt) throw sessionError('SESSION_REVOKED', 'Session has been signed out, please login again');
+        throw sessionError('REFRESH_TOKEN_EXPIRED', 'Session expired, please login again');
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+        await revokeSessionDocument(session, 'account_deleted');
+        throw sessionError('USER_NOT_FOUND', 'User not found');
+    }
+
+    const claims = tokenClaims(user);
+    return { ...issueTokens(session, claims, secret), user: claims };
+};
+
+/**
+ * New access token for a still-valid access token (the original /refresh-token flow).
+ * Tokens bound to a session get a new access token for that session; older tokens without
+ * a session are moved onto one and receive a refresh token.
+ * @param {Object} decoded - Verified access token claims
+ * @param {Object} req
+ */
+const reissueAccessToken = async (decoded, req) => {
+    const user = await User.findById(decoded._id);
+    if (!user) throw sessionError('USER_NOT_FOUND', 'User not found');
+    const claims = tokenClaims(user);
+
+    if (!decoded.sid) {
+        return { ...await startSession(claims, req, 'token_upgrade'), user: claims };
+    }
+
+    const session = await AuthSession.findOneAndUpdate(
+        { _id: decoded.sid, userId: user._id, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { lastUsedAt: new Date() } },
+        { new: true }
+    );
+    if (!session) throw sessionError('SESSION_REVOKED', 'Session has been signed out, please login again');
+    return { ...issueTokens(session, claims, null), user: claims };
+};
+
+/**
+ * Sign out: revoke the presented access token and its session. A refresh token may be
+ * given instead of (or with) the access token, e.g. when the access token has expired.
+ * @param {Object|null} decoded - Verified access token claims, if any
+ * @param {string} [refreshToken]
+ */
+const logout = async (decoded, refreshToken) => {
+    if (decoded?.jti && decoded.exp) {
+        await addRevocation('token', decoded.jti, {
+            userId: decoded._id,
+            reason: 'logout',
+            expiresAt: new Date(decoded.exp * 1000)
+        });
+    }
+
+    let session = null;
+    if (decoded?.sid) {
+        session = await AuthSession.findOne({ _id: decoded.sid, userId: decoded._id }).select('_id userId revokedAt').lean();
+    } else if (refreshToken) {
+        // A malformed or unknown refresh token has no session to end
+        const [sessionId, secret] = String(refreshToken).split('.');
+        if (secret && mongoose.Types.ObjectId.isValid(sessionId)) {
+            session = await AuthSession.findOne({ _id: sessionId, refreshTokenHash: hashSecret(secret) })
+                .select('_id userId revokedAt')
+                .lean();
+        }
+    }
+    if (session) await revokeSessionDocument(session, 'logout');
+    return { sessionId: session ? String(session._id) : null };
+};
+
+/**
+ * Revoke one session of a user.
+ * @param {string} userId
+ * @param {string} sessionId
+ * @param {string} [reason]
+ */
+const revokeSession = async (userId, sessionId, reason = 'revoked') => {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) throw sessionError('SESSION_NOT_FOUND', 'Session not found');
+    const session = await AuthSession.findOne({ _id: sessionId, userId }).select('_id userId revokedAt').lean();
+    if (!session) throw sessionError('SESSION_NOT_FOUND', 'Session not found');
+    await revokeSessionDocument(session, reason);
+    return { sessionId: String(session._id) };
+};
+
+/**
+ * Sign a user out everywhere: every session, and every access token issued until now,
+ * including ones from before sessions existed.
+ * @param {string} userId
+ * @param {string} [reason]
+ * @returns {Promise<{ revokedSessions: number }>}
+ */
+const revokeAllSessions = async (userId, reason = 'logout_all') => {
+    const now = new Date();
+    // Listed per session too, so their tokens issued in the cut-off's own second are caught
+    const sessions = await AuthSession.find({ userId, revokedAt: null }).select('_id userId revokedAt').lean();
+    await Promise.all(sessions.map(session => revokeSessionDocument(session, reason)));
+    const modifiedCount = sessions.length;
+    await addRevocation('user', String(userId), {
+        userId,
+        revokedBefore: now,
+        reason,
+        expiresAt: new Date(now.getTime() + LEGACY_TOKEN_MAX_AGE_MS)
+    });
+    logger.info(`All sessions of user ${userId} revoked (${reason}): ${modifiedCount}`);
+    return { revokedSessions: modifiedCount };
+};
+
+/**
+ * A user's signed-in devices, most recently used first.
+ * @param {string} userId
+ * @param {{ currentSessionId?: string, includeRevoked?: boolean }} [options]
+ */
+const listSessions = async (userId, { currentSessionId = null, includeRevoked = false } = {}) => {
+    const filter = { userId };
+    if (!includeRevoked) Object.assign(filter, { revokedAt: null, expiresAt: { $gt: new Date() } });
+
+    const sessions = await AuthSession.find(filter).sort({ lastUsedAt: -1 }).limit(100).lean();
+    return sessions.map(session => ({
+        sessionId: String(session._id),
+        deviceId: session.deviceId,
+        deviceName: session.deviceName,
+        platform: session.platform,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        authMethod: session.authMethod,
+        signedInAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        revokedAt: session.revokedAt,
+        revokedReason: session.revokedReason,
+        current: String(session._id) === String(currentSessionId)
+    }));
+};
+
+/**
+ * Load the revocation list on startup. Safe to call more than once.
+ */
+const init = () => {
+    getRevocationList();
+};
+
+module.exports = {
+    SESSION_ERROR_STATUS,
+    init,
+    isAccessTokenRevoked,
+    startSession,
+    refreshSession,
+    reissueAccessToken,
+    logout,
+    revokeSession,
+    revokeAllSessions,
+    listSessions
+};
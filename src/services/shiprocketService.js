@@ -0,0 +1,157 @@
+// Shiprocket Service - API authentication, AWB assignment and shipment tracking shared by
+// the order controllers and support tooling.
+const logger = require('../utils/logger');
+
+const SHIPROCKET_API_BASE = 'https://apiv2.shiprocket.in/v1/external';
+const SHIPROCKET_EMAIL = process.env.SHIPROCKET_API_EMAIL;
+const SHIPROCKET_PASSWORD = process.env.SHIPROCKET_API_PASSWORD;
+// Tokens are valid for 10 days; refresh after 8
+const TOKEN_TTL_MS = 8 * 24 * 60 * 60 * 1000;
+
+// Validate Shiprocket environment variables
+if (!SHIPROCKET_EMAIL || !SHIPROCKET_PASSWORD) {
+    console.error('❌ Missing Shiprocket credentials in environment variables');
+    console.error('Required: SHIPROCKET_API_EMAIL, SHIPROCKET_API_PASSWORD');
+}
+
+console.log(`🔐 Shiprocket configured with API User: ${SHIPROCKET_EMAIL}`);
+console.log(`🏢 Company ID: 5783639 (Yoraa Apparels Private Limited)`);
+
+let shiprocketToken = null;
+let tokenExpiryTime = null;
+
+/**
+ * Cached API token, refreshed when it is about to expire.
+ * @returns {Promise<string|null>} null when no credentials are configured
+ */
+const getShiprocketToken = async () => {
+    try {
+        if (!SHIPROCKET_EMAIL || !SHIPROCKET_PASSWORD) {
+            console.error('❌ Shiprocket credentials not configured in environment variables');
+            return null;
+        }
+
+        if (shiprocketToken && tokenExpiryTime && new Date() < tokenExpiryTime) {
+            return shiprocketToken;
+        }
+
+        console.log('Refreshing Shiprocket token...');
+        const response = await fetch(`${SHIPROCKET_API_BASE}/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                email: SHIPROCKET_EMAIL,
+                password: SHIPROCKET_PASSWORD
+            })
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || `Authentication failed: ${response.status}`);
+        }
+
+        if (!data.token) {
+            throw new Error('No token received from Shiprocket');
+        }
+
+        shiprocketToken = data.token;
+        tokenExpiryTime = new Date(Date.now() + TOKEN_TTL_MS);
+
+        console.log('Shiprocket token refreshed successfully');
+        return shiprocketToken;
+    } catch (error) {
+        console.error('Shiprocket Auth Error:', error.message);
+        // Clear cached token on error
+        invalidateShiprocketToken();
+        throw new Error(`Failed to authenticate with Shiprocket: ${error.message}`);
+    }
+};
+
+// Drop the cached token, e.g. after Shiprocket answered 401
+const invalidateShiprocketToken = () => {
+    shiprocketToken = null;
+    tokenExpiryTime = null;
+};
+
+/**
+ * Assign an AWB (courier) to a shipment.
+ * @returns {Promise<Object>} { success, message, awbData?, error? }
+ */
+const generateAWBWithCourier = async (shipmentId, token) => {
+    try {
+        const awbResponse = await fetch(`${SHIPROCKET_API_BASE}/courier/assign/awb`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${token}`
+            },
+            body: JSON.stringify({ shipment_id: shipmentId })
+        });
+
+        const awbData = await awbResponse.json();
+        console.log('AWB Assignment Response:', JSON.stringify(awbData, null, 2));
+        if (awbResponse.ok && awbData.awb_assign_status === 1) {
+            return {
+                success: true,
+                message: 'AWB generated successfully',
+                awbData: awbData.response.data
+            };
+        }
+
+        console.error('Failed to generate AWB:', awbData);
+        if (awbData.status_code === 350) {
+            return {
+                success: false,
+                message: 'Insufficient Shiprocket wallet balance',
+                error: 'Please recharge your Shiprocket wallet. Minimum required balance is Rs 100.'
+            };
+        }
+        return {
+            success: false,
+            message: 'AWB generation failed',
+            error: awbData?.message || 'Unknown error'
+        };
+    } catch (error) {
+        console.error('Error generating AWB:', error);
+        return { success: false, message: 'Error generating AWB', error: error.message };
+    }
+};
+
+/**
+ * Live tracking of a shipment by AWB.
+ * @param {string} awbCode
+ * @returns {Promise<Object>} { success, currentStatus, shipmentTrack, expectedDelivery, error? }
+ */
+const trackAwb = async (awbCode) => {
+    const token = await getShiprocketToken();
+    const trackingResponse = await fetch(`${SHIPROCKET_API_BASE}/courier/track/awb/${awbCode}`, {
+        method: 'GET',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`
+        }
+    });
+
+    const trackingData = await trackingResponse.json();
+    if (!trackingResponse.ok) {
+        logger.warn(`Shiprocket tracking failed for AWB ${awbCode}: ${trackingData.message || trackingResponse.status}`);
+        return { success: false, error: trackingData.message || 'Tracking service unavailable' };
+    }
+
+    return {
+        success: true,
+        currentStatus: trackingData.tracking_data?.track_status || 'Unknown',
+        shipmentTrack: trackingData.tracking_data?.shipment_track || [],
+        trackActivities: trackingData.tracking_data?.shipment_track_activities || [],
+        expectedDelivery: trackingData.tracking_data?.etd || null
+    };
+};
+
+module.exports = {
+    SHIPROCKET_API_BASE,
+    getShiprocketToken,
+    invalidateShiprocketToken,
+    generateAWBWithCourier,
+    trackAwb
+};
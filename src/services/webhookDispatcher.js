@@ -0,0 +1,341 @@
+// Webhook Dispatcher - delivers event bus events to admin-registered endpoints
+const crypto = require('crypto');
+const axios = require('axios');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { eventBus, ALL_EVENTS } = require('./eventBus');
+const { resolvePermissions, hasPermissions } = require('./accessControlService');
+const logger = require('../utils/logger');
+
+const BASE_BACKOFF_MS = 2000; // first retry after 2s, then 4s, 8s, ...
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const MAX_STORED_RESPONSE_CHARS = 2000;
+// Settings are stored per user; only endpoints saved by admins allowed to manage
+// store settings receive events (payloads carry customer and order details)
+const WEBHOOK_OWNER_PERMISSION = 'settings.manage';
+
+/**
+ * Delivers business events to every active webhook endpoint subscribed to them,
+ * signing bodies with the endpoint secret and retrying with exponential backoff.
+ * Every delivery is persisted in WebhookDelivery for the logs/stats routes.
+ */
+class WebhookDispatcher {
+    constructor() {
+        this.initialized = false;
+        this.retryTimers = new Map();
+    }
+
+    /**
+     * Subscribe to the event bus and resume retries interrupted by a restart.
+     * Safe to call more than once.
+     */
+    init() {
+        if (this.initialized) return;
+        this.initialized = true;
+
+        eventBus.on(ALL_EVENTS, (envelope) => {
+            this.dispatch(envelope.event, envelope.data, envelope.timestamp).catch(error => {
+                logger.error(`Webhook dispatch failed for ${envelope.event}:`, error.message);
+            });
+        });
+
+        this.resumePendingRetries().catch(error => {
+            logger.error('Failed to resume pending webhook retries:', error.message);
+        });
+
+        logger.info('🔔 Webhook dispatcher subscribed to event bus');
+    }
+
+    /**
+     * Exponential backoff delay before the given (1-based) retry attempt.
+     * @param {number} attempt
+     * @returns {number} milliseconds
+     */
+    getBackoffDelay(attempt) {
+        return Math.min(BASE_BACKOFF_MS * Math.pow(2, attempt - 1), MAX_BACKOFF_MS);
+    }
+
+    /**
+     * HMAC-SHA256 signature of a serialized body, in the header format used by
+     * the test endpoint (`sha256=<hex>`).
+     * @param {string} secret
+     * @param {string} body
+     * @returns {string}
+     */
+    sign(secret, body) {
+        const digest = crypto.createHmac('sha256', secret).update(body).digest('hex');
+        return `sha256=${digest}`;
+    }
+
+    /**
+     * Which of the given Settings owners may receive store events.
+     * @param {Array<string|ObjectId>} userIds
+     * @returns {Promise<Set<string>>} Allowed user ids
+     */
+    async authorizedOwners(userIds) {
+        const admins = await User.find({ _id: { $in: userIds }, isAdmin: true }).select('isAdmin adminRoles').lean();
+        const allowed = new Set();
+        for (const admin of admins) {
+            if (hasPermissions(await resolvePermissions(admin), [WEBHOOK_OWNER_PERMISSION])) {
+                allowed.add(admin._id.toString());
+            }
+        }
+        return allowed;
+    }
+
+    /**
+     * Find every active endpoint subscribed to `event`, on settings owned by an authorized
+     * admin, and create one delivery per endpoint.
+     * @param {string} event
+     * @param {Object} data
+     * @param {string} [timestamp]
+     */
+    async dispatch(event, data, timestamp = new Date().toISOString()) {
+        const settingsDocs = await Settings.find({
+            'webhooks.endpoints': {
+                $elemMatch: { active: true, events: { $in: [event, ALL_EVENTS] } }
+            }
+        }).select('userId webhooks').lean();
+        if (settingsDocs.length === 0) return [];
+
+        const owners = await this.authorizedOwners(settingsDocs.map(settings => settings.userId).filter(Boolean));
+        const deliveries = [];
+        for (const settings of settingsDocs) {
+            if (!owners.has(String(settings.userId))) continue;
+
+            const endpoints = (settings.webhooks?.endpoints || []).filter(endpoint =>
+                endpoint.active && (endpoint.events.includes(event) || endpoint.events.includes(ALL_EVENTS))
+            );
+
+            for (const endpoint of endpoints) {
+                deliveries.push(this.createDelivery(settings, endpoint, event, data, timestamp));
+            }
+        }
+
+        if (deliveries.length === 0) return [];
+
+        logger.debug(`🔔 Dispatching ${event} to ${deliveries.length} webhook endpoint(s)`);
+        return Promise.all(deliveries);
+    }
+
+    /**
+     * Persist a delivery record and make the first attempt.
+     * @param {Object} settings - Lean Settings document (webhooks only)
+     * @param {Object} endpoint - Endpoint subdocument
+     * @param {string} event
+     * @param {Object} data
+     * @param {string} timestamp
+     * @param {Object} [options]
+     * @param {boolean} [options.isTest=false]
+     * @param {number} [options.maxAttempts] - Overrides Settings.webhooks.retryAttempts
+     */
+    async createDelivery(settings, endpoint, event, data, timestamp, options = {}) {
+        const webhookId = endpoint._id.toString();
+        const maxAttempts = options.maxAttempts || settings.webhooks?.retryAttempts || 3;
+
+        const delivery = new WebhookDelivery({
+            settingsId: settings._id,
+            webhookId,
+            event,
+            url: endpoint.url,
+            method: endpoint.method || 'POST',
+            maxAttempts,
+            isTest: !!options.isTest,
+            payload: {
+                event,
+                timestamp,
+                webhook_id: webhookId,
+                test: !!options.isTest,
+                data
+            }
+        });
+        delivery.payload.delivery_id = delivery._id.toString();
+        delivery.payloadSize = Buffer.byteLength(JSON.stringify(delivery.payload));
+        await delivery.save();
+
+        return this.attemptDelivery(delivery, endpoint, settings.webhooks || {});
+    }
+
+    /**
+     * Perform one HTTP attempt for a delivery, record the outcome and schedule
+     * a retry if attempts remain.
+     * @param {Object} delivery - WebhookDelivery document
+     * @param {Object} endpoint - Endpoint subdocument
+     * @param {Object} webhookSettings - Settings.webhooks
+     * @returns {Promise<Object>} The updated delivery
+     */
+    async attemptDelivery(delivery, endpoint, webhookSettings) {
+        const attempt = delivery.attemptCount + 1;
+        const body = JSON.stringify(delivery.payload);
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Yoraa-Webhook/1.0',
+            'X-Yoraa-Event': delivery.event,
+            'X-Yoraa-Delivery': delivery._id.toString(),
+            'X-Yoraa-Attempt': String(attempt),
+            ...(endpoint.headers instanceof Map ? Object.fromEntries(endpoint.headers) : endpoint.headers || {})
+        };
+
+        if (endpoint.secret && webhookSettings.enableSigning !== false) {
+            headers['X-Yoraa-Signature'] = this.sign(endpoint.secret, body);
+        }
+
+        const startTime = Date.now();
+        let result;
+
+        try {
+            const response = await axios({
+                method: delivery.method,
+                url: delivery.url,
+                data: body,
+                headers,
+                timeout: (webhookSettings.timeoutSeconds || 30) * 1000,
+                // Never follow the receiver into a redirect loop; treat 3xx as failure
+                maxRedirects: 0,
+                transformResponse: [raw => raw]
+            });
+
+            result = {
+                success: true,
+                responseCode: response.status,
+                responseBody: response.data,
+                error: null
+            };
+        } catch (error) {
+            result = {
+                success: false,
+                responseCode: error.response?.status || null,
+                responseBody: error.response?.data,
+                error: error.message
+            };
+        }
+
+        const duration = Date.now() - startTime;
+        const responseBody = typeof result.responseBody === 'string'
+            ? result.responseBody.slice(0, MAX_STORED_RESPONSE_CHARS)
+            : null;
+
+        delivery.attemptCount = attempt;
+        delivery.responseCode = result.responseCode;
+        delivery.duration = duration;
+        delivery.lastError = result.error;
+        delivery.attempts.push({
+            attempt,
+            responseCode: result.responseCode,
+            responseBody,
+            duration,
+            error: result.error
+        });
+
+        const willRetry = !result.success && attempt < delivery.maxAttempts;
+        if (result.success) {
+            delivery.status = 'success';
+            delivery.nextRetryAt = null;
+            delivery.completedAt = new Date();
+        } else if (willRetry) {
+            delivery.status = 'retrying';
+            delivery.nextRetryAt = new Date(Date.now() + this.getBackoffDelay(attempt));
+        } else {
+            delivery.status = 'failed';
+            delivery.nextRetryAt = null;
+            delivery.completedAt = new Date();
+        }
+
+        await delivery.save();
+        await this.updateEndpointCounters(delivery, result);
+
+        if (willRetry) {
+            this.scheduleRetry(delivery);
+        } else if (!result.success) {
+            logger.warn(`Webhook ${delivery.webhookId} gave up on ${delivery.event} after ${attempt} attempt(s): ${result.error}`);
+        }
+
+        return delivery;
+    }
+
+    /**
+     * Update the counters shown on the endpoint itself (triggerCount, status, ...).
+     * Uses a positional update so concurrent deliveries do not overwrite each other.
+     */
+    async updateEndpointCounters(delivery, result) {
+        const inc = { 'webhooks.endpoints.$.triggerCount': 1 };
+        inc[result.success ? 'webhooks.endpoints.$.successCount' : 'webhooks.endpoints.$.failureCount'] = 1;
+
+        const set = {
+            'webhooks.endpoints.$.lastTriggered': new Date(),
+            'webhooks.endpoints.$.status': result.success ? 'healthy' : 'error'
+        };
+        if (!result.success) {
+            set['webhooks.endpoints.$.lastError'] = result.error;
+        }
+
+        await Settings.updateOne(
+            { _id: delivery.settingsId, 'webhooks.endpoints._id': delivery.webhookId },
+            { $inc: inc, $set: set }
+        ).catch(error => {
+            logger.error(`Failed to update counters for webhook ${delivery.webhookId}:`, error.message);
+        });
+    }
+
+    /**
+     * Arm an in-process timer for the delivery's next attempt.
+     * @param {Object} delivery - WebhookDelivery document with nextRetryAt set
+     */
+    scheduleRetry(delivery) {
+        const deliveryId = delivery._id.toString();
+        const delay = Math.max(new Date(delivery.nextRetryAt).getTime() - Date.now(), 0);
+
+        clearTimeout(this.retryTimers.get(deliveryId));
+        const timer = setTimeout(() => {
+            this.retryTimers.delete(deliveryId);
+            this.retryDelivery(deliveryId).catch(error => {
+                logger.error(`Webhook retry failed for delivery ${deliveryId}:`, error.message);
+            });
+        }, delay);
+        // Pending retries must not keep the process alive on shutdown
+        if (timer.unref) timer.unref();
+        this.retryTimers.set(deliveryId, timer);
+    }
+
+    /**
+     * Reload a delivery and its endpoint, then make the next attempt. The endpoint
+     * is re-read so that deactivating or deleting it stops pending retries.
+     * @param {string} deliveryId
+     */
+    async retryDelivery(deliveryId) {
+        const delivery = await WebhookDelivery.findById(deliveryId);
+        if (!delivery || delivery.status !== 'retrying') return null;
+
+        const settings = await Settings.findById(delivery.settingsId).select('userId webhooks').lean();
+        const endpoint = settings?.webhooks?.endpoints?.find(e => e._id.toString() === delivery.webhookId);
+        const authorized = !!settings?.userId && (await this.authorizedOwners([settings.userId])).has(String(settings.userId));
+
+        if (!endpoint || !endpoint.active || !authorized) {
+            delivery.status = 'failed';
+            delivery.nextRetryAt = null;
+            delivery.completedAt = new Date();
+            delivery.lastError = !endpoint
+                ? 'Webhook deleted before retry'
+                : (endpoint.active ? 'Webhook owner is not allowed to receive events' : 'Webhook deactivated before retry');
+            await delivery.save();
+            return delivery;
+        }
+
+        return this.attemptDelivery(delivery, endpoint, settings.webhooks);
+    }
+
+    /**
+     * Re-arm timers for deliveries that were waiting to retry when the process stopped.
+     */
+    async resumePendingRetries() {
+        const pending = await WebhookDelivery.find({ status: 'retrying' }).select('_id nextRetryAt').lean();
+        pending.forEach(delivery => this.scheduleRetry(delivery));
+
+        if (pending.length > 0) {
+            logger.info(`🔔 Resumed ${pending.length} pending webhook retr${pending.length === 1 ? 'y' : 'ies'}`);
+        }
+    }
+}
+
+module.exports = new WebhookDispatcher();
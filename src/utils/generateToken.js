@@ -3,6 +3,7 @@ require("dotenv").config();
 
 // Import the jsonwebtoken library for creating and verifying JWTs
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 
 /**
  * Generates a JWT token for authentication or password reset.
@@ -21,4 +22,20 @@ exports.generateToken = (payload, passwordReset = false) => {
         : process.env.LOGIN_TOKEN_EXPIRATION, // Longer expiration for login (e.g., "30d")
     }
   );
-};
\ No newline at end of file
+};
+
+/**
+ * Generates a short-lived access token bound to a login session (see services/sessionService).
+ * The `sid` and `jti` claims let the session, or this one token, be revoked before it expires.
+ * @param {Object} payload - The user claims to encode.
+ * @param {string} sessionId - The AuthSession the token belongs to.
+ * @param {number} expiresInSeconds - Token lifetime.
+ * @returns {string} - The generated JWT token.
+ */
+exports.generateAccessToken = (payload, sessionId, expiresInSeconds) => {
+  return jwt.sign(
+    { ...payload, sid: sessionId },
+    process.env.SECRET_KEY,
+    { expiresIn: expiresInSeconds, jwtid: crypto.randomUUID() }
+  );
+};
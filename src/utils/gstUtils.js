@@ -0,0 +1,157 @@
+/**
+ * GST helpers for tax documents: state codes for place of supply, Indian financial
+ * year (April-March, IST) and amounts in words for invoices and credit notes.
+ */
+
+// GST state / UT codes (first two digits of a GSTIN)
+const GST_STATE_CODES = {
+  'jammu and kashmir': '01',
+  'himachal pradesh': '02',
+  'punjab': '03',
+  'chandigarh': '04',
+  'uttarakhand': '05',
+  'haryana': '06',
+  'delhi': '07',
+  'rajasthan': '08',
+  'uttar pradesh': '09',
+  'bihar': '10',
+  'sikkim': '11',
+  'arunachal pradesh': '12',
+  'nagaland': '13',
+  'manipur': '14',
+  'mizoram': '15',
+  'tripura': '16',
+  'meghalaya': '17',
+  'assam': '18',
+  'west bengal': '19',
+  'jharkhand': '20',
+  'odisha': '21',
+  'chhattisgarh': '22',
+  'madhya pradesh': '23',
+  'gujarat': '24',
+  'dadra and nagar haveli and daman and diu': '26',
+  'maharashtra': '27',
+  'karnataka': '29',
+  'goa': '30',
+  'lakshadweep': '31',
+  'kerala': '32',
+  'tamil nadu': '33',
+  'puducherry': '34',
+  'andaman and nicobar islands': '35',
+  'telangana': '36',
+  'andhra pradesh': '37',
+  'ladakh': '38',
+};
+
+// Spellings and abbreviations seen in saved addresses
+const STATE_ALIASES = {
+  'new delhi': 'delhi',
+  'nct of delhi': 'delhi',
+  'orissa': 'odisha',
+  'pondicherry': 'puducherry',
+  'uttaranchal': 'uttarakhand',
+  'chattisgarh': 'chhattisgarh',
+  'j&k': 'jammu and kashmir',
+  'jammu & kashmir': 'jammu and kashmir',
+  'andaman & nicobar islands': 'andaman and nicobar islands',
+  'daman and diu': 'dadra and nagar haveli and daman and diu',
+  'dadra and nagar haveli': 'dadra and nagar haveli and daman and diu',
+  'mh': 'maharashtra',
+  'ka': 'karnataka',
+  'tn': 'tamil nadu',
+  'dl': 'delhi',
+  'up': 'uttar pradesh',
+  'wb': 'west bengal',
+};
+
+const normalizeStateName = (state) => {
+  const name = String(state || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return STATE_ALIASES[name] || name;
+};
+
+/**
+ * GST state code for a state name (or a 2-digit code), or null if unknown.
+ * @param {string} state
+ * @returns {string|null}
+ */
+const getStateCode = (state) => {
+  if (/^\d{2}$/.test(String(state || '').trim())) return String(state).trim();
+  return GST_STATE_CODES[normalizeStateName(state)] || null;
+};
+
+/**
+ * Canonical state name, e.g. "orissa" -> "Odisha".
+ * @param {string} state
+ * @returns {string}
+ */
+const getStateName = (state) => {
+  const name = normalizeStateName(state);
+  if (!GST_STATE_CODES[name]) return state || '';
+  return name.replace(/\b\w/g, char => char.toUpperCase()).replace(/\bAnd\b/g, 'and');
+};
+
+/**
+ * Indian financial year (1 April - 31 March) containing `date`, evaluated in IST.
+ * @param {Date} [date]
+ * @returns {{ label: string, short: string, start: Date, end: Date }} e.g. label "2025-26", short "25-26"
+ */
+const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(date.getTime() + 330 * 60 * 1000);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  const endYear = startYear + 1;
+
+  return {
+    label: `${startYear}-${String(endYear).slice(-2)}`,
+    short: `${String(startYear).slice(-2)}-${String(endYear).slice(-2)}`,
+    start: new Date(Date.UTC(startYear, 3, 1) - 330 * 60 * 1000),
+    end: new Date(Date.UTC(endYear, 3, 1) - 330 * 60 * 1000 - 1),
+  };
+};
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowHundred = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`);
+
+const belowThousand = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? belowHundred(rest) : ''].filter(Boolean).join(' ');
+};
+
+// Indian numbering: crore, lakh, thousand
+const integerToWords = (n) => {
+  if (n === 0) return 'Zero';
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const rest = n % 1000;
+
+  if (crore) parts.push(`${integerToWords(crore)} Crore`);
+  if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+  if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+  if (rest) parts.push(belowThousand(rest));
+  return parts.join(' ');
+};
+
+/**
+ * Rupee amount in words, e.g. 1250.5 -> "Rupees One Thousand Two Hundred Fifty and Fifty Paise Only".
+ * @param {number} amount
+ * @returns {string}
+ */
+const amountInWords = (amount) => {
+  const paise = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(paise / 100);
+  const remainder = paise % 100;
+  return `Rupees ${integerToWords(rupees)}${remainder ? ` and ${belowHundred(remainder)} Paise` : ''} Only`;
+};
+
+module.exports = {
+  GST_STATE_CODES,
+  getStateCode,
+  getStateName,
+  getFinancialYear,
+  amountInWords,
+};
@@ -0,0 +1,35 @@
+// Shared SMTP transport for transactional e-mail (invoices, cart recovery, ...)
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    const port = parseInt(process.env.EMAIL_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST || 'smtp.gmail.com',
+      port,
+      secure: port === 465,
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASSWORD || process.env.EMAIL_PASS,
+      },
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Send an e-mail from the store address.
+ * @param {Object} options - nodemailer message options (to, subject, text/html, attachments...)
+ * @returns {Promise<Object>} nodemailer info
+ */
+const sendMail = (options) => getTransporter().sendMail({
+  from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+  ...options,
+});
+
+module.exports = {
+  getTransporter,
+  sendMail,
+};
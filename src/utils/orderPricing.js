@@ -0,0 +1,98 @@
+// Order pricing helpers - what the customer actually paid per order line.
+// Shared by refunds, invoices and credit notes so they always agree on amounts.
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+
+// All arithmetic is done in paise so split amounts never drift by a fraction of a rupee
+const toPaise = (amount) => Math.round((Number(amount) || 0) * 100);
+const toRupees = (paise) => Math.round(paise) / 100;
+
+/**
+ * Unit price of an order line. Orders from the legacy checkout do not store a line
+ * price, so fall back to the item's current size price.
+ */
+const resolveUnitPrices = async (lines) => {
+  const missingIds = lines
+    .filter(line => !(line.price > 0) && mongoose.Types.ObjectId.isValid(line.item_id))
+    .map(line => line.item_id);
+
+  const items = missingIds.length
+    ? await Item.find({ _id: { $in: missingIds } }).select('sizes.sku sizes.regularPrice sizes.salePrice').lean()
+    : [];
+
+  return lines.map(line => {
+    if (line.price > 0) return line.price;
+
+    const item = items.find(i => i._id.toString() === line.item_id?.toString());
+    const size = item?.sizes?.find(s => s.sku === line.sku);
+    return size ? (size.salePrice > 0 ? size.salePrice : size.regularPrice) || 0 : 0;
+  });
+};
+
+/**
+ * Split what was paid for an order across its lines.
+ * The goods part of the payment (total minus shipping) is spread by each line's gross
+ * value less its promo allocation (item_quantities[].promo_discount), or by gross value
+ * alone for orders placed before allocations were stored; shipping is spread the same way.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} Paise amounts for the order and per line
+ */
+const buildPricing = async (order) => {
+  const orderLines = order.item_quantities || [];
+  const unitPrices = await resolveUnitPrices(orderLines);
+
+  const grossByLine = orderLines.map((line, index) => toPaise(unitPrices[index]) * line.quantity);
+  const grossTotal = grossByLine.reduce((sum, gross) => sum + gross, 0);
+  const quantityTotal = orderLines.reduce((sum, line) => sum + line.quantity, 0);
+
+  const totalPaise = toPaise(order.total_price);
+  // Only the goods part of the promo (plus automatic offers); a free-shipping waiver
+  // never reached the total
+  const promoPaise = Math.max(
+    toPaise(order.promoDiscount || order.orderSummary?.couponDiscount || 0) - toPaise(order.promoShippingDiscount),
+    0
+  ) + toPaise(order.automaticDiscount);
+
+  // Shipping is whatever the total holds beyond the discounted goods, capped by the
+  // charge in orderSummary when the checkout recorded one (it is not always collected)
+  let shippingPaise = Math.max(totalPaise - (grossTotal - promoPaise), 0);
+  if (order.orderSummary?.totalAmount) {
+    shippingPaise = Math.min(shippingPaise, toPaise(order.orderSummary.shippingCharges));
+  }
+  if (grossTotal === 0) shippingPaise = 0;
+
+  const goodsPaise = totalPaise - shippingPaise;
+
+  const allocated = orderLines.some(line => line.promo_discount > 0);
+  const weights = allocated
+    ? grossByLine.map((gross, index) => Math.max(gross - toPaise(orderLines[index].promo_discount), 0))
+    : grossByLine;
+  const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+
+  const lines = orderLines.map((line, index) => {
+    // Without prices (should not happen) spread by quantity instead
+    const share = weightTotal > 0 ? weights[index] / weightTotal : line.quantity / quantityTotal;
+    return {
+      line,
+      unitPrice: unitPrices[index],
+      unitGross: toPaise(unitPrices[index]),
+      paid: goodsPaise * share,
+      shipping: shippingPaise * share,
+      remainingQuantity: line.quantity - (line.refunded_quantity || 0)
+    };
+  });
+
+  return {
+    totalPaise,
+    shippingPaise,
+    promoPaise: Math.max(grossTotal - goodsPaise, 0),
+    refundedPaise: toPaise(order.refunded_amount),
+    lines
+  };
+};
+
+module.exports = {
+  toPaise,
+  toRupees,
+  buildPricing
+};
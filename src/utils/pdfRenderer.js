@@ -0,0 +1,201 @@
+/**
+ * Minimal PDF writer for generated documents (invoices, credit notes).
+ * Supports text in the built-in Helvetica fonts, lines and filled rectangles on
+ * A4 pages - enough for tabular business documents without a PDF dependency.
+ * Coordinates are in points, measured from the TOP-left corner of the page.
+ */
+
+// Helvetica / Helvetica-Bold advance widths (1/1000 em) for ASCII 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+const A4 = { width: 595.28, height: 841.89 };
+
+// The standard fonts only cover Latin-1; spell out the rupee sign and drop the rest
+const sanitize = (value) => String(value ?? '')
+  .replace(/₹\s?/g, 'Rs. ')
+  .replace(/[‘’]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/[–—]/g, '-')
+  .replace(/[^\x20-\xFF]/g, '?');
+
+const escapeText = (value) => value.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+
+const toRgb = (hex = '#000000') => {
+  const clean = hex.replace('#', '');
+  return [0, 2, 4].map(offset => (parseInt(clean.substr(offset, 2), 16) / 255).toFixed(3)).join(' ');
+};
+
+const round = (value) => Number(value.toFixed(2));
+
+class PdfDocument {
+  constructor({ width = A4.width, height = A4.height } = {}) {
+    this.width = width;
+    this.height = height;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    return this;
+  }
+
+  /**
+   * Width of a string in points.
+   * @param {string} value
+   * @param {number} [size=10]
+   * @param {boolean} [bold=false]
+   */
+  textWidth(value, size = 10, bold = false) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let total = 0;
+    for (const char of sanitize(value)) {
+      const code = char.charCodeAt(0);
+      total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+    }
+    return (total * size) / 1000;
+  }
+
+  /**
+   * Split text into lines that fit `width`, breaking on spaces (long words are cut).
+   * @returns {string[]}
+   */
+  wrap(value, width, size = 10, bold = false) {
+    const lines = [];
+    for (const paragraph of sanitize(value).split('\n')) {
+      let line = '';
+      for (const word of paragraph.split(' ')) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (this.textWidth(candidate, size, bold) <= width) {
+          line = candidate;
+          continue;
+        }
+        if (line) lines.push(line);
+
+        line = word;
+        while (this.textWidth(line, size, bold) > width && line.length > 1) {
+          let cut = line.length - 1;
+          while (cut > 1 && this.textWidth(line.slice(0, cut), size, bold) > width) cut--;
+          lines.push(line.slice(0, cut));
+          line = line.slice(cut);
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  /**
+   * Draw one line of text. `y` is the baseline.
+   * @param {Object} [options] - size, bold, color, align ('left'|'right'|'center') and width for alignment
+   */
+  text(value, x, y, { size = 10, bold = false, color = '#000000', align = 'left', width = 0 } = {}) {
+    const clean = sanitize(value);
+    let left = x;
+    if (align !== 'left' && width > 0) {
+      const free = width - this.textWidth(clean, size, bold);
+      left = align === 'right' ? x + free : x + free / 2;
+    }
+
+    this.current.push(
+      `BT ${toRgb(color)} rg /${bold ? 'F2' : 'F1'} ${size} Tf ${round(left)} ${round(this.height - y)} Td (${escapeText(clean)}) Tj ET`
+    );
+    return this;
+  }
+
+  /**
+   * Draw wrapped text starting at baseline `y`.
+   * @returns {number} Baseline below the last line drawn
+   */
+  paragraph(value, x, y, width, { size = 10, bold = false, color = '#000000', align = 'left', lineHeight = 1.3 } = {}) {
+    let baseline = y;
+    for (const line of this.wrap(value, width, size, bold)) {
+      this.text(line, x, baseline, { size, bold, color, align, width });
+      baseline += size * lineHeight;
+    }
+    return baseline;
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5, color = '#000000' } = {}) {
+    this.current.push(
+      `${width} w ${toRgb(color)} RG ${round(x1)} ${round(this.height - y1)} m ${round(x2)} ${round(this.height - y2)} l S`
+    );
+    return this;
+  }
+
+  rect(x, y, w, h, { fill = null, stroke = null, width = 0.5 } = {}) {
+    const path = `${round(x)} ${round(this.height - y - h)} ${round(w)} ${round(h)} re`;
+    if (fill && stroke) {
+      this.current.push(`${width} w ${toRgb(fill)} rg ${toRgb(stroke)} RG ${path} B`);
+    } else if (fill) {
+      this.current.push(`${toRgb(fill)} rg ${path} f`);
+    } else {
+      this.current.push(`${width} w ${toRgb(stroke || '#000000')} RG ${path} S`);
+    }
+    return this;
+  }
+
+  /**
+   * Serialise the document.
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    const pageIds = this.pages.map(operations => {
+      const stream = operations.join('\n');
+      const contentId = addObject(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+      return addObject(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+        `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+      );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = {
+  PdfDocument,
+  A4
+};
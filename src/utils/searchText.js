@@ -0,0 +1,149 @@
+// Search text helpers - turn product text and queries into comparable terms.
+// Used by the product search index so indexing, typo correction and highlighting
+// always agree on what a "word" is.
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Lower-case a single word, drop accents, and join hyphenated or apostrophised parts,
+ * so "T-Shirt" and "tshirt" become the same word.
+ * @param {string} word
+ * @returns {string}
+ */
+const normalizeWord = (word) => word
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/['’-]/g, '');
+
+/**
+ * Light plural stemming for English product words (shirts → shirt, dresses → dress,
+ * hoodies → hoody). Short words and words ending in "ss"/"us" are left alone.
+ * @param {string} word - Normalised word
+ * @returns {string}
+ */
+const stem = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (/(sses|xes|zes|ches|shes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+const toTerm = (word) => stem(normalizeWord(word));
+
+/**
+ * Words of a text as written, in order.
+ * @param {string} text
+ * @returns {string[]}
+ */
+const words = (text) => String(text || '').match(WORD_PATTERN) || [];
+
+/**
+ * Terms of a text, in order (duplicates kept).
+ * @param {string} text
+ * @returns {string[]}
+ */
+const tokenize = (text) => words(text)
+  .map(toTerm)
+  .filter(Boolean);
+
+/**
+ * Edit distance with adjacent transpositions ("tshirt" / "thsirt" is 1), giving up
+ * as soon as it exceeds `max`.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} The distance, or max + 1 when it is larger than `max`
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const next = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      next.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = next;
+  }
+  return row[b.length] <= max ? row[b.length] : max + 1;
+};
+
+/**
+ * Typos allowed for a query word of this length: none below 4 letters, one up to 7,
+ * two from 8.
+ * @param {string} term
+ * @returns {number}
+ */
+const allowedTypos = (term) => {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Wrap the words of `text` whose term is in `terms` in <mark> tags (the rest of the text
+ * is HTML-escaped). With `maxLength`, returns a window of about that many characters
+ * around the first match instead of the whole text.
+ * @param {string} text
+ * @param {Set<string>} terms
+ * @param {Object} [options]
+ * @param {number} [options.maxLength]
+ * @returns {string|null} null when nothing matches
+ */
+const highlight = (text, terms, { maxLength } = {}) => {
+  const source = String(text || '');
+  const matches = [];
+  for (const match of source.matchAll(WORD_PATTERN)) {
+    if (terms.has(toTerm(match[0]))) matches.push({ start: match.index, end: match.index + match[0].length });
+  }
+  if (matches.length === 0) return null;
+
+  let from = 0;
+  let to = source.length;
+  if (maxLength && source.length > maxLength) {
+    from = Math.max(0, matches[0].start - Math.floor(maxLength / 3));
+    to = Math.min(source.length, from + maxLength);
+    // Start and end on word boundaries
+    if (from > 0) from = source.indexOf(' ', from) + 1 || from;
+    if (to < source.length) to = source.lastIndexOf(' ', to) > from ? source.lastIndexOf(' ', to) : to;
+  }
+
+  let result = '';
+  let cursor = from;
+  for (const { start, end } of matches) {
+    if (start < from || end > to) continue;
+    result += `${escapeHtml(source.slice(cursor, start))}<mark>${escapeHtml(source.slice(start, end))}</mark>`;
+    cursor = end;
+  }
+  result += escapeHtml(source.slice(cursor, to));
+
+  return `${from > 0 ? '…' : ''}${result}${to < source.length ? '…' : ''}`;
+};
+
+module.exports = {
+  normalizeWord,
+  stem,
+  toTerm,
+  words,
+  tokenize,
+  editDistance,
+  allowedTypos,
+  highlight,
+};
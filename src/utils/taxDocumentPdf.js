@@ -0,0 +1,221 @@
+/**
+ * PDF layout shared by GST tax documents (tax invoices and credit notes):
+ * seller/buyer blocks, line table with HSN and CGST+SGST or IGST columns,
+ * totals and amount in words.
+ */
+const { PdfDocument } = require('./pdfRenderer');
+
+const MARGIN = 36;
+const PAGE_BOTTOM = 790;
+const GREY = '#555555';
+const RULE = '#999999';
+const HEADER_FILL = '#eeeeee';
+
+const formatAmount = (amount) => Number(amount || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+});
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  timeZone: 'Asia/Kolkata',
+}) : '-');
+
+const partyLines = (party = {}) => [
+  [party.address, party.city].filter(Boolean).join(', '),
+  [party.state, party.pinCode].filter(Boolean).join(' - '),
+  party.country && party.country !== 'India' ? party.country : null,
+  party.phone ? `Phone: ${party.phone}` : null,
+  party.email ? `Email: ${party.email}` : null,
+  party.gstin ? `GSTIN: ${party.gstin}` : null,
+].filter(Boolean);
+
+// Line table columns; the tax columns depend on the supply type
+const buildColumns = (intraState) => {
+  const columns = [
+    { key: 'index', label: '#', width: 18, align: 'left' },
+    { key: 'description', label: 'Description', width: 130, align: 'left' },
+    { key: 'hsnCode', label: 'HSN', width: 48, align: 'left' },
+    { key: 'quantity', label: 'Qty', width: 26, align: 'right' },
+    { key: 'unitPrice', label: 'Rate', width: 50, align: 'right', money: true },
+    { key: 'discount', label: 'Discount', width: 46, align: 'right', money: true },
+    { key: 'taxableValue', label: 'Taxable', width: 56, align: 'right', money: true },
+  ];
+
+  if (intraState) {
+    columns.push(
+      { key: 'cgst', label: 'CGST', width: 44, align: 'right', money: true, rateDivisor: 2 },
+      { key: 'sgst', label: 'SGST', width: 44, align: 'right', money: true, rateDivisor: 2 }
+    );
+  } else {
+    columns.push({ key: 'igst', label: 'IGST', width: 88, align: 'right', money: true, rateDivisor: 1 });
+  }
+
+  columns.push({ key: 'total', label: 'Total', width: 61, align: 'right', money: true });
+  return columns;
+};
+
+/**
+ * Render a tax document to PDF.
+ * @param {Object} document - Invoice or CreditNote (seller, buyer, supplyType, placeOfSupply, lines, totals, payment)
+ * @param {Object} options
+ * @param {string} options.title - e.g. "TAX INVOICE"
+ * @param {Array<[string, string]>} options.meta - Label/value pairs shown under the title
+ * @param {boolean} [options.includePayment=false] - Print the payment reference block
+ * @param {string} [options.note] - Extra line printed above the footer (e.g. credit note reason)
+ * @returns {Buffer}
+ */
+const renderTaxDocumentPdf = (document, { title, meta = [], includePayment = false, note = null }) => {
+  const pdf = new PdfDocument();
+  const contentWidth = pdf.width - MARGIN * 2;
+  const intraState = document.supplyType === 'intra_state';
+  const columns = buildColumns(intraState);
+  const seller = document.seller || {};
+  const buyer = document.buyer || {};
+
+  // Seller and title
+  let y = MARGIN + 14;
+  pdf.text(title, MARGIN, y, { size: 16, bold: true, align: 'right', width: contentWidth });
+  pdf.text(seller.name || '', MARGIN, y, { size: 13, bold: true });
+  y += 16;
+  for (const line of partyLines(seller)) {
+    pdf.text(line, MARGIN, y, { size: 9, color: GREY });
+    y += 12;
+  }
+
+  let metaY = MARGIN + 34;
+  for (const [label, value] of meta) {
+    pdf.text(`${label}:`, MARGIN + contentWidth - 200, metaY, { size: 9, color: GREY });
+    pdf.text(value || '-', MARGIN + contentWidth - 110, metaY, { size: 9, bold: true, align: 'right', width: 110 });
+    metaY += 12;
+  }
+
+  y = Math.max(y, metaY) + 8;
+  pdf.line(MARGIN, y, MARGIN + contentWidth, y, { color: RULE });
+  y += 16;
+
+  // Buyer and place of supply
+  const halfWidth = contentWidth / 2;
+  pdf.text('Bill to / Ship to', MARGIN, y, { size: 9, bold: true, color: GREY });
+  pdf.text('Place of supply', MARGIN + halfWidth, y, { size: 9, bold: true, color: GREY });
+  y += 13;
+  pdf.text(buyer.name || '', MARGIN, y, { size: 10, bold: true });
+  pdf.text(document.placeOfSupply || '-', MARGIN + halfWidth, y, { size: 10 });
+  pdf.text(
+    intraState ? 'Intra-state supply (CGST + SGST)' : 'Inter-state supply (IGST)',
+    MARGIN + halfWidth, y + 12, { size: 9, color: GREY }
+  );
+  y += 12;
+  for (const line of partyLines(buyer)) {
+    y = pdf.paragraph(line, MARGIN, y, halfWidth - 10, { size: 9, lineHeight: 1.35 });
+  }
+  y += 10;
+
+  // Line table
+  const drawHeader = () => {
+    pdf.rect(MARGIN, y, contentWidth, 18, { fill: HEADER_FILL });
+    let x = MARGIN;
+    for (const column of columns) {
+      pdf.text(column.label, x + 3, y + 12, { size: 8, bold: true, align: column.align, width: column.width - 6 });
+      x += column.width;
+    }
+    y += 18;
+  };
+  drawHeader();
+
+  (document.lines || []).forEach((line, index) => {
+    const description = [line.description, line.size ? `Size: ${line.size}` : null, line.sku ? `SKU: ${line.sku}` : null]
+      .filter(Boolean).join('\n');
+    const descriptionLines = pdf.wrap(description, columns[1].width - 6, 8);
+    const rowHeight = Math.max(descriptionLines.length * 10 + 8, 20);
+
+    if (y + rowHeight > PAGE_BOTTOM) {
+      pdf.addPage();
+      y = MARGIN;
+      drawHeader();
+    }
+
+    let x = MARGIN;
+    for (const column of columns) {
+      const cellWidth = column.width - 6;
+      if (column.key === 'description') {
+        descriptionLines.forEach((text, lineIndex) => {
+          pdf.text(text, x + 3, y + 12 + lineIndex * 10, { size: 8, color: lineIndex === 0 ? '#000000' : GREY });
+        });
+      } else {
+        let value = column.key === 'index' ? String(index + 1) : line[column.key];
+        if (column.money) value = formatAmount(value);
+        pdf.text(value ?? '', x + 3, y + 12, { size: 8, align: column.align, width: cellWidth });
+        if (column.rateDivisor && line.gstRate) {
+          pdf.text(`@${line.gstRate / column.rateDivisor}%`, x + 3, y + 22, { size: 7, color: GREY, align: 'right', width: cellWidth });
+        }
+      }
+      x += column.width;
+    }
+
+    y += rowHeight;
+    pdf.line(MARGIN, y, MARGIN + contentWidth, y, { width: 0.3, color: RULE });
+  });
+
+  // Totals
+  const totals = document.totals || {};
+  const totalRows = [
+    ['Gross amount', totals.grossAmount],
+    ['Discount', totals.discount],
+    ['Taxable value', totals.taxableValue],
+    ...(intraState ? [['CGST', totals.cgst], ['SGST', totals.sgst]] : [['IGST', totals.igst]]),
+  ];
+  if (y + totalRows.length * 14 + 90 > PAGE_BOTTOM) {
+    pdf.addPage();
+    y = MARGIN;
+  }
+
+  y += 16;
+  const labelX = MARGIN + contentWidth - 220;
+  for (const [label, value] of totalRows) {
+    pdf.text(label, labelX, y, { size: 9, color: GREY });
+    pdf.text(formatAmount(value), labelX + 100, y, { size: 9, align: 'right', width: 120 });
+    y += 14;
+  }
+  pdf.line(labelX, y - 8, MARGIN + contentWidth, y - 8, { color: RULE });
+  y += 4;
+  pdf.text('Total (INR)', labelX, y, { size: 11, bold: true });
+  pdf.text(formatAmount(totals.grandTotal), labelX + 100, y, { size: 11, bold: true, align: 'right', width: 120 });
+  y += 18;
+  y = pdf.paragraph(totals.amountInWords || '', MARGIN, y, contentWidth, { size: 9, color: GREY });
+
+  // Payment reference
+  const payment = document.payment || {};
+  if (includePayment && payment.razorpayPaymentId) {
+    y += 8;
+    pdf.text('Payment', MARGIN, y, { size: 9, bold: true, color: GREY });
+    y += 12;
+    pdf.text(
+      `Paid online via Razorpay (${payment.method || 'online'}) on ${formatDate(payment.paidAt)} - Ref: ${payment.razorpayPaymentId}`,
+      MARGIN, y, { size: 9 }
+    );
+    y += 12;
+  }
+
+  if (note) {
+    y += 8;
+    y = pdf.paragraph(note, MARGIN, y, contentWidth, { size: 9 });
+  }
+
+  // Footer, pinned to the bottom of the last page
+  if (y + 30 > PAGE_BOTTOM - 40) pdf.addPage();
+  y = PAGE_BOTTOM - 40;
+  pdf.text(`For ${seller.name || ''}`, MARGIN, y, { size: 9, bold: true, align: 'right', width: contentWidth });
+  pdf.text('Authorised Signatory', MARGIN, y + 24, { size: 8, color: GREY, align: 'right', width: contentWidth });
+  pdf.text('This is a computer-generated document and does not require a physical signature.', MARGIN, y + 24, { size: 7, color: GREY });
+
+  return pdf.toBuffer();
+};
+
+module.exports = {
+  renderTaxDocumentPdf,
+  formatAmount,
+  formatDate,
+};
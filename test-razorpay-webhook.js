@@ -0,0 +1,155 @@
+/**
+ * 🔔 RAZORPAY WEBHOOK OFFLINE TEST
+ *
+ * Sends Razorpay-shaped webhook events to a LOCAL backend, signed with a fake
+ * secret, so payment.captured / payment.failed / refund.processed / refund.failed /
+ * order.paid can be exercised without a Razorpay account or a public URL.
+ *
+ * 1. Start the backend with the same fake secret:
+ *      RAZORPAY_WEBHOOK_SECRET=test_webhook_secret npm run dev
+ * 2. Create an order in the app (or via /api/razorpay/create-order) and copy its
+ *    Razorpay order id (order_...)
+ * 3. Run:
+ *      node test-razorpay-webhook.js payment.captured order_XXXXXXXX
+ *      node test-razorpay-webhook.js payment.failed order_XXXXXXXX
+ *      node test-razorpay-webhook.js refund.processed order_XXXXXXXX pay_XXXXXXXX
+ *      node test-razorpay-webhook.js refund.failed order_XXXXXXXX pay_XXXXXXXX
+ *      node test-razorpay-webhook.js checks            # signature + duplicate checks only
+ *
+ * Note: payment.captured calls razorpay.payments.fetch() for the fake payment id;
+ * that lookup fails offline and is logged as a warning, the order is still reconciled.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const API_URL = process.env.API_URL || 'http://localhost:8001';
+const WEBHOOK_URL = `${API_URL}/api/webhooks/razorpay`;
+const WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || 'test_webhook_secret';
+
+const [, , eventName = 'checks', razorpayOrderId = 'order_TEST00000000', paymentIdArg] = process.argv;
+const razorpayPaymentId = paymentIdArg || `pay_TEST${Date.now()}`;
+
+// Minimal event bodies matching the fields the backend reads
+const buildEvent = (event) => {
+  const now = Math.floor(Date.now() / 1000);
+  const payment = {
+    entity: {
+      id: razorpayPaymentId,
+      entity: 'payment',
+      amount: 100000,
+      currency: 'INR',
+      status: event === 'payment.failed' ? 'failed' : 'captured',
+      order_id: razorpayOrderId,
+      method: 'upi',
+      captured: event !== 'payment.failed',
+      error_code: event === 'payment.failed' ? 'BAD_REQUEST_ERROR' : null,
+      error_description: event === 'payment.failed' ? 'Payment was cancelled by the user' : null,
+      created_at: now
+    }
+  };
+
+  const refund = {
+    entity: {
+      id: `rfnd_TEST${Date.now()}`,
+      entity: 'refund',
+      amount: 100000,
+      currency: 'INR',
+      payment_id: razorpayPaymentId,
+      status: event === 'refund.failed' ? 'failed' : 'processed',
+      created_at: now
+    }
+  };
+
+  const payloads = {
+    'payment.captured': { payment },
+    'payment.failed': { payment },
+    'order.paid': {
+      payment,
+      order: { entity: { id: razorpayOrderId, entity: 'order', amount: 100000, amount_paid: 100000, status: 'paid' } }
+    },
+    'refund.processed': { refund },
+    'refund.failed': { refund }
+  };
+
+  return {
+    entity: 'event',
+    account_id: 'acc_TEST00000000',
+    event,
+    contains: Object.keys(payloads[event]),
+    payload: payloads[event],
+    created_at: now
+  };
+};
+
+const sign = (body, secret = WEBHOOK_SECRET) =>
+  crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+const send = async (body, { signature = sign(body), eventId = `evt_TEST${Date.now()}${Math.random().toString(36).slice(2, 8)}` } = {}) => {
+  try {
+    const response = await axios.post(WEBHOOK_URL, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Razorpay-Signature': signature,
+        'X-Razorpay-Event-Id': eventId
+      },
+      // Send the exact signed bytes
+      transformRequest: [data => data]
+    });
+    return { status: response.status, data: response.data };
+  } catch (error) {
+    return { status: error.response?.status, data: error.response?.data || error.message };
+  }
+};
+
+const runChecks = async () => {
+  const body = JSON.stringify(buildEvent('payment.failed'));
+  let passed = 0;
+  let failed = 0;
+  const check = (name, condition, detail) => {
+    if (condition) {
+      passed++;
+      console.log(`✅ ${name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${name}`, detail);
+    }
+  };
+
+  const badSignature = await send(body, { signature: sign(body, 'wrong_secret') });
+  check('Rejects a body signed with the wrong secret (401)', badSignature.status === 401, badSignature);
+
+  const tampered = await send(body.replace('100000', '1'), { signature: sign(body) });
+  check('Rejects a tampered body (401)', tampered.status === 401, tampered);
+
+  const eventId = `evt_TEST${Date.now()}`;
+  const first = await send(body, { eventId });
+  check('Accepts a correctly signed event (200)', first.status === 200, first);
+
+  const duplicate = await send(body, { eventId });
+  check('Treats a redelivery of the same event id as a duplicate', duplicate.status === 200 && duplicate.data?.duplicate === true, duplicate);
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+};
+
+const main = async () => {
+  console.log(`\n🔔 Razorpay webhook test → ${WEBHOOK_URL}`);
+  console.log(`   secret: ${WEBHOOK_SECRET.substring(0, 4)}****\n`);
+
+  if (eventName === 'checks') {
+    return runChecks();
+  }
+
+  if (!['payment.captured', 'payment.failed', 'order.paid', 'refund.processed', 'refund.failed'].includes(eventName)) {
+    console.error(`Unknown event "${eventName}". Use payment.captured, payment.failed, order.paid, refund.processed, refund.failed or checks.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const body = JSON.stringify(buildEvent(eventName));
+  const result = await send(body);
+  console.log(`${eventName} → HTTP ${result.status}`, result.data);
+};
+
+main();